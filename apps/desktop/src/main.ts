@@ -432,10 +432,20 @@ function setupIPC(
   ipcMain.handle('proxy-get-rules', proxyHandlers.handleProxyGetRules);
   ipcMain.handle('proxy-save-rule', proxyHandlers.handleProxySaveRule);
   ipcMain.handle('proxy-delete-rule', proxyHandlers.handleProxyDeleteRule);
+  ipcMain.handle('proxy-get-mock-rules', proxyHandlers.handleProxyGetMockRules);
+  ipcMain.handle('proxy-save-mock-rule', proxyHandlers.handleProxySaveMockRule);
+  ipcMain.handle('proxy-delete-mock-rule', proxyHandlers.handleProxyDeleteMockRule);
+  ipcMain.handle('proxy-get-fault-rules', proxyHandlers.handleProxyGetFaultRules);
+  ipcMain.handle('proxy-save-fault-rule', proxyHandlers.handleProxySaveFaultRule);
+  ipcMain.handle('proxy-delete-fault-rule', proxyHandlers.handleProxyDeleteFaultRule);
+  ipcMain.handle('proxy-reset-fault-stats', proxyHandlers.handleProxyResetFaultStats);
   ipcMain.handle('proxy-clear-cache', proxyHandlers.handleProxyClearCache);
   ipcMain.handle('proxy-get-cache-stats', proxyHandlers.handleProxyGetCacheStats);
   ipcMain.handle('proxy-get-cache-entries', proxyHandlers.handleProxyGetCacheEntries);
   ipcMain.handle('proxy-set-cache-enabled', proxyHandlers.handleProxySetCacheEnabled);
+  ipcMain.handle('proxy-set-cache-policies', proxyHandlers.handleProxySetCachePolicies);
+  ipcMain.handle('proxy-export-cache', proxyHandlers.handleProxyExportCache);
+  ipcMain.handle('proxy-import-cache', proxyHandlers.handleProxyImportCache);
   ipcMain.handle('proxy-update-header-rules', proxyHandlers.handleProxyUpdateHeaderRules);
   ipcMain.handle('proxyClearRules', proxyHandlers.handleProxyClearRules);
   ipcMain.handle('proxy-set-strict-ssl', proxyHandlers.handleProxySetStrictSSL);
@@ -444,9 +454,19 @@ function setupIPC(
   ipcMain.handle('proxy-add-certificate-exception', proxyHandlers.handleProxyAddCertificateException);
   ipcMain.handle('proxy-remove-certificate-exception', proxyHandlers.handleProxyRemoveCertificateException);
   ipcMain.handle('proxy-get-certificate-info', proxyHandlers.handleProxyGetCertificateInfo);
+  ipcMain.handle('proxy-set-https-interception', proxyHandlers.handleProxySetHttpsInterception);
+  ipcMain.handle('proxy-get-ca-info', proxyHandlers.handleProxyGetCAInfo);
+  ipcMain.handle('proxy-generate-ca', proxyHandlers.handleProxyGenerateCA);
+  ipcMain.handle('proxy-export-ca', proxyHandlers.handleProxyExportCA);
+  ipcMain.handle('proxy-get-traffic', proxyHandlers.handleProxyGetTraffic);
+  ipcMain.handle('proxy-clear-traffic', proxyHandlers.handleProxyClearTraffic);
+  ipcMain.handle('proxy-set-traffic-capture-bodies', proxyHandlers.handleProxySetTrafficCaptureBodies);
 
   // WebSocket
   ipcMain.handle('ws-get-connection-status', workspaceHandlers.handleWsGetConnectionStatus.bind(workspaceHandlers));
+  ipcMain.handle('ws-get-disabled-tag-groups', workspaceHandlers.handleWsGetDisabledTagGroups.bind(workspaceHandlers));
+  ipcMain.handle('ws-get-rule-hits', workspaceHandlers.handleWsGetRuleHits.bind(workspaceHandlers));
+  ipcMain.handle('ws-clear-rule-hits', workspaceHandlers.handleWsClearRuleHits.bind(workspaceHandlers));
 
   // Git
   ipcMain.handle('testGitConnection', gitHandlers.handleTestGitConnection);
@@ -125,6 +125,11 @@ class AppLifecycle {
 
       log.info('SourceRefreshService configured');
 
+      // Stream the proxy traffic journal to the inspector
+      proxyService.journal.onChange = (entries) => {
+        sendToRenderers('proxy-traffic-updated', entries);
+      };
+
       // Configure and initialize WorkspaceStateService — the single owner of workspace state.
       // This must happen after all services are initialized so it can broadcast to them.
       workspaceStateService.configure({
@@ -143,6 +148,13 @@ class AppLifecycle {
       webSocketService.ruleHandler.onRuleToggleBatch = (updates) =>
         workspaceStateService.updateHeaderRulesBatch(updates);
       webSocketService.ruleHandler.onRuleDelete = (ruleId) => workspaceStateService.removeHeaderRule(ruleId);
+      webSocketService.profileHandler.onApplyProfile = (profileId) => workspaceStateService.applyProfile(profileId);
+
+      // Keep the tray's profile switcher in step with the active workspace.
+      // Lazy import: trayManager imports lifecycle.
+      const trayManager = (await import('../tray/trayManager')).default;
+      workspaceStateService.onProfilesChanged = (profiles, activeProfileId) =>
+        trayManager.setProfiles(profiles, activeProfileId);
 
       // Initialize: loads workspaces + active workspace data, starts auto-save,
       // broadcasts to WS/proxy. App is operational even without a renderer window.
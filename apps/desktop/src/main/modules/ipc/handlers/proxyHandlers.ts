@@ -7,11 +7,11 @@ import type { HeaderRule } from '@/services/proxy/ProxyService';
 import proxyService from '@/services/proxy/ProxyService';
 import type { IpcInvokeEvent } from '@/types/common';
 import type { EnvironmentsFile, EnvironmentVariable } from '@/types/environment';
-import type { ProxyRule } from '@/types/proxy';
+import type { ProxyCacheExportFilter, ProxyCachePolicy, ProxyFaultRule, ProxyMockRule, ProxyRule } from '@/types/proxy';
 import mainLogger from '@/utils/mainLogger';
 import settingsHandlers from './settingsHandlers';
 
-const { app } = electron;
+const { app, dialog } = electron;
 const fsPromises = fs.promises;
 
 const { createLogger } = mainLogger;
@@ -28,8 +28,14 @@ class ProxyHandlers {
           if (settings.proxyCacheEnabled !== undefined) {
             proxyService.setCacheEnabled(settings.proxyCacheEnabled);
           }
+          if (settings.proxyHttpsInterception !== undefined) {
+            proxyService.setHttpsInterception(settings.proxyHttpsInterception);
+          }
+          if (settings.proxyCachePolicies) {
+            proxyService.setCachePolicies(settings.proxyCachePolicies);
+          }
         } catch (error) {
-          log.warn('Could not apply cache setting from settings:', error);
+          log.warn('Could not apply proxy settings from settings:', error);
         }
 
         // Load environment variables for the current workspace
@@ -111,6 +117,70 @@ class ProxyHandlers {
     }
   }
 
+  async handleProxyGetMockRules() {
+    try {
+      return proxyService.getMockRules();
+    } catch (error) {
+      log.error('Error getting mock rules:', error);
+      return [];
+    }
+  }
+
+  async handleProxySaveMockRule(_: IpcInvokeEvent, rule: ProxyMockRule): Promise<OperationResult> {
+    try {
+      return await proxyService.saveMockRule(rule);
+    } catch (error: unknown) {
+      log.error('Error saving mock rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyDeleteMockRule(_: IpcInvokeEvent, ruleId: string): Promise<OperationResult> {
+    try {
+      return await proxyService.deleteMockRule(ruleId);
+    } catch (error: unknown) {
+      log.error('Error deleting mock rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyGetFaultRules() {
+    try {
+      return proxyService.getFaultRules();
+    } catch (error) {
+      log.error('Error getting fault rules:', error);
+      return [];
+    }
+  }
+
+  async handleProxySaveFaultRule(_: IpcInvokeEvent, rule: ProxyFaultRule): Promise<OperationResult> {
+    try {
+      return await proxyService.saveFaultRule(rule);
+    } catch (error: unknown) {
+      log.error('Error saving fault rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyDeleteFaultRule(_: IpcInvokeEvent, ruleId: string): Promise<OperationResult> {
+    try {
+      return await proxyService.deleteFaultRule(ruleId);
+    } catch (error: unknown) {
+      log.error('Error deleting fault rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyResetFaultStats(): Promise<OperationResult> {
+    try {
+      proxyService.resetFaultStats();
+      return { success: true };
+    } catch (error: unknown) {
+      log.error('Error resetting fault stats:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
   async handleProxyClearCache(): Promise<OperationResult> {
     try {
       proxyService.clearCache();
@@ -149,6 +219,66 @@ class ProxyHandlers {
     }
   }
 
+  async handleProxySetCachePolicies(_: IpcInvokeEvent, policies: ProxyCachePolicy[]): Promise<OperationResult> {
+    try {
+      proxyService.setCachePolicies(policies);
+      await settingsHandlers.handleSaveSettings(null, { proxyCachePolicies: policies });
+      return { success: true };
+    } catch (error: unknown) {
+      log.error('Error setting cache policies:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyExportCache(_: IpcInvokeEvent, filter: ProxyCacheExportFilter) {
+    try {
+      if (proxyService.countCacheEntries(filter || {}) === 0) {
+        return { success: false, error: 'No cached resources match the filter' };
+      }
+
+      const result = await dialog.showSaveDialog({
+        title: 'Export Proxy Cache',
+        defaultPath: `openheaders-proxy-cache-${new Date().toISOString().slice(0, 10)}.zip`,
+        filters: [
+          { name: 'Proxy cache bundles', extensions: ['zip'] },
+          { name: 'All files', extensions: ['*'] },
+        ],
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      const summary = await proxyService.exportCache(result.filePath, filter || {});
+      return { success: true, path: result.filePath, result: summary };
+    } catch (error: unknown) {
+      log.error('Error exporting proxy cache:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyImportCache() {
+    try {
+      const result = await dialog.showOpenDialog({
+        title: 'Import Proxy Cache',
+        properties: ['openFile'],
+        filters: [
+          { name: 'Proxy cache bundles', extensions: ['zip'] },
+          { name: 'All files', extensions: ['*'] },
+        ],
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const [filePath] = result.filePaths;
+      const summary = await proxyService.importCache(filePath);
+      return { success: true, path: filePath, result: summary };
+    } catch (error: unknown) {
+      log.error('Error importing proxy cache:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
   async handleProxyUpdateHeaderRules(_: IpcInvokeEvent, headerRules: HeaderRule[]): Promise<OperationResult> {
     try {
       proxyService.updateHeaderRules(headerRules);
@@ -236,6 +366,73 @@ class ProxyHandlers {
     }
   }
 
+  async handleProxySetHttpsInterception(_: IpcInvokeEvent, enabled: boolean): Promise<OperationResult> {
+    try {
+      proxyService.setHttpsInterception(enabled);
+      await settingsHandlers.handleSaveSettings(null, { proxyHttpsInterception: enabled });
+      return { success: true };
+    } catch (error: unknown) {
+      log.error('Error setting HTTPS interception:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  handleProxyGetCAInfo() {
+    return proxyService.getCAInfo();
+  }
+
+  async handleProxyGenerateCA() {
+    try {
+      const info = await proxyService.generateCA();
+      return { success: true, info };
+    } catch (error: unknown) {
+      log.error('Error generating proxy CA:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async handleProxyExportCA() {
+    try {
+      const { certificatePath } = proxyService.getCAInfo();
+      if (!certificatePath) {
+        return { success: false, error: 'No proxy CA has been generated' };
+      }
+
+      const result = await dialog.showSaveDialog({
+        title: 'Export Proxy CA Certificate',
+        defaultPath: 'openheaders-proxy-ca.pem',
+        filters: [
+          { name: 'Certificates', extensions: ['pem', 'crt'] },
+          { name: 'All files', extensions: ['*'] },
+        ],
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      await fsPromises.copyFile(certificatePath, result.filePath);
+      log.info(`Proxy CA certificate exported to ${result.filePath}`);
+      return { success: true, path: result.filePath };
+    } catch (error: unknown) {
+      log.error('Error exporting proxy CA:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  handleProxyGetTraffic() {
+    return proxyService.getTraffic();
+  }
+
+  handleProxyClearTraffic(): OperationResult {
+    proxyService.clearTraffic();
+    return { success: true };
+  }
+
+  handleProxySetTrafficCaptureBodies(_: IpcInvokeEvent, enabled: boolean): OperationResult {
+    proxyService.setTrafficCaptureBodies(enabled);
+    return { success: true };
+  }
+
   async autoStartProxy() {
     try {
       const settings = await settingsHandlers.handleGetSettings();
@@ -28,6 +28,7 @@ class SettingsHandlers {
         'tutorialMode',
         'autoStartProxy',
         'proxyCacheEnabled',
+        'proxyHttpsInterception',
         'autoHighlightTableEntries',
         'autoScrollTableEntries',
         'compactMode',
@@ -3,7 +3,7 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import zlib from 'node:zlib';
-import type { OperationResult } from '@openheaders/core';
+import type { OperationResult, RuleHitStatsMap } from '@openheaders/core';
 import { errorMessage } from '@openheaders/core';
 import electron from 'electron';
 import { DATA_FORMAT_VERSION } from '@/config/version';
@@ -228,6 +228,29 @@ class WorkspaceHandlers {
     }
   }
 
+  handleWsGetDisabledTagGroups(): string[] {
+    return webSocketService.getDisabledTagGroups();
+  }
+
+  async handleWsGetRuleHits(): Promise<RuleHitStatsMap> {
+    try {
+      return await webSocketService.getRuleHits();
+    } catch (error: unknown) {
+      log.error('Error getting rule hits:', error);
+      return {};
+    }
+  }
+
+  async handleWsClearRuleHits(_: IpcInvokeEvent, ruleIds?: string[]): Promise<OperationResult> {
+    try {
+      await webSocketService.clearRuleHits(Array.isArray(ruleIds) ? ruleIds : undefined);
+      return { success: true };
+    } catch (error: unknown) {
+      log.error('Error clearing rule hits:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
   async handleInitializeWorkspaceSync(_event: IpcInvokeEvent, workspaceId: string): Promise<OperationResult> {
     try {
       log.info(`Initializing workspace sync for workspace: ${workspaceId}`);
@@ -5,9 +5,18 @@
  * The renderer calls ipcRenderer.invoke() and receives results.
  */
 
-import type { HeaderRule, Source, SourceUpdate } from '@openheaders/core';
+import type {
+  HeaderRule,
+  PayloadRule,
+  RuleProfile,
+  ScriptRule,
+  Source,
+  SourceUpdate,
+  UrlRule,
+} from '@openheaders/core';
 import { errorMessage } from '@openheaders/core';
 import { ipcMain } from 'electron';
+import type { ProfileInput, ProfileUpdate } from '@/services/workspace/state';
 import workspaceStateService from '@/services/workspace/WorkspaceStateService';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceType } from '@/types/workspace';
@@ -141,6 +150,128 @@ export function registerWorkspaceStateHandlers(): void {
     }
   });
 
+  ipcMain.handle(
+    'workspace-state:update-header-rules-batch',
+    async (_event, updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>) => {
+      try {
+        await workspaceStateService.updateHeaderRulesBatch(updates);
+        return { success: true };
+      } catch (error) {
+        log.error('Batch update header rules failed:', error);
+        return { success: false, error: errorMessage(error) };
+      }
+    },
+  );
+
+  ipcMain.handle('workspace-state:remove-header-rules-batch', async (_event, ruleIds: string[]) => {
+    try {
+      await workspaceStateService.removeHeaderRulesBatch(ruleIds);
+      return { success: true };
+    } catch (error) {
+      log.error('Batch remove header rules failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  // ── Payload Rule CRUD ─────────────────────────────────────────
+
+  ipcMain.handle('workspace-state:add-payload-rule', async (_event, ruleData: Partial<PayloadRule>) => {
+    try {
+      await workspaceStateService.addPayloadRule(ruleData);
+      return { success: true };
+    } catch (error) {
+      log.error('Add payload rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle(
+    'workspace-state:update-payload-rule',
+    async (_event, ruleId: string, updates: Partial<PayloadRule>) => {
+      try {
+        await workspaceStateService.updatePayloadRule(ruleId, updates);
+        return { success: true };
+      } catch (error) {
+        log.error('Update payload rule failed:', error);
+        return { success: false, error: errorMessage(error) };
+      }
+    },
+  );
+
+  ipcMain.handle('workspace-state:remove-payload-rule', async (_event, ruleId: string) => {
+    try {
+      await workspaceStateService.removePayloadRule(ruleId);
+      return { success: true };
+    } catch (error) {
+      log.error('Remove payload rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  // ── URL Rule CRUD ─────────────────────────────────────────────
+
+  ipcMain.handle('workspace-state:add-url-rule', async (_event, ruleData: Partial<UrlRule>) => {
+    try {
+      await workspaceStateService.addUrlRule(ruleData);
+      return { success: true };
+    } catch (error) {
+      log.error('Add URL rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:update-url-rule', async (_event, ruleId: string, updates: Partial<UrlRule>) => {
+    try {
+      await workspaceStateService.updateUrlRule(ruleId, updates);
+      return { success: true };
+    } catch (error) {
+      log.error('Update URL rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:remove-url-rule', async (_event, ruleId: string) => {
+    try {
+      await workspaceStateService.removeUrlRule(ruleId);
+      return { success: true };
+    } catch (error) {
+      log.error('Remove URL rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  // ── Script Rule CRUD ──────────────────────────────────────────
+
+  ipcMain.handle('workspace-state:add-script-rule', async (_event, ruleData: Partial<ScriptRule>) => {
+    try {
+      await workspaceStateService.addScriptRule(ruleData);
+      return { success: true };
+    } catch (error) {
+      log.error('Add script rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:update-script-rule', async (_event, ruleId: string, updates: Partial<ScriptRule>) => {
+    try {
+      await workspaceStateService.updateScriptRule(ruleId, updates);
+      return { success: true };
+    } catch (error) {
+      log.error('Update script rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:remove-script-rule', async (_event, ruleId: string) => {
+    try {
+      await workspaceStateService.removeScriptRule(ruleId);
+      return { success: true };
+    } catch (error) {
+      log.error('Remove script rule failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
   // ── Proxy Rule CRUD ───────────────────────────────────────────
 
   ipcMain.handle('workspace-state:add-proxy-rule', async (_event, ruleData: ProxyRule) => {
@@ -290,5 +421,99 @@ export function registerWorkspaceStateHandlers(): void {
     },
   );
 
+  // ── Rule profiles ─────────────────────────────────────────────
+
+  ipcMain.handle('workspace-state:create-profile', async (_event, input: ProfileInput) => {
+    try {
+      const profile = await workspaceStateService.createProfile(input);
+      return { success: true, profile };
+    } catch (error) {
+      log.error('Create profile failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:update-profile', async (_event, profileId: string, updates: ProfileUpdate) => {
+    try {
+      const profile = await workspaceStateService.updateProfile(profileId, updates);
+      return { success: true, profile };
+    } catch (error) {
+      log.error('Update profile failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:recapture-profile', async (_event, profileId: string) => {
+    try {
+      const profile = await workspaceStateService.recaptureProfile(profileId);
+      return { success: true, profile };
+    } catch (error) {
+      log.error('Recapture profile failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:delete-profile', async (_event, profileId: string) => {
+    try {
+      await workspaceStateService.deleteProfile(profileId);
+      return { success: true };
+    } catch (error) {
+      log.error('Delete profile failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:import-profiles', async (_event, profiles: RuleProfile[], replace: boolean) => {
+    try {
+      const { imported, skipped } = await workspaceStateService.importProfiles(profiles, replace);
+      return { success: true, imported, skipped };
+    } catch (error) {
+      log.error('Import profiles failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:apply-profile', async (_event, profileId: string) => {
+    try {
+      await workspaceStateService.applyProfile(profileId);
+      return { success: true };
+    } catch (error) {
+      log.error('Apply profile failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  // ── Change history ────────────────────────────────────────────
+
+  ipcMain.handle('workspace-state:undo', async () => {
+    try {
+      const entry = await workspaceStateService.undo();
+      return { success: true, entry };
+    } catch (error) {
+      log.error('Undo failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:redo', async () => {
+    try {
+      const entry = await workspaceStateService.redo();
+      return { success: true, entry };
+    } catch (error) {
+      log.error('Redo failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
+  ipcMain.handle('workspace-state:restore-history-item', async (_event, entryId: string, changeIndex: number) => {
+    try {
+      await workspaceStateService.restoreHistoryItem(entryId, changeIndex);
+      return { success: true };
+    } catch (error) {
+      log.error('Restore history item failed:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  });
+
   log.info('Workspace state IPC handlers registered');
 }
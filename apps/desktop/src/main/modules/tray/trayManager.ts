@@ -1,9 +1,12 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import type { RuleProfileSummary } from '@openheaders/core';
+import { errorMessage } from '@openheaders/core';
 import type { MenuItemConstructorOptions, NativeImage, Tray as TrayType } from 'electron';
 import electron from 'electron';
 import appLifecycle from '@/main/modules/app/lifecycle';
 import windowManager from '@/main/modules/window/windowManager';
+import workspaceStateService from '@/services/workspace/WorkspaceStateService';
 import mainLogger from '@/utils/mainLogger';
 
 const { Tray, Menu, app, nativeImage } = electron;
@@ -18,6 +21,8 @@ class TrayManager {
   private updateVersion: string | null = null;
   private downloadPercent = 0;
   private upToDateTimer: ReturnType<typeof setTimeout> | null = null;
+  private profiles: RuleProfileSummary[] = [];
+  private activeProfileId: string | null = null;
 
   constructor() {
     this.tray = null;
@@ -83,6 +88,26 @@ class TrayManager {
     }
   }
 
+  private getProfileMenuItems(): MenuItemConstructorOptions[] {
+    if (this.profiles.length === 0) return [];
+    return [
+      {
+        label: 'Profiles',
+        submenu: this.profiles.map((profile) => ({
+          label: profile.name,
+          type: 'radio' as const,
+          checked: profile.id === this.activeProfileId,
+          click: () => {
+            workspaceStateService
+              .applyProfile(profile.id)
+              .catch((e) => log.error(`Failed to apply profile ${profile.id}:`, errorMessage(e)));
+          },
+        })),
+      },
+      { type: 'separator' },
+    ];
+  }
+
   private rebuildContextMenu() {
     if (!this.tray) return;
 
@@ -96,6 +121,7 @@ class TrayManager {
         click: () => windowManager.hideWindow(),
       },
       { type: 'separator' },
+      ...this.getProfileMenuItems(),
       {
         label: 'Settings',
         click: () => {
@@ -144,6 +170,16 @@ class TrayManager {
     }
   }
 
+  /**
+   * Update the tray menu's profile switcher.
+   * Called by WorkspaceStateService whenever profiles or the active profile change.
+   */
+  setProfiles(profiles: RuleProfileSummary[], activeProfileId: string | null) {
+    this.profiles = profiles;
+    this.activeProfileId = activeProfileId;
+    this.rebuildContextMenu();
+  }
+
   findTrayIcon() {
     let trayIcon: NativeImage | null = null;
 
@@ -1,6 +1,19 @@
 import type { HeaderRule, Source } from '@openheaders/core';
 import electron from 'electron';
-import type { CacheEntry, CacheStats, ProxyCertificateInfo, ProxyRule, ProxyStatus } from '@/types/proxy';
+import type {
+  CacheEntry,
+  CacheStats,
+  ProxyCAInfo,
+  ProxyCacheBundleResult,
+  ProxyCacheExportFilter,
+  ProxyCachePolicy,
+  ProxyCertificateInfo,
+  ProxyFaultRule,
+  ProxyMockRule,
+  ProxyRule,
+  ProxyStatus,
+  ProxyTrafficEntry,
+} from '@/types/proxy';
 
 const { ipcRenderer } = electron;
 
@@ -14,6 +27,18 @@ const proxyAPI = {
     ipcRenderer.invoke('proxy-save-rule', rule),
   proxyDeleteRule: (ruleId: string): Promise<{ success: boolean; error?: string }> =>
     ipcRenderer.invoke('proxy-delete-rule', ruleId),
+  proxyGetMockRules: (): Promise<ProxyMockRule[]> => ipcRenderer.invoke('proxy-get-mock-rules'),
+  proxySaveMockRule: (rule: ProxyMockRule): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-save-mock-rule', rule),
+  proxyDeleteMockRule: (ruleId: string): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-delete-mock-rule', ruleId),
+  proxyGetFaultRules: (): Promise<ProxyFaultRule[]> => ipcRenderer.invoke('proxy-get-fault-rules'),
+  proxySaveFaultRule: (rule: ProxyFaultRule): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-save-fault-rule', rule),
+  proxyDeleteFaultRule: (ruleId: string): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-delete-fault-rule', ruleId),
+  proxyResetFaultStats: (): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-reset-fault-stats'),
   proxyUpdateSource: (sourceId: string, value: string): void =>
     ipcRenderer.send('proxy-update-source', sourceId, value),
   proxyUpdateSources: (sources: Source[]): void => ipcRenderer.send('proxy-update-sources', sources),
@@ -23,6 +48,24 @@ const proxyAPI = {
   proxyGetCacheEntries: (): Promise<CacheEntry[]> => ipcRenderer.invoke('proxy-get-cache-entries'),
   proxySetCacheEnabled: (enabled: boolean): Promise<{ success: boolean; error?: string }> =>
     ipcRenderer.invoke('proxy-set-cache-enabled', enabled),
+  proxySetCachePolicies: (policies: ProxyCachePolicy[]): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-set-cache-policies', policies),
+  proxyExportCache: (
+    filter: ProxyCacheExportFilter,
+  ): Promise<{
+    success: boolean;
+    path?: string;
+    result?: ProxyCacheBundleResult;
+    canceled?: boolean;
+    error?: string;
+  }> => ipcRenderer.invoke('proxy-export-cache', filter),
+  proxyImportCache: (): Promise<{
+    success: boolean;
+    path?: string;
+    result?: ProxyCacheBundleResult;
+    canceled?: boolean;
+    error?: string;
+  }> => ipcRenderer.invoke('proxy-import-cache'),
   proxyUpdateHeaderRules: (headerRules: HeaderRule[]): Promise<{ success: boolean; error?: string }> =>
     ipcRenderer.invoke('proxy-update-header-rules', headerRules),
   proxyClearRules: (): Promise<{ success: boolean; error?: string }> => ipcRenderer.invoke('proxyClearRules'),
@@ -38,6 +81,25 @@ const proxyAPI = {
   proxyRemoveCertificateException: (domain: string): Promise<{ success: boolean; error?: string }> =>
     ipcRenderer.invoke('proxy-remove-certificate-exception', domain),
   proxyGetCertificateInfo: (): Promise<ProxyCertificateInfo> => ipcRenderer.invoke('proxy-get-certificate-info'),
+
+  proxySetHttpsInterception: (enabled: boolean): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-set-https-interception', enabled),
+  proxyGetCAInfo: (): Promise<ProxyCAInfo> => ipcRenderer.invoke('proxy-get-ca-info'),
+  proxyGenerateCA: (): Promise<{ success: boolean; info?: ProxyCAInfo; error?: string }> =>
+    ipcRenderer.invoke('proxy-generate-ca'),
+  proxyExportCA: (): Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-export-ca'),
+
+  proxyGetTraffic: (): Promise<{ entries: ProxyTrafficEntry[]; captureBodies: boolean }> =>
+    ipcRenderer.invoke('proxy-get-traffic'),
+  proxyClearTraffic: (): Promise<{ success: boolean; error?: string }> => ipcRenderer.invoke('proxy-clear-traffic'),
+  proxySetTrafficCaptureBodies: (enabled: boolean): Promise<{ success: boolean; error?: string }> =>
+    ipcRenderer.invoke('proxy-set-traffic-capture-bodies', enabled),
+  onProxyTrafficUpdated: (callback: (entries: ProxyTrafficEntry[]) => void): (() => void) => {
+    const handler = (_event: Electron.IpcRendererEvent, entries: ProxyTrafficEntry[]) => callback(entries);
+    ipcRenderer.on('proxy-traffic-updated', handler);
+    return () => ipcRenderer.removeListener('proxy-traffic-updated', handler);
+  },
 };
 
 export default proxyAPI;
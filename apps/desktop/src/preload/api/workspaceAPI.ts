@@ -1,4 +1,4 @@
-import type { OperationResult } from '@openheaders/core';
+import type { OperationResult, RuleHitStatsMap } from '@openheaders/core';
 import type { IpcRendererEvent } from 'electron';
 import electron from 'electron';
 import type { EnvironmentConfigData, EnvironmentMap, EnvironmentSchema } from '@/types/environment';
@@ -79,6 +79,14 @@ interface EnvironmentLinkData {
 const workspaceAPI = {
   // WebSocket status
   wsGetConnectionStatus: (): Promise<WsConnectionStatus> => ipcRenderer.invoke('ws-get-connection-status'),
+  wsGetDisabledTagGroups: (): Promise<string[]> => ipcRenderer.invoke('ws-get-disabled-tag-groups'),
+  wsGetRuleHits: (): Promise<RuleHitStatsMap> => ipcRenderer.invoke('ws-get-rule-hits'),
+  wsClearRuleHits: (ruleIds?: string[]): Promise<OperationResult> => ipcRenderer.invoke('ws-clear-rule-hits', ruleIds),
+  onRuleHitsUpdated: (callback: (stats: RuleHitStatsMap) => void): (() => void) => {
+    const subscription = (_event: IpcRendererEvent, stats: RuleHitStatsMap) => callback(stats);
+    ipcRenderer.on('rule-hits-updated', subscription);
+    return () => ipcRenderer.removeListener('rule-hits-updated', subscription);
+  },
 
   // Core workspace operations
   initializeWorkspaceSync: (workspaceId: string): Promise<OperationResult> =>
@@ -6,16 +6,26 @@
  * incremental state patches via IPC events.
  */
 
-import type { HeaderRule, Source, SourceUpdate } from '@openheaders/core';
+import type {
+  HeaderRule,
+  PayloadRule,
+  RuleProfile,
+  ScriptRule,
+  Source,
+  SourceUpdate,
+  UrlRule,
+} from '@openheaders/core';
 import { ipcRenderer } from 'electron';
+import type { ProfileInput, ProfileUpdate } from '@/services/workspace/state';
 import type { WorkspaceState } from '@/services/workspace/WorkspaceStateService';
 import type { EnvironmentMap } from '@/types/environment';
+import type { HistoryEntrySummary, HistoryState } from '@/types/history';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceType } from '@/types/workspace';
 
 export interface WorkspaceStatePatch {
   sources?: Source[];
-  rules?: { header: HeaderRule[]; request: unknown[]; response: unknown[] };
+  rules?: { header: HeaderRule[]; request: PayloadRule[]; response: unknown[]; url?: UrlRule[]; script?: ScriptRule[] };
   proxyRules?: ProxyRule[];
   workspaces?: Workspace[];
   activeWorkspaceId?: string;
@@ -26,6 +36,9 @@ export interface WorkspaceStatePatch {
   isWorkspaceSwitching?: boolean;
   environments?: EnvironmentMap;
   activeEnvironment?: string;
+  profiles?: RuleProfile[];
+  activeProfileId?: string | null;
+  history?: HistoryState;
 }
 
 export interface SwitchProgress {
@@ -53,6 +66,20 @@ interface UpdateSourceResult extends OperationResult {
   source?: Source | null;
 }
 
+interface ProfileResult extends OperationResult {
+  profile?: RuleProfile;
+}
+
+interface ImportProfilesResult extends OperationResult {
+  imported?: number;
+  skipped?: number;
+}
+
+interface HistoryStepResult extends OperationResult {
+  /** The entry that was undone or redone; null when there was nothing to do */
+  entry?: HistoryEntrySummary | null;
+}
+
 interface CreateWorkspaceResult extends OperationResult {
   workspace?: Workspace;
 }
@@ -97,6 +124,43 @@ export function createWorkspaceStateAPI() {
     removeHeaderRule: (ruleId: string): Promise<OperationResult> =>
       ipcRenderer.invoke('workspace-state:remove-header-rule', ruleId),
 
+    updateHeaderRulesBatch: (
+      updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>,
+    ): Promise<OperationResult> => ipcRenderer.invoke('workspace-state:update-header-rules-batch', updates),
+
+    removeHeaderRulesBatch: (ruleIds: string[]): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:remove-header-rules-batch', ruleIds),
+
+    // Payload Rule CRUD
+    addPayloadRule: (ruleData: Partial<PayloadRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:add-payload-rule', ruleData),
+
+    updatePayloadRule: (ruleId: string, updates: Partial<PayloadRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:update-payload-rule', ruleId, updates),
+
+    removePayloadRule: (ruleId: string): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:remove-payload-rule', ruleId),
+
+    // URL Rule CRUD
+    addUrlRule: (ruleData: Partial<UrlRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:add-url-rule', ruleData),
+
+    updateUrlRule: (ruleId: string, updates: Partial<UrlRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:update-url-rule', ruleId, updates),
+
+    removeUrlRule: (ruleId: string): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:remove-url-rule', ruleId),
+
+    // Script Rule CRUD
+    addScriptRule: (ruleData: Partial<ScriptRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:add-script-rule', ruleData),
+
+    updateScriptRule: (ruleId: string, updates: Partial<ScriptRule>): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:update-script-rule', ruleId, updates),
+
+    removeScriptRule: (ruleId: string): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:remove-script-rule', ruleId),
+
     // Proxy Rule CRUD
     addProxyRule: (ruleData: ProxyRule): Promise<OperationResult> =>
       ipcRenderer.invoke('workspace-state:add-proxy-rule', ruleData),
@@ -147,6 +211,33 @@ export function createWorkspaceStateAPI() {
       variables: Array<{ name: string; value: string | null; isSecret?: boolean }>,
     ): Promise<OperationResult> => ipcRenderer.invoke('workspace-state:batch-set-variables', environment, variables),
 
+    // Rule profiles
+    createProfile: (input: ProfileInput): Promise<ProfileResult> =>
+      ipcRenderer.invoke('workspace-state:create-profile', input),
+
+    updateProfile: (profileId: string, updates: ProfileUpdate): Promise<ProfileResult> =>
+      ipcRenderer.invoke('workspace-state:update-profile', profileId, updates),
+
+    recaptureProfile: (profileId: string): Promise<ProfileResult> =>
+      ipcRenderer.invoke('workspace-state:recapture-profile', profileId),
+
+    deleteProfile: (profileId: string): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:delete-profile', profileId),
+
+    importProfiles: (profiles: RuleProfile[], replace: boolean): Promise<ImportProfilesResult> =>
+      ipcRenderer.invoke('workspace-state:import-profiles', profiles, replace),
+
+    applyProfile: (profileId: string): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:apply-profile', profileId),
+
+    // Change history
+    undo: (): Promise<HistoryStepResult> => ipcRenderer.invoke('workspace-state:undo'),
+
+    redo: (): Promise<HistoryStepResult> => ipcRenderer.invoke('workspace-state:redo'),
+
+    restoreHistoryItem: (entryId: string, changeIndex: number): Promise<OperationResult> =>
+      ipcRenderer.invoke('workspace-state:restore-history-item', entryId, changeIndex),
+
     // IPC event listeners (main → renderer)
     onStatePatch: (callback: (patch: WorkspaceStatePatch) => void): (() => void) => {
       const handler = (_event: Electron.IpcRendererEvent, patch: WorkspaceStatePatch) => callback(patch);
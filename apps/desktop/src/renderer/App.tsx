@@ -16,6 +16,7 @@ import {
   useEnvironments,
   useHeaderRules,
   useSources,
+  useUrlRules,
   useWorkspaces,
 } from './hooks/useCentralizedWorkspace';
 import { useExportImport } from './hooks/useExportImport';
@@ -28,9 +29,10 @@ const AppComponent: React.FC = () => {
 
   const { workspaces, activeWorkspaceId, createWorkspace, switchWorkspace } = useWorkspaces();
   const { addRule: addHeaderRule, updateRule: updateHeaderRule, removeRule: removeHeaderRule } = useHeaderRules();
+  const { addRule: addUrlRule, removeRule: removeUrlRule } = useUrlRules();
 
   // App initialization state — used for skeleton → content transition
-  const { isReady, rules } = useCentralizedWorkspace();
+  const { isReady, rules, profiles, service: workspaceService } = useCentralizedWorkspace();
 
   // Workspace switching UX
   const { switchState } = useWorkspaceSwitch();
@@ -93,9 +95,13 @@ const AppComponent: React.FC = () => {
     createWorkspace,
     switchWorkspace,
     rules,
+    profiles,
     addHeaderRule,
     updateHeaderRule,
     removeHeaderRule,
+    importProfiles: (importedProfiles, replace) => workspaceService.importProfiles(importedProfiles, replace),
+    addUrlRule,
+    removeUrlRule,
     environments,
     createEnvironment,
     setVariable,
@@ -2,6 +2,8 @@ import { Layout, Space, Tag, Typography } from 'antd';
 import type React from 'react';
 import BrowserConnectionStatus from '@/renderer/components/status/BrowserConnectionStatus';
 import EnvironmentStatus from '@/renderer/components/status/EnvironmentStatus';
+import HistoryStatus from '@/renderer/components/status/HistoryStatus';
+import ProfileStatus from '@/renderer/components/status/ProfileStatus';
 import WorkspaceStatus from '@/renderer/components/status/WorkspaceStatus';
 
 const { Footer } = Layout;
@@ -42,7 +44,9 @@ export function AppFooter({ appVersion: appVersionProp, debugComponents }: AppFo
 
         <div className="footer-right">
           <Space size="small">
+            <HistoryStatus />
             <WorkspaceStatus />
+            <ProfileStatus />
             <EnvironmentStatus />
             <BrowserConnectionStatus />
           </Space>
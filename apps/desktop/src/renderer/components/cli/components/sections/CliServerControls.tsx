@@ -245,11 +245,13 @@ const CliServerControls = ({
     health: `curl http://127.0.0.1:${status.port}/cli/health \\\n  -H "Authorization: Bearer ${tokenValue}"`,
     workspaceJoin: `curl -X POST http://127.0.0.1:${status.port}/cli/workspace/join \\\n  -H "Authorization: Bearer ${tokenValue}" \\\n  -H "Content-Type: application/json" \\\n  -d '{\n    "repoUrl": "https://github.com/org/repo.git",\n    "branch": "main",\n    "configPath": "config/open-headers.json",\n    "workspaceName": "My Team",\n    "authType": "token",\n    "authData": {"token": "ghp_...", "tokenType": "auto"},\n    "inviterName": "John"\n  }'`,
     envImport: `curl -X POST http://127.0.0.1:${status.port}/cli/environments/import \\\n  -H "Authorization: Bearer ${tokenValue}" \\\n  -H "Content-Type: application/json" \\\n  -d '{\n    "environments": {\n      "Default": {\n        "API_KEY": {"value": "sk-...", "isSecret": true}\n      }\n    }\n  }'`,
+    rulesSimulate: `curl -X POST http://127.0.0.1:${status.port}/cli/rules/simulate \\\n  -H "Authorization: Bearer ${tokenValue}" \\\n  -H "Content-Type: application/json" \\\n  -d '{\n    "url": "https://api.example.com/v1/users",\n    "method": "POST",\n    "resourceType": "xmlhttprequest"\n  }'`,
   };
   const psCmds = {
     health: `Invoke-RestMethod -Uri "http://127.0.0.1:${status.port}/cli/health" \`\n  -Headers @{"Authorization" = "Bearer ${tokenValue}"}`,
     workspaceJoin: `$body = @{\n    repoUrl = "https://github.com/org/repo.git"\n    branch = "main"\n    configPath = "config/open-headers.json"\n    workspaceName = "My Team"\n    authType = "token"\n    authData = @{token = "ghp_..."; tokenType = "auto"}\n    inviterName = "John"\n} | ConvertTo-Json -Depth 3\n\nInvoke-RestMethod -Uri "http://127.0.0.1:${status.port}/cli/workspace/join" \`\n  -Method POST \`\n  -Headers @{"Authorization" = "Bearer ${tokenValue}"} \`\n  -ContentType "application/json" \`\n  -Body $body`,
     envImport: `$body = @{\n    environments = @{\n        Default = @{\n            API_KEY = @{value = "sk-..."; isSecret = $true}\n        }\n    }\n} | ConvertTo-Json -Depth 5\n\nInvoke-RestMethod -Uri "http://127.0.0.1:${status.port}/cli/environments/import" \`\n  -Method POST \`\n  -Headers @{"Authorization" = "Bearer ${tokenValue}"} \`\n  -ContentType "application/json" \`\n  -Body $body`,
+    rulesSimulate: `$body = @{\n    url = "https://api.example.com/v1/users"\n    method = "POST"\n    resourceType = "xmlhttprequest"\n} | ConvertTo-Json\n\nInvoke-RestMethod -Uri "http://127.0.0.1:${status.port}/cli/rules/simulate" \`\n  -Method POST \`\n  -Headers @{"Authorization" = "Bearer ${tokenValue}"} \`\n  -ContentType "application/json" \`\n  -Body $body`,
   };
   const cmds = shellType === 'powershell' ? psCmds : curlCmds;
 
@@ -588,6 +590,88 @@ const CliServerControls = ({
                         );
                       })(),
                     },
+                    {
+                      key: 'rules-simulate',
+                      label: (
+                        <Text>
+                          <Text code>POST /cli/rules/simulate</Text> — Show which header rules apply to a URL and the
+                          values they would send.
+                        </Text>
+                      ),
+                      children: (() => {
+                        return (
+                          <>
+                            <CodeBlock cmd={cmds.rulesSimulate} />
+                            <table style={paramTableStyle}>
+                              <thead>
+                                <tr>
+                                  <th style={thStyle}>Parameter</th>
+                                  <th style={thStyle}>Required</th>
+                                  <th style={thStyle}>Description</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                <tr>
+                                  <td style={tdStyle}>
+                                    <Text code style={paramCodeStyle}>
+                                      url
+                                    </Text>
+                                  </td>
+                                  <td style={tdReqStyle}>Yes</td>
+                                  <td style={tdStyle}>Full URL of the request to evaluate</td>
+                                </tr>
+                                <tr>
+                                  <td style={tdStyle}>
+                                    <Text code style={paramCodeStyle}>
+                                      method
+                                    </Text>
+                                  </td>
+                                  <td style={tdOptStyle}>No</td>
+                                  <td style={tdStyle}>
+                                    HTTP method. Default:{' '}
+                                    <Text code style={paramCodeStyle}>
+                                      GET
+                                    </Text>
+                                  </td>
+                                </tr>
+                                <tr>
+                                  <td style={tdStyle}>
+                                    <Text code style={paramCodeStyle}>
+                                      resourceType
+                                    </Text>
+                                  </td>
+                                  <td style={tdOptStyle}>No</td>
+                                  <td style={tdStyle}>
+                                    Browser resource type. Default:{' '}
+                                    <Text code style={paramCodeStyle}>
+                                      main_frame
+                                    </Text>
+                                  </td>
+                                </tr>
+                                <tr>
+                                  <td style={tdStyle}>
+                                    <Text code style={paramCodeStyle}>
+                                      initiator
+                                    </Text>
+                                  </td>
+                                  <td style={tdOptStyle}>No</td>
+                                  <td style={tdStyle}>Domain of the page making the request</td>
+                                </tr>
+                                <tr>
+                                  <td style={tdStyle}>
+                                    <Text code style={paramCodeStyle}>
+                                      disabledTagGroups
+                                    </Text>
+                                  </td>
+                                  <td style={tdOptStyle}>No</td>
+                                  <td style={tdStyle}>Rule tags to treat as paused</td>
+                                </tr>
+                              </tbody>
+                            </table>
+                          </>
+                        );
+                      })(),
+                    },
                   ]}
                 />
               </Space>
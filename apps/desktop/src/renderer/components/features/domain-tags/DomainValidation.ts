@@ -11,11 +11,20 @@
  * - Localhost and loopback address support
  * - Protocol prefix handling (http://, https://)
  * - Path suffix handling for URL patterns
+ * - Regular expressions (/pattern/) and negated patterns (!example.com)
  *
  * @module DomainValidation
  * @since 3.0.0
  */
 
+import { validateUrlPattern } from '@openheaders/core';
+
+interface DomainValidationResult {
+  valid: boolean;
+  message?: string;
+  sanitized?: string;
+}
+
 /**
  * Validates domain pattern and returns validation result with sanitized value
  *
@@ -48,7 +57,7 @@
  * const result = validateDomain('invalid..domain');
  * // { valid: false, message: 'Invalid domain pattern' }
  */
-export const validateDomain = (domain: string) => {
+export const validateDomain = (domain: string): DomainValidationResult => {
   // Check for empty or whitespace-only input
   if (!domain?.trim()) {
     return { valid: false, message: 'Domain cannot be empty' };
@@ -68,6 +77,19 @@ export const validateDomain = (domain: string) => {
     return { valid: true, sanitized: domain.trim() };
   }
 
+  // Negated patterns exclude URLs; the pattern after "!" must be valid on its own
+  const trimmed = domain.trim();
+  if (trimmed.startsWith('!')) {
+    const inner = validateDomain(trimmed.slice(1));
+    return inner.valid ? { valid: true, sanitized: `!${inner.sanitized}` } : inner;
+  }
+
+  // Regular expressions must compile and stay within what browsers support
+  if (/^\/.+\/$/.test(trimmed)) {
+    const { valid, message } = validateUrlPattern(trimmed);
+    return valid ? { valid: true, sanitized: trimmed } : { valid: false, message };
+  }
+
   // Basic domain pattern validation - matches standard domain format
   // Allows optional wildcard prefix (*.domain.com) and standard domain components
   const domainPattern =
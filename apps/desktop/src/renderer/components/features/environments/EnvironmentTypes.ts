@@ -2,11 +2,6 @@
  * Type definitions and validation utilities for environment variables
  */
 
-/**
- * Regular expression for variable template syntax: {{VARIABLE_NAME}}
- */
-export const VARIABLE_TEMPLATE_REGEX = /{{(\w+)}}/g;
-
 /**
  * Validation pattern for environment variable names
  * Must be uppercase letters and numbers, optionally separated by underscores
@@ -3,9 +3,9 @@
  */
 
 import type { HeaderRule, Source } from '@openheaders/core';
+import { findTemplateVariables } from '@openheaders/core';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
 import type { EnvironmentMap, EnvironmentVariables } from '@/types/environment';
-import { VARIABLE_TEMPLATE_REGEX } from './EnvironmentTypes';
 
 const log = createLogger('EnvironmentUtils');
 
@@ -29,8 +29,7 @@ interface VariableUsageInfo {
 export const extractVariables = (text: string): string[] => {
   if (!text) return [];
 
-  const matches = text.match(VARIABLE_TEMPLATE_REGEX) || [];
-  return matches.map((match) => match.slice(2, -2)); // Remove {{ and }}
+  return findTemplateVariables(text);
 };
 
 /**
@@ -0,0 +1,125 @@
+import { RedoOutlined, RollbackOutlined, UndoOutlined } from '@ant-design/icons';
+import { Button, Empty, Modal, Space, Table, Tag, Tooltip, Typography } from 'antd';
+import { getTimeAgo } from '@/renderer/components/features/workspaces/utils';
+import { useChangeHistory } from '@/renderer/hooks/workspace';
+import type { HistoryChangeSummary, HistoryCollection, HistoryEntrySummary, HistoryOperation } from '@/types/history';
+
+const { Text } = Typography;
+
+const COLLECTION_LABELS: Record<HistoryCollection, string> = {
+  sources: 'Source',
+  headerRules: 'Header rule',
+  payloadRules: 'Payload rule',
+  urlRules: 'URL rule',
+  scriptRules: 'Script rule',
+  proxyRules: 'Proxy rule',
+  environments: 'Environment',
+};
+
+const OPERATION_TAGS: Record<HistoryOperation, { color: string; text: string }> = {
+  create: { color: 'green', text: 'Created' },
+  update: { color: 'blue', text: 'Edited' },
+  delete: { color: 'red', text: 'Deleted' },
+};
+
+/**
+ * ChangeHistoryModal - Browse the workspace change journal, undo/redo and restore single items
+ *  props.visible - Whether the modal is visible
+ *  props.onClose - Handler for closing the modal
+ */
+interface ChangeHistoryModalProps {
+  visible: boolean;
+  onClose: () => void;
+}
+
+const ChangeHistoryModal = ({ visible, onClose }: ChangeHistoryModalProps) => {
+  const { entries, canUndo, canRedo, undo, redo, restoreItem } = useChangeHistory();
+
+  const renderChanges = (entry: HistoryEntrySummary) => (
+    <Space orientation="vertical" size={4} style={{ width: '100%' }}>
+      {entry.changes.map((change: HistoryChangeSummary, index) => {
+        const tag = OPERATION_TAGS[change.operation];
+        return (
+          <Space
+            key={`${change.collection}-${change.itemId}`}
+            style={{ width: '100%', justifyContent: 'space-between' }}
+          >
+            <Space size={8}>
+              <Tag color={tag.color}>{tag.text}</Tag>
+              <Text type="secondary">{COLLECTION_LABELS[change.collection]}</Text>
+              <Text>{change.label}</Text>
+            </Space>
+            <Tooltip title={change.operation === 'create' ? 'Remove this item' : 'Put this item back as it was before'}>
+              <Button size="small" icon={<RollbackOutlined />} onClick={() => restoreItem(entry.id, index)}>
+                {change.operation === 'create' ? 'Remove' : 'Restore'}
+              </Button>
+            </Tooltip>
+          </Space>
+        );
+      })}
+    </Space>
+  );
+
+  const columns = [
+    {
+      key: 'description',
+      render: (_: unknown, entry: HistoryEntrySummary) => (
+        <Space size={8}>
+          <Text delete={entry.undone} type={entry.undone ? 'secondary' : undefined}>
+            {entry.description}
+          </Text>
+          {entry.changes.length > 1 && <Text type="secondary">({entry.changes.length} items)</Text>}
+          {entry.undone && <Tag>Undone</Tag>}
+        </Space>
+      ),
+    },
+    {
+      key: 'timestamp',
+      width: 110,
+      align: 'right' as const,
+      render: (_: unknown, entry: HistoryEntrySummary) => (
+        <Tooltip title={new Date(entry.timestamp).toLocaleString()}>
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            {getTimeAgo(new Date(entry.timestamp))}
+          </Text>
+        </Tooltip>
+      ),
+    },
+  ];
+
+  return (
+    <Modal title="Change History" open={visible} onCancel={onClose} footer={null} width={680} destroyOnHidden>
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+          <Text type="secondary">
+            Changes to sources, rules and environments in this workspace. Expand an entry to restore a single item.
+          </Text>
+          <Space.Compact>
+            <Tooltip title="Undo (Ctrl+Z)">
+              <Button icon={<UndoOutlined />} disabled={!canUndo} onClick={undo} />
+            </Tooltip>
+            <Tooltip title="Redo (Ctrl+Shift+Z)">
+              <Button icon={<RedoOutlined />} disabled={!canRedo} onClick={redo} />
+            </Tooltip>
+          </Space.Compact>
+        </Space>
+
+        {entries.length === 0 ? (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No changes recorded yet" />
+        ) : (
+          <Table<HistoryEntrySummary>
+            size="small"
+            rowKey="id"
+            showHeader={false}
+            pagination={{ pageSize: 10, size: 'small', hideOnSinglePage: true }}
+            dataSource={entries}
+            columns={columns}
+            expandable={{ expandedRowRender: renderChanges }}
+          />
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default ChangeHistoryModal;
@@ -0,0 +1,116 @@
+import { DeleteOutlined, SyncOutlined } from '@ant-design/icons';
+import type { RuleProfile } from '@openheaders/core';
+import { Button, Empty, Input, Modal, Popconfirm, Space, Table, Tag, Tooltip, Typography } from 'antd';
+import { useState } from 'react';
+import { useProfiles } from '@/renderer/hooks/workspace';
+
+const { Text } = Typography;
+
+/**
+ * ProfileManagerModal - Save the current rule state as a profile and manage saved ones
+ *  props.visible - Whether the modal is visible
+ *  props.onClose - Handler for closing the modal
+ */
+interface ProfileManagerModalProps {
+  visible: boolean;
+  onClose: () => void;
+}
+
+const ProfileManagerModal = ({ visible, onClose }: ProfileManagerModalProps) => {
+  const { profiles, activeProfileId, createProfile, renameProfile, recaptureProfile, deleteProfile } = useProfiles();
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    setSaving(true);
+    const created = await createProfile(newName);
+    setSaving(false);
+    if (created) setNewName('');
+  };
+
+  const columns = [
+    {
+      key: 'name',
+      render: (_: unknown, profile: RuleProfile) => (
+        <Space size={8}>
+          <Text
+            editable={{
+              triggerType: ['text', 'icon'],
+              onChange: (name) => {
+                if (name.trim() && name !== profile.name) void renameProfile(profile.id, name);
+              },
+            }}
+          >
+            {profile.name}
+          </Text>
+          {profile.id === activeProfileId && <Tag color="blue">Active</Tag>}
+          {profile.environment && (
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {profile.environment}
+            </Text>
+          )}
+        </Space>
+      ),
+    },
+    {
+      key: 'actions',
+      width: 90,
+      render: (_: unknown, profile: RuleProfile) => (
+        <Space size={0}>
+          <Tooltip title="Update from current state">
+            <Button type="text" size="small" icon={<SyncOutlined />} onClick={() => recaptureProfile(profile.id)} />
+          </Tooltip>
+          <Popconfirm
+            title="Delete profile?"
+            description={`Are you sure you want to delete '${profile.name}'?`}
+            onConfirm={() => deleteProfile(profile.id)}
+          >
+            <Tooltip title="Delete">
+              <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+            </Tooltip>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Modal title="Rule Profiles" open={visible} onCancel={onClose} footer={null} width={560} destroyOnHidden>
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary">
+          A profile remembers which rules, extension tag groups and environment are active, so you can switch between
+          setups like "Admin user" or "Guest" in one click.
+        </Text>
+
+        <Space.Compact style={{ width: '100%' }}>
+          <Input
+            placeholder="Profile name, e.g. Staging backend"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onPressEnter={handleCreate}
+            maxLength={80}
+          />
+          <Button type="primary" loading={saving} disabled={!newName.trim()} onClick={handleCreate}>
+            Save current state
+          </Button>
+        </Space.Compact>
+
+        {profiles.length === 0 ? (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No profiles yet" />
+        ) : (
+          <Table<RuleProfile>
+            size="small"
+            rowKey="id"
+            pagination={false}
+            showHeader={false}
+            dataSource={profiles}
+            columns={columns}
+          />
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default ProfileManagerModal;
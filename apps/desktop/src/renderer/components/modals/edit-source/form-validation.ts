@@ -1,4 +1,5 @@
 import type { JsonFilter, SourceHeader, SourceQueryParam } from '@openheaders/core';
+import { findUnresolvedVariables, validateTemplate } from '@openheaders/core';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
 
 const log = createLogger('FormValidation');
@@ -20,6 +21,21 @@ interface FormInstance {
   getFieldValue(name: ['requestOptions', 'body']): string | undefined;
 }
 
+/**
+ * The first problem with the templates in a value: an invalid expression or a
+ * variable that is not defined in the current environment. Null if there is none.
+ */
+const findTemplateProblem = (value: string, envContext: FormEnvContext): string | null => {
+  const validation = validateTemplate(value);
+  if (!validation.valid) return validation.message || 'Invalid template';
+
+  const [varName] = findUnresolvedVariables(value, envContext.getAllVariables());
+  if (!varName) return null;
+
+  log.debug(`Variable "${varName}" not found in environment "${envContext.activeEnvironment}"`);
+  return `Environment variable "${varName}" is not defined in the current environment "${envContext.activeEnvironment}"`;
+};
+
 /**
  * Validates environment variables in a value string
  */
@@ -33,29 +49,9 @@ const validateEnvironmentVariables = (value: string, envContext: FormEnvContext)
   }
 
   // Check for environment variable pattern {{VAR}}
-  const envVarMatches = value.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    // Get fresh environment variables from the context
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    log.debug('Checking env vars:', {
-      matches: envVarMatches,
-      activeEnv: currentActiveEnv,
-      availableVars: Object.keys(envVars),
-    });
-
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        log.debug(`Variable "${varName}" not found in environment "${currentActiveEnv}"`);
-        return Promise.reject(
-          new Error(
-            `Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-          ),
-        );
-      }
-    }
+  const problem = findTemplateProblem(value, envContext);
+  if (problem) {
+    return Promise.reject(new Error(problem));
   }
 
   return Promise.resolve();
@@ -105,21 +101,9 @@ const validateHeadersForVariables = (
   for (const [index, header] of headers.entries()) {
     if (header?.value) {
       // Check for environment variables
-      const envVarMatches = header.value.match(/{{([^}]+)}}/g);
-      if (envVarMatches) {
-        const envVars = envContext.getAllVariables();
-        const currentActiveEnv = envContext.activeEnvironment;
-
-        for (const match of envVarMatches) {
-          const varName = match.slice(2, -2).trim();
-          if (!envVars[varName]) {
-            return Promise.reject(
-              new Error(
-                `${fieldName} "${header.key || `#${index + 1}`}": Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-              ),
-            );
-          }
-        }
+      const problem = findTemplateProblem(header.value, envContext);
+      if (problem) {
+        return Promise.reject(new Error(`${fieldName} "${header.key || `#${index + 1}`}": ${problem}`));
       }
 
       // Check for TOTP code
@@ -151,21 +135,9 @@ const validateQueryParamsForVariables = (
   for (const [index, param] of queryParams.entries()) {
     if (param?.value) {
       // Check for environment variables
-      const envVarMatches = param.value.match(/{{([^}]+)}}/g);
-      if (envVarMatches) {
-        const envVars = envContext.getAllVariables();
-        const currentActiveEnv = envContext.activeEnvironment;
-
-        for (const match of envVarMatches) {
-          const varName = match.slice(2, -2).trim();
-          if (!envVars[varName]) {
-            return Promise.reject(
-              new Error(
-                `Query param "${param.key || `#${index + 1}`}": Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-              ),
-            );
-          }
-        }
+      const problem = findTemplateProblem(param.value, envContext);
+      if (problem) {
+        return Promise.reject(new Error(`Query param "${param.key || `#${index + 1}`}": ${problem}`));
       }
     }
   }
@@ -182,21 +154,9 @@ const validateQueryParamsForVariables = (
 const validateBodyForVariables = (body: string | null | undefined, envContext: FormEnvContext): Promise<void> => {
   if (!body) return Promise.resolve();
 
-  const envVarMatches = body.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        return Promise.reject(
-          new Error(
-            `Request body: Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-          ),
-        );
-      }
-    }
+  const problem = findTemplateProblem(body, envContext);
+  if (problem) {
+    return Promise.reject(new Error(`Request body: ${problem}`));
   }
 
   return Promise.resolve();
@@ -214,21 +174,9 @@ const validateJsonFilterForVariables = (
 ): Promise<void> => {
   if (!jsonFilter?.enabled || !jsonFilter.path) return Promise.resolve();
 
-  const envVarMatches = jsonFilter.path.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        return Promise.reject(
-          new Error(
-            `JSON filter path: Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-          ),
-        );
-      }
-    }
+  const problem = findTemplateProblem(jsonFilter.path, envContext);
+  if (problem) {
+    return Promise.reject(new Error(`JSON filter path: ${problem}`));
   }
 
   return Promise.resolve();
@@ -246,21 +194,9 @@ const validateTotpSecretForVariables = (
 ): Promise<void> => {
   if (!totpSecret) return Promise.resolve();
 
-  const envVarMatches = totpSecret.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        return Promise.reject(
-          new Error(
-            `TOTP secret: Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-          ),
-        );
-      }
-    }
+  const problem = findTemplateProblem(totpSecret, envContext);
+  if (problem) {
+    return Promise.reject(new Error(`TOTP secret: ${problem}`));
   }
 
   return Promise.resolve();
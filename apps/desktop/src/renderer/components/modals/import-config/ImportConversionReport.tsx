@@ -0,0 +1,72 @@
+import { SwapOutlined } from '@ant-design/icons';
+import { Alert, Card, List, Space, Typography } from 'antd';
+import {
+  FOREIGN_FORMAT_LABELS,
+  type ForeignImportResult,
+} from '@/renderer/services/export-import/utilities/ForeignFormatConversion';
+
+const { Text } = Typography;
+
+/**
+ * ImportConversionReport component for ModHeader/Requestly imports
+ * Shows what was converted and lists everything that could not be
+ *
+ *  conversion - Result of converting the selected file
+ */
+interface ImportConversionReportProps {
+  conversion: ForeignImportResult | null;
+}
+
+const ImportConversionReport = ({ conversion }: ImportConversionReportProps) => {
+  if (!conversion) {
+    return null;
+  }
+
+  const label = FOREIGN_FORMAT_LABELS[conversion.format];
+  const { headerRuleCount, urlRuleCount, issues } = conversion;
+
+  return (
+    <Card
+      size="small"
+      title={
+        <Space>
+          <SwapOutlined />
+          Converted from {label}
+        </Space>
+      }
+    >
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        <Text>
+          {headerRuleCount} header {headerRuleCount === 1 ? 'rule' : 'rules'} and {urlRuleCount} URL{' '}
+          {urlRuleCount === 1 ? 'rule' : 'rules'} will be imported.
+        </Text>
+        {issues.length === 0 ? (
+          <Alert title="Everything in this file was converted." type="success" showIcon />
+        ) : (
+          <>
+            <Alert
+              title={`${issues.length} ${issues.length === 1 ? 'item' : 'items'} could not be fully converted`}
+              description="Review these after importing; the affected settings have no Open Headers equivalent."
+              type="warning"
+              showIcon
+            />
+            <List
+              size="small"
+              dataSource={issues}
+              style={{ maxHeight: 200, overflow: 'auto' }}
+              renderItem={(issue) => (
+                <List.Item>
+                  <Text>
+                    <Text strong>{issue.item}</Text>: {issue.reason}
+                  </Text>
+                </List.Item>
+              )}
+            />
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default ImportConversionReport;
@@ -17,6 +17,7 @@ interface ImportItemsSelectorProps {
   fileInfo: {
     sourceCount?: number;
     ruleCount?: number;
+    profileCount?: number;
     proxyRuleCount?: number;
     hasSources?: boolean;
     hasRules?: boolean;
@@ -74,6 +75,7 @@ const ImportItemsSelector = ({
             <Space>
               <Text>Header Rules</Text>
               <Badge count={fileInfo.ruleCount} showZero style={{ backgroundColor: '#95de64' }} />
+              {!!fileInfo.profileCount && <Text type="secondary">with {fileInfo.profileCount} profile(s)</Text>}
               <Tooltip title="Rules for modifying HTTP headers, URLs, and page content">
                 <QuestionCircleOutlined style={{ fontSize: 12, color: '#8c8c8c' }} />
               </Tooltip>
@@ -5,7 +5,12 @@ import { useCallback, useEffect, useState } from 'react';
 import { DATA_FORMAT_VERSION } from '@/config/version.esm';
 import { useWorkspaces } from '@/renderer/contexts';
 import type { ImportOptions, WorkspaceData } from '@/renderer/services/export-import/core/types';
+import {
+  convertForeignImport,
+  type ForeignImportResult,
+} from '@/renderer/services/export-import/utilities/ForeignFormatConversion';
 import type { EnvironmentConfigData, EnvironmentMap } from '@/types/environment';
+import ImportConversionReport from './ImportConversionReport';
 import ImportEnvironmentSelector from './ImportEnvironmentSelector';
 import ImportFileAnalysis from './ImportFileAnalysis';
 import ImportFileSelector from './ImportFileSelector';
@@ -34,6 +39,8 @@ interface FileAnalysis {
   environmentCount: number;
   sourceCount: number;
   ruleCount: number;
+  ruleBreakdown: Record<string, number>;
+  profileCount: number;
   proxyRuleCount: number;
   isEmpty: boolean;
   rawData: ConfigData;
@@ -45,6 +52,7 @@ interface ConfigData {
   sources?: unknown[];
   rules?: unknown;
   proxyRules?: unknown[];
+  profiles?: unknown[];
   environments?: EnvironmentMap;
   environmentSchema?: unknown;
   workspace?: WorkspaceData;
@@ -97,6 +105,7 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
     environmentCount: 0,
   });
   const [workspaceInfo, setWorkspaceInfo] = useState<WorkspaceData | null>(null);
+  const [conversion, setConversion] = useState<ForeignImportResult | null>(null);
 
   const analyzeConfigData = useCallback((data: ConfigData): FileAnalysis => {
     let totalVariableCount = 0;
@@ -105,7 +114,19 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
 
     // Count sources, rules, and proxy rules
     const sourceCount = Array.isArray(data.sources) ? data.sources.length : 0;
-    const ruleCount = Array.isArray(data.rules) ? data.rules.length : 0;
+    // Rules are exported grouped by type ({ header: [...], url: [...] })
+    const ruleBreakdown: Record<string, number> = {};
+    if (data.rules && typeof data.rules === 'object' && !Array.isArray(data.rules)) {
+      Object.entries(data.rules as Record<string, unknown>).forEach(([type, list]) => {
+        if (Array.isArray(list) && list.length > 0) {
+          ruleBreakdown[type] = list.length;
+        }
+      });
+    }
+    const ruleCount = Array.isArray(data.rules)
+      ? data.rules.length
+      : Object.values(ruleBreakdown).reduce((sum, count) => sum + count, 0);
+    const profileCount = Array.isArray(data.profiles) ? data.profiles.length : 0;
     const proxyRuleCount = Array.isArray(data.proxyRules) ? data.proxyRules.length : 0;
 
     // Extract available environments
@@ -131,6 +152,8 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
       environmentCount: environmentCount,
       sourceCount: sourceCount,
       ruleCount: ruleCount,
+      ruleBreakdown: ruleBreakdown,
+      profileCount: profileCount,
       proxyRuleCount: proxyRuleCount,
       isEmpty: totalVariableCount === 0 && sourceCount === 0 && ruleCount === 0 && proxyRuleCount === 0,
       rawData: data,
@@ -249,7 +272,14 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
   const handleFileSelection = async (file: File, isEnvironmentFile = false) => {
     try {
       const content = await file.text();
-      const data = JSON.parse(content);
+      const parsed = JSON.parse(content);
+
+      // ModHeader/Requestly exports are previewed as the rules they convert to
+      const converted = isEnvironmentFile ? null : convertForeignImport(parsed);
+      if (!isEnvironmentFile) {
+        setConversion(converted);
+      }
+      const data = converted ? converted.data : parsed;
       const analysis = analyzeConfigData(data);
 
       // Update available environments
@@ -509,6 +539,7 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
       environmentCount: 0,
     });
     setWorkspaceInfo(null);
+    setConversion(null);
     setAvailableEnvironments({});
     setSelectedEnvironments({});
     setSelectedItems({
@@ -584,6 +615,7 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
               onFileRemove={() => {
                 setFiles((prev) => ({ ...prev, single: null, sources: null }));
                 setFileInfo(null);
+                setConversion(null);
                 setCombinedEnvInfo({
                   hasEnvironmentSchema: false,
                   hasEnvironments: false,
@@ -621,6 +653,9 @@ const ImportModal = ({ visible, onClose, onImport, preloadedEnvData }: ImportMod
                 combinedEnvInfo={combinedEnvInfo}
               />
 
+              {/* ModHeader/Requestly conversion report */}
+              <ImportConversionReport conversion={conversion} />
+
               {/* Item Selection */}
               <ImportItemsSelector
                 fileInfo={fileInfo}
@@ -31,7 +31,8 @@ const ImportWarnings = ({ importMode, selectedItems, combinedEnvInfo }: ImportWa
           description={
             <div>
               <Text>
-                Sources, rules, and proxy rules will be completely replaced - all existing items will be deleted.
+                Sources, rules, rule profiles, and proxy rules will be completely replaced - all existing items will be
+                deleted.
               </Text>
               <br />
               <Text strong>Environment variables:</Text> Only variables with matching names will be replaced. Others
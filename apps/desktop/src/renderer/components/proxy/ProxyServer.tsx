@@ -1,5 +1,14 @@
-import { ProxyCacheSection, ProxyRulesSection, ProxyServerControls } from './components';
-import { useProxyServer } from './hooks';
+import {
+  ProxyCachePoliciesSection,
+  ProxyCacheSection,
+  ProxyFaultsSection,
+  ProxyHttpsSection,
+  ProxyMocksSection,
+  ProxyRulesSection,
+  ProxyServerControls,
+  ProxyTrafficSection,
+} from './components';
+import { useProxyServer, useProxyTraffic } from './hooks';
 
 /**
  * ProxyServer - Main proxy server management component
@@ -17,13 +26,24 @@ import { useProxyServer } from './hooks';
  * Core Functionality:
  * - Proxy server start/stop operations with configurable port
  * - Proxy rule management (custom headers and header rule references)
+ * - Mock responses served in place of the origin
+ * - Latency, bandwidth and fault injection with per-rule hit statistics
  * - Resource cache management for improved replay performance
+ * - Per-domain cache policies on top of the origin's HTTP caching headers
  * - Real-time cache statistics and monitoring
+ * - Cache bundles for sharing cached resources between machines
  * - Integration with workspace-based header rules
+ * - Forward proxy mode with optional HTTPS interception via a local CA
+ * - Live traffic inspector with filtering and copy as cURL
  *
  * Component Structure:
  * - ProxyServerControls: Server start/stop, port config, educational content
  * - ProxyRulesSection: Complete rule management with table and forms
+ * - ProxyMocksSection: Mock response rules with table and form
+ * - ProxyFaultsSection: Fault injection rules with table, form and hit statistics
+ * - ProxyHttpsSection: Forward proxy usage, HTTPS interception and CA management
+ * - ProxyTrafficSection: Live request journal with headers before/after rules
+ * - ProxyCachePoliciesSection: Per-domain cache policies with table and form
  * - ProxyCacheSection: Cache statistics, controls, and detailed entries
  *
  * Technical Notes:
@@ -39,6 +59,9 @@ const ProxyServer = () => {
     // State
     proxyStatus,
     rules,
+    mockRules,
+    faultRules,
+    faultStats,
     headerRules,
     sources,
     loading,
@@ -46,6 +69,9 @@ const ProxyServer = () => {
     cacheEnabled,
     cacheEntries,
     showCacheDetails,
+    cachePolicies,
+    caInfo,
+    httpsInterception,
     settings,
 
     // Actions
@@ -54,11 +80,28 @@ const ProxyServer = () => {
     saveRule,
     deleteRule,
     toggleRule,
+    saveMockRule,
+    deleteMockRule,
+    toggleMockRule,
+    saveFaultRule,
+    deleteFaultRule,
+    toggleFaultRule,
+    resetFaultStats,
     clearCache,
+    exportCache,
+    importCache,
     toggleCache,
     toggleCacheDetails,
+    saveCachePolicy,
+    deleteCachePolicy,
+    toggleCachePolicy,
+    toggleHttpsInterception,
+    generateCA,
+    exportCA,
   } = useProxyServer();
 
+  const traffic = useProxyTraffic();
+
   return (
     <div style={{ padding: '24px' }}>
       <ProxyServerControls
@@ -78,6 +121,55 @@ const ProxyServer = () => {
         onToggleRule={toggleRule}
       />
 
+      <ProxyMocksSection
+        mockRules={mockRules}
+        onSaveMockRule={saveMockRule}
+        onDeleteMockRule={deleteMockRule}
+        onToggleMockRule={toggleMockRule}
+      />
+
+      <ProxyFaultsSection
+        faultRules={faultRules}
+        faultStats={faultStats}
+        onSaveFaultRule={saveFaultRule}
+        onDeleteFaultRule={deleteFaultRule}
+        onToggleFaultRule={toggleFaultRule}
+        onResetFaultStats={resetFaultStats}
+      />
+
+      <ProxyCachePoliciesSection
+        cachePolicies={cachePolicies}
+        onSaveCachePolicy={saveCachePolicy}
+        onDeleteCachePolicy={deleteCachePolicy}
+        onToggleCachePolicy={toggleCachePolicy}
+      />
+
+      <ProxyHttpsSection
+        port={proxyStatus.port}
+        caInfo={caInfo}
+        httpsInterception={httpsInterception}
+        onToggleHttpsInterception={toggleHttpsInterception}
+        onGenerateCA={generateCA}
+        onExportCA={exportCA}
+      />
+
+      {proxyStatus.running && (
+        <ProxyTrafficSection
+          entries={traffic.entries}
+          allEntries={traffic.allEntries}
+          appliedRules={traffic.appliedRules}
+          captureBodies={traffic.captureBodies}
+          filterDomain={traffic.filterDomain}
+          filterStatus={traffic.filterStatus}
+          filterRuleId={traffic.filterRuleId}
+          onSetFilters={traffic.setFilters}
+          onClearFilters={traffic.clearFilters}
+          onClearTraffic={traffic.clearTraffic}
+          onToggleCaptureBodies={traffic.toggleCaptureBodies}
+          onCopyAsCurl={traffic.copyAsCurl}
+        />
+      )}
+
       {proxyStatus.running && cacheStats && (
         <ProxyCacheSection
           cacheStats={cacheStats}
@@ -86,6 +178,8 @@ const ProxyServer = () => {
           showCacheDetails={showCacheDetails}
           onToggleCache={toggleCache}
           onClearCache={clearCache}
+          onExportCache={exportCache}
+          onImportCache={importCache}
           onToggleCacheDetails={toggleCacheDetails}
         />
       )}
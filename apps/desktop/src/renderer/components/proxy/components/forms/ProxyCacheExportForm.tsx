@@ -0,0 +1,97 @@
+import { CloseOutlined, ExportOutlined } from '@ant-design/icons';
+import { Button, DatePicker, Form, Modal, Space, Typography } from 'antd';
+import type { Dayjs } from 'dayjs';
+import { useEffect, useState } from 'react';
+import DomainTags from '@/renderer/components/features/domain-tags';
+import type { ProxyCacheExportFilter } from '@/types/proxy';
+
+const { Text } = Typography;
+const { RangePicker } = DatePicker;
+
+/**
+ * ProxyCacheExportForm - Modal form choosing which cached resources to export
+ *
+ * Narrows the export to URL patterns and/or the time the resources were cached,
+ * e.g. everything one recording session pulled from a design system CDN. Leaving
+ * both empty exports the whole cache.
+ *
+ *  visible - Whether the modal is visible
+ *  onCancel - Callback when modal is cancelled
+ *  onExport - Callback with the filter; resolves once the export has finished
+ *  Cache export form modal
+ */
+interface ProxyCacheExportFormProps {
+  visible: boolean;
+  onCancel: () => void;
+  onExport: (filter: ProxyCacheExportFilter) => Promise<boolean>;
+}
+
+interface CacheExportFormValues {
+  domains?: string[];
+  cachedBetween?: [Dayjs | null, Dayjs | null] | null;
+}
+
+const ProxyCacheExportForm = ({ visible, onCancel, onExport }: ProxyCacheExportFormProps) => {
+  const [form] = Form.useForm<CacheExportFormValues>();
+  const [exporting, setExporting] = useState(false);
+
+  // Form initialization effect
+  useEffect(() => {
+    if (visible) form.resetFields();
+  }, [form, visible]);
+
+  // Form submission handler
+  const handleSubmit = async (values: CacheExportFormValues) => {
+    const [from, to] = values.cachedBetween ?? [];
+    setExporting(true);
+    try {
+      await onExport({
+        domains: values.domains?.length ? values.domains : undefined,
+        since: from ? from.valueOf() : undefined,
+        until: to ? to.valueOf() : undefined,
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Modal title="Export Proxy Cache" open={visible} onCancel={onCancel} footer={null} width={560} destroyOnHidden>
+      <Form form={form} layout="vertical" onFinish={handleSubmit} autoComplete="off">
+        <Form.Item
+          label="Domains"
+          name="domains"
+          extra={<Text type="secondary">Only resources from matching URLs; leave empty for all</Text>}
+        >
+          <DomainTags />
+        </Form.Item>
+
+        <Form.Item
+          label="Cached Between"
+          name="cachedBetween"
+          extra={<Text type="secondary">Only resources cached in this period; leave empty for any time</Text>}
+        >
+          <RangePicker showTime allowEmpty={[true, true]} size="small" style={{ width: '100%' }} />
+        </Form.Item>
+
+        <Space style={{ width: '100%', justifyContent: 'center', padding: '8px 0 16px' }}>
+          <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+            Cancel
+          </Button>
+          <Button
+            type="primary"
+            htmlType="submit"
+            icon={<ExportOutlined />}
+            size="small"
+            loading={exporting}
+            style={{ minWidth: 100 }}
+          >
+            Export
+          </Button>
+        </Space>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ProxyCacheExportForm;
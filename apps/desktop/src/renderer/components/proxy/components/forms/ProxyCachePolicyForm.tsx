@@ -0,0 +1,182 @@
+import { CloseOutlined, SaveOutlined } from '@ant-design/icons';
+import { Button, Form, Input, Modal, Radio, Select, Space, Typography } from 'antd';
+import { useEffect } from 'react';
+import type { ProxyCacheMode, ProxyCachePolicy } from '@/types/proxy';
+import { DomainConfig } from './ProxyRuleFormFields';
+import { validateRuleName } from './ProxyRuleFormValidation';
+
+const { Text } = Typography;
+
+export const CACHE_MODE_OPTIONS: Array<{ value: ProxyCacheMode; label: string; description: string }> = [
+  {
+    value: 'respect-origin',
+    label: 'Respect origin',
+    description: 'Follow Cache-Control, Expires and Vary; revalidate stale copies with ETag / Last-Modified',
+  },
+  {
+    value: 'always',
+    label: 'Always',
+    description: 'Keep every response and serve it without asking the origin until it ages out',
+  },
+  {
+    value: 'offline-first',
+    label: 'Offline first',
+    description: 'Respect the origin while it is reachable; serve the stored copy when it is not',
+  },
+  {
+    value: 'never',
+    label: 'Never',
+    description: 'Always go to the origin and store nothing',
+  },
+];
+
+/**
+ * ProxyCachePolicyForm - Modal form for creating and editing cache policies
+ *
+ * Configures which requests a policy covers (URL patterns), how the cache treats
+ * them, and which query parameters are left out of the cache key so that cache
+ * busters and tracking parameters do not create duplicate entries.
+ *
+ *  visible - Whether the modal is visible
+ *  policy - Existing policy for editing, null for creation
+ *  onCancel - Callback when modal is cancelled
+ *  onSave - Callback with the policy data when the form is submitted
+ *  Cache policy form modal
+ */
+interface ProxyCachePolicyFormProps {
+  visible: boolean;
+  policy: ProxyCachePolicy | null;
+  onCancel: () => void;
+  onSave: (policy: ProxyCachePolicy) => void;
+}
+
+interface CachePolicyFormValues {
+  name?: string;
+  domains?: string[];
+  mode: ProxyCacheMode;
+  ignoreQueryParams?: string[];
+}
+
+const ProxyCachePolicyForm = ({ visible, policy, onCancel, onSave }: ProxyCachePolicyFormProps) => {
+  const [form] = Form.useForm<CachePolicyFormValues>();
+  const mode = Form.useWatch('mode', form);
+
+  // Form initialization effect
+  useEffect(() => {
+    if (!visible) return;
+    if (policy) {
+      form.setFieldsValue({
+        name: policy.name,
+        domains: policy.domains || [],
+        mode: policy.mode,
+        ignoreQueryParams: policy.ignoreQueryParams || [],
+      });
+    } else {
+      form.resetFields();
+    }
+  }, [policy, form, visible]);
+
+  // Form submission handler
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      onSave({
+        id: policy?.id || '',
+        name: values.name,
+        enabled: policy?.enabled !== false,
+        domains: values.domains || [],
+        mode: values.mode,
+        ignoreQueryParams: (values.ignoreQueryParams || []).map((param) => param.trim()).filter(Boolean),
+      });
+    } catch (_error) {
+      // Form validation failed - this is expected when user hasn't filled required fields
+    }
+  };
+
+  return (
+    <Modal
+      title={policy ? 'Edit Cache Policy' : 'Add Cache Policy'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={640}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form
+        form={form}
+        layout="vertical"
+        onFinish={handleSubmit}
+        autoComplete="off"
+        scrollToFirstError
+        initialValues={{ mode: 'respect-origin', ignoreQueryParams: [] }}
+      >
+        {/* Policy Name */}
+        <Form.Item name="name" label="Policy Name" rules={validateRuleName}>
+          <Input placeholder="e.g., Design system CDN" size="small" />
+        </Form.Item>
+
+        <DomainConfig />
+
+        <Form.Item
+          name="mode"
+          label="Caching"
+          extra={
+            <Text type="secondary">{CACHE_MODE_OPTIONS.find((option) => option.value === mode)?.description}</Text>
+          }
+        >
+          <Radio.Group size="small" optionType="button">
+            {CACHE_MODE_OPTIONS.map((option) => (
+              <Radio.Button key={option.value} value={option.value}>
+                {option.label}
+              </Radio.Button>
+            ))}
+          </Radio.Group>
+        </Form.Item>
+
+        <Form.Item
+          name="ignoreQueryParams"
+          label="Ignored Query Parameters"
+          extra={<Text type="secondary">Left out of the cache key; end with * to match a prefix, e.g. utm_*</Text>}
+        >
+          <Select mode="tags" size="small" placeholder="e.g., v, _t, utm_*" tokenSeparators={[',', ' ']} open={false} />
+        </Form.Item>
+
+        {/* Sticky Footer */}
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: 'var(--ant-color-bg-container, #fff)',
+            borderTop: '1px solid rgba(0, 0, 0, 0.06)',
+            padding: '16px 0',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            paddingLeft: 24,
+            paddingRight: 24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {policy ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ProxyCachePolicyForm;
@@ -0,0 +1,235 @@
+import { CloseOutlined, SaveOutlined } from '@ant-design/icons';
+import { Button, Divider, Form, Input, InputNumber, Modal, Space, Typography } from 'antd';
+import { useEffect } from 'react';
+import type { ProxyFaultRule } from '@/types/proxy';
+import { DomainConfig } from './ProxyRuleFormFields';
+import { validateRuleName } from './ProxyRuleFormValidation';
+
+const { Text } = Typography;
+
+/**
+ * ProxyFaultForm - Modal form for creating and editing fault injection rules
+ *
+ * Configures which requests a rule degrades (URL patterns) and how: added latency,
+ * a bandwidth cap, an error status, dropped connections and truncated bodies, each
+ * at a chosen percentage of matching requests. An optional seed makes the sequence
+ * of outcomes repeatable.
+ *
+ *  visible - Whether the modal is visible
+ *  rule - Existing fault rule for editing, null for creation
+ *  onCancel - Callback when modal is cancelled
+ *  onSave - Callback with the rule data when the form is submitted
+ *  Fault rule form modal
+ */
+interface ProxyFaultFormProps {
+  visible: boolean;
+  rule: ProxyFaultRule | null;
+  onCancel: () => void;
+  onSave: (rule: ProxyFaultRule) => void;
+}
+
+interface FaultFormValues {
+  name?: string;
+  domains?: string[];
+  latencyMs?: number | null;
+  latencyMaxMs?: number | null;
+  bandwidthKBps?: number | null;
+  errorStatus?: number | null;
+  errorRate?: number | null;
+  resetRate?: number | null;
+  truncateAfterBytes?: number | null;
+  truncateRate?: number | null;
+  seed?: number | null;
+}
+
+/** Cleared number inputs come back as null; the stored rule leaves them out */
+const optional = (value: number | null | undefined): number | undefined => value ?? undefined;
+
+const percentRules = [{ type: 'number' as const, min: 0, max: 100, message: 'Enter a percentage (0-100)' }];
+
+const ProxyFaultForm = ({ visible, rule, onCancel, onSave }: ProxyFaultFormProps) => {
+  const [form] = Form.useForm<FaultFormValues>();
+
+  // Form initialization effect
+  useEffect(() => {
+    if (!visible) return;
+    if (rule) {
+      form.setFieldsValue({
+        name: rule.name,
+        domains: rule.domains || [],
+        latencyMs: rule.latencyMs,
+        latencyMaxMs: rule.latencyMaxMs,
+        bandwidthKBps: rule.bandwidthKBps,
+        errorStatus: rule.errorStatus,
+        errorRate: rule.errorRate,
+        resetRate: rule.resetRate,
+        truncateAfterBytes: rule.truncateAfterBytes,
+        truncateRate: rule.truncateRate,
+        seed: rule.seed,
+      });
+    } else {
+      form.resetFields();
+    }
+  }, [rule, form, visible]);
+
+  // Form submission handler
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      onSave({
+        id: rule?.id || '',
+        name: values.name,
+        enabled: rule?.enabled !== false,
+        domains: values.domains || [],
+        latencyMs: optional(values.latencyMs),
+        latencyMaxMs: optional(values.latencyMaxMs),
+        bandwidthKBps: optional(values.bandwidthKBps),
+        errorStatus: optional(values.errorStatus),
+        errorRate: optional(values.errorRate),
+        resetRate: optional(values.resetRate),
+        truncateAfterBytes: optional(values.truncateAfterBytes),
+        truncateRate: optional(values.truncateRate),
+        seed: optional(values.seed),
+      });
+    } catch (_error) {
+      // Form validation failed - this is expected when user hasn't filled required fields
+    }
+  };
+
+  return (
+    <Modal
+      title={rule ? 'Edit Fault Rule' : 'Add Fault Rule'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={640}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form form={form} layout="vertical" onFinish={handleSubmit} autoComplete="off" scrollToFirstError>
+        {/* Rule Name */}
+        <Form.Item name="name" label="Rule Name" rules={validateRuleName}>
+          <Input placeholder="e.g., Flaky payments API" size="small" />
+        </Form.Item>
+
+        <DomainConfig />
+
+        <Divider style={{ margin: '16px 0' }} />
+
+        <Text strong style={{ display: 'block', marginBottom: 8 }}>
+          Slow Network
+        </Text>
+
+        <Form.Item label="Latency (ms)" extra={<Text type="secondary">Set a maximum for a random delay</Text>}>
+          <Space size="small">
+            <Form.Item name="latencyMs" noStyle rules={[{ type: 'number', min: 0 }]}>
+              <InputNumber size="small" min={0} placeholder="Min" style={{ width: 120 }} />
+            </Form.Item>
+            <Text type="secondary">to</Text>
+            <Form.Item
+              name="latencyMaxMs"
+              noStyle
+              dependencies={['latencyMs']}
+              rules={[
+                ({ getFieldValue }) => ({
+                  validator(_, value: number | null | undefined) {
+                    const min = getFieldValue('latencyMs');
+                    if (value == null || min == null || value >= min) return Promise.resolve();
+                    return Promise.reject(new Error('Maximum must not be below the minimum'));
+                  },
+                }),
+              ]}
+            >
+              <InputNumber size="small" min={0} placeholder="Max" style={{ width: 120 }} />
+            </Form.Item>
+          </Space>
+        </Form.Item>
+
+        <Form.Item name="bandwidthKBps" label="Bandwidth (KB/s)" rules={[{ type: 'number', min: 1 }]}>
+          <InputNumber size="small" min={1} placeholder="Unlimited" style={{ width: 120 }} />
+        </Form.Item>
+
+        <Divider style={{ margin: '16px 0' }} />
+
+        <Text strong style={{ display: 'block', marginBottom: 8 }}>
+          Failures
+        </Text>
+
+        <Space size="middle" align="start">
+          <Form.Item
+            name="errorStatus"
+            label="Error Status"
+            rules={[{ type: 'integer', min: 100, max: 599, message: 'Enter a status code (100-599)' }]}
+          >
+            <InputNumber size="small" placeholder="e.g., 503" style={{ width: 120 }} />
+          </Form.Item>
+          <Form.Item name="errorRate" label="Error Rate (%)" rules={percentRules}>
+            <InputNumber size="small" min={0} max={100} placeholder="100" style={{ width: 120 }} />
+          </Form.Item>
+        </Space>
+
+        <Form.Item
+          name="resetRate"
+          label="Connection Reset Rate (%)"
+          rules={percentRules}
+          extra={<Text type="secondary">The connection is dropped without a response</Text>}
+        >
+          <InputNumber size="small" min={0} max={100} placeholder="0" style={{ width: 120 }} />
+        </Form.Item>
+
+        <Space size="middle" align="start">
+          <Form.Item name="truncateAfterBytes" label="Truncate After (bytes)" rules={[{ type: 'number', min: 0 }]}>
+            <InputNumber size="small" min={0} placeholder="Never" style={{ width: 120 }} />
+          </Form.Item>
+          <Form.Item name="truncateRate" label="Truncate Rate (%)" rules={percentRules}>
+            <InputNumber size="small" min={0} max={100} placeholder="100" style={{ width: 120 }} />
+          </Form.Item>
+        </Space>
+
+        <Form.Item
+          name="seed"
+          label="Seed"
+          rules={[{ type: 'integer', min: 0 }]}
+          extra={<Text type="secondary">Repeat the same outcomes on every run; leave empty for random</Text>}
+        >
+          <InputNumber size="small" min={0} placeholder="Random" style={{ width: 120 }} />
+        </Form.Item>
+
+        {/* Sticky Footer */}
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: 'var(--ant-color-bg-container, #fff)',
+            borderTop: '1px solid rgba(0, 0, 0, 0.06)',
+            padding: '16px 0',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            paddingLeft: 24,
+            paddingRight: 24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {rule ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ProxyFaultForm;
@@ -0,0 +1,254 @@
+import { CloseOutlined, FolderOpenOutlined, MinusCircleOutlined, PlusOutlined, SaveOutlined } from '@ant-design/icons';
+import { Button, Divider, Form, Input, InputNumber, Modal, Radio, Select, Space, Typography } from 'antd';
+import { useEffect } from 'react';
+import type { ProxyMockBodySource, ProxyMockHeader, ProxyMockRule } from '@/types/proxy';
+import { DomainConfig } from './ProxyRuleFormFields';
+import { validateRuleName } from './ProxyRuleFormValidation';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+const MOCK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * ProxyMockForm - Modal form for creating and editing mock response rules
+ *
+ * Configures which requests a mock answers (URL patterns and methods) and the
+ * response it serves: status, headers and a body that is inline, templated with
+ * environment variables, or read from a file.
+ *
+ *  visible - Whether the modal is visible
+ *  rule - Existing mock rule for editing, null for creation
+ *  onCancel - Callback when modal is cancelled
+ *  onSave - Callback with the rule data when the form is submitted
+ *  Mock rule form modal
+ */
+interface ProxyMockFormProps {
+  visible: boolean;
+  rule: ProxyMockRule | null;
+  onCancel: () => void;
+  onSave: (rule: ProxyMockRule) => void;
+}
+
+interface MockFormValues {
+  name?: string;
+  domains?: string[];
+  methods?: string[];
+  statusCode: number;
+  headers?: ProxyMockHeader[];
+  bodySource: ProxyMockBodySource;
+  body?: string;
+  filePath?: string;
+}
+
+const ProxyMockForm = ({ visible, rule, onCancel, onSave }: ProxyMockFormProps) => {
+  const [form] = Form.useForm<MockFormValues>();
+  const bodySource = Form.useWatch('bodySource', form);
+
+  // Form initialization effect
+  useEffect(() => {
+    if (!visible) return;
+    if (rule) {
+      form.setFieldsValue({
+        name: rule.name,
+        domains: rule.domains || [],
+        methods: rule.methods || [],
+        statusCode: rule.statusCode,
+        headers: rule.headers || [],
+        bodySource: rule.bodySource,
+        body: rule.body || '',
+        filePath: rule.filePath || '',
+      });
+    } else {
+      form.resetFields();
+    }
+  }, [rule, form, visible]);
+
+  const handleBrowse = async () => {
+    const filePath = await window.electronAPI.openFileDialog();
+    if (filePath) form.setFieldsValue({ filePath });
+  };
+
+  // Form submission handler
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      const isFile = values.bodySource === 'file';
+      onSave({
+        ...rule,
+        id: rule?.id || '',
+        name: values.name,
+        enabled: rule?.enabled !== false,
+        domains: values.domains || [],
+        methods: values.methods || [],
+        statusCode: values.statusCode,
+        headers: (values.headers || []).map((header) => ({ name: header.name.trim(), value: header.value || '' })),
+        bodySource: values.bodySource,
+        body: isFile ? undefined : values.body || '',
+        filePath: isFile ? values.filePath?.trim() : undefined,
+      });
+    } catch (_error) {
+      // Form validation failed - this is expected when user hasn't filled required fields
+    }
+  };
+
+  return (
+    <Modal
+      title={rule ? 'Edit Mock Response' : 'Add Mock Response'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={640}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form
+        form={form}
+        layout="vertical"
+        onFinish={handleSubmit}
+        autoComplete="off"
+        scrollToFirstError
+        initialValues={{ statusCode: 200, bodySource: 'inline', methods: [], headers: [] }}
+      >
+        {/* Rule Name */}
+        <Form.Item name="name" label="Rule Name" rules={validateRuleName}>
+          <Input placeholder="e.g., Orders API (not shipped yet)" size="small" />
+        </Form.Item>
+
+        <DomainConfig />
+
+        <Form.Item
+          name="methods"
+          label="Methods"
+          extra={<Text type="secondary">Leave empty to answer every method</Text>}
+        >
+          <Select
+            mode="multiple"
+            size="small"
+            placeholder="Any method"
+            options={MOCK_METHODS.map((method) => ({ label: method, value: method }))}
+          />
+        </Form.Item>
+
+        <Divider style={{ margin: '16px 0' }} />
+
+        <Text strong style={{ display: 'block', marginBottom: 8 }}>
+          Response
+        </Text>
+
+        <Form.Item
+          name="statusCode"
+          label="Status Code"
+          rules={[{ required: true, type: 'integer', min: 100, max: 599, message: 'Enter a status code (100-599)' }]}
+        >
+          <InputNumber size="small" style={{ width: 120 }} />
+        </Form.Item>
+
+        <Form.Item label="Headers" extra={<Text type="secondary">Values may use {'{{variables}}'}</Text>}>
+          <Form.List name="headers">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map(({ key, name, ...restField }) => (
+                  <Space key={key} style={{ display: 'flex', marginBottom: 8 }} align="baseline" size="small">
+                    <Form.Item
+                      {...restField}
+                      name={[name, 'name']}
+                      rules={[{ required: true, whitespace: true, message: 'Missing name' }]}
+                      style={{ marginBottom: 0 }}
+                    >
+                      <Input placeholder="Header name" size="small" />
+                    </Form.Item>
+                    <Form.Item {...restField} name={[name, 'value']} style={{ marginBottom: 0 }}>
+                      <Input placeholder="Value" size="small" />
+                    </Form.Item>
+                    <MinusCircleOutlined onClick={() => remove(name)} />
+                  </Space>
+                ))}
+                <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />} size="small">
+                  Add Header
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </Form.Item>
+
+        <Form.Item name="bodySource" label="Body">
+          <Radio.Group size="small" optionType="button">
+            <Radio.Button value="inline">Inline</Radio.Button>
+            <Radio.Button value="template">Template</Radio.Button>
+            <Radio.Button value="file">File</Radio.Button>
+          </Radio.Group>
+        </Form.Item>
+
+        {bodySource === 'file' ? (
+          <Form.Item
+            label="Body File"
+            required
+            extra={<Text type="secondary">Read on every request, so edits apply straight away</Text>}
+          >
+            <Space.Compact style={{ width: '100%' }}>
+              <Form.Item
+                name="filePath"
+                noStyle
+                rules={[{ required: true, whitespace: true, message: 'Choose the file to serve' }]}
+              >
+                <Input placeholder="/path/to/response.json" size="small" />
+              </Form.Item>
+              <Button size="small" icon={<FolderOpenOutlined />} onClick={handleBrowse}>
+                Browse
+              </Button>
+            </Space.Compact>
+          </Form.Item>
+        ) : (
+          <Form.Item
+            name="body"
+            extra={
+              bodySource === 'template' && (
+                <Text type="secondary">
+                  {'{{variables}}'} from the active environment are resolved on every request
+                </Text>
+              )
+            }
+          >
+            <TextArea rows={6} placeholder='{"orders": []}' style={{ fontFamily: 'monospace', fontSize: 12 }} />
+          </Form.Item>
+        )}
+
+        {/* Sticky Footer */}
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: 'var(--ant-color-bg-container, #fff)',
+            borderTop: '1px solid rgba(0, 0, 0, 0.06)',
+            padding: '16px 0',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            paddingLeft: 24,
+            paddingRight: 24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {rule ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ProxyMockForm;
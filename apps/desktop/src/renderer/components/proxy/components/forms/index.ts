@@ -5,6 +5,10 @@
  * Includes the main form, field components, and validation utilities.
  */
 
+export { default as ProxyCacheExportForm } from './ProxyCacheExportForm';
+export { CACHE_MODE_OPTIONS, default as ProxyCachePolicyForm } from './ProxyCachePolicyForm';
+export { default as ProxyFaultForm } from './ProxyFaultForm';
+export { default as ProxyMockForm } from './ProxyMockForm';
 export * from './ProxyRuleFormFields';
 export { default as ProxyRuleFormModular } from './ProxyRuleFormModular';
 export * from './ProxyRuleFormValidation';
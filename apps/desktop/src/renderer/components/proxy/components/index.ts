@@ -5,7 +5,7 @@
  * Components are now logically grouped into sections, forms, and tables subdirectories.
  *
  * Structure:
- * - sections/: Main UI sections (server controls, rules, cache)
+ * - sections/: Main UI sections (server controls, rules, mocks, HTTPS, traffic, cache)
  * - forms/: Form components and utilities
  * - tables/: Table components and utilities
  */
@@ -18,6 +18,9 @@ export {
   DynamicValueConfig,
   ExistingHeaderRuleSelector,
   HeaderTypeSelector,
+  ProxyCachePolicyForm,
+  ProxyFaultForm,
+  ProxyMockForm,
   ProxyRuleFormModular,
   StaticValueInput,
 } from './forms';
@@ -26,9 +29,14 @@ export * from './sections';
 
 // Convenience re-exports for backward compatibility
 export {
+  ProxyCachePoliciesSection,
   ProxyCacheSection,
+  ProxyFaultsSection,
+  ProxyHttpsSection,
+  ProxyMocksSection,
   ProxyRulesSection,
   ProxyServerControls,
+  ProxyTrafficSection,
 } from './sections';
 // Table components
 export * from './tables';
@@ -0,0 +1,183 @@
+import { DeleteOutlined, EditOutlined, PlusOutlined } from '@ant-design/icons';
+import { Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Typography } from 'antd';
+import { useState } from 'react';
+import { CACHE_MODE_OPTIONS, ProxyCachePolicyForm } from '@/renderer/components/proxy/components/forms';
+import type { ProxyCacheMode, ProxyCachePolicy } from '@/types/proxy';
+
+const { Title, Text } = Typography;
+
+const MODE_COLORS: Record<ProxyCacheMode, string> = {
+  'respect-origin': 'blue',
+  always: 'green',
+  'offline-first': 'purple',
+  never: 'default',
+};
+
+/**
+ * ProxyCachePoliciesSection - Per-domain cache policy management section
+ *
+ * Lists policies that override how the proxy cache treats matching requests. The
+ * first enabled policy that matches wins; everything else follows the origin's own
+ * caching headers. Manages the modal state for the policy form.
+ *
+ *  cachePolicies - Current cache policies, in match order
+ *  onSaveCachePolicy - Callback for policy save operations
+ *  onDeleteCachePolicy - Callback for policy deletion
+ *  onToggleCachePolicy - Callback for policy enable/disable
+ *  Cache policies management section
+ */
+interface ProxyCachePoliciesSectionProps {
+  cachePolicies: ProxyCachePolicy[];
+  onSaveCachePolicy: (policy: ProxyCachePolicy) => Promise<boolean>;
+  onDeleteCachePolicy: (policyId: string) => Promise<boolean>;
+  onToggleCachePolicy: (policyId: string, enabled: boolean) => void;
+}
+
+const ProxyCachePoliciesSection = ({
+  cachePolicies,
+  onSaveCachePolicy,
+  onDeleteCachePolicy,
+  onToggleCachePolicy,
+}: ProxyCachePoliciesSectionProps) => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingPolicy, setEditingPolicy] = useState<ProxyCachePolicy | null>(null);
+
+  const handleAddPolicy = () => {
+    setEditingPolicy(null);
+    setModalVisible(true);
+  };
+
+  const handleEditPolicy = (policy: ProxyCachePolicy) => {
+    setEditingPolicy(policy);
+    setModalVisible(true);
+  };
+
+  const handleSavePolicy = async (policy: ProxyCachePolicy) => {
+    const success = await onSaveCachePolicy(policy);
+    if (success) {
+      setModalVisible(false);
+      setEditingPolicy(null);
+    }
+  };
+
+  const handleCancel = () => {
+    setModalVisible(false);
+    setEditingPolicy(null);
+  };
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: '20%',
+      render: (name: string | undefined) => name || <Text type="secondary">Unnamed</Text>,
+    },
+    {
+      title: 'Matches',
+      key: 'matches',
+      render: (_: unknown, record: ProxyCachePolicy) => (
+        <Space size={[0, 4]} wrap>
+          {record.domains.map((domain) => (
+            <Text key={domain} code style={{ fontSize: 12 }}>
+              {domain}
+            </Text>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: 'Caching',
+      key: 'mode',
+      width: '16%',
+      render: (_: unknown, record: ProxyCachePolicy) => (
+        <Tag color={MODE_COLORS[record.mode]}>
+          {CACHE_MODE_OPTIONS.find((option) => option.value === record.mode)?.label ?? record.mode}
+        </Tag>
+      ),
+    },
+    {
+      title: 'Ignored Params',
+      key: 'ignoreQueryParams',
+      width: '18%',
+      render: (_: unknown, record: ProxyCachePolicy) =>
+        record.ignoreQueryParams?.length ? (
+          <Text style={{ fontSize: 12 }}>{record.ignoreQueryParams.join(', ')}</Text>
+        ) : (
+          <Text type="secondary">None</Text>
+        ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: '8%',
+      align: 'center' as const,
+      render: (_: unknown, record: ProxyCachePolicy) => (
+        <Switch
+          checked={record.enabled !== false}
+          onChange={(checked: boolean) => onToggleCachePolicy(record.id, checked)}
+          size="small"
+        />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: '12%',
+      render: (_: unknown, record: ProxyCachePolicy) => (
+        <Space>
+          <Button type="text" icon={<EditOutlined />} onClick={() => handleEditPolicy(record)} />
+          <Popconfirm
+            title="Delete this cache policy?"
+            onConfirm={() => onDeleteCachePolicy(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="text" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Card style={{ marginTop: '16px' }}>
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <Title level={4} style={{ margin: 0 }}>
+                Cache Policies
+              </Title>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                Requests no policy matches are cached as the origin's Cache-Control and validators allow
+              </Text>
+            </div>
+            <Button type="primary" icon={<PlusOutlined />} onClick={handleAddPolicy}>
+              Add Policy
+            </Button>
+          </div>
+
+          <Table
+            dataSource={cachePolicies}
+            columns={columns}
+            rowKey="id"
+            pagination={false}
+            locale={{
+              emptyText: <Empty description="No cache policies yet" image={Empty.PRESENTED_IMAGE_SIMPLE} />,
+            }}
+          />
+        </Space>
+      </Card>
+
+      <ProxyCachePolicyForm
+        visible={modalVisible}
+        policy={editingPolicy}
+        onCancel={handleCancel}
+        onSave={handleSavePolicy}
+      />
+    </>
+  );
+};
+
+export default ProxyCachePoliciesSection;
@@ -1,6 +1,9 @@
-import { DeleteOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { DeleteOutlined, ExportOutlined, ImportOutlined, InfoCircleOutlined } from '@ant-design/icons';
 import { Button, Card, Progress, Space, Switch, Table, Tooltip, Typography } from 'antd';
+import { useState } from 'react';
+import { ProxyCacheExportForm } from '@/renderer/components/proxy/components/forms';
 import { formatBytes } from '@/renderer/components/proxy/utils';
+import type { ProxyCacheExportFilter } from '@/types/proxy';
 
 const { Title, Text } = Typography;
 
@@ -14,6 +17,7 @@ const { Title, Text } = Typography;
  * - Cache enable/disable toggle with settings persistence
  * - Real-time cache usage statistics and progress indicator
  * - Cache clear functionality with confirmation
+ * - Export of a filtered subset as a bundle, and import of bundles from other machines
  * - Detailed cache entries table with URL, type, size, and timestamp
  * - Responsive design with collapsible details section
  *
@@ -35,6 +39,8 @@ const { Title, Text } = Typography;
  *  showCacheDetails - Whether to show detailed entries table
  *  onToggleCache - Callback for cache enable/disable
  *  onClearCache - Callback for cache clear operation
+ *  onExportCache - Callback for exporting the entries matching a filter
+ *  onImportCache - Callback for importing a cache bundle
  *  onToggleCacheDetails - Callback for details visibility toggle
  *  Cache management section
  */
@@ -60,6 +66,8 @@ interface ProxyCacheSectionProps {
   showCacheDetails: boolean;
   onToggleCache: (enabled: boolean) => void;
   onClearCache: () => Promise<boolean>;
+  onExportCache: (filter: ProxyCacheExportFilter) => Promise<boolean>;
+  onImportCache: () => Promise<boolean>;
   onToggleCacheDetails: () => void;
 }
 
@@ -70,8 +78,18 @@ const ProxyCacheSection = ({
   showCacheDetails,
   onToggleCache,
   onClearCache,
+  onExportCache,
+  onImportCache,
   onToggleCacheDetails,
 }: ProxyCacheSectionProps) => {
+  const [exportVisible, setExportVisible] = useState(false);
+
+  const handleExport = async (filter: ProxyCacheExportFilter) => {
+    const success = await onExportCache(filter);
+    if (success) setExportVisible(false);
+    return success;
+  };
+
   return (
     <Card style={{ marginTop: '16px' }}>
       <Space orientation="vertical" style={{ width: '100%' }}>
@@ -87,14 +105,26 @@ const ProxyCacheSection = ({
               unCheckedChildren="Disabled"
             />
           </Space>
-          <Button
-            danger
-            icon={<DeleteOutlined />}
-            onClick={onClearCache}
-            disabled={!cacheEnabled || !cacheStats?.totalEntries}
-          >
-            Clear Cache
-          </Button>
+          <Space>
+            <Button icon={<ImportOutlined />} onClick={onImportCache}>
+              Import
+            </Button>
+            <Button
+              icon={<ExportOutlined />}
+              onClick={() => setExportVisible(true)}
+              disabled={!cacheStats?.totalEntries}
+            >
+              Export
+            </Button>
+            <Button
+              danger
+              icon={<DeleteOutlined />}
+              onClick={onClearCache}
+              disabled={!cacheEnabled || !cacheStats?.totalEntries}
+            >
+              Clear Cache
+            </Button>
+          </Space>
         </div>
 
         {cacheStats && (
@@ -119,7 +149,7 @@ const ProxyCacheSection = ({
                 </div>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
                   <Text>Cache Duration: </Text>
-                  <Text strong>90 days</Text>
+                  <Text strong>As the origin allows, 90 days at most</Text>
                   <Tooltip
                     title={
                       <div>
@@ -127,11 +157,14 @@ const ProxyCacheSection = ({
                           <strong>Cache Invalidation Policy:</strong>
                         </p>
                         <ul style={{ marginLeft: '16px', marginBottom: 0 }}>
-                          <li>Resources are cached for up to 90 days</li>
-                          <li>Expired entries are automatically removed on access</li>
+                          <li>Cache-Control, Expires and Vary decide what is stored and for how long</li>
+                          <li>Stale entries are revalidated with the origin using ETag / Last-Modified</li>
+                          <li>Cache policies can override this per domain and ignore query parameters</li>
+                          <li>No entry is kept for more than 90 days</li>
                           <li>When cache exceeds 500MB, oldest entries are evicted (LRU)</li>
                           <li>Static resources (CSS, JS, fonts) are cached without auth headers for better reuse</li>
                           <li>You can manually clear the cache anytime using the Clear Cache button</li>
+                          <li>Export bundles a subset of the cache so a teammate can import it and replay offline</li>
                         </ul>
                       </div>
                     }
@@ -201,6 +234,8 @@ const ProxyCacheSection = ({
           </div>
         )}
       </Space>
+
+      <ProxyCacheExportForm visible={exportVisible} onCancel={() => setExportVisible(false)} onExport={handleExport} />
     </Card>
   );
 };
@@ -0,0 +1,218 @@
+import { DeleteOutlined, EditOutlined, PlusOutlined, ReloadOutlined } from '@ant-design/icons';
+import { Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
+import { useState } from 'react';
+import { ProxyFaultForm } from '@/renderer/components/proxy/components/forms';
+import type { ProxyFaultRule, ProxyFaultStats } from '@/types/proxy';
+
+const { Title, Text } = Typography;
+
+/** Short labels for what a rule is configured to do */
+function describeFaults(rule: ProxyFaultRule): string[] {
+  const faults: string[] = [];
+  if (rule.latencyMs || rule.latencyMaxMs) {
+    const min = rule.latencyMs ?? 0;
+    faults.push(rule.latencyMaxMs && rule.latencyMaxMs > min ? `${min}-${rule.latencyMaxMs} ms` : `${min} ms`);
+  }
+  if (rule.bandwidthKBps) faults.push(`${rule.bandwidthKBps} KB/s`);
+  if (rule.errorStatus) faults.push(`${rule.errorStatus} @ ${rule.errorRate ?? 100}%`);
+  if (rule.resetRate) faults.push(`reset @ ${rule.resetRate}%`);
+  if (rule.truncateAfterBytes !== undefined) {
+    faults.push(`truncate ${rule.truncateAfterBytes} B @ ${rule.truncateRate ?? 100}%`);
+  }
+  return faults;
+}
+
+/**
+ * ProxyFaultsSection - Fault injection rules management section
+ *
+ * Lists rules that slow down or break matching requests (latency, bandwidth caps,
+ * error statuses, dropped connections, truncated bodies) so retry logic and loading
+ * states can be exercised, with how often each rule has matched and what it did.
+ * Manages the modal state for the fault rule form.
+ *
+ *  faultRules - Current fault rules
+ *  faultStats - Hit statistics keyed by rule id
+ *  onSaveFaultRule - Callback for rule save operations
+ *  onDeleteFaultRule - Callback for rule deletion
+ *  onToggleFaultRule - Callback for rule enable/disable
+ *  onResetFaultStats - Callback to zero the hit statistics
+ *  Fault injection management section
+ */
+interface ProxyFaultsSectionProps {
+  faultRules: ProxyFaultRule[];
+  faultStats: Record<string, ProxyFaultStats>;
+  onSaveFaultRule: (rule: ProxyFaultRule) => Promise<boolean>;
+  onDeleteFaultRule: (ruleId: string) => Promise<boolean>;
+  onToggleFaultRule: (ruleId: string, enabled: boolean) => void;
+  onResetFaultStats: () => void;
+}
+
+const ProxyFaultsSection = ({
+  faultRules,
+  faultStats,
+  onSaveFaultRule,
+  onDeleteFaultRule,
+  onToggleFaultRule,
+  onResetFaultStats,
+}: ProxyFaultsSectionProps) => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState<ProxyFaultRule | null>(null);
+
+  const handleAddRule = () => {
+    setEditingRule(null);
+    setModalVisible(true);
+  };
+
+  const handleEditRule = (rule: ProxyFaultRule) => {
+    setEditingRule(rule);
+    setModalVisible(true);
+  };
+
+  const handleSaveRule = async (rule: ProxyFaultRule) => {
+    const success = await onSaveFaultRule(rule);
+    if (success) {
+      setModalVisible(false);
+      setEditingRule(null);
+    }
+  };
+
+  const handleCancel = () => {
+    setModalVisible(false);
+    setEditingRule(null);
+  };
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: '18%',
+      render: (name: string | undefined) => name || <Text type="secondary">Unnamed</Text>,
+    },
+    {
+      title: 'Matches',
+      key: 'matches',
+      render: (_: unknown, record: ProxyFaultRule) => (
+        <Space size={[0, 4]} wrap>
+          {record.domains.map((domain) => (
+            <Text key={domain} code style={{ fontSize: 12 }}>
+              {domain}
+            </Text>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: 'Faults',
+      key: 'faults',
+      width: '24%',
+      render: (_: unknown, record: ProxyFaultRule) => {
+        const faults = describeFaults(record);
+        return faults.length ? (
+          <Space size={[0, 4]} wrap>
+            {faults.map((fault) => (
+              <Tag key={fault} color="volcano">
+                {fault}
+              </Tag>
+            ))}
+            {record.seed !== undefined && <Tag>seed {record.seed}</Tag>}
+          </Space>
+        ) : (
+          <Text type="secondary">None</Text>
+        );
+      },
+    },
+    {
+      title: 'Hits',
+      key: 'hits',
+      width: '14%',
+      render: (_: unknown, record: ProxyFaultRule) => {
+        const stats = faultStats[record.id];
+        if (!stats) return <Text type="secondary">0</Text>;
+        return (
+          <Tooltip
+            title={`Delayed ${stats.delayed} · Errors ${stats.errors} · Resets ${stats.resets} · Throttled ${stats.throttled} · Truncated ${stats.truncated}`}
+          >
+            <Text>{stats.hits}</Text>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {' '}
+              ({stats.errors + stats.resets + stats.truncated} failed)
+            </Text>
+          </Tooltip>
+        );
+      },
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: '8%',
+      align: 'center' as const,
+      render: (_: unknown, record: ProxyFaultRule) => (
+        <Switch
+          checked={record.enabled !== false}
+          onChange={(checked: boolean) => onToggleFaultRule(record.id, checked)}
+          size="small"
+        />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: '12%',
+      render: (_: unknown, record: ProxyFaultRule) => (
+        <Space>
+          <Button type="text" icon={<EditOutlined />} onClick={() => handleEditRule(record)} />
+          <Popconfirm
+            title="Delete this fault rule?"
+            onConfirm={() => onDeleteFaultRule(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="text" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Card style={{ marginTop: '16px' }}>
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <Title level={4} style={{ margin: 0 }}>
+                Fault Injection
+              </Title>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                Slow down or break matching requests to test retries and loading states
+              </Text>
+            </div>
+            <Space>
+              <Button icon={<ReloadOutlined />} onClick={onResetFaultStats} disabled={faultRules.length === 0}>
+                Reset Stats
+              </Button>
+              <Button type="primary" icon={<PlusOutlined />} onClick={handleAddRule}>
+                Add Fault
+              </Button>
+            </Space>
+          </div>
+
+          <Table
+            dataSource={faultRules}
+            columns={columns}
+            rowKey="id"
+            pagination={false}
+            locale={{
+              emptyText: <Empty description="No fault rules yet" image={Empty.PRESENTED_IMAGE_SIMPLE} />,
+            }}
+          />
+        </Space>
+      </Card>
+
+      <ProxyFaultForm visible={modalVisible} rule={editingRule} onCancel={handleCancel} onSave={handleSaveRule} />
+    </>
+  );
+};
+
+export default ProxyFaultsSection;
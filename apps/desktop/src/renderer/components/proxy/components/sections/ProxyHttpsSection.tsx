@@ -0,0 +1,201 @@
+import { ExportOutlined, SafetyCertificateOutlined } from '@ant-design/icons';
+import { Alert, Button, Card, Descriptions, Popconfirm, Space, Switch, Tabs, Tooltip, Typography } from 'antd';
+import type { ProxyCAInfo } from '@/types/proxy';
+
+const { Title, Text, Paragraph } = Typography;
+
+/**
+ * ProxyHttpsSection - Forward proxy and HTTPS interception settings
+ *
+ * Explains how to point any HTTP client at the proxy, and manages the local root CA
+ * used to decrypt HTTPS tunnels so header, URL and payload rules apply inside them.
+ *
+ * Features:
+ * - Forward proxy address and example client configuration
+ * - HTTPS interception toggle (available once a CA exists)
+ * - CA generation, regeneration and export
+ * - Per-platform instructions for trusting the CA
+ *
+ *  port - Port the proxy listens on
+ *  caInfo - Current CA details
+ *  httpsInterception - Whether CONNECT tunnels are intercepted
+ *  onToggleHttpsInterception - Callback for the interception toggle
+ *  onGenerateCA - Callback to generate (or replace) the CA
+ *  onExportCA - Callback to save the CA certificate elsewhere
+ *  Forward proxy / HTTPS interception section
+ */
+interface ProxyHttpsSectionProps {
+  port: number;
+  caInfo: ProxyCAInfo | null;
+  httpsInterception: boolean;
+  onToggleHttpsInterception: (enabled: boolean) => void;
+  onGenerateCA: () => Promise<boolean>;
+  onExportCA: () => Promise<boolean>;
+}
+
+const Command = ({ children }: { children: string }) => (
+  <Paragraph copyable code style={{ marginBottom: 8, whiteSpace: 'pre-wrap' }}>
+    {children}
+  </Paragraph>
+);
+
+const getTrustInstructions = (certificatePath: string) => [
+  {
+    key: 'darwin',
+    label: 'macOS',
+    children: (
+      <>
+        <Text>Add the certificate to the System keychain as a trusted root:</Text>
+        <Command>{`sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain "${certificatePath}"`}</Command>
+        <Text type="secondary">
+          iOS Simulator: drag the exported certificate onto the simulator, then enable it under Settings → General →
+          About → Certificate Trust Settings.
+        </Text>
+      </>
+    ),
+  },
+  {
+    key: 'win32',
+    label: 'Windows',
+    children: (
+      <>
+        <Text>Add the certificate to your trusted root store:</Text>
+        <Command>{`certutil -user -addstore Root "${certificatePath}"`}</Command>
+      </>
+    ),
+  },
+  {
+    key: 'linux',
+    label: 'Linux',
+    children: (
+      <>
+        <Text>Debian / Ubuntu:</Text>
+        <Command>{`sudo cp "${certificatePath}" /usr/local/share/ca-certificates/openheaders-proxy-ca.crt && sudo update-ca-certificates`}</Command>
+        <Text>Fedora / RHEL:</Text>
+        <Command>{`sudo cp "${certificatePath}" /etc/pki/ca-trust/source/anchors/openheaders-proxy-ca.pem && sudo update-ca-trust`}</Command>
+      </>
+    ),
+  },
+  {
+    key: 'apps',
+    label: 'Apps & runtimes',
+    children: (
+      <>
+        <Text>Firefox keeps its own store: Settings → Privacy & Security → Certificates → Import.</Text>
+        <br />
+        <Text>Node.js:</Text>
+        <Command>{`NODE_EXTRA_CA_CERTS="${certificatePath}"`}</Command>
+        <Text>curl:</Text>
+        <Command>{`curl --cacert "${certificatePath}" ...`}</Command>
+        <Text>Python (requests):</Text>
+        <Command>{`REQUESTS_CA_BUNDLE="${certificatePath}"`}</Command>
+        <Text type="secondary">
+          Android emulator: install the exported certificate under Settings → Security → Encryption & credentials. Apps
+          only trust user CAs when their network security config allows it.
+        </Text>
+      </>
+    ),
+  },
+];
+
+const ProxyHttpsSection = ({
+  port,
+  caInfo,
+  httpsInterception,
+  onToggleHttpsInterception,
+  onGenerateCA,
+  onExportCA,
+}: ProxyHttpsSectionProps) => {
+  const proxyAddress = `http://127.0.0.1:${port}`;
+  const hasCA = !!caInfo?.exists;
+  const platform = window.electronAPI.platform;
+
+  return (
+    <Card style={{ marginTop: '16px' }}>
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Space>
+            <Title level={4} style={{ margin: 0 }}>
+              Forward Proxy & HTTPS
+            </Title>
+            <Tooltip title={hasCA ? undefined : 'Generate a CA certificate first'}>
+              <Switch
+                checked={httpsInterception && hasCA}
+                onChange={onToggleHttpsInterception}
+                disabled={!hasCA}
+                checkedChildren="Intercepting"
+                unCheckedChildren="Tunnelling"
+              />
+            </Tooltip>
+          </Space>
+          <Space>
+            {hasCA ? (
+              <Popconfirm
+                title="Replace the CA certificate?"
+                description="Clients that trust the current certificate must trust the new one."
+                onConfirm={onGenerateCA}
+                okText="Regenerate"
+              >
+                <Button icon={<SafetyCertificateOutlined />}>Regenerate CA</Button>
+              </Popconfirm>
+            ) : (
+              <Button type="primary" icon={<SafetyCertificateOutlined />} onClick={onGenerateCA}>
+                Generate CA
+              </Button>
+            )}
+            <Button icon={<ExportOutlined />} onClick={onExportCA} disabled={!hasCA}>
+              Export Certificate
+            </Button>
+          </Space>
+        </div>
+
+        <Text type="secondary">
+          Use <Text code>{proxyAddress}</Text> as the HTTP and HTTPS proxy of any client (system settings, curl,
+          simulators, backend services) to apply your rules to its traffic.
+        </Text>
+        <Command>{`curl -x ${proxyAddress} https://example.com`}</Command>
+
+        {!httpsInterception && (
+          <Alert
+            type="info"
+            showIcon
+            title="HTTPS traffic is tunnelled without changes"
+            description="Rules apply to plain HTTP requests only. Turn on interception to apply them to HTTPS as well; clients must then trust the proxy CA."
+          />
+        )}
+
+        {hasCA && caInfo && (
+          <>
+            <Descriptions size="small" column={1} bordered>
+              <Descriptions.Item label="Subject">{caInfo.subject}</Descriptions.Item>
+              <Descriptions.Item label="SHA-256">
+                <Text code style={{ fontSize: '12px', wordBreak: 'break-all' }}>
+                  {caInfo.fingerprint}
+                </Text>
+              </Descriptions.Item>
+              <Descriptions.Item label="Valid until">
+                {caInfo.validTo && new Date(caInfo.validTo).toLocaleDateString()}
+              </Descriptions.Item>
+              <Descriptions.Item label="File">
+                <Text copyable style={{ fontSize: '12px' }}>
+                  {caInfo.certificatePath}
+                </Text>
+              </Descriptions.Item>
+            </Descriptions>
+
+            <Title level={5} style={{ marginBottom: 0 }}>
+              Trust the CA certificate
+            </Title>
+            <Tabs
+              size="small"
+              defaultActiveKey={['darwin', 'win32', 'linux'].includes(platform) ? platform : 'apps'}
+              items={getTrustInstructions(caInfo.certificatePath ?? '')}
+            />
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default ProxyHttpsSection;
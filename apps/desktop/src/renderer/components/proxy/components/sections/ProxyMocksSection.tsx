@@ -0,0 +1,182 @@
+import { DeleteOutlined, EditOutlined, PlusOutlined } from '@ant-design/icons';
+import { Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Typography } from 'antd';
+import { useState } from 'react';
+import { ProxyMockForm } from '@/renderer/components/proxy/components/forms';
+import type { ProxyMockRule } from '@/types/proxy';
+
+const { Title, Text } = Typography;
+
+const BODY_SOURCE_LABELS: Record<ProxyMockRule['bodySource'], string> = {
+  inline: 'Inline',
+  template: 'Template',
+  file: 'File',
+};
+
+/**
+ * ProxyMocksSection - Mock response rules management section
+ *
+ * Lists rules that answer matching requests with a configured response instead of
+ * contacting the origin, so front-end work can go ahead against endpoints that do not
+ * exist yet. Manages the modal state for the mock rule form.
+ *
+ *  mockRules - Current mock rules
+ *  onSaveMockRule - Callback for rule save operations
+ *  onDeleteMockRule - Callback for rule deletion
+ *  onToggleMockRule - Callback for rule enable/disable
+ *  Mock responses management section
+ */
+interface ProxyMocksSectionProps {
+  mockRules: ProxyMockRule[];
+  onSaveMockRule: (rule: ProxyMockRule) => Promise<boolean>;
+  onDeleteMockRule: (ruleId: string) => Promise<boolean>;
+  onToggleMockRule: (ruleId: string, enabled: boolean) => void;
+}
+
+const ProxyMocksSection = ({
+  mockRules,
+  onSaveMockRule,
+  onDeleteMockRule,
+  onToggleMockRule,
+}: ProxyMocksSectionProps) => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState<ProxyMockRule | null>(null);
+
+  const handleAddRule = () => {
+    setEditingRule(null);
+    setModalVisible(true);
+  };
+
+  const handleEditRule = (rule: ProxyMockRule) => {
+    setEditingRule(rule);
+    setModalVisible(true);
+  };
+
+  const handleSaveRule = async (rule: ProxyMockRule) => {
+    const success = await onSaveMockRule(rule);
+    if (success) {
+      setModalVisible(false);
+      setEditingRule(null);
+    }
+  };
+
+  const handleCancel = () => {
+    setModalVisible(false);
+    setEditingRule(null);
+  };
+
+  const columns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: '20%',
+      render: (name: string | undefined) => name || <Text type="secondary">Unnamed</Text>,
+    },
+    {
+      title: 'Matches',
+      key: 'matches',
+      render: (_: unknown, record: ProxyMockRule) => (
+        <Space size={[0, 4]} wrap>
+          {record.methods?.length ? (
+            record.methods.map((method) => (
+              <Tag key={method} color="blue">
+                {method}
+              </Tag>
+            ))
+          ) : (
+            <Tag>ANY</Tag>
+          )}
+          {record.domains.map((domain) => (
+            <Text key={domain} code style={{ fontSize: 12 }}>
+              {domain}
+            </Text>
+          ))}
+        </Space>
+      ),
+    },
+    {
+      title: 'Response',
+      key: 'response',
+      width: '22%',
+      render: (_: unknown, record: ProxyMockRule) => {
+        const color = record.statusCode < 300 ? 'success' : record.statusCode >= 400 ? 'error' : 'warning';
+        return (
+          <Space size={4}>
+            <Tag color={color}>{record.statusCode}</Tag>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {BODY_SOURCE_LABELS[record.bodySource]}
+              {record.headers?.length ? ` · ${record.headers.length} header(s)` : ''}
+            </Text>
+          </Space>
+        );
+      },
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: '8%',
+      align: 'center' as const,
+      render: (_: unknown, record: ProxyMockRule) => (
+        <Switch
+          checked={record.enabled !== false}
+          onChange={(checked: boolean) => onToggleMockRule(record.id, checked)}
+          size="small"
+        />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: '12%',
+      render: (_: unknown, record: ProxyMockRule) => (
+        <Space>
+          <Button type="text" icon={<EditOutlined />} onClick={() => handleEditRule(record)} />
+          <Popconfirm
+            title="Delete this mock?"
+            onConfirm={() => onDeleteMockRule(record.id)}
+            okText="Yes"
+            cancelText="No"
+          >
+            <Button type="text" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <>
+      <Card style={{ marginTop: '16px' }}>
+        <Space orientation="vertical" style={{ width: '100%' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <Title level={4} style={{ margin: 0 }}>
+                Mock Responses
+              </Title>
+              <Text type="secondary" style={{ fontSize: 12 }}>
+                Matching requests are answered by the proxy and never reach the origin
+              </Text>
+            </div>
+            <Button type="primary" icon={<PlusOutlined />} onClick={handleAddRule}>
+              Add Mock
+            </Button>
+          </div>
+
+          <Table
+            dataSource={mockRules}
+            columns={columns}
+            rowKey="id"
+            pagination={false}
+            locale={{
+              emptyText: <Empty description="No mock responses yet" image={Empty.PRESENTED_IMAGE_SIMPLE} />,
+            }}
+          />
+        </Space>
+      </Card>
+
+      <ProxyMockForm visible={modalVisible} rule={editingRule} onCancel={handleCancel} onSave={handleSaveRule} />
+    </>
+  );
+};
+
+export default ProxyMocksSection;
@@ -0,0 +1,330 @@
+import { CopyOutlined, DeleteOutlined, FilterOutlined } from '@ant-design/icons';
+import { Button, Card, Empty, Input, Select, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
+import type React from 'react';
+import { useState } from 'react';
+import type { TrafficFilterUpdate, TrafficStatusFilter } from '@/renderer/components/proxy/hooks/useProxyTraffic';
+import type { ProxyTrafficEntry, ProxyTrafficRule } from '@/types/proxy';
+
+const { Title, Text } = Typography;
+
+interface ProxyTrafficSectionProps {
+  entries: ProxyTrafficEntry[];
+  allEntries: ProxyTrafficEntry[];
+  appliedRules: ProxyTrafficRule[];
+  captureBodies: boolean;
+  filterDomain: string;
+  filterStatus: TrafficStatusFilter | null;
+  filterRuleId: string | null;
+  onSetFilters: (filters: TrafficFilterUpdate) => void;
+  onClearFilters: () => void;
+  onClearTraffic: () => void;
+  onToggleCaptureBodies: (enabled: boolean) => void;
+  onCopyAsCurl: (entry: ProxyTrafficEntry) => void;
+}
+
+const preStyle: React.CSSProperties = {
+  margin: '4px 0 0',
+  padding: '6px 10px',
+  background: 'var(--ant-color-fill-quaternary)',
+  borderRadius: 4,
+  fontSize: 12,
+  maxHeight: 240,
+  overflow: 'auto',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-all',
+};
+
+const formatHeaders = (headers: Record<string, string>) =>
+  Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+
+const splitUrl = (url: string) => {
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.host, path: `${parsed.pathname}${parsed.search}` };
+  } catch {
+    return { host: '', path: url };
+  }
+};
+
+const DetailBlock = ({ label, children }: { label: string; children: React.ReactNode }) => (
+  <div>
+    <Text type="secondary" style={{ fontSize: 12 }}>
+      {label}
+    </Text>
+    <pre style={preStyle}>{children}</pre>
+  </div>
+);
+
+/**
+ * ProxyTrafficSection - Live inspector for requests passing through the proxy
+ *
+ * Lists recent requests with their status, timing and the header rules applied to
+ * them. Expanding a row shows the request headers before and after the rules, the
+ * response headers and, when body capture is on, the exchanged text bodies.
+ */
+const ProxyTrafficSection: React.FC<ProxyTrafficSectionProps> = ({
+  entries,
+  allEntries,
+  appliedRules,
+  captureBodies,
+  filterDomain,
+  filterStatus,
+  filterRuleId,
+  onSetFilters,
+  onClearFilters,
+  onClearTraffic,
+  onToggleCaptureBodies,
+  onCopyAsCurl,
+}) => {
+  const hasActiveFilters = filterDomain || filterStatus || filterRuleId;
+  const [expandedRowKeys, setExpandedRowKeys] = useState<React.Key[]>([]);
+
+  const columns = [
+    {
+      title: 'Time',
+      dataIndex: 'timestamp',
+      key: 'timestamp',
+      width: 90,
+      defaultSortOrder: 'descend' as const,
+      sorter: (a: ProxyTrafficEntry, b: ProxyTrafficEntry) => a.timestamp - b.timestamp,
+      render: (ts: number) => (
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          {new Date(ts).toLocaleTimeString('en-GB', { hour12: false })}
+        </Text>
+      ),
+    },
+    {
+      title: 'Method',
+      dataIndex: 'method',
+      key: 'method',
+      width: 80,
+      render: (method: string) => <Tag color={method === 'GET' ? 'blue' : 'green'}>{method}</Tag>,
+    },
+    {
+      title: 'Status',
+      dataIndex: 'statusCode',
+      key: 'statusCode',
+      width: 80,
+      render: (code: number | undefined, record: ProxyTrafficEntry) => {
+        if (record.error && !code) {
+          return (
+            <Tooltip title={record.error}>
+              <Tag color="error">Failed</Tag>
+            </Tooltip>
+          );
+        }
+        if (code === undefined) return <Tag>Pending</Tag>;
+        const color = code >= 200 && code < 300 ? 'success' : code >= 400 ? 'error' : 'warning';
+        return <Tag color={color}>{code}</Tag>;
+      },
+    },
+    {
+      title: 'Request',
+      dataIndex: 'url',
+      key: 'url',
+      ellipsis: true,
+      render: (url: string) => {
+        const { host, path } = splitUrl(url);
+        return (
+          <Tooltip title={url}>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              {host}
+            </Text>{' '}
+            <Text code style={{ fontSize: 12 }}>
+              {path}
+            </Text>
+          </Tooltip>
+        );
+      },
+    },
+    {
+      title: 'Duration',
+      dataIndex: 'duration',
+      key: 'duration',
+      width: 80,
+      render: (ms: number | undefined) => (
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          {ms != null ? `${ms}ms` : '—'}
+        </Text>
+      ),
+    },
+    {
+      title: 'Rules',
+      dataIndex: 'appliedRules',
+      key: 'appliedRules',
+      width: 180,
+      render: (rules: ProxyTrafficRule[]) =>
+        rules.length === 0 ? (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            —
+          </Text>
+        ) : (
+          <Space size={[0, 4]} wrap>
+            {rules.map((rule) => (
+              <Tag key={rule.id} color="purple">
+                {rule.name}
+              </Tag>
+            ))}
+          </Space>
+        ),
+    },
+    {
+      title: 'Cache',
+      dataIndex: 'cache',
+      key: 'cache',
+      width: 70,
+      render: (cache: ProxyTrafficEntry['cache']) =>
+        cache ? <Tag color={cache === 'HIT' ? 'cyan' : 'default'}>{cache}</Tag> : null,
+    },
+  ];
+
+  const toggleRowExpand = (key: string) => {
+    setExpandedRowKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const expandable = {
+    expandedRowKeys,
+    onExpandedRowsChange: (keys: readonly React.Key[]) => setExpandedRowKeys(keys as React.Key[]),
+    expandedRowRender: (record: ProxyTrafficEntry) => (
+      <Space orientation="vertical" size={8} style={{ width: '100%' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Text code style={{ fontSize: 12, wordBreak: 'break-all' }}>
+            {record.method} {record.url}
+          </Text>
+          <Button size="small" icon={<CopyOutlined />} onClick={() => onCopyAsCurl(record)}>
+            Copy as cURL
+          </Button>
+        </div>
+        {record.error && (
+          <span>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Error:{' '}
+            </Text>
+            <Text type="danger" style={{ fontSize: 12 }}>
+              {record.error}
+            </Text>
+          </span>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+          <DetailBlock label="Request headers (original)">{formatHeaders(record.requestHeaders)}</DetailBlock>
+          <DetailBlock label="Request headers (sent to origin)">
+            {record.proxiedHeaders ? formatHeaders(record.proxiedHeaders) : 'Not forwarded'}
+          </DetailBlock>
+        </div>
+        {record.responseHeaders && (
+          <DetailBlock label="Response headers">{formatHeaders(record.responseHeaders)}</DetailBlock>
+        )}
+        {record.requestBody && <DetailBlock label="Request body">{record.requestBody}</DetailBlock>}
+        {record.responseBody && <DetailBlock label="Response body">{record.responseBody}</DetailBlock>}
+        {record.bodyTruncated && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Bodies are cut at the capture limit
+          </Text>
+        )}
+      </Space>
+    ),
+  };
+
+  return (
+    <Card style={{ marginTop: 16 }}>
+      <Space orientation="vertical" style={{ width: '100%' }}>
+        {/* Header with title and action buttons */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Title level={5} style={{ margin: 0 }}>
+            Live Traffic{' '}
+            <Text type="secondary" style={{ fontSize: 12, fontWeight: 'normal' }}>
+              ({hasActiveFilters ? `${entries.length} of ${allEntries.length}` : allEntries.length})
+            </Text>
+          </Title>
+          <Space>
+            <Tooltip title="Record text request and response bodies (up to 64 KB each)">
+              <Space size={4}>
+                <Text style={{ fontSize: 12 }}>Capture bodies</Text>
+                <Switch size="small" checked={captureBodies} onChange={onToggleCaptureBodies} />
+              </Space>
+            </Tooltip>
+            <Button size="small" icon={<DeleteOutlined />} onClick={onClearTraffic} disabled={allEntries.length === 0}>
+              Clear
+            </Button>
+          </Space>
+        </div>
+
+        {/* Filter controls */}
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          <FilterOutlined style={{ color: 'var(--ant-color-text-secondary)', fontSize: 12 }} />
+          <Input
+            size="small"
+            placeholder="Domain"
+            allowClear
+            value={filterDomain}
+            onChange={(e) => onSetFilters({ domain: e.target.value })}
+            style={{ width: 180 }}
+          />
+          <Select
+            size="small"
+            placeholder="Status"
+            allowClear
+            value={filterStatus}
+            onChange={(val) => onSetFilters({ status: val || null })}
+            style={{ width: 110 }}
+            options={[
+              { label: '2xx', value: '2xx' },
+              { label: '3xx', value: '3xx' },
+              { label: '4xx', value: '4xx' },
+              { label: '5xx', value: '5xx' },
+              { label: 'Failed', value: 'failed' },
+              { label: 'Pending', value: 'pending' },
+            ]}
+          />
+          <Select
+            size="small"
+            placeholder="Applied rule"
+            allowClear
+            value={filterRuleId}
+            onChange={(val) => onSetFilters({ ruleId: val || null })}
+            style={{ width: 200 }}
+            options={appliedRules.map((rule) => ({ label: rule.name, value: rule.id }))}
+            notFoundContent="No rules applied yet"
+          />
+          {hasActiveFilters && (
+            <Button size="small" type="link" onClick={onClearFilters}>
+              Clear filters
+            </Button>
+          )}
+        </div>
+
+        {/* Traffic table */}
+        <Table
+          dataSource={entries}
+          columns={columns}
+          rowKey="id"
+          size="small"
+          pagination={{
+            defaultPageSize: 10,
+            pageSizeOptions: [10, 20, 50],
+            showSizeChanger: true,
+            size: 'small',
+          }}
+          expandable={expandable}
+          onRow={(record: ProxyTrafficEntry) => ({
+            onClick: () => toggleRowExpand(record.id),
+            style: { cursor: 'pointer' },
+          })}
+          locale={{
+            emptyText: (
+              <Empty
+                image={Empty.PRESENTED_IMAGE_SIMPLE}
+                description={hasActiveFilters ? 'No matching requests' : 'No requests yet'}
+              />
+            ),
+          }}
+          style={{ marginTop: 4 }}
+        />
+      </Space>
+    </Card>
+  );
+};
+
+export default ProxyTrafficSection;
@@ -5,6 +5,11 @@
  * Each section handles a specific aspect of proxy functionality.
  */
 
+export { default as ProxyCachePoliciesSection } from './ProxyCachePoliciesSection';
 export { default as ProxyCacheSection } from './ProxyCacheSection';
+export { default as ProxyFaultsSection } from './ProxyFaultsSection';
+export { default as ProxyHttpsSection } from './ProxyHttpsSection';
+export { default as ProxyMocksSection } from './ProxyMocksSection';
 export { default as ProxyRulesSection } from './ProxyRulesSection';
 export { default as ProxyServerControls } from './ProxyServerControls';
+export { default as ProxyTrafficSection } from './ProxyTrafficSection';
@@ -2,7 +2,8 @@
  * Proxy Hooks Index
  *
  * Central export point for all proxy-related custom hooks.
- * Provides convenient access to proxy server management and state hooks.
+ * Provides convenient access to proxy server management, traffic and state hooks.
  */
 
 export { useProxyServer } from './useProxyServer';
+export { useProxyTraffic } from './useProxyTraffic';
@@ -2,7 +2,17 @@ import { App } from 'antd';
 import { useCallback, useEffect, useState } from 'react';
 import { useSettings, useSources } from '@/renderer/contexts';
 import { useHeaderRules } from '@/renderer/hooks/useCentralizedWorkspace';
-import type { CacheEntry, CacheStats, ProxyRule } from '@/types/proxy';
+import type {
+  CacheEntry,
+  CacheStats,
+  ProxyCAInfo,
+  ProxyCacheExportFilter,
+  ProxyCachePolicy,
+  ProxyFaultRule,
+  ProxyFaultStats,
+  ProxyMockRule,
+  ProxyRule,
+} from '@/types/proxy';
 
 /**
  * Proxy Server Management Hook
@@ -13,7 +23,11 @@ import type { CacheEntry, CacheStats, ProxyRule } from '@/types/proxy';
  * Features:
  * - Proxy server start/stop operations with port configuration
  * - Proxy rule management (create, edit, delete, toggle)
+ * - Mock response rules answered without contacting the origin
+ * - Fault injection rules and their per-rule hit statistics
  * - Resource cache management and statistics
+ * - Per-domain cache policies (persisted in settings by the main process)
+ * - HTTPS interception and the local proxy CA
  * - Event-driven updates and synchronization
  * - Integration with workspace and settings contexts
  *
@@ -32,6 +46,9 @@ export const useProxyServer = () => {
   // Proxy server state
   const [proxyStatus, setProxyStatus] = useState({ running: false, port: 59212 });
   const [rules, setRules] = useState<ProxyRule[]>([]);
+  const [mockRules, setMockRules] = useState<ProxyMockRule[]>([]);
+  const [faultRules, setFaultRules] = useState<ProxyFaultRule[]>([]);
+  const [faultStats, setFaultStats] = useState<Record<string, ProxyFaultStats>>({});
   const [loading, setLoading] = useState(false);
 
   // Cache management state
@@ -39,6 +56,11 @@ export const useProxyServer = () => {
   const [cacheEnabled, setCacheEnabled] = useState(true);
   const [cacheEntries, setCacheEntries] = useState<CacheEntry[]>([]);
   const [showCacheDetails, setShowCacheDetails] = useState(false);
+  const [cachePolicies, setCachePolicies] = useState<ProxyCachePolicy[]>([]);
+
+  // HTTPS interception state
+  const [caInfo, setCaInfo] = useState<ProxyCAInfo | null>(null);
+  const [httpsInterception, setHttpsInterception] = useState(false);
 
   /**
    * Load proxy server status from main process
@@ -56,6 +78,30 @@ export const useProxyServer = () => {
     setRules(loadedRules);
   }, []);
 
+  /**
+   * Load mock response rules from storage
+   */
+  const loadMockRules = useCallback(async () => {
+    const loadedRules = await window.electronAPI.proxyGetMockRules();
+    setMockRules(loadedRules);
+  }, []);
+
+  /**
+   * Load fault injection rules from storage
+   */
+  const loadFaultRules = useCallback(async () => {
+    const loadedRules = await window.electronAPI.proxyGetFaultRules();
+    setFaultRules(loadedRules);
+  }, []);
+
+  /**
+   * Load fault rule hit statistics from proxy server
+   */
+  const loadFaultStats = useCallback(async () => {
+    const status = await window.electronAPI.proxyStatus();
+    setFaultStats(status.faultStats ?? {});
+  }, []);
+
   /**
    * Load cache statistics from proxy server
    */
@@ -64,6 +110,14 @@ export const useProxyServer = () => {
     setCacheStats(stats);
   }, []);
 
+  /**
+   * Load details of the HTTPS interception CA
+   */
+  const loadCAInfo = useCallback(async () => {
+    const info = await window.electronAPI.proxyGetCAInfo();
+    setCaInfo(info);
+  }, []);
+
   /**
    * Load detailed cache entries for display
    */
@@ -165,6 +219,112 @@ export const useProxyServer = () => {
     }
   };
 
+  /**
+   * Save a mock response rule (create or update)
+   */
+  const saveMockRule = async (rule: ProxyMockRule) => {
+    const result = await window.electronAPI.proxySaveMockRule(rule);
+    if (result.success) {
+      message.success('Mock saved');
+      await loadMockRules();
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Delete a mock response rule
+   */
+  const deleteMockRule = async (ruleId: string) => {
+    const result = await window.electronAPI.proxyDeleteMockRule(ruleId);
+    if (result.success) {
+      message.success('Mock deleted');
+      await loadMockRules();
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Toggle mock rule enabled/disabled state
+   */
+  const toggleMockRule = async (ruleId: string, enabled: boolean) => {
+    const rule = mockRules.find((r) => r.id === ruleId);
+    if (!rule) return false;
+
+    const result = await window.electronAPI.proxySaveMockRule({ ...rule, enabled });
+    if (result.success) {
+      await loadMockRules();
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Save a fault injection rule (create or update)
+   */
+  const saveFaultRule = async (rule: ProxyFaultRule) => {
+    const result = await window.electronAPI.proxySaveFaultRule(rule);
+    if (result.success) {
+      message.success('Fault rule saved');
+      await loadFaultRules();
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Delete a fault injection rule
+   */
+  const deleteFaultRule = async (ruleId: string) => {
+    const result = await window.electronAPI.proxyDeleteFaultRule(ruleId);
+    if (result.success) {
+      message.success('Fault rule deleted');
+      await Promise.all([loadFaultRules(), loadFaultStats()]);
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Toggle fault rule enabled/disabled state
+   */
+  const toggleFaultRule = async (ruleId: string, enabled: boolean) => {
+    const rule = faultRules.find((r) => r.id === ruleId);
+    if (!rule) return false;
+
+    const result = await window.electronAPI.proxySaveFaultRule({ ...rule, enabled });
+    if (result.success) {
+      await loadFaultRules();
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Reset fault rule hit statistics
+   */
+  const resetFaultStats = async () => {
+    const result = await window.electronAPI.proxyResetFaultStats();
+    if (result.success) {
+      await loadFaultStats();
+    } else {
+      message.error(result.error);
+    }
+  };
+
   /**
    * Clear proxy cache
    */
@@ -183,6 +343,37 @@ export const useProxyServer = () => {
     }
   };
 
+  /**
+   * Export the cached resources matching a filter to a bundle file
+   */
+  const exportCache = async (filter: ProxyCacheExportFilter) => {
+    const result = await window.electronAPI.proxyExportCache(filter);
+    if (result.success) {
+      message.success(`Exported ${result.result?.entries ?? 0} cached resources to ${result.path}`);
+      return true;
+    }
+    if (!result.canceled) message.error(result.error);
+    return false;
+  };
+
+  /**
+   * Import a cache bundle exported on another machine
+   */
+  const importCache = async () => {
+    const result = await window.electronAPI.proxyImportCache();
+    if (result.success) {
+      const { entries = 0, skipped = 0 } = result.result ?? {};
+      message.success(`Imported ${entries} cached resources${skipped > 0 ? ` (${skipped} skipped)` : ''}`);
+      await loadCacheStats();
+      if (showCacheDetails) {
+        await loadCacheEntries();
+      }
+      return true;
+    }
+    if (!result.canceled) message.error(result.error);
+    return false;
+  };
+
   /**
    * Toggle cache enabled/disabled state
    */
@@ -200,6 +391,92 @@ export const useProxyServer = () => {
     }
   };
 
+  /**
+   * Replace the cache policies (persisted in settings by the main process)
+   */
+  const applyCachePolicies = async (policies: ProxyCachePolicy[]) => {
+    const result = await window.electronAPI.proxySetCachePolicies(policies);
+    if (result.success) {
+      setCachePolicies(policies);
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Save a cache policy (create or update)
+   */
+  const saveCachePolicy = async (policy: ProxyCachePolicy) => {
+    const exists = cachePolicies.some((p) => p.id === policy.id);
+    const policies = exists
+      ? cachePolicies.map((p) => (p.id === policy.id ? policy : p))
+      : [...cachePolicies, { ...policy, id: policy.id || Date.now().toString() }];
+    const success = await applyCachePolicies(policies);
+    if (success) message.success('Cache policy saved');
+    return success;
+  };
+
+  /**
+   * Delete a cache policy
+   */
+  const deleteCachePolicy = async (policyId: string) => {
+    const success = await applyCachePolicies(cachePolicies.filter((p) => p.id !== policyId));
+    if (success) message.success('Cache policy deleted');
+    return success;
+  };
+
+  /**
+   * Toggle cache policy enabled/disabled state
+   */
+  const toggleCachePolicy = async (policyId: string, enabled: boolean) => {
+    return applyCachePolicies(cachePolicies.map((p) => (p.id === policyId ? { ...p, enabled } : p)));
+  };
+
+  /**
+   * Toggle HTTPS interception of CONNECT tunnels (persisted in settings by the main process)
+   */
+  const toggleHttpsInterception = async (enabled: boolean) => {
+    const result = await window.electronAPI.proxySetHttpsInterception(enabled);
+    if (result.success) {
+      setHttpsInterception(enabled);
+      message.success(`HTTPS interception ${enabled ? 'enabled' : 'disabled'}`);
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Generate the proxy CA, replacing an existing one
+   */
+  const generateCA = async () => {
+    const result = await window.electronAPI.proxyGenerateCA();
+    if (result.success && result.info) {
+      setCaInfo(result.info);
+      message.success('CA certificate generated');
+      return true;
+    } else {
+      message.error(result.error);
+      return false;
+    }
+  };
+
+  /**
+   * Save a copy of the CA certificate for installing on other devices
+   */
+  const exportCA = async () => {
+    const result = await window.electronAPI.proxyExportCA();
+    if (result.success) {
+      message.success(`CA certificate saved to ${result.path}`);
+      return true;
+    }
+    if (!result.canceled) message.error(result.error);
+    return false;
+  };
+
   /**
    * Update proxy server port configuration
    */
@@ -227,7 +504,11 @@ export const useProxyServer = () => {
   useEffect(() => {
     loadProxyStatus().catch(console.error);
     loadRules().catch(console.error);
+    loadMockRules().catch(console.error);
+    loadFaultRules().catch(console.error);
+    loadFaultStats().catch(console.error);
     loadCacheStats().catch(console.error);
+    loadCAInfo().catch(console.error);
 
     // Initialize cache enabled state from settings
     if (settings.proxyCacheEnabled !== undefined) {
@@ -235,12 +516,31 @@ export const useProxyServer = () => {
       // Apply the setting to the proxy server
       window.electronAPI.proxySetCacheEnabled(settings.proxyCacheEnabled).catch(console.error);
     }
-  }, [settings.proxyCacheEnabled, loadProxyStatus, loadRules, loadCacheStats]);
+  }, [
+    settings.proxyCacheEnabled,
+    loadProxyStatus,
+    loadRules,
+    loadMockRules,
+    loadFaultRules,
+    loadFaultStats,
+    loadCacheStats,
+    loadCAInfo,
+  ]);
+
+  useEffect(() => {
+    setHttpsInterception(!!settings.proxyHttpsInterception);
+  }, [settings.proxyHttpsInterception]);
+
+  useEffect(() => {
+    setCachePolicies(settings.proxyCachePolicies ?? []);
+  }, [settings.proxyCachePolicies]);
 
   // Listen for proxy rules and workspace update events
   useEffect(() => {
     const handleProxyRulesUpdate = () => {
       loadRules().catch(console.error);
+      loadMockRules().catch(console.error);
+      loadFaultRules().catch(console.error);
     };
 
     window.addEventListener('proxy-rules-updated', handleProxyRulesUpdate);
@@ -248,7 +548,7 @@ export const useProxyServer = () => {
     return () => {
       window.removeEventListener('proxy-rules-updated', handleProxyRulesUpdate);
     };
-  }, [loadRules]);
+  }, [loadRules, loadMockRules, loadFaultRules]);
 
   // Reload cache stats periodically when proxy is running
   useEffect(() => {
@@ -258,10 +558,21 @@ export const useProxyServer = () => {
     }
   }, [proxyStatus.running, loadCacheStats]);
 
+  // Reload fault rule hit statistics periodically while fault rules can match
+  useEffect(() => {
+    if (proxyStatus.running && faultRules.length > 0) {
+      const interval = setInterval(loadFaultStats, 2000);
+      return () => clearInterval(interval);
+    }
+  }, [proxyStatus.running, faultRules.length, loadFaultStats]);
+
   return {
     // State
     proxyStatus,
     rules,
+    mockRules,
+    faultRules,
+    faultStats,
     headerRules,
     sources,
     loading,
@@ -269,6 +580,9 @@ export const useProxyServer = () => {
     cacheEnabled,
     cacheEntries,
     showCacheDetails,
+    cachePolicies,
+    caInfo,
+    httpsInterception,
     settings,
 
     // Actions
@@ -277,14 +591,33 @@ export const useProxyServer = () => {
     saveRule,
     deleteRule,
     toggleRule,
+    saveMockRule,
+    deleteMockRule,
+    toggleMockRule,
+    saveFaultRule,
+    deleteFaultRule,
+    toggleFaultRule,
+    resetFaultStats,
     clearCache,
+    exportCache,
+    importCache,
     toggleCache,
     toggleCacheDetails,
+    saveCachePolicy,
+    deleteCachePolicy,
+    toggleCachePolicy,
+    toggleHttpsInterception,
+    generateCA,
+    exportCA,
 
     // Loaders (for manual refresh)
     loadProxyStatus,
     loadRules,
+    loadMockRules,
+    loadFaultRules,
+    loadFaultStats,
     loadCacheStats,
     loadCacheEntries,
+    loadCAInfo,
   };
 };
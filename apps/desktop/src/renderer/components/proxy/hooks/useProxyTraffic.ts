@@ -0,0 +1,171 @@
+import { App } from 'antd';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { copyToClipboard } from '@/renderer/utils/ui/copyToClipboard';
+import type { ProxyTrafficEntry, ProxyTrafficRule } from '@/types/proxy';
+import { buildCurlCommand } from '../utils';
+
+/** Matches the size of the journal kept by the main process */
+const MAX_ENTRIES = 500;
+
+export type TrafficStatusFilter = '2xx' | '3xx' | '4xx' | '5xx' | 'failed' | 'pending';
+
+export interface TrafficFilterUpdate {
+  domain?: string;
+  status?: TrafficStatusFilter | null;
+  ruleId?: string | null;
+}
+
+const getHostname = (url: string) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+};
+
+const matchesStatus = (entry: ProxyTrafficEntry, status: TrafficStatusFilter) => {
+  if (status === 'failed') return !!entry.error;
+  if (status === 'pending') return entry.duration === undefined;
+  return entry.statusCode !== undefined && Math.floor(entry.statusCode / 100) === Number(status[0]);
+};
+
+/**
+ * Proxy Traffic Hook
+ *
+ * Keeps a live copy of the proxy traffic journal, fed by batched updates pushed from
+ * the main process, and provides filtering and cURL export for the inspector.
+ *
+ * @returns Traffic entries, filters and inspector actions
+ */
+export const useProxyTraffic = () => {
+  const { message } = App.useApp();
+
+  const [entries, setEntries] = useState<ProxyTrafficEntry[]>([]);
+  const [captureBodies, setCaptureBodies] = useState(false);
+
+  // Traffic filters
+  const [filterDomain, setFilterDomain] = useState('');
+  const [filterStatus, setFilterStatus] = useState<TrafficStatusFilter | null>(null);
+  const [filterRuleId, setFilterRuleId] = useState<string | null>(null);
+
+  /**
+   * Filtered entries based on current filter state
+   */
+  const filteredEntries = useMemo(() => {
+    const domain = filterDomain.trim().toLowerCase();
+    return entries.filter((entry) => {
+      if (domain && !getHostname(entry.url).toLowerCase().includes(domain)) return false;
+      if (filterStatus && !matchesStatus(entry, filterStatus)) return false;
+      if (filterRuleId && !entry.appliedRules.some((rule) => rule.id === filterRuleId)) return false;
+      return true;
+    });
+  }, [entries, filterDomain, filterStatus, filterRuleId]);
+
+  /**
+   * Rules applied to any recorded request, for the rule filter
+   */
+  const appliedRules = useMemo(() => {
+    const rules = new Map<string, ProxyTrafficRule>();
+    for (const entry of entries) {
+      for (const rule of entry.appliedRules) rules.set(rule.id, rule);
+    }
+    return [...rules.values()];
+  }, [entries]);
+
+  /**
+   * Load the current journal from the main process
+   */
+  const loadTraffic = useCallback(async () => {
+    const traffic = await window.electronAPI.proxyGetTraffic();
+    setEntries(traffic.entries);
+    setCaptureBodies(traffic.captureBodies);
+  }, []);
+
+  /**
+   * Clear the journal
+   */
+  const clearTraffic = useCallback(async () => {
+    const result = await window.electronAPI.proxyClearTraffic();
+    if (result.success) {
+      setEntries([]);
+    } else if (result.error) {
+      message.error(result.error);
+    }
+  }, [message]);
+
+  /**
+   * Toggle recording of request and response bodies
+   */
+  const toggleCaptureBodies = useCallback(
+    async (enabled: boolean) => {
+      const result = await window.electronAPI.proxySetTrafficCaptureBodies(enabled);
+      if (result.success) {
+        setCaptureBodies(enabled);
+      } else if (result.error) {
+        message.error(result.error);
+      }
+    },
+    [message],
+  );
+
+  /**
+   * Copy a recorded request to the clipboard as a cURL command
+   */
+  const copyAsCurl = useCallback(
+    (entry: ProxyTrafficEntry) => {
+      copyToClipboard(buildCurlCommand(entry));
+      void message.success('cURL command copied to clipboard');
+    },
+    [message],
+  );
+
+  /**
+   * Set traffic filters
+   */
+  const setFilters = useCallback(({ domain, status, ruleId }: TrafficFilterUpdate = {}) => {
+    if (domain !== undefined) setFilterDomain(domain);
+    if (status !== undefined) setFilterStatus(status);
+    if (ruleId !== undefined) setFilterRuleId(ruleId);
+  }, []);
+
+  /**
+   * Clear all traffic filters
+   */
+  const clearFilters = useCallback(() => {
+    setFilterDomain('');
+    setFilterStatus(null);
+    setFilterRuleId(null);
+  }, []);
+
+  // Initialize on mount and merge live updates
+  useEffect(() => {
+    void loadTraffic();
+
+    return window.electronAPI.onProxyTrafficUpdated((updated) => {
+      setEntries((prev) => {
+        const byId = new Map(prev.map((entry) => [entry.id, entry]));
+        for (const entry of updated) byId.set(entry.id, entry);
+        const merged = [...byId.values()].sort((a, b) => a.timestamp - b.timestamp);
+        return merged.length > MAX_ENTRIES ? merged.slice(merged.length - MAX_ENTRIES) : merged;
+      });
+    });
+  }, [loadTraffic]);
+
+  return {
+    // State
+    entries: filteredEntries,
+    allEntries: entries,
+    appliedRules,
+    captureBodies,
+    filterDomain,
+    filterStatus,
+    filterRuleId,
+
+    // Actions
+    clearTraffic,
+    toggleCaptureBodies,
+    copyAsCurl,
+    setFilters,
+    clearFilters,
+  };
+};
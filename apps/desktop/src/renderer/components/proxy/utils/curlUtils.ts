@@ -0,0 +1,49 @@
+/**
+ * Proxy cURL Utilities
+ *
+ * Builds shell commands that replay requests recorded by the proxy traffic inspector.
+ */
+
+import type { ProxyTrafficEntry } from '@/types/proxy';
+
+/** Headers curl derives itself, or that only make sense between client and proxy */
+const SKIPPED_HEADERS = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'keep-alive']);
+
+/**
+ * Quote a value for a POSIX shell
+ *
+ * @param value - Raw argument
+ * @returns Single-quoted argument with embedded quotes escaped
+ */
+export const shellQuote = (value: string) => `'${value.replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Build a cURL command for a recorded request
+ *
+ * Uses the headers as forwarded to the origin, so the command reproduces the request
+ * with header rules already applied. The body is only included when it was captured.
+ *
+ * @param entry - Traffic journal entry
+ * @returns cURL command, one option per line
+ */
+export const buildCurlCommand = (entry: ProxyTrafficEntry) => {
+  const parts = [`curl ${shellQuote(entry.url)}`];
+  if (entry.method !== 'GET') {
+    parts.push(`-X ${entry.method}`);
+  }
+
+  const headers = entry.proxiedHeaders ?? entry.requestHeaders;
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (SKIPPED_HEADERS.has(lower) || lower.startsWith('proxy-')) continue;
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+
+  if (entry.requestBody) {
+    parts.push(`--data-raw ${shellQuote(entry.requestBody)}`);
+  }
+  if (headers['accept-encoding']) {
+    parts.push('--compressed');
+  }
+  return parts.join(' \\\n  ');
+};
@@ -2,9 +2,10 @@
  * Proxy Utilities Index
  *
  * Central export point for all proxy-related utility functions.
- * Provides convenient access to source utilities, formatting helpers, and validation functions.
+ * Provides convenient access to source utilities, formatting helpers, cURL export, and validation functions.
  */
 
+export { buildCurlCommand, shellQuote } from './curlUtils';
 export {
   formatBytes,
   truncateDomain,
@@ -6,20 +6,36 @@ import {
   EditOutlined,
   EnvironmentOutlined,
   ExclamationCircleOutlined,
+  ExperimentOutlined,
+  FileSearchOutlined,
   PlusOutlined,
+  ReloadOutlined,
+  SwapOutlined,
   WarningOutlined,
 } from '@ant-design/icons';
-import type { HeaderRule } from '@openheaders/core';
+import {
+  type HeaderRule,
+  type HeaderRuleLintWarning,
+  hasUnscopedUrlExclusions,
+  lintHeaderRules,
+} from '@openheaders/core';
 import { Alert, Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
 import type { ColumnsType } from 'antd/es/table';
 import type React from 'react';
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getTimeAgo } from '@/renderer/components/features/workspaces/utils/WorkspaceUtils';
 import { useEnvironments, useNavigation, useSettings, useSources } from '@/renderer/contexts';
 import { useHeaderRules } from '@/renderer/hooks/useCentralizedWorkspace';
 import { createRule, RULE_TYPES, showMessage } from '@/renderer/utils';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
 import { checkRuleActivation, getResolvedPreview } from '@/renderer/utils/validation/environment-variables';
+import { findHeaderRuleConflicts, type HeaderRuleConflict } from '@/renderer/utils/validation/ruleConflicts';
+import BulkActionsBar from './header/BulkActionsBar';
+import FindReplaceModal from './header/FindReplaceModal';
+import TestUrlModal from './header/TestUrlModal';
 import UnifiedHeaderModal from './header/unified-modal/UnifiedHeaderModal';
+import { describeGenerator } from './header/unified-modal/utils';
+import { useRuleHits } from './header/useRuleHits';
 
 const log = createLogger('HeaderRules');
 
@@ -30,9 +46,12 @@ type PlaceholderType = 'source_not_found' | 'empty_source' | 'empty_value' | 'mi
 const HeaderRules = () => {
   const [modalVisible, setModalVisible] = useState(false);
   const [editingRule, setEditingRule] = useState<HeaderRule | null>(null);
+  const [testUrlVisible, setTestUrlVisible] = useState(false);
+  const [findReplaceVisible, setFindReplaceVisible] = useState(false);
+  const [selectedRuleIds, setSelectedRuleIds] = useState<string[]>([]);
 
   // All rule mutations go through main process via IPC (WorkspaceStateService)
-  const { rules, addRule, updateRule, removeRule, toggleRule } = useHeaderRules();
+  const { rules, addRule, updateRule, removeRule, toggleRule, updateRulesBatch, removeRulesBatch } = useHeaderRules();
 
   // Get sources from context
   const { sources } = useSources();
@@ -40,12 +59,39 @@ const HeaderRules = () => {
   const envContext = useEnvironments();
   const tutorialMode = settings?.tutorialMode !== undefined ? settings.tutorialMode : true;
 
+  // Match counts reported by the browser extension, to spot rules nothing uses
+  const { ruleHits, clearRuleHits } = useRuleHits();
+
+  // Rules that modify the same header on overlapping domains
+  const conflicts = useMemo(() => findHeaderRuleConflicts(rules), [rules]);
+
+  // Rules that save fine but will not work as written, grouped by rule
+  const lintWarnings = useMemo(() => {
+    const environmentVariables = envContext.environmentsReady ? envContext.getAllVariables() : undefined;
+    const byRule = new Map<string, HeaderRuleLintWarning[]>();
+    for (const warning of lintHeaderRules(rules, { environmentVariables, sources })) {
+      byRule.set(warning.ruleId, [...(byRule.get(warning.ruleId) || []), warning]);
+    }
+    return byRule;
+  }, [rules, sources, envContext]);
+
   // Use ref to always have access to current rules
   const rulesRef = useRef<HeaderRule[]>(rules);
   useEffect(() => {
     rulesRef.current = rules;
   }, [rules]);
 
+  // Drop rules from the selection once they are deleted (here, by undo or by sync)
+  const selectedRules = useMemo(
+    () => rules.filter((rule) => selectedRuleIds.includes(rule.id)),
+    [rules, selectedRuleIds],
+  );
+  useEffect(() => {
+    if (selectedRules.length !== selectedRuleIds.length) {
+      setSelectedRuleIds(selectedRules.map((rule) => rule.id));
+    }
+  }, [selectedRules, selectedRuleIds.length]);
+
   // Get navigation context
   const { getHighlight, applyHighlight, registerActionHandler, flushPendingActions, executeAction, ACTIONS, TARGETS } =
     useNavigation();
@@ -227,6 +273,12 @@ const HeaderRules = () => {
       }
     }
 
+    if (rule.generator) {
+      result.actualValue = `${rule.prefix || ''}{${describeGenerator(rule.generator)}}${rule.suffix || ''}`;
+      result.sourceInfo = 'Generated per request by the proxy';
+      return result;
+    }
+
     if (!rule.isDynamic || !rule.sourceId) {
       // Check if this is an empty static value
       if (!rule.headerValue?.trim()) {
@@ -307,6 +359,35 @@ const HeaderRules = () => {
     return result;
   };
 
+  // Describe a rule in conflict messages — its name if it has one, otherwise its value
+  const describeRule = (ruleId: string) => {
+    const rule = rules.find((r) => r.id === ruleId);
+    if (!rule) return 'another rule';
+    if (rule.name) return `"${rule.name}"`;
+    if (rule.operation === 'remove') return 'the rule removing it';
+    if (rule.isDynamic) return `the rule using source #${rule.sourceId}`;
+    if (rule.generator) return `the rule generating {${describeGenerator(rule.generator)}}`;
+    return `the rule setting "${truncateValue(rule.headerValue)}"`;
+  };
+
+  const describeConflict = (record: HeaderRule, conflict: HeaderRuleConflict) => {
+    const where = conflict.domains.join(', ');
+    const other = describeRule(conflict.otherRuleId);
+    if (conflict.winnerId === null) {
+      return `${conflict.headerName} on ${where} is also modified by ${other} with the same priority — which one applies is undefined. Raise one rule's priority.`;
+    }
+    // Browsers apply rules whose exclusions need allow rules before all others (see getHeaderRuleRank)
+    const loser = conflict.winnerId === record.id ? rules.find((r) => r.id === conflict.otherRuleId) : record;
+    const winner = conflict.winnerId === record.id ? record : rules.find((r) => r.id === conflict.otherRuleId);
+    const ranked = loser && winner && hasUnscopedUrlExclusions(loser) && !hasUnscopedUrlExclusions(winner);
+    if (conflict.winnerId === record.id) {
+      const reason = ranked ? 'its URL exclusions rank it below other rules' : 'higher priority';
+      return `Overrides ${other} for ${conflict.headerName} on ${where} (${reason})`;
+    }
+    const reason = ranked ? "this rule's URL exclusions rank it below other rules" : 'higher priority';
+    return `Overridden by ${other} for ${conflict.headerName} on ${where} (${reason})`;
+  };
+
   // Table columns matching browser extension
   const columns: ColumnsType<HeaderRule> = [
     {
@@ -323,6 +404,21 @@ const HeaderRules = () => {
               <Tag color={record.isResponse ? 'blue' : 'green'} style={{ fontSize: '11px', padding: '0 4px' }}>
                 {record.isResponse ? 'RESPONSE' : 'REQUEST'}
               </Tag>
+              {/* Operation tag — 'set' is the default and not shown */}
+              {record.operation && record.operation !== 'set' && (
+                <Tag
+                  color={record.operation === 'remove' ? 'red' : 'cyan'}
+                  style={{ fontSize: '11px', padding: '0 4px' }}
+                >
+                  {record.operation.toUpperCase()}
+                </Tag>
+              )}
+              {/* Priority tag — 0 is the default and not shown */}
+              {(record.priority ?? 0) > 0 && (
+                <Tooltip title="Higher priority wins when rules modify the same header">
+                  <Tag style={{ fontSize: '11px', padding: '0 4px' }}>P{record.priority}</Tag>
+                </Tooltip>
+              )}
               {/* Show if uses environment variables */}
               {info.hasEnvVars && (
                 <Tag color="purple" style={{ fontSize: '11px', padding: '0 4px' }}>
@@ -386,6 +482,14 @@ const HeaderRules = () => {
       render: (_: unknown, record: HeaderRule) => {
         const info = getDynamicValueInfo(record);
 
+        if (record.generator) {
+          return (
+            <Tooltip title={info.sourceInfo}>
+              <Tag style={{ fontSize: '11px', margin: 0, cursor: 'help' }}>Generated (proxy only)</Tag>
+            </Tooltip>
+          );
+        }
+
         if (!record.isDynamic) {
           return (
             <Text
@@ -456,6 +560,13 @@ const HeaderRules = () => {
       render: (text: string, record: HeaderRule) => {
         const info = getDynamicValueInfo(record);
         const hasPlaceholder = info.placeholderType && record.isEnabled;
+        const ruleLintWarnings = lintWarnings.get(record.id) || [];
+        // A shadowed warning already explains the conflict with the rule that wins
+        const shadowedBy = new Set(ruleLintWarnings.map((warning) => warning.shadowedBy).filter(Boolean));
+        const ruleConflicts = (conflicts.get(record.id) || []).filter(
+          (conflict) => !shadowedBy.has(conflict.otherRuleId),
+        );
+        const hasUnresolvedConflict = ruleConflicts.some((conflict) => conflict.winnerId === null);
 
         // Check if header name has env vars
         let headerNameDisplay = text;
@@ -497,6 +608,36 @@ const HeaderRules = () => {
                 <EnvironmentOutlined style={{ color: '#1890ff', fontSize: '12px' }} />
               </Tooltip>
             )}
+            {ruleConflicts.length > 0 && (
+              <Tooltip
+                title={
+                  <div>
+                    {ruleConflicts.map((conflict) => (
+                      <div key={conflict.otherRuleId}>{describeConflict(record, conflict)}</div>
+                    ))}
+                  </div>
+                }
+              >
+                {hasUnresolvedConflict ? (
+                  <WarningOutlined style={{ color: '#faad14', fontSize: '12px' }} />
+                ) : (
+                  <SwapOutlined style={{ color: '#8c8c8c', fontSize: '12px' }} />
+                )}
+              </Tooltip>
+            )}
+            {ruleLintWarnings.length > 0 && (
+              <Tooltip
+                title={
+                  <div>
+                    {ruleLintWarnings.map((warning, index) => (
+                      <div key={`${warning.code}-${index}`}>{warning.message}</div>
+                    ))}
+                  </div>
+                }
+              >
+                <WarningOutlined style={{ color: '#fa541c', fontSize: '12px' }} />
+              </Tooltip>
+            )}
             {hasPlaceholder && info.activationState !== 'waiting_for_deps' && (
               <Tooltip title="This header is being sent with a diagnostic placeholder value">
                 <ExclamationCircleOutlined style={{ color: '#ff4d4f', fontSize: '12px' }} />
@@ -512,6 +653,14 @@ const HeaderRules = () => {
       key: 'value',
       width: 200,
       render: (_: unknown, record: HeaderRule) => {
+        if (record.operation === 'remove') {
+          return (
+            <Text type="secondary" style={{ fontSize: '13px', opacity: record.isEnabled ? 1 : 0.5 }}>
+              (removed)
+            </Text>
+          );
+        }
+
         const info = getDynamicValueInfo(record);
         const hasPlaceholder = info.placeholderType;
 
@@ -641,6 +790,45 @@ const HeaderRules = () => {
         );
       },
     },
+    {
+      title: 'Hits',
+      key: 'hits',
+      width: 90,
+      align: 'center',
+      sorter: (a: HeaderRule, b: HeaderRule) => (ruleHits[a.id]?.count ?? 0) - (ruleHits[b.id]?.count ?? 0),
+      render: (_: unknown, record: HeaderRule) => {
+        const hits = ruleHits[record.id];
+        if (!hits) {
+          return (
+            <Tooltip title="No browser request has matched this rule since hits were last reset">
+              <Text type="secondary" style={{ fontSize: '12px' }}>
+                Never
+              </Text>
+            </Tooltip>
+          );
+        }
+
+        return (
+          <Tooltip
+            title={
+              <div>
+                <div>Last hit {new Date(hits.lastHitAt).toLocaleString()}</div>
+                <div style={{ wordBreak: 'break-all' }}>{hits.lastUrl}</div>
+              </div>
+            }
+          >
+            <Space orientation="vertical" size={0} style={{ lineHeight: 1.2 }}>
+              <Text strong style={{ fontSize: '12px' }}>
+                {hits.count.toLocaleString()}
+              </Text>
+              <Text type="secondary" style={{ fontSize: '11px' }}>
+                {getTimeAgo(new Date(hits.lastHitAt))}
+              </Text>
+            </Space>
+          </Tooltip>
+        );
+      },
+    },
     {
       title: 'Status',
       key: 'status',
@@ -722,16 +910,46 @@ const HeaderRules = () => {
           <Title level={4} style={{ margin: 0 }}>
             <ApiOutlined /> Header Rules
           </Title>
-          <Button
-            type="primary"
-            icon={<PlusOutlined />}
-            onClick={() => {
-              setEditingRule(null);
-              setModalVisible(true);
-            }}
-          >
-            Add Rule
-          </Button>
+          <Space>
+            <Button
+              icon={<FileSearchOutlined />}
+              onClick={() => setFindReplaceVisible(true)}
+              disabled={rules.length === 0}
+            >
+              Find & Replace
+            </Button>
+            <Button icon={<ExperimentOutlined />} onClick={() => setTestUrlVisible(true)} disabled={rules.length === 0}>
+              Test URL
+            </Button>
+            <Popconfirm
+              title={
+                selectedRuleIds.length > 0
+                  ? `Reset hit counts of ${selectedRuleIds.length} selected ${selectedRuleIds.length === 1 ? 'rule' : 'rules'}?`
+                  : 'Reset hit counts of all rules?'
+              }
+              onConfirm={async () => {
+                const success = await clearRuleHits(selectedRuleIds.length > 0 ? selectedRuleIds : undefined);
+                if (success) showMessage('success', 'Hit counts reset');
+              }}
+              okText="Reset"
+              cancelText="Cancel"
+              disabled={Object.keys(ruleHits).length === 0}
+            >
+              <Button icon={<ReloadOutlined />} disabled={Object.keys(ruleHits).length === 0}>
+                Reset Hits
+              </Button>
+            </Popconfirm>
+            <Button
+              type="primary"
+              icon={<PlusOutlined />}
+              onClick={() => {
+                setEditingRule(null);
+                setModalVisible(true);
+              }}
+            >
+              Add Rule
+            </Button>
+          </Space>
         </div>
 
         {tutorialMode && (
@@ -753,11 +971,26 @@ const HeaderRules = () => {
           />
         )}
 
+        {selectedRules.length > 0 && (
+          <BulkActionsBar
+            selectedRules={selectedRules}
+            sources={sources}
+            onUpdate={updateRulesBatch}
+            onDelete={removeRulesBatch}
+            onClearSelection={() => setSelectedRuleIds([])}
+          />
+        )}
+
         <Table
           dataSource={rules}
           columns={columns}
           rowKey="id"
-          scroll={{ x: 1000, y: 280 }}
+          rowSelection={{
+            selectedRowKeys: selectedRuleIds,
+            onChange: (keys) => setSelectedRuleIds(keys.map(String)),
+            columnWidth: 32,
+          }}
+          scroll={{ x: 1090, y: 280 }}
           size="small"
           locale={{
             emptyText: (
@@ -787,6 +1020,26 @@ const HeaderRules = () => {
         onSave={handleSaveRule}
         initialValues={editingRule}
       />
+
+      <FindReplaceModal
+        visible={findReplaceVisible}
+        onCancel={() => setFindReplaceVisible(false)}
+        rules={rules}
+        selectedRuleIds={selectedRuleIds}
+        onApply={async (updates) => {
+          const success = await updateRulesBatch(updates);
+          if (success) showMessage('success', `Updated ${updates.length} ${updates.length === 1 ? 'rule' : 'rules'}`);
+          return success;
+        }}
+      />
+
+      <TestUrlModal
+        visible={testUrlVisible}
+        onCancel={() => setTestUrlVisible(false)}
+        rules={rules}
+        sources={sources}
+        variables={envContext.environmentsReady ? envContext.getAllVariables() : {}}
+      />
     </div>
   );
 };
@@ -1,23 +1,239 @@
-import { FilePptOutlined } from '@ant-design/icons';
-import { Card, Empty, Typography } from 'antd';
+import { DeleteOutlined, EditOutlined, FilePptOutlined, PlusOutlined } from '@ant-design/icons';
+import type { ContentType, PayloadRule } from '@openheaders/core';
+import { Alert, Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
+import type { ColumnsType } from 'antd/es/table';
+import { useState } from 'react';
+import { useSettings } from '@/renderer/contexts';
+import { usePayloadRules } from '@/renderer/hooks/useCentralizedWorkspace';
+import { createRule, RULE_TYPES, showMessage } from '@/renderer/utils';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+import PayloadRuleModal from './payload/PayloadRuleModal';
+
+const log = createLogger('PayloadRules');
 
 const { Title, Text } = Typography;
 
+const MATCH_TYPE_LABELS: Record<PayloadRule['matchType'], string> = {
+  contains: 'contains',
+  exact: 'equals',
+  regex: 'regex',
+};
+
+const CONTENT_TYPE_LABELS: Record<ContentType, string> = {
+  any: 'Any',
+  json: 'JSON',
+  xml: 'XML',
+  form: 'Form',
+  text: 'Text',
+};
+
 const PayloadRules = () => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState<PayloadRule | null>(null);
+
+  // All rule mutations go through main process via IPC (WorkspaceStateService)
+  const { rules, addRule, updateRule, removeRule, toggleRule } = usePayloadRules();
+
+  const { settings } = useSettings();
+  const tutorialMode = settings?.tutorialMode !== undefined ? settings.tutorialMode : true;
+
+  const openModal = (rule: PayloadRule | null) => {
+    setEditingRule(rule);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingRule(null);
+  };
+
+  const handleSaveRule = async (ruleData: Partial<PayloadRule>) => {
+    try {
+      if (editingRule) {
+        const updatedRule = createRule(RULE_TYPES.PAYLOAD, {
+          ...editingRule,
+          ...ruleData,
+          id: editingRule.id,
+          createdAt: editingRule.createdAt,
+          updatedAt: new Date().toISOString(),
+        }) as PayloadRule;
+        const { id: _id, ...updates } = updatedRule;
+        const success = await updateRule(editingRule.id, updates);
+        if (success) showMessage('success', 'Rule updated successfully');
+      } else {
+        const newRule = createRule(RULE_TYPES.PAYLOAD, ruleData) as PayloadRule;
+        await addRule(newRule);
+      }
+      closeModal();
+    } catch (error) {
+      log.error('Failed to save rule:', error);
+      showMessage('error', 'Failed to save rule');
+    }
+  };
+
+  const columns: ColumnsType<PayloadRule> = [
+    {
+      title: 'Applies to',
+      key: 'direction',
+      width: 120,
+      render: (_: unknown, record: PayloadRule) => (
+        <Space size={2} wrap>
+          {record.isRequest && <Tag color="blue">Request</Tag>}
+          {record.isResponse && <Tag color="green">Response</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: 160,
+      ellipsis: true,
+      sorter: (a: PayloadRule, b: PayloadRule) => (a.name || '').localeCompare(b.name || ''),
+    },
+    {
+      title: 'Match',
+      key: 'match',
+      ellipsis: true,
+      render: (_: unknown, record: PayloadRule) => (
+        <Tooltip title={record.matchPattern}>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {MATCH_TYPE_LABELS[record.matchType]}{' '}
+          </Text>
+          <Text code style={{ fontSize: '12px' }}>
+            {record.matchPattern}
+          </Text>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Replace with',
+      dataIndex: 'replaceWith',
+      key: 'replaceWith',
+      ellipsis: true,
+      render: (replaceWith: string, record: PayloadRule) =>
+        replaceWith ? (
+          <Tooltip title={replaceWith}>
+            <Text code style={{ fontSize: '12px', opacity: record.isEnabled ? 1 : 0.5 }}>
+              {replaceWith}
+            </Text>
+          </Tooltip>
+        ) : (
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            (remove)
+          </Text>
+        ),
+    },
+    {
+      title: 'Type',
+      dataIndex: 'contentType',
+      key: 'contentType',
+      width: 80,
+      render: (contentType: ContentType) => <Tag>{CONTENT_TYPE_LABELS[contentType] ?? contentType}</Tag>,
+    },
+    {
+      title: 'Domains',
+      dataIndex: 'domains',
+      key: 'domains',
+      width: 140,
+      render: (domains: string[]) =>
+        domains && domains.length > 0 ? (
+          <Tooltip title={domains.join(', ')}>
+            <Tag style={{ fontSize: '12px' }}>{domains.length === 1 ? domains[0] : `${domains.length} domains`}</Tag>
+          </Tooltip>
+        ) : (
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            Any
+          </Text>
+        ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: 80,
+      align: 'center',
+      render: (_: unknown, record: PayloadRule) => (
+        <Switch checked={record.isEnabled} onChange={(checked) => toggleRule(record.id, checked)} size="small" />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 100,
+      align: 'center',
+      fixed: 'right',
+      render: (_: unknown, record: PayloadRule) => (
+        <Space size={4}>
+          <Tooltip title="Edit rule">
+            <Button type="text" icon={<EditOutlined />} size="small" onClick={() => openModal(record)} />
+          </Tooltip>
+          <Popconfirm title="Delete this rule?" onConfirm={() => removeRule(record.id)} okText="Yes" cancelText="No">
+            <Tooltip title="Delete rule">
+              <Button type="text" danger icon={<DeleteOutlined />} size="small" />
+            </Tooltip>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
   return (
     <div className="payload-rules-container">
       <Card>
-        <Empty
-          image={<FilePptOutlined style={{ fontSize: 64, color: '#bfbfbf' }} />}
-          style={{ padding: '40px 0' }}
-          description={
-            <div style={{ marginTop: 16 }}>
-              <Title level={4}>Request/Response Payload Rules</Title>
-              <Text type="secondary">Modify request and response payloads based on patterns. Coming soon...</Text>
-            </div>
-          }
+        <div style={{ marginBottom: 16, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Title level={4} style={{ margin: 0 }}>
+            <FilePptOutlined /> Payload Rules
+          </Title>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+            Add Rule
+          </Button>
+        </div>
+
+        {tutorialMode && (
+          <Alert
+            title="Payload Rules"
+            description={
+              <div>
+                <div>Payload rules rewrite request and response bodies as they pass through the local proxy.</div>
+                <div style={{ marginTop: 8 }}>
+                  Only traffic routed through the proxy is affected — the browser extension cannot change bodies
+                </div>
+                <div style={{ marginTop: 8 }}>
+                  Compressed bodies and binary content (images, fonts, downloads) are passed through untouched
+                </div>
+              </div>
+            }
+            type="info"
+            showIcon
+            closable
+            style={{ marginBottom: 16 }}
+          />
+        )}
+
+        <Table
+          dataSource={rules}
+          columns={columns}
+          rowKey="id"
+          scroll={{ x: 900, y: 280 }}
+          size="small"
+          locale={{
+            emptyText: (
+              <Empty description="No payload rules yet" image={Empty.PRESENTED_IMAGE_SIMPLE}>
+                <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+                  Add Your First Rule
+                </Button>
+              </Empty>
+            ),
+          }}
         />
       </Card>
+
+      <PayloadRuleModal
+        visible={modalVisible}
+        onCancel={closeModal}
+        onSave={handleSaveRule}
+        initialValues={editingRule}
+      />
     </div>
   );
 };
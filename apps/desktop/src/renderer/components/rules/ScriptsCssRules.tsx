@@ -1,23 +1,222 @@
-import { FileSearchOutlined } from '@ant-design/icons';
-import { Card, Empty, Typography } from 'antd';
+import { DeleteOutlined, EditOutlined, FileSearchOutlined, PlusOutlined } from '@ant-design/icons';
+import type { ScriptRule, ScriptRunAt } from '@openheaders/core';
+import { Alert, Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
+import type { ColumnsType } from 'antd/es/table';
+import { useState } from 'react';
+import { useSettings, useSources } from '@/renderer/contexts';
+import { useScriptRules } from '@/renderer/hooks/useCentralizedWorkspace';
+import { createRule, RULE_TYPES, showMessage } from '@/renderer/utils';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+import ScriptRuleModal from './scripts/ScriptRuleModal';
+
+const log = createLogger('ScriptsCssRules');
 
 const { Title, Text } = Typography;
 
+const RUN_AT_LABELS: Record<ScriptRunAt, string> = {
+  document_start: 'Start',
+  document_end: 'DOM ready',
+  document_idle: 'Idle',
+};
+
 const ScriptsCssRules = () => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState<ScriptRule | null>(null);
+
+  // All rule mutations go through main process via IPC (WorkspaceStateService)
+  const { rules, addRule, updateRule, removeRule, toggleRule } = useScriptRules();
+  const { sources } = useSources();
+
+  const { settings } = useSettings();
+  const tutorialMode = settings?.tutorialMode !== undefined ? settings.tutorialMode : true;
+
+  const openModal = (rule: ScriptRule | null) => {
+    setEditingRule(rule);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingRule(null);
+  };
+
+  const handleSaveRule = async (ruleData: Partial<ScriptRule>) => {
+    try {
+      if (editingRule) {
+        const updatedRule = createRule(RULE_TYPES.SCRIPT, {
+          ...editingRule,
+          ...ruleData,
+          id: editingRule.id,
+          createdAt: editingRule.createdAt,
+          updatedAt: new Date().toISOString(),
+        }) as ScriptRule;
+        const { id: _id, ...updates } = updatedRule;
+        const success = await updateRule(editingRule.id, updates);
+        if (success) showMessage('success', 'Rule updated successfully');
+      } else {
+        const newRule = createRule(RULE_TYPES.SCRIPT, ruleData) as ScriptRule;
+        await addRule(newRule);
+      }
+      closeModal();
+    } catch (error) {
+      log.error('Failed to save rule:', error);
+      showMessage('error', 'Failed to save rule');
+    }
+  };
+
+  const describeCode = (rule: ScriptRule): string => {
+    if (rule.sourceId) {
+      const source = sources.find((s) => s.sourceId === rule.sourceId);
+      return `Source: ${source?.sourceName || source?.sourcePath || rule.sourceId}`;
+    }
+    return rule.code.replace(/\s+/g, ' ').trim();
+  };
+
+  const columns: ColumnsType<ScriptRule> = [
+    {
+      title: 'Type',
+      dataIndex: 'language',
+      key: 'language',
+      width: 70,
+      render: (language: ScriptRule['language']) =>
+        language === 'css' ? <Tag color="magenta">CSS</Tag> : <Tag color="gold">JS</Tag>,
+    },
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: 180,
+      ellipsis: true,
+      sorter: (a: ScriptRule, b: ScriptRule) => (a.name || '').localeCompare(b.name || ''),
+    },
+    {
+      title: 'Code',
+      key: 'code',
+      ellipsis: true,
+      render: (_: unknown, record: ScriptRule) => {
+        const summary = describeCode(record);
+        return (
+          <Tooltip title={summary}>
+            <Text code={!record.sourceId} style={{ fontSize: '12px', opacity: record.isEnabled ? 1 : 0.5 }}>
+              {summary}
+            </Text>
+          </Tooltip>
+        );
+      },
+    },
+    {
+      title: 'Run at',
+      key: 'runAt',
+      width: 130,
+      render: (_: unknown, record: ScriptRule) => (
+        <Space size={2}>
+          <Tag>{RUN_AT_LABELS[record.runAt]}</Tag>
+          {record.language === 'js' && record.world === 'ISOLATED' && (
+            <Tooltip title="Runs in an isolated world">
+              <Tag color="purple">ISO</Tag>
+            </Tooltip>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: 'Domains',
+      dataIndex: 'domains',
+      key: 'domains',
+      width: 140,
+      render: (domains: string[]) => (
+        <Tooltip title={domains.join(', ')}>
+          <Tag style={{ fontSize: '12px' }}>{domains.length === 1 ? domains[0] : `${domains.length} domains`}</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: 80,
+      align: 'center',
+      render: (_: unknown, record: ScriptRule) => (
+        <Switch checked={record.isEnabled} onChange={(checked) => toggleRule(record.id, checked)} size="small" />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 100,
+      align: 'center',
+      fixed: 'right',
+      render: (_: unknown, record: ScriptRule) => (
+        <Space size={4}>
+          <Tooltip title="Edit rule">
+            <Button type="text" icon={<EditOutlined />} size="small" onClick={() => openModal(record)} />
+          </Tooltip>
+          <Popconfirm title="Delete this rule?" onConfirm={() => removeRule(record.id)} okText="Yes" cancelText="No">
+            <Tooltip title="Delete rule">
+              <Button type="text" danger icon={<DeleteOutlined />} size="small" />
+            </Tooltip>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
   return (
     <div className="scripts-css-rules-container">
       <Card>
-        <Empty
-          image={<FileSearchOutlined style={{ fontSize: 64, color: '#bfbfbf' }} />}
-          style={{ padding: '40px 0' }}
-          description={
-            <div style={{ marginTop: 16 }}>
-              <Title level={4}>Scripts/CSS Rules</Title>
-              <Text type="secondary">Inject or modify JavaScript and CSS on web pages. Coming soon...</Text>
-            </div>
-          }
+        <div style={{ marginBottom: 16, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Title level={4} style={{ margin: 0 }}>
+            <FileSearchOutlined /> Scripts/CSS Rules
+          </Title>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+            Add Rule
+          </Button>
+        </div>
+
+        {tutorialMode && (
+          <Alert
+            title="Scripts/CSS Rules"
+            description={
+              <div>
+                <div>Inject your own JavaScript or CSS into pages that match the rule's domains.</div>
+                <div style={{ marginTop: 8 }}>
+                  Hide banners, stub globals or add debug overlays — code can be written inline or loaded from a source
+                </div>
+                <div style={{ marginTop: 8 }}>
+                  Rules are automatically synced with the browser extension and applied on the next page load
+                </div>
+              </div>
+            }
+            type="info"
+            showIcon
+            closable
+            style={{ marginBottom: 16 }}
+          />
+        )}
+
+        <Table
+          dataSource={rules}
+          columns={columns}
+          rowKey="id"
+          scroll={{ x: 900, y: 280 }}
+          size="small"
+          locale={{
+            emptyText: (
+              <Empty description="No script or CSS rules yet" image={Empty.PRESENTED_IMAGE_SIMPLE}>
+                <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+                  Add Your First Rule
+                </Button>
+              </Empty>
+            ),
+          }}
         />
       </Card>
+
+      <ScriptRuleModal
+        visible={modalVisible}
+        onCancel={closeModal}
+        onSave={handleSaveRule}
+        initialValues={editingRule}
+      />
     </div>
   );
 };
@@ -1,23 +1,229 @@
-import { LinkOutlined } from '@ant-design/icons';
-import { Card, Empty, Typography } from 'antd';
+import { DeleteOutlined, EditOutlined, LinkOutlined, PlusOutlined } from '@ant-design/icons';
+import type { UrlRule, UrlRuleAction } from '@openheaders/core';
+import { Alert, Button, Card, Empty, Popconfirm, Space, Switch, Table, Tag, Tooltip, Typography } from 'antd';
+import type { ColumnsType } from 'antd/es/table';
+import { useState } from 'react';
+import { useSettings } from '@/renderer/contexts';
+import { useUrlRules } from '@/renderer/hooks/useCentralizedWorkspace';
+import { createRule, RULE_TYPES, showMessage } from '@/renderer/utils';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+import UrlRuleModal from './url/UrlRuleModal';
+
+const log = createLogger('UrlRules');
 
 const { Title, Text } = Typography;
 
+const ACTION_TAGS: Record<UrlRuleAction, { color: string; label: string }> = {
+  redirect: { color: 'blue', label: 'Redirect' },
+  block: { color: 'red', label: 'Block' },
+  modify: { color: 'purple', label: 'Modify query' },
+};
+
+const MATCH_TYPE_LABELS: Record<UrlRule['matchType'], string> = {
+  contains: 'contains',
+  exact: 'equals',
+  regex: 'regex',
+};
+
+function describeOutcome(rule: UrlRule): string {
+  switch (rule.action) {
+    case 'redirect':
+      return rule.redirectTo;
+    case 'block':
+      return 'Request is cancelled';
+    case 'modify':
+      return (rule.modifyParams || [])
+        .map((param) => (param.action === 'remove' ? `-${param.key}` : `${param.key}=${param.value ?? ''}`))
+        .join(', ');
+  }
+}
+
 const UrlRules = () => {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingRule, setEditingRule] = useState<UrlRule | null>(null);
+
+  // All rule mutations go through main process via IPC (WorkspaceStateService)
+  const { rules, addRule, updateRule, removeRule, toggleRule } = useUrlRules();
+
+  const { settings } = useSettings();
+  const tutorialMode = settings?.tutorialMode !== undefined ? settings.tutorialMode : true;
+
+  const openModal = (rule: UrlRule | null) => {
+    setEditingRule(rule);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setEditingRule(null);
+  };
+
+  const handleSaveRule = async (ruleData: Partial<UrlRule>) => {
+    try {
+      if (editingRule) {
+        const updatedRule = createRule(RULE_TYPES.URL, {
+          ...editingRule,
+          ...ruleData,
+          id: editingRule.id,
+          createdAt: editingRule.createdAt,
+          updatedAt: new Date().toISOString(),
+        }) as UrlRule;
+        const { id: _id, ...updates } = updatedRule;
+        const success = await updateRule(editingRule.id, updates);
+        if (success) showMessage('success', 'Rule updated successfully');
+      } else {
+        const newRule = createRule(RULE_TYPES.URL, ruleData) as UrlRule;
+        await addRule(newRule);
+      }
+      closeModal();
+    } catch (error) {
+      log.error('Failed to save rule:', error);
+      showMessage('error', 'Failed to save rule');
+    }
+  };
+
+  const columns: ColumnsType<UrlRule> = [
+    {
+      title: 'Action',
+      dataIndex: 'action',
+      key: 'action',
+      width: 120,
+      render: (action: UrlRuleAction) => <Tag color={ACTION_TAGS[action].color}>{ACTION_TAGS[action].label}</Tag>,
+    },
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      width: 180,
+      ellipsis: true,
+      sorter: (a: UrlRule, b: UrlRule) => (a.name || '').localeCompare(b.name || ''),
+    },
+    {
+      title: 'Match',
+      key: 'match',
+      ellipsis: true,
+      render: (_: unknown, record: UrlRule) => (
+        <Tooltip title={record.matchPattern}>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {MATCH_TYPE_LABELS[record.matchType]}{' '}
+          </Text>
+          <Text code style={{ fontSize: '12px' }}>
+            {record.matchPattern}
+          </Text>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Outcome',
+      key: 'outcome',
+      ellipsis: true,
+      render: (_: unknown, record: UrlRule) => {
+        const outcome = describeOutcome(record);
+        return (
+          <Tooltip title={outcome}>
+            <Text style={{ fontSize: '13px', opacity: record.isEnabled ? 1 : 0.5 }}>{outcome}</Text>
+          </Tooltip>
+        );
+      },
+    },
+    {
+      title: 'Domains',
+      dataIndex: 'domains',
+      key: 'domains',
+      width: 140,
+      render: (domains: string[]) =>
+        domains && domains.length > 0 ? (
+          <Tooltip title={domains.join(', ')}>
+            <Tag style={{ fontSize: '12px' }}>{domains.length === 1 ? domains[0] : `${domains.length} domains`}</Tag>
+          </Tooltip>
+        ) : (
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            Any
+          </Text>
+        ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: 80,
+      align: 'center',
+      render: (_: unknown, record: UrlRule) => (
+        <Switch checked={record.isEnabled} onChange={(checked) => toggleRule(record.id, checked)} size="small" />
+      ),
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      width: 100,
+      align: 'center',
+      fixed: 'right',
+      render: (_: unknown, record: UrlRule) => (
+        <Space size={4}>
+          <Tooltip title="Edit rule">
+            <Button type="text" icon={<EditOutlined />} size="small" onClick={() => openModal(record)} />
+          </Tooltip>
+          <Popconfirm title="Delete this rule?" onConfirm={() => removeRule(record.id)} okText="Yes" cancelText="No">
+            <Tooltip title="Delete rule">
+              <Button type="text" danger icon={<DeleteOutlined />} size="small" />
+            </Tooltip>
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
   return (
     <div className="url-rules-container">
       <Card>
-        <Empty
-          image={<LinkOutlined style={{ fontSize: 64, color: '#bfbfbf' }} />}
-          style={{ padding: '40px 0' }}
-          description={
-            <div style={{ marginTop: 16 }}>
-              <Title level={4}>URL Rules</Title>
-              <Text type="secondary">Modify, redirect, or block URLs based on patterns. Coming soon...</Text>
-            </div>
-          }
+        <div style={{ marginBottom: 16, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Title level={4} style={{ margin: 0 }}>
+            <LinkOutlined /> URL Rules
+          </Title>
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+            Add Rule
+          </Button>
+        </div>
+
+        {tutorialMode && (
+          <Alert
+            title="URL Rules"
+            description={
+              <div>
+                <div>URL rules redirect, block, or rewrite the query string of matching requests in the browser.</div>
+                <div style={{ marginTop: 8 }}>
+                  Point a production front-end at a local build, or block telemetry calls while testing
+                </div>
+                <div style={{ marginTop: 8 }}>
+                  Rules are automatically synced with the browser extension and applied in real-time
+                </div>
+              </div>
+            }
+            type="info"
+            showIcon
+            closable
+            style={{ marginBottom: 16 }}
+          />
+        )}
+
+        <Table
+          dataSource={rules}
+          columns={columns}
+          rowKey="id"
+          scroll={{ x: 900, y: 280 }}
+          size="small"
+          locale={{
+            emptyText: (
+              <Empty description="No URL rules yet" image={Empty.PRESENTED_IMAGE_SIMPLE}>
+                <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal(null)}>
+                  Add Your First Rule
+                </Button>
+              </Empty>
+            ),
+          }}
         />
       </Card>
+
+      <UrlRuleModal visible={modalVisible} onCancel={closeModal} onSave={handleSaveRule} initialValues={editingRule} />
     </div>
   );
 };
@@ -0,0 +1,205 @@
+import { CheckOutlined, CloseOutlined, DeleteOutlined, DownOutlined, StopOutlined } from '@ant-design/icons';
+import type { HeaderRule, Source } from '@openheaders/core';
+import type { MenuProps } from 'antd';
+import { Button, Dropdown, Input, Modal, Popconfirm, Select, Space, Typography } from 'antd';
+import { useMemo, useState } from 'react';
+import {
+  type BulkEdit,
+  buildBulkEdit,
+  type HeaderRuleUpdate,
+} from '@/renderer/utils/data-structures/headerRuleBulkEdit';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+
+const { Text } = Typography;
+
+type PromptKind = 'tag' | 'addDomain' | 'removeDomain' | 'source';
+
+const PROMPT_TITLES: Record<PromptKind, string> = {
+  tag: 'Set tag',
+  addDomain: 'Add domain',
+  removeDomain: 'Remove domain',
+  source: 'Change source',
+};
+
+interface BulkActionsBarProps {
+  selectedRules: HeaderRule[];
+  sources: Source[];
+  onUpdate: (updates: HeaderRuleUpdate[]) => Promise<boolean>;
+  onDelete: (ruleIds: string[]) => Promise<boolean>;
+  onClearSelection: () => void;
+}
+
+const pluralize = (count: number) => `${count} ${count === 1 ? 'rule' : 'rules'}`;
+
+/**
+ * Actions for the header rules selected in the table: enable/disable, retag,
+ * add or remove a domain, change the source, delete. Each action is saved as
+ * a single batch so it can be undone in one step.
+ */
+const BulkActionsBar = ({ selectedRules, sources, onUpdate, onDelete, onClearSelection }: BulkActionsBarProps) => {
+  const [prompt, setPrompt] = useState<PromptKind | null>(null);
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const selectedDomains = useMemo(
+    () => [...new Set(selectedRules.flatMap((rule) => rule.domains || []))].sort(),
+    [selectedRules],
+  );
+
+  const applyEdit = async (edit: BulkEdit): Promise<boolean> => {
+    const { updates, skipped } = buildBulkEdit(selectedRules, edit);
+    if (skipped.length > 0) {
+      const reason =
+        edit.kind === 'source' ? "don't use a source" : edit.kind === 'removeDomain' ? 'have no other domain' : '';
+      showMessage('warning', `Skipped ${pluralize(skipped.length)} that ${reason}`);
+    }
+    if (updates.length === 0) {
+      if (skipped.length === 0) showMessage('info', 'Selected rules already match');
+      return true;
+    }
+    const success = await onUpdate(updates);
+    if (success) showMessage('success', `Updated ${pluralize(updates.length)}`);
+    return success;
+  };
+
+  const openPrompt = (kind: PromptKind) => {
+    setValue('');
+    setPrompt(kind);
+  };
+
+  const handlePromptOk = async () => {
+    if (!prompt) return;
+    setSaving(true);
+    const edit: BulkEdit =
+      prompt === 'tag'
+        ? { kind: 'tag', tag: value }
+        : prompt === 'source'
+          ? { kind: 'source', sourceId: value }
+          : { kind: prompt, domain: value };
+    const success = await applyEdit(edit);
+    setSaving(false);
+    if (success) setPrompt(null);
+  };
+
+  const handleDelete = async () => {
+    const success = await onDelete(selectedRules.map((rule) => rule.id));
+    if (success) onClearSelection();
+  };
+
+  const menuItems: MenuProps['items'] = [
+    { key: 'tag', label: 'Set tag…' },
+    { key: 'addDomain', label: 'Add domain…' },
+    { key: 'removeDomain', label: 'Remove domain…', disabled: selectedDomains.length === 0 },
+    { key: 'source', label: 'Change source…', disabled: sources.length === 0 },
+  ];
+
+  const renderPromptInput = () => {
+    switch (prompt) {
+      case 'tag':
+        return (
+          <Input
+            placeholder="Tag (leave empty to clear)"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onPressEnter={handlePromptOk}
+            autoFocus
+          />
+        );
+      case 'addDomain':
+        return (
+          <Input
+            placeholder="e.g. api.example.com or *.example.com"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            onPressEnter={handlePromptOk}
+            autoFocus
+          />
+        );
+      case 'removeDomain':
+        return (
+          <Select
+            style={{ width: '100%' }}
+            placeholder="Select a domain"
+            value={value || undefined}
+            onChange={setValue}
+            options={selectedDomains.map((domain) => ({ label: domain, value: domain }))}
+            showSearch
+          />
+        );
+      case 'source':
+        return (
+          <Select
+            style={{ width: '100%' }}
+            placeholder="Select a source"
+            value={value || undefined}
+            onChange={setValue}
+            options={sources.map((source) => ({
+              label: `#${source.sourceId} ${source.sourceTag || source.sourcePath || source.sourceType}`,
+              value: String(source.sourceId),
+            }))}
+            showSearch
+            optionFilterProp="label"
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div
+      style={{
+        marginBottom: 12,
+        padding: '6px 12px',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        background: 'rgba(22, 119, 255, 0.06)',
+        borderRadius: 6,
+      }}
+    >
+      <Text strong>{selectedRules.length} selected</Text>
+      <Space size={4}>
+        <Button size="small" icon={<CheckOutlined />} onClick={() => applyEdit({ kind: 'enable', enabled: true })}>
+          Enable
+        </Button>
+        <Button size="small" icon={<StopOutlined />} onClick={() => applyEdit({ kind: 'enable', enabled: false })}>
+          Disable
+        </Button>
+        <Dropdown menu={{ items: menuItems, onClick: ({ key }) => openPrompt(key as PromptKind) }} trigger={['click']}>
+          <Button size="small">
+            Edit <DownOutlined />
+          </Button>
+        </Dropdown>
+        <Popconfirm
+          title={`Delete ${pluralize(selectedRules.length)}?`}
+          onConfirm={handleDelete}
+          okText="Yes"
+          cancelText="No"
+        >
+          <Button size="small" danger icon={<DeleteOutlined />}>
+            Delete
+          </Button>
+        </Popconfirm>
+        <Button size="small" type="text" icon={<CloseOutlined />} onClick={onClearSelection}>
+          Clear
+        </Button>
+      </Space>
+
+      <Modal
+        title={prompt ? `${PROMPT_TITLES[prompt]} for ${pluralize(selectedRules.length)}` : ''}
+        open={prompt !== null}
+        onCancel={() => setPrompt(null)}
+        onOk={handlePromptOk}
+        okText="Apply"
+        okButtonProps={{ disabled: prompt !== 'tag' && !value.trim(), loading: saving }}
+        width={420}
+        destroyOnHidden
+      >
+        {renderPromptInput()}
+      </Modal>
+    </div>
+  );
+};
+
+export default BulkActionsBar;
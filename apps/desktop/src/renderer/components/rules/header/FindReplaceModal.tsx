@@ -0,0 +1,176 @@
+import { FileSearchOutlined } from '@ant-design/icons';
+import type { HeaderRule } from '@openheaders/core';
+import { Alert, Button, Checkbox, Empty, Input, Modal, Space, Table, Tag, Typography } from 'antd';
+import type { ColumnsType } from 'antd/es/table';
+import { useEffect, useMemo, useState } from 'react';
+import {
+  type FindReplaceField,
+  type FindReplaceMatch,
+  findReplaceInRules,
+  type HeaderRuleUpdate,
+} from '@/renderer/utils/data-structures/headerRuleBulkEdit';
+
+const { Text } = Typography;
+
+const FIELD_OPTIONS: Array<{ label: string; value: FindReplaceField }> = [
+  { label: 'Header names', value: 'headerName' },
+  { label: 'Values', value: 'headerValue' },
+  { label: 'Domains', value: 'domains' },
+];
+
+const FIELD_LABELS: Record<FindReplaceField, string> = {
+  headerName: 'Name',
+  headerValue: 'Value',
+  domains: 'Domains',
+};
+
+interface FindReplaceModalProps {
+  visible: boolean;
+  onCancel: () => void;
+  rules: HeaderRule[];
+  /** When non-empty the search can be limited to these rules */
+  selectedRuleIds: string[];
+  onApply: (updates: HeaderRuleUpdate[]) => Promise<boolean>;
+}
+
+/**
+ * Find and replace text across header names, values and domains of many rules,
+ * previewing every affected rule before anything is saved.
+ */
+const FindReplaceModal = ({ visible, onCancel, rules, selectedRuleIds, onApply }: FindReplaceModalProps) => {
+  const [find, setFind] = useState('');
+  const [replace, setReplace] = useState('');
+  const [fields, setFields] = useState<FindReplaceField[]>(['headerName', 'headerValue', 'domains']);
+  const [matchCase, setMatchCase] = useState(false);
+  const [selectedOnly, setSelectedOnly] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  // Start each search over the selection when there is one
+  useEffect(() => {
+    if (visible) setSelectedOnly(selectedRuleIds.length > 0);
+  }, [visible, selectedRuleIds.length]);
+
+  const scope = useMemo(() => {
+    if (!selectedOnly) return rules;
+    const ids = new Set(selectedRuleIds);
+    return rules.filter((rule) => ids.has(rule.id));
+  }, [rules, selectedRuleIds, selectedOnly]);
+
+  const matches = useMemo(
+    () => findReplaceInRules(scope, { find, replace, fields, matchCase }),
+    [scope, find, replace, fields, matchCase],
+  );
+
+  const handleApply = async () => {
+    setApplying(true);
+    const applied = await onApply(matches.map((match) => ({ ruleId: match.rule.id, changes: match.changes })));
+    setApplying(false);
+    if (applied) {
+      setFind('');
+      setReplace('');
+      onCancel();
+    }
+  };
+
+  const columns: ColumnsType<FindReplaceMatch> = [
+    {
+      title: 'Rule',
+      key: 'rule',
+      width: 160,
+      render: (_: unknown, match) => (
+        <Space orientation="vertical" size={0}>
+          <Text strong>{match.rule.name || match.rule.headerName}</Text>
+          {match.rule.tag && <Text type="secondary">{match.rule.tag}</Text>}
+        </Space>
+      ),
+    },
+    {
+      title: 'Changes',
+      key: 'changes',
+      render: (_: unknown, match) => (
+        <Space orientation="vertical" size={4} style={{ width: '100%' }}>
+          {match.fields.map((change, index) => (
+            <Space key={`${change.field}-${index}`} size={4} align="start">
+              <Tag style={{ fontSize: '11px', margin: 0 }}>{FIELD_LABELS[change.field]}</Tag>
+              <Text delete type="secondary" style={{ wordBreak: 'break-all' }}>
+                {change.before}
+              </Text>
+              <Text>→</Text>
+              <Text style={{ wordBreak: 'break-all' }}>{change.after || '(empty)'}</Text>
+            </Space>
+          ))}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <FileSearchOutlined />
+          Find and Replace
+        </Space>
+      }
+      open={visible}
+      onCancel={onCancel}
+      width={760}
+      destroyOnHidden
+      footer={[
+        <Button key="cancel" onClick={onCancel}>
+          Cancel
+        </Button>,
+        <Button key="apply" type="primary" loading={applying} disabled={matches.length === 0} onClick={handleApply}>
+          Replace in {matches.length} {matches.length === 1 ? 'rule' : 'rules'}
+        </Button>,
+      ]}
+    >
+      <Space orientation="vertical" size="middle" style={{ width: '100%' }}>
+        <Space.Compact style={{ width: '100%' }}>
+          <Input placeholder="Find" value={find} onChange={(e) => setFind(e.target.value)} allowClear autoFocus />
+          <Input placeholder="Replace with" value={replace} onChange={(e) => setReplace(e.target.value)} allowClear />
+        </Space.Compact>
+
+        <Space wrap>
+          <Checkbox.Group
+            options={FIELD_OPTIONS}
+            value={fields}
+            onChange={(values) => setFields(values as FindReplaceField[])}
+          />
+          <Checkbox checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)}>
+            Match case
+          </Checkbox>
+          {selectedRuleIds.length > 0 && (
+            <Checkbox checked={selectedOnly} onChange={(e) => setSelectedOnly(e.target.checked)}>
+              Selected rules only ({selectedRuleIds.length})
+            </Checkbox>
+          )}
+        </Space>
+
+        {fields.includes('headerValue') && (
+          <Alert
+            type="info"
+            showIcon
+            title="For rules whose value comes from a source or generator, the prefix and suffix are searched."
+          />
+        )}
+
+        {find && matches.length === 0 ? (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No rules match" />
+        ) : (
+          find && (
+            <Table<FindReplaceMatch>
+              size="small"
+              rowKey={(match) => match.rule.id}
+              dataSource={matches}
+              columns={columns}
+              pagination={{ pageSize: 8, size: 'small', hideOnSinglePage: true }}
+            />
+          )
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default FindReplaceModal;
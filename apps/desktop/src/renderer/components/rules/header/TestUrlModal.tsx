@@ -0,0 +1,204 @@
+import { CheckCircleTwoTone, ExperimentOutlined, StopOutlined } from '@ant-design/icons';
+import type {
+  HeaderRule,
+  HeaderRuleEvaluation,
+  HeaderRuleSkipReason,
+  HttpMethod,
+  RequestResourceType,
+  Source,
+} from '@openheaders/core';
+import { simulateHeaderRules } from '@openheaders/core';
+import { Button, Empty, Form, Input, Modal, Select, Space, Table, Tag, Tooltip, Typography } from 'antd';
+import type { ColumnsType } from 'antd/es/table';
+import { useState } from 'react';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+import { METHOD_OPTIONS, RESOURCE_TYPE_OPTIONS } from './unified-modal/ConditionsSection';
+
+const { Text } = Typography;
+const log = createLogger('TestUrlModal');
+
+const SKIP_REASON_LABELS: Record<HeaderRuleSkipReason, string> = {
+  disabled: 'Disabled',
+  tag_group_disabled: 'Tag group paused',
+  condition_mismatch: 'Conditions not met',
+  excluded_by_other_rule: 'Excluded by another rule',
+  unresolved_variable: 'Unset variable',
+  invalid_template: 'Invalid template',
+  invalid_header: 'Invalid header',
+  source_missing: 'Source missing',
+  source_pending: 'Source pending',
+  source_empty: 'Source empty',
+  empty_value: 'Empty value',
+  invalid_value: 'Invalid value',
+  proxy_only: 'Proxy only',
+};
+
+interface TestUrlFormValues {
+  url: string;
+  method: HttpMethod;
+  resourceType: RequestResourceType;
+  initiator?: string;
+}
+
+interface TestUrlModalProps {
+  visible: boolean;
+  onCancel: () => void;
+  rules: HeaderRule[];
+  sources: Source[];
+  variables: Record<string, string>;
+}
+
+/**
+ * "What would be sent to this URL?" — evaluates the header rules against a request
+ * without sending it, showing each matching rule's value or why it is skipped.
+ * Tag groups the connected extension has disabled are treated as paused.
+ */
+const TestUrlModal = ({ visible, onCancel, rules, sources, variables }: TestUrlModalProps) => {
+  const [form] = Form.useForm<TestUrlFormValues>();
+  const [results, setResults] = useState<HeaderRuleEvaluation[] | null>(null);
+
+  const handleTest = async (values: TestUrlFormValues) => {
+    const disabledTagGroups = await window.electronAPI.wsGetDisabledTagGroups().catch((error: unknown) => {
+      log.error('Failed to load disabled tag groups:', error);
+      return [];
+    });
+    setResults(
+      simulateHeaderRules(
+        rules,
+        {
+          url: values.url.trim(),
+          method: values.method,
+          resourceType: values.resourceType,
+          initiator: values.initiator?.trim() || null,
+        },
+        { environmentVariables: variables, sources, disabledTagGroups },
+      ),
+    );
+  };
+
+  const columns: ColumnsType<HeaderRuleEvaluation> = [
+    {
+      title: 'Header',
+      dataIndex: 'headerName',
+      key: 'headerName',
+      width: 180,
+      render: (headerName: string, record) => (
+        <Space size={4}>
+          <Text strong>{headerName}</Text>
+          <Tag style={{ margin: 0 }}>{record.isResponse ? 'Res' : 'Req'}</Tag>
+        </Space>
+      ),
+    },
+    {
+      title: 'Value',
+      key: 'value',
+      render: (_: unknown, record) => {
+        if (!record.applied) {
+          return <Text type="secondary">{record.detail}</Text>;
+        }
+        if (record.operation === 'remove') {
+          return <Text type="secondary">Removed</Text>;
+        }
+        return (
+          <Text code copyable={{ text: record.value }} style={{ wordBreak: 'break-all' }}>
+            {record.operation === 'append' ? `+ ${record.value}` : record.value}
+          </Text>
+        );
+      },
+    },
+    {
+      title: 'Matched By',
+      dataIndex: 'matchedPattern',
+      key: 'matchedPattern',
+      width: 160,
+      render: (pattern: string | null, record) => (
+        <Tooltip title={record.priority > 0 ? `Priority ${record.priority}` : undefined}>
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            {pattern ?? 'Unresolved domain'}
+          </Text>
+        </Tooltip>
+      ),
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      width: 150,
+      render: (_: unknown, record) =>
+        record.applied ? (
+          <Tag icon={<CheckCircleTwoTone twoToneColor="#52c41a" />} color="success">
+            Sent
+          </Tag>
+        ) : (
+          <Tag icon={<StopOutlined />} color="default">
+            {record.skipReason ? SKIP_REASON_LABELS[record.skipReason] : 'Skipped'}
+          </Tag>
+        ),
+    },
+  ];
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <ExperimentOutlined />
+          Test URL
+        </Space>
+      }
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={860}
+      destroyOnHidden
+      afterClose={() => setResults(null)}
+    >
+      <Form
+        form={form}
+        layout="inline"
+        onFinish={handleTest}
+        initialValues={{ method: 'GET', resourceType: 'main_frame' }}
+        style={{ marginTop: 16, marginBottom: 16, rowGap: 8 }}
+      >
+        <Form.Item
+          name="url"
+          style={{ flex: 1, minWidth: 260 }}
+          rules={[
+            { required: true, message: 'Enter a URL' },
+            { type: 'url', message: 'Enter a full URL, e.g. https://api.example.com/v1/users' },
+          ]}
+        >
+          <Input placeholder="https://api.example.com/v1/users" allowClear />
+        </Form.Item>
+        <Form.Item name="method">
+          <Select options={METHOD_OPTIONS} style={{ width: 110 }} />
+        </Form.Item>
+        <Form.Item name="resourceType">
+          <Select options={RESOURCE_TYPE_OPTIONS} style={{ width: 170 }} />
+        </Form.Item>
+        <Form.Item name="initiator" tooltip="Page making the request, for rules limited to initiator domains">
+          <Input placeholder="Initiator (optional)" style={{ width: 170 }} allowClear />
+        </Form.Item>
+        <Form.Item style={{ marginInlineEnd: 0 }}>
+          <Button type="primary" htmlType="submit">
+            Test
+          </Button>
+        </Form.Item>
+      </Form>
+
+      {results && (
+        <Table
+          dataSource={results}
+          columns={columns}
+          rowKey="ruleId"
+          size="small"
+          pagination={false}
+          scroll={{ y: 360 }}
+          locale={{
+            emptyText: <Empty description="No header rules match this URL" image={Empty.PRESENTED_IMAGE_SIMPLE} />,
+          }}
+        />
+      )}
+    </Modal>
+  );
+};
+
+export default TestUrlModal;
@@ -0,0 +1,90 @@
+import type { HttpMethod, RequestResourceType } from '@openheaders/core';
+import { Collapse, Form, Select, Typography } from 'antd';
+import DomainTags from '@/renderer/components/features/domain-tags';
+
+const { Text } = Typography;
+
+export const METHOD_OPTIONS: { label: string; value: HttpMethod }[] = [
+  'GET',
+  'POST',
+  'PUT',
+  'PATCH',
+  'DELETE',
+  'HEAD',
+  'OPTIONS',
+  'CONNECT',
+].map((method) => ({ label: method, value: method as HttpMethod }));
+
+export const RESOURCE_TYPE_OPTIONS: { label: string; value: RequestResourceType }[] = [
+  { label: 'Page (main_frame)', value: 'main_frame' },
+  { label: 'Frame (sub_frame)', value: 'sub_frame' },
+  { label: 'XHR / Fetch', value: 'xmlhttprequest' },
+  { label: 'Script', value: 'script' },
+  { label: 'Stylesheet', value: 'stylesheet' },
+  { label: 'Image', value: 'image' },
+  { label: 'Font', value: 'font' },
+  { label: 'Media', value: 'media' },
+  { label: 'WebSocket', value: 'websocket' },
+  { label: 'Object', value: 'object' },
+  { label: 'Ping', value: 'ping' },
+  { label: 'Other', value: 'other' },
+];
+
+interface ConditionsSectionProps {
+  /** Number of conditions currently set, shown in the collapsed header */
+  activeCount: number;
+}
+
+/**
+ * Optional request conditions — narrow a rule beyond its domains.
+ * Rendered with forceRender so the fields stay registered while collapsed.
+ */
+const ConditionsSection = ({ activeCount }: ConditionsSectionProps) => (
+  <Collapse
+    size="small"
+    style={{ marginBottom: 20 }}
+    defaultActiveKey={activeCount > 0 ? ['conditions'] : []}
+    items={[
+      {
+        key: 'conditions',
+        forceRender: true,
+        label: (
+          <Text>
+            Request Conditions{' '}
+            <Text type="secondary">{activeCount > 0 ? `(${activeCount} active)` : '(optional)'}</Text>
+          </Text>
+        ),
+        children: (
+          <>
+            <Form.Item label="Methods" name="methods" tooltip="Leave empty to match any method">
+              <Select mode="multiple" allowClear placeholder="Any method" options={METHOD_OPTIONS} />
+            </Form.Item>
+
+            <Form.Item label="Resource Types" name="resourceTypes" tooltip="Leave empty to match any resource type">
+              <Select mode="multiple" allowClear placeholder="Any resource type" options={RESOURCE_TYPE_OPTIONS} />
+            </Form.Item>
+
+            <Form.Item
+              label="Initiator Domains"
+              name="initiatorDomains"
+              tooltip="Only apply to requests made by pages on these domains (subdomains included)"
+            >
+              <Select mode="tags" allowClear placeholder="Any initiator, e.g. app.example.com" open={false} />
+            </Form.Item>
+
+            <Form.Item
+              label="Excluded Domains / URLs"
+              name="excludedDomains"
+              tooltip="Requests to these domains (subdomains included) or URL patterns, e.g. api.example.com/health, are skipped"
+              style={{ marginBottom: 0 }}
+            >
+              <DomainTags />
+            </Form.Item>
+          </>
+        ),
+      },
+    ]}
+  />
+);
+
+export default ConditionsSection;
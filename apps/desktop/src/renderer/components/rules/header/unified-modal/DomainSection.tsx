@@ -27,7 +27,9 @@ const DomainSection = ({ domainValidation, envContext }: DomainSectionProps) =>
         value.forEach((domain: string) => {
           const validation = validateEnvironmentVariables(domain, variables);
           if (validation.hasVars && !validation.isValid) {
-            invalidDomains.push(`${domain} (${formatMissingVariables(validation.missingVars)})`);
+            invalidDomains.push(
+              `${domain} (${validation.templateError || formatMissingVariables(validation.missingVars)})`,
+            );
           }
         });
 
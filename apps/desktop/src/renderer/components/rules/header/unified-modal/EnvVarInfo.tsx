@@ -33,6 +33,7 @@ const EnvVarInfo = ({
             } else {
               if (field === 'headerName') fieldLabel = 'Header name';
               else if (field === 'headerValue') fieldLabel = 'Header value';
+              else if (field === 'generatorSecret') fieldLabel = 'Signing secret';
               else fieldLabel = field.charAt(0).toUpperCase() + field.slice(1);
             }
 
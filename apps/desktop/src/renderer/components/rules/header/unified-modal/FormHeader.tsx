@@ -1,5 +1,10 @@
 import { InfoCircleOutlined } from '@ant-design/icons';
-import { Form, Input, Radio, Typography } from 'antd';
+import {
+  type HeaderOperation,
+  MAX_HEADER_RULE_PRIORITY,
+  validateHeaderName as validateHeaderNameForBrowser,
+} from '@openheaders/core';
+import { Form, Input, InputNumber, Radio, Tooltip, Typography } from 'antd';
 import type React from 'react';
 import { useCallback, useMemo } from 'react';
 import {
@@ -31,6 +36,7 @@ interface FormHeaderProps {
   mode: 'generic' | 'cookie';
   headerType: string;
   setHeaderType: (type: string) => void;
+  operation: HeaderOperation;
   envVarValidation: EnvVarValidationState;
   envContext: EnvContext;
 }
@@ -88,7 +94,14 @@ const normalizeHeaderName = (name: string): string => {
     .join('-');
 };
 
-const FormHeader: React.FC<FormHeaderProps> = ({ mode, headerType, setHeaderType, envVarValidation, envContext }) => {
+const FormHeader: React.FC<FormHeaderProps> = ({
+  mode,
+  headerType,
+  setHeaderType,
+  operation,
+  envVarValidation,
+  envContext,
+}) => {
   const form = Form.useFormInstance();
 
   // Pure env-var check — no state side effects. Safe to call from validators.
@@ -110,10 +123,15 @@ const FormHeader: React.FC<FormHeaderProps> = ({ mode, headerType, setHeaderType
 
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
 
       const hasEnvVars = envValidation?.hasVars;
+      if (!hasEnvVars && operation === 'remove') {
+        // Some protected headers (e.g. Origin) can be stripped even though they can't be set
+        const validation = validateHeaderNameForBrowser(value, headerType === 'response', 'remove');
+        return validation.valid ? Promise.resolve() : Promise.reject(validation.message);
+      }
       if (!hasEnvVars) {
         const headerName = value.trim().toLowerCase();
         if (
@@ -130,7 +148,7 @@ const FormHeader: React.FC<FormHeaderProps> = ({ mode, headerType, setHeaderType
 
       return Promise.resolve();
     },
-    [checkEnvVars],
+    [checkEnvVars, operation, headerType],
   );
 
   // Validation for cookie name — pure, stable reference
@@ -146,7 +164,7 @@ const FormHeader: React.FC<FormHeaderProps> = ({ mode, headerType, setHeaderType
 
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
 
       return Promise.resolve();
@@ -230,9 +248,22 @@ const FormHeader: React.FC<FormHeaderProps> = ({ mode, headerType, setHeaderType
         </Radio.Group>
       </Form.Item>
 
-      <Form.Item name="tag" style={{ marginBottom: 0, width: 180 }}>
+      <Form.Item name="tag" style={{ marginBottom: 0, width: 120 }}>
         <Input placeholder="Tag (optional)" size="small" maxLength={20} />
       </Form.Item>
+
+      <Tooltip title="When rules modify the same header on the same request, the higher priority wins">
+        <Form.Item name="priority" initialValue={0} style={{ marginBottom: 0, width: 80 }}>
+          <InputNumber
+            min={0}
+            max={MAX_HEADER_RULE_PRIORITY}
+            precision={0}
+            size="small"
+            prefix="P"
+            style={{ width: '100%' }}
+          />
+        </Form.Item>
+      </Tooltip>
     </div>
   );
 };
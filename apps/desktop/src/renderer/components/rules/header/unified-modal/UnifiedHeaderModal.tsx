@@ -1,5 +1,5 @@
 import { CloseOutlined, CopyrightTwoTone, RightCircleTwoTone, SaveOutlined } from '@ant-design/icons';
-import type { HeaderRule } from '@openheaders/core';
+import type { HeaderOperation, HeaderRule } from '@openheaders/core';
 import { Button, Form, Modal, Segmented, Space, theme } from 'antd';
 import dayjs from 'dayjs';
 import { useEffect, useMemo, useRef, useState } from 'react';
@@ -10,12 +10,13 @@ import {
   extractVariablesFromRule,
   validateEnvironmentVariables,
 } from '@/renderer/utils/validation/environment-variables';
+import ConditionsSection from './ConditionsSection';
 import CookieAttributes from './CookieAttributes';
 import DomainSection from './DomainSection';
 import EnvVarInfo from './EnvVarInfo';
 // Import sub-components
 import FormHeader from './FormHeader';
-import { buildHeaderValue, parseHeaderValue } from './utils';
+import { buildGenerator, buildHeaderValue, parseHeaderValue } from './utils';
 import ValueSection from './ValueSection';
 
 interface HeaderRuleValues extends Partial<HeaderRule> {
@@ -62,6 +63,7 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
   const [mode, setMode] = useState<'generic' | 'cookie'>(getInitialMode());
   const [headerType, setHeaderType] = useState('request');
   const [valueType, setValueType] = useState('static');
+  const [operation, setOperation] = useState<HeaderOperation>('set');
   // Domain env-var validation — derived from form values, not state.
   const domainsValue = Form.useWatch('domains', form) as string[] | undefined;
   const domainValidation = useMemo((): DomainValidation[] => {
@@ -70,6 +72,18 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
     return domainsValue.map((domain: string) => validateEnvironmentVariables(domain, variables));
   }, [domainsValue, envContext]);
 
+  // Expand the conditions section up front when the rule already narrows its requests
+  const activeConditionCount = useMemo(
+    () =>
+      [
+        initialValues?.methods,
+        initialValues?.resourceTypes,
+        initialValues?.initiatorDomains,
+        initialValues?.excludedDomains,
+      ].filter((list) => list && list.length > 0).length,
+    [initialValues],
+  );
+
   // Cookie-specific state
   const [expirationMode, setExpirationMode] = useState('session');
   const [sameSite, setSameSite] = useState('Lax');
@@ -85,6 +99,7 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
   const cookieValue = Form.useWatch('cookieValue', form) as string | undefined;
   const prefixValue = Form.useWatch('prefix', form) as string | undefined;
   const suffixValue = Form.useWatch('suffix', form) as string | undefined;
+  const generatorSecretValue = Form.useWatch(['generator', 'secret'], form) as string | undefined;
 
   const envVarValidation = useMemo(() => {
     if (!envContext.environmentsReady) return {};
@@ -97,9 +112,19 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
     if (cookieValue) result.cookieValue = validateEnvironmentVariables(cookieValue, vars);
     if (prefixValue) result.prefix = validateEnvironmentVariables(prefixValue, vars);
     if (suffixValue) result.suffix = validateEnvironmentVariables(suffixValue, vars);
+    if (generatorSecretValue) result.generatorSecret = validateEnvironmentVariables(generatorSecretValue, vars);
 
     return result;
-  }, [envContext, headerNameValue, cookieNameValue, headerValue, cookieValue, prefixValue, suffixValue]);
+  }, [
+    envContext,
+    headerNameValue,
+    cookieNameValue,
+    headerValue,
+    cookieValue,
+    prefixValue,
+    suffixValue,
+    generatorSecretValue,
+  ]);
 
   // Initialize form values — setTimeout(0) is required because the Form
   // DOM node isn't connected during the initial commit phase (destroyOnHidden).
@@ -113,6 +138,7 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
     setTimeout(() => {
       const currentMode = getInitialMode();
       setMode(currentMode);
+      const initialValueType = initialValues?.generator ? 'generated' : initialValues?.isDynamic ? 'dynamic' : 'static';
 
       if (initialValues) {
         if (currentMode === 'cookie') {
@@ -150,15 +176,24 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
             headerValue: initialValues.headerValue || '',
             tag: initialValues.tag || '',
             domains: initialValues.domains || [],
-            valueType: initialValues.isDynamic ? 'dynamic' : 'static',
+            valueType: initialValueType,
             sourceId: initialValues.sourceId || '',
+            generator: initialValues.generator || { type: 'uuid' },
             prefix: initialValues.prefix || '',
             suffix: initialValues.suffix || '',
             headerType: initialValues.isResponse ? 'response' : 'request',
           });
         }
+        form.setFieldsValue({
+          priority: initialValues.priority ?? 0,
+          methods: initialValues.methods || [],
+          resourceTypes: initialValues.resourceTypes || [],
+          initiatorDomains: initialValues.initiatorDomains || [],
+          excludedDomains: initialValues.excludedDomains || [],
+        });
         setHeaderType(initialValues.isResponse ? 'response' : 'request');
-        setValueType(initialValues.isDynamic ? 'dynamic' : 'static');
+        setValueType(initialValueType);
+        setOperation(initialValues.operation ?? 'set');
       } else {
         // Reset form for new rule
         form.resetFields();
@@ -181,6 +216,7 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
           setHeaderType('request');
         }
         setValueType('static');
+        setOperation('set');
         setExpirationMode('session');
         setSameSite('Lax');
         setSecure(false);
@@ -197,12 +233,27 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
       domains: form.getFieldValue('domains'),
       valueType: form.getFieldValue('valueType'),
       sourceId: form.getFieldValue('sourceId'),
+      generator: form.getFieldValue('generator'),
       prefix: form.getFieldValue('prefix'),
       suffix: form.getFieldValue('suffix'),
       headerType: form.getFieldValue('headerType'),
+      priority: form.getFieldValue('priority'),
+      methods: form.getFieldValue('methods'),
+      resourceTypes: form.getFieldValue('resourceTypes'),
+      initiatorDomains: form.getFieldValue('initiatorDomains'),
+      excludedDomains: form.getFieldValue('excludedDomains'),
     };
 
     setMode(newMode);
+    // Removing a single cookie isn't expressible as a header operation
+    if (newMode === 'cookie' && operation === 'remove') {
+      setOperation('set');
+    }
+    // Cookie values are static or come from a source
+    if (newMode === 'cookie' && valueType === 'generated') {
+      commonValues.valueType = 'static';
+      setValueType('static');
+    }
 
     // Reset form but preserve common values
     form.resetFields();
@@ -231,6 +282,13 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
         return;
       }
 
+      const conditions = {
+        methods: values.methods || [],
+        resourceTypes: values.resourceTypes || [],
+        initiatorDomains: values.initiatorDomains || [],
+        excludedDomains: values.excludedDomains || [],
+      };
+
       let ruleData: HeaderRuleFormValues;
 
       if (mode === 'cookie') {
@@ -250,12 +308,16 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
         ruleData = {
           headerName: headerType === 'response' ? 'Set-Cookie' : 'Cookie',
           headerValue: valueType === 'static' ? headerValue : '',
+          operation,
+          priority: values.priority ?? 0,
           tag: values.tag ? values.tag.trim() : '',
           domains: domains,
+          ...conditions,
           isDynamic: valueType === 'dynamic',
           sourceId: valueType === 'dynamic' ? values.sourceId : '',
           prefix: valueType === 'dynamic' ? values.prefix || '' : '',
           suffix: valueType === 'dynamic' ? values.suffix || '' : '',
+          generator: null,
           isResponse: headerType === 'response',
           isEnabled: initialValues?.isEnabled !== false,
           hasEnvVars: allEnvVars.length > 0,
@@ -271,26 +333,55 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
           maxAge: values.maxAge,
           expires: values.expires ? values.expires.toISOString() : undefined,
         };
+      } else if (operation === 'remove') {
+        // Removed headers carry no value, so only the name and domains can use env vars
+        const allEnvVars = extractVariablesFromRule({ headerName: values.headerName, domains: domains });
+
+        ruleData = {
+          headerName: values.headerName.trim(),
+          headerValue: '',
+          operation,
+          priority: values.priority ?? 0,
+          tag: values.tag ? values.tag.trim() : '',
+          domains: domains,
+          ...conditions,
+          isDynamic: false,
+          sourceId: '',
+          prefix: '',
+          suffix: '',
+          generator: null,
+          isResponse: headerType === 'response',
+          isEnabled: initialValues?.isEnabled !== false,
+          hasEnvVars: allEnvVars.length > 0,
+          envVars: allEnvVars,
+        };
       } else {
-        // Generic header
+        // Generic header — source-backed and generated values are wrapped in prefix/suffix
+        const generator = valueType === 'generated' ? buildGenerator(values.generator) : null;
+        const hasFormat = valueType !== 'static';
         const allEnvVars = extractVariablesFromRule({
           headerName: values.headerName,
           headerValue: valueType === 'static' ? values.headerValue : undefined,
           isDynamic: valueType === 'dynamic',
-          prefix: valueType === 'dynamic' ? values.prefix : undefined,
-          suffix: valueType === 'dynamic' ? values.suffix : undefined,
+          generator,
+          prefix: hasFormat ? values.prefix : undefined,
+          suffix: hasFormat ? values.suffix : undefined,
           domains: domains,
         });
 
         ruleData = {
           headerName: values.headerName.trim(),
           headerValue: valueType === 'static' ? values.headerValue.trim() : '',
+          operation,
+          priority: values.priority ?? 0,
           tag: values.tag ? values.tag.trim() : '',
           domains: domains,
+          ...conditions,
           isDynamic: valueType === 'dynamic',
           sourceId: valueType === 'dynamic' ? values.sourceId : '',
-          prefix: valueType === 'dynamic' ? values.prefix || '' : '',
-          suffix: valueType === 'dynamic' ? values.suffix || '' : '',
+          generator,
+          prefix: hasFormat ? values.prefix || '' : '',
+          suffix: hasFormat ? values.suffix || '' : '',
           isResponse: headerType === 'response',
           isEnabled: initialValues?.isEnabled !== false,
           hasEnvVars: allEnvVars.length > 0,
@@ -361,12 +452,21 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
           mode={mode}
           headerType={headerType}
           setHeaderType={setHeaderType}
+          operation={operation}
           envVarValidation={envVarValidation}
           envContext={envContext}
         />
 
         {/* Value section - static/dynamic */}
-        <ValueSection mode={mode} valueType={valueType} setValueType={setValueType} envContext={envContext} />
+        <ValueSection
+          mode={mode}
+          headerType={headerType}
+          operation={operation}
+          setOperation={setOperation}
+          valueType={valueType}
+          setValueType={setValueType}
+          envContext={envContext}
+        />
 
         {/* Cookie attributes (only for cookie mode) */}
         {mode === 'cookie' && (
@@ -387,6 +487,9 @@ const UnifiedHeaderModal = ({ visible, onCancel, onSave, initialValues }: Unifie
         {/* Domains section */}
         <DomainSection domainValidation={domainValidation} envContext={envContext} />
 
+        {/* Request conditions - methods, resource types, initiators, exclusions */}
+        <ConditionsSection activeCount={activeConditionCount} />
+
         {/* Environment Variable Info */}
         <EnvVarInfo envVarValidation={envVarValidation} mode={mode} />
 
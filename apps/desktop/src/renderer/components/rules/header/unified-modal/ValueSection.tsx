@@ -1,4 +1,5 @@
-import { Alert, Form, Input, Select, Space, Typography, theme } from 'antd';
+import { canAppendHeader, type HeaderGeneratorType, type HeaderOperation } from '@openheaders/core';
+import { Alert, Form, Input, InputNumber, Select, Space, Typography, theme } from 'antd';
 import type { DefaultOptionType } from 'antd/es/select';
 import type React from 'react';
 import { useCallback, useMemo } from 'react';
@@ -11,6 +12,20 @@ import {
 
 const { Text } = Typography;
 
+const GENERATOR_OPTIONS: { value: HeaderGeneratorType; label: string }[] = [
+  { value: 'uuid', label: 'Request ID (UUID)' },
+  { value: 'timestamp', label: 'Timestamp' },
+  { value: 'nonce', label: 'Nonce (random hex)' },
+  { value: 'hmac', label: 'HMAC-SHA256 signature' },
+];
+
+const TIMESTAMP_FORMAT_OPTIONS = [
+  { value: 'iso', label: 'ISO 8601' },
+  { value: 'unix', label: 'Unix seconds' },
+  { value: 'unix_ms', label: 'Unix milliseconds' },
+  { value: 'http', label: 'HTTP date' },
+];
+
 interface EnvContext {
   environmentsReady: boolean;
   getAllVariables: () => Record<string, string>;
@@ -18,14 +33,28 @@ interface EnvContext {
 
 interface ValueSectionProps {
   mode: 'generic' | 'cookie';
+  headerType: string;
+  operation: HeaderOperation;
+  setOperation: (operation: HeaderOperation) => void;
   valueType: string;
   setValueType: (type: string) => void;
   envContext: EnvContext;
 }
 
-const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueType, envContext }) => {
+const ValueSection: React.FC<ValueSectionProps> = ({
+  mode,
+  headerType,
+  operation,
+  setOperation,
+  valueType,
+  setValueType,
+  envContext,
+}) => {
   const { sources } = useSources();
   const { token } = theme.useToken();
+  const form = Form.useFormInstance();
+  const headerName = Form.useWatch('headerName', form) as string | undefined;
+  const generatorType = Form.useWatch(['generator', 'type'], form) as HeaderGeneratorType | undefined;
 
   // Pure env-var check — no state side effects
   const checkEnvVars = useCallback(
@@ -46,7 +75,7 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
 
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
 
       return Promise.resolve();
@@ -63,7 +92,7 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
 
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
 
       return Promise.resolve();
@@ -77,7 +106,7 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
       if (!value) return Promise.resolve();
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
       return Promise.resolve();
     },
@@ -89,7 +118,19 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
       if (!value) return Promise.resolve();
       const envValidation = checkEnvVars(value);
       if (envValidation && !envValidation.isValid) {
-        return Promise.reject(formatMissingVariables(envValidation.missingVars));
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
+      }
+      return Promise.resolve();
+    },
+    [checkEnvVars],
+  );
+
+  const validateSecret = useCallback(
+    (_: unknown, value: string) => {
+      if (!value?.trim()) return Promise.reject('A signing secret is required');
+      const envValidation = checkEnvVars(value);
+      if (envValidation && !envValidation.isValid) {
+        return Promise.reject(envValidation.templateError || formatMissingVariables(envValidation.missingVars));
       }
       return Promise.resolve();
     },
@@ -101,15 +142,49 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
   const valueRules = useMemo(() => [{ validator: validateValue }], [validateValue]);
   const prefixRules = useMemo(() => [{ validator: validatePrefix }], [validatePrefix]);
   const suffixRules = useMemo(() => [{ validator: validateSuffix }], [validateSuffix]);
+  const secretRules = useMemo(() => [{ validator: validateSecret }], [validateSecret]);
 
   const valuePlaceholder =
     mode === 'cookie' ? 'Cookie Value (e.g., abc123, {{SESSION_TOKEN}})' : 'Header Value (e.g., Bearer {{API_TOKEN}})';
 
   const valueFieldName = mode === 'cookie' ? 'cookieValue' : 'headerValue';
 
+  // Browsers only append to a fixed set of request headers; the proxy can append to any
+  const appendUnsupported =
+    mode === 'generic' &&
+    operation === 'append' &&
+    !!headerName?.trim() &&
+    !headerName.includes('{{') &&
+    !canAppendHeader(headerName, headerType === 'response');
+
+  const operationSelect = (
+    <Select
+      size="small"
+      style={{ width: 100 }}
+      value={operation}
+      onChange={setOperation}
+      options={[
+        { value: 'set', label: 'Set' },
+        { value: 'append', label: 'Append' },
+        // A cookie rule targets one cookie, while removal would strip the whole header
+        { value: 'remove', label: 'Remove', disabled: mode === 'cookie' },
+      ]}
+    />
+  );
+
+  if (operation === 'remove') {
+    return (
+      <Space.Compact block style={{ marginBottom: 16 }}>
+        {operationSelect}
+        <Input size="small" disabled placeholder="The header is stripped — no value needed" />
+      </Space.Compact>
+    );
+  }
+
   return (
     <>
       <Space.Compact block style={{ marginBottom: 16 }}>
+        {operationSelect}
         <Form.Item name="valueType" initialValue="static" style={{ marginBottom: 0 }}>
           <Select
             size="small"
@@ -123,6 +198,8 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
                 label: `Dynamic${sources && sources.length === 0 ? ' (No sources)' : ''}`,
                 disabled: !sources || sources.length === 0,
               },
+              // Computed per request, so only the proxy can send it
+              ...(mode === 'generic' ? [{ value: 'generated', label: 'Generated' }] : []),
             ]}
           />
         </Form.Item>
@@ -131,6 +208,17 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
           <Form.Item name={valueFieldName} style={{ flex: 1, marginBottom: 0 }} rules={valueRules}>
             <Input placeholder={valuePlaceholder} size="small" />
           </Form.Item>
+        ) : valueType === 'generated' ? (
+          <Form.Item name={['generator', 'type']} initialValue="uuid" style={{ flex: 1, marginBottom: 0 }}>
+            <Select
+              size="small"
+              options={GENERATOR_OPTIONS.map((option) => ({
+                ...option,
+                // Signatures cover the request, which response headers cannot see
+                disabled: option.value === 'hmac' && headerType === 'response',
+              }))}
+            />
+          </Form.Item>
         ) : (
           <Form.Item
             name="sourceId"
@@ -161,10 +249,77 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
         )}
       </Space.Compact>
 
-      {/* Dynamic Value Format (only shown for dynamic values) */}
-      {valueType === 'dynamic' && (
+      {appendUnsupported && (
+        <Alert
+          title="Browsers can't append to this header"
+          description="The browser extension only appends to headers such as Accept, Cookie and X-Forwarded-For, and skips this rule. The proxy appends to any header."
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+        />
+      )}
+
+      {valueType === 'generated' && (
+        <>
+          <Alert
+            title="Proxy only"
+            description="A fresh value is generated for every request sent through the proxy. The browser extension skips this rule."
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+          />
+
+          {generatorType === 'timestamp' && (
+            <Form.Item name={['generator', 'format']} initialValue="iso" label="Format" style={{ marginBottom: 16 }}>
+              <Select size="small" options={TIMESTAMP_FORMAT_OPTIONS} />
+            </Form.Item>
+          )}
+
+          {generatorType === 'nonce' && (
+            <Form.Item
+              name={['generator', 'bytes']}
+              initialValue={16}
+              label="Random bytes"
+              style={{ marginBottom: 16 }}
+            >
+              <InputNumber size="small" min={1} max={256} />
+            </Form.Item>
+          )}
+
+          {generatorType === 'hmac' && (
+            <Form.Item
+              label="Signing secret"
+              extra={
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                  Signs METHOD, path with query and body, separated by newlines
+                </Text>
+              }
+              style={{ marginBottom: 16 }}
+            >
+              <Space.Compact block>
+                <Form.Item name={['generator', 'secret']} style={{ flex: 1, marginBottom: 0 }} rules={secretRules}>
+                  <Input placeholder="Secret (e.g., {{SIGNING_KEY}})" size="small" />
+                </Form.Item>
+                <Form.Item name={['generator', 'encoding']} initialValue="hex" style={{ marginBottom: 0 }}>
+                  <Select
+                    size="small"
+                    style={{ width: 100 }}
+                    options={[
+                      { value: 'hex', label: 'Hex' },
+                      { value: 'base64', label: 'Base64' },
+                    ]}
+                  />
+                </Form.Item>
+              </Space.Compact>
+            </Form.Item>
+          )}
+        </>
+      )}
+
+      {/* Dynamic Value Format (only shown for dynamic and generated values) */}
+      {valueType !== 'static' && (
         <>
-          {sources && sources.length === 0 && (
+          {valueType === 'dynamic' && sources && sources.length === 0 && (
             <Alert
               title="No Sources Available"
               description="Please create at least one source in the Sources tab before using dynamic values."
@@ -218,7 +373,7 @@ const ValueSection: React.FC<ValueSectionProps> = ({ mode, valueType, setValueTy
                   fontStyle: 'italic',
                 }}
               >
-                {'{source_value}'}
+                {valueType === 'generated' ? '{generated_value}' : '{source_value}'}
               </div>
 
               <Form.Item name="suffix" style={{ flex: 1, marginBottom: 0, marginLeft: -1 }} rules={suffixRules}>
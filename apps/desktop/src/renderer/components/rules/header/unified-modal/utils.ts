@@ -1,3 +1,5 @@
+import type { HeaderValueGenerator } from '@openheaders/core';
+
 export interface ParsedCookieValue {
   name?: string;
   value?: string;
@@ -33,6 +35,34 @@ export const buildHeaderValue = (values: HeaderFormValues, mode: string, valueTy
   return values.headerValue || '';
 };
 
+// Keep only the options that apply to the chosen generator type
+export const buildGenerator = (generator: Partial<HeaderValueGenerator> | undefined): HeaderValueGenerator => {
+  switch (generator?.type) {
+    case 'timestamp':
+      return { type: 'timestamp', format: generator.format || 'iso' };
+    case 'nonce':
+      return { type: 'nonce', bytes: generator.bytes || 16 };
+    case 'hmac':
+      return { type: 'hmac', secret: generator.secret?.trim() || '', encoding: generator.encoding || 'hex' };
+    default:
+      return { type: 'uuid' };
+  }
+};
+
+// Short label for a generator, e.g. "timestamp:unix" or "hmac-sha256"
+export const describeGenerator = (generator: HeaderValueGenerator): string => {
+  switch (generator.type) {
+    case 'timestamp':
+      return `timestamp:${generator.format || 'iso'}`;
+    case 'nonce':
+      return `nonce:${generator.bytes || 16}`;
+    case 'hmac':
+      return 'hmac-sha256';
+    default:
+      return generator.type;
+  }
+};
+
 // Parse header value based on mode
 export const parseHeaderValue = (headerValue: string | undefined, mode: string): ParsedCookieValue => {
   if (mode === 'cookie') {
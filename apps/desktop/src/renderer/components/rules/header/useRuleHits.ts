@@ -0,0 +1,45 @@
+import type { RuleHitStatsMap } from '@openheaders/core';
+import { useCallback, useEffect, useState } from 'react';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+
+const log = createLogger('useRuleHits');
+
+/**
+ * Rule Hits Hook
+ *
+ * Per-rule match counts reported by connected browser extensions.
+ * Loads the saved totals on mount and follows push updates from the main process.
+ *
+ * @returns Hit stats keyed by rule id, and a function to reset them
+ */
+export const useRuleHits = () => {
+  const [ruleHits, setRuleHits] = useState<RuleHitStatsMap>({});
+
+  useEffect(() => {
+    let cancelled = false;
+    window.electronAPI
+      .wsGetRuleHits()
+      .then((stats) => {
+        if (!cancelled && stats) setRuleHits(stats);
+      })
+      .catch((error) => log.error('Failed to load rule hits:', error));
+
+    const unsubscribe = window.electronAPI.onRuleHitsUpdated((stats) => {
+      if (stats) setRuleHits({ ...stats });
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  /**
+   * Reset the counters of the given rules, or of every rule
+   */
+  const clearRuleHits = useCallback(async (ruleIds?: string[]) => {
+    const result = await window.electronAPI.wsClearRuleHits(ruleIds);
+    return result.success;
+  }, []);
+
+  return { ruleHits, clearRuleHits };
+};
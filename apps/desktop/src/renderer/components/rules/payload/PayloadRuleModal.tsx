@@ -0,0 +1,219 @@
+import { CloseOutlined, SaveOutlined } from '@ant-design/icons';
+import type { ContentType, MatchType, PayloadRule } from '@openheaders/core';
+import { Button, Checkbox, Form, Input, Modal, Select, Space, theme } from 'antd';
+import { useEffect } from 'react';
+import DomainTags from '@/renderer/components/features/domain-tags';
+
+type PayloadDirection = 'request' | 'response';
+
+interface PayloadRuleFormValues {
+  name: string;
+  description?: string;
+  matchType: MatchType;
+  matchPattern: string;
+  replaceWith?: string;
+  directions: PayloadDirection[];
+  contentType: ContentType;
+  domains?: string[];
+}
+
+interface PayloadRuleModalProps {
+  visible: boolean;
+  onCancel: () => void;
+  onSave: (values: Partial<PayloadRule>) => void;
+  initialValues: PayloadRule | null;
+}
+
+const MATCH_TYPE_OPTIONS = [
+  { label: 'Body contains', value: 'contains' },
+  { label: 'Value equals', value: 'exact' },
+  { label: 'Regular expression', value: 'regex' },
+];
+
+const CONTENT_TYPE_OPTIONS = [
+  { label: 'Any text body', value: 'any' },
+  { label: 'JSON', value: 'json' },
+  { label: 'XML', value: 'xml' },
+  { label: 'Form (urlencoded)', value: 'form' },
+  { label: 'Text / HTML / JS', value: 'text' },
+];
+
+const PATTERN_PLACEHOLDERS: Record<MatchType, string> = {
+  contains: '"featureFlags":{"checkoutV2":false}',
+  exact: 'production',
+  regex: '"price":\\s*(\\d+)',
+};
+
+const EXACT_MATCH_HELP: Record<ContentType, string> = {
+  any: 'Matches a whole JSON value, XML element text, form field value, or the entire text body',
+  json: 'Matches whole JSON values; a replacement such as true, 42 or {"a":1} is inserted as JSON',
+  xml: 'Matches the full text content of an element',
+  form: 'Matches a form field value',
+  text: 'Matches the entire body',
+};
+
+const PayloadRuleModal = ({ visible, onCancel, onSave, initialValues }: PayloadRuleModalProps) => {
+  const [form] = Form.useForm<PayloadRuleFormValues>();
+  const { token } = theme.useToken();
+  const matchType = Form.useWatch('matchType', form) ?? 'contains';
+  const contentType = Form.useWatch('contentType', form) ?? 'any';
+
+  useEffect(() => {
+    if (!visible) return;
+    const directions: PayloadDirection[] = [];
+    if (initialValues?.isRequest ?? false) directions.push('request');
+    if (initialValues?.isResponse ?? true) directions.push('response');
+    form.setFieldsValue({
+      name: initialValues?.name ?? '',
+      description: initialValues?.description ?? '',
+      matchType: initialValues?.matchType ?? 'contains',
+      matchPattern: initialValues?.matchPattern ?? '',
+      replaceWith: initialValues?.replaceWith ?? '',
+      directions,
+      contentType: initialValues?.contentType ?? 'any',
+      domains: initialValues?.domains ?? [],
+    });
+  }, [visible, initialValues, form]);
+
+  const handleSubmit = (values: PayloadRuleFormValues) => {
+    onSave({
+      name: values.name.trim(),
+      description: values.description?.trim() ?? '',
+      matchType: values.matchType,
+      // Exact and regex patterns may depend on surrounding whitespace, so only contains is trimmed
+      matchPattern: values.matchType === 'contains' ? values.matchPattern.trim() : values.matchPattern,
+      replaceWith: values.replaceWith ?? '',
+      isRequest: values.directions.includes('request'),
+      isResponse: values.directions.includes('response'),
+      contentType: values.contentType,
+      domains: values.domains ?? [],
+    });
+  };
+
+  const patternValidator = (_: unknown, value: string) => {
+    if (!value?.trim()) {
+      return Promise.reject('Please enter a pattern to match');
+    }
+    if (matchType === 'regex') {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        return Promise.reject(`Invalid regular expression: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+    return Promise.resolve();
+  };
+
+  return (
+    <Modal
+      title={initialValues ? 'Edit Payload Rule' : 'Add Payload Rule'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={600}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: 'calc(70vh - 100px)',
+          overflowY: 'auto',
+          overflowX: 'hidden',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form form={form} layout="vertical" onFinish={handleSubmit} autoComplete="off" style={{ marginTop: 24 }}>
+        <Form.Item
+          label="Name"
+          name="name"
+          rules={[{ required: true, whitespace: true, message: 'Please name the rule' }]}
+        >
+          <Input placeholder="Enable checkout v2 flag" size="small" />
+        </Form.Item>
+
+        <Space style={{ width: '100%' }} size={16} align="start">
+          <Form.Item
+            label="Apply to"
+            name="directions"
+            rules={[
+              {
+                validator: (_, directions?: PayloadDirection[]) =>
+                  directions && directions.length > 0
+                    ? Promise.resolve()
+                    : Promise.reject('Select request, response, or both'),
+              },
+            ]}
+          >
+            <Checkbox.Group
+              options={[
+                { label: 'Request body', value: 'request' },
+                { label: 'Response body', value: 'response' },
+              ]}
+            />
+          </Form.Item>
+          <Form.Item label="Content type" name="contentType" style={{ width: 200 }}>
+            <Select options={CONTENT_TYPE_OPTIONS} size="small" />
+          </Form.Item>
+        </Space>
+
+        <Space.Compact style={{ width: '100%' }}>
+          <Form.Item name="matchType" style={{ width: 180 }}>
+            <Select options={MATCH_TYPE_OPTIONS} size="small" />
+          </Form.Item>
+          <Form.Item
+            name="matchPattern"
+            rules={[{ validator: patternValidator }]}
+            style={{ flex: 1 }}
+            extra={matchType === 'exact' ? EXACT_MATCH_HELP[contentType] : undefined}
+          >
+            <Input placeholder={PATTERN_PLACEHOLDERS[matchType]} size="small" />
+          </Form.Item>
+        </Space.Compact>
+
+        <Form.Item
+          label="Replace with"
+          name="replaceWith"
+          extra={matchType === 'regex' ? 'Use $1, $2, … to insert capture groups from the pattern' : undefined}
+        >
+          <Input.TextArea
+            rows={3}
+            size="small"
+            placeholder={matchType === 'regex' ? '"price": 0' : '"featureFlags":{"checkoutV2":true}'}
+          />
+        </Form.Item>
+
+        <Form.Item label="Only on domains" name="domains" extra="Leave empty to apply to all proxied traffic">
+          <DomainTags />
+        </Form.Item>
+
+        <Form.Item label="Description" name="description">
+          <Input.TextArea rows={2} size="small" />
+        </Form.Item>
+
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: token.colorBgContainer,
+            borderTop: `1px solid ${token.colorBorderSecondary}`,
+            padding: '16px 24px',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {initialValues ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default PayloadRuleModal;
@@ -0,0 +1,231 @@
+import { CloseOutlined, SaveOutlined } from '@ant-design/icons';
+import type { ScriptLanguage, ScriptRule, ScriptRunAt, ScriptWorld } from '@openheaders/core';
+import { Alert, Button, Form, Input, Modal, Segmented, Select, Space, theme } from 'antd';
+import { useEffect } from 'react';
+import DomainTags from '@/renderer/components/features/domain-tags';
+import { formatSourceDisplay, getSourceIcon } from '@/renderer/components/proxy';
+import { useSources } from '@/renderer/contexts';
+
+type CodeOrigin = 'inline' | 'source';
+
+interface ScriptRuleFormValues {
+  name: string;
+  description?: string;
+  language: ScriptLanguage;
+  origin: CodeOrigin;
+  code?: string;
+  sourceId?: string;
+  runAt: ScriptRunAt;
+  world: ScriptWorld;
+  domains: string[];
+}
+
+interface ScriptRuleModalProps {
+  visible: boolean;
+  onCancel: () => void;
+  onSave: (values: Partial<ScriptRule>) => void;
+  initialValues: ScriptRule | null;
+}
+
+const RUN_AT_OPTIONS = [
+  { label: 'Document start — before any page script runs', value: 'document_start' },
+  { label: 'Document end — DOM parsed, subresources loading', value: 'document_end' },
+  { label: 'Document idle — after the page has loaded', value: 'document_idle' },
+];
+
+const WORLD_OPTIONS = [
+  { label: 'Page (MAIN) — can read and stub page globals', value: 'MAIN' },
+  { label: 'Isolated — DOM access only, exempt from page CSP', value: 'ISOLATED' },
+];
+
+const CODE_PLACEHOLDERS: Record<ScriptLanguage, string> = {
+  js: 'window.__FEATURE_FLAGS__ = { ...window.__FEATURE_FLAGS__, checkoutV2: true };',
+  css: '#cookie-banner, .promo-bar { display: none !important; }',
+};
+
+const ScriptRuleModal = ({ visible, onCancel, onSave, initialValues }: ScriptRuleModalProps) => {
+  const [form] = Form.useForm<ScriptRuleFormValues>();
+  const { token } = theme.useToken();
+  const { sources } = useSources();
+  const language = Form.useWatch('language', form) ?? 'js';
+  const origin = Form.useWatch('origin', form) ?? 'inline';
+  const world = Form.useWatch('world', form) ?? 'MAIN';
+
+  useEffect(() => {
+    if (!visible) return;
+    form.setFieldsValue({
+      name: initialValues?.name ?? '',
+      description: initialValues?.description ?? '',
+      language: initialValues?.language ?? 'js',
+      origin: initialValues?.sourceId ? 'source' : 'inline',
+      code: initialValues?.code ?? '',
+      sourceId: initialValues?.sourceId ?? undefined,
+      runAt: initialValues?.runAt ?? 'document_idle',
+      world: initialValues?.world ?? 'MAIN',
+      domains: initialValues?.domains ?? [],
+    });
+  }, [visible, initialValues, form]);
+
+  const handleSubmit = (values: ScriptRuleFormValues) => {
+    onSave({
+      name: values.name.trim(),
+      description: values.description?.trim() ?? '',
+      language: values.language,
+      code: values.origin === 'inline' ? (values.code ?? '') : '',
+      sourceId: values.origin === 'source' ? (values.sourceId ?? null) : null,
+      runAt: values.runAt,
+      world: values.world,
+      domains: values.domains,
+    });
+  };
+
+  return (
+    <Modal
+      title={initialValues ? 'Edit Script/CSS Rule' : 'Add Script/CSS Rule'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={640}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: 'calc(70vh - 100px)',
+          overflowY: 'auto',
+          overflowX: 'hidden',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form form={form} layout="vertical" onFinish={handleSubmit} autoComplete="off" style={{ marginTop: 24 }}>
+        <Form.Item
+          label="Name"
+          name="name"
+          rules={[{ required: true, whitespace: true, message: 'Please name the rule' }]}
+        >
+          <Input placeholder="Hide cookie banner on staging" size="small" />
+        </Form.Item>
+
+        <Space size={24} align="start">
+          <Form.Item label="Language" name="language">
+            <Segmented
+              size="small"
+              options={[
+                { label: 'JavaScript', value: 'js' },
+                { label: 'CSS', value: 'css' },
+              ]}
+            />
+          </Form.Item>
+          <Form.Item label="Code from" name="origin">
+            <Segmented
+              size="small"
+              options={[
+                { label: 'Inline', value: 'inline' },
+                { label: 'Source', value: 'source', disabled: sources.length === 0 },
+              ]}
+            />
+          </Form.Item>
+        </Space>
+
+        {origin === 'inline' ? (
+          <Form.Item
+            label="Code"
+            name="code"
+            rules={[{ required: true, whitespace: true, message: 'Please enter the code to inject' }]}
+          >
+            <Input.TextArea
+              rows={8}
+              size="small"
+              spellCheck={false}
+              placeholder={CODE_PLACEHOLDERS[language]}
+              style={{ fontFamily: 'monospace', fontSize: 12 }}
+            />
+          </Form.Item>
+        ) : (
+          <Form.Item
+            label="Source"
+            name="sourceId"
+            rules={[{ required: true, message: 'Please select a source' }]}
+            extra="The latest content of the file or HTTP source is injected; the rule waits until it has been fetched"
+          >
+            <Select
+              placeholder="Select a source"
+              size="small"
+              showSearch
+              options={sources.map((source) => ({
+                value: source.sourceId,
+                label: (
+                  <>
+                    {getSourceIcon(source)}
+                    {formatSourceDisplay(source)}
+                  </>
+                ),
+              }))}
+            />
+          </Form.Item>
+        )}
+
+        <Form.Item label="Run at" name="runAt">
+          <Select options={RUN_AT_OPTIONS} size="small" />
+        </Form.Item>
+
+        {language === 'js' && (
+          <Form.Item label="World" name="world">
+            <Select options={WORLD_OPTIONS} size="small" />
+          </Form.Item>
+        )}
+
+        {language === 'js' && world === 'ISOLATED' && (
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginBottom: 16 }}
+            title="Requires user scripts in the browser"
+            description="Chromium browsers only run isolated code when “Allow User Scripts” is enabled for Open Headers on the extension details page. Otherwise the rule is skipped."
+          />
+        )}
+
+        <Form.Item
+          label="Inject on domains"
+          name="domains"
+          rules={[
+            {
+              validator: (_, domains?: string[]) =>
+                domains && domains.length > 0 ? Promise.resolve() : Promise.reject('Add at least one domain (or *)'),
+            },
+          ]}
+        >
+          <DomainTags />
+        </Form.Item>
+
+        <Form.Item label="Description" name="description">
+          <Input.TextArea rows={2} size="small" />
+        </Form.Item>
+
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: token.colorBgContainer,
+            borderTop: `1px solid ${token.colorBorderSecondary}`,
+            padding: '16px 24px',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {initialValues ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ScriptRuleModal;
@@ -0,0 +1,255 @@
+import { CloseOutlined, DeleteOutlined, PlusOutlined, SaveOutlined } from '@ant-design/icons';
+import type { MatchType, UrlParamAction, UrlRule, UrlRuleAction } from '@openheaders/core';
+import { Button, Form, Input, Modal, Segmented, Select, Space, theme } from 'antd';
+import { useEffect } from 'react';
+import DomainTags from '@/renderer/components/features/domain-tags';
+
+interface UrlRuleFormValues {
+  name: string;
+  description?: string;
+  action: UrlRuleAction;
+  matchType: MatchType;
+  matchPattern: string;
+  redirectTo?: string;
+  modifyParams?: Array<{ key: string; action: UrlParamAction; value?: string }>;
+  domains?: string[];
+}
+
+interface UrlRuleModalProps {
+  visible: boolean;
+  onCancel: () => void;
+  onSave: (values: Partial<UrlRule>) => void;
+  initialValues: UrlRule | null;
+}
+
+const MATCH_TYPE_OPTIONS = [
+  { label: 'URL contains', value: 'contains' },
+  { label: 'URL equals', value: 'exact' },
+  { label: 'Regular expression', value: 'regex' },
+];
+
+const PATTERN_PLACEHOLDERS: Record<MatchType, string> = {
+  contains: 'telemetry.openheaders.io/collect',
+  exact: 'https://app.openheaders.io/static/main.js',
+  regex: '^https://app\\.openheaders\\.io/static/(.*)$',
+};
+
+const UrlRuleModal = ({ visible, onCancel, onSave, initialValues }: UrlRuleModalProps) => {
+  const [form] = Form.useForm<UrlRuleFormValues>();
+  const { token } = theme.useToken();
+  const action = Form.useWatch('action', form) ?? 'redirect';
+  const matchType = Form.useWatch('matchType', form) ?? 'contains';
+
+  useEffect(() => {
+    if (!visible) return;
+    form.setFieldsValue({
+      name: initialValues?.name ?? '',
+      description: initialValues?.description ?? '',
+      action: initialValues?.action ?? 'redirect',
+      matchType: initialValues?.matchType ?? 'contains',
+      matchPattern: initialValues?.matchPattern ?? '',
+      redirectTo: initialValues?.redirectTo ?? '',
+      modifyParams: (initialValues?.modifyParams ?? []).map((param) => ({
+        key: param.key,
+        action: param.action ?? 'set',
+        value: param.value ?? '',
+      })),
+      domains: initialValues?.domains ?? [],
+    });
+  }, [visible, initialValues, form]);
+
+  const handleSubmit = (values: UrlRuleFormValues) => {
+    onSave({
+      name: values.name.trim(),
+      description: values.description?.trim() ?? '',
+      action: values.action,
+      matchType: values.matchType,
+      matchPattern: values.matchPattern.trim(),
+      redirectTo: values.action === 'redirect' ? (values.redirectTo ?? '').trim() : '',
+      modifyParams:
+        values.action === 'modify'
+          ? (values.modifyParams ?? []).map((param) => ({
+              key: param.key.trim(),
+              action: param.action,
+              ...(param.action === 'set' ? { value: param.value ?? '' } : {}),
+            }))
+          : [],
+      domains: values.domains ?? [],
+    });
+  };
+
+  const patternValidator = (_: unknown, value: string) => {
+    if (!value?.trim()) {
+      return Promise.reject('Please enter a URL pattern');
+    }
+    if (matchType === 'regex') {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        return Promise.reject(`Invalid regular expression: ${error instanceof Error ? error.message : String(error)}`);
+      }
+    }
+    return Promise.resolve();
+  };
+
+  return (
+    <Modal
+      title={initialValues ? 'Edit URL Rule' : 'Add URL Rule'}
+      open={visible}
+      onCancel={onCancel}
+      footer={null}
+      width={600}
+      destroyOnHidden
+      styles={{
+        body: {
+          maxHeight: 'calc(70vh - 100px)',
+          overflowY: 'auto',
+          overflowX: 'hidden',
+          paddingBottom: 0,
+        },
+      }}
+    >
+      <Form form={form} layout="vertical" onFinish={handleSubmit} autoComplete="off" style={{ marginTop: 24 }}>
+        <Form.Item
+          label="Name"
+          name="name"
+          rules={[{ required: true, whitespace: true, message: 'Please name the rule' }]}
+        >
+          <Input placeholder="Serve checkout from local build" size="small" />
+        </Form.Item>
+
+        <Form.Item label="Action" name="action">
+          <Segmented
+            size="small"
+            options={[
+              { label: 'Redirect', value: 'redirect' },
+              { label: 'Block', value: 'block' },
+              { label: 'Modify query', value: 'modify' },
+            ]}
+          />
+        </Form.Item>
+
+        <Space.Compact style={{ width: '100%' }}>
+          <Form.Item name="matchType" style={{ width: 180 }}>
+            <Select options={MATCH_TYPE_OPTIONS} size="small" />
+          </Form.Item>
+          <Form.Item name="matchPattern" rules={[{ validator: patternValidator }]} style={{ flex: 1 }}>
+            <Input placeholder={PATTERN_PLACEHOLDERS[matchType]} size="small" />
+          </Form.Item>
+        </Space.Compact>
+
+        {action === 'redirect' && (
+          <Form.Item
+            label="Redirect to"
+            name="redirectTo"
+            rules={[{ required: true, whitespace: true, message: 'Please enter a redirect URL' }]}
+            extra={matchType === 'regex' ? 'Use \\1 to \\9 to insert capture groups from the pattern' : undefined}
+          >
+            <Input
+              placeholder={matchType === 'regex' ? 'http://localhost:3000/static/\\1' : 'http://localhost:3000/'}
+              size="small"
+            />
+          </Form.Item>
+        )}
+
+        {action === 'modify' && (
+          <Form.Item label="Query parameters" required>
+            <Form.List
+              name="modifyParams"
+              rules={[
+                {
+                  validator: (_, params?: unknown[]) =>
+                    params && params.length > 0 ? Promise.resolve() : Promise.reject('Add at least one parameter'),
+                },
+              ]}
+            >
+              {(fields, { add, remove }, { errors }) => (
+                <>
+                  {fields.map((field) => (
+                    <Space key={field.key} align="baseline" style={{ display: 'flex' }}>
+                      <Form.Item name={[field.name, 'action']} style={{ marginBottom: 8 }}>
+                        <Select
+                          size="small"
+                          style={{ width: 100 }}
+                          options={[
+                            { label: 'Set', value: 'set' },
+                            { label: 'Remove', value: 'remove' },
+                          ]}
+                        />
+                      </Form.Item>
+                      <Form.Item
+                        name={[field.name, 'key']}
+                        rules={[{ required: true, whitespace: true, message: 'Key required' }]}
+                        style={{ marginBottom: 8 }}
+                      >
+                        <Input placeholder="utm_source" size="small" />
+                      </Form.Item>
+                      <Form.Item noStyle shouldUpdate>
+                        {() =>
+                          form.getFieldValue(['modifyParams', field.name, 'action']) === 'set' ? (
+                            <Form.Item name={[field.name, 'value']} style={{ marginBottom: 8 }}>
+                              <Input placeholder="value" size="small" />
+                            </Form.Item>
+                          ) : null
+                        }
+                      </Form.Item>
+                      <Button
+                        type="text"
+                        danger
+                        icon={<DeleteOutlined />}
+                        size="small"
+                        onClick={() => remove(field.name)}
+                      />
+                    </Space>
+                  ))}
+                  <Button
+                    type="dashed"
+                    icon={<PlusOutlined />}
+                    size="small"
+                    onClick={() => add({ key: '', action: 'set', value: '' })}
+                  >
+                    Add parameter
+                  </Button>
+                  <Form.ErrorList errors={errors} />
+                </>
+              )}
+            </Form.List>
+          </Form.Item>
+        )}
+
+        <Form.Item label="Only on domains" name="domains" extra="Leave empty to apply wherever the pattern matches">
+          <DomainTags />
+        </Form.Item>
+
+        <Form.Item label="Description" name="description">
+          <Input.TextArea rows={2} size="small" />
+        </Form.Item>
+
+        <div
+          style={{
+            position: 'sticky',
+            bottom: 0,
+            backgroundColor: token.colorBgContainer,
+            borderTop: `1px solid ${token.colorBorderSecondary}`,
+            padding: '16px 24px',
+            marginTop: 16,
+            marginLeft: -24,
+            marginRight: -24,
+            zIndex: 10,
+          }}
+        >
+          <Space style={{ width: '100%', justifyContent: 'center' }}>
+            <Button onClick={onCancel} icon={<CloseOutlined />} size="small" style={{ minWidth: 100 }}>
+              Cancel
+            </Button>
+            <Button type="primary" htmlType="submit" icon={<SaveOutlined />} size="small" style={{ minWidth: 100 }}>
+              {initialValues ? 'Update' : 'Create'}
+            </Button>
+          </Space>
+        </div>
+      </Form>
+    </Modal>
+  );
+};
+
+export default UrlRuleModal;
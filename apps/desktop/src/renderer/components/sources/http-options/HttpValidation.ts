@@ -21,6 +21,7 @@
  * @since 3.0.0
  */
 
+import { findUnresolvedVariables, validateTemplate } from '@openheaders/core';
 import type { FormInstance } from 'antd';
 import type { EnvironmentContextLike } from '@/types/http';
 
@@ -106,21 +107,20 @@ export const validateVariableExists = (
   }
 
   // Check for environment variable pattern {{VAR}}
-  const envVarMatches = value.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
+  if (value.includes('{{')) {
+    const templateValidation = validateTemplate(value);
+    if (!templateValidation.valid) {
+      return { valid: false, error: templateValidation.message };
+    }
+
     // Get fresh environment data by calling getAllVariables() without params
     // This ensures we always get the current active environment
-    const currentEnvVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!currentEnvVars[varName]) {
-        return {
-          valid: false,
-          error: `Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-        };
-      }
+    const [varName] = findUnresolvedVariables(value, envContext.getAllVariables());
+    if (varName) {
+      return {
+        valid: false,
+        error: `Environment variable "${varName}" is not defined in the current environment "${envContext.activeEnvironment}"`,
+      };
     }
   }
 
@@ -24,6 +24,7 @@
  */
 
 import type { JsonFilter, SourceType } from '@openheaders/core';
+import { findUnresolvedVariables, resolveTemplate, validateTemplate } from '@openheaders/core';
 import type { FormInstance } from 'antd';
 import type { EnvironmentContextLike } from '@/types/http';
 
@@ -72,19 +73,7 @@ export const validateUrlField = (
   }
 
   // Resolve template variables to validate the final URL
-  let resolvedUrl = value;
-
-  // Replace environment variables with their actual values
-  const envMatches = resolvedUrl.match(/{{([^}]+)}}/g);
-  if (envMatches) {
-    const envVars = envContext.getAllVariables();
-    for (const match of envMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (envVars[varName]) {
-        resolvedUrl = resolvedUrl.replace(match, envVars[varName]);
-      }
-    }
-  }
+  let resolvedUrl = resolveTemplate(value, envContext.getAllVariables());
 
   // Replace TOTP placeholder with a valid dummy code for validation
   resolvedUrl = resolvedUrl.replace(/\[\[TOTP_CODE]]/g, '123456');
@@ -120,22 +109,19 @@ export const validateUrlField = (
 
   // Check for environment variable pattern {{VAR}}
   // Extract all environment variable references from the URL
-  const envVarMatches = value.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    // Get fresh environment variables from the context
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    // Validate each environment variable reference
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        return Promise.reject(
-          new Error(
-            `Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-          ),
-        );
-      }
+  if (value.includes('{{')) {
+    const templateValidation = validateTemplate(value);
+    if (!templateValidation.valid) {
+      return Promise.reject(new Error(templateValidation.message));
+    }
+
+    const [varName] = findUnresolvedVariables(value, envContext.getAllVariables());
+    if (varName) {
+      return Promise.reject(
+        new Error(
+          `Environment variable "${varName}" is not defined in the current environment "${envContext.activeEnvironment}"`,
+        ),
+      );
     }
   }
 
@@ -163,19 +149,17 @@ export const validateEnvironmentVariables = (
   fieldName: string,
 ): ValidationError | null => {
   // Check for environment variable pattern {{VAR}}
-  const envVarMatches = value.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    const envVars = envContext.getAllVariables();
-    const currentActiveEnv = envContext.activeEnvironment;
-
-    // Check each environment variable reference
-    for (const match of envVarMatches) {
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        return {
-          message: `${fieldName}: Environment variable "${varName}" is not defined in the current environment "${currentActiveEnv}"`,
-        };
-      }
+  if (value.includes('{{')) {
+    const templateValidation = validateTemplate(value);
+    if (!templateValidation.valid) {
+      return { message: `${fieldName}: ${templateValidation.message}` };
+    }
+
+    const [varName] = findUnresolvedVariables(value, envContext.getAllVariables());
+    if (varName) {
+      return {
+        message: `${fieldName}: Environment variable "${varName}" is not defined in the current environment "${envContext.activeEnvironment}"`,
+      };
     }
   }
 
@@ -1,4 +1,6 @@
 import type { Source } from '@openheaders/core';
+import { findUnresolvedVariables } from '@openheaders/core';
+
 /**
  * Source Dependency Checker
  *
@@ -25,6 +27,13 @@ import type { Source } from '@openheaders/core';
  * @since 3.0.0
  */
 
+/** All string values in a source, at any depth */
+const collectStrings = (value: unknown): string[] => {
+  if (typeof value === 'string') return [value];
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+  return [];
+};
+
 /**
  * Checks if source has missing dependencies for activation
  *
@@ -49,17 +58,12 @@ export const checkSourceDependencies = (source: Source, envVars: Record<string,
   const sourceStr = JSON.stringify(source);
 
   // Check for environment variables using {{VAR}} syntax
-  // This pattern matches Handlebars-style template variables
-  const envVarMatches = sourceStr.match(/{{([^}]+)}}/g);
-  if (envVarMatches) {
-    envVarMatches.forEach((match) => {
-      // Extract variable name from {{VAR}} pattern
-      const varName = match.slice(2, -2).trim();
-      if (!envVars[varName]) {
-        // Add to missing dependencies with env: prefix for categorization
-        missingDeps.push(`env:${varName}`);
-      }
-    });
+  // Strings are checked as they are, since JSON escaping would break quoted template arguments
+  for (const field of collectStrings(source)) {
+    for (const varName of findUnresolvedVariables(field, envVars)) {
+      // Add to missing dependencies with env: prefix for categorization
+      missingDeps.push(`env:${varName}`);
+    }
   }
 
   // Check for TOTP code pattern [[TOTP_CODE]]
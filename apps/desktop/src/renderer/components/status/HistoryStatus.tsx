@@ -0,0 +1,26 @@
+import { HistoryOutlined } from '@ant-design/icons';
+import { Tag, Tooltip } from 'antd';
+import { useState } from 'react';
+import ChangeHistoryModal from '@/renderer/components/modals/ChangeHistoryModal';
+
+const HistoryStatus = () => {
+  const [historyVisible, setHistoryVisible] = useState(false);
+
+  return (
+    <>
+      <Tooltip title="Change history (Ctrl+Z to undo)">
+        <Tag
+          icon={<HistoryOutlined />}
+          style={{ margin: 0, cursor: 'pointer' }}
+          onClick={() => setHistoryVisible(true)}
+        >
+          History
+        </Tag>
+      </Tooltip>
+
+      <ChangeHistoryModal visible={historyVisible} onClose={() => setHistoryVisible(false)} />
+    </>
+  );
+};
+
+export default HistoryStatus;
@@ -0,0 +1,66 @@
+import { CheckOutlined, DownOutlined, ProfileOutlined, SettingOutlined } from '@ant-design/icons';
+import { Dropdown, Space, Tag } from 'antd';
+import { useState } from 'react';
+import ProfileManagerModal from '@/renderer/components/modals/ProfileManagerModal';
+import { useProfiles } from '@/renderer/hooks/workspace';
+
+const ProfileStatus = () => {
+  const { profiles, activeProfileId, applyProfile } = useProfiles();
+  const [dropdownOpen, setDropdownOpen] = useState(false);
+  const [managerVisible, setManagerVisible] = useState(false);
+
+  const activeProfile = profiles.find((p) => p.id === activeProfileId);
+
+  const menuItems = [
+    ...profiles.map((profile) => {
+      const isActive = profile.id === activeProfileId;
+      return {
+        key: profile.id,
+        label: (
+          <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+            <span>{profile.name}</span>
+            {isActive && <CheckOutlined style={{ color: '#1890ff' }} />}
+          </Space>
+        ),
+        // Re-applying the active profile is allowed: it resets any rules toggled since
+        onClick: async () => {
+          setDropdownOpen(false);
+          await applyProfile(profile.id);
+        },
+      };
+    }),
+    ...(profiles.length > 0 ? [{ type: 'divider' as const }] : []),
+    {
+      key: '__manage__',
+      icon: <SettingOutlined />,
+      label: profiles.length > 0 ? 'Manage profiles...' : 'Save current state as profile...',
+      onClick: () => {
+        setDropdownOpen(false);
+        setManagerVisible(true);
+      },
+    },
+  ];
+
+  return (
+    <>
+      <Dropdown
+        menu={{ items: menuItems }}
+        trigger={['click']}
+        open={dropdownOpen}
+        onOpenChange={setDropdownOpen}
+        placement="bottomRight"
+      >
+        <Tag icon={<ProfileOutlined />} style={{ margin: 0, cursor: 'pointer', paddingRight: 4 }}>
+          <Space size={4}>
+            <span>{activeProfile ? activeProfile.name : 'No profile'}</span>
+            <DownOutlined style={{ fontSize: 10, marginLeft: 2 }} />
+          </Space>
+        </Tag>
+      </Dropdown>
+
+      <ProfileManagerModal visible={managerVisible} onClose={() => setManagerVisible(false)} />
+    </>
+  );
+};
+
+export default ProfileStatus;
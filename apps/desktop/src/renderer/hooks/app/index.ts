@@ -2,12 +2,14 @@
  * App Hooks - Consolidated Exports
  *
  * This module provides centralized exports for all app-level hooks including
- * initialization, navigation, file watching, workspace sync, and update checking.
+ * initialization, navigation, file watching, workspace sync, undo shortcuts and
+ * update checking.
  */
 
 export { useAppEffects } from './useAppEffects';
 export { useAppInitialization } from './useAppInitialization';
 export { useFileWatcher } from './useFileWatcher';
 export { useNavigation } from './useNavigation';
+export { useUndoShortcuts } from './useUndoShortcuts';
 export { useUpdateChecker } from './useUpdateChecker';
 export { useWorkspaceSync } from './useWorkspaceSync';
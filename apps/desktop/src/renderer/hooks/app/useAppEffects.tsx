@@ -10,6 +10,7 @@
  * - Navigation handling
  * - Workspace synchronization
  * - Update checking functionality
+ * - Undo/redo keyboard shortcuts
  */
 
 import type { Recording } from '@openheaders/core';
@@ -18,6 +19,7 @@ import type { InitialAction } from '@/renderer/components/modals/settings/Settin
 import { useAppInitialization } from './useAppInitialization';
 import { useFileWatcher } from './useFileWatcher';
 import { type NavigationIntent, useNavigation } from './useNavigation';
+import { useUndoShortcuts } from './useUndoShortcuts';
 import { type UpdateNotificationHandle, useUpdateChecker } from './useUpdateChecker';
 import { useWorkspaceSync } from './useWorkspaceSync';
 
@@ -82,6 +84,9 @@ export function useAppEffects({
   // Handle workspace synchronization
   useWorkspaceSync({ activeWorkspaceId });
 
+  // Ctrl/Cmd+Z undo and redo of workspace changes
+  useUndoShortcuts();
+
   // Get update checking functionality
   const { updateNotificationRef, handleCheckForUpdates } = useUpdateChecker();
 
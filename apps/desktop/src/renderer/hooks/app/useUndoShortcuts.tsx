@@ -0,0 +1,39 @@
+/**
+ * Undo Shortcuts Hook
+ *
+ * Binds Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z or Ctrl+Y to redo workspace
+ * changes. Text fields keep their native undo.
+ */
+
+import { useEffect } from 'react';
+import { useChangeHistory } from '@/renderer/hooks/workspace';
+
+function isEditableTarget(target: EventTarget | null): boolean {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Hook for global undo/redo keyboard shortcuts
+ */
+export function useUndoShortcuts(): void {
+  const { undo, redo } = useChangeHistory();
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditableTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        void (e.shiftKey ? redo() : undo());
+      } else if (key === 'y' && !e.shiftKey) {
+        e.preventDefault();
+        void redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+}
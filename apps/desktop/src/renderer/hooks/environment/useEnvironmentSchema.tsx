@@ -1,4 +1,5 @@
 import type { Source } from '@openheaders/core';
+import { findTemplateVariables } from '@openheaders/core';
 import { useCallback } from 'react';
 import type { EnvironmentSchema } from '@/renderer/services/export-import/core/types';
 import type { EnvironmentVariable } from '@/types/environment';
@@ -21,16 +22,13 @@ export function useEnvironmentSchema(): UseEnvironmentSchemaReturn {
 
   const findVariableUsage = useCallback((sources: Source[]): VariableUsage => {
     const usage: VariableUsage = {};
-    const variablePattern = /{{(\w+)}}/g;
 
     sources.forEach((source: Source) => {
       if (source.sourceType === 'http') {
         // Check all string fields in the source
         const checkField = (field: unknown, path: string) => {
           if (typeof field === 'string') {
-            const matches = [...field.matchAll(variablePattern)];
-            matches.forEach((match: RegExpMatchArray) => {
-              const varName = match[1];
+            findTemplateVariables(field).forEach((varName) => {
               if (!usage[varName]) {
                 usage[varName] = [];
               }
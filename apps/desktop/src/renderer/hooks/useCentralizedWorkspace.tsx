@@ -6,7 +6,17 @@ import {
 import { useCentralizedEnvironments } from './useCentralizedEnvironments';
 
 // Re-export hooks from workspace module
-export { useHeaderRules, useProxyRules, useSources, useWorkspaces } from './workspace';
+export {
+  useChangeHistory,
+  useHeaderRules,
+  usePayloadRules,
+  useProfiles,
+  useProxyRules,
+  useScriptRules,
+  useSources,
+  useUrlRules,
+  useWorkspaces,
+} from './workspace';
 
 /**
  * Main hook for accessing all workspace functionality
@@ -1,6 +1,11 @@
 // Export all workspace-related hooks
 
+export { useChangeHistory } from './useChangeHistory';
 export { useHeaderRules } from './useHeaderRules';
+export { usePayloadRules } from './usePayloadRules';
+export { useProfiles } from './useProfiles';
 export { useProxyRules } from './useProxyRules';
+export { useScriptRules } from './useScriptRules';
 export { useSources } from './useSources';
+export { useUrlRules } from './useUrlRules';
 export { useWorkspaces } from './useWorkspaces';
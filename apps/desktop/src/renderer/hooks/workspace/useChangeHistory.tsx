@@ -0,0 +1,65 @@
+import { useCallback } from 'react';
+import { useCentralizedWorkspace } from '@/renderer/hooks/useCentralizedWorkspace';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+import type { HistoryEntrySummary } from '@/types/history';
+
+interface UseChangeHistoryReturn {
+  entries: HistoryEntrySummary[];
+  canUndo: boolean;
+  canRedo: boolean;
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+  restoreItem: (entryId: string, changeIndex: number) => Promise<boolean>;
+}
+
+/**
+ * Hook for undo/redo and the change history of the active workspace
+ */
+export function useChangeHistory(): UseChangeHistoryReturn {
+  const { history, service } = useCentralizedWorkspace();
+
+  const undo = useCallback(async (): Promise<boolean> => {
+    try {
+      const entry = await service.undo();
+      if (entry) showMessage('info', `Undid: ${entry.description}`);
+      return entry !== null;
+    } catch (error: unknown) {
+      showMessage('error', error instanceof Error ? error.message : String(error));
+      return false;
+    }
+  }, [service]);
+
+  const redo = useCallback(async (): Promise<boolean> => {
+    try {
+      const entry = await service.redo();
+      if (entry) showMessage('info', `Redid: ${entry.description}`);
+      return entry !== null;
+    } catch (error: unknown) {
+      showMessage('error', error instanceof Error ? error.message : String(error));
+      return false;
+    }
+  }, [service]);
+
+  const restoreItem = useCallback(
+    async (entryId: string, changeIndex: number): Promise<boolean> => {
+      try {
+        await service.restoreHistoryItem(entryId, changeIndex);
+        showMessage('success', 'Item restored');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  return {
+    entries: history.entries,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    undo,
+    redo,
+    restoreItem,
+  };
+}
@@ -9,6 +9,8 @@ interface UseHeaderRulesReturn {
   updateRule: (ruleId: string, updates: Partial<HeaderRule>) => Promise<boolean>;
   removeRule: (ruleId: string) => Promise<boolean>;
   toggleRule: (ruleId: string, enabled: boolean) => Promise<boolean>;
+  updateRulesBatch: (updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>) => Promise<boolean>;
+  removeRulesBatch: (ruleIds: string[]) => Promise<boolean>;
 }
 
 /**
@@ -72,11 +74,40 @@ export function useHeaderRules(): UseHeaderRulesReturn {
     [service],
   );
 
+  const updateRulesBatch = useCallback(
+    async (updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>): Promise<boolean> => {
+      try {
+        await service.updateHeaderRulesBatch(updates);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const removeRulesBatch = useCallback(
+    async (ruleIds: string[]): Promise<boolean> => {
+      try {
+        await service.removeHeaderRulesBatch(ruleIds);
+        showMessage('success', `${ruleIds.length} ${ruleIds.length === 1 ? 'rule' : 'rules'} removed`);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
   return {
     rules: headerRules,
     addRule,
     updateRule,
     removeRule,
     toggleRule,
+    updateRulesBatch,
+    removeRulesBatch,
   };
 }
@@ -0,0 +1,82 @@
+import type { PayloadRule } from '@openheaders/core';
+import { useCallback } from 'react';
+import { useCentralizedWorkspace } from '@/renderer/hooks/useCentralizedWorkspace';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+
+interface UsePayloadRulesReturn {
+  rules: PayloadRule[];
+  addRule: (ruleData: Partial<PayloadRule>) => Promise<boolean>;
+  updateRule: (ruleId: string, updates: Partial<PayloadRule>) => Promise<boolean>;
+  removeRule: (ruleId: string) => Promise<boolean>;
+  toggleRule: (ruleId: string, enabled: boolean) => Promise<boolean>;
+}
+
+/**
+ * Hook for payload rules management
+ */
+export function usePayloadRules(): UsePayloadRulesReturn {
+  const { rules, service } = useCentralizedWorkspace();
+  const payloadRules = rules.request || [];
+
+  const addRule = useCallback(
+    async (ruleData: Partial<PayloadRule>): Promise<boolean> => {
+      try {
+        await service.addPayloadRule(ruleData);
+        showMessage('success', 'Rule added successfully');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const updateRule = useCallback(
+    async (ruleId: string, updates: Partial<PayloadRule>): Promise<boolean> => {
+      try {
+        await service.updatePayloadRule(ruleId, updates);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const removeRule = useCallback(
+    async (ruleId: string): Promise<boolean> => {
+      try {
+        await service.removePayloadRule(ruleId);
+        showMessage('success', 'Rule removed');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const toggleRule = useCallback(
+    async (ruleId: string, enabled: boolean): Promise<boolean> => {
+      try {
+        await service.updatePayloadRule(ruleId, { isEnabled: enabled });
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  return {
+    rules: payloadRules,
+    addRule,
+    updateRule,
+    removeRule,
+    toggleRule,
+  };
+}
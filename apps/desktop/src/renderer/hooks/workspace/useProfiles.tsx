@@ -0,0 +1,101 @@
+import type { RuleProfile } from '@openheaders/core';
+import { useCallback } from 'react';
+import { useCentralizedWorkspace } from '@/renderer/hooks/useCentralizedWorkspace';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+
+interface UseProfilesReturn {
+  profiles: RuleProfile[];
+  activeProfileId: string | null;
+  createProfile: (name: string, description?: string) => Promise<boolean>;
+  renameProfile: (profileId: string, name: string) => Promise<boolean>;
+  recaptureProfile: (profileId: string) => Promise<boolean>;
+  deleteProfile: (profileId: string) => Promise<boolean>;
+  applyProfile: (profileId: string) => Promise<boolean>;
+}
+
+/**
+ * Hook for rule profile management
+ */
+export function useProfiles(): UseProfilesReturn {
+  const { profiles, activeProfileId, service } = useCentralizedWorkspace();
+
+  const createProfile = useCallback(
+    async (name: string, description?: string): Promise<boolean> => {
+      try {
+        await service.createProfile({ name, description });
+        showMessage('success', `Saved profile "${name.trim()}"`);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const renameProfile = useCallback(
+    async (profileId: string, name: string): Promise<boolean> => {
+      try {
+        await service.updateProfile(profileId, { name });
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const recaptureProfile = useCallback(
+    async (profileId: string): Promise<boolean> => {
+      try {
+        await service.recaptureProfile(profileId);
+        showMessage('success', 'Profile updated from current rules');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const deleteProfile = useCallback(
+    async (profileId: string): Promise<boolean> => {
+      try {
+        await service.deleteProfile(profileId);
+        showMessage('success', 'Profile deleted');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const applyProfile = useCallback(
+    async (profileId: string): Promise<boolean> => {
+      try {
+        await service.applyProfile(profileId);
+        const profile = profiles.find((p) => p.id === profileId);
+        if (profile) showMessage('success', `Switched to profile "${profile.name}"`);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service, profiles],
+  );
+
+  return {
+    profiles,
+    activeProfileId,
+    createProfile,
+    renameProfile,
+    recaptureProfile,
+    deleteProfile,
+    applyProfile,
+  };
+}
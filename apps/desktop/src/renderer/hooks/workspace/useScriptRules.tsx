@@ -0,0 +1,82 @@
+import type { ScriptRule } from '@openheaders/core';
+import { useCallback } from 'react';
+import { useCentralizedWorkspace } from '@/renderer/hooks/useCentralizedWorkspace';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+
+interface UseScriptRulesReturn {
+  rules: ScriptRule[];
+  addRule: (ruleData: Partial<ScriptRule>) => Promise<boolean>;
+  updateRule: (ruleId: string, updates: Partial<ScriptRule>) => Promise<boolean>;
+  removeRule: (ruleId: string) => Promise<boolean>;
+  toggleRule: (ruleId: string, enabled: boolean) => Promise<boolean>;
+}
+
+/**
+ * Hook for script rules management
+ */
+export function useScriptRules(): UseScriptRulesReturn {
+  const { rules, service } = useCentralizedWorkspace();
+  const scriptRules = rules.script || [];
+
+  const addRule = useCallback(
+    async (ruleData: Partial<ScriptRule>): Promise<boolean> => {
+      try {
+        await service.addScriptRule(ruleData);
+        showMessage('success', 'Rule added successfully');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const updateRule = useCallback(
+    async (ruleId: string, updates: Partial<ScriptRule>): Promise<boolean> => {
+      try {
+        await service.updateScriptRule(ruleId, updates);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const removeRule = useCallback(
+    async (ruleId: string): Promise<boolean> => {
+      try {
+        await service.removeScriptRule(ruleId);
+        showMessage('success', 'Rule removed');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const toggleRule = useCallback(
+    async (ruleId: string, enabled: boolean): Promise<boolean> => {
+      try {
+        await service.updateScriptRule(ruleId, { isEnabled: enabled });
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  return {
+    rules: scriptRules,
+    addRule,
+    updateRule,
+    removeRule,
+    toggleRule,
+  };
+}
@@ -0,0 +1,82 @@
+import type { UrlRule } from '@openheaders/core';
+import { useCallback } from 'react';
+import { useCentralizedWorkspace } from '@/renderer/hooks/useCentralizedWorkspace';
+import { showMessage } from '@/renderer/utils/ui/messageUtil';
+
+interface UseUrlRulesReturn {
+  rules: UrlRule[];
+  addRule: (ruleData: Partial<UrlRule>) => Promise<boolean>;
+  updateRule: (ruleId: string, updates: Partial<UrlRule>) => Promise<boolean>;
+  removeRule: (ruleId: string) => Promise<boolean>;
+  toggleRule: (ruleId: string, enabled: boolean) => Promise<boolean>;
+}
+
+/**
+ * Hook for URL rules management
+ */
+export function useUrlRules(): UseUrlRulesReturn {
+  const { rules, service } = useCentralizedWorkspace();
+  const urlRules = rules.url || [];
+
+  const addRule = useCallback(
+    async (ruleData: Partial<UrlRule>): Promise<boolean> => {
+      try {
+        await service.addUrlRule(ruleData);
+        showMessage('success', 'Rule added successfully');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const updateRule = useCallback(
+    async (ruleId: string, updates: Partial<UrlRule>): Promise<boolean> => {
+      try {
+        await service.updateUrlRule(ruleId, updates);
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const removeRule = useCallback(
+    async (ruleId: string): Promise<boolean> => {
+      try {
+        await service.removeUrlRule(ruleId);
+        showMessage('success', 'Rule removed');
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  const toggleRule = useCallback(
+    async (ruleId: string, enabled: boolean): Promise<boolean> => {
+      try {
+        await service.updateUrlRule(ruleId, { isEnabled: enabled });
+        return true;
+      } catch (error: unknown) {
+        showMessage('error', error instanceof Error ? error.message : String(error));
+        return false;
+      }
+    },
+    [service],
+  );
+
+  return {
+    rules: urlRules,
+    addRule,
+    updateRule,
+    removeRule,
+    toggleRule,
+  };
+}
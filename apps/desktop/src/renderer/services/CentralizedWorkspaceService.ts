@@ -9,8 +9,19 @@
  *  - Exposes subscribe/notify for React hooks (same API as before)
  */
 
-import type { HeaderRule, RulesCollection, Source, SourceUpdate } from '@openheaders/core';
+import type {
+  HeaderRule,
+  PayloadRule,
+  RuleProfile,
+  RulesCollection,
+  ScriptRule,
+  Source,
+  SourceUpdate,
+  UrlRule,
+} from '@openheaders/core';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
+import type { ProfileInput, ProfileUpdate } from '@/services/workspace/state';
+import type { HistoryEntrySummary, HistoryState } from '@/types/history';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceSyncStatus, WorkspaceType } from '@/types/workspace';
 
@@ -27,6 +38,9 @@ export interface WorkspaceServiceState {
   sources: Source[];
   rules: RulesCollection;
   proxyRules: ProxyRule[];
+  profiles: RuleProfile[];
+  activeProfileId: string | null;
+  history: HistoryState;
 }
 
 type StateListener = (state: WorkspaceServiceState, changedKeys: string[]) => void;
@@ -49,6 +63,9 @@ class CentralizedWorkspaceService {
       sources: [],
       rules: { header: [], request: [], response: [] },
       proxyRules: [],
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
     };
 
     // Subscribe to state patches from main process
@@ -190,6 +207,67 @@ class CentralizedWorkspaceService {
     if (!result.success) throw new Error(result.error ?? 'Failed to remove header rule');
   }
 
+  async updateHeaderRulesBatch(updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.updateHeaderRulesBatch(updates);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update header rules');
+  }
+
+  async removeHeaderRulesBatch(ruleIds: string[]): Promise<void> {
+    const result = await window.electronAPI.workspaceState.removeHeaderRulesBatch(ruleIds);
+    if (!result.success) throw new Error(result.error ?? 'Failed to remove header rules');
+  }
+
+  // ── Payload Rule CRUD (IPC forwards) ───────────────────────
+
+  async addPayloadRule(ruleData: Partial<PayloadRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.addPayloadRule(ruleData);
+    if (!result.success) throw new Error(result.error ?? 'Failed to add payload rule');
+  }
+
+  async updatePayloadRule(ruleId: string, updates: Partial<PayloadRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.updatePayloadRule(ruleId, updates);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update payload rule');
+  }
+
+  async removePayloadRule(ruleId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.removePayloadRule(ruleId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to remove payload rule');
+  }
+
+  // ── URL Rule CRUD (IPC forwards) ───────────────────────────
+
+  async addUrlRule(ruleData: Partial<UrlRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.addUrlRule(ruleData);
+    if (!result.success) throw new Error(result.error ?? 'Failed to add URL rule');
+  }
+
+  async updateUrlRule(ruleId: string, updates: Partial<UrlRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.updateUrlRule(ruleId, updates);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update URL rule');
+  }
+
+  async removeUrlRule(ruleId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.removeUrlRule(ruleId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to remove URL rule');
+  }
+
+  // ── Script Rule CRUD (IPC forwards) ────────────────────────
+
+  async addScriptRule(ruleData: Partial<ScriptRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.addScriptRule(ruleData);
+    if (!result.success) throw new Error(result.error ?? 'Failed to add script rule');
+  }
+
+  async updateScriptRule(ruleId: string, updates: Partial<ScriptRule>): Promise<void> {
+    const result = await window.electronAPI.workspaceState.updateScriptRule(ruleId, updates);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update script rule');
+  }
+
+  async removeScriptRule(ruleId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.removeScriptRule(ruleId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to remove script rule');
+  }
+
   // ── Proxy Rule CRUD (IPC forwards) ─────────────────────────
 
   async addProxyRule(ruleData: ProxyRule): Promise<void> {
@@ -239,6 +317,59 @@ class CentralizedWorkspaceService {
     if (!result.success) throw new Error(result.error ?? 'Failed to copy workspace data');
   }
 
+  // ── Rule profiles (IPC forwards) ───────────────────────────
+
+  async createProfile(input: ProfileInput): Promise<RuleProfile> {
+    const result = await window.electronAPI.workspaceState.createProfile(input);
+    if (!result.success) throw new Error(result.error ?? 'Failed to create profile');
+    return result.profile!;
+  }
+
+  async updateProfile(profileId: string, updates: ProfileUpdate): Promise<void> {
+    const result = await window.electronAPI.workspaceState.updateProfile(profileId, updates);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update profile');
+  }
+
+  async recaptureProfile(profileId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.recaptureProfile(profileId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to update profile');
+  }
+
+  async deleteProfile(profileId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.deleteProfile(profileId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to delete profile');
+  }
+
+  async importProfiles(profiles: RuleProfile[], replace = false): Promise<{ imported: number; skipped: number }> {
+    const result = await window.electronAPI.workspaceState.importProfiles(profiles, replace);
+    if (!result.success) throw new Error(result.error ?? 'Failed to import profiles');
+    return { imported: result.imported ?? 0, skipped: result.skipped ?? 0 };
+  }
+
+  async applyProfile(profileId: string): Promise<void> {
+    const result = await window.electronAPI.workspaceState.applyProfile(profileId);
+    if (!result.success) throw new Error(result.error ?? 'Failed to apply profile');
+  }
+
+  // ── Change history (IPC forwards) ──────────────────────────
+
+  async undo(): Promise<HistoryEntrySummary | null> {
+    const result = await window.electronAPI.workspaceState.undo();
+    if (!result.success) throw new Error(result.error ?? 'Failed to undo');
+    return result.entry ?? null;
+  }
+
+  async redo(): Promise<HistoryEntrySummary | null> {
+    const result = await window.electronAPI.workspaceState.redo();
+    if (!result.success) throw new Error(result.error ?? 'Failed to redo');
+    return result.entry ?? null;
+  }
+
+  async restoreHistoryItem(entryId: string, changeIndex: number): Promise<void> {
+    const result = await window.electronAPI.workspaceState.restoreHistoryItem(entryId, changeIndex);
+    if (!result.success) throw new Error(result.error ?? 'Failed to restore item');
+  }
+
   // ── Cleanup ────────────────────────────────────────────────
 
   cleanup(): void {
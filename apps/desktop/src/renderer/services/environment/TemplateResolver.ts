@@ -1,6 +1,10 @@
 /**
  * TemplateResolver - Resolves variable templates in strings
+ *
+ * Expressions inside {{...}} (functions, defaults) are evaluated by the shared
+ * template engine in @openheaders/core, so values match the main process and proxy.
  */
+import { evaluateTemplateExpression, findTemplateVariables } from '@openheaders/core';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
 
 const log = createLogger('TemplateResolver');
@@ -9,8 +13,8 @@ class TemplateResolver {
   variablePattern: RegExp;
 
   constructor() {
-    // Match {{variable}} pattern
-    this.variablePattern = /{{(\w+)}}/g;
+    // Match {{expression}} placeholders
+    this.variablePattern = /{{([^}]+)}}/g;
   }
 
   /**
@@ -29,19 +33,27 @@ class TemplateResolver {
 
     const missingVars: string[] = [];
 
-    const resolved = template.replace(this.variablePattern, (_match, varName) => {
-      if (Object.hasOwn(variables, varName)) {
-        return variables[varName];
+    const resolved = template.replace(this.variablePattern, (match, expression: string) => {
+      const result = evaluateTemplateExpression(expression, variables);
+      if (result.value !== undefined) {
+        return result.value;
       }
 
-      missingVars.push(varName);
-
-      if (logMissing) {
-        log.warn(`Variable '${varName}' not found in template resolution`);
+      if (result.error) {
+        log.warn(`Invalid template ${match}: ${result.error}`);
+        return match;
       }
 
-      if (throwOnMissing) {
-        throw new Error(`Variable '${varName}' not found`);
+      for (const varName of result.missing) {
+        missingVars.push(varName);
+
+        if (logMissing) {
+          log.warn(`Variable '${varName}' not found in template resolution`);
+        }
+
+        if (throwOnMissing) {
+          throw new Error(`Variable '${varName}' not found`);
+        }
       }
 
       return defaultValue;
@@ -62,18 +74,7 @@ class TemplateResolver {
       return [];
     }
 
-    const variables = new Set<string>();
-    let match: RegExpExecArray | null;
-
-    // Reset regex lastIndex
-    this.variablePattern.lastIndex = 0;
-
-    // biome-ignore lint/suspicious/noAssignInExpressions: idiomatic regex.exec() loop
-    while ((match = this.variablePattern.exec(template)) !== null) {
-      variables.add(match[1]);
-    }
-
-    return Array.from(variables);
+    return findTemplateVariables(template);
   }
 
   /**
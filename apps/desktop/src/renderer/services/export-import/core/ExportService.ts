@@ -16,6 +16,7 @@ import {
   handleSingleFileExport,
 } from '@/renderer/services/export-import/utilities/FileOperations';
 import { generateExportSuccessMessage } from '@/renderer/services/export-import/utilities/MessageGeneration';
+import { validateHeaderRules } from '@/renderer/services/export-import/utilities/ValidationUtils';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
 import { showMessage } from '@/renderer/utils/ui/messageUtil';
 import { DEFAULTS, FILE_FORMATS } from './ExportImportConfig';
@@ -116,6 +117,11 @@ export class ExportService {
         if (data.rules) exportData.rules = data.rules;
         if (data.rulesMetadata) exportData.rulesMetadata = data.rulesMetadata;
       }
+
+      // Profiles reference rules by id, so they only make sense alongside the rules
+      if (this.dependencies.profiles?.length) {
+        exportData.profiles = this.dependencies.profiles;
+      }
     }
 
     // Environment data export
@@ -268,6 +274,16 @@ export class ExportService {
       if (!validation.success) {
         validationErrors.push(`Rules validation failed: ${validation.error}`);
       }
+
+      // Problems that keep rules from working are exported anyway, with a warning
+      const lintWarnings = validateHeaderRules(exportData.rules?.header ?? []).warnings ?? [];
+      if (lintWarnings.length > 0) {
+        log.warn('Header rule warnings:', lintWarnings);
+        showMessage(
+          'warning',
+          `${lintWarnings.length} header rule warning(s): ${lintWarnings[0]}${lintWarnings.length > 1 ? ' …' : ''}`,
+        );
+      }
     }
 
     if (exportData.environmentSchema || exportData.environments) {
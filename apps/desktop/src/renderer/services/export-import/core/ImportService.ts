@@ -8,10 +8,15 @@
 import { errorMessage } from '@openheaders/core';
 import { IMPORT_MODES, SUCCESS_MESSAGES } from '@/renderer/services/export-import/core/ExportImportConfig';
 import { EnvironmentsHandler } from '@/renderer/services/export-import/handlers/EnvironmentsHandler';
+import { ProfilesHandler } from '@/renderer/services/export-import/handlers/ProfilesHandler';
 import { ProxyRulesHandler } from '@/renderer/services/export-import/handlers/ProxyRulesHandler';
 import { RulesHandler } from '@/renderer/services/export-import/handlers/RulesHandler';
 import { SourcesHandler } from '@/renderer/services/export-import/handlers/SourcesHandler';
 import { WorkspaceHandler } from '@/renderer/services/export-import/handlers/WorkspaceHandler';
+import {
+  convertForeignImport,
+  FOREIGN_FORMAT_LABELS,
+} from '@/renderer/services/export-import/utilities/ForeignFormatConversion';
 import {
   generateImportSuccessMessage,
   generateImportWarnings,
@@ -34,6 +39,8 @@ interface ImportStats {
   proxyRulesSkipped: number;
   rulesImported: { total: number; [key: string]: number };
   rulesSkipped: { total: number; [key: string]: number };
+  profilesImported: number;
+  profilesSkipped: number;
   environmentsImported: number;
   variablesCreated: number;
   errors: Array<{ error: string; context?: string }>;
@@ -49,6 +56,7 @@ export class ImportService {
   sourcesHandler: SourcesHandler;
   proxyRulesHandler: ProxyRulesHandler;
   rulesHandler: RulesHandler;
+  profilesHandler: ProfilesHandler;
   environmentsHandler: EnvironmentsHandler;
   workspaceHandler: WorkspaceHandler;
 
@@ -59,6 +67,7 @@ export class ImportService {
     this.sourcesHandler = new SourcesHandler(dependencies);
     this.proxyRulesHandler = new ProxyRulesHandler(dependencies);
     this.rulesHandler = new RulesHandler(dependencies);
+    this.profilesHandler = new ProfilesHandler(dependencies);
     this.environmentsHandler = new EnvironmentsHandler(dependencies);
     this.workspaceHandler = new WorkspaceHandler(dependencies);
   }
@@ -115,6 +124,12 @@ export class ImportService {
    * @private
    */
   async _parseImportFiles(importOptions: ImportOptions) {
+    // ModHeader/Requestly exports are converted to our format before validation
+    const converted = this._convertForeignFile(importOptions.fileContent);
+    if (converted) {
+      return { importData: converted, envData: null };
+    }
+
     // Parse main file content
     const mainFileResult = validateAndParseFileContent(importOptions.fileContent);
     if (!mainFileResult.success) {
@@ -155,6 +170,39 @@ export class ImportService {
     return { importData, envData };
   }
 
+  /**
+   * Converts a ModHeader or Requestly export into import data
+   * @param fileContent - Raw file content
+   * @returns - Converted import data, or null if the file is not a foreign export
+   * @private
+   */
+  _convertForeignFile(fileContent: string): ImportData | null {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(fileContent);
+    } catch {
+      return null;
+    }
+
+    const result = convertForeignImport(parsed);
+    if (!result) {
+      return null;
+    }
+
+    const label = FOREIGN_FORMAT_LABELS[result.format];
+    log.info(`Converted ${label} export`, {
+      headerRules: result.headerRuleCount,
+      urlRules: result.urlRuleCount,
+      issues: result.issues.length,
+    });
+    if (result.issues.length > 0) {
+      log.warn(`${label} items that could not be fully converted:`, result.issues);
+      showMessage('warning', `${result.issues.length} ${label} item(s) could not be fully converted`);
+    }
+
+    return result.data;
+  }
+
   /**
    * Handles workspace import if workspace data is present
    * @param importData - Import data
@@ -189,6 +237,8 @@ export class ImportService {
       proxyRulesSkipped: 0,
       rulesImported: { total: 0 },
       rulesSkipped: { total: 0 },
+      profilesImported: 0,
+      profilesSkipped: 0,
       environmentsImported: 0,
       variablesCreated: 0,
       errors: [],
@@ -220,6 +270,16 @@ export class ImportService {
       allStats.rulesImported = { total: 0, ...rulesStats.imported };
       allStats.rulesSkipped = { total: 0, ...rulesStats.skipped };
       allStats.errors.push(...rulesStats.errors);
+
+      // Profiles travel with the rules and refer to them by id
+      const profileStats = await this.profilesHandler.importProfiles(
+        importData.profiles,
+        rulesStats.headerRuleIds,
+        importOptions,
+      );
+      allStats.profilesImported = profileStats.imported;
+      allStats.profilesSkipped = profileStats.skipped;
+      allStats.errors.push(...profileStats.errors);
     }
 
     // Import environments
@@ -336,6 +396,7 @@ export class ImportService {
       importStats.sourcesImported > 0 ||
       importStats.proxyRulesImported > 0 ||
       importStats.rulesImported.total > 0 ||
+      importStats.profilesImported > 0 ||
       importStats.environmentsImported > 0 ||
       !!importStats.createdWorkspace
     );
@@ -355,6 +416,7 @@ export class ImportService {
         sources?: { imported: number; skipped: number };
         proxyRules?: { imported: number; skipped: number };
         rules?: { imported: number; skipped: number; byType: Record<string, number> };
+        profiles?: { imported: number; skipped: number };
         environments?: { environmentsImported: number; variablesCreated: number };
         workspace?: { created: boolean; name: string; type: string };
       },
@@ -392,6 +454,16 @@ export class ImportService {
       stats.totalSkipped += stats.dataTypes.rules.skipped ?? 0;
     }
 
+    // Profile statistics
+    if (importStats.profilesImported || importStats.profilesSkipped) {
+      stats.dataTypes.profiles = {
+        imported: importStats.profilesImported || 0,
+        skipped: importStats.profilesSkipped || 0,
+      };
+      stats.totalImported += stats.dataTypes.profiles.imported;
+      stats.totalSkipped += stats.dataTypes.profiles.skipped;
+    }
+
     // Environment statistics
     if (importStats.environmentsImported || importStats.variablesCreated) {
       stats.dataTypes.environments = {
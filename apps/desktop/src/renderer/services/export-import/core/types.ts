@@ -27,7 +27,14 @@ export interface EnvironmentSchema {
   variableDefinitions: Record<string, SchemaVariableDefinition>;
 }
 
-import type { HeaderRule, RulesCollection, RulesStorage as SharedRulesStorage, Source } from '@openheaders/core';
+import type {
+  HeaderRule,
+  RuleProfile,
+  RulesCollection,
+  RulesStorage as SharedRulesStorage,
+  Source,
+  UrlRule,
+} from '@openheaders/core';
 import type { EnvironmentVariable } from '@/types/environment';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace } from '@/types/workspace';
@@ -57,9 +64,16 @@ export interface ExportImportDependencies {
   createWorkspace(workspace: WorkspaceData): Promise<WorkspaceData | null>;
   switchWorkspace(workspaceId: string): Promise<boolean>;
   rules: RulesCollection;
+  /** Rule profiles; exported with the rules they reference */
+  profiles?: RuleProfile[];
   addHeaderRule(ruleData: Partial<HeaderRule>): Promise<boolean>;
   updateHeaderRule(ruleId: string, updates: Partial<HeaderRule>): Promise<boolean>;
   removeHeaderRule(ruleId: string): Promise<boolean>;
+  /** Adds imported profiles, replacing the existing ones when `replace` is set */
+  importProfiles?(profiles: RuleProfile[], replace: boolean): Promise<{ imported: number; skipped: number }>;
+  /** URL rules only arrive from converted ModHeader/Requestly exports */
+  addUrlRule?(ruleData: Partial<UrlRule>): Promise<boolean>;
+  removeUrlRule?(ruleId: string): Promise<boolean>;
   environments: Record<string, Record<string, EnvironmentVariable>>;
   createEnvironment(name: string): Promise<boolean>;
   setVariable(name: string, value: string | null, environment?: string | null, isSecret?: boolean): Promise<boolean>;
@@ -75,6 +89,7 @@ export interface ExportData {
   rulesMetadata?: { totalRules: number; lastUpdated: string };
   environmentSchema?: EnvironmentSchema;
   environments?: Record<string, Record<string, EnvironmentVariable>>;
+  profiles?: RuleProfile[];
   workspace?: WorkspaceData;
 }
 
@@ -103,6 +118,7 @@ export interface ImportData {
   rulesMetadata?: { totalRules?: number; lastUpdated?: string };
   environments?: Record<string, Record<string, EnvironmentVariable>>;
   environmentSchema?: EnvironmentSchema;
+  profiles?: RuleProfile[];
   workspace?: WorkspaceData;
 }
 
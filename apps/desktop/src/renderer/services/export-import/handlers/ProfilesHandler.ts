@@ -0,0 +1,125 @@
+/**
+ * Profiles Handler for Export/Import Operations
+ *
+ * Profiles are exported alongside the header rules they switch on and off.
+ * On import their rule states are pointed at the ids the imported rules got,
+ * and profiles whose name is already taken are skipped when merging.
+ */
+
+import type { RuleProfile } from '@openheaders/core';
+import { IMPORT_MODES } from '@/renderer/services/export-import/core/ExportImportConfig';
+import type { ExportImportDependencies } from '@/renderer/services/export-import/core/types';
+import { createLogger } from '@/renderer/utils/error-handling/logger';
+
+const log = createLogger('ProfilesHandler');
+
+/** Import options for profiles */
+interface ImportOptions {
+  importMode?: string;
+}
+
+/** Import statistics for profiles */
+interface ProfileImportStats {
+  imported: number;
+  skipped: number;
+  errors: Array<{ profile: string; error: string }>;
+}
+
+function isImportableProfile(profile: unknown): profile is RuleProfile {
+  if (!profile || typeof profile !== 'object') return false;
+  const { name, rules } = profile as Partial<RuleProfile>;
+  return typeof name === 'string' && name.trim() !== '' && !!rules && typeof rules === 'object';
+}
+
+/**
+ * Profiles Handler Class
+ * Manages the import of rule profiles
+ */
+export class ProfilesHandler {
+  dependencies: ExportImportDependencies;
+
+  constructor(dependencies: ExportImportDependencies) {
+    this.dependencies = dependencies;
+  }
+
+  /**
+   * Imports profiles from import data.
+   * @param profilesToImport - Profiles from the import file
+   * @param headerRuleIds - Id each header rule of the import file has in the workspace now
+   * @param options - Import options
+   * @returns - Import statistics
+   */
+  async importProfiles(
+    profilesToImport: RuleProfile[] | undefined,
+    headerRuleIds: Map<string, string>,
+    options: ImportOptions,
+  ): Promise<ProfileImportStats> {
+    const stats: ProfileImportStats = { imported: 0, skipped: 0, errors: [] };
+
+    if (!Array.isArray(profilesToImport) || profilesToImport.length === 0) {
+      log.debug('No profiles to import');
+      return stats;
+    }
+
+    const importProfiles = this.dependencies.importProfiles;
+    if (!importProfiles) {
+      log.warn(`Skipping ${profilesToImport.length} profiles — profile import is not available`);
+      stats.skipped = profilesToImport.length;
+      return stats;
+    }
+
+    const replace = options.importMode === IMPORT_MODES.REPLACE;
+    const takenNames = new Set(
+      replace ? [] : (this.dependencies.profiles ?? []).map((profile) => profile.name.trim().toLowerCase()),
+    );
+    const profiles: RuleProfile[] = [];
+
+    for (const profile of profilesToImport) {
+      if (!isImportableProfile(profile)) {
+        stats.errors.push({ profile: 'unknown', error: 'Profile must have a name and rule states' });
+        continue;
+      }
+      const name = profile.name.trim();
+      if (takenNames.has(name.toLowerCase())) {
+        stats.skipped++;
+        log.debug(`Skipping duplicate profile: ${name}`);
+        continue;
+      }
+      takenNames.add(name.toLowerCase());
+      profiles.push(this._remapRuleStates(profile, headerRuleIds));
+    }
+
+    if (profiles.length === 0) return stats;
+
+    try {
+      const result = await importProfiles(profiles, replace);
+      stats.imported = result.imported;
+      stats.skipped += result.skipped;
+    } catch (error) {
+      log.error('Failed to import profiles:', error);
+      stats.errors.push({ profile: 'all', error: error instanceof Error ? error.message : String(error) });
+    }
+
+    log.info(`Profiles import completed: ${stats.imported} imported, ${stats.skipped} skipped`);
+    return stats;
+  }
+
+  /**
+   * Points a profile's header rule states at the imported rules' ids. Only header
+   * rules are imported, so states of other rules and of rules that did not make it
+   * into the workspace are dropped.
+   * @private
+   */
+  _remapRuleStates(profile: RuleProfile, headerRuleIds: Map<string, string>): RuleProfile {
+    const header = Object.entries(profile.rules.header ?? {}).flatMap(([ruleId, enabled]) => {
+      const newId = headerRuleIds.get(ruleId);
+      return newId && typeof enabled === 'boolean' ? [[newId, enabled] as const] : [];
+    });
+    return {
+      ...profile,
+      rules: { header: Object.fromEntries(header) },
+      disabledTagGroups: Array.isArray(profile.disabledTagGroups) ? profile.disabledTagGroups : [],
+      environment: typeof profile.environment === 'string' ? profile.environment : null,
+    };
+  }
+}
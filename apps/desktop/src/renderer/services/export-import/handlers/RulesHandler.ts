@@ -6,7 +6,7 @@
  * WorkspaceStateService via IPC) — never direct file I/O.
  */
 
-import type { HeaderRule, RulesCollection } from '@openheaders/core';
+import type { HeaderRule, RulesCollection, UrlRule } from '@openheaders/core';
 import { IMPORT_MODES } from '@/renderer/services/export-import/core/ExportImportConfig';
 import type { ExportImportDependencies, RuleEntry } from '@/renderer/services/export-import/core/types';
 import { createLogger } from '@/renderer/utils/error-handling/logger';
@@ -42,6 +42,8 @@ interface ImportStats {
   imported: Record<string, number>;
   skipped: Record<string, number>;
   errors: Array<{ ruleType: string; ruleId: string; error: string }>;
+  /** Id each header rule of the import has in the workspace, for remapping profiles */
+  headerRuleIds: Map<string, string>;
 }
 
 /** Rules data for validation/statistics */
@@ -101,6 +103,7 @@ export class RulesHandler {
       imported: { total: 0 },
       skipped: { total: 0 },
       errors: [],
+      headerRuleIds: new Map(),
     };
 
     // Initialize counters for each rule type
@@ -121,9 +124,13 @@ export class RulesHandler {
     log.info(`Starting import of ${totalRulesToImport} rules in ${options.importMode} mode`);
 
     try {
-      // Handle replace mode — remove all existing header rules first
+      const urlRules = rulesToImport.rules[RULE_TYPES.URL];
+      const hasUrlRules = Array.isArray(urlRules) && urlRules.length > 0;
+
+      // Handle replace mode — remove all existing header rules first, and URL rules when the import brings some
       if (options.importMode === IMPORT_MODES.REPLACE) {
         await this._clearExistingHeaderRules();
+        if (hasUrlRules) await this._clearExistingUrlRules();
       }
 
       // Build a set of existing rule IDs for merge duplicate detection
@@ -132,7 +139,7 @@ export class RulesHandler {
       // Process header rules via WorkspaceStateService
       const headerRules = rulesToImport.rules[RULE_TYPES.HEADER];
       if (Array.isArray(headerRules) && headerRules.length > 0) {
-        const typeStats = await this._importHeaderRules(headerRules, existingIds, options);
+        const typeStats = await this._importHeaderRules(headerRules, existingIds, options, stats.headerRuleIds);
         stats.imported[RULE_TYPES.HEADER] = typeStats.imported;
         stats.skipped[RULE_TYPES.HEADER] = typeStats.skipped;
         stats.imported.total += typeStats.imported;
@@ -140,6 +147,16 @@ export class RulesHandler {
         stats.errors.push(...typeStats.errors);
       }
 
+      // URL rules only come from converted ModHeader/Requestly exports
+      if (hasUrlRules) {
+        const typeStats = await this._importUrlRules(urlRules);
+        stats.imported[RULE_TYPES.URL] = typeStats.imported;
+        stats.skipped[RULE_TYPES.URL] = typeStats.skipped;
+        stats.imported.total += typeStats.imported;
+        stats.skipped.total += typeStats.skipped;
+        stats.errors.push(...typeStats.errors);
+      }
+
       // TODO: request/response rule types can be added here when their
       // CRUD methods are available on WorkspaceStateService.
 
@@ -155,11 +172,14 @@ export class RulesHandler {
 
   /**
    * Import header rules one by one via WorkspaceStateService.
+   * Records in `ruleIds` the id each rule has in the workspace afterwards; a
+   * skipped duplicate keeps pointing at the existing rule with its id.
    */
   private async _importHeaderRules(
     rulesToImport: RuleEntry[],
     existingIds: Set<string>,
     options: ImportOptions,
+    ruleIds: Map<string, string>,
   ): Promise<TypeImportStats> {
     const stats: TypeImportStats = { imported: 0, skipped: 0, errors: [] };
 
@@ -168,6 +188,7 @@ export class RulesHandler {
         // Skip duplicates in merge mode
         if (options.importMode === IMPORT_MODES.MERGE && existingIds.has(rule.id)) {
           stats.skipped++;
+          ruleIds.set(rule.id, rule.id);
           log.debug(`Skipping duplicate rule with ID: ${rule.id}`);
           continue;
         }
@@ -178,7 +199,9 @@ export class RulesHandler {
           id: rule.id || this._generateRuleId(),
         };
 
-        await this.dependencies.addHeaderRule(ruleToAdd);
+        // The workspace keeps the id: duplicates were skipped above or cleared in replace mode
+        const added = await this.dependencies.addHeaderRule(ruleToAdd);
+        if (added && rule.id) ruleIds.set(rule.id, ruleToAdd.id!);
         stats.imported++;
       } catch (error) {
         log.error(`Failed to import rule ${rule.id || 'unknown'}:`, error);
@@ -193,6 +216,54 @@ export class RulesHandler {
     return stats;
   }
 
+  /**
+   * Import URL rules one by one via WorkspaceStateService.
+   */
+  private async _importUrlRules(rulesToImport: RuleEntry[]): Promise<TypeImportStats> {
+    const stats: TypeImportStats = { imported: 0, skipped: 0, errors: [] };
+    const addUrlRule = this.dependencies.addUrlRule;
+
+    if (!addUrlRule) {
+      log.warn(`Skipping ${rulesToImport.length} URL rules — URL rule import is not available`);
+      stats.skipped = rulesToImport.length;
+      return stats;
+    }
+
+    for (const rule of rulesToImport) {
+      try {
+        await addUrlRule(rule as unknown as Partial<UrlRule>);
+        stats.imported++;
+      } catch (error) {
+        log.error(`Failed to import URL rule ${rule.id || 'unknown'}:`, error);
+        stats.errors.push({
+          ruleType: RULE_TYPES.URL,
+          ruleId: rule.id || 'unknown',
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Removes all existing URL rules (used in replace mode).
+   */
+  private async _clearExistingUrlRules(): Promise<void> {
+    const existingRules = this.dependencies.rules.url ?? [];
+    const removeUrlRule = this.dependencies.removeUrlRule;
+    if (!removeUrlRule || existingRules.length === 0) return;
+    log.info(`Clearing ${existingRules.length} existing URL rules`);
+
+    for (const rule of existingRules) {
+      try {
+        await removeUrlRule(rule.id);
+      } catch (error) {
+        log.warn(`Failed to remove URL rule ${rule.id}:`, error);
+      }
+    }
+  }
+
   /**
    * Removes all existing header rules (used in replace mode).
    */
@@ -24,6 +24,7 @@ export type {
   RulesStorage,
 } from './core/types';
 export { EnvironmentsHandler } from './handlers/EnvironmentsHandler';
+export { ProfilesHandler } from './handlers/ProfilesHandler';
 export { ProxyRulesHandler } from './handlers/ProxyRulesHandler';
 export { RulesHandler } from './handlers/RulesHandler';
 // Handlers
@@ -31,6 +32,7 @@ export { SourcesHandler } from './handlers/SourcesHandler';
 export { WorkspaceHandler } from './handlers/WorkspaceHandler';
 export * from './utilities/DuplicateDetection';
 export * from './utilities/FileOperations';
+export * from './utilities/ForeignFormatConversion';
 export * from './utilities/MessageGeneration';
 // Utilities
 export * from './utilities/ValidationUtils';
@@ -0,0 +1,624 @@
+/**
+ * Foreign Format Conversion for Import Operations
+ *
+ * Converts rule exports from other header tools into the Open Headers import
+ * format, so they can go through the normal import pipeline:
+ * - ModHeader profile exports (an array of profiles)
+ * - Requestly rule exports (an array of rules and groups)
+ *
+ * Request and response headers become header rules; URL filters become domain
+ * patterns and request conditions; redirects, URL replacements, blocked
+ * requests and query parameter changes become URL rules. Everything that has
+ * no Open Headers equivalent is listed in the conversion issues instead of
+ * being dropped silently.
+ */
+
+import type {
+  HeaderOperation,
+  HeaderRule,
+  HttpMethod,
+  MatchType,
+  RequestResourceType,
+  UrlParamModification,
+  UrlRule,
+} from '@openheaders/core';
+import { validateUrlPattern } from '@openheaders/core';
+import { DATA_FORMAT_VERSION } from '@/config/version.esm';
+import type { ImportData } from '@/renderer/services/export-import/core/types';
+
+export type ForeignFormat = 'modheader' | 'requestly';
+
+export const FOREIGN_FORMAT_LABELS: Record<ForeignFormat, string> = {
+  modheader: 'ModHeader',
+  requestly: 'Requestly',
+};
+
+/** Something in the foreign export that could not be converted, or only partly */
+export interface ConversionIssue {
+  /** The profile or rule the issue belongs to, e.g. 'Profile "Staging"' */
+  item: string;
+  reason: string;
+}
+
+export interface ForeignImportResult {
+  format: ForeignFormat;
+  data: ImportData;
+  headerRuleCount: number;
+  urlRuleCount: number;
+  issues: ConversionIssue[];
+}
+
+const HTTP_METHODS: readonly HttpMethod[] = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'CONNECT'];
+
+const RESOURCE_TYPES: readonly RequestResourceType[] = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'ping',
+  'media',
+  'websocket',
+  'other',
+];
+
+type RecordValue = Record<string, unknown>;
+
+interface HeaderConditions {
+  domains: string[];
+  excludedDomains: string[];
+  initiatorDomains: string[];
+  methods: HttpMethod[];
+  resourceTypes: RequestResourceType[];
+}
+
+/** Collects converted rules and issues for one conversion run */
+class ConversionContext {
+  headerRules: HeaderRule[] = [];
+  urlRules: UrlRule[] = [];
+  issues: ConversionIssue[] = [];
+  private readonly idPrefix: string;
+  private counter = 0;
+  private readonly now = new Date().toISOString();
+
+  constructor(format: ForeignFormat) {
+    this.idPrefix = `${format}-${Date.now()}`;
+  }
+
+  report(item: string, reason: string) {
+    this.issues.push({ item, reason });
+  }
+
+  private nextId() {
+    this.counter++;
+    return `${this.idPrefix}-${this.counter}`;
+  }
+
+  addHeaderRule(fields: Partial<HeaderRule> & Pick<HeaderRule, 'headerName'>, conditions: HeaderConditions) {
+    this.headerRules.push({
+      id: this.nextId(),
+      type: 'header',
+      name: '',
+      description: '',
+      isEnabled: true,
+      headerValue: '',
+      operation: 'set',
+      priority: 0,
+      tag: '',
+      isResponse: false,
+      isDynamic: false,
+      sourceId: null,
+      prefix: '',
+      suffix: '',
+      hasEnvVars: false,
+      envVars: [],
+      generator: null,
+      createdAt: this.now,
+      updatedAt: this.now,
+      ...conditions,
+      ...fields,
+    });
+  }
+
+  addUrlRule(fields: Partial<UrlRule> & Pick<UrlRule, 'name' | 'action' | 'matchType' | 'matchPattern'>) {
+    this.urlRules.push({
+      id: this.nextId(),
+      type: 'url',
+      description: '',
+      isEnabled: true,
+      domains: [],
+      replacePattern: '',
+      redirectTo: '',
+      modifyParams: [],
+      createdAt: this.now,
+      updatedAt: this.now,
+      ...fields,
+    });
+  }
+
+  result(format: ForeignFormat): ForeignImportResult {
+    return {
+      format,
+      data: {
+        version: DATA_FORMAT_VERSION,
+        rules: { header: this.headerRules, url: this.urlRules },
+      },
+      headerRuleCount: this.headerRules.length,
+      urlRuleCount: this.urlRules.length,
+      issues: this.issues,
+    };
+  }
+}
+
+// ── Shared helpers ─────────────────────────────────────────────────
+
+function isRecord(value: unknown): value is RecordValue {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asRecords(value: unknown): RecordValue[] {
+  return Array.isArray(value) ? value.filter(isRecord) : [];
+}
+
+function asString(value: unknown): string {
+  return typeof value === 'string' ? value : '';
+}
+
+function asStrings(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === 'string' && v.trim() !== '') : [];
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/** Strip the slashes and flags from a "/body/flags" literal; matching is case-insensitive anyway */
+function regexBody(value: string): string {
+  const literal = value.match(/^\/(.+)\/[a-z]*$/);
+  return literal ? literal[1] : value;
+}
+
+function toMethods(values: string[]): HttpMethod[] {
+  return [...new Set(values.map((v) => v.toUpperCase()))].filter((v): v is HttpMethod =>
+    HTTP_METHODS.includes(v as HttpMethod),
+  );
+}
+
+function toResourceTypes(values: string[]): RequestResourceType[] {
+  return [...new Set(values.map((v) => v.toLowerCase()))].filter((v): v is RequestResourceType =>
+    RESOURCE_TYPES.includes(v as RequestResourceType),
+  );
+}
+
+/** A regular expression as a domain pattern, or null (with an issue) if the browser cannot use it */
+function regexDomainPattern(ctx: ConversionContext, item: string, regex: string): string | null {
+  const pattern = `/${regex}/`;
+  const validation = validateUrlPattern(pattern);
+  if (!validation.valid) {
+    ctx.report(item, `URL filter ${pattern} was skipped: ${validation.message}`);
+    return null;
+  }
+  return pattern;
+}
+
+/** "$1" capture references (ModHeader, Requestly) become "\1" (declarativeNetRequest) */
+function toRegexSubstitution(target: string): string {
+  return target.replace(/\\/g, '\\\\').replace(/\$(\d)/g, '\\$1');
+}
+
+// ── ModHeader ──────────────────────────────────────────────────────
+
+function isModHeaderProfile(value: unknown): value is RecordValue {
+  return isRecord(value) && (Array.isArray(value.headers) || Array.isArray(value.respHeaders));
+}
+
+const MODHEADER_UNSUPPORTED_FILTERS: Record<string, string> = {
+  tabFilters: 'Tab filters',
+  tabGroupFilters: 'Tab group filters',
+  windowFilters: 'Window filters',
+  timeFilters: 'Time filters',
+};
+
+const MODHEADER_UNSUPPORTED_MODIFICATIONS: Record<string, string> = {
+  cookieHeaders: 'Request cookies',
+  setCookieHeaders: 'Response cookies',
+  csp: 'Content Security Policy edits',
+};
+
+function enabledEntries(profile: RecordValue, key: string): RecordValue[] {
+  return asRecords(profile[key]).filter((entry) => entry.enabled !== false);
+}
+
+function modHeaderPatterns(ctx: ConversionContext, item: string, filters: RecordValue[]): string[] {
+  return filters
+    .map((filter) => asString(filter.urlRegex).trim())
+    .filter(Boolean)
+    .map((regex) => regexDomainPattern(ctx, item, regex))
+    .filter((pattern): pattern is string => pattern !== null);
+}
+
+function convertModHeaderProfile(ctx: ConversionContext, profile: RecordValue, index: number) {
+  const title = asString(profile.title).trim() || `Profile ${index + 1}`;
+  const item = `Profile "${title}"`;
+  const description = `Imported from ModHeader profile "${title}"`;
+
+  const urlFilters = enabledEntries(profile, 'urlFilters').filter((filter) => asString(filter.urlRegex).trim());
+  const domains = modHeaderPatterns(ctx, item, urlFilters);
+  // Rules whose filters could not be converted would apply everywhere, so they start disabled
+  const filtersLost = urlFilters.length > 0 && domains.length === 0;
+  if (filtersLost) {
+    ctx.report(
+      item,
+      'None of the URL filters could be converted; its rules were imported disabled and match every URL',
+    );
+  }
+
+  const conditions: HeaderConditions = {
+    domains: domains.length > 0 ? domains : ['*'],
+    excludedDomains: modHeaderPatterns(ctx, item, enabledEntries(profile, 'excludeUrlFilters')),
+    initiatorDomains: enabledEntries(profile, 'initiatorDomainFilters')
+      .map((filter) => asString(filter.domain).trim())
+      .filter(Boolean),
+    methods: toMethods(enabledEntries(profile, 'requestMethodFilters').flatMap((f) => asStrings(f.requestMethods))),
+    resourceTypes: toResourceTypes(
+      enabledEntries(profile, 'resourceFilters').flatMap((f) => asStrings(f.resourceType)),
+    ),
+  };
+
+  for (const [key, label] of Object.entries(MODHEADER_UNSUPPORTED_FILTERS)) {
+    if (enabledEntries(profile, key).length > 0) {
+      ctx.report(item, `${label} are not supported; its rules apply regardless`);
+    }
+  }
+  for (const [key, label] of Object.entries(MODHEADER_UNSUPPORTED_MODIFICATIONS)) {
+    const count = asRecords(profile[key]).length;
+    if (count > 0) ctx.report(item, `${label} (${count}) were not imported`);
+  }
+
+  for (const [key, isResponse] of [
+    ['headers', false],
+    ['respHeaders', true],
+  ] as const) {
+    for (const entry of asRecords(profile[key])) {
+      const headerName = asString(entry.name).trim();
+      if (!headerName) continue;
+      const headerValue = asString(entry.value);
+      // ModHeader removes a header when its value is left empty
+      const operation: HeaderOperation = entry.appendMode ? 'append' : headerValue === '' ? 'remove' : 'set';
+      ctx.addHeaderRule(
+        {
+          name: asString(entry.comment).trim(),
+          description,
+          tag: title,
+          headerName,
+          headerValue,
+          operation,
+          isResponse,
+          isEnabled: entry.enabled !== false && !filtersLost,
+        },
+        conditions,
+      );
+    }
+  }
+
+  for (const entry of asRecords(profile.urlReplacements)) {
+    const find = asString(entry.name);
+    if (!find) continue;
+    ctx.addUrlRule({
+      name: `${title}: ${find}`,
+      description,
+      isEnabled: entry.enabled !== false,
+      action: 'redirect',
+      matchType: 'regex',
+      matchPattern: `^(.*?)${escapeRegExp(find)}(.*)$`,
+      redirectTo: `\\1${toRegexSubstitution(asString(entry.value))}\\2`,
+    });
+  }
+  if (urlFilters.length > 0 && asRecords(profile.urlReplacements).length > 0) {
+    ctx.report(item, 'URL replacements were imported without the profile URL filters');
+  }
+}
+
+function convertModHeader(data: unknown): ForeignImportResult {
+  const ctx = new ConversionContext('modheader');
+  const profiles = Array.isArray(data) ? data.filter(isModHeaderProfile) : [data as RecordValue];
+  profiles.forEach((profile, index) => {
+    convertModHeaderProfile(ctx, profile, index);
+  });
+  return ctx.result('modheader');
+}
+
+// ── Requestly ──────────────────────────────────────────────────────
+
+function requestlyRecords(data: unknown): RecordValue[] {
+  if (Array.isArray(data)) return asRecords(data);
+  if (isRecord(data)) return [...asRecords(data.rules), ...asRecords(data.groups)];
+  return [];
+}
+
+function isRequestlyRule(record: RecordValue): boolean {
+  return (record.objectType === 'rule' || record.objectType === undefined) && typeof record.ruleType === 'string';
+}
+
+/**
+ * The regular expression a Requestly source condition stands for, tested against
+ * the whole URL. Wildcards become capture groups so "$1" keeps working in redirects.
+ */
+function requestlySourceRegex(source: RecordValue): string | null {
+  const key = asString(source.key).toLowerCase() || 'url';
+  const operator = asString(source.operator).toLowerCase();
+  const value = asString(source.value);
+  const wildcard = () => value.split('*').map(escapeRegExp).join('(.*)');
+
+  if (key === 'url') {
+    if (operator === 'equals') return `^${escapeRegExp(value)}$`;
+    if (operator === 'contains') return escapeRegExp(value);
+    if (operator === 'matches') return regexBody(value);
+    if (operator === 'wildcard_matches') return `^${wildcard()}$`;
+  } else if (key === 'host') {
+    if (operator === 'equals') return `^[^:]+:\\/\\/${escapeRegExp(value)}(:\\d+)?(\\/|$)`;
+    if (operator === 'contains') return `^[^:]+:\\/\\/[^/]*${escapeRegExp(value)}`;
+    if (operator === 'wildcard_matches') return `^[^:]+:\\/\\/${wildcard()}(:\\d+)?(\\/|$)`;
+  } else if (key === 'path') {
+    if (operator === 'equals') return `^[^:]+:\\/\\/[^/]+${escapeRegExp(value)}(\\?|$)`;
+    if (operator === 'contains') return `^[^:]+:\\/\\/[^/]+[^?]*${escapeRegExp(value)}`;
+  }
+  return null;
+}
+
+function describeSource(source: RecordValue): string {
+  return `${asString(source.key) || 'Url'} ${asString(source.operator) || 'Contains'} "${asString(source.value)}"`;
+}
+
+/** Domain pattern for a header rule; hosts stay readable, everything else becomes a regex pattern */
+function requestlyDomainPattern(ctx: ConversionContext, item: string, source: RecordValue): string | null {
+  const value = asString(source.value).trim();
+  if (!value) return '*';
+
+  const key = asString(source.key).toLowerCase();
+  const operator = asString(source.operator).toLowerCase();
+  if (key === 'host' && (operator === 'equals' || (operator === 'wildcard_matches' && /^\*\.[^*]+$/.test(value)))) {
+    return value;
+  }
+
+  const regex = requestlySourceRegex(source);
+  if (regex === null) {
+    ctx.report(item, `Source condition ${describeSource(source)} is not supported`);
+    return null;
+  }
+  return regexDomainPattern(ctx, item, regex);
+}
+
+/** Match settings for a URL rule */
+function requestlyUrlMatch(
+  ctx: ConversionContext,
+  item: string,
+  source: RecordValue,
+): { matchType: MatchType; matchPattern: string } | null {
+  const key = asString(source.key).toLowerCase() || 'url';
+  const operator = asString(source.operator).toLowerCase();
+  const value = asString(source.value);
+
+  if (key === 'url' && operator === 'equals') return { matchType: 'exact', matchPattern: value };
+  if (key === 'url' && operator === 'contains') return { matchType: 'contains', matchPattern: value };
+
+  const regex = requestlySourceRegex(source);
+  if (regex === null) {
+    ctx.report(item, `Source condition ${describeSource(source)} is not supported`);
+    return null;
+  }
+  return { matchType: 'regex', matchPattern: regex };
+}
+
+/** Request conditions from a pair's source filters (an object, or an array holding one) */
+function requestlyConditions(ctx: ConversionContext, item: string, source: RecordValue) {
+  const filters = Array.isArray(source.filters) ? asRecords(source.filters) : asRecords([source.filters]);
+  const merged = {
+    methods: toMethods(filters.flatMap((f) => asStrings(f.requestMethod))),
+    resourceTypes: toResourceTypes(filters.flatMap((f) => asStrings(f.resourceType))),
+    initiatorDomains: filters.flatMap((f) => asStrings(f.pageDomains)),
+  };
+  if (filters.some((f) => isRecord(f.pageUrl) && asString(f.pageUrl.value))) {
+    ctx.report(item, 'Page URL filters are not supported; use page domains instead');
+  }
+  if (filters.some((f) => isRecord(f.requestPayload) && asString(f.requestPayload.value))) {
+    ctx.report(item, 'Request payload filters are not supported');
+  }
+  return merged;
+}
+
+const REQUESTLY_SUPPORTED_RULE_TYPES = new Set(['Headers', 'UserAgent', 'Redirect', 'Cancel', 'QueryParam', 'Replace']);
+
+function requestlyHeaderOperation(type: string): HeaderOperation {
+  return type.toLowerCase() === 'remove' ? 'remove' : 'set';
+}
+
+function convertRequestlyRule(ctx: ConversionContext, rule: RecordValue, groups: Map<string, RecordValue>) {
+  const name = asString(rule.name).trim() || asString(rule.id) || 'Untitled rule';
+  const item = `Rule "${name}"`;
+  const ruleType = asString(rule.ruleType);
+  if (!REQUESTLY_SUPPORTED_RULE_TYPES.has(ruleType)) {
+    ctx.report(item, `Requestly ${ruleType} rules have no Open Headers equivalent`);
+    return;
+  }
+
+  const group = groups.get(asString(rule.groupId));
+  const isEnabled = rule.status !== 'Inactive' && group?.status !== 'Inactive';
+  const common = {
+    name,
+    description: asString(rule.description) || `Imported from Requestly ${ruleType} rule`,
+    isEnabled,
+  };
+  const tag = group ? asString(group.name) : '';
+
+  for (const pair of asRecords(rule.pairs)) {
+    const source = isRecord(pair.source) ? pair.source : {};
+
+    switch (ruleType) {
+      case 'Headers':
+      case 'UserAgent': {
+        const domain = requestlyDomainPattern(ctx, item, source);
+        if (domain === null) break;
+        const conditions = { domains: [domain], excludedDomains: [], ...requestlyConditions(ctx, item, source) };
+
+        const modifications: Array<{ header: string; value: string; type: string; isResponse: boolean }> = [];
+        if (ruleType === 'UserAgent') {
+          const userAgent = asString(pair.userAgent);
+          if (!userAgent) {
+            ctx.report(item, 'A user agent pair without a user agent string was skipped');
+            break;
+          }
+          modifications.push({ header: 'User-Agent', value: userAgent, type: 'Modify', isResponse: false });
+        } else if (isRecord(pair.modifications)) {
+          for (const [target, isResponse] of [
+            ['Request', false],
+            ['Response', true],
+          ] as const) {
+            for (const mod of asRecords(pair.modifications[target])) {
+              modifications.push({
+                header: asString(mod.header),
+                value: asString(mod.value),
+                type: asString(mod.type),
+                isResponse,
+              });
+            }
+          }
+        } else {
+          // Version 1 rules hold a single modification per pair
+          modifications.push({
+            header: asString(pair.header),
+            value: asString(pair.value),
+            type: asString(pair.type),
+            isResponse: asString(pair.target) === 'Response',
+          });
+        }
+
+        for (const mod of modifications) {
+          if (!mod.header.trim()) continue;
+          ctx.addHeaderRule(
+            {
+              ...common,
+              tag,
+              headerName: mod.header.trim(),
+              headerValue: mod.value,
+              operation: requestlyHeaderOperation(mod.type),
+              isResponse: mod.isResponse,
+            },
+            conditions,
+          );
+        }
+        break;
+      }
+
+      case 'Redirect': {
+        const destination = asString(pair.destination);
+        if (!destination || (pair.destinationType && pair.destinationType !== 'url')) {
+          ctx.report(item, 'Redirects to local files or mocks are not supported');
+          break;
+        }
+        const match = requestlyUrlMatch(ctx, item, source);
+        if (!match) break;
+        ctx.addUrlRule({
+          ...common,
+          ...match,
+          action: 'redirect',
+          redirectTo: match.matchType === 'regex' ? toRegexSubstitution(destination) : destination,
+        });
+        break;
+      }
+
+      case 'Cancel': {
+        const match = requestlyUrlMatch(ctx, item, source);
+        if (match) ctx.addUrlRule({ ...common, ...match, action: 'block' });
+        break;
+      }
+
+      case 'QueryParam': {
+        const match = requestlyUrlMatch(ctx, item, source);
+        if (!match) break;
+        const modifyParams: UrlParamModification[] = [];
+        for (const mod of asRecords(pair.modifications)) {
+          const type = asString(mod.type).toLowerCase();
+          const key = asString(mod.param).trim();
+          if (type === 'remove all') {
+            ctx.report(item, 'Removing all query parameters is not supported');
+          } else if (key) {
+            modifyParams.push(
+              type === 'remove' ? { key, action: 'remove' } : { key, action: 'set', value: asString(mod.value) },
+            );
+          }
+        }
+        if (modifyParams.length > 0) ctx.addUrlRule({ ...common, ...match, action: 'modify', modifyParams });
+        break;
+      }
+
+      case 'Replace': {
+        const from = asString(pair.from);
+        if (!from || /^\/.+\/[a-z]*$/.test(from)) {
+          ctx.report(item, 'Only plain-text URL replacements are supported');
+          break;
+        }
+        if (asString(source.value)) {
+          ctx.report(
+            item,
+            `Source condition ${describeSource(source)} was dropped; any URL containing "${from}" matches`,
+          );
+        }
+        ctx.addUrlRule({
+          ...common,
+          action: 'redirect',
+          matchType: 'regex',
+          matchPattern: `^(.*?)${escapeRegExp(from)}(.*)$`,
+          redirectTo: `\\1${toRegexSubstitution(asString(pair.to))}\\2`,
+        });
+        break;
+      }
+    }
+  }
+}
+
+function convertRequestly(data: unknown): ForeignImportResult {
+  const ctx = new ConversionContext('requestly');
+  const records = requestlyRecords(data);
+  const groups = new Map(
+    records.filter((record) => record.objectType === 'group').map((group) => [asString(group.id), group]),
+  );
+  for (const rule of records.filter(isRequestlyRule)) {
+    convertRequestlyRule(ctx, rule, groups);
+  }
+  return ctx.result('requestly');
+}
+
+// ── Entry points ───────────────────────────────────────────────────
+
+/**
+ * Identify a parsed file as a ModHeader or Requestly export.
+ * Open Headers exports (and anything else) return null.
+ */
+export function detectForeignFormat(data: unknown): ForeignFormat | null {
+  if (isModHeaderProfile(data) || (Array.isArray(data) && data.some(isModHeaderProfile))) {
+    return 'modheader';
+  }
+  if (requestlyRecords(data).some(isRequestlyRule)) {
+    return 'requestly';
+  }
+  return null;
+}
+
+/**
+ * Convert a parsed ModHeader or Requestly export into import data.
+ * Returns null when the data is not in either format.
+ */
+export function convertForeignImport(data: unknown): ForeignImportResult | null {
+  switch (detectForeignFormat(data)) {
+    case 'modheader':
+      return convertModHeader(data);
+    case 'requestly':
+      return convertRequestly(data);
+    default:
+      return null;
+  }
+}
@@ -31,6 +31,8 @@ interface ImportStatsLike {
   proxyRulesSkipped?: number;
   rulesImported?: { total: number; [key: string]: number };
   rulesSkipped?: { total: number; [key: string]: number };
+  profilesImported?: number;
+  profilesSkipped?: number;
   environmentsImported?: number;
   variablesCreated?: number;
   createdWorkspace?: { name?: string; type?: string } | null;
@@ -69,6 +71,9 @@ export function generateExportSuccessMessage(options: ExportOptions, exportedDat
     const totalRules = Object.values(exportedData.rules).reduce((sum, ruleArray) => sum + ruleArray.length, 0);
     exportedItems.push(`${totalRules} rule(s)`);
   }
+  if (exportedData.profiles?.length) {
+    exportedItems.push(`${exportedData.profiles.length} profile(s)`);
+  }
 
   // Add proxy rules info
   if (selectedItems.proxyRules && exportedData.proxyRules) {
@@ -117,6 +122,8 @@ export function generateImportSuccessMessage(importStats: ImportStatsLike, isGit
     proxyRulesSkipped = 0,
     rulesImported = { total: 0 },
     rulesSkipped = { total: 0 },
+    profilesImported = 0,
+    profilesSkipped = 0,
     environmentsImported = 0,
     createdWorkspace = null,
   } = importStats;
@@ -143,6 +150,14 @@ export function generateImportSuccessMessage(importStats: ImportStatsLike, isGit
     messages.push(`${rulesSkipped.total} duplicate rule(s) skipped`);
   }
 
+  // Add profiles info
+  if (profilesImported > 0) {
+    messages.push(`${profilesImported} profile(s)`);
+  }
+  if (profilesSkipped > 0) {
+    messages.push(`${profilesSkipped} profile(s) with a taken name skipped`);
+  }
+
   // Add proxy rules info
   if (proxyRulesImported > 0) {
     messages.push(`${proxyRulesImported} proxy rule(s)`);
@@ -188,6 +203,8 @@ export function generateImportSummary(importStats: ImportStatsLike) {
     proxyRulesSkipped = 0,
     rulesImported = { total: 0 },
     rulesSkipped = { total: 0 },
+    profilesImported = 0,
+    profilesSkipped = 0,
     environmentsImported = 0,
     variablesCreated = 0,
     createdWorkspace = null,
@@ -196,6 +213,7 @@ export function generateImportSummary(importStats: ImportStatsLike) {
   const details = [
     `Sources: ${sourcesImported} imported, ${sourcesSkipped} skipped`,
     `Rules: ${rulesImported.total} imported, ${rulesSkipped.total} skipped`,
+    `Profiles: ${profilesImported} imported, ${profilesSkipped} skipped`,
     `Proxy Rules: ${proxyRulesImported} imported, ${proxyRulesSkipped} skipped`,
     `Environments: ${environmentsImported} imported`,
     `Variables Created: ${variablesCreated}`,
@@ -8,12 +8,14 @@
  * Key features:
  * - JSON structure validation with detailed error messages
  * - Type-specific validation rules (sources, proxy rules, environment variables)
+ * - Header rule linting (restricted headers, oversized values, dead domains, shadowed rules)
  * - Version compatibility checking
  * - Comprehensive payload validation with error aggregation
  * - Support for validation warnings vs hard errors
  */
 
-import type { Source } from '@openheaders/core';
+import type { LintableHeaderRule, Source } from '@openheaders/core';
+import { lintHeaderRules } from '@openheaders/core';
 import { ERROR_MESSAGES, VALIDATION_RULES } from '@/renderer/services/export-import/core/ExportImportConfig';
 import type { EnvironmentSchema } from '@/renderer/services/export-import/core/types';
 import type { ProxyRule } from '@/types/proxy';
@@ -231,6 +233,33 @@ export function validateProxyRule(ruleInput: unknown): ValidationResult {
   return { success: true };
 }
 
+/**
+ * Lints header rules
+ *
+ * Never fails: rules that browsers will ignore or override still import and
+ * export, so every problem found is returned as a warning naming the rule.
+ *
+ * @param rules - Header rule objects
+ * @returns - Validation result with one warning per problem
+ */
+export function validateHeaderRules(rules: unknown[]): ValidationResult {
+  const lintable = rules.filter(
+    (rule): rule is LintableHeaderRule =>
+      !!rule &&
+      typeof rule === 'object' &&
+      typeof (rule as LintableHeaderRule).id === 'string' &&
+      typeof (rule as LintableHeaderRule).headerName === 'string',
+  );
+  const labels = new Map(lintable.map((rule) => [rule.id, rule.name || rule.headerName]));
+
+  return {
+    success: true,
+    warnings: lintHeaderRules(lintable).map(
+      (warning) => `Header rule "${labels.get(warning.ruleId)}": ${warning.message}`,
+    ),
+  };
+}
+
 /**
  * Validates source configuration
  *
@@ -419,6 +448,11 @@ export function validateImportPayload(payload: ImportPayload): ValidationResult
     });
   }
 
+  // Header rule lint (warnings only)
+  if (payload.rules && Array.isArray(payload.rules.header)) {
+    warnings.push(...(validateHeaderRules(payload.rules.header).warnings ?? []));
+  }
+
   // Environment schema validation
   if (payload.environmentSchema) {
     const schemaValidation = validateEnvironmentSchema(payload.environmentSchema);
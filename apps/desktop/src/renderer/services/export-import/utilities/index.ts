@@ -10,6 +10,7 @@
  * - FileOperations: File system operations and dialogs
  * - MessageGeneration: User-facing message creation
  * - DuplicateDetection: Duplicate detection algorithms
+ * - ForeignFormatConversion: ModHeader/Requestly export conversion
  *
  * All functions are exported individually for maximum flexibility.
  */
@@ -20,6 +21,9 @@ export * from './DuplicateDetection';
 // File operation utilities
 export * from './FileOperations';
 
+// Foreign format conversion
+export * from './ForeignFormatConversion';
+
 // Message generation utilities
 export * from './MessageGeneration';
 // Validation utilities
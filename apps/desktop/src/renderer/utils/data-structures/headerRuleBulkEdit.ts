@@ -0,0 +1,187 @@
+/**
+ * Header Rule Bulk Editing
+ *
+ * Pure helpers that turn a bulk action or a find/replace over many header
+ * rules into the `{ ruleId, changes }` list accepted by
+ * `updateHeaderRulesBatch`. Rules an edit would not change are left out, so
+ * the caller can report how many rules were actually affected.
+ */
+
+import type { HeaderRule } from '@openheaders/core';
+import { extractVariablesFromRule } from '@/renderer/utils/validation/environment-variables';
+
+export interface HeaderRuleUpdate {
+  ruleId: string;
+  changes: Partial<HeaderRule>;
+}
+
+export type BulkEdit =
+  | { kind: 'enable'; enabled: boolean }
+  | { kind: 'tag'; tag: string }
+  | { kind: 'addDomain'; domain: string }
+  | { kind: 'removeDomain'; domain: string }
+  | { kind: 'source'; sourceId: string };
+
+export interface BulkEditResult {
+  updates: HeaderRuleUpdate[];
+  /** Rules the edit cannot apply to, e.g. removing their only domain */
+  skipped: HeaderRule[];
+}
+
+export type FindReplaceField = 'headerName' | 'headerValue' | 'domains';
+
+export interface FindReplaceOptions {
+  find: string;
+  replace: string;
+  fields: FindReplaceField[];
+  matchCase: boolean;
+}
+
+/** One field of one rule as it reads before and after a find/replace */
+export interface FindReplaceFieldChange {
+  field: FindReplaceField;
+  before: string;
+  after: string;
+}
+
+export interface FindReplaceMatch {
+  rule: HeaderRule;
+  fields: FindReplaceFieldChange[];
+  changes: Partial<HeaderRule>;
+}
+
+/** Keep hasEnvVars/envVars in step with the template fields an edit touched */
+function withEnvVars(rule: HeaderRule, changes: Partial<HeaderRule>): Partial<HeaderRule> {
+  const envVars = extractVariablesFromRule({ ...rule, ...changes });
+  return { ...changes, hasEnvVars: envVars.length > 0, envVars };
+}
+
+function sameDomain(a: string, b: string): boolean {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function uniqueDomains(domains: string[]): string[] {
+  const seen = new Set<string>();
+  return domains.filter((domain) => {
+    const key = domain.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Compute the updates for a bulk action over the given rules.
+ * Removing a rule's last domain is skipped — a rule without domains never applies.
+ * Changing the source only applies to rules whose value comes from a source.
+ */
+export function buildBulkEdit(rules: HeaderRule[], edit: BulkEdit): BulkEditResult {
+  const updates: HeaderRuleUpdate[] = [];
+  const skipped: HeaderRule[] = [];
+
+  for (const rule of rules) {
+    const domains = rule.domains || [];
+    let changes: Partial<HeaderRule> | null = null;
+
+    switch (edit.kind) {
+      case 'enable':
+        if (rule.isEnabled !== edit.enabled) changes = { isEnabled: edit.enabled };
+        break;
+      case 'tag': {
+        const tag = edit.tag.trim();
+        if ((rule.tag || '') !== tag) changes = { tag };
+        break;
+      }
+      case 'addDomain': {
+        const domain = edit.domain.trim();
+        if (domain && !domains.some((d) => sameDomain(d, domain))) {
+          changes = withEnvVars(rule, { domains: [...domains, domain] });
+        }
+        break;
+      }
+      case 'removeDomain': {
+        const remaining = domains.filter((d) => !sameDomain(d, edit.domain));
+        if (remaining.length === domains.length) break;
+        if (remaining.length === 0) {
+          skipped.push(rule);
+          break;
+        }
+        changes = withEnvVars(rule, { domains: remaining });
+        break;
+      }
+      case 'source':
+        if (!rule.isDynamic) {
+          skipped.push(rule);
+        } else if (String(rule.sourceId) !== edit.sourceId) {
+          changes = { sourceId: edit.sourceId };
+        }
+        break;
+    }
+
+    if (changes) updates.push({ ruleId: rule.id, changes });
+  }
+
+  return { updates, skipped };
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find every rule a find/replace would change and what it would change to.
+ * "headerValue" covers the static value, or the prefix/suffix around a
+ * source-backed or generated value.
+ */
+export function findReplaceInRules(rules: HeaderRule[], options: FindReplaceOptions): FindReplaceMatch[] {
+  if (!options.find) return [];
+
+  const pattern = new RegExp(escapeRegExp(options.find), options.matchCase ? 'g' : 'gi');
+  // Function replacer so "$&" and friends in the replacement stay literal
+  const replaceIn = (text: string) => text.replace(pattern, () => options.replace);
+
+  const matches: FindReplaceMatch[] = [];
+
+  for (const rule of rules) {
+    const fields: FindReplaceFieldChange[] = [];
+    const changes: Partial<HeaderRule> = {};
+
+    if (options.fields.includes('headerName') && rule.headerName) {
+      const after = replaceIn(rule.headerName);
+      if (after !== rule.headerName) {
+        fields.push({ field: 'headerName', before: rule.headerName, after });
+        changes.headerName = after;
+      }
+    }
+
+    if (options.fields.includes('headerValue')) {
+      const valueKeys: Array<'headerValue' | 'prefix' | 'suffix'> =
+        rule.isDynamic || rule.generator ? ['prefix', 'suffix'] : ['headerValue'];
+      for (const key of valueKeys) {
+        const before = rule[key];
+        if (!before) continue;
+        const after = replaceIn(before);
+        if (after !== before) {
+          fields.push({ field: 'headerValue', before, after });
+          changes[key] = after;
+        }
+      }
+    }
+
+    if (options.fields.includes('domains') && rule.domains?.length) {
+      const replaced = rule.domains.map(replaceIn);
+      const after = uniqueDomains(replaced);
+      // Replacing every domain with nothing would leave a rule that never applies
+      if (after.length > 0 && replaced.some((domain, i) => domain !== rule.domains[i])) {
+        fields.push({ field: 'domains', before: rule.domains.join(', '), after: after.join(', ') });
+        changes.domains = after;
+      }
+    }
+
+    if (fields.length > 0) {
+      matches.push({ rule, fields, changes: withEnvVars(rule, changes) });
+    }
+  }
+
+  return matches;
+}
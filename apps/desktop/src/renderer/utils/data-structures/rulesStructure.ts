@@ -5,7 +5,7 @@
  * Each rule type has its own properties but shares common fields.
  */
 
-import type { RulesStorage } from '@openheaders/core';
+import type { HeaderValueGenerator, RulesStorage } from '@openheaders/core';
 import { DATA_FORMAT_VERSION } from '@/config/version.esm';
 
 // Rule types enum
@@ -13,6 +13,7 @@ export const RULE_TYPES = {
   HEADER: 'header',
   PAYLOAD: 'payload',
   URL: 'url',
+  SCRIPT: 'script',
 };
 
 // Rule data interface for createRule parameter
@@ -27,6 +28,8 @@ interface RuleData {
   // Header-specific
   headerName?: string;
   headerValue?: string;
+  operation?: string;
+  priority?: number;
   tag?: string;
   isResponse?: boolean;
   isDynamic?: boolean;
@@ -35,6 +38,11 @@ interface RuleData {
   suffix?: string;
   hasEnvVars?: boolean;
   envVars?: string[];
+  generator?: HeaderValueGenerator | null;
+  methods?: string[];
+  resourceTypes?: string[];
+  initiatorDomains?: string[];
+  excludedDomains?: string[];
   // Payload-specific
   matchPattern?: string;
   matchType?: string;
@@ -46,6 +54,11 @@ interface RuleData {
   redirectTo?: string;
   modifyParams?: Array<{ key: string; value?: string; action?: string }>;
   action?: string;
+  // Script-specific
+  language?: string;
+  code?: string;
+  runAt?: string;
+  world?: string;
 }
 
 // Common rule structure
@@ -68,6 +81,8 @@ export const createRule = (type: string, data: RuleData = {}) => {
         ...baseRule,
         headerName: data.headerName || '',
         headerValue: data.headerValue || '',
+        operation: data.operation || 'set', // set, append, remove
+        priority: data.priority || 0, // higher wins when rules modify the same header
         tag: data.tag || '',
         isResponse: data.isResponse || false,
         isDynamic: data.isDynamic || false,
@@ -76,6 +91,12 @@ export const createRule = (type: string, data: RuleData = {}) => {
         suffix: data.suffix || '',
         hasEnvVars: data.hasEnvVars || false,
         envVars: data.envVars || [],
+        generator: data.generator || null, // proxy-only per-request value
+        // Request conditions — empty lists match every request
+        methods: data.methods || [],
+        resourceTypes: data.resourceTypes || [],
+        initiatorDomains: data.initiatorDomains || [],
+        excludedDomains: data.excludedDomains || [],
       };
 
     case RULE_TYPES.PAYLOAD:
@@ -100,6 +121,16 @@ export const createRule = (type: string, data: RuleData = {}) => {
         action: data.action || 'modify', // modify, redirect, block
       };
 
+    case RULE_TYPES.SCRIPT:
+      return {
+        ...baseRule,
+        language: data.language || 'js', // js, css
+        code: data.code || '',
+        sourceId: data.sourceId ? String(data.sourceId) : null,
+        runAt: data.runAt || 'document_idle', // document_start, document_end, document_idle
+        world: data.world || 'MAIN', // MAIN, ISOLATED
+      };
+
     default:
       throw new Error(`Unknown rule type: ${type}`);
   }
@@ -147,11 +178,13 @@ export const validateRule = (
     headerName: string;
     isDynamic: boolean;
     headerValue: string;
+    operation: string;
     sourceId: string | number | null;
     matchPattern: string;
     replaceWith: string;
     action: string;
     redirectTo: string;
+    code: string;
   }>,
 ) => {
   if (!rule.type || !Object.values(RULE_TYPES).includes(rule.type)) {
@@ -167,6 +200,9 @@ export const validateRule = (
       if (!rule.headerName) {
         return { valid: false, error: 'Header name is required' };
       }
+      if (rule.operation === 'remove') {
+        break;
+      }
       if (!rule.isDynamic && !rule.headerValue) {
         return { valid: false, error: 'Header value is required for static headers' };
       }
@@ -192,6 +228,12 @@ export const validateRule = (
         return { valid: false, error: 'Redirect URL is required' };
       }
       break;
+
+    case RULE_TYPES.SCRIPT:
+      if (!rule.sourceId && !rule.code?.trim()) {
+        return { valid: false, error: 'Code or a source is required' };
+      }
+      break;
   }
 
   return { valid: true };
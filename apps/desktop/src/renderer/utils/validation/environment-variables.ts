@@ -1,10 +1,20 @@
 /**
  * Environment Variable Validation Utilities
  * Provides functions for detecting, extracting, and validating environment variables
+ *
+ * Placeholders may hold expressions ({{base64(USER + ':' + PASS)}}, {{VAR | 'fallback'}});
+ * they are parsed by the shared template engine in @openheaders/core.
  */
 
+import {
+  evaluateTemplateExpression,
+  findTemplateVariables,
+  findUnresolvedVariables,
+  validateTemplate,
+} from '@openheaders/core';
+
 /**
- * Regular expression to match environment variables in the format {{VAR_NAME}}
+ * Regular expression to match template placeholders in the format {{VAR_NAME}} or {{expression}}
  */
 const ENV_VAR_PATTERN = /{{([^}]+)}}/g;
 
@@ -14,6 +24,8 @@ export interface EnvVarValidation {
   missingVars: string[];
   usedVars: string[];
   hasVars: boolean;
+  /** Why a {{...}} expression is invalid, e.g. an unknown function */
+  templateError?: string;
 }
 
 /** A rule object with header/domain fields for env-var validation */
@@ -25,6 +37,12 @@ interface RuleForValidation {
   suffix?: string;
   domains?: string[];
   isEnabled?: boolean;
+  generator?: { secret?: string } | null;
+}
+
+/** Source-backed and generated values are wrapped in prefix/suffix instead of using headerValue */
+function hasComputedValue(rule: RuleForValidation): boolean {
+  return Boolean(rule.isDynamic || rule.generator);
 }
 
 /**
@@ -37,17 +55,7 @@ export function extractEnvironmentVariables(text: string | null | undefined): st
     return [];
   }
 
-  const variables: string[] = [];
-  const matches = text.matchAll(ENV_VAR_PATTERN);
-
-  for (const match of matches) {
-    const varName = match[1].trim();
-    if (varName && !variables.includes(varName)) {
-      variables.push(varName);
-    }
-  }
-
-  return variables;
+  return findTemplateVariables(text);
 }
 
 /**
@@ -77,12 +85,12 @@ export function extractVariablesFromRule(rule: RuleForValidation): string[] {
   }
 
   // Check header value (for static values)
-  if (!rule.isDynamic && rule.headerValue) {
+  if (!hasComputedValue(rule) && rule.headerValue) {
     variables.push(...extractEnvironmentVariables(rule.headerValue));
   }
 
-  // Check prefix and suffix (for dynamic values)
-  if (rule.isDynamic) {
+  // Check prefix and suffix (for dynamic and generated values)
+  if (hasComputedValue(rule)) {
     if (rule.prefix) {
       variables.push(...extractEnvironmentVariables(rule.prefix));
     }
@@ -91,6 +99,11 @@ export function extractVariablesFromRule(rule: RuleForValidation): string[] {
     }
   }
 
+  // Check the signing secret (for generated values)
+  if (rule.generator?.secret) {
+    variables.push(...extractEnvironmentVariables(rule.generator.secret));
+  }
+
   // Check domains
   if (Array.isArray(rule.domains)) {
     rule.domains.forEach((domain) => {
@@ -134,13 +147,16 @@ export function validateEnvironmentVariables(
   availableVars: Record<string, string | null | undefined> | null,
 ) {
   const usedVars = extractEnvironmentVariables(text);
-  const missingVars = findMissingVariables(usedVars, availableVars);
+  // Variables with a default ({{VAR | 'fallback'}}) are not required
+  const missingVars = availableVars ? findUnresolvedVariables(text ?? undefined, availableVars) : usedVars;
+  const { message: templateError } = validateTemplate(text);
 
   return {
-    isValid: missingVars.length === 0,
+    isValid: missingVars.length === 0 && !templateError,
     missingVars,
     usedVars,
     hasVars: usedVars.length > 0,
+    ...(templateError && { templateError }),
   };
 }
 
@@ -177,15 +193,15 @@ export function validateRuleEnvironmentVariables(
   }
 
   // Validate header value (for static values)
-  if (!rule.isDynamic && rule.headerValue) {
+  if (!hasComputedValue(rule) && rule.headerValue) {
     const validation = validateEnvironmentVariables(rule.headerValue, availableVars);
     results.fieldValidation.headerValue = validation;
     results.missingVars.push(...validation.missingVars);
     results.totalVarsUsed += validation.usedVars.length;
   }
 
-  // Validate prefix and suffix (for dynamic values)
-  if (rule.isDynamic) {
+  // Validate prefix and suffix (for dynamic and generated values)
+  if (hasComputedValue(rule)) {
     if (rule.prefix) {
       const validation = validateEnvironmentVariables(rule.prefix, availableVars);
       results.fieldValidation.prefix = validation;
@@ -200,6 +216,14 @@ export function validateRuleEnvironmentVariables(
     }
   }
 
+  // Validate the signing secret (for generated values)
+  if (rule.generator?.secret) {
+    const validation = validateEnvironmentVariables(rule.generator.secret, availableVars);
+    results.fieldValidation.generatorSecret = validation;
+    results.missingVars.push(...validation.missingVars);
+    results.totalVarsUsed += validation.usedVars.length;
+  }
+
   // Validate domains
   if (Array.isArray(rule.domains)) {
     rule.domains.forEach((domain) => {
@@ -235,21 +259,20 @@ export function resolveEnvironmentVariables(
 
   const { keepUnresolved = false, placeholderPrefix = '[MISSING_VAR:' } = options;
 
-  return text.replace(ENV_VAR_PATTERN, (match, varName) => {
-    const trimmedVarName = varName.trim();
-    const value = variables[trimmedVarName];
+  return text.replace(ENV_VAR_PATTERN, (match, expression: string) => {
+    const result = evaluateTemplateExpression(expression, variables);
 
-    if (value !== undefined && value !== null && value !== '') {
-      return value;
+    if (result.value !== undefined) {
+      return result.value;
     }
 
-    // Handle missing variables
-    if (keepUnresolved) {
+    // Handle missing variables and invalid expressions
+    if (keepUnresolved || result.missing.length === 0) {
       return match; // Keep the {{VAR}} syntax
     }
 
     // Return placeholder for missing variables
-    return `${placeholderPrefix}${trimmedVarName}]`;
+    return `${placeholderPrefix}${result.missing.join(', ')}]`;
   });
 }
 
@@ -273,12 +296,12 @@ export function resolveRuleEnvironmentVariables(
   }
 
   // Resolve header value (for static values)
-  if (!rule.isDynamic && rule.headerValue) {
+  if (!hasComputedValue(rule) && rule.headerValue) {
     resolvedRule.headerValue = resolveEnvironmentVariables(rule.headerValue, variables, options) ?? undefined;
   }
 
-  // Resolve prefix and suffix (for dynamic values)
-  if (rule.isDynamic) {
+  // Resolve prefix and suffix (for dynamic and generated values)
+  if (hasComputedValue(rule)) {
     if (rule.prefix) {
       resolvedRule.prefix = resolveEnvironmentVariables(rule.prefix, variables, options) ?? undefined;
     }
@@ -365,8 +388,7 @@ export function getResolvedPreview(
     return { text: '', hasMissing: false, missingCount: 0 };
   }
 
-  const usedVars = extractEnvironmentVariables(text);
-  const missingVars = findMissingVariables(usedVars, variables);
+  const missingVars = findUnresolvedVariables(text, variables);
 
   // Resolve with placeholders for missing vars
   const resolved = resolveEnvironmentVariables(text, variables, {
@@ -1,2 +1,3 @@
 export { analyzeConfigFile, readAndValidateMultiFileConfig, validateGitWorkspaceConfig } from './configValidator';
 export * from './environment-variables';
+export * from './ruleConflicts';
@@ -0,0 +1,120 @@
+/**
+ * Header Rule Conflict Detection
+ *
+ * Two enabled rules conflict when they modify the same header, in the same
+ * direction, on overlapping domains. The higher ranked rule wins (its priority,
+ * see getHeaderRuleRank); with equal ranks the winner depends on rule order and can
+ * change between sessions.
+ */
+
+import type { HeaderRule } from '@openheaders/core';
+import { getHeaderRuleRank } from '@openheaders/core';
+
+export interface HeaderRuleConflict {
+  /** The other rule in the conflict */
+  otherRuleId: string;
+  headerName: string;
+  /** Domain patterns of the flagged rule that overlap the other rule's domains */
+  domains: string[];
+  /** Id of the rule that takes effect, or null when ranks are equal */
+  winnerId: string | null;
+}
+
+/**
+ * Reduce a domain pattern to "host/path*" so patterns can be compared.
+ * A bare host covers every path on it; path patterns are prefix matches.
+ */
+function normalizePattern(pattern: string): string {
+  let normalized = pattern
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z*]+:\/\//, '');
+  if (normalized === '*' || normalized === '') return '*';
+  if (!normalized.includes('/')) normalized += '/';
+  return normalized.endsWith('*') ? normalized : `${normalized}*`;
+}
+
+function patternToRegex(pattern: string): RegExp {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Whether two domain patterns can match the same URL.
+ * Approximate: checks if either pattern, with its wildcards collapsed, matches the other.
+ */
+export function domainPatternsOverlap(a: string, b: string): boolean {
+  const left = normalizePattern(a);
+  const right = normalizePattern(b);
+  if (left === '*' || right === '*' || left === right) return true;
+
+  return patternToRegex(left).test(right.replace(/\*/g, '')) || patternToRegex(right).test(left.replace(/\*/g, ''));
+}
+
+/** Empty condition lists match everything; two non-empty lists must share a value */
+function conditionsIntersect<T>(a: T[] | undefined, b: T[] | undefined): boolean {
+  if (!a?.length || !b?.length) return true;
+  return a.some((value) => b.includes(value));
+}
+
+function rulesCanCollide(a: HeaderRule, b: HeaderRule): boolean {
+  if (a.headerName.trim().toLowerCase() !== b.headerName.trim().toLowerCase()) return false;
+  if (Boolean(a.isResponse) !== Boolean(b.isResponse)) return false;
+
+  const aOperation = a.operation || 'set';
+  const bOperation = b.operation || 'set';
+  // Appends stack rather than override each other
+  if (aOperation === 'append' && bOperation === 'append') return false;
+  // Identical static modifications are redundant, not conflicting
+  if (
+    aOperation === bOperation &&
+    !a.isDynamic &&
+    !b.isDynamic &&
+    (aOperation === 'remove' || a.headerValue === b.headerValue)
+  ) {
+    return false;
+  }
+
+  return conditionsIntersect(a.methods, b.methods) && conditionsIntersect(a.resourceTypes, b.resourceTypes);
+}
+
+/**
+ * Find conflicts between enabled header rules.
+ * Returns the conflicts of each affected rule, keyed by rule id.
+ */
+export function findHeaderRuleConflicts(rules: HeaderRule[]): Map<string, HeaderRuleConflict[]> {
+  const conflicts = new Map<string, HeaderRuleConflict[]>();
+  const enabled = rules.filter((rule) => rule.isEnabled && rule.headerName);
+
+  const addConflict = (ruleId: string, conflict: HeaderRuleConflict) => {
+    const existing = conflicts.get(ruleId);
+    if (existing) {
+      existing.push(conflict);
+    } else {
+      conflicts.set(ruleId, [conflict]);
+    }
+  };
+
+  for (let i = 0; i < enabled.length; i++) {
+    for (let j = i + 1; j < enabled.length; j++) {
+      const a = enabled[i];
+      const b = enabled[j];
+      if (!rulesCanCollide(a, b)) continue;
+
+      const aDomains = a.domains || [];
+      const bDomains = b.domains || [];
+      const aOverlap = aDomains.filter((domain) => bDomains.some((other) => domainPatternsOverlap(domain, other)));
+      if (aOverlap.length === 0) continue;
+      const bOverlap = bDomains.filter((domain) => aDomains.some((other) => domainPatternsOverlap(domain, other)));
+
+      const aRank = getHeaderRuleRank(a);
+      const bRank = getHeaderRuleRank(b);
+      const winnerId = aRank === bRank ? null : aRank > bRank ? a.id : b.id;
+
+      addConflict(a.id, { otherRuleId: b.id, headerName: a.headerName, domains: aOverlap, winnerId });
+      addConflict(b.id, { otherRuleId: a.id, headerName: b.headerName, domains: bOverlap, winnerId });
+    }
+  }
+
+  return conflicts;
+}
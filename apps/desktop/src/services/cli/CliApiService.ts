@@ -10,7 +10,11 @@ import type { BrowserWindow as BrowserWindowType } from 'electron';
 import electron from 'electron';
 import * as v from 'valibot';
 import mainLogger from '@/utils/mainLogger';
-import { EnvironmentImportDataSchema, JoinWorkspaceDataSchema } from '@/validation/cli-schemas';
+import {
+  EnvironmentImportDataSchema,
+  JoinWorkspaceDataSchema,
+  RuleSimulationDataSchema,
+} from '@/validation/cli-schemas';
 import type { CliSetupHandler } from './CliSetupHandler';
 
 const { app } = electron;
@@ -564,6 +568,12 @@ class CliApiService {
           return this._handleEnvironmentImport(body, res);
         });
       }
+      if (req.method === 'POST' && pathname === '/cli/rules/simulate') {
+        return this._handleWithBody(req, res, (body) => {
+          logContext.bodySummary = this._summarizeBody(pathname, body);
+          return this._handleRuleSimulation(body, res);
+        });
+      }
 
       res.writeHead(404);
       res.end(JSON.stringify({ error: 'Not found' }));
@@ -612,6 +622,23 @@ class CliApiService {
     res.writeHead(result.success ? 200 : 400);
     res.end(JSON.stringify(result));
   }
+
+  async _handleRuleSimulation(body: JsonValue, res: http.ServerResponse): Promise<void> {
+    if (!this.setupHandler) {
+      res.writeHead(503);
+      res.end(JSON.stringify({ success: false, error: 'Setup handler not ready' }));
+      return;
+    }
+    const parsed = v.safeParse(RuleSimulationDataSchema, body);
+    if (!parsed.success) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ success: false, error: `Invalid request body: ${parsed.issues[0].message}` }));
+      return;
+    }
+    const result = await this.setupHandler.simulateRules(parsed.output);
+    res.writeHead(result.success ? 200 : 500);
+    res.end(JSON.stringify(result));
+  }
 }
 
 export { CliApiService };
@@ -1,10 +1,15 @@
 import crypto from 'node:crypto';
+import type { HeaderRuleEvaluation } from '@openheaders/core';
 import { errorMessage } from '@openheaders/core';
 import type { BrowserWindow as BrowserWindowType } from 'electron';
 import type { InferOutput } from 'valibot';
 import type { AuthType } from '@/types/workspace';
 import mainLogger from '@/utils/mainLogger';
-import type { EnvironmentImportDataSchema, JoinWorkspaceDataSchema } from '@/validation/cli-schemas';
+import type {
+  EnvironmentImportDataSchema,
+  JoinWorkspaceDataSchema,
+  RuleSimulationDataSchema,
+} from '@/validation/cli-schemas';
 
 const VALID_AUTH_TYPES = new Set<string>(['none', 'token', 'ssh', 'ssh-key', 'basic']);
 function toAuthType(value: string | undefined): AuthType {
@@ -20,6 +25,7 @@ const log = createLogger('CliSetup');
 
 export type JoinWorkspaceData = InferOutput<typeof JoinWorkspaceDataSchema>;
 type EnvironmentImportData = InferOutput<typeof EnvironmentImportDataSchema>;
+type RuleSimulationData = InferOutput<typeof RuleSimulationDataSchema>;
 
 class CliSetupHandler {
   mainWindow: BrowserWindowType | null = null;
@@ -147,6 +153,30 @@ class CliSetupHandler {
     }
   }
 
+  /**
+   * Show what the workspace's header rules would send to a URL via CLI.
+   *
+   * Read-only: delegates to WorkspaceStateService.simulateHeaderRules, which
+   * evaluates the rules with the active environment and current source content.
+   * Without disabledTagGroups, the tag groups the extension has disabled are used.
+   */
+  async simulateRules(
+    data: RuleSimulationData,
+  ): Promise<{ success: boolean; url?: string; results?: HeaderRuleEvaluation[]; error?: string }> {
+    try {
+      const workspaceStateService = (await import('../workspace/WorkspaceStateService')).default;
+      const { disabledTagGroups, ...request } = data;
+      const results = workspaceStateService.simulateHeaderRules(
+        request,
+        disabledTagGroups ?? workspaceStateService.getDisabledTagGroups(),
+      );
+      return { success: true, url: data.url, results };
+    } catch (err: unknown) {
+      log.error('Rule simulation failed:', err);
+      return { success: false, error: errorMessage(err) };
+    }
+  }
+
   async _generateUniqueWorkspaceName(
     baseName: string,
     workspaceSettingsService: { getSettings(): Promise<{ workspaces?: Array<{ name: string }> }> },
@@ -190,6 +220,6 @@ class CliSetupHandler {
   }
 }
 
-export type { EnvironmentImportData };
+export type { EnvironmentImportData, RuleSimulationData };
 export { CliSetupHandler };
 export default CliSetupHandler;
@@ -0,0 +1,238 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import tls from 'node:tls';
+import { promisify } from 'node:util';
+import electron from 'electron';
+import { toErrno } from '@/types/common';
+import type { ProxyCAInfo } from '@/types/proxy';
+import mainLogger from '@/utils/mainLogger';
+import { type CertificateName, createCertificate } from './x509';
+
+const { app } = electron;
+const { createLogger } = mainLogger;
+const fsPromises = fs.promises;
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const DAY = 24 * 60 * 60 * 1000;
+const CA_VALIDITY_DAYS = 3650;
+// Browsers reject server certificates valid for longer than 398 days
+const LEAF_VALIDITY_DAYS = 397;
+// Reissue host certificates this close to expiry
+const LEAF_RENEW_MARGIN = 7 * DAY;
+const MAX_CACHED_CONTEXTS = 500;
+
+const CA_NAME: CertificateName = { commonName: 'OpenHeaders Proxy CA', organization: 'OpenHeaders' };
+
+/**
+ * Local root CA used to intercept HTTPS traffic passing through the proxy.
+ *
+ * The CA key never leaves the machine. Host certificates share one key pair and
+ * are cached on disk under proxy-ca/hosts, so a host is only signed once per CA.
+ */
+class CertificateAuthority {
+  private log = createLogger('CertificateAuthority');
+  dir = '';
+  private caKey: crypto.KeyObject | null = null;
+  private caCert: crypto.X509Certificate | null = null;
+  private caPem = '';
+  private hostKey: Promise<crypto.KeyPairKeyObjectResult> | null = null;
+  private contexts = new Map<string, Promise<tls.SecureContext>>();
+
+  private get caKeyPath() {
+    return path.join(this.dir, 'ca-key.pem');
+  }
+  private get hostKeyPath() {
+    return path.join(this.dir, 'host-key.pem');
+  }
+  private get hostsDir() {
+    return path.join(this.dir, 'hosts');
+  }
+
+  get certificatePath(): string {
+    return path.join(this.dir, 'ca.pem');
+  }
+
+  /**
+   * Load the CA from disk if one was generated before.
+   */
+  async initialize(dir = path.join(app.getPath('userData'), 'proxy-ca')): Promise<void> {
+    this.dir = dir;
+    this.caKey = null;
+    this.caCert = null;
+    this.caPem = '';
+    this.hostKey = null;
+    this.contexts.clear();
+
+    try {
+      const [keyPem, certPem] = await Promise.all([
+        fsPromises.readFile(this.caKeyPath, 'utf8'),
+        fsPromises.readFile(this.certificatePath, 'utf8'),
+      ]);
+      this.caKey = crypto.createPrivateKey(keyPem);
+      this.caCert = new crypto.X509Certificate(certPem);
+      this.caPem = certPem;
+      this.log.info(`Loaded proxy CA (expires ${this.caCert.validTo})`);
+    } catch (error: unknown) {
+      if (toErrno(error).code !== 'ENOENT') {
+        this.log.error('Error loading proxy CA:', error);
+      }
+      this.caKey = null;
+      this.caCert = null;
+    }
+  }
+
+  hasCA(): boolean {
+    return this.caKey !== null && this.caCert !== null;
+  }
+
+  getInfo(): ProxyCAInfo {
+    if (!this.caCert) {
+      return { exists: false, certificatePath: null };
+    }
+    return {
+      exists: true,
+      certificatePath: this.certificatePath,
+      subject: this.caCert.subject.replace(/\n/g, ', '),
+      fingerprint: this.caCert.fingerprint256,
+      validFrom: new Date(this.caCert.validFrom).toISOString(),
+      validTo: new Date(this.caCert.validTo).toISOString(),
+    };
+  }
+
+  getCertificatePem(): string | null {
+    return this.caPem || null;
+  }
+
+  /**
+   * Generate a new root CA, replacing any existing one. Certificates issued by the
+   * old CA are discarded, and clients must trust the new certificate again.
+   */
+  async generate(): Promise<ProxyCAInfo> {
+    const { publicKey, privateKey } = await generateKeyPair('rsa', { modulusLength: 2048 });
+    const now = Date.now();
+    const certPem = createCertificate({
+      subject: CA_NAME,
+      publicKey,
+      signingKey: privateKey,
+      notBefore: new Date(now - DAY),
+      notAfter: new Date(now + CA_VALIDITY_DAYS * DAY),
+      isCA: true,
+    });
+
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    await fsPromises.rm(this.hostsDir, { recursive: true, force: true });
+    await fsPromises.writeFile(this.caKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    await fsPromises.writeFile(this.certificatePath, certPem);
+
+    this.caKey = privateKey;
+    this.caCert = new crypto.X509Certificate(certPem);
+    this.caPem = certPem;
+    this.contexts.clear();
+    this.log.info('Generated new proxy CA');
+    return this.getInfo();
+  }
+
+  /**
+   * TLS context presenting a certificate for `hostname` signed by the CA.
+   */
+  getSecureContext(hostname: string): Promise<tls.SecureContext> {
+    const host = hostname.toLowerCase();
+    const cached = this.contexts.get(host);
+    if (cached) return cached;
+
+    const context = this.createSecureContext(host);
+    this.contexts.set(host, context);
+    context.catch(() => this.contexts.delete(host));
+    if (this.contexts.size > MAX_CACHED_CONTEXTS) {
+      this.contexts.delete(this.contexts.keys().next().value as string);
+    }
+    return context;
+  }
+
+  private async createSecureContext(host: string): Promise<tls.SecureContext> {
+    if (!this.caKey || !this.caCert) {
+      throw new Error('No proxy CA has been generated');
+    }
+    const { privateKey } = await this.getHostKey();
+    const cert = await this.getHostCertificate(host);
+    return tls.createSecureContext({
+      key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      cert: `${cert}${this.caPem}`,
+    });
+  }
+
+  private getHostKey(): Promise<crypto.KeyPairKeyObjectResult> {
+    if (!this.hostKey) {
+      this.hostKey = this.loadHostKey();
+      this.hostKey.catch(() => {
+        this.hostKey = null;
+      });
+    }
+    return this.hostKey;
+  }
+
+  private async loadHostKey(): Promise<crypto.KeyPairKeyObjectResult> {
+    try {
+      const privateKey = crypto.createPrivateKey(await fsPromises.readFile(this.hostKeyPath, 'utf8'));
+      return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    } catch (error: unknown) {
+      if (toErrno(error).code !== 'ENOENT') {
+        this.log.warn('Host key unreadable, generating a new one:', error);
+      }
+    }
+    const keyPair = await generateKeyPair('rsa', { modulusLength: 2048 });
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    await fsPromises.writeFile(this.hostKeyPath, keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+      mode: 0o600,
+    });
+    // Certificates on disk belong to the previous key
+    await fsPromises.rm(this.hostsDir, { recursive: true, force: true });
+    return keyPair;
+  }
+
+  /**
+   * Host certificate from the disk cache, issued afresh when missing, expiring or
+   * signed by a different CA.
+   */
+  private async getHostCertificate(host: string): Promise<string> {
+    const certPath = path.join(this.hostsDir, `${host.replace(/[^a-z0-9.-]/g, '_')}.pem`);
+    const caCert = this.caCert!;
+
+    try {
+      const pem = await fsPromises.readFile(certPath, 'utf8');
+      const cert = new crypto.X509Certificate(pem);
+      if (cert.checkIssued(caCert) && new Date(cert.validTo).getTime() - Date.now() > LEAF_RENEW_MARGIN) {
+        return pem;
+      }
+    } catch (error: unknown) {
+      if (toErrno(error).code !== 'ENOENT') {
+        this.log.warn(`Discarding cached certificate for ${host}:`, error);
+      }
+    }
+
+    const { publicKey } = await this.getHostKey();
+    const now = Date.now();
+    const pem = createCertificate({
+      subject: { commonName: host },
+      issuer: CA_NAME,
+      publicKey,
+      signingKey: this.caKey!,
+      issuerPublicKey: caCert.publicKey,
+      notBefore: new Date(now - DAY),
+      notAfter: new Date(Math.min(now + LEAF_VALIDITY_DAYS * DAY, new Date(caCert.validTo).getTime())),
+      altNames: [host],
+    });
+
+    try {
+      await fsPromises.mkdir(this.hostsDir, { recursive: true });
+      await fsPromises.writeFile(certPath, pem);
+    } catch (error: unknown) {
+      this.log.warn(`Could not cache certificate for ${host}:`, error);
+    }
+    this.log.debug(`Issued certificate for ${host}`);
+    return pem;
+  }
+}
+
+export { CertificateAuthority };
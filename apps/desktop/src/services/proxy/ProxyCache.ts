@@ -1,15 +1,29 @@
 import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
+import { finished } from 'node:stream/promises';
+import AdmZip from 'adm-zip';
 import electron from 'electron';
+import * as v from 'valibot';
 import { toErrno } from '@/types/common';
+import type { ProxyCacheBundleResult, ProxyCacheExportFilter, ProxyCacheMode } from '@/types/proxy';
 import atomicWriter from '@/utils/atomicFileWriter';
 import mainLogger from '@/utils/mainLogger';
+import {
+  CACHE_BUNDLE_FORMAT,
+  CACHE_BUNDLE_VERSION,
+  CacheBundleEntrySchema,
+  CacheBundleManifestSchema,
+} from '@/validation/proxy-cache-schemas';
+import { freshUntil, stripIgnoredParams, varyMatches, varySnapshot } from './cacheSemantics';
+import { DomainMatcher } from './domainMatcher';
 
 const { app } = electron;
 const { createLogger } = mainLogger;
 const fsPromises = fs.promises;
 
+const BUNDLE_MANIFEST = 'manifest.json';
+
 export interface CacheMetadata {
   url: string;
   timestamp: number;
@@ -18,6 +32,10 @@ export interface CacheMetadata {
   headers: Record<string, string>;
   contentType: string;
   statusCode: number;
+  /** When the entry goes stale by the origin's caching headers; unset for entries stored before they were honoured */
+  freshUntil?: number;
+  /** Request header values the stored response varies on */
+  vary?: Record<string, string>;
 }
 
 export interface CacheEntry {
@@ -27,6 +45,37 @@ export interface CacheEntry {
   statusCode: number;
 }
 
+/** A stored response found for a request, and whether it can be served without asking the origin */
+export interface CacheLookup extends CacheEntry {
+  key: string;
+  fresh: boolean;
+}
+
+export interface CacheEntryOptions {
+  /** Response headers */
+  headers?: Record<string, string>;
+  contentType?: string;
+  statusCode?: number;
+  /** Headers of the request the response answers, for the cache key and Vary */
+  requestHeaders?: Record<string, string | string[] | undefined>;
+  ignoreQueryParams?: string[];
+}
+
+export interface CacheLookupOptions {
+  /** `always` treats every entry as fresh until maxAge; other modes follow the origin. Defaults to `respect-origin` */
+  mode?: ProxyCacheMode;
+  ignoreQueryParams?: string[];
+}
+
+/** Streams one response body into the cache; the entry only becomes visible on commit. */
+export interface CacheWriter {
+  stream: fs.WriteStream;
+  /** Finish writing and publish the entry (entries over `maxEntrySize` are dropped) */
+  commit(): Promise<void>;
+  /** Discard everything written so far */
+  abort(): void;
+}
+
 export interface CacheStats {
   totalSize: number;
   totalEntries: number;
@@ -41,12 +90,14 @@ class ProxyCache {
   metadata: Map<string, CacheMetadata> = new Map();
   maxCacheSize = 500 * 1024 * 1024; // 500MB
   maxAge = 90 * 24 * 60 * 60 * 1000; // 90 days
+  maxEntrySize = 50 * 1024 * 1024; // 50MB
 
   async initialize(): Promise<void> {
     try {
       this.cacheDir = path.join(app.getPath('userData'), 'proxy-cache');
       this.metadataPath = path.join(this.cacheDir, 'metadata.json');
       await fsPromises.mkdir(this.cacheDir, { recursive: true });
+      await this.removeTempFiles();
       await this.loadMetadata();
       await this.cleanup();
       this.log.info('Proxy cache initialized');
@@ -78,13 +129,17 @@ class ProxyCache {
     }
   }
 
-  getCacheKey(url: string, headers: Record<string, string> = {}): string {
-    const normalizedUrl = url.toLowerCase();
+  getCacheKey(
+    url: string,
+    headers: Record<string, string | string[] | undefined> = {},
+    ignoreQueryParams?: string[],
+  ): string {
+    const normalizedUrl = stripIgnoredParams(url, ignoreQueryParams).toLowerCase();
 
     // For static files, don't include auth header in cache key
     const staticFileRegex = /\.(woff2?|ttf|otf|eot|png|jpg|jpeg|gif|webp|svg|ico|css|js|mjs)(\?|$)/i;
     const isStaticFile = staticFileRegex.test(normalizedUrl);
-    const authHeader = isStaticFile ? '' : headers.authorization || '';
+    const authHeader = isStaticFile ? '' : String(headers.authorization || '');
 
     const keyData = `${normalizedUrl}|${authHeader}`;
     return crypto.createHash('sha256').update(keyData).digest('hex');
@@ -95,11 +150,19 @@ class ProxyCache {
     return path.join(this.cacheDir, subdir, key);
   }
 
-  async get(url: string, headers: Record<string, string> = {}): Promise<CacheEntry | null> {
-    const key = this.getCacheKey(url, headers);
+  /**
+   * Look up the stored response for a request. Entries past `maxAge` are removed;
+   * an entry stored for a different Vary variant is not returned.
+   */
+  async get(
+    url: string,
+    headers: Record<string, string | string[] | undefined> = {},
+    options: CacheLookupOptions = {},
+  ): Promise<CacheLookup | null> {
+    const key = this.getCacheKey(url, headers, options.ignoreQueryParams);
     const metadata = this.metadata.get(key);
 
-    if (!metadata) {
+    if (!metadata || !varyMatches(metadata.vary, headers)) {
       return null;
     }
 
@@ -118,10 +181,12 @@ class ProxyCache {
       await this.saveMetadata();
 
       return {
+        key,
         data,
         headers: metadata.headers,
         contentType: metadata.contentType,
         statusCode: metadata.statusCode,
+        fresh: options.mode === 'always' || (metadata.freshUntil !== undefined && now < metadata.freshUntil),
       };
     } catch (error: unknown) {
       this.log.error('Error reading from cache:', error);
@@ -130,13 +195,8 @@ class ProxyCache {
     }
   }
 
-  async set(
-    url: string,
-    data: Buffer,
-    options: { headers?: Record<string, string>; contentType?: string; statusCode?: number } = {},
-  ): Promise<void> {
-    const { headers = {}, contentType = '', statusCode = 200 } = options;
-    const key = this.getCacheKey(url, headers);
+  async set(url: string, data: Buffer, options: CacheEntryOptions = {}): Promise<void> {
+    const key = this.getCacheKey(url, options.requestHeaders, options.ignoreQueryParams);
 
     try {
       const cachePath = this.getCachePath(key);
@@ -145,17 +205,7 @@ class ProxyCache {
       await fsPromises.mkdir(cacheDir, { recursive: true });
       await fsPromises.writeFile(cachePath, data);
 
-      const metadata: CacheMetadata = {
-        url,
-        timestamp: Date.now(),
-        lastAccessed: Date.now(),
-        size: data.length,
-        headers: this.sanitizeHeaders(headers),
-        contentType,
-        statusCode,
-      };
-
-      this.metadata.set(key, metadata);
+      this.metadata.set(key, this.buildMetadata(url, data.length, options));
       await this.saveMetadata();
 
       this.log.debug(`Cached resource: ${url} (${data.length} bytes)`);
@@ -164,8 +214,131 @@ class ProxyCache {
     }
   }
 
+  /**
+   * Start a streamed cache write for `url`. The body goes to a temporary file that is
+   * moved into place on commit, so readers never see a partial entry.
+   * Returns null before the cache is initialized.
+   */
+  createWriter(url: string, options: CacheEntryOptions = {}): CacheWriter | null {
+    if (!this.cacheDir) return null;
+
+    const key = this.getCacheKey(url, options.requestHeaders, options.ignoreQueryParams);
+    const tempPath = path.join(this.cacheDir, `${key}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const stream = fs.createWriteStream(tempPath);
+    // Write errors surface through commit()
+    stream.on('error', () => {});
+
+    let settled = false;
+    const discard = () => fsPromises.unlink(tempPath).catch(() => {});
+
+    return {
+      stream,
+      commit: async () => {
+        if (settled) return;
+        settled = true;
+        try {
+          stream.end();
+          await finished(stream);
+          const size = stream.bytesWritten;
+          if (size > this.maxEntrySize) {
+            this.log.debug(`Not caching ${url}: ${size} bytes exceeds the entry limit`);
+            await discard();
+            return;
+          }
+
+          const cachePath = this.getCachePath(key);
+          await fsPromises.mkdir(path.dirname(cachePath), { recursive: true });
+          await fsPromises.rename(tempPath, cachePath);
+
+          this.metadata.set(key, this.buildMetadata(url, size, options));
+          await this.saveMetadata();
+
+          this.log.debug(`Cached resource: ${url} (${size} bytes)`);
+        } catch (error: unknown) {
+          this.log.error('Error writing to cache:', error);
+          await discard();
+        }
+      },
+      abort: () => {
+        if (settled) return;
+        settled = true;
+        if (stream.closed) {
+          void discard();
+        } else {
+          stream.once('close', () => void discard());
+          stream.destroy();
+        }
+      },
+    };
+  }
+
+  private buildMetadata(url: string, size: number, options: CacheEntryOptions): CacheMetadata {
+    const { headers = {}, contentType = '', statusCode = 200, requestHeaders = {} } = options;
+    const now = Date.now();
+    return {
+      url,
+      timestamp: now,
+      lastAccessed: now,
+      size,
+      headers: this.sanitizeHeaders(headers),
+      contentType,
+      statusCode,
+      freshUntil: freshUntil(headers, now),
+      vary: varySnapshot(requestHeaders, headers),
+    };
+  }
+
+  /**
+   * Record that the origin answered a revalidation of `key` with 304 Not Modified:
+   * its headers replace the stored ones and the entry is fresh again for as long as
+   * they say. Returns the updated metadata, or null if the entry has gone.
+   */
+  async refresh(
+    key: string,
+    responseHeaders: Record<string, string | string[] | undefined>,
+  ): Promise<CacheMetadata | null> {
+    const metadata = this.metadata.get(key);
+    if (!metadata) return null;
+
+    const received: Record<string, string> = {};
+    for (const [name, value] of Object.entries(responseHeaders)) {
+      if (value !== undefined) received[name] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    const now = Date.now();
+    const updated: CacheMetadata = {
+      ...metadata,
+      timestamp: now,
+      lastAccessed: now,
+      headers: { ...metadata.headers, ...this.sanitizeHeaders(received) },
+      freshUntil: freshUntil({ ...metadata.headers, ...received }, now),
+    };
+    this.metadata.set(key, updated);
+    await this.saveMetadata();
+    return updated;
+  }
+
+  /** Remove bodies left behind by writes that never committed (e.g. the app quit mid-download) */
+  async removeTempFiles(): Promise<void> {
+    try {
+      const names = await fsPromises.readdir(this.cacheDir);
+      await Promise.all(
+        names.filter((name) => name.endsWith('.tmp')).map((name) => fsPromises.unlink(path.join(this.cacheDir, name))),
+      );
+    } catch (error: unknown) {
+      this.log.warn('Error removing temporary cache files:', error);
+    }
+  }
+
   sanitizeHeaders(headers: Record<string, string>): Record<string, string> {
-    const relevantHeaders = ['content-type', 'content-encoding', 'cache-control', 'etag', 'last-modified'];
+    const relevantHeaders = [
+      'content-type',
+      'content-encoding',
+      'cache-control',
+      'etag',
+      'last-modified',
+      'expires',
+      'vary',
+    ];
 
     const sanitized: Record<string, string> = {};
     for (const [key, value] of Object.entries(headers)) {
@@ -221,6 +394,120 @@ class ProxyCache {
     }
   }
 
+  /** Entries stored within the filter's time range whose URL matches one of its domains, newest first */
+  selectEntries(filter: ProxyCacheExportFilter = {}): Array<[string, CacheMetadata]> {
+    const { domains, since, until } = filter;
+    return Array.from(this.metadata.entries())
+      .filter(
+        ([, metadata]) =>
+          (since === undefined || metadata.timestamp >= since) &&
+          (until === undefined || metadata.timestamp <= until) &&
+          DomainMatcher.matchesAny(metadata.url, domains),
+      )
+      .sort((a, b) => b[1].timestamp - a[1].timestamp);
+  }
+
+  /**
+   * Write the entries matching `filter` to a zip archive at `filePath`: a manifest
+   * with their metadata plus one file per body. Cache keys do not depend on the
+   * machine, so another cache can import the bundle and serve the same requests.
+   */
+  async exportBundle(filePath: string, filter: ProxyCacheExportFilter = {}): Promise<ProxyCacheBundleResult> {
+    const zip = new AdmZip();
+    const entries: Array<{ key: string; metadata: CacheMetadata }> = [];
+    let size = 0;
+    let skipped = 0;
+
+    for (const [key, metadata] of this.selectEntries(filter)) {
+      try {
+        const data = await fsPromises.readFile(this.getCachePath(key));
+        zip.addFile(`entries/${key}`, data);
+        entries.push({ key, metadata: { ...metadata, size: data.length } });
+        size += data.length;
+      } catch (error: unknown) {
+        this.log.warn(`Not exporting ${metadata.url}: its body is missing`, error);
+        skipped++;
+      }
+    }
+
+    const manifest = { format: CACHE_BUNDLE_FORMAT, version: CACHE_BUNDLE_VERSION, exportedAt: Date.now(), entries };
+    zip.addFile(BUNDLE_MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)));
+    await zip.writeZipPromise(filePath);
+
+    this.log.info(`Exported ${entries.length} cache entries (${size} bytes) to ${filePath}`);
+    return { entries: entries.length, size, skipped };
+  }
+
+  /**
+   * Add the entries of a bundle written by `exportBundle` to this cache, replacing
+   * entries with the same key. Invalid entries and bodies over `maxEntrySize` are
+   * skipped; the usual size limit applies afterwards.
+   *
+   * Imported entries count as stored at import time: each keeps the freshness
+   * lifetime the origin gave it, so under `respect-origin` a bundle is served the
+   * way it was on the exporting machine instead of going stale (or past `maxAge`)
+   * on arrival.
+   */
+  async importBundle(filePath: string): Promise<ProxyCacheBundleResult> {
+    if (!this.cacheDir) {
+      throw new Error('Proxy cache is not initialized');
+    }
+
+    const zip = new AdmZip(filePath);
+    const manifestEntry = zip.getEntry(BUNDLE_MANIFEST);
+    const parsed = manifestEntry
+      ? v.safeParse(CacheBundleManifestSchema, parseJson(zip.readAsText(manifestEntry)))
+      : null;
+    if (!parsed?.success) {
+      throw new Error('Not an OpenHeaders proxy cache bundle');
+    }
+
+    let imported = 0;
+    let size = 0;
+    let skipped = 0;
+    const now = Date.now();
+
+    for (const candidate of parsed.output.entries) {
+      const entry = v.safeParse(CacheBundleEntrySchema, candidate);
+      const data = entry.success ? zip.getEntry(`entries/${entry.output.key}`)?.getData() : undefined;
+      if (!entry.success || !data || data.length > this.maxEntrySize) {
+        skipped++;
+        continue;
+      }
+
+      const { key, metadata } = entry.output;
+      const cachePath = this.getCachePath(key);
+      const tempPath = path.join(this.cacheDir, `${key}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+      try {
+        await fsPromises.writeFile(tempPath, data);
+        await fsPromises.mkdir(path.dirname(cachePath), { recursive: true });
+        await fsPromises.rename(tempPath, cachePath);
+      } catch (error: unknown) {
+        this.log.error(`Error importing cache entry for ${metadata.url}:`, error);
+        await fsPromises.unlink(tempPath).catch(() => {});
+        skipped++;
+        continue;
+      }
+
+      // Imported entries count as just stored and used, so eviction takes older local entries first
+      this.metadata.set(key, {
+        ...metadata,
+        size: data.length,
+        timestamp: now,
+        lastAccessed: now,
+        freshUntil: metadata.freshUntil === undefined ? undefined : now + metadata.freshUntil - metadata.timestamp,
+      });
+      imported++;
+      size += data.length;
+    }
+
+    await this.saveMetadata();
+    await this.cleanup();
+
+    this.log.info(`Imported ${imported} cache entries (${size} bytes) from ${filePath}, skipped ${skipped}`);
+    return { entries: imported, size, skipped };
+  }
+
   async getStats(): Promise<CacheStats> {
     let totalSize = 0;
     let totalEntries = 0;
@@ -256,4 +543,12 @@ class ProxyCache {
   }
 }
 
+function parseJson(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
 export { ProxyCache };
@@ -0,0 +1,174 @@
+import crypto from 'node:crypto';
+import type http from 'node:http';
+import type { Readable } from 'node:stream';
+import type { ProxyTrafficEntry, ProxyTrafficRule } from '@/types/proxy';
+import { detectPayloadKind } from './payloadRewriter';
+
+const FLUSH_INTERVAL_MS = 250;
+
+type BodyField = 'requestBody' | 'responseBody';
+
+/** Flatten Node header values to one string per header */
+function flattenHeaders(headers: http.IncomingHttpHeaders | http.OutgoingHttpHeaders): Record<string, string> {
+  const flat: Record<string, string> = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined) continue;
+    flat[name] = Array.isArray(value) ? value.join(', ') : String(value);
+  }
+  return flat;
+}
+
+/**
+ * Bounded in-memory record of the requests passing through the proxy, for the
+ * traffic inspector. Entries are keyed by the client request, so each stage of the
+ * proxy pipeline can annotate the entry of the request it is handling.
+ *
+ * Changes are batched and handed to `onChange`, which pushes them to renderers.
+ */
+class ProxyJournal {
+  maxEntries = 500;
+  captureBodies = false;
+  maxBodySize = 64 * 1024;
+  onChange: ((entries: ProxyTrafficEntry[]) => void) | null = null;
+
+  private entries: ProxyTrafficEntry[] = [];
+  private byRequest = new WeakMap<http.IncomingMessage, ProxyTrafficEntry>();
+  private changed = new Map<string, ProxyTrafficEntry>();
+  private flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+  /**
+   * Start an entry for a proxied request; it completes when `res` finishes or closes.
+   */
+  begin(req: http.IncomingMessage, res: http.ServerResponse, url: string): ProxyTrafficEntry {
+    const entry: ProxyTrafficEntry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      method: req.method || 'GET',
+      url,
+      requestHeaders: flattenHeaders(req.headers),
+      appliedRules: [],
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    this.byRequest.set(req, entry);
+
+    res.once('close', () => {
+      entry.duration = Date.now() - entry.timestamp;
+      if (res.headersSent) entry.statusCode = res.statusCode;
+      if (!res.writableFinished && !entry.error) {
+        entry.error = 'Connection closed before the response completed';
+      }
+      this.touch(entry);
+    });
+
+    this.touch(entry);
+    return entry;
+  }
+
+  /** Merge details into the entry of `req`, if it has one */
+  update(req: http.IncomingMessage, patch: Partial<Omit<ProxyTrafficEntry, 'id' | 'appliedRules'>>): void {
+    const entry = this.byRequest.get(req);
+    if (!entry) return;
+    Object.assign(entry, patch);
+    this.touch(entry);
+  }
+
+  setProxiedHeaders(req: http.IncomingMessage, headers: http.OutgoingHttpHeaders): void {
+    this.update(req, { proxiedHeaders: flattenHeaders(headers) });
+  }
+
+  setResponse(req: http.IncomingMessage, statusCode: number, headers: http.OutgoingHttpHeaders): void {
+    this.update(req, { statusCode, responseHeaders: flattenHeaders(headers) });
+  }
+
+  addRules(req: http.IncomingMessage, rules: ProxyTrafficRule[]): void {
+    const entry = this.byRequest.get(req);
+    if (!entry || rules.length === 0) return;
+    for (const rule of rules) {
+      if (!entry.appliedRules.some((applied) => applied.id === rule.id)) entry.appliedRules.push(rule);
+    }
+    this.touch(entry);
+  }
+
+  /**
+   * Record a text body as it streams past, up to `maxBodySize`. Does nothing unless
+   * body capture is on. Must be called before `stream` starts flowing.
+   */
+  captureBody(
+    req: http.IncomingMessage,
+    field: BodyField,
+    stream: Readable,
+    headers: http.IncomingHttpHeaders | http.OutgoingHttpHeaders,
+  ): void {
+    const entry = this.byRequest.get(req);
+    if (!entry || !this.isCapturable(headers)) return;
+
+    const chunks: Buffer[] = [];
+    let size = 0;
+    stream.on('data', (chunk: Buffer) => {
+      const room = this.maxBodySize - size;
+      if (chunk.length > room) entry.bodyTruncated = true;
+      if (room <= 0) return;
+      const kept = chunk.subarray(0, room);
+      chunks.push(kept);
+      size += kept.length;
+    });
+    stream.once('end', () => {
+      entry[field] = Buffer.concat(chunks).toString('utf8');
+      this.touch(entry);
+    });
+  }
+
+  /** Record a body that is already complete (e.g. served from the cache) */
+  setBody(
+    req: http.IncomingMessage,
+    field: BodyField,
+    body: Buffer,
+    headers: http.IncomingHttpHeaders | http.OutgoingHttpHeaders,
+  ): void {
+    const entry = this.byRequest.get(req);
+    if (!entry || !this.isCapturable(headers)) return;
+    if (body.length > this.maxBodySize) entry.bodyTruncated = true;
+    entry[field] = body.subarray(0, this.maxBodySize).toString('utf8');
+    this.touch(entry);
+  }
+
+  /** Oldest first */
+  getEntries(): ProxyTrafficEntry[] {
+    return this.entries.slice();
+  }
+
+  clear(): void {
+    this.entries = [];
+    this.changed.clear();
+  }
+
+  private isCapturable(headers: http.IncomingHttpHeaders | http.OutgoingHttpHeaders): boolean {
+    if (!this.captureBodies) return false;
+    const encoding = headers['content-encoding'];
+    if (encoding && encoding !== 'identity') return false;
+    return detectPayloadKind(headers['content-type'] as string | undefined) !== null;
+  }
+
+  private touch(entry: ProxyTrafficEntry): void {
+    if (!this.onChange) return;
+    this.changed.set(entry.id, entry);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+    }
+  }
+
+  /** Hand pending changes to `onChange` now */
+  flush(): void {
+    if (this.flushTimer) clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.changed.size === 0) return;
+    const entries = [...this.changed.values()];
+    this.changed.clear();
+    this.onChange?.(entries);
+  }
+}
+
+export { ProxyJournal };
@@ -9,14 +9,29 @@ const { createLogger } = mainLogger;
 
 const fsPromises = fs.promises;
 
-import type { ProxyRule } from '@/types/proxy';
+import type { ProxyFaultRule, ProxyMockRule, ProxyRule } from '@/types/proxy';
 
-export type { ProxyRule } from '@/types/proxy';
+export type { ProxyFaultRule, ProxyMockRule, ProxyRule } from '@/types/proxy';
+
+/** Replace the rule with the same id in place, or append it with a generated id */
+function upsertRule<T extends { id: string }>(rules: T[], rule: T): void {
+  const existingIndex = rules.findIndex((r) => r.id === rule.id);
+  if (existingIndex >= 0) {
+    rules[existingIndex] = rule;
+  } else {
+    rules.push({
+      ...rule,
+      id: rule.id || Date.now().toString(),
+    });
+  }
+}
 
 class ProxyRuleStore {
   private log = createLogger('ProxyRuleStore');
   currentWorkspaceId: string | null = null;
   rules: ProxyRule[] = [];
+  mockRules: ProxyMockRule[] = [];
+  faultRules: ProxyFaultRule[] = [];
 
   /**
    * Set the current workspace ID for workspace-specific rule storage.
@@ -35,6 +50,20 @@ class ProxyRuleStore {
     return path.join(app.getPath('userData'), 'workspaces', this.currentWorkspaceId, 'proxy-rules.json');
   }
 
+  /**
+   * Get the workspace-specific mock rules path, next to the proxy rules.
+   */
+  getMockRulesPath(): string {
+    return path.join(path.dirname(this.getRulesPath()), 'proxy-mock-rules.json');
+  }
+
+  /**
+   * Get the workspace-specific fault rules path, next to the proxy rules.
+   */
+  getFaultRulesPath(): string {
+    return path.join(path.dirname(this.getRulesPath()), 'proxy-fault-rules.json');
+  }
+
   async load(): Promise<void> {
     try {
       const rulesPath = this.getRulesPath();
@@ -50,6 +79,26 @@ class ProxyRuleStore {
       this.log.error('Error loading proxy rules:', error);
       this.rules = [];
     }
+    this.mockRules = await this.readRuleList<ProxyMockRule>(this.getMockRulesPath(), 'mock');
+    this.faultRules = await this.readRuleList<ProxyFaultRule>(this.getFaultRulesPath(), 'fault');
+  }
+
+  /** Read one of the rule lists kept next to the proxy rules; missing or unreadable files mean none */
+  private async readRuleList<T>(filePath: string, kind: string): Promise<T[]> {
+    try {
+      const rules = ((await atomicWriter.readJson(filePath)) as T[] | null) ?? [];
+      this.log.debug(`Loaded ${rules.length} ${kind} rules`);
+      return rules;
+    } catch (error: unknown) {
+      this.log.error(`Error loading ${kind} rules:`, error);
+      return [];
+    }
+  }
+
+  private async writeRuleList(filePath: string, rules: unknown[], kind: string): Promise<void> {
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await atomicWriter.writeJson(filePath, rules, { pretty: true });
+    this.log.debug(`Saved ${rules.length} ${kind} rules to ${filePath}`);
   }
 
   async save(): Promise<void> {
@@ -85,6 +134,34 @@ class ProxyRuleStore {
   getRules(): ProxyRule[] {
     return this.rules;
   }
+
+  async saveMockRule(rule: ProxyMockRule): Promise<void> {
+    upsertRule(this.mockRules, rule);
+    await this.writeRuleList(this.getMockRulesPath(), this.mockRules, 'mock');
+  }
+
+  async deleteMockRule(ruleId: string): Promise<void> {
+    this.mockRules = this.mockRules.filter((r) => r.id !== ruleId);
+    await this.writeRuleList(this.getMockRulesPath(), this.mockRules, 'mock');
+  }
+
+  getMockRules(): ProxyMockRule[] {
+    return this.mockRules;
+  }
+
+  async saveFaultRule(rule: ProxyFaultRule): Promise<void> {
+    upsertRule(this.faultRules, rule);
+    await this.writeRuleList(this.getFaultRulesPath(), this.faultRules, 'fault');
+  }
+
+  async deleteFaultRule(ruleId: string): Promise<void> {
+    this.faultRules = this.faultRules.filter((r) => r.id !== ruleId);
+    await this.writeRuleList(this.getFaultRulesPath(), this.faultRules, 'fault');
+  }
+
+  getFaultRules(): ProxyFaultRule[] {
+    return this.faultRules;
+  }
 }
 
 export { ProxyRuleStore };
@@ -1,25 +1,172 @@
 import crypto from 'node:crypto';
 import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
 import http from 'node:http';
 import https from 'node:https';
-import type net from 'node:net';
+import net from 'node:net';
+import { Readable } from 'node:stream';
 import tls from 'node:tls';
-import type { HeaderRule, Source } from '@openheaders/core';
-import { errorMessage } from '@openheaders/core';
+import type { HeaderRule, PayloadRule, Source } from '@openheaders/core';
+import { errorMessage, getHeaderRuleRank, resolveTemplate } from '@openheaders/core';
+import type {
+  ProxyCAInfo,
+  ProxyCacheBundleResult,
+  ProxyCacheExportFilter,
+  ProxyCacheMode,
+  ProxyCachePolicy,
+  ProxyFaultRule,
+  ProxyFaultStats,
+  ProxyMockRule,
+  ProxyTrafficEntry,
+  ProxyTrafficRule,
+} from '@/types/proxy';
 import mainLogger from '@/utils/mainLogger';
+import { CertificateAuthority } from './CertificateAuthority';
+import {
+  conditionalHeaders,
+  hasValidators,
+  isStorable,
+  requestForbidsStorage,
+  requestsRevalidation,
+} from './cacheSemantics';
 import { DomainMatcher } from './domainMatcher';
-import { ProxyCache } from './ProxyCache';
+import { createSeededRandom, type FaultPlan, planFault, relayWithFaults, shapesResponse } from './faultInjector';
+import { type GeneratorRequest, generateHeaderValue, needsRequestBody } from './headerGenerators';
+import { type CacheLookup, type CacheMetadata, ProxyCache } from './ProxyCache';
+import { ProxyJournal } from './ProxyJournal';
 import { type ProxyRule, ProxyRuleStore } from './ProxyRuleStore';
+import { detectPayloadKind, getApplicablePayloadRules, type PayloadDirection, rewritePayload } from './payloadRewriter';
+import { getRequestInfo, matchesRequestConditions, type RequestInfo } from './requestConditions';
 
 const { createLogger } = mainLogger;
 
 export type { HeaderRule };
 
+type HeaderMap = Record<string, string | string[] | undefined>;
+
+/** Header rules marked as response rules modify the upstream response; everything else the request. */
+function isResponseRule(rule: HeaderRule | ProxyRule): boolean {
+  return 'isResponse' in rule && rule.isResponse === true;
+}
+
+/** How a rule is named in the traffic journal */
+function describeRule(rule: HeaderRule | ProxyRule): ProxyTrafficRule {
+  return { id: rule.id, name: rule.name || ('headerName' in rule && rule.headerName) || rule.id };
+}
+
+function describeMockRule(rule: ProxyMockRule): ProxyTrafficRule {
+  return { id: rule.id, name: rule.name || `Mock ${rule.statusCode}` };
+}
+
+function describeFaultRule(rule: ProxyFaultRule): ProxyTrafficRule {
+  return { id: rule.id, name: rule.name || 'Fault' };
+}
+
+function getRuleRank(rule: HeaderRule | ProxyRule): number {
+  return 'type' in rule ? getHeaderRuleRank(rule) : 0;
+}
+
+/** Requests in the `/https://host/path` form used by the recording player, as opposed to forward-proxy clients. */
+function isUrlPrefixed(req: http.IncomingMessage): boolean {
+  return !!req.url && (req.url.startsWith('/http://') || req.url.startsWith('/https://'));
+}
+
+/** First byte of a TLS ClientHello record */
+const TLS_HANDSHAKE = 0x16;
+
+/** Parse a CONNECT authority (`host:port`, `[v6]:port`) */
+function parseConnectTarget(authority: string | undefined): { hostname: string; port: number } | null {
+  const match = authority?.match(/^(?:\[([^\]]+)]|([^:[\]]+)):(\d{1,5})$/);
+  if (!match) return null;
+  const port = Number(match[3]);
+  if (port < 1 || port > 65535) return null;
+  return { hostname: match[1] ?? match[2], port };
+}
+
+/** Content types for well-known static extensions, which origins often mislabel */
+const CONTENT_TYPE_BY_EXTENSION: Record<string, string> = {
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+};
+
+/** Content type to serve for `targetUrl`, preferring the URL extension over the upstream header. */
+function resolveContentType(targetUrl: string, upstream: string | undefined): string {
+  const urlLower = targetUrl.toLowerCase();
+  // .js and .mjs need special check since .json also ends with .json
+  if (urlLower.endsWith('.js') || urlLower.endsWith('.mjs')) return 'application/javascript';
+  if (urlLower.endsWith('.jpg')) return 'image/jpeg';
+  for (const [ext, type] of Object.entries(CONTENT_TYPE_BY_EXTENSION)) {
+    if (urlLower.endsWith(ext)) return type;
+  }
+  return upstream || 'application/octet-stream';
+}
+
+/** Content type for a mock body that has no Content-Type header of its own */
+function resolveMockContentType(rule: ProxyMockRule, targetUrl: string, body: Buffer): string {
+  if (rule.bodySource === 'file') return resolveContentType(rule.filePath || '', undefined);
+  try {
+    JSON.parse(body.toString('utf8'));
+    return 'application/json';
+  } catch {
+    return resolveContentType(targetUrl, 'text/plain; charset=utf-8');
+  }
+}
+
+const CACHEABLE_TYPES = [
+  'image/',
+  'font/',
+  'text/css',
+  'application/javascript',
+  'application/json',
+  'text/html',
+  'application/font',
+  'application/vnd.ms-fontobject',
+  'application/x-font',
+  'application/x-javascript',
+  'text/javascript',
+];
+
+/** Serialize a response head for writing straight to an upgraded socket */
+function formatResponseHead(statusCode: number, statusMessage: string | undefined, headers: HeaderMap): string {
+  const lines = [`HTTP/1.1 ${statusCode} ${statusMessage || http.STATUS_CODES[statusCode] || ''}`];
+  for (const [name, value] of Object.entries(headers)) {
+    if (value === undefined) continue;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      lines.push(`${name}: ${item}`);
+    }
+  }
+  return `${lines.join('\r\n')}\r\n\r\n`;
+}
+
+/** Cancel the upstream request when the client goes away before its response is complete. */
+function destroyOnClientAbort(res: http.ServerResponse, upstream: http.ClientRequest): void {
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+  });
+}
+
 export interface ProxyStats {
   requestsProcessed: number;
   cacheHits: number;
   cacheMisses: number;
   errors: number;
+  /** WebSocket connections upgraded since the proxy started */
+  webSocketConnections: number;
+  /** WebSocket connections currently open */
+  activeWebSockets: number;
 }
 
 export interface ProxyStatus {
@@ -33,6 +180,9 @@ export interface ProxyStatus {
   strictSSL: boolean;
   trustedCertificates: number;
   certificateExceptions: number;
+  httpsInterception: boolean;
+  /** Keyed by fault rule id */
+  faultStats: Record<string, ProxyFaultStats>;
 }
 
 class ProxyService extends EventEmitter {
@@ -44,11 +194,21 @@ class ProxyService extends EventEmitter {
   isRunning = false;
   private _connections = new Set<net.Socket>();
 
+  // Forward proxy: requests decrypted from CONNECT tunnels are parsed by this
+  // (never listening) server; each tunnel socket maps to the origin it was opened for
+  private interceptServer: http.Server | null = null;
+  private tunnelOrigins = new WeakMap<net.Socket, string>();
+
   // Rule management
   ruleStore = new ProxyRuleStore();
   cache = new ProxyCache();
   cacheEnabled = true;
+  cachePolicies: ProxyCachePolicy[] = [];
+  // Stale entries travel with their request to the origin, to be revalidated or served offline
+  private staleEntries = new WeakMap<http.ServerResponse, { entry: CacheLookup; mode: ProxyCacheMode }>();
+  journal = new ProxyJournal();
   headerRules: HeaderRule[] = [];
+  payloadRules: PayloadRule[] = [];
   sources = new Map<string, string>();
   environmentVariables: Record<string, string> = {};
 
@@ -60,17 +220,30 @@ class ProxyService extends EventEmitter {
   // HTTPS agent
   httpsAgent: https.Agent | null = null;
 
+  // HTTPS interception of CONNECT tunnels, with certificates from the local CA
+  ca = new CertificateAuthority();
+  httpsInterception = false;
+
+  // Fault injection: seeded rules keep their generator between requests, and responses
+  // to be throttled or truncated carry their plan from the request to the relay
+  faultStats = new Map<string, ProxyFaultStats>();
+  private faultRandoms = new Map<string, () => number>();
+  private responseFaults = new WeakMap<http.ServerResponse, FaultPlan>();
+
   // Statistics
   stats: ProxyStats = {
     requestsProcessed: 0,
     cacheHits: 0,
     cacheMisses: 0,
     errors: 0,
+    webSocketConnections: 0,
+    activeWebSockets: 0,
   };
 
   async initialize(): Promise<void> {
     await this.cache.initialize();
     await this.ruleStore.load();
+    await this.ca.initialize();
 
     this.httpsAgent = new https.Agent({
       rejectUnauthorized: this.strictSSL,
@@ -118,6 +291,17 @@ class ProxyService extends EventEmitter {
       this.server = http.createServer((req, res) => {
         this.handleRequest(req, res);
       });
+      this.server.on('connect', (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => {
+        this.handleConnect(req, socket, head);
+      });
+      this.interceptServer = http.createServer((req, res) => {
+        this.handleRequest(req, res);
+      });
+      for (const server of [this.server, this.interceptServer]) {
+        server.on('upgrade', (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => {
+          this.handleUpgrade(req, socket, head);
+        });
+      }
 
       this.server.on('connection', (socket: net.Socket) => {
         this._connections.add(socket);
@@ -179,6 +363,8 @@ class ProxyService extends EventEmitter {
         }
       }
       this._connections.clear();
+      this.interceptServer?.close();
+      this.interceptServer = null;
 
       await new Promise<void>((resolve) => {
         const timeout = setTimeout(() => {
@@ -205,8 +391,27 @@ class ProxyService extends EventEmitter {
     }
   }
 
+  /**
+   * Target URL of a proxied request: URL-prefixed (`/https://host/path`), absolute-form
+   * from a forward-proxy client (`GET http://host/path`), or origin-form inside an
+   * intercepted CONNECT tunnel. Null when the request names no target.
+   */
+  getTargetUrl(req: http.IncomingMessage): string | null {
+    const url = req.url || '';
+    const tunnelOrigin = req.socket ? this.tunnelOrigins.get(req.socket) : undefined;
+    if (tunnelOrigin) {
+      return url.startsWith('/') ? `${tunnelOrigin}${url}` : url;
+    }
+    if (isUrlPrefixed(req)) return url.substring(1);
+    if (url.startsWith('http://') || url.startsWith('https://')) return url;
+    return null;
+  }
+
   async handleRequest(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
-    if (req.method === 'OPTIONS') {
+    const targetUrl = this.getTargetUrl(req);
+
+    // Forward-proxy clients send their own preflights on to the origin
+    if (req.method === 'OPTIONS' && (!targetUrl || isUrlPrefixed(req))) {
       res.writeHead(200, {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
@@ -217,69 +422,497 @@ class ProxyService extends EventEmitter {
       return;
     }
 
-    let targetUrl = req.url || '';
-
-    if (targetUrl.startsWith('/http://') || targetUrl.startsWith('/https://')) {
-      targetUrl = targetUrl.substring(1);
-    }
-
-    if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
+    if (!targetUrl) {
       res.writeHead(400, { 'Content-Type': 'text/plain' });
       res.end('Invalid proxy request. URL must be in format: /http://example.com or /https://example.com');
       return;
     }
 
     this.stats.requestsProcessed++;
+    this.journal.begin(req, res, targetUrl);
+
+    const mockRule = this.findMockRule(targetUrl, req.method);
+    if (mockRule) {
+      await this.serveMock(req, res, targetUrl, mockRule);
+      return;
+    }
 
-    if (req.method === 'GET' && this.cacheEnabled) {
+    const cachePolicy = this.getCachePolicy(targetUrl);
+    // Faults apply to real origin round-trips, so a cached copy must not hide them
+    if (
+      req.method === 'GET' &&
+      this.cacheEnabled &&
+      cachePolicy.mode !== 'never' &&
+      !requestForbidsStorage(req.headers) &&
+      !this.findFaultRule(targetUrl)
+    ) {
       try {
-        const cached = await this.cache.get(targetUrl, req.headers as Record<string, string>);
-        if (cached) {
+        const cached = await this.cache.get(targetUrl, req.headers, cachePolicy);
+        // `always` ignores the client's no-cache too: it exists to keep the origin out of the loop
+        if (cached?.fresh && (cachePolicy.mode === 'always' || !requestsRevalidation(req.headers))) {
           this.stats.cacheHits++;
-          res.writeHead(cached.statusCode || 200, cached.headers);
-          res.end(cached.data);
+          this.serveFromCache(req, res, targetUrl, cached, 'HIT');
           return;
         }
+        if (cached) this.staleEntries.set(res, { entry: cached, mode: cachePolicy.mode });
       } catch (err: unknown) {
         this.log.error('Cache lookup error:', err);
       }
       this.stats.cacheMisses++;
+      this.journal.update(req, { cache: 'MISS' });
     }
 
     this.doProxy(req, res, targetUrl);
   }
 
+  /**
+   * The cache policy for `targetUrl`: the first enabled policy whose domains match,
+   * otherwise the origin's own caching headers decide.
+   */
+  getCachePolicy(targetUrl: string): Pick<ProxyCachePolicy, 'mode' | 'ignoreQueryParams'> {
+    const policy = this.cachePolicies.find(
+      (candidate) =>
+        candidate.enabled !== false &&
+        candidate.domains?.length > 0 &&
+        candidate.domains.every((domain) => this.isFullyResolved(domain)) &&
+        this.matchesDomains(targetUrl, candidate.domains),
+    );
+    return policy ?? { mode: 'respect-origin' };
+  }
+
+  setCachePolicies(policies: ProxyCachePolicy[]): void {
+    this.cachePolicies = policies;
+  }
+
+  /** Answer a request from a stored response, with response rules applied as for a live one. */
+  private serveFromCache(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    targetUrl: string,
+    cached: CacheLookup,
+    outcome: 'HIT' | 'REVALIDATED' | 'STALE',
+  ): void {
+    const headers: HeaderMap = { ...cached.headers };
+    const body = this.rewriteBody(targetUrl, 'response', headers, cached.data) ?? cached.data;
+    const responseRules = this.getApplicableRules(targetUrl, getRequestInfo(req.method, req.headers)).filter(
+      isResponseRule,
+    );
+    this.applyHeaderRules(headers, responseRules);
+    this.journal.update(req, { cache: outcome });
+    this.journal.addRules(req, responseRules.map(describeRule));
+    this.journal.setResponse(req, cached.statusCode || 200, headers);
+    this.journal.setBody(req, 'responseBody', body, headers);
+    res.writeHead(cached.statusCode || 200, headers);
+    res.end(body);
+  }
+
+  /**
+   * The first enabled mock rule answering `method` requests to `targetUrl`. Rules
+   * without domains, or with unresolved variables in them, never match.
+   */
+  findMockRule(targetUrl: string, method: string | undefined): ProxyMockRule | undefined {
+    const requestMethod = (method || 'GET').toUpperCase();
+    return this.ruleStore.getMockRules().find((rule) => {
+      if (!rule.enabled || !rule.domains?.length) return false;
+      if (rule.methods?.length && !rule.methods.includes(requestMethod)) return false;
+      if (!rule.domains.every((domain) => this.isFullyResolved(domain))) return false;
+      return this.matchesDomains(targetUrl, rule.domains);
+    });
+  }
+
+  /**
+   * Answer a request from a mock rule without contacting the origin. Response header
+   * rules still apply, as they would to the real endpoint.
+   */
+  private async serveMock(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    targetUrl: string,
+    rule: ProxyMockRule,
+  ): Promise<void> {
+    req.resume();
+    this.journal.addRules(req, [describeMockRule(rule)]);
+
+    let body: Buffer;
+    try {
+      body = await this.readMockBody(rule);
+    } catch (err: unknown) {
+      this.log.error(`Mock rule ${rule.id} has no readable body:`, err);
+      this.stats.errors++;
+      this.journal.update(req, { error: errorMessage(err) });
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Mock Error: ${errorMessage(err)}`);
+      return;
+    }
+
+    const headers: HeaderMap = isUrlPrefixed(req) ? { 'access-control-allow-origin': '*' } : {};
+    for (const header of rule.headers ?? []) {
+      if (header.name) headers[header.name.toLowerCase()] = this.resolveEnvironmentVariables(header.value);
+    }
+    if (!headers['content-type'] && body.length > 0) {
+      headers['content-type'] = resolveMockContentType(rule, targetUrl, body);
+    }
+    if (rule.statusCode !== 204 && rule.statusCode !== 304) {
+      headers['content-length'] = String(body.length);
+    }
+    headers['x-proxy-mock'] = rule.id;
+    this.applyResponseHeaderRules(headers, req, targetUrl);
+
+    this.journal.setResponse(req, rule.statusCode, headers);
+    this.journal.setBody(req, 'responseBody', body, headers);
+    res.writeHead(rule.statusCode, headers);
+    res.end(body);
+  }
+
+  private async readMockBody(rule: ProxyMockRule): Promise<Buffer> {
+    switch (rule.bodySource) {
+      case 'file':
+        if (!rule.filePath) throw new Error('No body file configured');
+        return await fs.promises.readFile(rule.filePath);
+      case 'template':
+        // Resolved per request, so {{now()}} and {{uuid()}} are fresh each time
+        return Buffer.from(this.resolveEnvironmentVariables(rule.body || ''));
+      default:
+        return Buffer.from(rule.body || '');
+    }
+  }
+
+  /**
+   * CONNECT from a forward-proxy client. With HTTPS interception on (and a CA generated)
+   * TLS is terminated here with a certificate for the host, so rules apply to the
+   * requests inside; otherwise bytes are relayed to the origin untouched.
+   */
+  handleConnect(req: http.IncomingMessage, clientSocket: net.Socket, head: Buffer): void {
+    const target = parseConnectTarget(req.url);
+    clientSocket.on('error', (err) => this.log.debug(`Tunnel client error for ${req.url}: ${err.message}`));
+
+    if (!target) {
+      clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    if (!this.httpsInterception || !this.ca.hasCA()) {
+      this.openTunnel(clientSocket, target, head, false);
+      return;
+    }
+
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    const intercept = (data: Buffer) => {
+      // Only TLS is intercepted; anything else (e.g. ws:// through a tunnel) is relayed
+      if (data[0] === TLS_HANDSHAKE) {
+        clientSocket.unshift(data);
+        this.interceptTls(clientSocket, target).catch((err: unknown) => {
+          this.log.error(`HTTPS interception failed for ${target.hostname}:`, err);
+          this.stats.errors++;
+          clientSocket.destroy();
+        });
+      } else {
+        this.openTunnel(clientSocket, target, data, true);
+      }
+    };
+
+    if (head.length > 0) {
+      intercept(head);
+    } else {
+      clientSocket.once('data', (data: Buffer) => {
+        clientSocket.pause();
+        intercept(data);
+      });
+    }
+  }
+
+  /** Relay a CONNECT tunnel to the origin without looking inside it */
+  private openTunnel(
+    clientSocket: net.Socket,
+    target: { hostname: string; port: number },
+    head: Buffer,
+    established: boolean,
+  ): void {
+    let connected = false;
+    const upstream = net.connect(target.port, target.hostname, () => {
+      connected = true;
+      if (!established) clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+      clientSocket.resume();
+    });
+    this._connections.add(upstream);
+
+    upstream.on('error', (err) => {
+      this.log.warn(`Tunnel to ${target.hostname}:${target.port} failed: ${err.message}`);
+      this.stats.errors++;
+      if (!established && !connected) {
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      } else {
+        clientSocket.destroy();
+      }
+    });
+    upstream.once('close', () => {
+      this._connections.delete(upstream);
+      clientSocket.destroy();
+    });
+    clientSocket.once('close', () => upstream.destroy());
+  }
+
+  /**
+   * WebSocket (or other protocol) upgrade. Header rules apply to the handshake like to
+   * any request; once the origin switches protocols, frames are relayed untouched.
+   * Targets are URL-prefixed (`/wss://host/path`, `/https://host/path`), absolute-form,
+   * or origin-form inside an intercepted tunnel.
+   */
+  handleUpgrade(req: http.IncomingMessage, clientSocket: net.Socket, head: Buffer): void {
+    clientSocket.on('error', (err) => this.log.debug(`WebSocket client error for ${req.url}: ${err.message}`));
+
+    const prefixedWs = req.url?.match(/^\/(wss?):\/\/(.*)$/);
+    const targetUrl = prefixedWs
+      ? `${prefixedWs[1] === 'wss' ? 'https' : 'http'}://${prefixedWs[2]}`
+      : this.getTargetUrl(req);
+    if (!targetUrl) {
+      clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    // Runs inside the server's 'upgrade' listener, where a throw would crash the main process
+    let parsedUrl: URL;
+    try {
+      parsedUrl = new URL(targetUrl);
+    } catch {
+      this.log.debug(`Rejecting upgrade with invalid target: ${req.url}`);
+      clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+    const requestPath = parsedUrl.pathname + parsedUrl.search;
+    const rules = this.getApplicableRules(targetUrl, getRequestInfo(req.method, req.headers));
+
+    const proxyHeaders: HeaderMap = { ...req.headers };
+    delete proxyHeaders.host;
+    delete proxyHeaders['proxy-connection'];
+    delete proxyHeaders['proxy-authorization'];
+    this.applyHeaderRules(
+      proxyHeaders,
+      rules.filter((rule) => !isResponseRule(rule)),
+      { method: req.method || 'GET', path: requestPath, body: Buffer.alloc(0) },
+    );
+    proxyHeaders.host = parsedUrl.host || undefined;
+
+    this.stats.requestsProcessed++;
+    const secure = parsedUrl.protocol === 'https:';
+    const proxyReq = (secure ? https : http).request({
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port,
+      path: requestPath,
+      method: req.method,
+      headers: proxyHeaders,
+      // Same TLS verification (strict SSL, trusted certificates) as proxied requests
+      agent: secure ? this.httpsAgent || undefined : undefined,
+    });
+    const cancel = () => proxyReq.destroy();
+    clientSocket.once('close', cancel);
+
+    proxyReq.on('upgrade', (proxyRes: http.IncomingMessage, upstream: net.Socket, upstreamHead: Buffer) => {
+      clientSocket.removeListener('close', cancel);
+      if (clientSocket.destroyed) {
+        upstream.destroy();
+        return;
+      }
+
+      const responseHeaders: HeaderMap = { ...proxyRes.headers };
+      this.applyResponseHeaderRules(responseHeaders, req, targetUrl);
+      clientSocket.write(formatResponseHead(proxyRes.statusCode || 101, proxyRes.statusMessage, responseHeaders));
+      if (upstreamHead.length > 0) clientSocket.write(upstreamHead);
+      if (head.length > 0) upstream.write(head);
+
+      this.stats.webSocketConnections++;
+      this.stats.activeWebSockets++;
+      this._connections.add(upstream);
+      this.log.debug(`[${requestId}] WebSocket connected to ${targetUrl}`);
+
+      upstream.on('error', (err) => this.log.debug(`[${requestId}] WebSocket upstream error: ${err.message}`));
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+      upstream.once('close', () => {
+        this._connections.delete(upstream);
+        this.stats.activeWebSockets--;
+        clientSocket.destroy();
+      });
+      clientSocket.once('close', () => upstream.destroy());
+    });
+
+    // The origin declined to switch protocols: relay its answer and close
+    proxyReq.on('response', (proxyRes: http.IncomingMessage) => {
+      const responseHeaders: HeaderMap = { ...proxyRes.headers, connection: 'close' };
+      delete responseHeaders['transfer-encoding'];
+      this.applyResponseHeaderRules(responseHeaders, req, targetUrl);
+      clientSocket.write(formatResponseHead(proxyRes.statusCode || 502, proxyRes.statusMessage, responseHeaders));
+      proxyRes.pipe(clientSocket);
+    });
+
+    proxyReq.on('error', (err) => {
+      if (clientSocket.destroyed) return;
+      this.log.error(`[${requestId}] WebSocket handshake error:`, err);
+      this.stats.errors++;
+      clientSocket.end(`HTTP/1.1 502 Bad Gateway\r\nContent-Type: text/plain\r\n\r\nProxy Error: ${err.message}`);
+    });
+
+    proxyReq.end();
+  }
+
+  /** Terminate TLS on a tunnel and hand the decrypted requests to handleRequest() */
+  private async interceptTls(clientSocket: net.Socket, target: { hostname: string; port: number }): Promise<void> {
+    const secureContext = await this.ca.getSecureContext(target.hostname);
+    if (!this.interceptServer || clientSocket.destroyed) {
+      clientSocket.destroy();
+      return;
+    }
+
+    const tlsSocket = new tls.TLSSocket(clientSocket, {
+      isServer: true,
+      secureContext,
+      ALPNProtocols: ['http/1.1'],
+      // Clients may name a different host in SNI than in CONNECT (e.g. CONNECT by IP)
+      SNICallback: (servername, callback) => {
+        this.ca.getSecureContext(servername).then(
+          (context) => callback(null, context),
+          (err: Error) => callback(err),
+        );
+      },
+    });
+    tlsSocket.on('error', (err) => {
+      this.log.debug(`TLS error on intercepted tunnel to ${target.hostname}: ${err.message}`);
+    });
+
+    const host = target.hostname.includes(':') ? `[${target.hostname}]` : target.hostname;
+    this.tunnelOrigins.set(tlsSocket, target.port === 443 ? `https://${host}` : `https://${host}:${target.port}`);
+    this.interceptServer.emit('connection', tlsSocket);
+  }
+
+  /**
+   * The first enabled fault rule for `targetUrl`. Rules without domains, or with
+   * unresolved variables in them, never match.
+   */
+  findFaultRule(targetUrl: string): ProxyFaultRule | undefined {
+    return this.ruleStore.getFaultRules().find((rule) => {
+      if (!rule.enabled || !rule.domains?.length) return false;
+      if (!rule.domains.every((domain) => this.isFullyResolved(domain))) return false;
+      return this.matchesDomains(targetUrl, rule.domains);
+    });
+  }
+
+  /** Forward a request to the origin, through the matching fault rule if there is one. */
   doProxy(req: http.IncomingMessage, res: http.ServerResponse, targetUrl: string): void {
+    const rule = this.findFaultRule(targetUrl);
+    if (!rule) {
+      this.forward(req, res, targetUrl);
+      return;
+    }
+
+    const plan = planFault(rule, this.faultRandom(rule));
+    this.recordFault(rule.id, plan);
+    this.journal.addRules(req, [describeFaultRule(rule)]);
+
+    const act = () => {
+      if (res.destroyed) return;
+      if (plan.reset) {
+        this.journal.update(req, { error: 'Connection reset by fault rule' });
+        req.socket.destroy();
+        return;
+      }
+      if (plan.errorStatus !== null) {
+        req.resume();
+        const headers: HeaderMap = {
+          'content-type': 'text/plain',
+          'x-proxy-fault': rule.id,
+          ...(isUrlPrefixed(req) && { 'access-control-allow-origin': '*' }),
+        };
+        this.journal.setResponse(req, plan.errorStatus, headers);
+        res.writeHead(plan.errorStatus, headers);
+        res.end(`Injected fault: ${plan.errorStatus} ${http.STATUS_CODES[plan.errorStatus] || ''}`.trim());
+        return;
+      }
+      if (shapesResponse(plan)) this.responseFaults.set(res, plan);
+      this.forward(req, res, targetUrl);
+    };
+
+    if (plan.delayMs <= 0) {
+      act();
+      return;
+    }
+    const timer = setTimeout(act, plan.delayMs);
+    res.once('close', () => clearTimeout(timer));
+  }
+
+  /** Seeded rules draw from one generator per rule so their outcomes repeat; the rest use Math.random. */
+  private faultRandom(rule: ProxyFaultRule): () => number {
+    if (rule.seed === undefined || rule.seed === null) return Math.random;
+    let random = this.faultRandoms.get(rule.id);
+    if (!random) {
+      random = createSeededRandom(rule.seed);
+      this.faultRandoms.set(rule.id, random);
+    }
+    return random;
+  }
+
+  private recordFault(ruleId: string, plan: FaultPlan): void {
+    const stats = this.faultStats.get(ruleId) ?? {
+      hits: 0,
+      delayed: 0,
+      errors: 0,
+      resets: 0,
+      throttled: 0,
+      truncated: 0,
+    };
+    stats.hits++;
+    if (plan.delayMs > 0) stats.delayed++;
+    if (plan.reset) stats.resets++;
+    if (plan.errorStatus !== null) stats.errors++;
+    if (!plan.reset && plan.errorStatus === null) {
+      if (plan.bytesPerSecond !== null) stats.throttled++;
+      if (plan.truncateAfter !== null) stats.truncated++;
+    }
+    this.faultStats.set(ruleId, stats);
+  }
+
+  private forward(req: http.IncomingMessage, res: http.ServerResponse, targetUrl: string): void {
     const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
     const parsedUrl = new URL(targetUrl);
-    const rules = this.getApplicableRules(targetUrl);
+    const rules = this.getApplicableRules(targetUrl, getRequestInfo(req.method, req.headers));
 
-    const proxyHeaders: Record<string, string | string[] | undefined> = { ...req.headers };
+    const proxyHeaders: HeaderMap = { ...req.headers };
     delete proxyHeaders.host;
     delete proxyHeaders['accept-encoding'];
+    // Addressed to this proxy, not the origin
+    delete proxyHeaders['proxy-connection'];
+    delete proxyHeaders['proxy-authorization'];
+
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+    const requestRules = rules.filter((rule) => !isResponseRule(rule));
+    const generatorRequest: GeneratorRequest = {
+      method: req.method || 'GET',
+      path: parsedUrl.pathname + parsedUrl.search,
+      ...(!hasBody && { body: Buffer.alloc(0) }),
+    };
 
-    rules.forEach((rule) => {
-      if (rule.headerName) {
-        const resolvedHeaderName = this.resolveEnvironmentVariables(rule.headerName);
-        let resolvedValue = this.resolveHeaderValue(rule.headerValue, rule);
-
-        if (rule.isDynamic && resolvedValue) {
-          const prefix = this.resolveEnvironmentVariables(rule.prefix || '');
-          const suffix = this.resolveEnvironmentVariables(rule.suffix || '');
-          resolvedValue = `${prefix}${resolvedValue}${suffix}`;
-        }
+    this.applyHeaderRules(proxyHeaders, requestRules, generatorRequest);
 
-        if (resolvedValue || !rule.isDynamic) {
-          const headerNameLower = resolvedHeaderName.toLowerCase();
-          proxyHeaders[headerNameLower] = resolvedValue;
-        }
-      }
-    });
+    const stale = this.staleEntries.get(res);
+    if (stale) Object.assign(proxyHeaders, conditionalHeaders(stale.entry.headers));
 
     proxyHeaders.host = parsedUrl.host || undefined;
+    this.journal.setProxiedHeaders(req, proxyHeaders);
+    this.journal.addRules(req, requestRules.map(describeRule));
 
     const protocol = parsedUrl.protocol === 'https:' ? https : http;
 
+    // Request bodies are only buffered when a payload rule could rewrite them or a rule signs them
+    const rewriteRequestBody =
+      hasBody &&
+      getApplicablePayloadRules(this.payloadRules, targetUrl, 'request').length > 0 &&
+      detectPayloadKind(proxyHeaders['content-type'] as string | undefined) !== null;
+    const signingRules = hasBody ? requestRules.filter((rule) => needsRequestBody(rule.generator)) : [];
+
     const proxyReq = protocol.request(
       {
         hostname: parsedUrl.hostname,
@@ -295,19 +928,53 @@ class ProxyService extends EventEmitter {
     );
 
     proxyReq.on('error', (err) => {
+      if (res.destroyed) return;
+      if (stale?.mode === 'offline-first' && !res.headersSent) {
+        this.log.debug(`[${requestId}] Origin unreachable, serving stale copy of ${targetUrl}: ${err.message}`);
+        this.serveFromCache(req, res, targetUrl, stale.entry, 'STALE');
+        return;
+      }
       this.log.error(`[${requestId}] Proxy request error:`, err);
       this.stats.errors++;
+      this.journal.update(req, { error: err.message });
       if (!res.headersSent) {
         res.writeHead(502, { 'Content-Type': 'text/plain' });
         res.end(`Proxy Error: ${err.message}`);
+      } else {
+        res.destroy();
       }
     });
+    destroyOnClientAbort(res, proxyReq);
+    this.journal.captureBody(req, 'requestBody', req, req.headers);
+
+    if (!rewriteRequestBody && signingRules.length === 0) {
+      req.pipe(proxyReq);
+      return;
+    }
 
+    const requestChunks: Buffer[] = [];
     req.on('data', (chunk) => {
-      proxyReq.write(chunk);
+      requestChunks.push(chunk);
     });
     req.on('end', () => {
-      proxyReq.end();
+      const original = Buffer.concat(requestChunks);
+      const rewritten = rewriteRequestBody ? this.rewriteBody(targetUrl, 'request', proxyHeaders, original) : null;
+      if (rewritten) {
+        proxyReq.setHeader('content-length', String(rewritten.length));
+        proxyReq.removeHeader('transfer-encoding');
+      }
+      const body = rewritten ?? original;
+
+      // Signatures cover the body as forwarded, so these rules are applied last
+      if (signingRules.length > 0) {
+        const before = { ...proxyHeaders };
+        this.applyHeaderRules(proxyHeaders, signingRules, { ...generatorRequest, body });
+        for (const [name, value] of Object.entries(proxyHeaders)) {
+          if (value !== undefined && value !== before[name]) proxyReq.setHeader(name, value);
+        }
+        this.journal.setProxiedHeaders(req, proxyHeaders);
+      }
+      proxyReq.end(body);
     });
   }
 
@@ -322,35 +989,58 @@ class ProxyService extends EventEmitter {
       this.log.warn(`[${requestId}] Response error: ${proxyRes.statusCode} for ${targetUrl}`);
     }
 
-    if ((proxyRes.statusCode || 0) >= 300 && (proxyRes.statusCode || 0) < 400 && proxyRes.headers.location) {
+    // The origin confirmed the stale copy sent for revalidation
+    const stale = this.staleEntries.get(res);
+    if (stale && proxyRes.statusCode === 304 && hasValidators(stale.entry.headers)) {
+      proxyRes.resume();
+      void this.cache
+        .refresh(stale.entry.key, proxyRes.headers)
+        .catch((err: unknown): CacheMetadata | null => {
+          this.log.error('Failed to refresh cache entry:', err);
+          return null;
+        })
+        .then((metadata) => {
+          if (res.destroyed) return;
+          this.serveFromCache(
+            req,
+            res,
+            targetUrl,
+            { ...stale.entry, headers: metadata?.headers ?? stale.entry.headers },
+            'REVALIDATED',
+          );
+        });
+      return;
+    }
+
+    const urlPrefixed = isUrlPrefixed(req);
+
+    // The recording player cannot follow redirects for static resources; forward-proxy clients can
+    if (
+      urlPrefixed &&
+      (proxyRes.statusCode || 0) >= 300 &&
+      (proxyRes.statusCode || 0) < 400 &&
+      proxyRes.headers.location
+    ) {
       const locationUrl = proxyRes.headers.location;
       const isStaticResource = targetUrl.match(
         /\.(woff2?|ttf|otf|eot|js|mjs|css|png|jpg|jpeg|gif|webp|svg|ico)(\?|$)/i,
       );
 
       if (isStaticResource) {
-        const rules = this.getApplicableRules(targetUrl);
-        const proxyHeaders: Record<string, string | string[] | undefined> = { ...req.headers };
+        const rules = this.getApplicableRules(targetUrl, getRequestInfo('GET', req.headers));
+        const proxyHeaders: HeaderMap = { ...req.headers };
         delete proxyHeaders.host;
         delete proxyHeaders['accept-encoding'];
 
-        rules.forEach((rule) => {
-          if (rule.headerName) {
-            const resolvedHeaderName = this.resolveEnvironmentVariables(rule.headerName);
-            let resolvedValue = this.resolveHeaderValue(rule.headerValue, rule);
-            if (rule.isDynamic && resolvedValue) {
-              const prefix = this.resolveEnvironmentVariables(rule.prefix || '');
-              const suffix = this.resolveEnvironmentVariables(rule.suffix || '');
-              resolvedValue = `${prefix}${resolvedValue}${suffix}`;
-            }
-            if (resolvedValue || !rule.isDynamic) {
-              proxyHeaders[resolvedHeaderName.toLowerCase()] = resolvedValue;
-            }
-          }
-        });
-
         const redirectUrl = new URL(locationUrl, targetUrl).href;
         const parsedRedirectUrl = new URL(redirectUrl);
+
+        this.applyHeaderRules(
+          proxyHeaders,
+          rules.filter((rule) => !isResponseRule(rule)),
+          { method: 'GET', path: parsedRedirectUrl.pathname + parsedRedirectUrl.search, body: Buffer.alloc(0) },
+        );
+
         proxyHeaders.host = parsedRedirectUrl.host || undefined;
 
         const redirectProtocol = parsedRedirectUrl.protocol === 'https:' ? https : http;
@@ -370,125 +1060,229 @@ class ProxyService extends EventEmitter {
         );
 
         redirectReq.on('error', (err) => {
+          if (res.destroyed) return;
           this.log.error(`[${requestId}] Redirect request error:`, err);
           if (!res.headersSent) {
             res.writeHead(502, { 'Content-Type': 'text/plain' });
             res.end(`Proxy Error: ${err.message}`);
+          } else {
+            res.destroy();
           }
         });
+        destroyOnClientAbort(res, redirectReq);
 
         redirectReq.end();
         return;
       }
     }
 
-    const chunks: Buffer[] = [];
+    this.journal.captureBody(req, 'responseBody', proxyRes, proxyRes.headers);
 
-    proxyRes.on('data', (chunk) => {
-      chunks.push(chunk);
-    });
+    const statusCode = proxyRes.statusCode || 200;
+    const contentType = resolveContentType(targetUrl, proxyRes.headers['content-type']);
+    const responseHeaders: HeaderMap = {
+      ...proxyRes.headers,
+      'content-type': contentType,
+      ...(urlPrefixed && { 'access-control-allow-origin': '*' }),
+      'x-proxy-cache': 'MISS',
+    };
 
-    proxyRes.on('end', async () => {
-      const buffer = Buffer.concat(chunks);
+    // Keep URL-prefixed clients on the proxy across redirects
+    if (urlPrefixed && statusCode >= 300 && statusCode < 400 && proxyRes.headers.location) {
+      const locationUrl = proxyRes.headers.location;
+      if (locationUrl.startsWith('http://') || locationUrl.startsWith('https://')) {
+        responseHeaders.location = `http://localhost:${this.port}/${locationUrl}`;
+      } else if (locationUrl.startsWith('//')) {
+        responseHeaders.location = `http://localhost:${this.port}/https:${locationUrl}`;
+      }
+    }
 
-      if (targetUrl.match(/\.(woff2?|ttf|otf|eot|js|mjs|css|png|jpg|jpeg|gif|webp|svg|ico)$/i)) {
-        const firstBytes = buffer.subarray(0, 50).toString('utf8').toLowerCase();
+    const responseFault = this.responseFaults.get(res);
+    const cachePolicy = this.getCachePolicy(targetUrl);
+    // A throttled or truncated response is not the origin's, so it is never cached
+    const cacheable =
+      !responseFault &&
+      this.cacheEnabled &&
+      req.method === 'GET' &&
+      statusCode >= 200 &&
+      statusCode < 300 &&
+      CACHEABLE_TYPES.some((type) => contentType.includes(type)) &&
+      isStorable(cachePolicy.mode, req.headers, proxyRes.headers);
+    // The cache always holds the upstream body and headers, before any rule is applied
+    const cacheOptions = {
+      headers: { ...responseHeaders } as Record<string, string>,
+      contentType,
+      statusCode,
+      requestHeaders: req.headers,
+      ignoreQueryParams: cachePolicy.ignoreQueryParams,
+    };
+
+    if (targetUrl.match(/\.(woff2?|ttf|otf|eot|js|mjs|css|png|jpg|jpeg|gif|webp|svg|ico)$/i)) {
+      proxyRes.once('data', (chunk: Buffer) => {
+        const firstBytes = chunk.subarray(0, 50).toString('utf8').toLowerCase();
         if (firstBytes.includes('<!') || firstBytes.includes('<html') || firstBytes.includes('doctype')) {
-          this.log.error(`Resource returned HTML instead of expected type: ${targetUrl} (${proxyRes.statusCode})`, {
-            firstBytes: firstBytes.substring(0, 50),
+          this.log.error(`Resource returned HTML instead of expected type: ${targetUrl} (${statusCode})`, {
+            firstBytes,
             location: proxyRes.headers.location || 'no location header',
           });
         }
-      }
+      });
+    }
 
-      let contentType = (proxyRes.headers['content-type'] as string) || 'application/octet-stream';
-      const urlLower = targetUrl.toLowerCase();
-
-      const contentTypeMap: Record<string, string> = {
-        '.woff2': 'font/woff2',
-        '.woff': 'font/woff',
-        '.ttf': 'font/ttf',
-        '.otf': 'font/otf',
-        '.eot': 'application/vnd.ms-fontobject',
-        '.css': 'text/css',
-        '.html': 'text/html',
-        '.htm': 'text/html',
-        '.json': 'application/json',
-        '.svg': 'image/svg+xml',
-        '.png': 'image/png',
-        '.jpeg': 'image/jpeg',
-        '.gif': 'image/gif',
-        '.webp': 'image/webp',
-        '.ico': 'image/x-icon',
-      };
-      // .js and .mjs need special check since .json also ends with .json
-      if (urlLower.endsWith('.js') || urlLower.endsWith('.mjs')) {
-        contentType = 'application/javascript';
-      } else if (urlLower.endsWith('.jpg')) {
-        contentType = 'image/jpeg';
-      } else {
-        for (const [ext, type] of Object.entries(contentTypeMap)) {
-          if (urlLower.endsWith(ext)) {
-            contentType = type;
-            break;
-          }
-        }
-      }
+    proxyRes.on('error', (err) => {
+      this.log.debug(`[${requestId}] Upstream response error:`, err);
+    });
 
-      const responseHeaders: Record<string, string | string[] | undefined> = {
-        ...proxyRes.headers,
-        'content-type': contentType,
-        'access-control-allow-origin': '*',
-        'x-proxy-cache': 'MISS',
-      };
-
-      if ((proxyRes.statusCode || 0) >= 300 && (proxyRes.statusCode || 0) < 400 && proxyRes.headers.location) {
-        const locationUrl = proxyRes.headers.location;
-        if (locationUrl.startsWith('http://') || locationUrl.startsWith('https://')) {
-          responseHeaders.location = `http://localhost:${this.port}/${locationUrl}`;
-        } else if (locationUrl.startsWith('//')) {
-          responseHeaders.location = `http://localhost:${this.port}/https:${locationUrl}`;
+    const encoding = proxyRes.headers['content-encoding'];
+    const rewritable =
+      (!encoding || encoding === 'identity') &&
+      detectPayloadKind(contentType) !== null &&
+      getApplicablePayloadRules(this.payloadRules, targetUrl, 'response').length > 0;
+
+    // Payload rules are the only reason to hold a whole body in memory
+    if (rewritable) {
+      const chunks: Buffer[] = [];
+      proxyRes.on('data', (chunk: Buffer) => {
+        chunks.push(chunk);
+      });
+      proxyRes.on('end', async () => {
+        const buffer = Buffer.concat(chunks);
+        if (cacheable && buffer.length <= this.cache.maxEntrySize) {
+          await this.cache.set(targetUrl, buffer, cacheOptions).catch((err: unknown) => {
+            this.log.error('Failed to cache response:', err);
+          });
+        }
+        const body = this.rewriteBody(targetUrl, 'response', responseHeaders, buffer) ?? buffer;
+        if (responseHeaders['content-length'] !== undefined) {
+          // The body is sent whole, so the upstream framing no longer applies
+          delete responseHeaders['transfer-encoding'];
+        }
+        this.applyResponseHeaderRules(responseHeaders, req, targetUrl);
+        this.journal.setResponse(req, statusCode, responseHeaders);
+        res.writeHead(statusCode, responseHeaders);
+        if (responseFault) {
+          relayWithFaults(Readable.from([body]), res, responseFault);
+        } else {
+          res.end(body);
         }
+      });
+      return;
+    }
+
+    const contentLength = Number(proxyRes.headers['content-length']);
+    const cacheWriter =
+      cacheable && !(contentLength > this.cache.maxEntrySize) ? this.cache.createWriter(targetUrl, cacheOptions) : null;
+
+    this.applyResponseHeaderRules(responseHeaders, req, targetUrl);
+    this.journal.setResponse(req, statusCode, responseHeaders);
+    res.writeHead(statusCode, responseHeaders);
+
+    if (responseFault) {
+      relayWithFaults(proxyRes, res, responseFault);
+    } else if (!cacheWriter) {
+      proxyRes.pipe(res);
+    } else {
+      // Tee to disk; the client response ends once the entry is committed so the next request can hit it
+      proxyRes.pipe(cacheWriter.stream);
+      proxyRes.pipe(res, { end: false });
+      proxyRes.on('end', async () => {
+        await cacheWriter.commit();
+        res.end();
+      });
+    }
+
+    proxyRes.on('close', () => {
+      if (proxyRes.complete) return;
+      // Upstream went away mid-body: never cache or pass off a truncated response as complete
+      cacheWriter?.abort();
+      res.destroy();
+    });
+  }
+
+  /** Apply the response header rules matching `targetUrl` to `headers` in place. */
+  private applyResponseHeaderRules(headers: HeaderMap, req: http.IncomingMessage, targetUrl: string): void {
+    const rules = this.getApplicableRules(targetUrl, getRequestInfo(req.method, req.headers)).filter(isResponseRule);
+    const parsedTargetUrl = new URL(targetUrl);
+    this.applyHeaderRules(headers, rules, {
+      method: req.method || 'GET',
+      path: parsedTargetUrl.pathname + parsedTargetUrl.search,
+    });
+    this.journal.addRules(req, rules.map(describeRule));
+  }
+
+  /**
+   * Apply header rules to a lowercased header map in place, honouring each rule's operation.
+   * 'append' joins onto a value already present ('; ' for Cookie, ', ' otherwise) and adds
+   * another Set-Cookie line rather than merging cookies.
+   *
+   * Generator rules compute their value from `request`; they are skipped without one,
+   * and signing rules are skipped until the request body is known.
+   */
+  applyHeaderRules(headers: HeaderMap, rules: (HeaderRule | ProxyRule)[], request?: GeneratorRequest): void {
+    rules.forEach((rule) => {
+      if (!rule.headerName) return;
+
+      const headerNameLower = this.resolveEnvironmentVariables(rule.headerName).toLowerCase();
+      const operation = rule.operation || 'set';
+
+      if (operation === 'remove') {
+        delete headers[headerNameLower];
+        return;
       }
 
-      if (
-        req.method === 'GET' &&
-        (proxyRes.statusCode || 0) >= 200 &&
-        (proxyRes.statusCode || 0) < 300 &&
-        this.cacheEnabled
-      ) {
-        const cacheableTypes = [
-          'image/',
-          'font/',
-          'text/css',
-          'application/javascript',
-          'application/json',
-          'text/html',
-          'application/font',
-          'application/vnd.ms-fontobject',
-          'application/x-font',
-          'application/x-javascript',
-          'text/javascript',
-        ];
-        const shouldCache = cacheableTypes.some((type) => contentType?.includes(type));
-        if (shouldCache) {
-          await this.cache
-            .set(targetUrl, buffer, {
-              headers: responseHeaders as Record<string, string>,
-              contentType,
-              statusCode: proxyRes.statusCode || 200,
-            })
-            .catch((err: unknown) => {
-              this.log.error('Failed to cache response:', err);
-            });
-        }
+      const { generator } = rule;
+      if (generator && (!request || (needsRequestBody(generator) && !request.body))) return;
+
+      let resolvedValue =
+        generator && request
+          ? generateHeaderValue(generator, request, this.resolveEnvironmentVariables(generator.secret || ''))
+          : this.resolveHeaderValue(rule.headerValue, rule);
+      const isComputed = rule.isDynamic || !!generator;
+      if (isComputed && resolvedValue) {
+        const prefix = this.resolveEnvironmentVariables(rule.prefix || '');
+        const suffix = this.resolveEnvironmentVariables(rule.suffix || '');
+        resolvedValue = `${prefix}${resolvedValue}${suffix}`;
       }
+      if (!resolvedValue && isComputed) return;
 
-      res.writeHead(proxyRes.statusCode || 200, responseHeaders);
-      res.end(buffer);
+      const existing = headers[headerNameLower];
+      if (operation !== 'append' || existing === undefined) {
+        headers[headerNameLower] = resolvedValue;
+      } else if (headerNameLower === 'set-cookie') {
+        headers[headerNameLower] = [...(Array.isArray(existing) ? existing : [existing]), resolvedValue];
+      } else {
+        const separator = headerNameLower === 'cookie' ? '; ' : ', ';
+        const current = Array.isArray(existing) ? existing.join(separator) : existing;
+        headers[headerNameLower] = `${current}${separator}${resolvedValue}`;
+      }
     });
   }
 
+  /**
+   * Apply matching payload rules to a buffered body.
+   * Returns the rewritten body (and fixes content-length in `headers`), or null when nothing changed.
+   */
+  rewriteBody(targetUrl: string, direction: PayloadDirection, headers: HeaderMap, body: Buffer): Buffer | null {
+    const rules = getApplicablePayloadRules(this.payloadRules, targetUrl, direction);
+    if (rules.length === 0) return null;
+
+    const encoding = headers['content-encoding'];
+    if (encoding && encoding !== 'identity') return null;
+
+    const kind = detectPayloadKind(headers['content-type'] as string | undefined);
+    if (!kind) return null;
+
+    const result = rewritePayload(body.toString('utf8'), rules, kind);
+    if (result.appliedRuleIds.length === 0) return null;
+
+    this.log.debug(`Rewrote ${direction} body for ${targetUrl} with ${result.appliedRuleIds.length} payload rule(s)`);
+    const rewritten = Buffer.from(result.body, 'utf8');
+    if (direction === 'response' || headers['content-length'] !== undefined) {
+      headers['content-length'] = String(rewritten.length);
+    }
+    return rewritten;
+  }
+
   checkServerIdentity(hostname: string, cert: tls.PeerCertificate): Error | undefined {
     const fingerprint = this.getCertificateFingerprint(cert);
 
@@ -514,7 +1308,15 @@ class ProxyService extends EventEmitter {
     return crypto.createHash('sha256').update(cert.raw).digest('hex');
   }
 
-  getApplicableRules(targetUrl: string): (HeaderRule | ProxyRule)[] {
+  /**
+   * Rules matching a URL. Header rule conditions on method, resource type and initiator
+   * are only checked when request details are given.
+   *
+   * Ordered by ascending rank (see getHeaderRuleRank) so that, as rules are applied in
+   * turn, the highest ranked rule has the last word on a header — the same winner the
+   * extension picks.
+   */
+  getApplicableRules(targetUrl: string, request?: RequestInfo): (HeaderRule | ProxyRule)[] {
     const applicableRules: (HeaderRule | ProxyRule)[] = [];
     const proxyRules = this.ruleStore.getRules();
 
@@ -526,42 +1328,34 @@ class ProxyService extends EventEmitter {
         if (headerRule?.isEnabled) {
           // Skip rules with unresolved env vars — don't inject garbage
           if (!this.isRuleReady(headerRule)) return;
+          if (!matchesRequestConditions(headerRule, targetUrl, request)) return;
 
-          if (!headerRule.domains || headerRule.domains.length === 0) {
-            applicableRules.push(headerRule);
-          } else {
-            const matches = headerRule.domains.some((domainPattern) => {
-              const resolvedPattern = this.resolveEnvironmentVariables(domainPattern);
-              if (resolvedPattern.includes(',')) {
-                const patterns = resolvedPattern.split(',').map((p: string) => p.trim());
-                return patterns.some((pattern: string) => DomainMatcher.matches(targetUrl, pattern));
-              }
-              return DomainMatcher.matches(targetUrl, resolvedPattern);
-            });
-            if (matches) applicableRules.push(headerRule);
-          }
+          if (this.matchesDomains(targetUrl, headerRule.domains)) applicableRules.push(headerRule);
         }
       } else {
         // Skip rules with unresolved env vars — don't inject garbage
         if (!this.isRuleReady(proxyRule)) return;
 
-        if (!proxyRule.domains || proxyRule.domains.length === 0) {
-          applicableRules.push(proxyRule);
-        } else {
-          const matches = proxyRule.domains.some((domainPattern) => {
-            const resolvedPattern = this.resolveEnvironmentVariables(domainPattern);
-            if (resolvedPattern.includes(',')) {
-              const patterns = resolvedPattern.split(',').map((p: string) => p.trim());
-              return patterns.some((pattern: string) => DomainMatcher.matches(targetUrl, pattern));
-            }
-            return DomainMatcher.matches(targetUrl, resolvedPattern);
-          });
-          if (matches) applicableRules.push(proxyRule);
-        }
+        if (this.matchesDomains(targetUrl, proxyRule.domains)) applicableRules.push(proxyRule);
       }
     });
 
-    return applicableRules;
+    return applicableRules.sort((a, b) => getRuleRank(a) - getRuleRank(b));
+  }
+
+  /**
+   * Whether a URL matches a rule's domains after resolving environment variables.
+   * A variable may hold a comma-separated list of patterns. No domains means every URL.
+   */
+  matchesDomains(targetUrl: string, domains: string[] | undefined): boolean {
+    if (!domains || domains.length === 0) return true;
+    const patterns = domains.flatMap((domainPattern) =>
+      this.resolveEnvironmentVariables(domainPattern)
+        .split(',')
+        .map((pattern) => pattern.trim())
+        .filter(Boolean),
+    );
+    return patterns.length > 0 && DomainMatcher.matchesAny(targetUrl, patterns);
   }
 
   resolveHeaderValue(value: string | undefined, rule: HeaderRule | ProxyRule): string {
@@ -587,12 +1381,8 @@ class ProxyService extends EventEmitter {
     // noinspection SuspiciousTypeOfGuard
     if (!template || typeof template !== 'string') return template;
 
-    return template.replace(/\{\{([^}]+)}}/g, (match: string, varName: string) => {
-      const trimmedName = varName.trim();
-      const value = this.environmentVariables[trimmedName];
-      if (value === undefined) return match;
-      return value;
-    });
+    // Evaluated per request, so {{now()}} and {{uuid()}} are fresh each time
+    return resolveTemplate(template, this.environmentVariables);
   }
 
   /**
@@ -614,6 +1404,7 @@ class ProxyService extends EventEmitter {
     if (!this.isFullyResolved(rule.headerValue)) return false;
     if (!this.isFullyResolved(rule.prefix)) return false;
     if (!this.isFullyResolved(rule.suffix)) return false;
+    if (!this.isFullyResolved(rule.generator?.secret)) return false;
     if (rule.domains) {
       for (const domain of rule.domains) {
         if (!this.isFullyResolved(domain)) return false;
@@ -627,6 +1418,11 @@ class ProxyService extends EventEmitter {
     this.log.debug(`Header rules updated: ${this.headerRules.length} rules loaded`);
   }
 
+  updatePayloadRules(rules: PayloadRule[]): void {
+    this.payloadRules = rules || [];
+    this.log.debug(`Payload rules updated: ${this.payloadRules.length} rules loaded`);
+  }
+
   updateProxyRules(rules: ProxyRule[]): void {
     this.ruleStore.rules = rules || [];
     this.log.debug(`Proxy rules updated: ${this.ruleStore.rules.length} rules loaded`);
@@ -649,6 +1445,7 @@ class ProxyService extends EventEmitter {
 
   clearRules(): void {
     this.headerRules = [];
+    this.payloadRules = [];
     this.sources.clear();
     this.environmentVariables = {};
   }
@@ -665,9 +1462,17 @@ class ProxyService extends EventEmitter {
       strictSSL: this.strictSSL,
       trustedCertificates: this.trustedCertificates.size,
       certificateExceptions: this.certificateExceptions.size,
+      httpsInterception: this.httpsInterception,
+      faultStats: Object.fromEntries(Array.from(this.faultStats, ([id, stats]) => [id, { ...stats }])),
     };
   }
 
+  /** Zero the fault rule hit counters and restart seeded rules from the top of their sequence. */
+  resetFaultStats(): void {
+    this.faultStats.clear();
+    this.faultRandoms.clear();
+  }
+
   setStrictSSL(enabled: boolean): void {
     this.strictSSL = enabled;
     if (this.httpsAgent) {
@@ -675,6 +1480,22 @@ class ProxyService extends EventEmitter {
     }
   }
 
+  /**
+   * Turn HTTPS interception of CONNECT tunnels on or off. Takes effect for new
+   * tunnels, and only once a CA has been generated.
+   */
+  setHttpsInterception(enabled: boolean): void {
+    this.httpsInterception = enabled;
+  }
+
+  getCAInfo(): ProxyCAInfo {
+    return this.ca.getInfo();
+  }
+
+  async generateCA(): Promise<ProxyCAInfo> {
+    return await this.ca.generate();
+  }
+
   addTrustedCertificate(fingerprint: string): void {
     this.trustedCertificates.add(fingerprint);
   }
@@ -704,6 +1525,19 @@ class ProxyService extends EventEmitter {
     };
   }
 
+  /** Requests recorded by the traffic journal, oldest first */
+  getTraffic(): { entries: ProxyTrafficEntry[]; captureBodies: boolean } {
+    return { entries: this.journal.getEntries(), captureBodies: this.journal.captureBodies };
+  }
+
+  clearTraffic(): void {
+    this.journal.clear();
+  }
+
+  setTrafficCaptureBodies(enabled: boolean): void {
+    this.journal.captureBodies = enabled;
+  }
+
   async clearCache(): Promise<void> {
     await this.cache.clear();
   }
@@ -713,6 +1547,15 @@ class ProxyService extends EventEmitter {
   async getCacheEntries() {
     return await this.cache.getCacheEntries();
   }
+  countCacheEntries(filter: ProxyCacheExportFilter = {}): number {
+    return this.cache.selectEntries(filter).length;
+  }
+  async exportCache(filePath: string, filter: ProxyCacheExportFilter = {}): Promise<ProxyCacheBundleResult> {
+    return await this.cache.exportBundle(filePath, filter);
+  }
+  async importCache(filePath: string): Promise<ProxyCacheBundleResult> {
+    return await this.cache.importBundle(filePath);
+  }
   setCacheEnabled(enabled: boolean): void {
     this.cacheEnabled = enabled;
   }
@@ -740,6 +1583,58 @@ class ProxyService extends EventEmitter {
   getRules(): ProxyRule[] {
     return this.ruleStore.getRules();
   }
+
+  async saveMockRule(rule: ProxyMockRule): Promise<{ success: boolean; error?: string }> {
+    try {
+      await this.ruleStore.saveMockRule(rule);
+      return { success: true };
+    } catch (error: unknown) {
+      this.log.error('Failed to save mock rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async deleteMockRule(ruleId: string): Promise<{ success: boolean; error?: string }> {
+    try {
+      await this.ruleStore.deleteMockRule(ruleId);
+      return { success: true };
+    } catch (error: unknown) {
+      this.log.error('Failed to delete mock rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  getMockRules(): ProxyMockRule[] {
+    return this.ruleStore.getMockRules();
+  }
+
+  async saveFaultRule(rule: ProxyFaultRule): Promise<{ success: boolean; error?: string }> {
+    try {
+      await this.ruleStore.saveFaultRule(rule);
+      // An edited seed or rate starts a fresh sequence
+      this.faultRandoms.delete(rule.id);
+      return { success: true };
+    } catch (error: unknown) {
+      this.log.error('Failed to save fault rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  async deleteFaultRule(ruleId: string): Promise<{ success: boolean; error?: string }> {
+    try {
+      await this.ruleStore.deleteFaultRule(ruleId);
+      this.faultRandoms.delete(ruleId);
+      this.faultStats.delete(ruleId);
+      return { success: true };
+    } catch (error: unknown) {
+      this.log.error('Failed to delete fault rule:', error);
+      return { success: false, error: errorMessage(error) };
+    }
+  }
+
+  getFaultRules(): ProxyFaultRule[] {
+    return this.ruleStore.getFaultRules();
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,159 @@
+/**
+ * HTTP caching semantics for the proxy cache (RFC 9111), as they apply to a private
+ * cache: what may be stored, for how long it stays fresh, which request headers
+ * select a stored variant, and how a stale entry is revalidated.
+ */
+
+import type { ProxyCacheMode } from '@/types/proxy';
+
+type HeaderBag = Record<string, string | string[] | undefined>;
+
+/** Responses with only a Last-Modified stay fresh for this share of their age... */
+const HEURISTIC_FRACTION = 0.1;
+/** ...but never longer than a day */
+const MAX_HEURISTIC_MS = 24 * 60 * 60 * 1000;
+
+/** A header value by case-insensitive name, list values joined as on the wire */
+export function getHeader(headers: HeaderBag, name: string): string | undefined {
+  const lowerName = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() !== lowerName || value === undefined) continue;
+    return Array.isArray(value) ? value.join(', ') : value;
+  }
+  return undefined;
+}
+
+/** Cache-Control directives by lowercased name; directives without a value map to true */
+export function parseCacheControl(value: string | undefined): Map<string, string | true> {
+  const directives = new Map<string, string | true>();
+  for (const part of (value ?? '').split(',')) {
+    const [rawName, ...rest] = part.split('=');
+    const name = rawName.trim().toLowerCase();
+    if (!name) continue;
+    directives.set(name, rest.length ? rest.join('=').trim().replace(/^"|"$/g, '') : true);
+  }
+  return directives;
+}
+
+function parseSeconds(value: string | true | undefined): number | null {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  return Number(value) * 1000;
+}
+
+function parseDate(value: string | undefined): number | null {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * How long a response stays fresh from when it was received, in milliseconds:
+ * max-age, then Expires, then a heuristic from Last-Modified. `no-cache` and
+ * anything without freshness information are stale straight away.
+ */
+export function freshnessLifetime(responseHeaders: HeaderBag, now = Date.now()): number {
+  const directives = parseCacheControl(getHeader(responseHeaders, 'cache-control'));
+  if (directives.has('no-cache')) return 0;
+
+  const maxAge = parseSeconds(directives.get('max-age'));
+  if (maxAge !== null) return maxAge;
+
+  const date = parseDate(getHeader(responseHeaders, 'date')) ?? now;
+  const expiresHeader = getHeader(responseHeaders, 'expires');
+  if (expiresHeader !== undefined) {
+    // An invalid Expires (commonly "0") means already expired
+    const expires = parseDate(expiresHeader);
+    return expires === null ? 0 : Math.max(0, expires - date);
+  }
+
+  const lastModified = parseDate(getHeader(responseHeaders, 'last-modified'));
+  if (lastModified !== null && !directives.has('must-revalidate')) {
+    return Math.min(MAX_HEURISTIC_MS, Math.max(0, (date - lastModified) * HEURISTIC_FRACTION));
+  }
+  return 0;
+}
+
+/** When a response received at `receivedAt` goes stale, allowing for the Age it arrived with */
+export function freshUntil(responseHeaders: HeaderBag, receivedAt = Date.now()): number {
+  const age = parseSeconds(getHeader(responseHeaders, 'age')) ?? 0;
+  return receivedAt + freshnessLifetime(responseHeaders, receivedAt) - age;
+}
+
+export function hasValidators(responseHeaders: HeaderBag): boolean {
+  return getHeader(responseHeaders, 'etag') !== undefined || getHeader(responseHeaders, 'last-modified') !== undefined;
+}
+
+/** Conditional request headers that ask the origin whether a stored response is still current */
+export function conditionalHeaders(storedHeaders: HeaderBag): Record<string, string> {
+  const headers: Record<string, string> = {};
+  const etag = getHeader(storedHeaders, 'etag');
+  const lastModified = getHeader(storedHeaders, 'last-modified');
+  if (etag !== undefined) headers['if-none-match'] = etag;
+  if (lastModified !== undefined) headers['if-modified-since'] = lastModified;
+  return headers;
+}
+
+/** The client asked not to be served from the cache without checking with the origin */
+export function requestsRevalidation(requestHeaders: HeaderBag): boolean {
+  const directives = parseCacheControl(getHeader(requestHeaders, 'cache-control'));
+  if (directives.has('no-cache') || directives.get('max-age') === '0') return true;
+  return !getHeader(requestHeaders, 'cache-control') && /no-cache/i.test(getHeader(requestHeaders, 'pragma') ?? '');
+}
+
+/** The client asked for neither the request nor its response to touch the cache */
+export function requestForbidsStorage(requestHeaders: HeaderBag): boolean {
+  return parseCacheControl(getHeader(requestHeaders, 'cache-control')).has('no-store');
+}
+
+/**
+ * Whether a response may be stored under `mode`. Apart from `Vary: *`, which no later
+ * request can match, only `respect-origin` defers to the origin: `no-store` is honoured
+ * and responses that are neither fresh nor revalidatable are not worth keeping.
+ */
+export function isStorable(mode: ProxyCacheMode, requestHeaders: HeaderBag, responseHeaders: HeaderBag): boolean {
+  if (mode === 'never') return false;
+  if (getHeader(responseHeaders, 'vary')?.trim() === '*') return false;
+  if (mode !== 'respect-origin') return true;
+
+  if (requestForbidsStorage(requestHeaders)) return false;
+  if (parseCacheControl(getHeader(responseHeaders, 'cache-control')).has('no-store')) return false;
+  return freshnessLifetime(responseHeaders) > 0 || hasValidators(responseHeaders);
+}
+
+/** The request header values a response varies on, by lowercased header name */
+export function varySnapshot(requestHeaders: HeaderBag, responseHeaders: HeaderBag): Record<string, string> {
+  const snapshot: Record<string, string> = {};
+  for (const name of (getHeader(responseHeaders, 'vary') ?? '').split(',')) {
+    const header = name.trim().toLowerCase();
+    if (header) snapshot[header] = getHeader(requestHeaders, header) ?? '';
+  }
+  return snapshot;
+}
+
+/** Whether a request selects the stored variant described by `snapshot` */
+export function varyMatches(snapshot: Record<string, string> | undefined, requestHeaders: HeaderBag): boolean {
+  return Object.entries(snapshot ?? {}).every(([name, value]) => (getHeader(requestHeaders, name) ?? '') === value);
+}
+
+/**
+ * Drop ignored query parameters from `url`. A pattern ending in `*` matches every
+ * parameter starting with the rest (`utm_*`).
+ */
+export function stripIgnoredParams(url: string, ignoreQueryParams: string[] | undefined): string {
+  if (!ignoreQueryParams?.length || !url.includes('?')) return url;
+
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  const ignored = (param: string) =>
+    ignoreQueryParams.some((pattern) =>
+      pattern.endsWith('*') ? param.startsWith(pattern.slice(0, -1)) : param === pattern,
+    );
+  for (const param of Array.from(new Set(parsed.searchParams.keys()))) {
+    if (ignored(param)) parsed.searchParams.delete(param);
+  }
+  return parsed.href;
+}
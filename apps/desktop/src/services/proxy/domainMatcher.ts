@@ -1,12 +1,18 @@
+import { findMatchingUrlPattern, matchesUrlPattern } from '@openheaders/core';
+
 /**
- * Matches a URL against domain patterns.
+ * Matches a URL against domain patterns through the URL pattern engine in
+ * @openheaders/core, which the browser extension uses too.
  *
  * Supported pattern formats:
  * - `example.com`          — exact domain
  * - `*.example.com`        — wildcard subdomain (matches base + any sub)
- * - `localhost:3001`       — localhost with port
+ * - `localhost:3001`       — host with port (no port means the default port)
  * - `192.168.1.1:8080`     — IP with optional port
  * - `*://example.com/*`    — full URL wildcard pattern
+ * - `example.com/health`   — host and path prefix
+ * - `/regex/`              — regular expression on the whole URL
+ * - `!pattern`             — excludes URLs matching the pattern
  */
 // biome-ignore lint/complexity/noStaticOnlyClass: used as a namespace for domain matching utilities
 class DomainMatcher {
@@ -14,62 +20,11 @@ class DomainMatcher {
    * Check if a URL matches a domain pattern.
    */
   static matches(targetUrl: string | null | undefined, domainPattern: string | null | undefined): boolean {
-    if (!targetUrl || !domainPattern) return false;
-
-    let hostname: string;
-    let port: string;
-    try {
-      const parsed = new URL(targetUrl);
-      hostname = parsed.hostname;
-      port = parsed.port;
-    } catch {
-      return false;
-    }
-
-    // Handle full URL patterns like *://example.com/*
-    if (domainPattern.includes('://')) {
-      const pattern = domainPattern
-        .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // Escape special regex chars except *
-        .replace(/\*/g, '.*'); // Convert * to regex .*
-
-      const regex = new RegExp(`^${pattern}$`, 'i');
-      return regex.test(targetUrl);
-    }
-
-    // Handle IP addresses (with optional port)
-    const ipRegex = /^(\d{1,3}\.){3}\d{1,3}(:\d+)?$/;
-    if (ipRegex.test(domainPattern)) {
-      if (domainPattern.includes(':')) {
-        const [domainIp, domainPort] = domainPattern.split(':');
-        return hostname === domainIp && port === domainPort;
-      }
-      return hostname === domainPattern;
-    }
-
-    // Handle localhost (with optional port)
-    if (domainPattern === 'localhost' || domainPattern.startsWith('localhost:')) {
-      if (domainPattern.includes(':')) {
-        const [, domainPort] = domainPattern.split(':');
-        return hostname === 'localhost' && port === domainPort;
-      }
-      return hostname === 'localhost';
-    }
-
-    // Handle subdomain wildcards like *.example.com
-    if (domainPattern.startsWith('*.')) {
-      const baseDomain = domainPattern.substring(2).toLowerCase();
-      const lowerHostname = hostname.toLowerCase();
-
-      // Match exact domain or any subdomain
-      return lowerHostname === baseDomain || lowerHostname.endsWith(`.${baseDomain}`);
-    }
-
-    // Handle exact domain match (case-insensitive)
-    return hostname.toLowerCase() === domainPattern.toLowerCase();
+    return matchesUrlPattern(targetUrl, domainPattern);
   }
 
   /**
-   * Check if a URL matches any of the given domain patterns.
+   * Check if a URL matches any of the given domain patterns and none of the negated ones.
    * Returns true if domains is empty/null (match all).
    */
   static matchesAny(targetUrl: string, domains: string[] | null | undefined): boolean {
@@ -77,7 +32,7 @@ class DomainMatcher {
       return true; // No domains means match all
     }
 
-    return domains.some((domain) => DomainMatcher.matches(targetUrl, domain));
+    return findMatchingUrlPattern(targetUrl, domains) !== null;
   }
 }
 
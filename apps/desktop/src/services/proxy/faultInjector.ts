@@ -0,0 +1,126 @@
+/**
+ * Fault injection — what a fault rule does to one request, and the response relay
+ * that throttles or truncates bodies accordingly.
+ *
+ * Every request rolls the same number of random values whatever the outcome, so a
+ * seeded rule replays the same sequence of faults for the same sequence of requests.
+ */
+
+import type http from 'node:http';
+import type { Readable } from 'node:stream';
+import type { ProxyFaultRule } from '@/types/proxy';
+
+/** What a fault rule does to one request */
+export interface FaultPlan {
+  delayMs: number;
+  /** Drop the client connection without a response */
+  reset: boolean;
+  /** Answer with this status instead of forwarding */
+  errorStatus: number | null;
+  /** Response throughput cap in bytes per second */
+  bytesPerSecond: number | null;
+  /** Cut the response body off after this many bytes */
+  truncateAfter: number | null;
+}
+
+/** Throttled bodies are written in slices of about this many milliseconds */
+const THROTTLE_SLICE_MS = 100;
+
+/**
+ * Deterministic random numbers in [0, 1) from a seed (mulberry32).
+ */
+export function createSeededRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Decide what a fault rule does to one request. Rates are percentages; the error and
+ * truncation rates default to 100 once their status or byte count is set.
+ * A reset wins over an error status, which wins over truncation.
+ */
+export function planFault(rule: ProxyFaultRule, random: () => number): FaultPlan {
+  const [latencyRoll, resetRoll, errorRoll, truncateRoll] = [random(), random(), random(), random()];
+
+  const minDelay = Math.max(0, rule.latencyMs ?? 0);
+  const maxDelay = Math.max(minDelay, rule.latencyMaxMs ?? minDelay);
+  const reset = resetRoll * 100 < (rule.resetRate ?? 0);
+  const error = !reset && !!rule.errorStatus && errorRoll * 100 < (rule.errorRate ?? 100);
+  const truncate =
+    !reset && !error && rule.truncateAfterBytes !== undefined && truncateRoll * 100 < (rule.truncateRate ?? 100);
+
+  return {
+    delayMs: minDelay + Math.round(latencyRoll * (maxDelay - minDelay)),
+    reset,
+    errorStatus: error ? (rule.errorStatus ?? null) : null,
+    bytesPerSecond: rule.bandwidthKBps ? rule.bandwidthKBps * 1024 : null,
+    truncateAfter: truncate ? Math.max(0, rule.truncateAfterBytes ?? 0) : null,
+  };
+}
+
+/** Whether a plan changes how the response body is delivered */
+export function shapesResponse(plan: FaultPlan): boolean {
+  return plan.bytesPerSecond !== null || plan.truncateAfter !== null;
+}
+
+function write(res: http.ServerResponse, data: Buffer): Promise<void> {
+  return new Promise((resolve) => res.write(data, () => resolve()));
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Relay `source` to `res` at the plan's bandwidth, dropping both connections once the
+ * truncation point is reached. The response head must already be written.
+ */
+export function relayWithFaults(source: Readable, res: http.ServerResponse, plan: FaultPlan): void {
+  const sliceSize = plan.bytesPerSecond
+    ? Math.max(1, Math.floor((plan.bytesPerSecond * THROTTLE_SLICE_MS) / 1000))
+    : Number.POSITIVE_INFINITY;
+  let sent = 0;
+
+  const deliver = async (chunk: Buffer): Promise<boolean> => {
+    let data = chunk;
+    const truncate = plan.truncateAfter !== null && sent + data.length > plan.truncateAfter;
+    if (truncate) data = data.subarray(0, Math.max(0, (plan.truncateAfter as number) - sent));
+
+    for (let offset = 0; offset < data.length && !res.destroyed; offset += sliceSize) {
+      const slice = data.subarray(offset, offset + sliceSize);
+      await write(res, slice);
+      sent += slice.length;
+      if (plan.bytesPerSecond) await sleep((slice.length / plan.bytesPerSecond) * 1000);
+    }
+
+    if (truncate) {
+      source.destroy();
+      res.destroy();
+    }
+    return !truncate && !res.destroyed;
+  };
+
+  // A paused stream can still emit 'end' once nothing is buffered, so the response
+  // only ends after every delivery queued before it
+  let delivered = Promise.resolve(true);
+  source.on('data', (chunk: Buffer) => {
+    source.pause();
+    delivered = delivered.then(async (more) => {
+      if (!more) return false;
+      const next = await deliver(chunk);
+      if (next) source.resume();
+      return next;
+    });
+  });
+  source.once('end', () => {
+    void delivered.then((more) => {
+      if (more) res.end();
+    });
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Header value generators — values the proxy computes afresh for every request.
+ *
+ * The browser extension pushes static declarativeNetRequest rules, so only traffic
+ * through the proxy can carry a unique request ID, timestamp, nonce or signature.
+ */
+
+import crypto from 'node:crypto';
+import type { HeaderValueGenerator } from '@openheaders/core';
+
+/** What a generator may read from the request being forwarded. */
+export interface GeneratorRequest {
+  method: string;
+  /** Path including the query string */
+  path: string;
+  /** Body as forwarded upstream. Absent when it has not been buffered. */
+  body?: Buffer;
+}
+
+const DEFAULT_NONCE_BYTES = 16;
+const MAX_NONCE_BYTES = 256;
+
+function formatTimestamp(format: HeaderValueGenerator['format'] = 'iso'): string {
+  const now = new Date();
+  switch (format) {
+    case 'unix':
+      return String(Math.floor(now.getTime() / 1000));
+    case 'unix_ms':
+      return String(now.getTime());
+    case 'http':
+      return now.toUTCString();
+    default:
+      return now.toISOString();
+  }
+}
+
+/**
+ * Whether the generator needs the request body, which must then be buffered before forwarding.
+ */
+export function needsRequestBody(generator: HeaderValueGenerator | null | undefined): boolean {
+  return generator?.type === 'hmac';
+}
+
+/**
+ * The string an hmac generator signs: `METHOD\nPATH\nBODY`.
+ */
+export function getSigningPayload(request: GeneratorRequest): Buffer {
+  return Buffer.concat([
+    Buffer.from(`${request.method.toUpperCase()}\n${request.path}\n`),
+    request.body ?? Buffer.alloc(0),
+  ]);
+}
+
+/**
+ * Compute a generator's value for one request.
+ * `secret` is the hmac key with environment variables already resolved.
+ */
+export function generateHeaderValue(generator: HeaderValueGenerator, request: GeneratorRequest, secret = ''): string {
+  switch (generator.type) {
+    case 'uuid':
+      return crypto.randomUUID();
+    case 'timestamp':
+      return formatTimestamp(generator.format);
+    case 'nonce': {
+      const bytes = Math.min(Math.max(Math.floor(generator.bytes || DEFAULT_NONCE_BYTES), 1), MAX_NONCE_BYTES);
+      return crypto.randomBytes(bytes).toString('hex');
+    }
+    case 'hmac':
+      return crypto
+        .createHmac('sha256', secret)
+        .update(getSigningPayload(request))
+        .digest(generator.encoding === 'base64' ? 'base64' : 'hex');
+    default:
+      return '';
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Payload rewriting for proxied request and response bodies.
+ *
+ * Declarative Net Request cannot touch bodies, so payload rules are only
+ * applied by the local proxy. Rewriting is content-type aware:
+ *
+ * - json — text replacement; a rule whose result no longer parses is discarded.
+ *          `exact` matches whole leaf values, and a replacement that parses as
+ *          JSON (`true`, `42`, `null`, `{...}`) is inserted as that JSON value.
+ * - xml  — text replacement; `exact` matches the full text content of an element.
+ * - form — applied per decoded `key=value` pair; `exact` matches a field value.
+ * - text — plain text replacement; `exact` matches the whole (trimmed) body.
+ *
+ * Bodies with any other content type (images, fonts, octet-stream) are never touched.
+ */
+
+import type { ContentType, PayloadRule } from '@openheaders/core';
+import { DomainMatcher } from './domainMatcher';
+
+export type PayloadDirection = 'request' | 'response';
+
+export type PayloadKind = Exclude<ContentType, 'any'>;
+
+export interface PayloadRewriteResult {
+  body: string;
+  /** IDs of rules that changed the body, in application order. */
+  appliedRuleIds: string[];
+}
+
+/**
+ * Map a Content-Type header onto the payload kind it is rewritten as.
+ * Returns null for content that must not be rewritten.
+ */
+export function detectPayloadKind(contentType: string | undefined): PayloadKind | null {
+  if (!contentType) return null;
+  const mime = contentType.split(';')[0].trim().toLowerCase();
+
+  if (mime === 'application/json' || mime.endsWith('+json')) return 'json';
+  if (mime === 'application/xml' || mime === 'text/xml' || mime.endsWith('+xml')) return 'xml';
+  if (mime === 'application/x-www-form-urlencoded') return 'form';
+  if (mime.startsWith('text/') || mime === 'application/javascript' || mime === 'application/x-javascript') {
+    return 'text';
+  }
+  return null;
+}
+
+/**
+ * Select enabled payload rules for a URL and direction.
+ * Rules without domains apply to every proxied URL.
+ */
+export function getApplicablePayloadRules(
+  rules: PayloadRule[],
+  targetUrl: string,
+  direction: PayloadDirection,
+): PayloadRule[] {
+  return rules.filter((rule) => {
+    if (!rule.isEnabled || !rule.matchPattern) return false;
+    if (direction === 'request' ? !rule.isRequest : !rule.isResponse) return false;
+    return DomainMatcher.matchesAny(targetUrl, rule.domains);
+  });
+}
+
+/**
+ * Apply payload rules to a body in order. Rules restricted to another
+ * content type, and rules with an invalid regex, are skipped.
+ */
+export function rewritePayload(body: string, rules: PayloadRule[], kind: PayloadKind): PayloadRewriteResult {
+  let current = body;
+  const appliedRuleIds: string[] = [];
+  const wasValidJson = kind === 'json' && isValidJson(body);
+
+  for (const rule of rules) {
+    if (rule.contentType !== 'any' && rule.contentType !== kind) continue;
+
+    let next: string;
+    try {
+      next = applyRule(current, rule, kind);
+    } catch {
+      continue;
+    }
+
+    if (next === current) continue;
+    if (wasValidJson && !isValidJson(next)) continue;
+
+    current = next;
+    appliedRuleIds.push(rule.id);
+  }
+
+  return { body: current, appliedRuleIds };
+}
+
+function applyRule(body: string, rule: PayloadRule, kind: PayloadKind): string {
+  switch (kind) {
+    case 'json':
+      return rule.matchType === 'exact' ? replaceJsonLeaves(body, rule) : replaceText(body, rule);
+    case 'xml':
+      return rule.matchType === 'exact' ? replaceXmlText(body, rule) : replaceText(body, rule);
+    case 'form':
+      return replaceFormFields(body, rule);
+    case 'text':
+      if (rule.matchType === 'exact') return body.trim() === rule.matchPattern ? rule.replaceWith : body;
+      return replaceText(body, rule);
+  }
+}
+
+/** contains → every literal occurrence; regex → global replace with $1-style references. */
+function replaceText(text: string, rule: PayloadRule): string {
+  if (rule.matchType === 'regex') {
+    return text.replace(new RegExp(rule.matchPattern, 'g'), rule.replaceWith);
+  }
+  return text.split(rule.matchPattern).join(rule.replaceWith);
+}
+
+function replaceJsonLeaves(body: string, rule: PayloadRule): string {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    // Not actually JSON — fall back to whole-body comparison
+    return body.trim() === rule.matchPattern ? rule.replaceWith : body;
+  }
+
+  let replacement: unknown = rule.replaceWith;
+  try {
+    replacement = JSON.parse(rule.replaceWith);
+  } catch {
+    // Plain string replacement
+  }
+
+  let changed = false;
+  const walk = (value: unknown): unknown => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, walk(child)]));
+    }
+    if (String(value) === rule.matchPattern) {
+      changed = true;
+      return replacement;
+    }
+    return value;
+  };
+
+  const result = walk(parsed);
+  if (!changed) return body;
+  // Preserve the upstream formatting style: compact stays compact, pretty stays pretty
+  return /^\s*[[{]\s*\n/.test(body) ? JSON.stringify(result, null, 2) : JSON.stringify(result);
+}
+
+function replaceXmlText(body: string, rule: PayloadRule): string {
+  return body.replace(/>([^<]*)</g, (match, text: string) =>
+    text.trim() === rule.matchPattern ? `>${rule.replaceWith}<` : match,
+  );
+}
+
+function replaceFormFields(body: string, rule: PayloadRule): string {
+  const params = new URLSearchParams(body);
+  const output = new URLSearchParams();
+  let changed = false;
+
+  for (const [key, value] of params) {
+    if (rule.matchType === 'exact') {
+      if (value === rule.matchPattern) {
+        output.append(key, rule.replaceWith);
+        changed = true;
+      } else {
+        output.append(key, value);
+      }
+      continue;
+    }
+
+    const pair = `${key}=${value}`;
+    const rewritten = replaceText(pair, rule);
+    if (rewritten === pair) {
+      output.append(key, value);
+      continue;
+    }
+    changed = true;
+    // A rewrite that removes the '=' turns the pair into a bare key
+    const separator = rewritten.indexOf('=');
+    if (separator === -1) {
+      if (rewritten) output.append(rewritten, '');
+    } else {
+      output.append(rewritten.substring(0, separator), rewritten.substring(separator + 1));
+    }
+  }
+
+  return changed ? output.toString() : body;
+}
+
+function isValidJson(text: string): boolean {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Request conditions — narrows header rules beyond their domains in the proxy.
+ *
+ * Mirrors how the browser extension maps the same fields onto declarativeNetRequest
+ * conditions, so a rule applies to the same requests whichever path they take:
+ * - methods          → requestMethods
+ * - resourceTypes    → resourceTypes, derived from the Sec-Fetch-Dest request header
+ * - initiatorDomains → initiatorDomains, derived from the Origin (or Referer) header
+ * - excludedDomains  → excludedRequestDomains for bare domains, URL patterns otherwise
+ *
+ * Matching itself lives in @openheaders/core so the rule simulator agrees with the proxy.
+ */
+
+import type { RequestDetails, RequestResourceType } from '@openheaders/core';
+import { isUrlExcluded, matchesRequestConditions } from '@openheaders/core';
+
+export type RequestInfo = RequestDetails;
+
+// Sec-Fetch-Dest values → declarativeNetRequest resource types
+const FETCH_DEST_RESOURCE_TYPES: Record<string, RequestResourceType> = {
+  document: 'main_frame',
+  iframe: 'sub_frame',
+  frame: 'sub_frame',
+  style: 'stylesheet',
+  script: 'script',
+  worker: 'script',
+  sharedworker: 'script',
+  serviceworker: 'script',
+  image: 'image',
+  font: 'font',
+  object: 'object',
+  embed: 'object',
+  empty: 'xmlhttprequest',
+  audio: 'media',
+  video: 'media',
+  track: 'media',
+  websocket: 'websocket',
+};
+
+/**
+ * Derive request details from an incoming request's method and headers.
+ * Requests without Sec-Fetch-Dest (non-browser clients) count as 'other'.
+ */
+export function getRequestInfo(
+  method: string | undefined,
+  headers: Record<string, string | string[] | undefined>,
+): RequestInfo {
+  const dest = headers['sec-fetch-dest'];
+  const resourceType = (typeof dest === 'string' && FETCH_DEST_RESOURCE_TYPES[dest.toLowerCase()]) || 'other';
+
+  let initiator: string | null = null;
+  for (const header of ['origin', 'referer']) {
+    const value = headers[header];
+    if (typeof value !== 'string' || value === 'null') continue;
+    try {
+      initiator = new URL(value).hostname.toLowerCase();
+      break;
+    } catch {
+      // Malformed header — try the next one
+    }
+  }
+
+  return { method: (method || 'GET').toUpperCase(), resourceType, initiator };
+}
+
+/**
+ * Whether a URL is excluded by any of the patterns.
+ */
+export const isExcluded = isUrlExcluded;
+
+export { matchesRequestConditions };
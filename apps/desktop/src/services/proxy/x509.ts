@@ -0,0 +1,180 @@
+/**
+ * Minimal X.509 certificate builder for HTTPS interception.
+ *
+ * node:crypto can generate keys and sign, but not issue certificates, so the
+ * handful of DER structures a root CA and a TLS server certificate need are
+ * encoded here. Certificates are RSA / SHA-256 and returned as PEM.
+ */
+
+import crypto from 'node:crypto';
+import net from 'node:net';
+
+// ── DER encoding ────────────────────────────────────────────────────
+
+function encodeLength(length: number): Buffer {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes: number[] = [];
+  for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag: number, content: Buffer): Buffer {
+  return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+const sequence = (...items: Buffer[]) => tlv(0x30, Buffer.concat(items));
+const set = (...items: Buffer[]) => tlv(0x31, Buffer.concat(items));
+const octetString = (content: Buffer) => tlv(0x04, content);
+const bitString = (content: Buffer, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const utf8String = (value: string) => tlv(0x0c, Buffer.from(value, 'utf8'));
+const explicit = (tagNumber: number, content: Buffer) => tlv(0xa0 | tagNumber, content);
+const NULL = Buffer.from([0x05, 0x00]);
+const TRUE = Buffer.from([0x01, 0x01, 0xff]);
+
+function integer(value: Buffer | number): Buffer {
+  let bytes = typeof value === 'number' ? Buffer.from([value]) : value;
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0 && bytes[start + 1] < 0x80) start++;
+  bytes = bytes.subarray(start);
+  // Keep the value positive
+  if (bytes[0] >= 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return tlv(0x02, bytes);
+}
+
+function oid(dotted: string): Buffer {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f];
+    for (let rest = part >> 7; rest > 0; rest >>= 7) encoded.unshift(0x80 | (rest & 0x7f));
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+function time(date: Date): Buffer {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  // RFC 5280: UTCTime through 2049, GeneralizedTime after
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`, 'ascii'))
+    : tlv(0x18, Buffer.from(`${iso}Z`, 'ascii'));
+}
+
+// ── Certificate structures ──────────────────────────────────────────
+
+const OID = {
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+};
+
+export interface CertificateName {
+  commonName: string;
+  organization?: string;
+}
+
+export interface CertificateOptions {
+  subject: CertificateName;
+  /** Issuer name; omit for a self-signed certificate */
+  issuer?: CertificateName;
+  publicKey: crypto.KeyObject;
+  /** Key that signs the certificate: the issuer's, or the subject's own when self-signed */
+  signingKey: crypto.KeyObject;
+  /** Public key of the issuer, for the authority key identifier; defaults to `publicKey` */
+  issuerPublicKey?: crypto.KeyObject;
+  notBefore: Date;
+  notAfter: Date;
+  /** Issue a CA certificate that can sign others */
+  isCA?: boolean;
+  /** DNS names and IP addresses the certificate is valid for */
+  altNames?: string[];
+}
+
+function encodeName(name: CertificateName): Buffer {
+  const attributes = [sequence(oid(OID.commonName), utf8String(name.commonName))];
+  if (name.organization) attributes.unshift(sequence(oid(OID.organizationName), utf8String(name.organization)));
+  return sequence(...attributes.map((attribute) => set(attribute)));
+}
+
+function extension(id: string, value: Buffer, critical = false): Buffer {
+  return sequence(oid(id), ...(critical ? [TRUE] : []), octetString(value));
+}
+
+/** SHA-1 of the encoded public key — any unique value will do (RFC 5280 4.2.1.2) */
+function keyIdentifier(publicKey: crypto.KeyObject): Buffer {
+  return crypto
+    .createHash('sha1')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest();
+}
+
+function encodeAltName(name: string): Buffer {
+  const version = net.isIP(name);
+  if (version === 4) return tlv(0x87, Buffer.from(name.split('.').map(Number)));
+  if (version === 6) return tlv(0x87, ipv6Bytes(name));
+  return tlv(0x82, Buffer.from(name, 'ascii'));
+}
+
+function ipv6Bytes(address: string): Buffer {
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(address.includes('::') ? missing : 0).fill('0'), ...tailGroups];
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => {
+    bytes.writeUInt16BE(Number.parseInt(group, 16) || 0, index * 2);
+  });
+  return bytes;
+}
+
+/**
+ * Issue a certificate and return it as PEM.
+ */
+export function createCertificate(options: CertificateOptions): string {
+  const { subject, publicKey, signingKey, notBefore, notAfter, isCA = false, altNames = [] } = options;
+  const issuer = options.issuer ?? subject;
+  const algorithm = sequence(oid(OID.sha256WithRSAEncryption), NULL);
+
+  // Positive 128-bit serial
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const extensions = [
+    extension(OID.basicConstraints, isCA ? sequence(TRUE) : sequence(), true),
+    // CA: digitalSignature, keyCertSign, cRLSign; leaf: digitalSignature, keyEncipherment
+    extension(OID.keyUsage, isCA ? bitString(Buffer.from([0x86]), 1) : bitString(Buffer.from([0xa0]), 5), true),
+    extension(OID.subjectKeyIdentifier, octetString(keyIdentifier(publicKey))),
+    extension(OID.authorityKeyIdentifier, sequence(tlv(0x80, keyIdentifier(options.issuerPublicKey ?? publicKey)))),
+  ];
+  if (!isCA) {
+    extensions.push(extension(OID.extKeyUsage, sequence(oid(OID.serverAuth))));
+  }
+  if (altNames.length > 0) {
+    extensions.push(extension(OID.subjectAltName, sequence(...altNames.map(encodeAltName))));
+  }
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(2)),
+    integer(serial),
+    algorithm,
+    encodeName(issuer),
+    sequence(time(notBefore), time(notAfter)),
+    encodeName(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions)),
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, signingKey);
+  const der = sequence(tbsCertificate, algorithm, bitString(signature));
+
+  const lines = der.toString('base64').match(/.{1,64}/g) ?? [];
+  return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+}
@@ -7,6 +7,7 @@ import { errorMessage } from '@openheaders/core';
 import WebSocket, { type WebSocketServer } from 'ws';
 import type { ExtendedWebSocket, WSClientInfo } from '@/types/websocket';
 import mainLogger from '@/utils/mainLogger';
+import type { ProfileClientSender } from './ws-profile-handler';
 import type { RuleClientSender } from './ws-rule-handler';
 import type { SourceClientSender } from './ws-source-handler';
 
@@ -53,6 +54,7 @@ interface ClientHandlerDeps {
   stateReady: Promise<void>;
   sourceHandler: SourceClientSender;
   ruleHandler: RuleClientSender;
+  profileHandler: ProfileClientSender;
   recordingHandler: { sendVideoRecordingState(ws: WebSocket): Promise<void> };
   networkStateHandler: { sendInitialState(ws: WebSocket): void } | null;
   _sendToRenderers(channel: string, data: unknown): void;
@@ -110,6 +112,7 @@ class WSClientHandler {
       await Promise.all([
         this.wsService.sourceHandler.sendSourcesToClient(ws),
         this.wsService.ruleHandler.sendRulesToClient(ws),
+        this.wsService.profileHandler.sendProfilesToClient(ws),
         this.wsService.recordingHandler.sendVideoRecordingState(ws),
       ]);
 
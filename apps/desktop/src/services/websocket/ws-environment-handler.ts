@@ -10,6 +10,7 @@
  * loadEnvironmentVariables(), which returns the in-memory cache.
  */
 
+import { resolveTemplate } from '@openheaders/core';
 import mainLogger from '@/utils/mainLogger';
 
 const { createLogger } = mainLogger;
@@ -51,23 +52,11 @@ class WSEnvironmentHandler {
   }
 
   /**
-   * Resolve template with environment variables
+   * Resolve template with environment variables and template functions.
+   * Placeholders with unset variables are left in place.
    */
   resolveTemplate(template: string, variables: Record<string, string>): string {
-    if (!template) {
-      return template;
-    }
-
-    return template.replace(/\{\{([^}]+)}}/g, (match: string, varName: string) => {
-      const trimmedVarName = varName.trim();
-      const value = variables[trimmedVarName];
-
-      if (value !== undefined && value !== null && value !== '') {
-        return value;
-      }
-
-      return match;
-    });
+    return resolveTemplate(template, variables);
   }
 }
 
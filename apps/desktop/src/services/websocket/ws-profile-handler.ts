@@ -0,0 +1,121 @@
+/**
+ * WebSocket Profile Handler
+ * Broadcasts rule profiles to extensions and applies profiles they select.
+ *
+ * Applying a profile is delegated to WorkspaceStateService via the onApplyProfile
+ * callback. Rule and environment changes reach extensions through the usual
+ * rules-update broadcast; only the tag groups, which live in the extension,
+ * are pushed here with profile-applied.
+ */
+
+import type { RuleProfile, RuleProfileSummary } from '@openheaders/core';
+import { errorMessage, toProfileSummary } from '@openheaders/core';
+import WebSocket from 'ws';
+import mainLogger from '@/utils/mainLogger';
+
+const { createLogger } = mainLogger;
+const log = createLogger('WSProfileHandler');
+
+interface ProfileHandlerDeps {
+  _broadcastToAll(message: string): number;
+}
+
+/** Subset of WSProfileHandler consumed by WSClientHandler during client initialization. */
+export interface ProfileClientSender {
+  sendProfilesToClient(ws: WebSocket): Promise<void>;
+}
+
+class WSProfileHandler implements ProfileClientSender {
+  wsService: ProfileHandlerDeps;
+  profiles: RuleProfileSummary[] = [];
+  activeProfileId: string | null = null;
+
+  /** Tag groups the extension last reported as disabled, captured when a profile is saved. */
+  disabledTagGroups: string[] = [];
+
+  /**
+   * Callback to delegate applying a profile to WorkspaceStateService.
+   * Set by lifecycle.ts after WorkspaceStateService is configured.
+   */
+  onApplyProfile: ((profileId: string) => Promise<void>) | null = null;
+
+  constructor(wsService: ProfileHandlerDeps) {
+    this.wsService = wsService;
+  }
+
+  /**
+   * Update the profile list and broadcast it to all clients
+   */
+  updateProfiles(profiles: RuleProfile[], activeProfileId: string | null): void {
+    this.profiles = profiles.map(toProfileSummary);
+    this.activeProfileId = activeProfileId;
+    this.wsService._broadcastToAll(this._profilesMessage());
+  }
+
+  /**
+   * Send the profile list to a specific client
+   */
+  async sendProfilesToClient(ws: WebSocket): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        reject(new Error('WebSocket not in OPEN state'));
+        return;
+      }
+
+      ws.send(this._profilesMessage(), (error: Error | undefined) => {
+        if (error) {
+          log.error('Error sending profiles to client:', error);
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Tell extensions which tag groups the applied profile disables
+   */
+  broadcastProfileApplied(profile: RuleProfile): void {
+    this.disabledTagGroups = [...profile.disabledTagGroups];
+    const clientCount = this.wsService._broadcastToAll(
+      JSON.stringify({
+        type: 'profile-applied',
+        data: { profileId: profile.id, disabledTagGroups: profile.disabledTagGroups },
+      }),
+    );
+    log.info(`Profile "${profile.name}" applied, notified ${clientCount} client(s)`);
+  }
+
+  /**
+   * Handle apply profile request from extension
+   */
+  async handleApplyProfile(profileId: string): Promise<void> {
+    if (!this.onApplyProfile) {
+      log.warn(`Cannot apply profile ${profileId} — onApplyProfile not wired yet`);
+      return;
+    }
+
+    try {
+      await this.onApplyProfile(profileId);
+    } catch (error) {
+      log.error('Error applying profile:', errorMessage(error));
+    }
+  }
+
+  /**
+   * Remember the extension's disabled tag groups so new profiles can capture them
+   */
+  handleTagGroupsChanged(disabledTagGroups: string[]): void {
+    this.disabledTagGroups = Array.isArray(disabledTagGroups) ? [...disabledTagGroups] : [];
+  }
+
+  _profilesMessage(): string {
+    return JSON.stringify({
+      type: 'profiles-update',
+      data: { profiles: this.profiles, activeProfileId: this.activeProfileId },
+    });
+  }
+}
+
+export { WSProfileHandler };
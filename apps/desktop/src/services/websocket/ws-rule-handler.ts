@@ -8,8 +8,8 @@
  * and WorkspaceStateService.
  */
 
-import type { HeaderRule, RulesCollection, Source } from '@openheaders/core';
-import { errorMessage } from '@openheaders/core';
+import type { HeaderRule, RulesCollection, ScriptRule, Source, UrlRule } from '@openheaders/core';
+import { errorMessage, findUnresolvedVariables } from '@openheaders/core';
 import WebSocket from 'ws';
 import { DATA_FORMAT_VERSION } from '@/config/version';
 import mainLogger from '@/utils/mainLogger';
@@ -143,6 +143,8 @@ class WSRuleHandler implements RuleClientSender {
     header: ProcessedHeaderRule[];
     request: RulesCollection['request'];
     response: RulesCollection['response'];
+    url: UrlRule[];
+    script: ScriptRule[];
   } {
     const clonedRules: RulesCollection = JSON.parse(JSON.stringify(rules));
     const envHandler = this.wsService.environmentHandler;
@@ -156,14 +158,27 @@ class WSRuleHandler implements RuleClientSender {
 
     const processedHeaders: ProcessedHeaderRule[] = clonedRules.header
       .map((rule): ProcessedHeaderRule | null => {
+        // Generated values are computed per request by the proxy; the extension can only send static ones
+        if (rule.generator) {
+          log.debug(`Rule "${rule.headerName}" withheld — its value is generated by the proxy`);
+          return null;
+        }
+
         const processed: ProcessedHeaderRule = { ...rule };
 
-        if (rule.hasEnvVars && environmentVariables) {
+        // Templates without variables ({{uuid()}}) still need resolving
+        const templateFields = [
+          rule.headerName,
+          ...(rule.isDynamic ? [rule.prefix, rule.suffix] : [rule.headerValue]),
+          ...rule.domains,
+        ];
+        const hasTemplates = rule.hasEnvVars || templateFields.some((field) => field?.includes('{{'));
+
+        if (hasTemplates && environmentVariables) {
           try {
-            const missingVars = rule.envVars.filter((varName) => {
-              const value = environmentVariables![varName];
-              return value === undefined || value === null || value === '';
-            });
+            const missingVars = [
+              ...new Set(templateFields.flatMap((field) => findUnresolvedVariables(field, environmentVariables!))),
+            ];
 
             if (missingVars.length > 0) {
               processed.activationState = 'waiting_for_deps';
@@ -236,7 +251,36 @@ class WSRuleHandler implements RuleClientSender {
       })
       .filter((rule): rule is ProcessedHeaderRule => rule !== null);
 
-    return { header: processedHeaders, request: clonedRules.request, response: clonedRules.response };
+    return {
+      header: processedHeaders,
+      request: clonedRules.request,
+      response: clonedRules.response,
+      url: clonedRules.url ?? [],
+      script: this._populateScriptSources(clonedRules.script ?? []),
+    };
+  }
+
+  /**
+   * Replace the code of source-backed script rules with the current source content.
+   * Rules whose source is missing, unresolved or not yet fetched are withheld so the
+   * extension never injects stale or empty code.
+   */
+  _populateScriptSources(rules: ScriptRule[]): ScriptRule[] {
+    return rules.flatMap((rule) => {
+      if (!rule.sourceId) return [rule];
+
+      const source = this.wsService.sources.find((s) => s.sourceId === rule.sourceId);
+      if (
+        !source ||
+        source.activationState === 'waiting_for_deps' ||
+        source.sourceContent === null ||
+        source.sourceContent === undefined
+      ) {
+        log.debug(`Script rule "${rule.name}" pending — source ${rule.sourceId} has no content yet`);
+        return [];
+      }
+      return [{ ...rule, code: source.sourceContent }];
+    });
   }
 
   // ──────────────────────────────────────────────
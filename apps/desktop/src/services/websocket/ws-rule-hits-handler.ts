@@ -0,0 +1,127 @@
+/**
+ * WebSocket Rule Hits Handler
+ * Keeps the per-rule hit totals browser extensions report and pushes them to renderers.
+ *
+ * Extensions send the hits counted since their previous report, so totals from
+ * several browsers add up. Totals are local to this machine: they live in
+ * rule-hits.json next to the app data, keyed by rule id, and are saved a few
+ * seconds after the last report.
+ */
+
+import path from 'node:path';
+import type { RuleHitStatsMap } from '@openheaders/core';
+import { createRuleHitStats, errorMessage, isRuleHitStats, mergeRuleHits } from '@openheaders/core';
+import atomicWriter from '@/utils/atomicFileWriter';
+import mainLogger from '@/utils/mainLogger';
+
+const { createLogger } = mainLogger;
+const log = createLogger('WSRuleHitsHandler');
+
+const SAVE_DELAY_MS = 5000;
+
+interface RuleHitsHandlerDeps {
+  appDataPath: string | null;
+  _sendToRenderers(channel: string, data: unknown): void;
+}
+
+class WSRuleHitsHandler {
+  wsService: RuleHitsHandlerDeps;
+  stats: RuleHitStatsMap = createRuleHitStats();
+  private loading: Promise<void> | null = null;
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(wsService: RuleHitsHandlerDeps) {
+    this.wsService = wsService;
+  }
+
+  _getStatsPath(): string | null {
+    return this.wsService.appDataPath ? path.join(this.wsService.appDataPath, 'rule-hits.json') : null;
+  }
+
+  /**
+   * Load saved totals. Runs once; later calls wait for the first load.
+   */
+  load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const statsPath = this._getStatsPath();
+        if (!statsPath) return;
+        try {
+          const saved = await atomicWriter.readJson<RuleHitStatsMap>(statsPath);
+          // Reports may have arrived while loading — add the saved totals to them
+          if (saved && typeof saved === 'object') mergeRuleHits(this.stats, saved);
+        } catch (error) {
+          log.error('Error loading rule hits:', errorMessage(error));
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  async getStats(): Promise<RuleHitStatsMap> {
+    await this.load();
+    return this.stats;
+  }
+
+  /**
+   * Add hits reported by an extension. Entries that are not hit stats are dropped.
+   */
+  async handleRuleHits(hits: unknown): Promise<void> {
+    if (!hits || typeof hits !== 'object' || Array.isArray(hits)) return;
+    const reported = createRuleHitStats();
+    let dropped = 0;
+    for (const [ruleId, hit] of Object.entries(hits)) {
+      if (isRuleHitStats(hit)) reported[ruleId] = hit;
+      else dropped++;
+    }
+    if (dropped > 0) log.warn(`Ignoring ${dropped} malformed rule hit entries`);
+    await this.load();
+    mergeRuleHits(this.stats, reported);
+    this.wsService._sendToRenderers('rule-hits-updated', this.stats);
+    this._scheduleSave();
+  }
+
+  /**
+   * Reset the counters of the given rules, or of every rule
+   */
+  async clearStats(ruleIds?: string[]): Promise<void> {
+    await this.load();
+    if (ruleIds) {
+      for (const ruleId of ruleIds) delete this.stats[ruleId];
+    } else {
+      this.stats = createRuleHitStats();
+    }
+    this.wsService._sendToRenderers('rule-hits-updated', this.stats);
+    await this.flush(true);
+  }
+
+  /**
+   * Write pending changes now (called on shutdown)
+   */
+  async flush(force = false): Promise<void> {
+    if (!this.saveTimer && !force) return;
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this._save();
+  }
+
+  _scheduleSave(): void {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      void this._save();
+    }, SAVE_DELAY_MS);
+  }
+
+  async _save(): Promise<void> {
+    const statsPath = this._getStatsPath();
+    if (!statsPath) return;
+    try {
+      await atomicWriter.writeJson(statsPath, this.stats, { pretty: false });
+    } catch (error) {
+      log.error('Error saving rule hits:', errorMessage(error));
+    }
+  }
+}
+
+export { WSRuleHitsHandler };
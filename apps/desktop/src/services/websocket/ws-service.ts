@@ -1,7 +1,7 @@
 // ws-service.ts - WebSocket service core: server lifecycle, message routing, public API
 
 import http from 'node:http';
-import type { AppNavigationIntent, RulesCollection, Source } from '@openheaders/core';
+import type { AppNavigationIntent, RuleHitStatsMap, RulesCollection, Source } from '@openheaders/core';
 import electron from 'electron';
 import WS, { WebSocketServer } from 'ws';
 import settingsCache from '@/services/core/SettingsCache';
@@ -10,9 +10,11 @@ import mainLogger from '@/utils/mainLogger';
 import { WSClientHandler } from './ws-client-handler';
 import { WSEnvironmentHandler } from './ws-environment-handler';
 import { WSNetworkStateHandler } from './ws-network-state';
+import { WSProfileHandler } from './ws-profile-handler';
 import type { RecordingStateSyncData, StartSyncRecordingData, StopSyncRecordingData } from './ws-recording-handler';
 import { WSRecordingHandler } from './ws-recording-handler';
 import { WSRuleHandler } from './ws-rule-handler';
+import { WSRuleHitsHandler } from './ws-rule-hits-handler';
 import { WSSourceHandler } from './ws-source-handler';
 
 const { createLogger } = mainLogger;
@@ -38,6 +40,9 @@ type WSMessage =
   | { type: 'toggleAllRules'; ruleIds: string[]; enabled: boolean }
   | { type: 'toggleVideoRecording'; enabled: boolean }
   | { type: 'deleteRule'; ruleId: string | number }
+  | { type: 'applyProfile'; profileId: string }
+  | { type: 'tagGroupsChanged'; disabledTagGroups: string[] }
+  | { type: 'ruleHits'; hits: RuleHitStatsMap }
   | { type: 'toggleRecordingHotkey'; enabled: boolean }
   | { type: 'focusApp'; navigation?: AppNavigationIntent }
   | { type: 'saveRecording' | 'saveWorkflow'; recording: unknown }
@@ -72,6 +77,8 @@ class WebSocketService {
   // Handlers
   recordingHandler: WSRecordingHandler;
   ruleHandler: WSRuleHandler;
+  ruleHitsHandler: WSRuleHitsHandler;
+  profileHandler: WSProfileHandler;
   sourceHandler: WSSourceHandler;
   environmentHandler: WSEnvironmentHandler;
   clientHandler: WSClientHandler;
@@ -98,6 +105,8 @@ class WebSocketService {
     this.recordingHandler.onFocusApp = (nav) => this._handleFocusApp(nav);
     this.recordingHandler.onNotifyRenderers = (channel, data) => this._sendToRenderers(channel, data);
     this.ruleHandler = new WSRuleHandler(this);
+    this.ruleHitsHandler = new WSRuleHitsHandler(this);
+    this.profileHandler = new WSProfileHandler(this);
     this.sourceHandler = new WSSourceHandler(this);
     this.environmentHandler = new WSEnvironmentHandler();
     this.clientHandler = new WSClientHandler(this);
@@ -241,6 +250,7 @@ class WebSocketService {
   async close(): Promise<void> {
     this._closing = true;
     this.clientHandler.stopClientCleanup();
+    await this.ruleHitsHandler.flush();
 
     this.connectedClients.clear();
     this.clientInitializationLocks.clear();
@@ -364,6 +374,15 @@ class WebSocketService {
           }
         });
         break;
+      case 'applyProfile':
+        void this.profileHandler.handleApplyProfile(data.profileId);
+        break;
+      case 'tagGroupsChanged':
+        this.profileHandler.handleTagGroupsChanged(data.disabledTagGroups);
+        break;
+      case 'ruleHits':
+        void this.ruleHitsHandler.handleRuleHits(data.hits);
+        break;
       case 'saveRecording':
       case 'saveWorkflow':
         this.recordingHandler.handleSaveRecordingMessage(ws, { type: data.type, recording: data.recording });
@@ -503,6 +522,18 @@ class WebSocketService {
     this.ruleHandler.broadcastRules();
   }
 
+  // Rule hit delegators
+  getDisabledTagGroups(): string[] {
+    return [...this.profileHandler.disabledTagGroups];
+  }
+
+  getRuleHits(): Promise<RuleHitStatsMap> {
+    return this.ruleHitsHandler.getStats();
+  }
+  clearRuleHits(ruleIds?: string[]): Promise<void> {
+    return this.ruleHitsHandler.clearStats(ruleIds);
+  }
+
   // Client delegators
   getConnectionStatus() {
     return this.clientHandler.getConnectionStatus();
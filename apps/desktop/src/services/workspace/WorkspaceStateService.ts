@@ -7,6 +7,8 @@
  *  - StateBroadcaster.ts         — pushing state to WS/proxy/renderer
  *  - SourceCrud.ts               — source + rule CRUD operations
  *  - WorkspaceCrud.ts            — workspace CRUD operations
+ *  - ProfileCrud.ts              — rule profile operations
+ *  - ChangeJournal.ts            — undo/redo and item history
  *  - types.ts                    — shared interfaces and state shape
  *
  * This file owns: lifecycle (configure/initialize/stop), auto-save,
@@ -14,35 +16,64 @@
  * submodules to the service's mutable state.
  */
 
-import type { HeaderRule, Source, SourceUpdate } from '@openheaders/core';
-import { errorMessage } from '@openheaders/core';
+import type {
+  HeaderRule,
+  HeaderRuleEvaluation,
+  PayloadRule,
+  RuleProfile,
+  RuleSimulationRequest,
+  ScriptRule,
+  Source,
+  SourceUpdate,
+  UrlRule,
+} from '@openheaders/core';
+import { errorMessage, simulateHeaderRules } from '@openheaders/core';
 import electron from 'electron';
 import type { EnvironmentMap } from '@/types/environment';
 import { cloneEnvironmentMap } from '@/types/environment';
+import type { HistoryCollection, HistoryEntrySummary, HistoryJournal } from '@/types/history';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceMetadata, WorkspaceSyncStatus, WorkspaceType } from '@/types/workspace';
 import mainLogger from '@/utils/mainLogger';
 import {
+  broadcastProfiles,
   // Broadcasting
   broadcastToServices,
   addHeaderRule as crudAddHeaderRule,
+  addPayloadRule as crudAddPayloadRule,
   addProxyRule as crudAddProxyRule,
+  addScriptRule as crudAddScriptRule,
   // Source CRUD
   addSource as crudAddSource,
+  addUrlRule as crudAddUrlRule,
+  // Profiles
+  applyProfile as crudApplyProfile,
   copyWorkspaceData as crudCopyWorkspaceData,
+  createProfile as crudCreateProfile,
   // Workspace CRUD
   createWorkspace as crudCreateWorkspace,
+  deleteProfile as crudDeleteProfile,
   deleteWorkspace as crudDeleteWorkspace,
+  importProfiles as crudImportProfiles,
   importSources as crudImportSources,
+  recaptureProfile as crudRecaptureProfile,
   refreshSource as crudRefreshSource,
   removeHeaderRule as crudRemoveHeaderRule,
+  removeHeaderRulesBatch as crudRemoveHeaderRulesBatch,
+  removePayloadRule as crudRemovePayloadRule,
   removeProxyRule as crudRemoveProxyRule,
+  removeScriptRule as crudRemoveScriptRule,
   removeSource as crudRemoveSource,
+  removeUrlRule as crudRemoveUrlRule,
   syncWorkspace as crudSyncWorkspace,
   updateHeaderRule as crudUpdateHeaderRule,
   updateHeaderRulesBatch as crudUpdateHeaderRulesBatch,
+  updatePayloadRule as crudUpdatePayloadRule,
+  updateProfile as crudUpdateProfile,
+  updateScriptRule as crudUpdateScriptRule,
   updateSource as crudUpdateSource,
   updateSourceFetchResult as crudUpdateSourceFetchResult,
+  updateUrlRule as crudUpdateUrlRule,
   updateWorkspace as crudUpdateWorkspace,
   type DirtyFlags,
   type EnvironmentResolverLike,
@@ -50,22 +81,34 @@ import {
   // Source dependencies
   evaluateAllSourceDependencies,
   extractVariablesFromSource,
+  redo as journalRedo,
+  restoreItem as journalRestoreItem,
+  undo as journalUndo,
   loadEnvironments,
+  loadHistory,
+  loadProfiles,
   loadProxyRules,
   loadRules,
   loadSources,
   // Persistence
   loadWorkspacesConfig,
+  type ProfileInput,
+  type ProfileUpdate,
   type ProxyServiceLike,
   saveEnvironments as persistEnvironments,
+  saveHistory as persistHistory,
+  saveProfiles as persistProfiles,
   saveProxyRules as persistProxyRules,
   saveRules as persistRules,
   saveSources as persistSources,
   saveWorkspacesConfig as persistWorkspacesConfig,
+  // Change history
+  recordChanges,
   type SourceRefreshServiceLike,
   type StateContext,
   sendPatchToRenderers,
   sendProgressToRenderers,
+  summarizeJournal,
   syncToRefreshService,
   type WebSocketServiceLike,
   type WorkspaceState,
@@ -77,6 +120,9 @@ import type { SyncData } from './sync/types';
 const { createLogger } = mainLogger;
 const log = createLogger('WorkspaceStateService');
 
+/** Collections a profile can touch when applied */
+const RULE_COLLECTIONS: HistoryCollection[] = ['headerRules', 'payloadRules', 'urlRules', 'scriptRules'];
+
 // Re-export for consumers that import the type from this module
 export type { WorkspaceState } from './state';
 
@@ -91,6 +137,9 @@ class WorkspaceStateService {
   private sourceRefreshService: SourceRefreshServiceLike | null = null;
   private syncScheduler: WorkspaceSyncSchedulerLike | null = null;
 
+  /** Called whenever the profile list or active profile changes (tray menu) */
+  onProfilesChanged: ((profiles: RuleProfile[], activeProfileId: string | null) => void) | null = null;
+
   // Auto-save
   private dirty: DirtyFlags = {
     sources: false,
@@ -98,7 +147,10 @@ class WorkspaceStateService {
     proxyRules: false,
     workspaces: false,
     environments: false,
+    profiles: false,
+    history: false,
   };
+  private journal: HistoryJournal = { entries: [], cursor: 0 };
   private autoSaveTimer: ReturnType<typeof setInterval> | null = null;
   private isSaving = false;
   private debounceSaveTimer: ReturnType<typeof setTimeout> | null = null;
@@ -130,6 +182,9 @@ class WorkspaceStateService {
       proxyRules: [],
       environments: { Default: {} },
       activeEnvironment: 'Default',
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
     };
     this.configReady = new Promise((resolve) => {
       this._resolveConfigReady = resolve;
@@ -149,11 +204,17 @@ class WorkspaceStateService {
       envResolver: this.envResolver,
       sourceRefreshService: this.sourceRefreshService,
       syncScheduler: this.syncScheduler,
+      journal: this.journal,
       scheduleDebouncedSave: () => this.scheduleDebouncedSave(),
       saveAll: () => this.saveAll(),
       saveSources: () => this.saveSources(),
       saveEnvironments: () => this.saveEnvironments(),
+      saveProfiles: () => this.saveProfiles(),
       saveWorkspacesConfig: () => this.saveWorkspacesConfig(),
+      switchEnvironment: (name) => this.switchEnvironment(name),
+      refreshEnvironmentVariables: () =>
+        this.onEnvironmentVariablesChanged(this.state.environments[this.state.activeEnvironment] ?? {}),
+      broadcastProfiles: () => this.broadcastProfiles(),
       loadWorkspaceData: (id) => this.loadWorkspaceData(id),
       updateWorkspaceMetadataInMemory: (id, m) => this.updateWorkspaceMetadataInMemory(id, m),
     };
@@ -214,17 +275,24 @@ class WorkspaceStateService {
       // We inline the disk-read portion here instead of calling
       // loadWorkspaceData() which also broadcasts. Broadcasting
       // requires services — handled in Phase 2 below.
-      const [sources, rules, proxyRules] = await Promise.all([
+      const [sources, rules, proxyRules, profileData, journal] = await Promise.all([
         loadSources(this.appDataPath, this.state.activeWorkspaceId),
         loadRules(this.appDataPath, this.state.activeWorkspaceId),
         loadProxyRules(this.appDataPath, this.state.activeWorkspaceId),
+        loadProfiles(this.appDataPath, this.state.activeWorkspaceId),
+        loadHistory(this.appDataPath, this.state.activeWorkspaceId),
       ]);
       this.state.rules = rules;
       this.state.proxyRules = proxyRules;
+      this.state.profiles = profileData.profiles;
+      this.state.activeProfileId = profileData.activeProfileId;
+      this.setJournal(journal);
       this.dirty.sources = false;
       this.dirty.rules = false;
       this.dirty.proxyRules = false;
       this.dirty.environments = false;
+      this.dirty.profiles = false;
+      this.dirty.history = false;
 
       this.state.loading = false;
       sendPatchToRenderers(this.state, [
@@ -236,6 +304,9 @@ class WorkspaceStateService {
         'proxyRules',
         'environments',
         'activeEnvironment',
+        'profiles',
+        'activeProfileId',
+        'history',
       ]);
 
       log.info(
@@ -257,7 +328,12 @@ class WorkspaceStateService {
       this.applyActiveEnvVarsToServices();
       this.state.sources = evaluateAllSourceDependencies(sources, this.envResolver);
 
-      const totalRules = rules.header.length + rules.request.length + rules.response.length;
+      const totalRules =
+        rules.header.length +
+        rules.request.length +
+        rules.response.length +
+        (rules.url?.length ?? 0) +
+        (rules.script?.length ?? 0);
       this.updateWorkspaceMetadataInMemory(this.state.activeWorkspaceId, {
         sourceCount: this.state.sources.length,
         ruleCount: totalRules,
@@ -266,6 +342,7 @@ class WorkspaceStateService {
       });
 
       broadcastToServices(this.state, this.webSocketService, this.proxyService);
+      this.broadcastProfiles();
       syncToRefreshService(this.state.sources, this.sourceRefreshService);
 
       // Activate sync scheduling for the initial workspace. On boot there
@@ -304,24 +381,57 @@ class WorkspaceStateService {
     return { ...this.state };
   }
 
+  /** Tag groups the connected extension last reported as disabled */
+  getDisabledTagGroups(): string[] {
+    return [...(this.webSocketService?.profileHandler.disabledTagGroups ?? [])];
+  }
+
+  /**
+   * Evaluate the workspace's header rules against a request, with the active
+   * environment's variables and the current source content. Tag groups default
+   * to the ones the extension has disabled.
+   */
+  simulateHeaderRules(
+    request: RuleSimulationRequest,
+    disabledTagGroups: string[] = this.getDisabledTagGroups(),
+  ): HeaderRuleEvaluation[] {
+    return simulateHeaderRules(this.state.rules.header, request, {
+      environmentVariables: this.envResolver?.loadEnvironmentVariables() ?? {},
+      sources: this.state.sources,
+      disabledTagGroups,
+    });
+  }
+
   // ── Workspace data loading ────────────────────────────────────
 
   private async loadWorkspaceData(workspaceId: string): Promise<void> {
-    const [sources, rules, proxyRules] = await Promise.all([
+    const [sources, rules, proxyRules, profileData, journal] = await Promise.all([
       loadSources(this.appDataPath, workspaceId),
       loadRules(this.appDataPath, workspaceId),
       loadProxyRules(this.appDataPath, workspaceId),
+      loadProfiles(this.appDataPath, workspaceId),
+      loadHistory(this.appDataPath, workspaceId),
     ]);
 
     this.state.sources = evaluateAllSourceDependencies(sources, this.envResolver);
     this.state.rules = rules;
     this.state.proxyRules = proxyRules;
+    this.state.profiles = profileData.profiles;
+    this.state.activeProfileId = profileData.activeProfileId;
+    this.setJournal(journal);
     this.dirty.sources = false;
     this.dirty.rules = false;
     this.dirty.proxyRules = false;
     this.dirty.environments = false;
+    this.dirty.profiles = false;
+    this.dirty.history = false;
 
-    const totalRules = rules.header.length + rules.request.length + rules.response.length;
+    const totalRules =
+      rules.header.length +
+      rules.request.length +
+      rules.response.length +
+      (rules.url?.length ?? 0) +
+      (rules.script?.length ?? 0);
     this.updateWorkspaceMetadataInMemory(workspaceId, {
       sourceCount: this.state.sources.length,
       ruleCount: totalRules,
@@ -330,6 +440,7 @@ class WorkspaceStateService {
     });
 
     broadcastToServices(this.state, this.webSocketService, this.proxyService);
+    this.broadcastProfiles();
     syncToRefreshService(this.state.sources, this.sourceRefreshService);
     log.info(
       `Loaded workspace ${workspaceId}: ${this.state.sources.length} sources, ${totalRules} rules, ${proxyRules.length} proxy rules`,
@@ -357,6 +468,17 @@ class WorkspaceStateService {
     });
     this.dirty.environments = false;
   }
+  private async saveProfiles(): Promise<void> {
+    await persistProfiles(this.appDataPath, this.state.activeWorkspaceId, {
+      profiles: this.state.profiles,
+      activeProfileId: this.state.activeProfileId,
+    });
+    this.dirty.profiles = false;
+  }
+  private async saveHistory(): Promise<void> {
+    await persistHistory(this.appDataPath, this.state.activeWorkspaceId, this.journal);
+    this.dirty.history = false;
+  }
   private async saveWorkspacesConfig(): Promise<void> {
     await persistWorkspacesConfig(this.appDataPath, {
       workspaces: this.state.workspaces,
@@ -375,6 +497,8 @@ class WorkspaceStateService {
       if (this.dirty.rules) saves.push(this.saveRules());
       if (this.dirty.proxyRules) saves.push(this.saveProxyRules());
       if (this.dirty.environments) saves.push(this.saveEnvironments());
+      if (this.dirty.profiles) saves.push(this.saveProfiles());
+      if (this.dirty.history) saves.push(this.saveHistory());
       if (this.dirty.workspaces) saves.push(this.saveWorkspacesConfig());
       if (saves.length > 0) {
         await Promise.all(saves);
@@ -397,6 +521,8 @@ class WorkspaceStateService {
           this.dirty.rules ||
           this.dirty.proxyRules ||
           this.dirty.environments ||
+          this.dirty.profiles ||
+          this.dirty.history ||
           this.dirty.workspaces) &&
         !this.state.isWorkspaceSwitching
       ) {
@@ -461,6 +587,9 @@ class WorkspaceStateService {
     this.state.sources = [];
     this.state.rules = { header: [], request: [], response: [] };
     this.state.proxyRules = [];
+    this.state.profiles = [];
+    this.state.activeProfileId = null;
+    this.setJournal({ entries: [], cursor: 0 });
 
     if (this.envResolver) this.envResolver.clearVariableCache();
     if (this.proxyService) {
@@ -537,6 +666,9 @@ class WorkspaceStateService {
       'isWorkspaceSwitching',
       'environments',
       'activeEnvironment',
+      'profiles',
+      'activeProfileId',
+      'history',
     ]);
     sendProgressToRenderers('complete', 100, `Successfully switched to "${workspaceName}"`, false, target);
 
@@ -569,6 +701,9 @@ class WorkspaceStateService {
       'error',
       'environments',
       'activeEnvironment',
+      'profiles',
+      'activeProfileId',
+      'history',
     ]);
   }
 
@@ -597,13 +732,13 @@ class WorkspaceStateService {
   // ── Source + Rule CRUD (delegated) ────────────────────────────
 
   async addSource(sourceData: Source): Promise<Source> {
-    return crudAddSource(this.ctx, sourceData);
+    return this.journaled('Add source', ['sources'], () => crudAddSource(this.ctx, sourceData));
   }
   async updateSource(sourceId: string, updates: SourceUpdate): Promise<Source | null> {
-    return crudUpdateSource(this.ctx, sourceId, updates);
+    return this.journaled('Edit source', ['sources'], () => crudUpdateSource(this.ctx, sourceId, updates));
   }
   async removeSource(sourceId: string): Promise<void> {
-    return crudRemoveSource(this.ctx, sourceId);
+    return this.journaled('Delete source', ['sources'], () => crudRemoveSource(this.ctx, sourceId));
   }
   async updateSourceContent(sourceId: string, content: string): Promise<void> {
     await crudUpdateSource(this.ctx, sourceId, { sourceContent: content });
@@ -621,28 +756,60 @@ class WorkspaceStateService {
     return crudUpdateSourceFetchResult(this.ctx, sourceId, result);
   }
   async importSources(newSources: Source[], replace: boolean): Promise<void> {
-    return crudImportSources(this.ctx, newSources, replace);
+    return this.journaled('Import sources', ['sources'], () => crudImportSources(this.ctx, newSources, replace));
   }
   async refreshSource(sourceId: string): Promise<boolean> {
     return crudRefreshSource(this.ctx, sourceId);
   }
   async addHeaderRule(ruleData: Partial<HeaderRule>): Promise<void> {
-    return crudAddHeaderRule(this.ctx, ruleData);
+    return this.journaled('Add header rule', ['headerRules'], () => crudAddHeaderRule(this.ctx, ruleData));
   }
   async updateHeaderRule(ruleId: string, updates: Partial<HeaderRule>): Promise<void> {
-    return crudUpdateHeaderRule(this.ctx, ruleId, updates);
+    return this.journaled('Edit header rule', ['headerRules'], () => crudUpdateHeaderRule(this.ctx, ruleId, updates));
   }
   async updateHeaderRulesBatch(updates: Array<{ ruleId: string; changes: Partial<HeaderRule> }>): Promise<void> {
-    return crudUpdateHeaderRulesBatch(this.ctx, updates);
+    return this.journaled('Edit header rules', ['headerRules'], () => crudUpdateHeaderRulesBatch(this.ctx, updates));
   }
   async removeHeaderRule(ruleId: string): Promise<void> {
-    return crudRemoveHeaderRule(this.ctx, ruleId);
+    return this.journaled('Delete header rule', ['headerRules'], () => crudRemoveHeaderRule(this.ctx, ruleId));
+  }
+  async removeHeaderRulesBatch(ruleIds: string[]): Promise<void> {
+    return this.journaled('Delete header rules', ['headerRules'], () => crudRemoveHeaderRulesBatch(this.ctx, ruleIds));
+  }
+  async addPayloadRule(ruleData: Partial<PayloadRule>): Promise<void> {
+    return this.journaled('Add payload rule', ['payloadRules'], () => crudAddPayloadRule(this.ctx, ruleData));
+  }
+  async updatePayloadRule(ruleId: string, updates: Partial<PayloadRule>): Promise<void> {
+    return this.journaled('Edit payload rule', ['payloadRules'], () =>
+      crudUpdatePayloadRule(this.ctx, ruleId, updates),
+    );
+  }
+  async removePayloadRule(ruleId: string): Promise<void> {
+    return this.journaled('Delete payload rule', ['payloadRules'], () => crudRemovePayloadRule(this.ctx, ruleId));
+  }
+  async addUrlRule(ruleData: Partial<UrlRule>): Promise<void> {
+    return this.journaled('Add URL rule', ['urlRules'], () => crudAddUrlRule(this.ctx, ruleData));
+  }
+  async updateUrlRule(ruleId: string, updates: Partial<UrlRule>): Promise<void> {
+    return this.journaled('Edit URL rule', ['urlRules'], () => crudUpdateUrlRule(this.ctx, ruleId, updates));
+  }
+  async removeUrlRule(ruleId: string): Promise<void> {
+    return this.journaled('Delete URL rule', ['urlRules'], () => crudRemoveUrlRule(this.ctx, ruleId));
+  }
+  async addScriptRule(ruleData: Partial<ScriptRule>): Promise<void> {
+    return this.journaled('Add script rule', ['scriptRules'], () => crudAddScriptRule(this.ctx, ruleData));
+  }
+  async updateScriptRule(ruleId: string, updates: Partial<ScriptRule>): Promise<void> {
+    return this.journaled('Edit script rule', ['scriptRules'], () => crudUpdateScriptRule(this.ctx, ruleId, updates));
+  }
+  async removeScriptRule(ruleId: string): Promise<void> {
+    return this.journaled('Delete script rule', ['scriptRules'], () => crudRemoveScriptRule(this.ctx, ruleId));
   }
   async addProxyRule(ruleData: ProxyRule): Promise<void> {
-    return crudAddProxyRule(this.ctx, ruleData);
+    return this.journaled('Add proxy rule', ['proxyRules'], () => crudAddProxyRule(this.ctx, ruleData));
   }
   async removeProxyRule(ruleId: string): Promise<void> {
-    return crudRemoveProxyRule(this.ctx, ruleId);
+    return this.journaled('Delete proxy rule', ['proxyRules'], () => crudRemoveProxyRule(this.ctx, ruleId));
   }
 
   // ── Workspace CRUD (delegated) ────────────────────────────────
@@ -665,6 +832,57 @@ class WorkspaceStateService {
     return crudCopyWorkspaceData(this.ctx, sourceWorkspaceId, targetWorkspaceId);
   }
 
+  // ── Rule profiles (delegated) ─────────────────────────────────
+
+  getProfiles(): { profiles: RuleProfile[]; activeProfileId: string | null } {
+    return { profiles: this.state.profiles, activeProfileId: this.state.activeProfileId };
+  }
+  async createProfile(input: ProfileInput): Promise<RuleProfile> {
+    return crudCreateProfile(this.ctx, input);
+  }
+  async updateProfile(profileId: string, updates: ProfileUpdate): Promise<RuleProfile> {
+    return crudUpdateProfile(this.ctx, profileId, updates);
+  }
+  async recaptureProfile(profileId: string): Promise<RuleProfile> {
+    return crudRecaptureProfile(this.ctx, profileId);
+  }
+  async deleteProfile(profileId: string): Promise<void> {
+    return crudDeleteProfile(this.ctx, profileId);
+  }
+  async importProfiles(profiles: RuleProfile[], replace: boolean): Promise<{ imported: number; skipped: number }> {
+    return crudImportProfiles(this.ctx, profiles, replace);
+  }
+  async applyProfile(profileId: string): Promise<void> {
+    const name = this.state.profiles.find((p) => p.id === profileId)?.name ?? profileId;
+    return this.journaled(`Apply profile ${name}`, RULE_COLLECTIONS, () => crudApplyProfile(this.ctx, profileId));
+  }
+
+  private broadcastProfiles(): void {
+    broadcastProfiles(this.state, this.webSocketService);
+    this.onProfilesChanged?.(this.state.profiles, this.state.activeProfileId);
+  }
+
+  // ── Change history (delegated) ────────────────────────────────
+
+  /** Run a mutation and record the items it changed in the change journal. */
+  private journaled<T>(description: string, collections: HistoryCollection[], mutate: () => Promise<T>): Promise<T> {
+    return recordChanges(this.ctx, description, collections, mutate);
+  }
+  async undo(): Promise<HistoryEntrySummary | null> {
+    return journalUndo(this.ctx);
+  }
+  async redo(): Promise<HistoryEntrySummary | null> {
+    return journalRedo(this.ctx);
+  }
+  async restoreHistoryItem(entryId: string, changeIndex: number): Promise<void> {
+    return journalRestoreItem(this.ctx, entryId, changeIndex);
+  }
+
+  private setJournal(journal: HistoryJournal): void {
+    this.journal = journal;
+    this.state.history = summarizeJournal(journal);
+  }
+
   // ── Source dependency activation ──────────────────────────────
 
   async activateReadySources(): Promise<number> {
@@ -752,9 +970,23 @@ class WorkspaceStateService {
       this.applyActiveEnvVarsToServices();
     }
 
+    // Profiles: remote wins; the active profile is local and kept if it still exists
+    if (data.profiles && Array.isArray(data.profiles)) {
+      this.state.profiles = data.profiles;
+      if (!data.profiles.some((p) => p.id === this.state.activeProfileId)) {
+        this.state.activeProfileId = null;
+      }
+      this.dirty.profiles = true;
+      this.broadcastProfiles();
+    }
+
     // Update metadata + broadcast to WS/proxy/renderer
     const totalRules =
-      this.state.rules.header.length + this.state.rules.request.length + this.state.rules.response.length;
+      this.state.rules.header.length +
+      this.state.rules.request.length +
+      this.state.rules.response.length +
+      (this.state.rules.url?.length ?? 0) +
+      (this.state.rules.script?.length ?? 0);
     this.updateWorkspaceMetadataInMemory(workspaceId, {
       sourceCount: this.state.sources.length,
       ruleCount: totalRules,
@@ -821,40 +1053,44 @@ class WorkspaceStateService {
   }
 
   async createEnvironment(name: string): Promise<void> {
-    if (this.state.environments[name]) {
-      throw new Error(`Environment '${name}' already exists`);
-    }
-    this.state.environments = { ...this.state.environments, [name]: {} };
-    this.dirty.environments = true;
-    await this.saveEnvironments();
-    sendPatchToRenderers(this.state, ['environments']);
-    log.info(`Created environment: ${name}`);
+    return this.journaled(`Create environment ${name}`, ['environments'], async () => {
+      if (this.state.environments[name]) {
+        throw new Error(`Environment '${name}' already exists`);
+      }
+      this.state.environments = { ...this.state.environments, [name]: {} };
+      this.dirty.environments = true;
+      await this.saveEnvironments();
+      sendPatchToRenderers(this.state, ['environments']);
+      log.info(`Created environment: ${name}`);
+    });
   }
 
   async deleteEnvironment(name: string): Promise<void> {
-    if (name === 'Default') {
-      throw new Error('Cannot delete Default environment');
-    }
-    if (!this.state.environments[name]) {
-      throw new Error(`Environment '${name}' does not exist`);
-    }
-    const { [name]: _deleted, ...remaining } = this.state.environments;
-    this.state.environments = remaining;
-    this.dirty.environments = true;
+    return this.journaled(`Delete environment ${name}`, ['environments'], async () => {
+      if (name === 'Default') {
+        throw new Error('Cannot delete Default environment');
+      }
+      if (!this.state.environments[name]) {
+        throw new Error(`Environment '${name}' does not exist`);
+      }
+      const { [name]: _deleted, ...remaining } = this.state.environments;
+      this.state.environments = remaining;
+      this.dirty.environments = true;
 
-    const wasActive = this.state.activeEnvironment === name;
-    if (wasActive) {
-      this.state.activeEnvironment = 'Default';
-    }
+      const wasActive = this.state.activeEnvironment === name;
+      if (wasActive) {
+        this.state.activeEnvironment = 'Default';
+      }
 
-    await this.saveEnvironments();
-    sendPatchToRenderers(this.state, ['environments', 'activeEnvironment']);
+      await this.saveEnvironments();
+      sendPatchToRenderers(this.state, ['environments', 'activeEnvironment']);
 
-    if (wasActive) {
-      const activeVars = this.state.environments.Default ?? {};
-      await this.onEnvironmentVariablesChanged(activeVars);
-    }
-    log.info(`Deleted environment: ${name}`);
+      if (wasActive) {
+        const activeVars = this.state.environments.Default ?? {};
+        await this.onEnvironmentVariablesChanged(activeVars);
+      }
+      log.info(`Deleted environment: ${name}`);
+    });
   }
 
   async switchEnvironment(name: string): Promise<void> {
@@ -874,50 +1110,58 @@ class WorkspaceStateService {
   }
 
   async setVariable(name: string, value: string | null, environment: string, isSecret: boolean): Promise<void> {
-    if (!this.state.environments[environment]) {
-      throw new Error(`Environment '${environment}' does not exist`);
-    }
+    return this.journaled(
+      `${value === null || value === '' ? 'Remove' : 'Set'} ${name} in ${environment}`,
+      ['environments'],
+      async () => {
+        if (!this.state.environments[environment]) {
+          throw new Error(`Environment '${environment}' does not exist`);
+        }
 
-    const envCopy = { ...this.state.environments[environment] };
-    if (value === null || value === '') {
-      delete envCopy[name];
-    } else {
-      envCopy[name] = { value, isSecret, updatedAt: new Date().toISOString() };
-    }
-    this.state.environments = { ...this.state.environments, [environment]: envCopy };
-    this.dirty.environments = true;
-    await this.saveEnvironments();
-    sendPatchToRenderers(this.state, ['environments']);
+        const envCopy = { ...this.state.environments[environment] };
+        if (value === null || value === '') {
+          delete envCopy[name];
+        } else {
+          envCopy[name] = { value, isSecret, updatedAt: new Date().toISOString() };
+        }
+        this.state.environments = { ...this.state.environments, [environment]: envCopy };
+        this.dirty.environments = true;
+        await this.saveEnvironments();
+        sendPatchToRenderers(this.state, ['environments']);
 
-    if (environment === this.state.activeEnvironment) {
-      await this.onEnvironmentVariablesChanged(this.state.environments[environment]);
-    }
+        if (environment === this.state.activeEnvironment) {
+          await this.onEnvironmentVariablesChanged(this.state.environments[environment]);
+        }
+      },
+    );
   }
 
   async batchSetVariables(
     environment: string,
     variables: Array<{ name: string; value: string | null; isSecret?: boolean }>,
   ): Promise<void> {
-    if (!this.state.environments[environment]) {
-      throw new Error(`Environment '${environment}' does not exist`);
-    }
+    return this.journaled(`Edit variables in ${environment}`, ['environments'], async () => {
+      if (!this.state.environments[environment]) {
+        throw new Error(`Environment '${environment}' does not exist`);
+      }
 
-    const envCopy = { ...this.state.environments[environment] };
-    for (const { name, value, isSecret } of variables) {
-      if (value === null || value === '') {
-        delete envCopy[name];
-      } else {
-        envCopy[name] = { value, isSecret: isSecret ?? false, updatedAt: new Date().toISOString() };
+      const envCopy = { ...this.state.environments[environment] };
+      for (const { name, value, isSecret } of variables) {
+        if (value === null || value === '') {
+          delete envCopy[name];
+        } else {
+          envCopy[name] = { value, isSecret: isSecret ?? false, updatedAt: new Date().toISOString() };
+        }
       }
-    }
-    this.state.environments = { ...this.state.environments, [environment]: envCopy };
-    this.dirty.environments = true;
-    await this.saveEnvironments();
-    sendPatchToRenderers(this.state, ['environments']);
+      this.state.environments = { ...this.state.environments, [environment]: envCopy };
+      this.dirty.environments = true;
+      await this.saveEnvironments();
+      sendPatchToRenderers(this.state, ['environments']);
 
-    if (environment === this.state.activeEnvironment) {
-      await this.onEnvironmentVariablesChanged(this.state.environments[environment]);
-    }
+      if (environment === this.state.activeEnvironment) {
+        await this.onEnvironmentVariablesChanged(this.state.environments[environment]);
+      }
+    });
   }
 
   /**
@@ -931,23 +1175,25 @@ class WorkspaceStateService {
   async importEnvironments(
     incoming: Record<string, Record<string, { value: string; isSecret: boolean }>>,
   ): Promise<void> {
-    const merged = cloneEnvironmentMap(this.state.environments);
-    for (const [envName, variables] of Object.entries(incoming)) {
-      if (!merged[envName]) {
-        merged[envName] = {};
-      }
-      for (const [varName, varData] of Object.entries(variables)) {
-        merged[envName][varName] = { ...varData };
+    return this.journaled('Import environments', ['environments'], async () => {
+      const merged = cloneEnvironmentMap(this.state.environments);
+      for (const [envName, variables] of Object.entries(incoming)) {
+        if (!merged[envName]) {
+          merged[envName] = {};
+        }
+        for (const [varName, varData] of Object.entries(variables)) {
+          merged[envName][varName] = { ...varData };
+        }
       }
-    }
-    this.state.environments = merged;
-    this.dirty.environments = true;
-    await this.saveEnvironments();
-    sendPatchToRenderers(this.state, ['environments']);
+      this.state.environments = merged;
+      this.dirty.environments = true;
+      await this.saveEnvironments();
+      sendPatchToRenderers(this.state, ['environments']);
 
-    // Re-evaluate source dependencies with the updated active environment vars
-    const activeVars = this.state.environments[this.state.activeEnvironment] ?? {};
-    await this.onEnvironmentVariablesChanged(activeVars);
+      // Re-evaluate source dependencies with the updated active environment vars
+      const activeVars = this.state.environments[this.state.activeEnvironment] ?? {};
+      await this.onEnvironmentVariablesChanged(activeVars);
+    });
   }
 
   // ── Environment variable changes ────────────────────────────
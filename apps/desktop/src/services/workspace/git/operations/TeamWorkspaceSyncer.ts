@@ -5,7 +5,7 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
-import type { RulesCollection, Source } from '@openheaders/core';
+import type { RuleProfile, RulesCollection, Source } from '@openheaders/core';
 import { glob } from 'glob';
 import type { ConfigFileValidator, ConfigPaths } from '@/services/workspace/config-file-validator';
 import type { GitExecutor } from '@/services/workspace/git/core/GitExecutor';
@@ -81,6 +81,7 @@ interface ConfigFileJson {
   proxyRules?: ProxyRule[];
   environmentSchema?: EnvironmentSchema;
   environments?: EnvironmentMap;
+  profiles?: RuleProfile[];
 }
 
 interface WorkspaceConfigData {
@@ -89,6 +90,7 @@ interface WorkspaceConfigData {
   proxyRules: ProxyRule[];
   environmentSchema?: EnvironmentSchema;
   environments?: EnvironmentMap;
+  profiles?: RuleProfile[];
 }
 
 interface SyncResult {
@@ -775,6 +777,7 @@ class TeamWorkspaceSyncer {
         proxyRules: configData.proxyRules ?? [],
         environmentSchema: configData.environmentSchema,
         environments: configData.environments,
+        profiles: configData.profiles,
       };
 
       const totalRules = rules.header.length + rules.request.length + rules.response.length;
@@ -0,0 +1,362 @@
+/**
+ * ChangeJournal — undo/redo and item history for workspace data.
+ *
+ * Mutations run through recordChanges(), which snapshots the affected
+ * collections before and after and stores the items that differ as one
+ * journal entry. Undo/redo replay an entry's before/after snapshots;
+ * restoreItem() brings back a single item's earlier version as a new entry.
+ *
+ * The journal lives in ctx.journal (persisted to history.json); renderers only
+ * receive the snapshot-free summary in state.history.
+ */
+
+import { randomUUID } from 'node:crypto';
+import type { HeaderRule, PayloadRule, RulesCollection, ScriptRule, Source, UrlRule } from '@openheaders/core';
+import { errorMessage } from '@openheaders/core';
+import type { EnvironmentVariables } from '@/types/environment';
+import type {
+  HistoryCollection,
+  HistoryEntry,
+  HistoryEntrySummary,
+  HistoryItem,
+  HistoryItemChange,
+  HistoryJournal,
+  HistoryState,
+} from '@/types/history';
+import type { ProxyRule } from '@/types/proxy';
+import mainLogger from '@/utils/mainLogger';
+import { broadcastToServices, sendPatchToRenderers } from './StateBroadcaster';
+import type { StateContext, WorkspaceState } from './types';
+
+const { createLogger } = mainLogger;
+const log = createLogger('ChangeJournal');
+
+/** Oldest entries are dropped beyond this many */
+export const MAX_HISTORY_ENTRIES = 100;
+
+type RuleCollection = 'headerRules' | 'payloadRules' | 'urlRules' | 'scriptRules';
+type AnyRule = HeaderRule | PayloadRule | UrlRule | ScriptRule;
+
+const RULE_KEYS: Record<RuleCollection, keyof RulesCollection> = {
+  headerRules: 'header',
+  payloadRules: 'request',
+  urlRules: 'url',
+  scriptRules: 'script',
+};
+
+/** Source fields written by fetches and dependency checks rather than by the user */
+const VOLATILE_SOURCE_FIELDS: ReadonlyArray<keyof Source> = [
+  'updatedAt',
+  'refreshStatus',
+  'activationState',
+  'missingDependencies',
+  'needsInitialFetch',
+  'isFiltered',
+  'filteredWith',
+  'originalResponse',
+  'responseHeaders',
+];
+
+// ── Snapshots and diffing ─────────────────────────────────────────
+
+function isRuleCollection(collection: HistoryCollection): collection is RuleCollection {
+  return collection in RULE_KEYS;
+}
+
+function collectionItems(state: WorkspaceState, collection: HistoryCollection): Array<[string, HistoryItem]> {
+  if (collection === 'sources') return state.sources.map((s) => [s.sourceId, s]);
+  if (collection === 'proxyRules') return state.proxyRules.map((r) => [r.id, r]);
+  if (collection === 'environments') return Object.entries(state.environments);
+  const rules = (state.rules[RULE_KEYS[collection]] ?? []) as AnyRule[];
+  return rules.map((r) => [r.id, r]);
+}
+
+function snapshot(state: WorkspaceState, collection: HistoryCollection): Map<string, HistoryItem> {
+  return new Map(collectionItems(state, collection).map(([id, item]) => [id, structuredClone(item)]));
+}
+
+/** Serialize an item without the fields that change on their own, for equality checks. */
+function comparable(collection: HistoryCollection, item: HistoryItem): string {
+  if (collection === 'sources') {
+    const source: Record<string, unknown> = { ...(item as Source) };
+    for (const field of VOLATILE_SOURCE_FIELDS) delete source[field];
+    // HTTP source content is fetched, not edited
+    if (source.sourceType === 'http') delete source.sourceContent;
+    if (source.refreshOptions) {
+      const { lastRefresh: _l, nextRefresh: _n, ...refreshOptions } = (item as Source).refreshOptions ?? {};
+      source.refreshOptions = refreshOptions;
+    }
+    return JSON.stringify(source);
+  }
+  if (collection === 'environments') {
+    const vars = Object.entries(item as EnvironmentVariables).map(([name, v]) => [name, v.value, v.isSecret]);
+    return JSON.stringify(vars);
+  }
+  const rule: Record<string, unknown> = { ...(item as AnyRule | ProxyRule) };
+  delete rule.updatedAt;
+  return JSON.stringify(rule);
+}
+
+function itemLabel(collection: HistoryCollection, itemId: string, item: HistoryItem): string {
+  if (collection === 'environments') return itemId;
+  if (collection === 'sources') {
+    const source = item as Source;
+    return source.sourceName || source.sourcePath || `Source ${itemId}`;
+  }
+  if (collection === 'proxyRules') {
+    const rule = item as ProxyRule;
+    return rule.name || rule.headerName || `Proxy rule ${itemId}`;
+  }
+  const rule = item as AnyRule;
+  return rule.name || ('headerName' in rule && rule.headerName) || `Rule ${itemId}`;
+}
+
+export function diffCollection(
+  collection: HistoryCollection,
+  before: Map<string, HistoryItem>,
+  after: Map<string, HistoryItem>,
+): HistoryItemChange[] {
+  const changes: HistoryItemChange[] = [];
+  for (const [itemId, prev] of before) {
+    const next = after.get(itemId);
+    if (!next) {
+      changes.push({
+        collection,
+        operation: 'delete',
+        itemId,
+        label: itemLabel(collection, itemId, prev),
+        before: prev,
+        after: null,
+      });
+    } else if (comparable(collection, prev) !== comparable(collection, next)) {
+      changes.push({
+        collection,
+        operation: 'update',
+        itemId,
+        label: itemLabel(collection, itemId, next),
+        before: prev,
+        after: next,
+      });
+    }
+  }
+  for (const [itemId, next] of after) {
+    if (!before.has(itemId)) {
+      changes.push({
+        collection,
+        operation: 'create',
+        itemId,
+        label: itemLabel(collection, itemId, next),
+        before: null,
+        after: next,
+      });
+    }
+  }
+  return changes;
+}
+
+export function summarizeJournal(journal: HistoryJournal): HistoryState {
+  // Newest first for display
+  const entries: HistoryEntrySummary[] = journal.entries
+    .map((entry, index) => ({
+      id: entry.id,
+      timestamp: entry.timestamp,
+      description: entry.description,
+      undone: index >= journal.cursor,
+      changes: entry.changes.map(({ before: _b, after: _a, ...change }) => change),
+    }))
+    .reverse();
+  return { entries, canUndo: journal.cursor > 0, canRedo: journal.cursor < journal.entries.length };
+}
+
+// ── Applying snapshots ────────────────────────────────────────────
+
+function upsert<T>(items: T[], idOf: (item: T) => string, itemId: string, item: T | null): T[] {
+  const index = items.findIndex((i) => idOf(i) === itemId);
+  if (item === null) return index === -1 ? items : items.filter((_, i) => i !== index);
+  if (index === -1) return [...items, item];
+  return items.map((existing, i) => (i === index ? item : existing));
+}
+
+function setItem(state: WorkspaceState, collection: HistoryCollection, itemId: string, item: HistoryItem | null): void {
+  const copy = item === null ? null : structuredClone(item);
+  if (collection === 'sources') {
+    state.sources = upsert(state.sources, (s) => s.sourceId, itemId, copy as Source | null);
+  } else if (collection === 'proxyRules') {
+    state.proxyRules = upsert(state.proxyRules, (r) => r.id, itemId, copy as ProxyRule | null);
+  } else if (collection === 'environments') {
+    if (copy === null) {
+      // Default always exists; emptying it is as close to removal as it gets
+      const { [itemId]: _removed, ...remaining } = state.environments;
+      state.environments = itemId === 'Default' ? { ...remaining, Default: {} } : remaining;
+    } else {
+      state.environments = { ...state.environments, [itemId]: copy as EnvironmentVariables };
+    }
+  } else {
+    const key = RULE_KEYS[collection];
+    const rules = (state.rules[key] ?? []) as AnyRule[];
+    state.rules = { ...state.rules, [key]: upsert(rules, (r) => r.id, itemId, copy as AnyRule | null) };
+  }
+}
+
+/**
+ * Mark touched collections dirty and push them to services and renderers,
+ * mirroring what the CRUD operations do for each collection.
+ */
+async function publish(ctx: StateContext, touched: Set<HistoryCollection>): Promise<void> {
+  const rulesTouched = [...touched].some(isRuleCollection);
+  const changedKeys: string[] = [];
+
+  if (rulesTouched) {
+    ctx.dirty.rules = true;
+    changedKeys.push('rules');
+  }
+  if (touched.has('sources')) {
+    ctx.dirty.sources = true;
+    changedKeys.push('sources');
+    ctx.updateWorkspaceMetadataInMemory(ctx.state.activeWorkspaceId, {
+      sourceCount: ctx.state.sources.length,
+      lastDataUpdate: new Date().toISOString(),
+    });
+  }
+  if (rulesTouched || touched.has('sources')) {
+    broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  }
+  if (touched.has('proxyRules')) {
+    ctx.dirty.proxyRules = true;
+    changedKeys.push('proxyRules');
+    ctx.proxyService?.updateProxyRules(ctx.state.proxyRules);
+  }
+  if (touched.has('environments')) {
+    if (!ctx.state.environments[ctx.state.activeEnvironment]) {
+      ctx.state.activeEnvironment = 'Default';
+    }
+    ctx.dirty.environments = true;
+    changedKeys.push('environments', 'activeEnvironment');
+  }
+
+  ctx.scheduleDebouncedSave();
+  sendPatchToRenderers(ctx.state, changedKeys);
+
+  if (touched.has('sources') && ctx.sourceRefreshService) {
+    const refreshService = ctx.sourceRefreshService;
+    const httpSources = ctx.state.sources.filter((s) => s.sourceType === 'http');
+    refreshService
+      .removeSourcesNotIn(new Set(httpSources.map((s) => s.sourceId)))
+      .catch((e) => log.warn('Failed to clean up refresh service after history change:', errorMessage(e)));
+    for (const source of httpSources) {
+      refreshService
+        .updateSource(source)
+        .catch((e) => log.warn(`Failed to sync source ${source.sourceId} to refresh service:`, errorMessage(e)));
+    }
+  }
+  if (touched.has('environments')) {
+    await ctx.refreshEnvironmentVariables();
+  }
+}
+
+async function applySide(ctx: StateContext, changes: HistoryItemChange[], side: 'before' | 'after'): Promise<void> {
+  // Undo walks the changes backwards so later changes to the same item are reverted first
+  const ordered = side === 'before' ? [...changes].reverse() : changes;
+  const touched = new Set<HistoryCollection>();
+  for (const change of ordered) {
+    setItem(ctx.state, change.collection, change.itemId, change[side]);
+    touched.add(change.collection);
+  }
+  await publish(ctx, touched);
+}
+
+function commitJournal(ctx: StateContext): void {
+  ctx.state.history = summarizeJournal(ctx.journal);
+  ctx.dirty.history = true;
+  ctx.scheduleDebouncedSave();
+  sendPatchToRenderers(ctx.state, ['history']);
+}
+
+// ── Operations ────────────────────────────────────────────────────
+
+/**
+ * Run a mutation and journal the items it changed in the given collections.
+ * Recording a new entry discards anything that could still be redone.
+ */
+export async function recordChanges<T>(
+  ctx: StateContext,
+  description: string,
+  collections: HistoryCollection[],
+  mutate: () => Promise<T>,
+): Promise<T> {
+  const before = collections.map((c) => snapshot(ctx.state, c));
+  const result = await mutate();
+  const changes = collections.flatMap((c, i) => diffCollection(c, before[i], snapshot(ctx.state, c)));
+  if (changes.length === 0) return result;
+
+  const entry: HistoryEntry = { id: randomUUID(), timestamp: new Date().toISOString(), description, changes };
+  const entries = [...ctx.journal.entries.slice(0, ctx.journal.cursor), entry];
+  ctx.journal.entries = entries.slice(-MAX_HISTORY_ENTRIES);
+  ctx.journal.cursor = ctx.journal.entries.length;
+  commitJournal(ctx);
+  return result;
+}
+
+/**
+ * Revert the most recent applied entry. Returns it, or null when there is nothing to undo.
+ */
+export async function undo(ctx: StateContext): Promise<HistoryEntrySummary | null> {
+  if (ctx.journal.cursor === 0) return null;
+  const entry = ctx.journal.entries[ctx.journal.cursor - 1];
+  await applySide(ctx, entry.changes, 'before');
+  ctx.journal.cursor--;
+  commitJournal(ctx);
+  log.info(`Undid "${entry.description}" (${entry.changes.length} item(s))`);
+  return ctx.state.history.entries.find((e) => e.id === entry.id) ?? null;
+}
+
+/**
+ * Re-apply the most recently undone entry. Returns it, or null when there is nothing to redo.
+ */
+export async function redo(ctx: StateContext): Promise<HistoryEntrySummary | null> {
+  if (ctx.journal.cursor >= ctx.journal.entries.length) return null;
+  const entry = ctx.journal.entries[ctx.journal.cursor];
+  await applySide(ctx, entry.changes, 'after');
+  ctx.journal.cursor++;
+  commitJournal(ctx);
+  log.info(`Redid "${entry.description}" (${entry.changes.length} item(s))`);
+  return ctx.state.history.entries.find((e) => e.id === entry.id) ?? null;
+}
+
+/**
+ * Put one item back the way it was before a journaled change, leaving the
+ * rest of the workspace alone. Recorded as a new, undoable entry.
+ */
+export async function restoreItem(ctx: StateContext, entryId: string, changeIndex: number): Promise<void> {
+  const change = ctx.journal.entries.find((e) => e.id === entryId)?.changes[changeIndex];
+  if (!change) {
+    throw new Error(`History item ${entryId}#${changeIndex} not found`);
+  }
+
+  let { itemId } = change;
+  let item = change.before;
+  const current = new Map(collectionItems(ctx.state, change.collection));
+  if (change.operation === 'delete' && current.has(itemId)) {
+    // The id was reused after the delete — bring the old item back next to it
+    if (change.collection === 'environments') {
+      throw new Error(`Environment '${itemId}' already exists`);
+    }
+    itemId = nextItemId(ctx.state, change.collection);
+    item =
+      change.collection === 'sources'
+        ? { ...(item as Source), sourceId: itemId }
+        : { ...(item as AnyRule), id: itemId };
+  }
+
+  const verb = change.operation === 'create' ? 'Remove' : 'Restore';
+  await recordChanges(ctx, `${verb} ${change.label}`, [change.collection], async () => {
+    setItem(ctx.state, change.collection, itemId, item);
+    await publish(ctx, new Set([change.collection]));
+  });
+}
+
+function nextItemId(state: WorkspaceState, collection: HistoryCollection): string {
+  if (collection !== 'sources') return Date.now().toString();
+  const maxId = state.sources.reduce((max, s) => Math.max(max, parseInt(s.sourceId ?? '0', 10) || 0), 0);
+  return String(maxId + 1);
+}
@@ -0,0 +1,192 @@
+/**
+ * ProfileCrud — rule profile operations extracted from WorkspaceStateService.
+ *
+ * A profile records which rules, extension tag groups and environment are
+ * active so the whole set can be restored in one step. Profiles are saved in
+ * the workspace's profiles.json and travel with team workspace configs.
+ */
+
+import type { RuleProfile } from '@openheaders/core';
+import { applyRuleStates, captureRuleStates } from '@openheaders/core';
+import mainLogger from '@/utils/mainLogger';
+import { broadcastToServices, sendPatchToRenderers } from './StateBroadcaster';
+import type { StateContext } from './types';
+
+const { createLogger } = mainLogger;
+const log = createLogger('ProfileCrud');
+
+export interface ProfileInput {
+  name: string;
+  description?: string;
+}
+
+export interface ProfileUpdate {
+  name?: string;
+  description?: string;
+  /** null to leave the environment alone when the profile is applied */
+  environment?: string | null;
+}
+
+function captureCurrentState(ctx: StateContext): Pick<RuleProfile, 'rules' | 'disabledTagGroups' | 'environment'> {
+  return {
+    rules: captureRuleStates(ctx.state.rules),
+    disabledTagGroups: [...(ctx.webSocketService?.profileHandler.disabledTagGroups ?? [])],
+    environment: ctx.state.activeEnvironment,
+  };
+}
+
+function assertUniqueName(ctx: StateContext, name: string, exceptId?: string): void {
+  const normalized = name.trim().toLowerCase();
+  if (!normalized) {
+    throw new Error('Profile name is required');
+  }
+  if (ctx.state.profiles.some((p) => p.id !== exceptId && p.name.trim().toLowerCase() === normalized)) {
+    throw new Error(`Profile "${name.trim()}" already exists`);
+  }
+}
+
+function findProfile(ctx: StateContext, profileId: string): RuleProfile {
+  const profile = ctx.state.profiles.find((p) => p.id === profileId);
+  if (!profile) {
+    throw new Error(`Profile ${profileId} not found`);
+  }
+  return profile;
+}
+
+async function commitProfiles(ctx: StateContext): Promise<void> {
+  ctx.dirty.profiles = true;
+  await ctx.saveProfiles();
+  ctx.broadcastProfiles();
+}
+
+/**
+ * Save the current rule, tag group and environment state as a new profile.
+ * The new profile becomes the active one since it matches what is applied.
+ */
+export async function createProfile(ctx: StateContext, input: ProfileInput): Promise<RuleProfile> {
+  assertUniqueName(ctx, input.name);
+
+  const now = new Date().toISOString();
+  const profile: RuleProfile = {
+    id: Date.now().toString(),
+    name: input.name.trim(),
+    ...(input.description ? { description: input.description } : {}),
+    ...captureCurrentState(ctx),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  ctx.state.profiles = [...ctx.state.profiles, profile];
+  ctx.state.activeProfileId = profile.id;
+  await commitProfiles(ctx);
+  return profile;
+}
+
+export async function updateProfile(
+  ctx: StateContext,
+  profileId: string,
+  updates: ProfileUpdate,
+): Promise<RuleProfile> {
+  const existing = findProfile(ctx, profileId);
+  if (updates.name !== undefined) {
+    assertUniqueName(ctx, updates.name, profileId);
+  }
+
+  const updated: RuleProfile = {
+    ...existing,
+    ...updates,
+    name: updates.name?.trim() ?? existing.name,
+    updatedAt: new Date().toISOString(),
+  };
+  ctx.state.profiles = ctx.state.profiles.map((p) => (p.id === profileId ? updated : p));
+
+  await commitProfiles(ctx);
+  return updated;
+}
+
+/**
+ * Overwrite a profile's rule, tag group and environment state with what is active now.
+ */
+export async function recaptureProfile(ctx: StateContext, profileId: string): Promise<RuleProfile> {
+  const profile: RuleProfile = {
+    ...findProfile(ctx, profileId),
+    ...captureCurrentState(ctx),
+    updatedAt: new Date().toISOString(),
+  };
+
+  ctx.state.profiles = ctx.state.profiles.map((p) => (p.id === profileId ? profile : p));
+  ctx.state.activeProfileId = profileId;
+  await commitProfiles(ctx);
+  return profile;
+}
+
+export async function deleteProfile(ctx: StateContext, profileId: string): Promise<void> {
+  ctx.state.profiles = ctx.state.profiles.filter((p) => p.id !== profileId);
+  if (ctx.state.activeProfileId === profileId) {
+    ctx.state.activeProfileId = null;
+  }
+  await commitProfiles(ctx);
+}
+
+/**
+ * Add profiles from an import file. Replacing drops the existing profiles; merging
+ * keeps them and skips imported profiles whose name is taken. Imported profiles get
+ * new ids, and none of them becomes active since none was applied.
+ */
+export async function importProfiles(
+  ctx: StateContext,
+  profiles: RuleProfile[],
+  replace: boolean,
+): Promise<{ imported: number; skipped: number }> {
+  const kept = replace ? [] : ctx.state.profiles;
+  const names = new Set(kept.map((p) => p.name.trim().toLowerCase()));
+  const baseId = Date.now();
+  const added: RuleProfile[] = [];
+
+  for (const profile of profiles) {
+    const name = profile.name?.trim();
+    if (!name || names.has(name.toLowerCase())) continue;
+    names.add(name.toLowerCase());
+    added.push({ ...profile, id: `${baseId}-${added.length}`, name });
+  }
+
+  ctx.state.profiles = [...kept, ...added];
+  if (replace || !ctx.state.profiles.some((p) => p.id === ctx.state.activeProfileId)) {
+    ctx.state.activeProfileId = null;
+  }
+  await commitProfiles(ctx);
+  log.info(`Imported ${added.length} profile(s), skipped ${profiles.length - added.length}`);
+  return { imported: added.length, skipped: profiles.length - added.length };
+}
+
+/**
+ * Restore a profile: flip rules to their saved state, switch environment and
+ * tell connected extensions which tag groups to disable.
+ */
+export async function applyProfile(ctx: StateContext, profileId: string): Promise<void> {
+  const profile = findProfile(ctx, profileId);
+
+  const { rules, changed } = applyRuleStates(ctx.state.rules, profile.rules);
+  if (changed > 0) {
+    ctx.state.rules = rules;
+    ctx.dirty.rules = true;
+    ctx.scheduleDebouncedSave();
+    broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+    sendPatchToRenderers(ctx.state, ['rules']);
+  }
+
+  const environment = profile.environment;
+  if (environment && environment !== ctx.state.activeEnvironment) {
+    if (ctx.state.environments[environment]) {
+      await ctx.switchEnvironment(environment);
+    } else {
+      log.warn(`Profile "${profile.name}" refers to missing environment "${environment}", keeping current one`);
+    }
+  }
+
+  ctx.webSocketService?.profileHandler.broadcastProfileApplied(profile);
+
+  ctx.state.activeProfileId = profileId;
+  await commitProfiles(ctx);
+  log.info(`Applied profile "${profile.name}" (${changed} rule(s) changed)`);
+}
@@ -6,7 +6,7 @@
  */
 
 import fs from 'node:fs';
-import type { HeaderRule, Source, SourceUpdate } from '@openheaders/core';
+import type { HeaderRule, PayloadRule, ScriptRule, Source, SourceUpdate, UrlRule } from '@openheaders/core';
 import { errorMessage } from '@openheaders/core';
 import type { ProxyRule } from '@/types/proxy';
 import mainLogger from '@/utils/mainLogger';
@@ -188,10 +188,15 @@ export async function refreshSource(ctx: StateContext, sourceId: string): Promis
 
 // ── Header Rule CRUD ──────────────────────────────────────────────
 
+/**
+ * Add a header rule. A supplied id is kept when no rule uses it yet, so imported
+ * rules keep the ids their profiles refer to.
+ */
 export async function addHeaderRule(ctx: StateContext, ruleData: Partial<HeaderRule>): Promise<void> {
+  const idInUse = !ruleData.id || ctx.state.rules.header.some((rule) => rule.id === ruleData.id);
   const newRule: HeaderRule = {
     ...ruleData,
-    id: Date.now().toString(),
+    id: idInUse ? Date.now().toString() : ruleData.id,
     createdAt: new Date().toISOString(),
   } as HeaderRule;
   ctx.state.rules = { ...ctx.state.rules, header: [...ctx.state.rules.header, newRule] };
@@ -246,6 +251,142 @@ export async function removeHeaderRule(ctx: StateContext, ruleId: string): Promi
   sendPatchToRenderers(ctx.state, ['rules']);
 }
 
+/**
+ * Remove multiple header rules and broadcast once.
+ */
+export async function removeHeaderRulesBatch(ctx: StateContext, ruleIds: string[]): Promise<void> {
+  const ids = new Set(ruleIds);
+  ctx.state.rules = { ...ctx.state.rules, header: ctx.state.rules.header.filter((rule) => !ids.has(rule.id)) };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+// ── Payload Rule CRUD ─────────────────────────────────────────────
+
+export async function addPayloadRule(ctx: StateContext, ruleData: Partial<PayloadRule>): Promise<void> {
+  const now = new Date().toISOString();
+  const newRule: PayloadRule = {
+    ...ruleData,
+    id: Date.now().toString(),
+    type: 'payload',
+    createdAt: now,
+    updatedAt: now,
+  } as PayloadRule;
+  ctx.state.rules = { ...ctx.state.rules, request: [...ctx.state.rules.request, newRule] };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function updatePayloadRule(
+  ctx: StateContext,
+  ruleId: string,
+  updates: Partial<PayloadRule>,
+): Promise<void> {
+  ctx.state.rules = {
+    ...ctx.state.rules,
+    request: ctx.state.rules.request.map((rule) =>
+      rule.id === ruleId ? { ...rule, ...updates, updatedAt: new Date().toISOString() } : rule,
+    ),
+  };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function removePayloadRule(ctx: StateContext, ruleId: string): Promise<void> {
+  ctx.state.rules = { ...ctx.state.rules, request: ctx.state.rules.request.filter((rule) => rule.id !== ruleId) };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+// ── URL Rule CRUD ─────────────────────────────────────────────────
+
+export async function addUrlRule(ctx: StateContext, ruleData: Partial<UrlRule>): Promise<void> {
+  const now = new Date().toISOString();
+  const newRule: UrlRule = {
+    ...ruleData,
+    id: Date.now().toString(),
+    type: 'url',
+    createdAt: now,
+    updatedAt: now,
+  } as UrlRule;
+  ctx.state.rules = { ...ctx.state.rules, url: [...(ctx.state.rules.url ?? []), newRule] };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function updateUrlRule(ctx: StateContext, ruleId: string, updates: Partial<UrlRule>): Promise<void> {
+  ctx.state.rules = {
+    ...ctx.state.rules,
+    url: (ctx.state.rules.url ?? []).map((rule) =>
+      rule.id === ruleId ? { ...rule, ...updates, updatedAt: new Date().toISOString() } : rule,
+    ),
+  };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function removeUrlRule(ctx: StateContext, ruleId: string): Promise<void> {
+  ctx.state.rules = { ...ctx.state.rules, url: (ctx.state.rules.url ?? []).filter((rule) => rule.id !== ruleId) };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+// ── Script Rule CRUD ──────────────────────────────────────────────
+
+export async function addScriptRule(ctx: StateContext, ruleData: Partial<ScriptRule>): Promise<void> {
+  const now = new Date().toISOString();
+  const newRule: ScriptRule = {
+    ...ruleData,
+    id: Date.now().toString(),
+    type: 'script',
+    createdAt: now,
+    updatedAt: now,
+  } as ScriptRule;
+  ctx.state.rules = { ...ctx.state.rules, script: [...(ctx.state.rules.script ?? []), newRule] };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function updateScriptRule(ctx: StateContext, ruleId: string, updates: Partial<ScriptRule>): Promise<void> {
+  ctx.state.rules = {
+    ...ctx.state.rules,
+    script: (ctx.state.rules.script ?? []).map((rule) =>
+      rule.id === ruleId ? { ...rule, ...updates, updatedAt: new Date().toISOString() } : rule,
+    ),
+  };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
+export async function removeScriptRule(ctx: StateContext, ruleId: string): Promise<void> {
+  ctx.state.rules = {
+    ...ctx.state.rules,
+    script: (ctx.state.rules.script ?? []).filter((rule) => rule.id !== ruleId),
+  };
+  ctx.dirty.rules = true;
+  ctx.scheduleDebouncedSave();
+  broadcastToServices(ctx.state, ctx.webSocketService, ctx.proxyService);
+  sendPatchToRenderers(ctx.state, ['rules']);
+}
+
 // ── Proxy Rule CRUD ───────────────────────────────────────────────
 
 export async function addProxyRule(ctx: StateContext, ruleData: ProxyRule): Promise<void> {
@@ -7,6 +7,7 @@
  */
 
 import type { ActivationState, Source } from '@openheaders/core';
+import { findTemplateVariables, findUnresolvedVariables } from '@openheaders/core';
 import type { EnvironmentResolverLike } from './types';
 
 interface DependencyResult {
@@ -16,6 +17,7 @@ interface DependencyResult {
 
 /**
  * Check if a single source has all its template variables resolved.
+ * Variables with a default (`{{VAR | 'fallback'}}`) are not required.
  */
 export function evaluateSourceDependencies(
   source: Source,
@@ -23,11 +25,11 @@ export function evaluateSourceDependencies(
 ): DependencyResult {
   if (source.sourceType !== 'http') return { ready: true, missing: [] };
 
-  const requiredVars = extractVariablesFromSource(source);
-  if (requiredVars.length === 0) return { ready: true, missing: [] };
+  const fields = getTemplateFields(source);
+  if (!fields.some((field) => field.includes('{{'))) return { ready: true, missing: [] };
 
   const envVars = envResolver?.loadEnvironmentVariables() ?? {};
-  const missing = requiredVars.filter((varName) => !envVars[varName] || envVars[varName] === '');
+  const missing = [...new Set(fields.flatMap((field) => findUnresolvedVariables(field, envVars)))];
   return { ready: missing.length === 0, missing };
 }
 
@@ -35,34 +37,20 @@ export function evaluateSourceDependencies(
  * Extract all {{variable}} references from a source's configuration fields.
  */
 export function extractVariablesFromSource(source: Source): string[] {
-  const variables = new Set<string>();
-  const pattern = /\{\{(\w+)}}/g;
-
-  const extract = (str: string | undefined) => {
-    if (!str) return;
-    for (const match of str.matchAll(pattern)) variables.add(match[1]);
-  };
+  return [...new Set(getTemplateFields(source).flatMap((field) => findTemplateVariables(field)))];
+}
 
-  extract(source.sourcePath);
+/** The configuration fields of a source that may contain templates */
+function getTemplateFields(source: Source): string[] {
+  const fields = [source.sourcePath];
   const opts = source.requestOptions;
   if (opts) {
-    extract(opts.body);
-    extract(opts.contentType);
-    extract(opts.totpSecret);
-    if (opts.headers)
-      for (const h of opts.headers) {
-        extract(h.key);
-        extract(h.value);
-      }
-    if (opts.queryParams)
-      for (const p of opts.queryParams) {
-        extract(p.key);
-        extract(p.value);
-      }
+    fields.push(opts.body, opts.contentType, opts.totpSecret);
+    for (const h of opts.headers ?? []) fields.push(h.key, h.value);
+    for (const p of opts.queryParams ?? []) fields.push(p.key, p.value);
   }
-  if (source.jsonFilter?.path) extract(source.jsonFilter.path);
-
-  return Array.from(variables);
+  fields.push(source.jsonFilter?.path);
+  return fields.filter((field): field is string => !!field);
 }
 
 /**
@@ -33,10 +33,19 @@ export function broadcastToServices(
   if (proxyService) {
     proxyService.updateSources(state.sources);
     proxyService.updateHeaderRules(state.rules.header);
+    proxyService.updatePayloadRules(state.rules.request);
     proxyService.updateProxyRules(state.proxyRules);
   }
 }
 
+/**
+ * Push the workspace's rule profiles to browser extensions and renderer windows.
+ */
+export function broadcastProfiles(state: WorkspaceState, webSocketService: WebSocketServiceLike | null): void {
+  webSocketService?.profileHandler.updateProfiles(state.profiles, state.activeProfileId);
+  sendPatchToRenderers(state, ['profiles', 'activeProfileId']);
+}
+
 /**
  * Sync all HTTP sources to SourceRefreshService (registers/updates refresh schedules).
  * Called only during workspace load — NOT on individual source updates, to avoid
@@ -5,9 +5,10 @@
  */
 
 import path from 'node:path';
-import type { RulesCollection, RulesStorage, Source } from '@openheaders/core';
+import type { RuleProfile, RulesCollection, RulesStorage, Source } from '@openheaders/core';
 import { DATA_FORMAT_VERSION } from '@/config/version';
 import type { EnvironmentsFile } from '@/types/environment';
+import type { HistoryJournal } from '@/types/history';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceSyncStatus, WorkspaceType } from '@/types/workspace';
 import atomicWriter from '@/utils/atomicFileWriter';
@@ -106,7 +107,12 @@ export async function saveRules(appDataPath: string, workspaceId: string, rules:
     version: DATA_FORMAT_VERSION,
     rules,
     metadata: {
-      totalRules: rules.header.length + rules.request.length + rules.response.length,
+      totalRules:
+        rules.header.length +
+        rules.request.length +
+        rules.response.length +
+        (rules.url?.length ?? 0) +
+        (rules.script?.length ?? 0),
       lastUpdated: new Date().toISOString(),
     },
   };
@@ -164,6 +170,43 @@ export async function saveEnvironments(
   await atomicWriter.writeJson(envPath, data, { pretty: true });
 }
 
+// ── Rule profiles (profiles.json) ────────────────────────────────
+
+export interface ProfilesFile {
+  profiles: RuleProfile[];
+  activeProfileId: string | null;
+}
+
+export async function loadProfiles(appDataPath: string, workspaceId: string): Promise<ProfilesFile> {
+  const data = await loadJson<Partial<ProfilesFile> | null>(
+    path.join(workspaceDir(appDataPath, workspaceId), 'profiles.json'),
+    null,
+  );
+  return { profiles: data?.profiles ?? [], activeProfileId: data?.activeProfileId ?? null };
+}
+
+export async function saveProfiles(appDataPath: string, workspaceId: string, data: ProfilesFile): Promise<void> {
+  const dir = workspaceDir(appDataPath, workspaceId);
+  await atomicWriter.writeJson(path.join(dir, 'profiles.json'), data, { pretty: true });
+}
+
+// ── Change history (history.json) ─────────────────────────────────
+
+export async function loadHistory(appDataPath: string, workspaceId: string): Promise<HistoryJournal> {
+  const data = await loadJson<Partial<HistoryJournal> | null>(
+    path.join(workspaceDir(appDataPath, workspaceId), 'history.json'),
+    null,
+  );
+  const entries = Array.isArray(data?.entries) ? data.entries : [];
+  const cursor = typeof data?.cursor === 'number' ? Math.min(Math.max(data.cursor, 0), entries.length) : entries.length;
+  return { entries, cursor };
+}
+
+export async function saveHistory(appDataPath: string, workspaceId: string, journal: HistoryJournal): Promise<void> {
+  const dir = workspaceDir(appDataPath, workspaceId);
+  await atomicWriter.writeJson(path.join(dir, 'history.json'), journal);
+}
+
 // ── Helpers ──────────────────────────────────────────────────────
 
 async function loadJson<T>(filePath: string, fallback: T): Promise<T> {
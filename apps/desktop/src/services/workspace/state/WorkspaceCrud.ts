@@ -183,7 +183,7 @@ export async function copyWorkspaceData(
   sourceWorkspaceId: string,
   targetWorkspaceId: string,
 ): Promise<void> {
-  const files = ['sources.json', 'rules.json', 'proxy-rules.json', 'environments.json'];
+  const files = ['sources.json', 'rules.json', 'proxy-rules.json', 'environments.json', 'profiles.json'];
   for (const file of files) {
     try {
       const src = path.join(workspaceDir(ctx.appDataPath, sourceWorkspaceId), file);
@@ -1,16 +1,44 @@
+export {
+  diffCollection,
+  MAX_HISTORY_ENTRIES,
+  recordChanges,
+  redo,
+  restoreItem,
+  summarizeJournal,
+  undo,
+} from './ChangeJournal';
+export type { ProfileInput, ProfileUpdate } from './ProfileCrud';
+export {
+  applyProfile,
+  createProfile,
+  deleteProfile,
+  importProfiles,
+  recaptureProfile,
+  updateProfile,
+} from './ProfileCrud';
 export {
   addHeaderRule,
+  addPayloadRule,
   addProxyRule,
+  addScriptRule,
   addSource,
+  addUrlRule,
   importSources,
   refreshSource,
   removeHeaderRule,
+  removeHeaderRulesBatch,
+  removePayloadRule,
   removeProxyRule,
+  removeScriptRule,
   removeSource,
+  removeUrlRule,
   updateHeaderRule,
   updateHeaderRulesBatch,
+  updatePayloadRule,
+  updateScriptRule,
   updateSource,
   updateSourceFetchResult,
+  updateUrlRule,
 } from './SourceCrud';
 export {
   activateReadySources,
@@ -19,20 +47,25 @@ export {
   extractVariablesFromSource,
 } from './SourceDependencyEvaluator';
 export {
+  broadcastProfiles,
   broadcastToServices,
   sendPatchToRenderers,
   sendProgressToRenderers,
   syncToRefreshService,
 } from './StateBroadcaster';
-export type { WorkspacesConfig } from './StatePersistence';
+export type { ProfilesFile, WorkspacesConfig } from './StatePersistence';
 export {
   loadEnvironments,
+  loadHistory,
+  loadProfiles,
   loadProxyRules,
   loadRules,
   loadSources,
   loadWorkspacesConfig,
   saveAll,
   saveEnvironments,
+  saveHistory,
+  saveProfiles,
   saveProxyRules,
   saveRules,
   saveSources,
@@ -42,6 +75,7 @@ export {
 export type {
   DirtyFlags,
   EnvironmentResolverLike,
+  ProfileBroadcasterLike,
   ProxyServiceLike,
   SourceRefreshServiceLike,
   StateContext,
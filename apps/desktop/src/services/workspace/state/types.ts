@@ -2,9 +2,10 @@
  * Shared types for WorkspaceStateService and its submodules.
  */
 
-import type { HeaderRule, RulesCollection, Source } from '@openheaders/core';
+import type { HeaderRule, PayloadRule, RuleProfile, RulesCollection, Source } from '@openheaders/core';
 import type { SyncData } from '@/services/workspace/sync/types';
 import type { EnvironmentMap } from '@/types/environment';
+import type { HistoryJournal, HistoryState } from '@/types/history';
 import type { ProxyRule } from '@/types/proxy';
 import type { Workspace, WorkspaceMetadata, WorkspaceSyncStatus } from '@/types/workspace';
 
@@ -23,6 +24,11 @@ export interface WorkspaceState {
   proxyRules: ProxyRule[];
   environments: EnvironmentMap;
   activeEnvironment: string;
+  profiles: RuleProfile[];
+  /** Last profile applied in this workspace; local to this machine, not shared. */
+  activeProfileId: string | null;
+  /** Undo/redo view of the change journal; snapshots stay in the main process. */
+  history: HistoryState;
 }
 
 // ── External service interfaces ───────────────────────────────────
@@ -32,13 +38,22 @@ export interface WebSocketServiceLike {
   rules: RulesCollection;
   sourceHandler: { broadcastSources(): void };
   ruleHandler: { broadcastRules(): void };
+  profileHandler: ProfileBroadcasterLike;
   environmentHandler: EnvironmentResolverLike;
 }
 
+export interface ProfileBroadcasterLike {
+  /** Tag groups the connected extension last reported as disabled */
+  disabledTagGroups: string[];
+  updateProfiles(profiles: RuleProfile[], activeProfileId: string | null): void;
+  broadcastProfileApplied(profile: RuleProfile): void;
+}
+
 export interface ProxyServiceLike {
   switchWorkspace(workspaceId: string): Promise<void>;
   updateSources(sources: Source[]): void;
   updateHeaderRules(rules: HeaderRule[]): void;
+  updatePayloadRules(rules: PayloadRule[]): void;
   updateProxyRules(rules: ProxyRule[]): void;
   updateEnvironmentVariables(variables: Record<string, string | { value: string }> | null): void;
   clearRules(): void;
@@ -82,6 +97,8 @@ export interface DirtyFlags {
   proxyRules: boolean;
   workspaces: boolean;
   environments: boolean;
+  profiles: boolean;
+  history: boolean;
 }
 
 // ── Context passed to CRUD submodules ─────────────────────────────
@@ -100,11 +117,18 @@ export interface StateContext {
   envResolver: EnvironmentResolverLike | null;
   sourceRefreshService: SourceRefreshServiceLike | null;
   syncScheduler: WorkspaceSyncSchedulerLike | null;
+  /** Change journal of the active workspace; mutated in place */
+  journal: HistoryJournal;
   scheduleDebouncedSave(): void;
   saveAll(): Promise<void>;
   saveSources(): Promise<void>;
   saveEnvironments(): Promise<void>;
+  saveProfiles(): Promise<void>;
   saveWorkspacesConfig(): Promise<void>;
+  switchEnvironment(name: string): Promise<void>;
+  /** Re-apply the active environment's variables after environments changed */
+  refreshEnvironmentVariables(): Promise<void>;
+  broadcastProfiles(): void;
   loadWorkspaceData(workspaceId: string): Promise<void>;
   updateWorkspaceMetadataInMemory(workspaceId: string, metadata: Partial<WorkspaceMetadata>): void;
 }
@@ -6,6 +6,7 @@
  *  - Rules import with proper storage format
  *  - Proxy rules import
  *  - Environment import with safety guards (backup, validation, value preservation)
+ *  - Rule profiles import (keeps the locally active profile when it still exists)
  *
  * After writing, passes SyncData to WorkspaceStateService via the onSyncDataChanged
  * callback so it can merge directly into in-memory state and broadcast.
@@ -24,6 +25,7 @@ import {
   readFileWithAtomicWriter,
   validateEnvironmentWrite,
 } from '@/services/workspace/git/utils/EnvironmentSyncUtils';
+import type { ProfilesFile } from '@/services/workspace/state';
 import type { EnvironmentMap, EnvironmentsFile } from '@/types/environment';
 import atomicWriter from '@/utils/atomicFileWriter';
 import mainLogger from '@/utils/mainLogger';
@@ -66,6 +68,7 @@ export async function importSyncedData(
     await importRules(workspacePath, workspaceId, data);
     await importProxyRules(workspacePath, workspaceId, data);
     await importEnvironments(workspacePath, workspaceId, data, broadcaster);
+    await importProfiles(workspacePath, workspaceId, data);
 
     // Merge synced data directly into in-memory state. The callback
     // receives the raw SyncData so it can merge against the current
@@ -179,6 +182,21 @@ async function importProxyRules(workspacePath: string, workspaceId: string, data
   log.info(`Imported ${data.proxyRules.length} proxy rules for workspace ${workspaceId}`);
 }
 
+// ── Rule profiles ────────────────────────────────────────────────
+
+async function importProfiles(workspacePath: string, workspaceId: string, data: SyncData): Promise<void> {
+  if (!data.profiles || !Array.isArray(data.profiles)) return;
+
+  const profilesPath = path.join(workspacePath, 'profiles.json');
+  const existing = await atomicWriter.readJson<ProfilesFile>(profilesPath).catch(() => null);
+  const activeProfileId = data.profiles.some((p) => p.id === existing?.activeProfileId)
+    ? (existing?.activeProfileId ?? null)
+    : null;
+
+  await atomicWriter.writeJson(profilesPath, { profiles: data.profiles, activeProfileId }, { pretty: true });
+  log.info(`Imported ${data.profiles.length} rule profiles for workspace ${workspaceId}`);
+}
+
 // ── Environments ─────────────────────────────────────────────────
 
 async function importEnvironments(
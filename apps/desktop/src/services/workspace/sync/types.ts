@@ -5,7 +5,7 @@
  * and SyncBroadcaster.
  */
 
-import type { RulesCollection, Source } from '@openheaders/core';
+import type { RuleProfile, RulesCollection, Source } from '@openheaders/core';
 import type { EnvironmentMap, EnvironmentSchema } from '@/types/environment';
 import type { ProxyRule } from '@/types/proxy';
 import type { CommitInfo, Workspace, WorkspaceAuthData, WorkspaceSyncStatus } from '@/types/workspace';
@@ -36,6 +36,7 @@ export interface SyncData {
   proxyRules?: ProxyRule[];
   environments?: EnvironmentMap;
   environmentSchema?: EnvironmentSchema;
+  profiles?: RuleProfile[];
 }
 
 /**
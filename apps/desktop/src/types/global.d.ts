@@ -6,11 +6,30 @@
  * - generateTOTP: TOTP generator exposed via contextBridge
  */
 
-import type { AppNavigationIntent, HeaderRule, Source, SourceRequestOptions } from '@openheaders/core';
+import type {
+  AppNavigationIntent,
+  HeaderRule,
+  OperationResult,
+  RuleHitStatsMap,
+  Source,
+  SourceRequestOptions,
+} from '@openheaders/core';
 import type { NetworkInterfaceInfo } from 'node:os';
 import type { AppSettings } from './settings';
 import type { HttpRequestSpec, HttpRequestResult, TotpCooldownInfo } from './http';
-import type { ProxyRule, CacheStats, CacheEntry } from './proxy';
+import type {
+  ProxyRule,
+  ProxyMockRule,
+  ProxyFaultRule,
+  ProxyFaultStats,
+  ProxyCachePolicy,
+  ProxyCacheExportFilter,
+  ProxyCacheBundleResult,
+  CacheStats,
+  CacheEntry,
+  ProxyCAInfo,
+  ProxyTrafficEntry,
+} from './proxy';
 import type {
   Workspace,
   WorkspaceAuthData,
@@ -211,7 +230,7 @@ declare global {
 
     // Settings
     saveSettings: (
-      settings: Record<string, string | boolean | number | null | undefined>,
+      settings: Partial<AppSettings>,
     ) => Promise<{ success: boolean; message?: string; settings?: AppSettings }>;
     getSettings: () => Promise<Partial<AppSettings>>;
     setAutoLaunch: (enable: boolean) => Promise<{ success: boolean; message?: string }>;
@@ -273,22 +292,61 @@ declare global {
       sourcesCount: number;
       cacheEnabled: boolean;
       cacheSize: number;
-      stats: { requestsProcessed: number; cacheHits: number; cacheMisses: number; errors: number };
+      stats: {
+        requestsProcessed: number;
+        cacheHits: number;
+        cacheMisses: number;
+        errors: number;
+        webSocketConnections: number;
+        activeWebSockets: number;
+      };
       strictSSL: boolean;
       trustedCertificates: number;
       certificateExceptions: number;
+      httpsInterception: boolean;
+      faultStats: Record<string, ProxyFaultStats>;
     }>;
     proxyGetRules: () => Promise<ProxyRule[]>;
     proxySaveRule: (rule: ProxyRule) => Promise<{ success: boolean; error?: string }>;
     proxyDeleteRule: (ruleId: string) => Promise<{ success: boolean; error?: string }>;
+    proxyGetMockRules: () => Promise<ProxyMockRule[]>;
+    proxySaveMockRule: (rule: ProxyMockRule) => Promise<{ success: boolean; error?: string }>;
+    proxyDeleteMockRule: (ruleId: string) => Promise<{ success: boolean; error?: string }>;
+    proxyGetFaultRules: () => Promise<ProxyFaultRule[]>;
+    proxySaveFaultRule: (rule: ProxyFaultRule) => Promise<{ success: boolean; error?: string }>;
+    proxyDeleteFaultRule: (ruleId: string) => Promise<{ success: boolean; error?: string }>;
+    proxyResetFaultStats: () => Promise<{ success: boolean; error?: string }>;
     proxyClearCache: () => Promise<{ success: boolean; error?: string }>;
     proxyGetCacheStats: () => Promise<CacheStats | null>;
     proxyGetCacheEntries: () => Promise<CacheEntry[]>;
     proxySetCacheEnabled: (enabled: boolean) => Promise<{ success: boolean; error?: string }>;
+    proxySetCachePolicies: (policies: ProxyCachePolicy[]) => Promise<{ success: boolean; error?: string }>;
+    proxyExportCache: (filter: ProxyCacheExportFilter) => Promise<{
+      success: boolean;
+      path?: string;
+      result?: ProxyCacheBundleResult;
+      canceled?: boolean;
+      error?: string;
+    }>;
+    proxyImportCache: () => Promise<{
+      success: boolean;
+      path?: string;
+      result?: ProxyCacheBundleResult;
+      canceled?: boolean;
+      error?: string;
+    }>;
     proxyUpdateHeaderRules: (headerRules: HeaderRule[]) => Promise<{ success: boolean; error?: string }>;
     proxyClearRules: () => Promise<{ success: boolean; error?: string }>;
     proxyUpdateSource: (sourceId: string, value: string) => void;
     proxyUpdateSources: (sources: Source[]) => void;
+    proxySetHttpsInterception: (enabled: boolean) => Promise<{ success: boolean; error?: string }>;
+    proxyGetCAInfo: () => Promise<ProxyCAInfo>;
+    proxyGenerateCA: () => Promise<{ success: boolean; info?: ProxyCAInfo; error?: string }>;
+    proxyExportCA: () => Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }>;
+    proxyGetTraffic: () => Promise<{ entries: ProxyTrafficEntry[]; captureBodies: boolean }>;
+    proxyClearTraffic: () => Promise<{ success: boolean; error?: string }>;
+    proxySetTrafficCaptureBodies: (enabled: boolean) => Promise<{ success: boolean; error?: string }>;
+    onProxyTrafficUpdated: (callback: (entries: ProxyTrafficEntry[]) => void) => () => void;
 
     // WebSocket
     wsGetConnectionStatus: () => Promise<{
@@ -308,6 +366,10 @@ declare global {
       wsPort: number;
       error?: string;
     }>;
+    wsGetDisabledTagGroups: () => Promise<string[]>;
+    wsGetRuleHits: () => Promise<RuleHitStatsMap>;
+    wsClearRuleHits: (ruleIds?: string[]) => Promise<OperationResult>;
+    onRuleHitsUpdated: (callback: (stats: RuleHitStatsMap) => void) => () => void;
 
     // Git
     testGitConnection: (config: {
@@ -0,0 +1,72 @@
+/**
+ * Change history domain types.
+ *
+ * Every CRUD operation on workspace data is recorded as a journal entry with
+ * before/after snapshots of the items it touched, so it can be undone, redone
+ * or restored item by item. The journal is kept per workspace on this machine
+ * and never synced with team workspaces.
+ */
+
+import type { HeaderRule, PayloadRule, ScriptRule, Source, UrlRule } from '@openheaders/core';
+import type { EnvironmentVariables } from './environment';
+import type { ProxyRule } from './proxy';
+
+/** Workspace collections the journal tracks. Environments are keyed by name. */
+export type HistoryCollection =
+  | 'sources'
+  | 'headerRules'
+  | 'payloadRules'
+  | 'urlRules'
+  | 'scriptRules'
+  | 'proxyRules'
+  | 'environments';
+
+export type HistoryOperation = 'create' | 'update' | 'delete';
+
+export type HistoryItem = Source | HeaderRule | PayloadRule | UrlRule | ScriptRule | ProxyRule | EnvironmentVariables;
+
+export interface HistoryItemChange {
+  collection: HistoryCollection;
+  operation: HistoryOperation;
+  itemId: string;
+  /** Human readable item name captured at the time of the change */
+  label: string;
+  /** Item before the change; null when it was created */
+  before: HistoryItem | null;
+  /** Item after the change; null when it was deleted */
+  after: HistoryItem | null;
+}
+
+export interface HistoryEntry {
+  id: string;
+  timestamp: string;
+  description: string;
+  changes: HistoryItemChange[];
+}
+
+// ── Persisted file shape (history.json) ─────────────────────────────
+
+export interface HistoryJournal {
+  entries: HistoryEntry[];
+  /** Number of entries currently applied; entries from here on can be redone. */
+  cursor: number;
+}
+
+// ── Renderer view (no item snapshots) ───────────────────────────────
+
+export type HistoryChangeSummary = Omit<HistoryItemChange, 'before' | 'after'>;
+
+export interface HistoryEntrySummary {
+  id: string;
+  timestamp: string;
+  description: string;
+  /** True when the entry has been undone and can be redone */
+  undone: boolean;
+  changes: HistoryChangeSummary[];
+}
+
+export interface HistoryState {
+  entries: HistoryEntrySummary[];
+  canUndo: boolean;
+  canRedo: boolean;
+}
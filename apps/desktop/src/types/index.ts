@@ -21,6 +21,17 @@ export type {
   EnvironmentVariable,
   EnvironmentVariables,
 } from './environment';
+export type {
+  HistoryChangeSummary,
+  HistoryCollection,
+  HistoryEntry,
+  HistoryEntrySummary,
+  HistoryItem,
+  HistoryItemChange,
+  HistoryJournal,
+  HistoryOperation,
+  HistoryState,
+} from './history';
 export type {
   EnvironmentContextLike,
   HttpProgressCallback,
@@ -30,10 +41,18 @@ export type {
   TotpCooldownInfo,
 } from './http';
 export type {
+  ProxyCacheBundleResult,
+  ProxyCacheExportFilter,
+  ProxyCacheMode,
+  ProxyCachePolicy,
   ProxyCertificateInfo,
+  ProxyFaultRule,
+  ProxyFaultStats,
+  ProxyMockRule,
   ProxyRule,
   ProxyStats,
   ProxyStatus,
+  ProxyTrafficEntry,
 } from './proxy';
 export type { AppSettings, ScreenRecordingPermission } from './settings';
 export type {
@@ -82,10 +82,20 @@ export const IPC_INVOKE = {
   PROXY_GET_RULES: 'proxy-get-rules',
   PROXY_SAVE_RULE: 'proxy-save-rule',
   PROXY_DELETE_RULE: 'proxy-delete-rule',
+  PROXY_GET_MOCK_RULES: 'proxy-get-mock-rules',
+  PROXY_SAVE_MOCK_RULE: 'proxy-save-mock-rule',
+  PROXY_DELETE_MOCK_RULE: 'proxy-delete-mock-rule',
+  PROXY_GET_FAULT_RULES: 'proxy-get-fault-rules',
+  PROXY_SAVE_FAULT_RULE: 'proxy-save-fault-rule',
+  PROXY_DELETE_FAULT_RULE: 'proxy-delete-fault-rule',
+  PROXY_RESET_FAULT_STATS: 'proxy-reset-fault-stats',
   PROXY_CLEAR_CACHE: 'proxy-clear-cache',
   PROXY_GET_CACHE_STATS: 'proxy-get-cache-stats',
   PROXY_GET_CACHE_ENTRIES: 'proxy-get-cache-entries',
   PROXY_SET_CACHE_ENABLED: 'proxy-set-cache-enabled',
+  PROXY_SET_CACHE_POLICIES: 'proxy-set-cache-policies',
+  PROXY_EXPORT_CACHE: 'proxy-export-cache',
+  PROXY_IMPORT_CACHE: 'proxy-import-cache',
   PROXY_UPDATE_HEADER_RULES: 'proxy-update-header-rules',
   PROXY_CLEAR_RULES: 'proxyClearRules',
   PROXY_SET_STRICT_SSL: 'proxy-set-strict-ssl',
@@ -94,9 +104,19 @@ export const IPC_INVOKE = {
   PROXY_ADD_CERTIFICATE_EXCEPTION: 'proxy-add-certificate-exception',
   PROXY_REMOVE_CERTIFICATE_EXCEPTION: 'proxy-remove-certificate-exception',
   PROXY_GET_CERTIFICATE_INFO: 'proxy-get-certificate-info',
+  PROXY_SET_HTTPS_INTERCEPTION: 'proxy-set-https-interception',
+  PROXY_GET_CA_INFO: 'proxy-get-ca-info',
+  PROXY_GENERATE_CA: 'proxy-generate-ca',
+  PROXY_EXPORT_CA: 'proxy-export-ca',
+  PROXY_GET_TRAFFIC: 'proxy-get-traffic',
+  PROXY_CLEAR_TRAFFIC: 'proxy-clear-traffic',
+  PROXY_SET_TRAFFIC_CAPTURE_BODIES: 'proxy-set-traffic-capture-bodies',
 
   // WebSocket
   WS_GET_CONNECTION_STATUS: 'ws-get-connection-status',
+  WS_GET_DISABLED_TAG_GROUPS: 'ws-get-disabled-tag-groups',
+  WS_GET_RULE_HITS: 'ws-get-rule-hits',
+  WS_CLEAR_RULE_HITS: 'ws-clear-rule-hits',
 
   // Git
   TEST_GIT_CONNECTION: 'testGitConnection',
@@ -147,6 +167,17 @@ export const IPC_INVOKE = {
   WORKSPACE_STATE_ADD_HEADER_RULE: 'workspace-state:add-header-rule',
   WORKSPACE_STATE_UPDATE_HEADER_RULE: 'workspace-state:update-header-rule',
   WORKSPACE_STATE_REMOVE_HEADER_RULE: 'workspace-state:remove-header-rule',
+  WORKSPACE_STATE_UPDATE_HEADER_RULES_BATCH: 'workspace-state:update-header-rules-batch',
+  WORKSPACE_STATE_REMOVE_HEADER_RULES_BATCH: 'workspace-state:remove-header-rules-batch',
+  WORKSPACE_STATE_ADD_PAYLOAD_RULE: 'workspace-state:add-payload-rule',
+  WORKSPACE_STATE_UPDATE_PAYLOAD_RULE: 'workspace-state:update-payload-rule',
+  WORKSPACE_STATE_REMOVE_PAYLOAD_RULE: 'workspace-state:remove-payload-rule',
+  WORKSPACE_STATE_ADD_URL_RULE: 'workspace-state:add-url-rule',
+  WORKSPACE_STATE_UPDATE_URL_RULE: 'workspace-state:update-url-rule',
+  WORKSPACE_STATE_REMOVE_URL_RULE: 'workspace-state:remove-url-rule',
+  WORKSPACE_STATE_ADD_SCRIPT_RULE: 'workspace-state:add-script-rule',
+  WORKSPACE_STATE_UPDATE_SCRIPT_RULE: 'workspace-state:update-script-rule',
+  WORKSPACE_STATE_REMOVE_SCRIPT_RULE: 'workspace-state:remove-script-rule',
   WORKSPACE_STATE_ADD_PROXY_RULE: 'workspace-state:add-proxy-rule',
   WORKSPACE_STATE_REMOVE_PROXY_RULE: 'workspace-state:remove-proxy-rule',
   WORKSPACE_STATE_CREATE_WORKSPACE: 'workspace-state:create-workspace',
@@ -160,6 +191,15 @@ export const IPC_INVOKE = {
   WORKSPACE_STATE_SWITCH_ENVIRONMENT: 'workspace-state:switch-environment',
   WORKSPACE_STATE_SET_VARIABLE: 'workspace-state:set-variable',
   WORKSPACE_STATE_BATCH_SET_VARIABLES: 'workspace-state:batch-set-variables',
+  WORKSPACE_STATE_CREATE_PROFILE: 'workspace-state:create-profile',
+  WORKSPACE_STATE_UPDATE_PROFILE: 'workspace-state:update-profile',
+  WORKSPACE_STATE_RECAPTURE_PROFILE: 'workspace-state:recapture-profile',
+  WORKSPACE_STATE_DELETE_PROFILE: 'workspace-state:delete-profile',
+  WORKSPACE_STATE_IMPORT_PROFILES: 'workspace-state:import-profiles',
+  WORKSPACE_STATE_APPLY_PROFILE: 'workspace-state:apply-profile',
+  WORKSPACE_STATE_UNDO: 'workspace-state:undo',
+  WORKSPACE_STATE_REDO: 'workspace-state:redo',
+  WORKSPACE_STATE_RESTORE_HISTORY_ITEM: 'workspace-state:restore-history-item',
 } as const;
 
 // ── Send channels (renderer → main, fire-and-forget) ───────────────
@@ -220,8 +260,12 @@ export const IPC_PUSH = {
   VIDEO_CONVERSION_PROGRESS: 'video-conversion-progress',
   FFMPEG_DOWNLOAD_PROGRESS: 'ffmpeg-download-progress',
 
+  // Proxy
+  PROXY_TRAFFIC_UPDATED: 'proxy-traffic-updated',
+
   // WebSocket
   WS_CONNECTION_STATUS_CHANGED: 'ws-connection-status-changed',
+  RULE_HITS_UPDATED: 'rule-hits-updated',
 
   // Git
   GIT_CONNECTION_PROGRESS: 'git-connection-progress',
@@ -4,6 +4,8 @@
  * Types for the local HTTP proxy server, its rules, cache, and status.
  */
 
+import type { HeaderOperation, HeaderValueGenerator } from '@openheaders/core';
+
 // ── Proxy rule (proxy-rules.json) ───────────────────────────────────
 
 export interface ProxyRule {
@@ -14,15 +16,126 @@ export interface ProxyRule {
   isDynamic?: boolean;
   headerName?: string;
   headerValue?: string;
+  operation?: HeaderOperation;
   sourceId?: string | number;
   prefix?: string;
   suffix?: string;
   domains?: string[];
   hasEnvVars?: boolean;
+  generator?: HeaderValueGenerator | null;
+}
+
+// ── Mock response rule (proxy-mock-rules.json) ──────────────────────
+
+/** Where a mock response body comes from; templates resolve environment variables per request */
+export type ProxyMockBodySource = 'inline' | 'file' | 'template';
+
+export interface ProxyMockHeader {
+  name: string;
+  value: string;
+}
+
+/** Answers matching requests with a configured response instead of contacting the origin */
+export interface ProxyMockRule {
+  id: string;
+  name?: string;
+  enabled?: boolean;
+  /** URL patterns as for proxy rules; a host with a path (`api.example.com/v2/orders`) targets one endpoint */
+  domains: string[];
+  /** Methods to answer; unset or empty answers any method */
+  methods?: string[];
+  statusCode: number;
+  /** Values may reference environment variables */
+  headers?: ProxyMockHeader[];
+  bodySource: ProxyMockBodySource;
+  /** Body for the inline and template sources */
+  body?: string;
+  /** File served as the body for the file source */
+  filePath?: string;
+}
+
+// ── Fault rule (proxy-fault-rules.json) ─────────────────────────────
+
+/**
+ * Degrades matching requests on their way through the proxy, to exercise retry logic
+ * and loading states. Rates are percentages of matching requests.
+ */
+export interface ProxyFaultRule {
+  id: string;
+  name?: string;
+  enabled?: boolean;
+  /** URL patterns as for proxy rules */
+  domains: string[];
+  /** Delay before forwarding; random between this and latencyMaxMs when that is larger */
+  latencyMs?: number;
+  latencyMaxMs?: number;
+  /** Response throughput cap in KB per second */
+  bandwidthKBps?: number;
+  /** Answered instead of forwarding, at errorRate percent (default 100) */
+  errorStatus?: number;
+  errorRate?: number;
+  /** Percent of requests whose connection is dropped without a response */
+  resetRate?: number;
+  /** Response bodies are cut off after this many bytes, at truncateRate percent (default 100) */
+  truncateAfterBytes?: number;
+  truncateRate?: number;
+  /** Repeats the same sequence of outcomes, counted from the last save or stats reset */
+  seed?: number;
+}
+
+/** How often a fault rule matched and what it did */
+export interface ProxyFaultStats {
+  hits: number;
+  delayed: number;
+  errors: number;
+  resets: number;
+  throttled: number;
+  truncated: number;
 }
 
 // ── Cache ───────────────────────────────────────────────────────────
 
+/**
+ * How the proxy cache treats matching requests:
+ * - `respect-origin` follows Cache-Control, Expires, Vary and revalidates with ETag/Last-Modified
+ * - `always` keeps every response and serves it without asking the origin until it ages out
+ * - `never` bypasses the cache
+ * - `offline-first` follows the origin while it is reachable, keeps every response, and
+ *   serves the stored copy however stale when the origin cannot be reached
+ */
+export type ProxyCacheMode = 'respect-origin' | 'always' | 'never' | 'offline-first';
+
+/** Cache behaviour for a set of URL patterns; requests no policy matches use `respect-origin` */
+export interface ProxyCachePolicy {
+  id: string;
+  name?: string;
+  enabled?: boolean;
+  /** URL patterns as for proxy rules */
+  domains: string[];
+  mode: ProxyCacheMode;
+  /** Query parameters left out of the cache key; a trailing `*` matches a prefix (`utm_*`) */
+  ignoreQueryParams?: string[];
+}
+
+/** Which cached responses go into an exported cache bundle; unset criteria match every entry */
+export interface ProxyCacheExportFilter {
+  /** URL patterns as for proxy rules */
+  domains?: string[];
+  /** Earliest time an entry was stored (epoch ms) */
+  since?: number;
+  /** Latest time an entry was stored (epoch ms) */
+  until?: number;
+}
+
+/** Entries written to or read from a cache bundle */
+export interface ProxyCacheBundleResult {
+  entries: number;
+  /** Body bytes */
+  size: number;
+  /** Entries left out: bodies missing on export, invalid or over the size limit on import */
+  skipped: number;
+}
+
 export interface CacheEntry {
   key: string;
   url: string;
@@ -45,6 +158,8 @@ export interface ProxyStats {
   cacheHits: number;
   cacheMisses: number;
   errors: number;
+  webSocketConnections: number;
+  activeWebSockets: number;
 }
 
 export interface ProxyStatus {
@@ -58,6 +173,9 @@ export interface ProxyStatus {
   strictSSL: boolean;
   trustedCertificates: number;
   certificateExceptions: number;
+  httpsInterception: boolean;
+  /** Keyed by fault rule id */
+  faultStats: Record<string, ProxyFaultStats>;
 }
 
 // ── Proxy certificate info ──────────────────────────────────────────
@@ -67,3 +185,50 @@ export interface ProxyCertificateInfo {
   trustedCertificates: string[];
   certificateExceptions: Array<{ domain: string; fingerprint: string }>;
 }
+
+// ── HTTPS interception CA ───────────────────────────────────────────
+
+export interface ProxyCAInfo {
+  exists: boolean;
+  /** Where the CA certificate (PEM) lives on disk */
+  certificatePath: string | null;
+  subject?: string;
+  /** SHA-256 fingerprint, colon separated */
+  fingerprint?: string;
+  validFrom?: string;
+  validTo?: string;
+}
+
+// ── Traffic inspector ───────────────────────────────────────────────
+
+/** A header, mock or fault rule applied to a proxied request or its response */
+export interface ProxyTrafficRule {
+  id: string;
+  name: string;
+}
+
+/** One request through the proxy, as recorded by the traffic journal */
+export interface ProxyTrafficEntry {
+  id: string;
+  timestamp: number;
+  method: string;
+  url: string;
+  /** Request headers as the client sent them */
+  requestHeaders: Record<string, string>;
+  /** Request headers forwarded to the origin, after rules were applied */
+  proxiedHeaders?: Record<string, string>;
+  appliedRules: ProxyTrafficRule[];
+  /** Unset while the request is in flight */
+  statusCode?: number;
+  responseHeaders?: Record<string, string>;
+  /** Milliseconds until the response finished */
+  duration?: number;
+  /** REVALIDATED: the origin confirmed a stale copy; STALE: served because the origin was unreachable */
+  cache?: 'HIT' | 'MISS' | 'REVALIDATED' | 'STALE';
+  error?: string;
+  /** Text bodies, only captured when enabled; as exchanged before payload rules */
+  requestBody?: string;
+  responseBody?: string;
+  /** Set when a captured body was cut at the capture limit */
+  bodyTruncated?: boolean;
+}
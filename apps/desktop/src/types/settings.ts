@@ -4,6 +4,8 @@
  * Persisted in settings.json at the userData path.
  */
 
+import type { ProxyCachePolicy } from './proxy';
+
 /** Screen recording permission state (macOS) */
 export interface ScreenRecordingPermission {
   hasPermission: boolean | null;
@@ -19,6 +21,10 @@ export interface AppSettings {
   theme: 'auto' | 'light' | 'dark';
   autoStartProxy: boolean;
   proxyCacheEnabled: boolean;
+  /** Decrypt HTTPS tunnels with the local proxy CA so rules apply to them */
+  proxyHttpsInterception?: boolean;
+  /** Per-domain proxy cache behaviour, first match wins */
+  proxyCachePolicies?: ProxyCachePolicy[];
   videoRecording: boolean;
   pendingVideoRecording?: boolean;
   videoQuality: 'standard' | 'high' | 'ultra';
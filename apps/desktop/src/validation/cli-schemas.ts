@@ -49,3 +49,29 @@ const EnvironmentVariableSchema = v.object({
 export const EnvironmentImportDataSchema = v.object({
   environments: v.record(v.string(), v.record(v.string(), EnvironmentVariableSchema)),
 });
+
+// ── RuleSimulationData ───────────────────────────────────────────────
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS', 'CONNECT'] as const;
+const REQUEST_RESOURCE_TYPES = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'ping',
+  'media',
+  'websocket',
+  'other',
+] as const;
+
+export const RuleSimulationDataSchema = v.object({
+  url: v.pipe(v.string(), v.url('url must be a valid URL')),
+  method: v.optional(v.picklist(HTTP_METHODS)),
+  resourceType: v.optional(v.picklist(REQUEST_RESOURCE_TYPES)),
+  initiator: v.optional(v.string()),
+  disabledTagGroups: v.optional(v.array(v.string())),
+});
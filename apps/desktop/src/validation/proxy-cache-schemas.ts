@@ -0,0 +1,41 @@
+/**
+ * Valibot schemas for proxy cache bundles.
+ *
+ * A bundle comes from another machine, so its manifest is validated before any
+ * entry is written into the local cache. Entries are checked one by one: a bad
+ * entry is skipped rather than failing the whole import.
+ */
+
+import * as v from 'valibot';
+
+export const CACHE_BUNDLE_FORMAT = 'openheaders-proxy-cache';
+export const CACHE_BUNDLE_VERSION = 1;
+
+// ── CacheBundleEntry ─────────────────────────────────────────────────
+
+const CacheMetadataSchema = v.object({
+  url: v.pipe(v.string(), v.url('url must be a valid URL')),
+  timestamp: v.number(),
+  lastAccessed: v.number(),
+  size: v.number(),
+  headers: v.record(v.string(), v.string()),
+  contentType: v.string(),
+  statusCode: v.pipe(v.number(), v.integer(), v.minValue(100), v.maxValue(599)),
+  freshUntil: v.optional(v.number()),
+  vary: v.optional(v.record(v.string(), v.string())),
+});
+
+export const CacheBundleEntrySchema = v.object({
+  // The key names the body file, so it must stay a plain cache key
+  key: v.pipe(v.string(), v.regex(/^[0-9a-f]{64}$/, 'key must be a sha256 cache key')),
+  metadata: CacheMetadataSchema,
+});
+
+// ── CacheBundleManifest ──────────────────────────────────────────────
+
+export const CacheBundleManifestSchema = v.object({
+  format: v.literal(CACHE_BUNDLE_FORMAT),
+  version: v.literal(CACHE_BUNDLE_VERSION),
+  exportedAt: v.number(),
+  entries: v.array(v.unknown()),
+});
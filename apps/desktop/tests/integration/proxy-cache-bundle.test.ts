@@ -0,0 +1,219 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AdmZip from 'adm-zip';
+import electron from 'electron';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ProxyCache } from '@/services/proxy/ProxyCache';
+
+const HOUR = 60 * 60 * 1000;
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+let tempDir: string;
+
+/** A cache in its own userData directory, standing in for one machine */
+async function createCache(machine: string): Promise<ProxyCache> {
+  vi.spyOn(electron.app, 'getPath').mockReturnValue(path.join(tempDir, machine));
+  const cache = new ProxyCache();
+  await cache.initialize();
+  return cache;
+}
+
+async function store(cache: ProxyCache, url: string, body: string, cachedAt = Date.now()) {
+  await cache.set(url, Buffer.from(body), {
+    headers: { 'content-type': 'text/css', 'cache-control': 'max-age=3600' },
+    contentType: 'text/css',
+  });
+  cache.metadata.get(cache.getCacheKey(url))!.timestamp = cachedAt;
+}
+
+function writeBundle(manifest: unknown, files: Record<string, string> = {}): string {
+  const zip = new AdmZip();
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest)));
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  const bundlePath = path.join(tempDir, `crafted-${Math.random().toString(16).slice(2)}.zip`);
+  zip.writeZip(bundlePath);
+  return bundlePath;
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+beforeEach(async () => {
+  tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'openheaders-cache-bundle-'));
+});
+
+afterEach(async () => {
+  vi.restoreAllMocks();
+  await fs.promises.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('Proxy cache bundles', () => {
+  it('carries entries to another cache, which serves them as they were', async () => {
+    const source = await createCache('alice');
+    await store(source, 'https://fonts.openheaders.io/inter.css', '@font-face { font-family: Inter; }');
+    await store(source, 'https://cdn.openheaders.io/app.css', 'body { margin: 0; }');
+
+    const bundlePath = path.join(tempDir, 'bundle.zip');
+    const exported = await source.exportBundle(bundlePath);
+    expect(exported).toEqual({ entries: 2, size: 53, skipped: 0 });
+
+    const target = await createCache('bob');
+    const imported = await target.importBundle(bundlePath);
+    expect(imported).toEqual({ entries: 2, size: 53, skipped: 0 });
+
+    const hit = await target.get('https://fonts.openheaders.io/inter.css');
+    expect(hit!.data.toString()).toBe('@font-face { font-family: Inter; }');
+    expect(hit!.contentType).toBe('text/css');
+    expect(hit!.headers['cache-control']).toBe('max-age=3600');
+    expect(hit!.fresh).toBe(true);
+  });
+
+  it('restarts the freshness the origin gave each entry when importing', async () => {
+    const source = await createCache('alice');
+    const url = 'https://fonts.openheaders.io/inter.css';
+    await store(source, url, 'inter');
+    // Recorded two hours ago with max-age=3600 and kept longer than the importing cache's maxAge
+    const recorded = source.metadata.get(source.getCacheKey(url))!;
+    recorded.timestamp = Date.now() - 2 * HOUR;
+    recorded.freshUntil = recorded.timestamp + HOUR;
+    const bundlePath = path.join(tempDir, 'bundle.zip');
+    await source.exportBundle(bundlePath);
+
+    const target = await createCache('bob');
+    target.maxAge = HOUR;
+    const before = Date.now();
+    await target.importBundle(bundlePath);
+
+    const metadata = target.metadata.get(target.getCacheKey(url))!;
+    expect(metadata.timestamp).toBeGreaterThanOrEqual(before);
+    expect(metadata.freshUntil).toBe(metadata.timestamp + HOUR);
+    const hit = await target.get(url, {}, { mode: 'respect-origin' });
+    expect(hit!.fresh).toBe(true);
+  });
+
+  it('keeps entries the origin marked stale as needing revalidation', async () => {
+    const source = await createCache('alice');
+    const url = 'https://api.openheaders.io/v2/users';
+    await source.set(url, Buffer.from('[]'), {
+      headers: { 'content-type': 'application/json', 'cache-control': 'no-cache' },
+      contentType: 'application/json',
+    });
+    const bundlePath = path.join(tempDir, 'bundle.zip');
+    await source.exportBundle(bundlePath);
+
+    const target = await createCache('bob');
+    await target.importBundle(bundlePath);
+
+    expect((await target.get(url, {}, { mode: 'respect-origin' }))!.fresh).toBe(false);
+  });
+
+  it('exports only entries matching the domain and time filters', async () => {
+    const source = await createCache('alice');
+    const now = Date.now();
+    await store(source, 'https://fonts.openheaders.io/inter.css', 'inter', now - 5 * HOUR);
+    await store(source, 'https://fonts.openheaders.io/mono.css', 'mono', now - HOUR);
+    await store(source, 'https://cdn.openheaders.io/app.css', 'app', now - HOUR);
+
+    const bundlePath = path.join(tempDir, 'fonts.zip');
+    const exported = await source.exportBundle(bundlePath, {
+      domains: ['fonts.openheaders.io'],
+      since: now - 2 * HOUR,
+    });
+    expect(exported.entries).toBe(1);
+
+    const target = await createCache('bob');
+    await target.importBundle(bundlePath);
+    expect(Array.from(target.metadata.values()).map((metadata) => metadata.url)).toEqual([
+      'https://fonts.openheaders.io/mono.css',
+    ]);
+  });
+
+  it('selects entries by domain pattern and cache time, newest first', async () => {
+    const cache = await createCache('alice');
+    const now = Date.now();
+    await store(cache, 'https://api.openheaders.io/v2/users', 'users', now - 3 * HOUR);
+    await store(cache, 'https://staging.api.openheaders.io/v2/users', 'users', now - HOUR);
+    await store(cache, 'https://cdn.openheaders.io/app.js', 'app', now);
+
+    expect(cache.selectEntries({ domains: ['*.api.openheaders.io'] }).map(([, m]) => m.url)).toEqual([
+      'https://staging.api.openheaders.io/v2/users',
+      'https://api.openheaders.io/v2/users',
+    ]);
+    expect(cache.selectEntries({ until: now - 2 * HOUR }).map(([, m]) => m.url)).toEqual([
+      'https://api.openheaders.io/v2/users',
+    ]);
+    expect(cache.selectEntries()).toHaveLength(3);
+  });
+
+  it('replaces local entries for the same request', async () => {
+    const source = await createCache('alice');
+    await store(source, 'https://cdn.openheaders.io/app.css', 'body { color: teal; }');
+    const bundlePath = path.join(tempDir, 'bundle.zip');
+    await source.exportBundle(bundlePath);
+
+    const target = await createCache('bob');
+    await store(target, 'https://cdn.openheaders.io/app.css', 'body { color: red; }');
+    await target.importBundle(bundlePath);
+
+    expect((await target.get('https://cdn.openheaders.io/app.css'))!.data.toString()).toBe('body { color: teal; }');
+    expect(target.metadata.size).toBe(1);
+  });
+
+  it('skips entries whose body is missing on export', async () => {
+    const source = await createCache('alice');
+    await store(source, 'https://cdn.openheaders.io/app.css', 'app');
+    await store(source, 'https://cdn.openheaders.io/gone.css', 'gone');
+    await fs.promises.unlink(source.getCachePath(source.getCacheKey('https://cdn.openheaders.io/gone.css')));
+
+    const exported = await source.exportBundle(path.join(tempDir, 'bundle.zip'));
+    expect(exported).toEqual({ entries: 1, size: 3, skipped: 1 });
+  });
+
+  it('rejects files that are not cache bundles', async () => {
+    const target = await createCache('bob');
+    const notZip = path.join(tempDir, 'notes.zip');
+    await fs.promises.writeFile(notZip, 'not a zip archive');
+
+    await expect(target.importBundle(notZip)).rejects.toThrow();
+    await expect(target.importBundle(writeBundle({ format: 'har', version: 1 }))).rejects.toThrow(
+      'Not an OpenHeaders proxy cache bundle',
+    );
+    expect(target.metadata.size).toBe(0);
+  });
+
+  it('skips invalid entries, including keys that would escape the cache directory', async () => {
+    const target = await createCache('bob');
+    const url = 'https://cdn.openheaders.io/app.css';
+    const key = target.getCacheKey(url);
+    const metadata = {
+      url,
+      timestamp: Date.now(),
+      lastAccessed: Date.now(),
+      size: 3,
+      headers: { 'content-type': 'text/css' },
+      contentType: 'text/css',
+      statusCode: 200,
+    };
+
+    const bundlePath = writeBundle(
+      {
+        format: 'openheaders-proxy-cache',
+        version: 1,
+        exportedAt: Date.now(),
+        entries: [
+          { key, metadata },
+          { key: '../../escape', metadata },
+          { key: 'a'.repeat(64), metadata: { ...metadata, url: 'not a url' } },
+          { key: 'b'.repeat(64), metadata },
+        ],
+      },
+      { [`entries/${key}`]: 'app', 'entries/../../escape': 'evil' },
+    );
+
+    expect(await target.importBundle(bundlePath)).toEqual({ entries: 1, size: 3, skipped: 3 });
+    expect(Array.from(target.metadata.keys())).toEqual([key]);
+  });
+});
@@ -0,0 +1,290 @@
+import http from 'node:http';
+import type net from 'node:net';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+import type { ProxyCachePolicy } from '@/types/proxy';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+const LAST_MODIFIED = 'Sat, 15 Nov 2025 09:30:00 GMT';
+
+// ── Origin server: caching headers per path, records what reaches it ──
+
+let origin: http.Server;
+let originPort: number;
+let originRequests: http.IncomingHttpHeaders[] = [];
+/** Bumped to simulate a deploy: the ETag changes and the old one no longer validates */
+let etagVersion = 1;
+
+function originHandler(req: http.IncomingMessage, res: http.ServerResponse) {
+  originRequests.push(req.headers);
+  const url = new URL(req.url || '/', 'http://origin');
+  const send = (headers: Record<string, string>, body: string) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+    res.end(body);
+  };
+
+  switch (url.pathname) {
+    case '/max-age.json':
+      return send({ 'Cache-Control': 'max-age=60' }, JSON.stringify({ served: originRequests.length }));
+    case '/no-store.json':
+      return send({ 'Cache-Control': 'no-store, max-age=60' }, JSON.stringify({ served: originRequests.length }));
+    case '/plain.json':
+      return send({}, JSON.stringify({ served: originRequests.length }));
+    case '/etag.json': {
+      const etag = `"v${etagVersion}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag, 'Cache-Control': 'no-cache' });
+        res.end();
+        return;
+      }
+      return send({ ETag: etag, 'Cache-Control': 'no-cache' }, JSON.stringify({ version: etagVersion }));
+    }
+    case '/last-modified.json':
+      if (req.headers['if-modified-since'] === LAST_MODIFIED) {
+        res.writeHead(304, { 'Cache-Control': 'max-age=60' });
+        res.end();
+        return;
+      }
+      return send({ 'Last-Modified': LAST_MODIFIED, 'Cache-Control': 'max-age=0' }, JSON.stringify({ modified: true }));
+    case '/vary.json':
+      return send(
+        { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' },
+        JSON.stringify({ greeting: req.headers['accept-language'] === 'de' ? 'Hallo' : 'Hello' }),
+      );
+    default:
+      return send({ 'Cache-Control': 'max-age=60' }, JSON.stringify({ path: url.pathname + url.search }));
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+function get(
+  targetUrl: string,
+  headers: http.OutgoingHttpHeaders = {},
+): Promise<{ statusCode?: number; body: string }> {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port: proxyPort, path: `/${targetUrl}`, headers, agent: false },
+      (res) => {
+        const chunks: Buffer[] = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString() }));
+        res.on('error', reject);
+      },
+    );
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function originUrl(targetPath: string): string {
+  return `http://127.0.0.1:${originPort}${targetPath}`;
+}
+
+/** Cache outcomes the traffic journal recorded for `path`, oldest first */
+function cacheOutcomes(path: string) {
+  return proxyService
+    .getTraffic()
+    .entries.filter((entry) => entry.url.endsWith(path))
+    .map((entry) => entry.cache);
+}
+
+function policy(overrides: Partial<ProxyCachePolicy>): ProxyCachePolicy {
+  return { id: 'policy', domains: [`127.0.0.1:${originPort}`], mode: 'respect-origin', ...overrides };
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+
+beforeAll(async () => {
+  origin = http.createServer(originHandler);
+  await new Promise<void>((resolve) => origin.listen(0, '127.0.0.1', resolve));
+  originPort = (origin.address() as net.AddressInfo).port;
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  await new Promise<void>((resolve) => origin.close(() => resolve()));
+});
+
+beforeEach(async () => {
+  originRequests = [];
+  etagVersion = 1;
+  proxyService.headerRules = [];
+  proxyService.ruleStore.rules = [];
+  proxyService.ruleStore.mockRules = [];
+  proxyService.ruleStore.faultRules = [];
+  proxyService.cacheEnabled = true;
+  proxyService.cachePolicies = [];
+  proxyService.clearTraffic();
+  await proxyService.clearCache();
+});
+
+describe('Proxy integration – HTTP cache semantics', () => {
+  describe('respecting the origin', () => {
+    it('serves responses from the cache while max-age allows', async () => {
+      const first = await get(originUrl('/max-age.json'));
+      const second = await get(originUrl('/max-age.json'));
+
+      expect(second.body).toBe(first.body);
+      expect(originRequests).toHaveLength(1);
+      expect(cacheOutcomes('/max-age.json')).toEqual(['MISS', 'HIT']);
+    });
+
+    it('does not store no-store responses or responses without caching headers', async () => {
+      await get(originUrl('/no-store.json'));
+      await get(originUrl('/no-store.json'));
+      await get(originUrl('/plain.json'));
+      await get(originUrl('/plain.json'));
+
+      expect(originRequests).toHaveLength(4);
+      expect(proxyService.cache.metadata.size).toBe(0);
+    });
+
+    it('does not store responses to requests that send no-store', async () => {
+      await get(originUrl('/max-age.json'), { 'Cache-Control': 'no-store' });
+      await get(originUrl('/max-age.json'));
+
+      expect(originRequests).toHaveLength(2);
+    });
+
+    it('revalidates with If-None-Match and serves the stored body on 304', async () => {
+      const first = await get(originUrl('/etag.json'));
+      const second = await get(originUrl('/etag.json'));
+
+      expect(second.statusCode).toBe(200);
+      expect(second.body).toBe(first.body);
+      expect(originRequests).toHaveLength(2);
+      expect(originRequests[1]['if-none-match']).toBe('"v1"');
+      expect(cacheOutcomes('/etag.json')).toEqual(['MISS', 'REVALIDATED']);
+    });
+
+    it('replaces the stored copy when the ETag no longer validates', async () => {
+      await get(originUrl('/etag.json'));
+      etagVersion = 2;
+
+      expect(JSON.parse((await get(originUrl('/etag.json'))).body)).toEqual({ version: 2 });
+      expect(JSON.parse((await get(originUrl('/etag.json'))).body)).toEqual({ version: 2 });
+      expect(originRequests[2]['if-none-match']).toBe('"v2"');
+      expect(cacheOutcomes('/etag.json')).toEqual(['MISS', 'MISS', 'REVALIDATED']);
+    });
+
+    it('revalidates with If-Modified-Since and honours the refreshed lifetime', async () => {
+      await get(originUrl('/last-modified.json'));
+      await get(originUrl('/last-modified.json'));
+      await get(originUrl('/last-modified.json'));
+
+      expect(originRequests).toHaveLength(2);
+      expect(originRequests[1]['if-modified-since']).toBe(LAST_MODIFIED);
+      expect(cacheOutcomes('/last-modified.json')).toEqual(['MISS', 'REVALIDATED', 'HIT']);
+    });
+
+    it('goes back to the origin when the client asks for a fresh copy', async () => {
+      await get(originUrl('/max-age.json'));
+      await get(originUrl('/max-age.json'), { 'Cache-Control': 'no-cache' });
+
+      expect(originRequests).toHaveLength(2);
+    });
+
+    it('does not serve a variant stored for different Vary request headers', async () => {
+      const german = await get(originUrl('/vary.json'), { 'Accept-Language': 'de' });
+      const english = await get(originUrl('/vary.json'), { 'Accept-Language': 'en' });
+      const englishAgain = await get(originUrl('/vary.json'), { 'Accept-Language': 'en' });
+
+      expect(JSON.parse(german.body).greeting).toBe('Hallo');
+      expect(JSON.parse(english.body).greeting).toBe('Hello');
+      expect(englishAgain.body).toBe(english.body);
+      expect(originRequests).toHaveLength(2);
+    });
+  });
+
+  describe('cache policies', () => {
+    it('never caches matching requests under a never policy', async () => {
+      proxyService.setCachePolicies([policy({ mode: 'never' })]);
+
+      await get(originUrl('/max-age.json'));
+      await get(originUrl('/max-age.json'));
+
+      expect(originRequests).toHaveLength(2);
+      expect(proxyService.cache.metadata.size).toBe(0);
+    });
+
+    it('caches everything under an always policy, whatever the origin says', async () => {
+      proxyService.setCachePolicies([policy({ mode: 'always' })]);
+
+      const first = await get(originUrl('/no-store.json'));
+      const second = await get(originUrl('/no-store.json'), { 'Cache-Control': 'no-cache' });
+
+      expect(second.body).toBe(first.body);
+      expect(originRequests).toHaveLength(1);
+    });
+
+    it('ignores disabled policies', async () => {
+      proxyService.setCachePolicies([policy({ mode: 'always', enabled: false })]);
+
+      await get(originUrl('/plain.json'));
+      await get(originUrl('/plain.json'));
+
+      expect(originRequests).toHaveLength(2);
+    });
+
+    it('shares one entry between URLs differing only in ignored query parameters', async () => {
+      proxyService.setCachePolicies([policy({ ignoreQueryParams: ['v', 'utm_*'] })]);
+
+      const first = await get(originUrl('/bundle.js?v=1&lang=de'));
+      const second = await get(originUrl('/bundle.js?lang=de&v=2&utm_source=newsletter'));
+      await get(originUrl('/bundle.js?v=1&lang=en'));
+
+      expect(second.body).toBe(first.body);
+      expect(originRequests).toHaveLength(2);
+    });
+
+    it('serves the stored copy under an offline-first policy when the origin is unreachable', async () => {
+      const flaky = http.createServer((_req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'online' }));
+      });
+      await new Promise<void>((resolve) => flaky.listen(0, '127.0.0.1', resolve));
+      const flakyUrl = `http://127.0.0.1:${(flaky.address() as net.AddressInfo).port}/status.json`;
+      proxyService.setCachePolicies([policy({ mode: 'offline-first', domains: [flakyUrl] })]);
+
+      const online = await get(flakyUrl);
+      flaky.closeAllConnections();
+      await new Promise<void>((resolve) => flaky.close(() => resolve()));
+      const offline = await get(flakyUrl);
+
+      expect(offline.statusCode).toBe(200);
+      expect(offline.body).toBe(online.body);
+      expect(cacheOutcomes('/status.json')).toEqual(['MISS', 'STALE']);
+    });
+
+    it('still reports the failure when nothing is stored for an unreachable origin', async () => {
+      const flaky = http.createServer();
+      await new Promise<void>((resolve) => flaky.listen(0, '127.0.0.1', resolve));
+      const flakyUrl = `http://127.0.0.1:${(flaky.address() as net.AddressInfo).port}/status.json`;
+      await new Promise<void>((resolve) => flaky.close(() => resolve()));
+      proxyService.setCachePolicies([policy({ mode: 'offline-first', domains: [flakyUrl] })]);
+
+      expect((await get(flakyUrl)).statusCode).toBe(502);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import http from 'node:http';
+import type net from 'node:net';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+import type { ProxyFaultRule } from '@/types/proxy';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+const FAULT_RULE_ID = 'f6a7b8c9-d0e1-2345-fabc-456789012345';
+
+function makeFaultRule(overrides: Partial<ProxyFaultRule> = {}): ProxyFaultRule {
+  return {
+    id: FAULT_RULE_ID,
+    name: 'Flaky payments API',
+    enabled: true,
+    domains: [`127.0.0.1:${originPort}/payments`],
+    ...overrides,
+  };
+}
+
+// ── Origin server: counts the requests that reach it ────────────────
+
+const ORIGIN_BODY = JSON.stringify({ payments: Array.from({ length: 30 }, (_, id) => ({ id, amount: 100 })) });
+
+let origin: http.Server;
+let originPort: number;
+let originRequests = 0;
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+interface Outcome {
+  statusCode?: number;
+  headers?: http.IncomingHttpHeaders;
+  body: string;
+  /** The connection or body ended before the response was complete */
+  aborted: boolean;
+}
+
+function request(targetPath: string): Promise<Outcome> {
+  return new Promise((resolve) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: proxyPort,
+        path: `/http://127.0.0.1:${originPort}${targetPath}`,
+        agent: false,
+      },
+      (res) => {
+        const chunks: Buffer[] = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () =>
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+            aborted: false,
+          }),
+        );
+        res.on('error', () =>
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+            aborted: true,
+          }),
+        );
+      },
+    );
+    req.on('error', () => resolve({ body: '', aborted: true }));
+    req.end();
+  });
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+
+beforeAll(async () => {
+  origin = http.createServer((_req, res) => {
+    originRequests++;
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(ORIGIN_BODY) });
+    res.end(ORIGIN_BODY);
+  });
+  await new Promise<void>((resolve) => origin.listen(0, '127.0.0.1', resolve));
+  originPort = (origin.address() as net.AddressInfo).port;
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  await new Promise<void>((resolve) => origin.close(() => resolve()));
+});
+
+beforeEach(async () => {
+  originRequests = 0;
+  proxyService.headerRules = [];
+  proxyService.ruleStore.rules = [];
+  proxyService.ruleStore.mockRules = [];
+  proxyService.ruleStore.faultRules = [];
+  proxyService.cacheEnabled = false;
+  proxyService.resetFaultStats();
+  await proxyService.clearCache();
+});
+
+describe('Proxy fault injection', () => {
+  it('delays matching requests by the configured latency', async () => {
+    proxyService.ruleStore.faultRules = [makeFaultRule({ latencyMs: 300 })];
+
+    const started = Date.now();
+    const res = await request('/payments');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(280);
+    expect(res.body).toBe(ORIGIN_BODY);
+    expect(proxyService.getStatus().faultStats[FAULT_RULE_ID]).toMatchObject({ hits: 1, delayed: 1 });
+  });
+
+  it('answers with the error status without contacting the origin', async () => {
+    proxyService.ruleStore.faultRules = [makeFaultRule({ errorStatus: 503 })];
+
+    const res = await request('/payments');
+    expect(res.statusCode).toBe(503);
+    expect(res.headers?.['x-proxy-fault']).toBe(FAULT_RULE_ID);
+    expect(res.headers?.['access-control-allow-origin']).toBe('*');
+    expect(originRequests).toBe(0);
+
+    const [entry] = proxyService.getTraffic().entries.slice(-1);
+    expect(entry.statusCode).toBe(503);
+    expect(entry.appliedRules.map((rule) => rule.name)).toEqual(['Flaky payments API']);
+  });
+
+  it('drops the connection without a response on a reset', async () => {
+    proxyService.ruleStore.faultRules = [makeFaultRule({ resetRate: 100 })];
+
+    const res = await request('/payments');
+    expect(res.aborted).toBe(true);
+    expect(res.statusCode).toBeUndefined();
+    expect(proxyService.getStatus().faultStats[FAULT_RULE_ID]).toMatchObject({ hits: 1, resets: 1 });
+  });
+
+  it('cuts the response body off after the configured bytes', async () => {
+    proxyService.ruleStore.faultRules = [makeFaultRule({ truncateAfterBytes: 32 })];
+
+    const res = await request('/payments');
+    expect(res.statusCode).toBe(200);
+    expect(res.aborted).toBe(true);
+    expect(res.body).toBe(ORIGIN_BODY.slice(0, 32));
+    expect(originRequests).toBe(1);
+  });
+
+  it('throttles the response body to the bandwidth cap', async () => {
+    // About 0.7 KB at 1 KB/s
+    proxyService.ruleStore.faultRules = [makeFaultRule({ bandwidthKBps: 1 })];
+    expect(ORIGIN_BODY.length).toBeGreaterThan(500);
+
+    const started = Date.now();
+    const res = await request('/payments');
+    expect(res.body).toBe(ORIGIN_BODY);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(400);
+    expect(proxyService.getStatus().faultStats[FAULT_RULE_ID]).toMatchObject({ hits: 1, throttled: 1 });
+  });
+
+  it('repeats the same outcomes for a seeded rule after a stats reset', async () => {
+    proxyService.ruleStore.faultRules = [makeFaultRule({ errorStatus: 500, errorRate: 50, seed: 7 })];
+
+    const run = async () => {
+      const statuses: Array<number | undefined> = [];
+      for (let i = 0; i < 8; i++) statuses.push((await request('/payments')).statusCode);
+      return statuses;
+    };
+    const first = await run();
+    expect(first).toContain(500);
+    expect(first).toContain(200);
+
+    proxyService.resetFaultStats();
+    expect(proxyService.getStatus().faultStats).toEqual({});
+    expect(await run()).toEqual(first);
+    expect(proxyService.getStatus().faultStats[FAULT_RULE_ID]).toMatchObject({
+      hits: 8,
+      errors: first.filter((status) => status === 500).length,
+    });
+  });
+
+  it('bypasses the cache for matching requests and never caches faulted responses', async () => {
+    proxyService.cacheEnabled = true;
+    expect((await request('/payments')).body).toBe(ORIGIN_BODY);
+    expect(originRequests).toBe(1);
+
+    proxyService.ruleStore.faultRules = [makeFaultRule({ latencyMs: 1 })];
+    await request('/payments');
+    expect(originRequests).toBe(2);
+
+    proxyService.ruleStore.faultRules = [makeFaultRule({ truncateAfterBytes: 10 })];
+    await request('/payments?page=2');
+    proxyService.ruleStore.faultRules = [];
+    expect((await request('/payments?page=2')).body).toBe(ORIGIN_BODY);
+    expect(originRequests).toBe(4);
+  });
+
+  it('leaves other URLs and disabled rules alone', async () => {
+    proxyService.ruleStore.faultRules = [
+      makeFaultRule({ errorStatus: 503 }),
+      makeFaultRule({ id: 'disabled', enabled: false, domains: [`127.0.0.1:${originPort}/orders`], errorStatus: 503 }),
+    ];
+
+    expect((await request('/orders')).statusCode).toBe(200);
+    expect((await request('/refunds')).statusCode).toBe(200);
+    expect(proxyService.getStatus().faultStats).toEqual({});
+  });
+});
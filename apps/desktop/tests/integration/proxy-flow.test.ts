@@ -1,5 +1,6 @@
+import { createHmac } from 'node:crypto';
 import http from 'node:http';
-import type { HeaderRule } from '@openheaders/core';
+import type { HeaderRule, PayloadRule } from '@openheaders/core';
 import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
 import type { ProxyService } from '@/services/proxy/ProxyService';
 import type { ProxyRule } from '@/types/proxy';
@@ -151,14 +152,35 @@ afterAll(async () => {
 
 beforeEach(() => {
   proxyService.headerRules = [];
+  proxyService.payloadRules = [];
   proxyService.sources = new Map();
   proxyService.environmentVariables = {};
   proxyService.ruleStore.rules = [];
   proxyService.cacheEnabled = true;
-  proxyService.stats = { requestsProcessed: 0, cacheHits: 0, cacheMisses: 0, errors: 0 };
+  // The echo server sends no caching headers; these tests cover storage, not freshness
+  proxyService.cachePolicies = [{ id: 'cache-everything', domains: [`127.0.0.1:${echoPort}`], mode: 'always' }];
+  proxyService.stats = {
+    requestsProcessed: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    errors: 0,
+    webSocketConnections: 0,
+    activeWebSockets: 0,
+  };
   proxyService.cache.metadata.clear();
+  proxyService.clearTraffic();
+  proxyService.setTrafficCaptureBodies(false);
 });
 
+/** Wait for the journal entry of a request to complete */
+async function waitForTraffic(path: string) {
+  const find = () => proxyService.getTraffic().entries.find((entry) => entry.url.endsWith(path));
+  for (let i = 0; i < 100 && find()?.duration === undefined; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return find()!;
+}
+
 describe('Proxy integration – full request flow', () => {
   // ── 1. Basic proxying ──────────────────────────────────────────
 
@@ -329,7 +351,7 @@ describe('Proxy integration – full request flow', () => {
           id: 'r-scoped',
           headerName: 'X-Scoped',
           headerValue: 'yes',
-          domains: ['127.0.0.1'],
+          domains: [`127.0.0.1:${echoPort}`],
         }),
       ];
 
@@ -439,6 +461,41 @@ describe('Proxy integration – full request flow', () => {
       // 5. Verify the header was injected with source value + prefix
       expect(echo.headers.authorization).toBe(`Bearer ${token}`);
     });
+
+    it('generates a fresh request ID and signs the forwarded body on every request', async () => {
+      proxyService.environmentVariables = { SIGNING_KEY: 'partner-secret' };
+      proxyService.ruleStore.rules = [
+        makeProxyRule({ id: 'r-request-id', headerName: 'X-Request-Id', generator: { type: 'uuid' } }),
+        makeProxyRule({
+          id: 'r-signature',
+          headerName: 'X-Signature',
+          prefix: 'sha256=',
+          generator: { type: 'hmac', secret: '{{SIGNING_KEY}}' },
+        }),
+      ];
+
+      const targetUrl = `http://127.0.0.1:${echoPort}/v1/payments?idempotent=1`;
+      const body = JSON.stringify({ amount: 4200, currency: 'EUR' });
+      const first = parseEcho(
+        (
+          await proxyRequest(proxyPort, targetUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+          })
+        ).body,
+      );
+      const second = parseEcho((await proxyRequest(proxyPort, targetUrl)).body);
+
+      const expected = createHmac('sha256', 'partner-secret')
+        .update(`POST\n/v1/payments?idempotent=1\n${body}`)
+        .digest('hex');
+      expect(first.body).toBe(body);
+      expect(first.headers['x-signature']).toBe(`sha256=${expected}`);
+      expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+    });
   });
 
   // ── 3. Caching ────────────────────────────────────────────────
@@ -482,7 +539,14 @@ describe('Proxy integration – full request flow', () => {
       const cacheableExtensions = ['.css', '.js', '.png', '.svg', '.ico', '.woff2', '.json'];
       for (const ext of cacheableExtensions) {
         proxyService.cache.metadata.clear();
-        proxyService.stats = { requestsProcessed: 0, cacheHits: 0, cacheMisses: 0, errors: 0 };
+        proxyService.stats = {
+          requestsProcessed: 0,
+          cacheHits: 0,
+          cacheMisses: 0,
+          errors: 0,
+          webSocketConnections: 0,
+          activeWebSockets: 0,
+        };
 
         const targetUrl = `http://127.0.0.1:${echoPort}/assets/file${ext}`;
         await proxyRequest(proxyPort, targetUrl);
@@ -574,7 +638,7 @@ describe('Proxy integration – full request flow', () => {
     });
 
     it('resolves environment variables in domain patterns', async () => {
-      proxyService.environmentVariables = { TARGET_HOST: '127.0.0.1' };
+      proxyService.environmentVariables = { TARGET_HOST: `127.0.0.1:${echoPort}` };
       proxyService.ruleStore.rules = [
         makeProxyRule({
           id: 'r-env-domain',
@@ -755,7 +819,7 @@ describe('Proxy integration – full request flow', () => {
     });
 
     it('env var in domain pattern with header injection', async () => {
-      proxyService.environmentVariables = { TARGET_HOST: '127.0.0.1' };
+      proxyService.environmentVariables = { TARGET_HOST: `127.0.0.1:${echoPort}` };
       proxyService.ruleStore.rules = [
         makeProxyRule({
           id: 'r-env-combo',
@@ -838,4 +902,87 @@ describe('Proxy integration – full request flow', () => {
       expect(proxyService.stats.errors).toBe(1);
     });
   });
+
+  // ── 11. Traffic journal ───────────────────────────────────────
+
+  describe('traffic journal', () => {
+    it('records headers before and after rules, with the rules applied', async () => {
+      proxyService.ruleStore.rules = [makeProxyRule({ headerName: 'X-Journal', headerValue: 'added', domains: [] })];
+
+      await proxyRequest(proxyPort, `http://127.0.0.1:${echoPort}/journal`, { headers: { 'X-Client': 'yes' } });
+      const entry = await waitForTraffic('/journal');
+
+      expect(entry).toMatchObject({ method: 'GET', statusCode: 200 });
+      expect(entry.duration).toBeGreaterThanOrEqual(0);
+      expect(entry.requestHeaders['x-client']).toBe('yes');
+      expect(entry.requestHeaders['x-journal']).toBeUndefined();
+      expect(entry.proxiedHeaders?.['x-journal']).toBe('added');
+      expect(entry.appliedRules).toEqual([
+        { id: 'b2c3d4e5-f6a7-8901-bcde-f12345678901', name: 'Proxy Rule — API Gateway' },
+      ]);
+      expect(entry.responseHeaders?.['content-type']).toBe('application/json');
+    });
+
+    it('marks cache misses and hits', async () => {
+      const targetUrl = `http://127.0.0.1:${echoPort}/journal-cache.json`;
+      await proxyRequest(proxyPort, targetUrl);
+      await waitForTraffic('/journal-cache.json');
+      await proxyRequest(proxyPort, targetUrl);
+
+      const entries = proxyService.getTraffic().entries;
+      expect(entries.map((entry) => entry.cache)).toEqual(['MISS', 'HIT']);
+    });
+
+    it('captures text bodies only when enabled', async () => {
+      await proxyRequest(proxyPort, `http://127.0.0.1:${echoPort}/no-bodies`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"a":1}',
+      });
+      expect((await waitForTraffic('/no-bodies')).requestBody).toBeUndefined();
+
+      proxyService.setTrafficCaptureBodies(true);
+      await proxyRequest(proxyPort, `http://127.0.0.1:${echoPort}/bodies`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"a":1}',
+      });
+      const entry = await waitForTraffic('/bodies');
+      expect(entry.requestBody).toBe('{"a":1}');
+      expect(parseEcho(entry.responseBody!).body).toBe('{"a":1}');
+    });
+
+    it('captures the rewritten body a cache hit was answered with', async () => {
+      proxyService.setTrafficCaptureBodies(true);
+      proxyService.payloadRules = [
+        {
+          id: 'c3d4e5f6-a7b8-9012-cdef-123456789012',
+          type: 'payload',
+          name: 'Rename method',
+          isEnabled: true,
+          domains: [`127.0.0.1:${echoPort}`],
+          matchPattern: '"method":"GET"',
+          matchType: 'contains',
+          replaceWith: '"method":"REWRITTEN"',
+          isRequest: false,
+          isResponse: true,
+          contentType: 'json',
+        } as PayloadRule,
+      ];
+      const targetUrl = `http://127.0.0.1:${echoPort}/journal-rewrite.json`;
+      await proxyRequest(proxyPort, targetUrl);
+      await waitForTraffic('/journal-rewrite.json');
+      const hit = await proxyRequest(proxyPort, targetUrl);
+
+      const entry = proxyService.getTraffic().entries.find((candidate) => candidate.cache === 'HIT');
+      expect(parseEcho(hit.body).method).toBe('REWRITTEN');
+      expect(entry?.responseBody).toBe(hit.body);
+    });
+
+    it('records upstream failures', async () => {
+      await proxyRequest(proxyPort, 'http://127.0.0.1:19999/journal-error');
+      const entry = await waitForTraffic('/journal-error');
+      expect(entry.error).toBeTruthy();
+    });
+  });
 });
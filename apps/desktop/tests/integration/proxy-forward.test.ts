@@ -0,0 +1,262 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import type net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import type { HeaderRule } from '@openheaders/core';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+import { createCertificate } from '@/services/proxy/x509';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+function makeHeaderRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
+  return {
+    id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+    type: 'header',
+    name: 'Add OAuth2 Bearer Token (prod)',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2026-01-20T14:45:12.345Z',
+    headerName: 'Authorization',
+    headerValue: 'Bearer forward-proxy-token',
+    tag: 'production',
+    isResponse: false,
+    isDynamic: false,
+    sourceId: null,
+    prefix: '',
+    suffix: '',
+    hasEnvVars: false,
+    envVars: [],
+    ...overrides,
+  };
+}
+
+// ── Origin servers: reflect received requests back as JSON ──────────
+
+function echoHandler(req: http.IncomingMessage, res: http.ServerResponse) {
+  if (req.url === '/redirect') {
+    res.writeHead(302, { Location: `http://127.0.0.1:${echoPort}/landing` });
+    res.end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers }));
+}
+
+let echoServer: http.Server;
+let echoPort: number;
+let secureEchoServer: https.Server;
+let secureEchoPort: number;
+
+function listen(server: http.Server): Promise<number> {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve((server.address() as net.AddressInfo).port));
+  });
+}
+
+function close(server: http.Server): Promise<void> {
+  return new Promise((resolve) => server.close(() => resolve()));
+}
+
+function selfSignedOrigin(): { key: string; cert: string } {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const cert = createCertificate({
+    subject: { commonName: '127.0.0.1' },
+    publicKey,
+    signingKey: privateKey,
+    notBefore: new Date(Date.now() - 60_000),
+    notAfter: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    altNames: ['127.0.0.1'],
+  });
+  return { key: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string, cert };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+interface Response {
+  statusCode: number;
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+function collect(res: http.IncomingMessage): Promise<Response> {
+  return new Promise((resolve) => {
+    const chunks: Buffer[] = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () =>
+      resolve({ statusCode: res.statusCode!, headers: res.headers, body: Buffer.concat(chunks).toString() }),
+    );
+  });
+}
+
+/** Send an absolute-form request, as a client configured with an HTTP proxy does */
+function forwardRequest(url: string, headers: Record<string, string> = {}): Promise<Response> {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxyPort, path: url, headers }, (res) => {
+      collect(res).then(resolve);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/** Open a CONNECT tunnel through the proxy */
+function connect(authority: string): Promise<{ statusCode: number; socket: net.Socket }> {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxyPort, method: 'CONNECT', path: authority });
+    req.on('connect', (res, socket) => resolve({ statusCode: res.statusCode!, socket }));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/** Send a request over an already established (tunnelled) connection */
+function requestOver(socket: net.Socket | tls.TLSSocket, reqPath: string, host: string): Promise<Response> {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ path: reqPath, headers: { host }, createConnection: () => socket }, (res) => {
+      collect(res).then(resolve);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+let caDir: string;
+
+beforeAll(async () => {
+  echoServer = http.createServer(echoHandler);
+  echoPort = await listen(echoServer);
+  secureEchoServer = https.createServer(selfSignedOrigin(), echoHandler);
+  secureEchoPort = await listen(secureEchoServer);
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  caDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oh-forward-proxy-'));
+  await proxyService.ca.initialize(caDir);
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  await close(echoServer);
+  await close(secureEchoServer);
+  fs.rmSync(caDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  proxyService.headerRules = [makeHeaderRule()];
+  proxyService.ruleStore.rules = [{ id: 'pr-1', enabled: true, headerRuleId: makeHeaderRule().id }];
+  proxyService.cacheEnabled = false;
+  proxyService.httpsInterception = false;
+});
+
+describe('Forward proxy', () => {
+  describe('absolute-form requests', () => {
+    it('applies header rules and drops proxy-only headers', async () => {
+      const res = await forwardRequest(`http://127.0.0.1:${echoPort}/api/v2/users?page=1`, {
+        'Proxy-Connection': 'keep-alive',
+      });
+
+      expect(res.statusCode).toBe(200);
+      const echo = JSON.parse(res.body);
+      expect(echo.url).toBe('/api/v2/users?page=1');
+      expect(echo.headers.authorization).toBe('Bearer forward-proxy-token');
+      expect(echo.headers['proxy-connection']).toBeUndefined();
+      expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('passes redirects through unchanged for the client to follow', async () => {
+      const res = await forwardRequest(`http://127.0.0.1:${echoPort}/redirect`);
+
+      expect(res.statusCode).toBe(302);
+      expect(res.headers.location).toBe(`http://127.0.0.1:${echoPort}/landing`);
+    });
+  });
+
+  describe('CONNECT tunnels', () => {
+    it('relays tunnels untouched when HTTPS interception is off', async () => {
+      const { statusCode, socket } = await connect(`127.0.0.1:${echoPort}`);
+      expect(statusCode).toBe(200);
+
+      const res = await requestOver(socket, '/tunnelled', `127.0.0.1:${echoPort}`);
+      socket.destroy();
+
+      const echo = JSON.parse(res.body);
+      expect(echo.url).toBe('/tunnelled');
+      expect(echo.headers.authorization).toBeUndefined();
+    });
+
+    it('answers 502 when the origin is unreachable', async () => {
+      const closed = http.createServer();
+      const closedPort = await listen(closed);
+      await close(closed);
+
+      const { statusCode, socket } = await connect(`127.0.0.1:${closedPort}`);
+      socket.destroy();
+      expect(statusCode).toBe(502);
+    });
+  });
+
+  describe('HTTPS interception', () => {
+    it('terminates TLS with a CA-issued certificate and applies rules inside the tunnel', async () => {
+      await proxyService.generateCA();
+      proxyService.setHttpsInterception(true);
+
+      const { statusCode, socket } = await connect(`127.0.0.1:${secureEchoPort}`);
+      expect(statusCode).toBe(200);
+
+      const tlsSocket = tls.connect({ socket, host: '127.0.0.1', ca: proxyService.ca.getCertificatePem()! });
+      await new Promise<void>((resolve, reject) => {
+        tlsSocket.once('secureConnect', resolve);
+        tlsSocket.once('error', reject);
+      });
+      expect(tlsSocket.authorized).toBe(true);
+      expect((tlsSocket.getPeerX509Certificate() as crypto.X509Certificate).issuer).toContain('OpenHeaders Proxy CA');
+
+      const res = await requestOver(tlsSocket, '/secure?q=1', `127.0.0.1:${secureEchoPort}`);
+      tlsSocket.destroy();
+
+      expect(res.statusCode).toBe(200);
+      const echo = JSON.parse(res.body);
+      expect(echo.url).toBe('/secure?q=1');
+      expect(echo.headers.authorization).toBe('Bearer forward-proxy-token');
+    });
+
+    it('keeps tunnelling when no CA has been generated', async () => {
+      const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oh-forward-proxy-empty-'));
+      await proxyService.ca.initialize(emptyDir);
+      proxyService.setHttpsInterception(true);
+
+      const { socket } = await connect(`127.0.0.1:${echoPort}`);
+      const res = await requestOver(socket, '/plain', `127.0.0.1:${echoPort}`);
+      socket.destroy();
+
+      expect(JSON.parse(res.body).headers.authorization).toBeUndefined();
+      await proxyService.ca.initialize(caDir);
+      fs.rmSync(emptyDir, { recursive: true, force: true });
+    });
+  });
+});
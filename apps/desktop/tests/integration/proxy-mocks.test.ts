@@ -0,0 +1,224 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import type net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import type { HeaderRule } from '@openheaders/core';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+import type { ProxyMockRule } from '@/types/proxy';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+function makeMockRule(overrides: Partial<ProxyMockRule> = {}): ProxyMockRule {
+  return {
+    id: 'e5f6a7b8-c9d0-1234-efab-345678901234',
+    name: 'Orders API (not shipped yet)',
+    enabled: true,
+    domains: [`127.0.0.1:${originPort}/v2/orders`],
+    statusCode: 200,
+    bodySource: 'inline',
+    body: '{"orders":[]}',
+    ...overrides,
+  };
+}
+
+// ── Origin server: counts the requests that reach it ────────────────
+
+let origin: http.Server;
+let originPort: number;
+let originRequests = 0;
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+function request(
+  targetPath: string,
+  options: { method?: string; body?: string } = {},
+): Promise<{ statusCode: number; headers: http.IncomingHttpHeaders; body: string }> {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: proxyPort,
+        path: `/http://127.0.0.1:${originPort}${targetPath}`,
+        method: options.method ?? 'GET',
+      },
+      (res) => {
+        const chunks: Buffer[] = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () =>
+          resolve({ statusCode: res.statusCode!, headers: res.headers, body: Buffer.concat(chunks).toString() }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+let tmpDir: string;
+
+beforeAll(async () => {
+  origin = http.createServer((_req, res) => {
+    originRequests++;
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('from origin');
+  });
+  await new Promise<void>((resolve) => origin.listen(0, '127.0.0.1', resolve));
+  originPort = (origin.address() as net.AddressInfo).port;
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oh-proxy-mocks-'));
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  await new Promise<void>((resolve) => origin.close(() => resolve()));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  originRequests = 0;
+  proxyService.headerRules = [];
+  proxyService.ruleStore.rules = [];
+  proxyService.ruleStore.mockRules = [];
+  proxyService.environmentVariables = {};
+  proxyService.cacheEnabled = false;
+  proxyService.stats.errors = 0;
+});
+
+describe('Proxy mock responses', () => {
+  it('answers matching requests without contacting the origin', async () => {
+    proxyService.ruleStore.mockRules = [
+      makeMockRule({ statusCode: 201, headers: [{ name: 'X-Mocked-By', value: 'frontend-team' }] }),
+    ];
+
+    const res = await request('/v2/orders?page=1');
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toBe('{"orders":[]}');
+    expect(res.headers['content-type']).toBe('application/json');
+    expect(res.headers['content-length']).toBe('13');
+    expect(res.headers['x-mocked-by']).toBe('frontend-team');
+    expect(res.headers['x-proxy-mock']).toBe('e5f6a7b8-c9d0-1234-efab-345678901234');
+    expect(res.headers['access-control-allow-origin']).toBe('*');
+    expect(originRequests).toBe(0);
+  });
+
+  it('passes other URLs, methods and disabled mocks through to the origin', async () => {
+    proxyService.ruleStore.mockRules = [
+      makeMockRule({ methods: ['POST'] }),
+      makeMockRule({ id: 'disabled', enabled: false, domains: [`127.0.0.1:${originPort}/v2/users`] }),
+    ];
+
+    expect((await request('/v2/orders')).body).toBe('from origin');
+    expect((await request('/v2/users')).body).toBe('from origin');
+    expect((await request('/v1/orders', { method: 'POST' })).body).toBe('from origin');
+    expect(originRequests).toBe(3);
+
+    const res = await request('/v2/orders', { method: 'POST', body: '{"item":1}' });
+    expect(res.body).toBe('{"orders":[]}');
+    expect(originRequests).toBe(3);
+  });
+
+  it('resolves environment variables in template bodies and header values', async () => {
+    proxyService.environmentVariables = { TENANT: 'acme', TRACE: 'trace-42' };
+    proxyService.ruleStore.mockRules = [
+      makeMockRule({
+        bodySource: 'template',
+        body: '{"tenant":"{{TENANT}}"}',
+        headers: [{ name: 'X-Trace', value: '{{TRACE}}' }],
+      }),
+    ];
+
+    const res = await request('/v2/orders');
+    expect(res.body).toBe('{"tenant":"acme"}');
+    expect(res.headers['x-trace']).toBe('trace-42');
+  });
+
+  it('leaves inline bodies untouched', async () => {
+    proxyService.environmentVariables = { TENANT: 'acme' };
+    proxyService.ruleStore.mockRules = [makeMockRule({ body: 'Hello {{TENANT}}' })];
+
+    const res = await request('/v2/orders');
+    expect(res.body).toBe('Hello {{TENANT}}');
+    expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+  });
+
+  it('serves bodies from a file, typed by its extension', async () => {
+    const filePath = path.join(tmpDir, 'orders.json');
+    fs.writeFileSync(filePath, '{"orders":[{"id":7}]}');
+    proxyService.ruleStore.mockRules = [makeMockRule({ bodySource: 'file', body: undefined, filePath })];
+
+    const res = await request('/v2/orders');
+    expect(res.body).toBe('{"orders":[{"id":7}]}');
+    expect(res.headers['content-type']).toBe('application/json');
+  });
+
+  it('reports a missing body file as a mock error', async () => {
+    proxyService.ruleStore.mockRules = [
+      makeMockRule({ bodySource: 'file', filePath: path.join(tmpDir, 'missing.json') }),
+    ];
+
+    const res = await request('/v2/orders');
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toContain('Mock Error');
+    expect(proxyService.stats.errors).toBe(1);
+    expect(originRequests).toBe(0);
+  });
+
+  it('applies response header rules to mocked responses', async () => {
+    const headerRule: HeaderRule = {
+      id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+      type: 'header',
+      name: 'Expose served-by',
+      description: '',
+      isEnabled: true,
+      domains: [],
+      createdAt: '2025-11-15T09:30:00.000Z',
+      updatedAt: '2025-11-15T09:30:00.000Z',
+      headerName: 'X-Served-By',
+      headerValue: 'openheaders-proxy',
+      tag: '',
+      isResponse: true,
+      isDynamic: false,
+      sourceId: null,
+      prefix: '',
+      suffix: '',
+      hasEnvVars: false,
+      envVars: [],
+    };
+    proxyService.headerRules = [headerRule];
+    proxyService.ruleStore.rules = [{ id: 'pr-1', enabled: true, headerRuleId: headerRule.id }];
+    proxyService.ruleStore.mockRules = [makeMockRule()];
+
+    const res = await request('/v2/orders');
+    expect(res.headers['x-served-by']).toBe('openheaders-proxy');
+
+    const [entry] = proxyService.getTraffic().entries.slice(-1);
+    expect(entry.appliedRules.map((rule) => rule.name)).toEqual(['Orders API (not shipped yet)', 'Expose served-by']);
+  });
+
+  it('never matches a mock without domains', async () => {
+    proxyService.ruleStore.mockRules = [makeMockRule({ domains: [] })];
+    expect((await request('/v2/orders')).body).toBe('from origin');
+  });
+});
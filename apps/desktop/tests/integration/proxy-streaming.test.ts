@@ -0,0 +1,228 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import type net from 'node:net';
+import path from 'node:path';
+import type { PayloadRule } from '@openheaders/core';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+function makePayloadRule(overrides: Partial<PayloadRule> = {}): PayloadRule {
+  return {
+    id: 'c3d4e5f6-a7b8-9012-cdef-123456789012',
+    type: 'payload',
+    name: 'Enable checkout v2',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    matchPattern: '"checkoutV2":false',
+    matchType: 'contains',
+    replaceWith: '"checkoutV2":true',
+    isRequest: false,
+    isResponse: true,
+    contentType: 'json',
+    ...overrides,
+  };
+}
+
+// ── Origin server ───────────────────────────────────────────────────
+
+const LARGE_BODY = JSON.stringify({ items: Array.from({ length: 20_000 }, (_, i) => ({ id: i, name: `item-${i}` })) });
+
+let origin: http.Server;
+let originPort: number;
+let releaseStream: () => void = () => {};
+let upstreamClosed: Promise<void> = Promise.resolve();
+
+function originHandler(req: http.IncomingMessage, res: http.ServerResponse) {
+  switch (req.url) {
+    case '/events':
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: first\n\n');
+      releaseStream = () => res.end('data: last\n\n');
+      return;
+    case '/hang.json':
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('[');
+      upstreamClosed = new Promise((resolve) => res.on('close', () => resolve()));
+      return;
+    case '/truncated.json':
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': '100' });
+      res.write('{"partial"', () => setTimeout(() => req.socket.destroy(), 20));
+      return;
+    case '/large.json':
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(LARGE_BODY);
+      return;
+    case '/flags.json':
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"checkoutV2":false}');
+      return;
+    default: {
+      let received = 0;
+      req.on('data', (chunk: Buffer) => {
+        received += chunk.length;
+      });
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(String(received));
+      });
+    }
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+/** Start a URL-prefixed request through the proxy and resolve with the response head */
+function open(
+  targetPath: string,
+  options: { method?: string; body?: Buffer } = {},
+): Promise<{ req: http.ClientRequest; res: http.IncomingMessage }> {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: proxyPort,
+      path: `/http://127.0.0.1:${originPort}${targetPath}`,
+      method: options.method ?? 'GET',
+    });
+    req.on('response', (res) => resolve({ req, res }));
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+function readBody(res: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve) => {
+    const chunks: Buffer[] = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  });
+}
+
+async function get(targetPath: string): Promise<{ headers: http.IncomingHttpHeaders; body: string }> {
+  const { res } = await open(targetPath);
+  return { headers: res.headers, body: await readBody(res) };
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+
+beforeAll(async () => {
+  origin = http.createServer(originHandler);
+  await new Promise<void>((resolve) => origin.listen(0, '127.0.0.1', resolve));
+  originPort = (origin.address() as net.AddressInfo).port;
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  origin.closeAllConnections();
+  await new Promise<void>((resolve) => origin.close(() => resolve()));
+});
+
+beforeEach(async () => {
+  proxyService.headerRules = [];
+  proxyService.payloadRules = [];
+  proxyService.ruleStore.rules = [];
+  proxyService.cacheEnabled = true;
+  // The origin sends no caching headers; these tests cover storage, not freshness
+  proxyService.cachePolicies = [{ id: 'cache-everything', domains: [`127.0.0.1:${originPort}`], mode: 'always' }];
+  await proxyService.cache.clear();
+});
+
+describe('Proxy response streaming', () => {
+  it('delivers chunks to the client before the origin finishes', async () => {
+    const { res } = await open('/events');
+    expect(res.headers['content-type']).toBe('text/event-stream');
+
+    const first = await new Promise<string>((resolve) => res.once('data', (chunk) => resolve(String(chunk))));
+    expect(first).toBe('data: first\n\n');
+
+    const rest = readBody(res);
+    releaseStream();
+    expect(await rest).toBe('data: last\n\n');
+  });
+
+  it('cancels the upstream request when the client disconnects', async () => {
+    const { req, res } = await open('/hang.json');
+    await new Promise((resolve) => res.once('data', resolve));
+
+    req.destroy();
+    await upstreamClosed;
+    expect(proxyService.cache.metadata.size).toBe(0);
+  });
+
+  it('aborts the client response and skips caching when the origin drops mid-body', async () => {
+    const { res } = await open('/truncated.json');
+    res.resume();
+    await new Promise((resolve) => res.once('close', resolve));
+
+    expect(res.complete).toBe(false);
+    // Give the aborted cache write time to clean up
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(proxyService.cache.metadata.size).toBe(0);
+    const cacheDir = path.join('/tmp/open-headers-test/userData', 'proxy-cache');
+    expect(fs.readdirSync(cacheDir).filter((name) => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('tees cacheable bodies to disk so the next request is a cache hit', async () => {
+    const first = await get('/large.json');
+    expect(first.headers['x-proxy-cache']).toBe('MISS');
+    expect(first.body).toBe(LARGE_BODY);
+
+    const [entry] = await proxyService.cache.getCacheEntries();
+    expect(entry.size).toBe(Buffer.byteLength(LARGE_BODY));
+
+    const second = await get('/large.json');
+    expect(second.headers['x-proxy-cache']).toBeUndefined();
+    expect(second.body).toBe(LARGE_BODY);
+  });
+
+  it('does not cache bodies over the entry size limit', async () => {
+    const { maxEntrySize } = proxyService.cache;
+    proxyService.cache.maxEntrySize = 1024;
+    try {
+      expect((await get('/large.json')).body).toBe(LARGE_BODY);
+      expect(proxyService.cache.metadata.size).toBe(0);
+    } finally {
+      proxyService.cache.maxEntrySize = maxEntrySize;
+    }
+  });
+
+  it('still buffers responses that a payload rule rewrites, caching the upstream body', async () => {
+    proxyService.payloadRules = [makePayloadRule()];
+
+    const first = await get('/flags.json');
+    expect(first.body).toBe('{"checkoutV2":true}');
+    expect(first.headers['content-length']).toBe('19');
+
+    const cached = await proxyService.cache.get(`http://127.0.0.1:${originPort}/flags.json`);
+    expect(cached?.data.toString()).toBe('{"checkoutV2":false}');
+  });
+
+  it('streams request bodies to the origin', async () => {
+    const body = Buffer.alloc(2 * 1024 * 1024, 'a');
+    const { res } = await open('/upload', { method: 'POST', body });
+    expect(await readBody(res)).toBe(String(body.length));
+  });
+});
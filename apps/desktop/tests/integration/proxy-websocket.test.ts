@@ -0,0 +1,285 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import type { HeaderRule } from '@openheaders/core';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import WebSocket, { WebSocketServer } from 'ws';
+import type { ProxyService } from '@/services/proxy/ProxyService';
+import { createCertificate } from '@/services/proxy/x509';
+
+// Mock atomicFileWriter to avoid filesystem I/O
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: { readJson: () => Promise.resolve(null), writeJson: () => Promise.resolve() },
+  readJson: () => Promise.resolve(null),
+  writeJson: () => Promise.resolve(),
+}));
+
+function makeHeaderRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
+  return {
+    id: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+    type: 'header',
+    name: 'Add OAuth2 Bearer Token (prod)',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2026-01-20T14:45:12.345Z',
+    headerName: 'Authorization',
+    headerValue: 'Bearer realtime-token',
+    tag: 'production',
+    isResponse: false,
+    isDynamic: false,
+    sourceId: null,
+    prefix: '',
+    suffix: '',
+    hasEnvVars: false,
+    envVars: [],
+    ...overrides,
+  };
+}
+
+// ── Origin servers: echo frames back and remember the handshake ─────
+
+let handshakes: http.IncomingHttpHeaders[] = [];
+
+function createOrigin(server: http.Server): WebSocketServer {
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    if (req.url === '/forbidden') {
+      socket.end('HTTP/1.1 403 Forbidden\r\nContent-Length: 6\r\n\r\ndenied');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handshakes.push(req.headers);
+      ws.on('message', (data) => ws.send(`echo:${data}`));
+    });
+  });
+  return wss;
+}
+
+function selfSignedOrigin(): { key: string; cert: string } {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const cert = createCertificate({
+    subject: { commonName: '127.0.0.1' },
+    publicKey,
+    signingKey: privateKey,
+    notBefore: new Date(Date.now() - 60_000),
+    notAfter: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    altNames: ['127.0.0.1'],
+  });
+  return { key: privateKey.export({ type: 'pkcs8', format: 'pem' }) as string, cert };
+}
+
+let origin: http.Server;
+let originPort: number;
+let secureOrigin: https.Server;
+let secureOriginPort: number;
+const originSockets: WebSocketServer[] = [];
+
+function listen(server: http.Server): Promise<number> {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve((server.address() as net.AddressInfo).port));
+  });
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────
+
+/** Open a WebSocket and resolve once the handshake completes */
+function openSocket(
+  url: string,
+  options: WebSocket.ClientOptions = {},
+): Promise<{ ws: WebSocket; headers: http.IncomingHttpHeaders }> {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, options);
+    ws.once('upgrade', (res) => ws.once('open', () => resolve({ ws, headers: res.headers })));
+    ws.once('unexpected-response', (_req, res) => reject(new Error(`Unexpected response: ${res.statusCode}`)));
+    ws.once('error', reject);
+  });
+}
+
+function roundTrip(ws: WebSocket, message: string): Promise<string> {
+  return new Promise((resolve) => {
+    ws.once('message', (data) => resolve(String(data)));
+    ws.send(message);
+  });
+}
+
+function closeSocket(ws: WebSocket): Promise<void> {
+  return new Promise((resolve) => {
+    ws.once('close', () => resolve());
+    ws.close();
+  });
+}
+
+async function waitFor(condition: () => boolean): Promise<void> {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// ── Test suite ──────────────────────────────────────────────────────
+
+let proxyService: ProxyService;
+let proxyPort: number;
+let caDir: string;
+
+beforeAll(async () => {
+  origin = http.createServer((_req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  originSockets.push(createOrigin(origin));
+  originPort = await listen(origin);
+  secureOrigin = https.createServer(selfSignedOrigin());
+  originSockets.push(createOrigin(secureOrigin));
+  secureOriginPort = await listen(secureOrigin);
+
+  const mod = await import('../../src/services/proxy/ProxyService');
+  proxyService = mod.proxyService || mod.default;
+  await proxyService.initialize();
+
+  caDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oh-websocket-proxy-'));
+  await proxyService.ca.initialize(caDir);
+
+  const result = await proxyService.start(0);
+  expect(result.success).toBe(true);
+  proxyPort = (proxyService.server!.address() as net.AddressInfo).port;
+  proxyService.port = proxyPort;
+});
+
+afterAll(async () => {
+  if (proxyService?.isRunning) {
+    await proxyService.stop();
+  }
+  for (const wss of originSockets) wss.close();
+  await new Promise<void>((resolve) => origin.close(() => resolve()));
+  await new Promise<void>((resolve) => secureOrigin.close(() => resolve()));
+  fs.rmSync(caDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  handshakes = [];
+  proxyService.headerRules = [
+    makeHeaderRule(),
+    makeHeaderRule({
+      id: 'b2c3d4e5-f6a7-8901-bcde-f12345678901',
+      headerName: 'X-Served-By',
+      headerValue: 'openheaders-proxy',
+      isResponse: true,
+    }),
+  ];
+  proxyService.ruleStore.rules = [
+    { id: 'pr-1', enabled: true, headerRuleId: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890' },
+    { id: 'pr-2', enabled: true, headerRuleId: 'b2c3d4e5-f6a7-8901-bcde-f12345678901' },
+  ];
+  proxyService.setStrictSSL(false);
+  proxyService.httpsInterception = false;
+  proxyService.stats = {
+    requestsProcessed: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    errors: 0,
+    webSocketConnections: 0,
+    activeWebSockets: 0,
+  };
+});
+
+describe('WebSocket proxying', () => {
+  it('applies header rules to the handshake and relays frames both ways', async () => {
+    const { ws, headers } = await openSocket(`ws://127.0.0.1:${proxyPort}/ws://127.0.0.1:${originPort}/live?room=1`);
+
+    expect(await roundTrip(ws, 'hello')).toBe('echo:hello');
+    expect(handshakes[0].authorization).toBe('Bearer realtime-token');
+    expect(handshakes[0].host).toBe(`127.0.0.1:${originPort}`);
+    expect(headers['x-served-by']).toBe('openheaders-proxy');
+
+    await closeSocket(ws);
+  });
+
+  it('counts upgraded connections and tracks the open ones', async () => {
+    const first = await openSocket(`ws://127.0.0.1:${proxyPort}/ws://127.0.0.1:${originPort}/a`);
+    const second = await openSocket(`ws://127.0.0.1:${proxyPort}/http://127.0.0.1:${originPort}/b`);
+    expect(proxyService.getStatus().stats).toMatchObject({ webSocketConnections: 2, activeWebSockets: 2 });
+
+    await closeSocket(first.ws);
+    await closeSocket(second.ws);
+    await waitFor(() => proxyService.stats.activeWebSockets === 0);
+    expect(proxyService.stats).toMatchObject({ webSocketConnections: 2, activeWebSockets: 0 });
+  });
+
+  it('connects to wss:// origins with the proxy TLS settings', async () => {
+    const target = `ws://127.0.0.1:${proxyPort}/wss://127.0.0.1:${secureOriginPort}/secure`;
+    const { ws } = await openSocket(target);
+    expect(await roundTrip(ws, 'tls')).toBe('echo:tls');
+    await closeSocket(ws);
+
+    // The origin certificate is self-signed, so strict SSL refuses it
+    proxyService.setStrictSSL(true);
+    await expect(openSocket(target)).rejects.toThrow('Unexpected response: 502');
+    expect(proxyService.stats.errors).toBe(1);
+  });
+
+  it('relays the answer of an origin that declines the upgrade', async () => {
+    await expect(openSocket(`ws://127.0.0.1:${proxyPort}/ws://127.0.0.1:${originPort}/forbidden`)).rejects.toThrow(
+      'Unexpected response: 403',
+    );
+    expect(proxyService.stats.webSocketConnections).toBe(0);
+  });
+
+  it('rejects upgrades that name no target', async () => {
+    await expect(openSocket(`ws://127.0.0.1:${proxyPort}/socket`)).rejects.toThrow('Unexpected response: 400');
+  });
+
+  it('rejects upgrades with a malformed prefixed target and keeps serving', async () => {
+    const handshake = (target: string) =>
+      new Promise<string>((resolve, reject) => {
+        const socket = net.connect(proxyPort, '127.0.0.1', () => {
+          socket.write(
+            `GET ${target} HTTP/1.1\r\nHost: 127.0.0.1:${proxyPort}\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n` +
+              `Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n\r\n`,
+          );
+        });
+        let received = '';
+        socket.on('data', (chunk) => {
+          received += chunk.toString();
+        });
+        socket.on('end', () => resolve(received));
+        socket.on('error', reject);
+      });
+
+    expect(await handshake('/wss://')).toMatch(/^HTTP\/1\.1 400 /);
+    expect(await handshake('/ws://bad%20host/socket')).toMatch(/^HTTP\/1\.1 400 /);
+
+    const { ws } = await openSocket(`ws://127.0.0.1:${proxyPort}/ws://127.0.0.1:${originPort}/echo`);
+    ws.close();
+  });
+
+  it('applies rules to WebSockets inside intercepted HTTPS tunnels', async () => {
+    await proxyService.generateCA();
+    proxyService.setHttpsInterception(true);
+
+    const socket = await new Promise<net.Socket>((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: proxyPort,
+        method: 'CONNECT',
+        path: `127.0.0.1:${secureOriginPort}`,
+      });
+      req.on('connect', (_res, tunnel) => resolve(tunnel));
+      req.on('error', reject);
+      req.end();
+    });
+
+    const { ws } = await openSocket(`wss://127.0.0.1:${secureOriginPort}/tunnelled`, {
+      createConnection: () => tls.connect({ socket, host: '127.0.0.1', ca: proxyService.ca.getCertificatePem()! }),
+    });
+    expect(await roundTrip(ws, 'inside')).toBe('echo:inside');
+    expect(handshakes[0].authorization).toBe('Bearer realtime-token');
+    await closeSocket(ws);
+  });
+});
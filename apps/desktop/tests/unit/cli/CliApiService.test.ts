@@ -365,4 +365,55 @@ describe('CliApiService', () => {
       expect(receivedWindow).toBe('untouched');
     });
   });
+
+  describe('_handleRuleSimulation()', () => {
+    function makeResponse() {
+      const response = { statusCode: 0, body: '' };
+      const res = {
+        writeHead: (code: number) => {
+          response.statusCode = code;
+        },
+        end: (chunk: string) => {
+          response.body = chunk;
+        },
+      } as unknown as http.ServerResponse;
+      return { res, response };
+    }
+
+    it('returns 503 when the setup handler is not ready', async () => {
+      const { res, response } = makeResponse();
+      await svc._handleRuleSimulation({ url: 'https://api.example.com/' }, res);
+      expect(response.statusCode).toBe(503);
+    });
+
+    it('rejects a body without a valid URL', async () => {
+      svc.setupHandler = { simulateRules: async () => ({ success: true }) } as unknown as typeof svc.setupHandler;
+      const { res, response } = makeResponse();
+      await svc._handleRuleSimulation({ url: 'not a url' }, res);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toContain('url must be a valid URL');
+    });
+
+    it('rejects an unknown method', async () => {
+      svc.setupHandler = { simulateRules: async () => ({ success: true }) } as unknown as typeof svc.setupHandler;
+      const { res, response } = makeResponse();
+      await svc._handleRuleSimulation({ url: 'https://api.example.com/', method: 'FETCH' }, res);
+      expect(response.statusCode).toBe(400);
+    });
+
+    it('passes the parsed request to the setup handler', async () => {
+      let received: unknown = null;
+      svc.setupHandler = {
+        simulateRules: async (data: unknown) => {
+          received = data;
+          return { success: true, url: 'https://api.example.com/v1', results: [] };
+        },
+      } as unknown as typeof svc.setupHandler;
+      const { res, response } = makeResponse();
+      await svc._handleRuleSimulation({ url: 'https://api.example.com/v1', method: 'POST' }, res);
+      expect(received).toEqual({ url: 'https://api.example.com/v1', method: 'POST' });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toEqual({ success: true, url: 'https://api.example.com/v1', results: [] });
+    });
+  });
 });
@@ -1,13 +1,15 @@
 import type { BrowserWindow } from 'electron';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 
-// ── Mocks for joinWorkspace / importEnvironment lazy deps ────────
+// ── Mocks for joinWorkspace / importEnvironment / simulateRules lazy deps ──
 const mockTestConnection = vi.fn();
 const mockSyncWorkspace = vi.fn();
 const mockGetGitSyncService = vi.fn();
 const mockGetWorkspaceSettingsService = vi.fn();
 const mockOnCliWorkspaceCreated = vi.fn();
 const mockImportEnvironments = vi.fn();
+const mockSimulateHeaderRules = vi.fn();
+const mockGetDisabledTagGroups = vi.fn();
 
 vi.mock('@/main/modules/app/lifecycle', () => ({
   default: {
@@ -20,6 +22,8 @@ vi.mock('@/services/workspace/WorkspaceStateService', () => ({
   default: {
     onCliWorkspaceCreated: (...args: unknown[]) => mockOnCliWorkspaceCreated(...args),
     importEnvironments: (...args: unknown[]) => mockImportEnvironments(...args),
+    simulateHeaderRules: (...args: unknown[]) => mockSimulateHeaderRules(...args),
+    getDisabledTagGroups: (...args: unknown[]) => mockGetDisabledTagGroups(...args),
   },
 }));
 
@@ -405,4 +409,55 @@ describe('CliSetupHandler', () => {
       expect(result.error).toBe('Missing environments data');
     });
   });
+
+  describe('simulateRules()', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('delegates to WorkspaceStateService.simulateHeaderRules', async () => {
+      const evaluation = {
+        ruleId: 'rule-1',
+        headerName: 'Authorization',
+        isResponse: false,
+        operation: 'set',
+        priority: 0,
+        matchedPattern: '*.example.com',
+        applied: true,
+        value: 'Bearer abc',
+      };
+      mockSimulateHeaderRules.mockReturnValue([evaluation]);
+
+      const result = await handler.simulateRules({
+        url: 'https://api.example.com/v1',
+        method: 'POST',
+        disabledTagGroups: ['staging'],
+      });
+
+      expect(mockSimulateHeaderRules).toHaveBeenCalledWith({ url: 'https://api.example.com/v1', method: 'POST' }, [
+        'staging',
+      ]);
+      expect(result).toEqual({ success: true, url: 'https://api.example.com/v1', results: [evaluation] });
+    });
+
+    it('uses the tag groups the extension disabled when the request leaves them out', async () => {
+      mockGetDisabledTagGroups.mockReturnValue(['legacy-auth']);
+      mockSimulateHeaderRules.mockReturnValue([]);
+
+      await handler.simulateRules({ url: 'https://api.example.com/v1' });
+
+      expect(mockSimulateHeaderRules).toHaveBeenCalledWith({ url: 'https://api.example.com/v1' }, ['legacy-auth']);
+    });
+
+    it('returns error when the simulation throws', async () => {
+      mockSimulateHeaderRules.mockImplementation(() => {
+        throw new Error('State service not initialized');
+      });
+
+      const result = await handler.simulateRules({ url: 'https://api.example.com/' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('State service not initialized');
+    });
+  });
 });
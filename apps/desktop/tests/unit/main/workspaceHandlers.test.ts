@@ -173,6 +173,7 @@ vi.mock('@/services/proxy/ProxyService.js', () => ({
     updateEnvironmentVariables: vi.fn(),
     updateSources: vi.fn(),
     updateHeaderRules: vi.fn(),
+    updatePayloadRules: vi.fn(),
   },
 }));
 
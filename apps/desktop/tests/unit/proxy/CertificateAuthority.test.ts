@@ -0,0 +1,122 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { CertificateAuthority } from '@/services/proxy/CertificateAuthority';
+
+let dir: string;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oh-proxy-ca-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Host certificate as cached on disk */
+function readHostCertificate(hostname: string): crypto.X509Certificate {
+  const pem = fs.readFileSync(path.join(dir, 'hosts', `${hostname.replace(/[^a-z0-9.-]/g, '_')}.pem`), 'utf8');
+  return new crypto.X509Certificate(pem);
+}
+
+describe('CertificateAuthority', () => {
+  it('starts without a CA when none was generated', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize(dir);
+
+    expect(ca.hasCA()).toBe(false);
+    expect(ca.getInfo()).toEqual({ exists: false, certificatePath: null });
+    expect(ca.getCertificatePem()).toBeNull();
+    await expect(ca.getSecureContext('api.openheaders.io')).rejects.toThrow('No proxy CA');
+  });
+
+  it('generates a CA, keeps the key private and loads it again later', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize(dir);
+    const info = await ca.generate();
+
+    expect(info.exists).toBe(true);
+    expect(info.certificatePath).toBe(path.join(dir, 'ca.pem'));
+    expect(info.subject).toContain('CN=OpenHeaders Proxy CA');
+    expect(new Date(info.validTo!).getTime()).toBeGreaterThan(Date.now() + 3000 * 24 * 60 * 60 * 1000);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(path.join(dir, 'ca-key.pem')).mode & 0o777).toBe(0o600);
+    }
+
+    const reloaded = new CertificateAuthority();
+    await reloaded.initialize(dir);
+    expect(reloaded.hasCA()).toBe(true);
+    expect(reloaded.getInfo().fingerprint).toBe(info.fingerprint);
+  });
+
+  it('issues host certificates signed by the CA and caches them on disk', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize(dir);
+    await ca.generate();
+    const caCert = new crypto.X509Certificate(ca.getCertificatePem()!);
+
+    await ca.getSecureContext('API.openheaders.io');
+    expect(ca.getSecureContext('api.openheaders.io')).toBe(ca.getSecureContext('api.openheaders.io'));
+
+    const cert = readHostCertificate('api.openheaders.io');
+    expect(cert.checkIssued(caCert)).toBe(true);
+    expect(cert.verify(caCert.publicKey)).toBe(true);
+    expect(cert.checkHost('api.openheaders.io')).toBe('api.openheaders.io');
+    expect(new Date(cert.validTo).getTime()).toBeLessThanOrEqual(Date.now() + 398 * 24 * 60 * 60 * 1000);
+
+    await ca.getSecureContext('127.0.0.1');
+    expect(readHostCertificate('127.0.0.1').checkIP('127.0.0.1')).toBe('127.0.0.1');
+
+    // A restarted proxy reuses the certificate from disk
+    const reloaded = new CertificateAuthority();
+    await reloaded.initialize(dir);
+    await reloaded.getSecureContext('api.openheaders.io');
+    expect(readHostCertificate('api.openheaders.io').serialNumber).toBe(cert.serialNumber);
+  });
+
+  it('discards host certificates of a replaced CA', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize(dir);
+    await ca.generate();
+    await ca.getSecureContext('api.openheaders.io');
+    const before = readHostCertificate('api.openheaders.io');
+
+    await ca.generate();
+    expect(fs.existsSync(path.join(dir, 'hosts', 'api.openheaders.io.pem'))).toBe(false);
+
+    await ca.getSecureContext('api.openheaders.io');
+    const after = readHostCertificate('api.openheaders.io');
+    expect(after.serialNumber).not.toBe(before.serialNumber);
+    expect(after.checkIssued(new crypto.X509Certificate(ca.getCertificatePem()!))).toBe(true);
+  });
+
+  it('serves the host certificate in a TLS handshake', async () => {
+    const ca = new CertificateAuthority();
+    await ca.initialize(dir);
+    await ca.generate();
+    const secureContext = await ca.getSecureContext('127.0.0.1');
+
+    const server = net.createServer((socket) => {
+      new tls.TLSSocket(socket, { isServer: true, secureContext }).end('hello');
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address() as { port: number };
+
+    const data = await new Promise<string>((resolve, reject) => {
+      const socket = tls.connect({ host: '127.0.0.1', port, ca: ca.getCertificatePem()! });
+      socket.on('error', reject);
+      let received = '';
+      socket.on('data', (chunk) => {
+        received += chunk;
+      });
+      socket.on('end', () => resolve(received));
+    });
+
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    expect(data).toBe('hello');
+  });
+});
@@ -0,0 +1,149 @@
+import { EventEmitter } from 'node:events';
+import type http from 'node:http';
+import { PassThrough } from 'node:stream';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ProxyJournal } from '@/services/proxy/ProxyJournal';
+import type { ProxyTrafficEntry } from '@/types/proxy';
+
+function makeRequest(headers: http.IncomingHttpHeaders = {}, method = 'GET'): http.IncomingMessage {
+  return { method, headers } as http.IncomingMessage;
+}
+
+/** Minimal ServerResponse stand-in: emits 'close' when finished */
+function makeResponse(): http.ServerResponse & { finish(statusCode: number): void } {
+  const res = new EventEmitter() as http.ServerResponse & { finish(statusCode: number): void };
+  Object.assign(res, { headersSent: false, writableFinished: false, statusCode: 200 });
+  res.finish = (statusCode: number) => {
+    Object.assign(res, { headersSent: true, writableFinished: true, statusCode });
+    res.emit('close');
+  };
+  return res;
+}
+
+async function stream(journal: ProxyJournal, req: http.IncomingMessage, body: string, contentType: string) {
+  const source = new PassThrough();
+  journal.captureBody(req, 'responseBody', source, { 'content-type': contentType });
+  source.end(body);
+  source.resume();
+  await new Promise((resolve) => source.once('end', resolve));
+}
+
+describe('ProxyJournal', () => {
+  let journal: ProxyJournal;
+
+  beforeEach(() => {
+    journal = new ProxyJournal();
+  });
+
+  it('records a request and completes it when the response closes', () => {
+    const req = makeRequest({ 'x-client': ['a', 'b'] }, 'POST');
+    const res = makeResponse();
+    const entry = journal.begin(req, res, 'https://api.openheaders.io/v1/orders');
+
+    expect(entry).toMatchObject({ method: 'POST', requestHeaders: { 'x-client': 'a, b' }, appliedRules: [] });
+    expect(entry.duration).toBeUndefined();
+
+    res.finish(201);
+    expect(entry.statusCode).toBe(201);
+    expect(entry.duration).toBeGreaterThanOrEqual(0);
+    expect(entry.error).toBeUndefined();
+  });
+
+  it('flags responses closed before they finished', () => {
+    const req = makeRequest();
+    const res = makeResponse();
+    const entry = journal.begin(req, res, 'https://api.openheaders.io/slow');
+
+    res.emit('close');
+    expect(entry.error).toBe('Connection closed before the response completed');
+    expect(entry.statusCode).toBeUndefined();
+  });
+
+  it('keeps only the most recent entries', () => {
+    journal.maxEntries = 3;
+    for (let i = 0; i < 5; i++) {
+      journal.begin(makeRequest(), makeResponse(), `https://api.openheaders.io/${i}`);
+    }
+    expect(journal.getEntries().map((entry) => entry.url)).toEqual([
+      'https://api.openheaders.io/2',
+      'https://api.openheaders.io/3',
+      'https://api.openheaders.io/4',
+    ]);
+  });
+
+  it('ignores updates for requests it does not track', () => {
+    journal.setResponse(makeRequest(), 200, {});
+    journal.addRules(makeRequest(), [{ id: 'r1', name: 'Rule' }]);
+    expect(journal.getEntries()).toEqual([]);
+  });
+
+  it('records each applied rule once', () => {
+    const req = makeRequest();
+    const entry = journal.begin(req, makeResponse(), 'https://api.openheaders.io/');
+    journal.addRules(req, [{ id: 'r1', name: 'Auth' }]);
+    journal.addRules(req, [
+      { id: 'r1', name: 'Auth' },
+      { id: 'r2', name: 'Tenant' },
+    ]);
+    expect(entry.appliedRules.map((rule) => rule.id)).toEqual(['r1', 'r2']);
+  });
+
+  it('batches changes into one onChange call per flush', () => {
+    vi.useFakeTimers();
+    try {
+      const onChange = vi.fn<(entries: ProxyTrafficEntry[]) => void>();
+      journal.onChange = onChange;
+
+      const req = makeRequest();
+      const res = makeResponse();
+      journal.begin(req, res, 'https://api.openheaders.io/');
+      journal.setProxiedHeaders(req, { authorization: 'Bearer token' });
+      res.finish(200);
+      expect(onChange).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(250);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange.mock.calls[0][0]).toHaveLength(1);
+      expect(onChange.mock.calls[0][0][0].proxiedHeaders).toEqual({ authorization: 'Bearer token' });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('does not capture bodies unless enabled', async () => {
+    const req = makeRequest();
+    const entry = journal.begin(req, makeResponse(), 'https://api.openheaders.io/');
+    await stream(journal, req, '{"ok":true}', 'application/json');
+    expect(entry.responseBody).toBeUndefined();
+  });
+
+  it('captures text bodies up to the size limit', async () => {
+    journal.captureBodies = true;
+    journal.maxBodySize = 8;
+    const req = makeRequest();
+    const entry = journal.begin(req, makeResponse(), 'https://api.openheaders.io/');
+
+    await stream(journal, req, '{"ok":true}', 'application/json');
+    expect(entry.responseBody).toBe('{"ok":tr');
+    expect(entry.bodyTruncated).toBe(true);
+  });
+
+  it('skips binary and encoded bodies', async () => {
+    journal.captureBodies = true;
+    const req = makeRequest();
+    const entry = journal.begin(req, makeResponse(), 'https://api.openheaders.io/logo.png');
+
+    await stream(journal, req, 'PNG', 'image/png');
+    journal.setBody(req, 'responseBody', Buffer.from('{}'), {
+      'content-type': 'application/json',
+      'content-encoding': 'gzip',
+    });
+    expect(entry.responseBody).toBeUndefined();
+  });
+
+  it('clears recorded entries', () => {
+    journal.begin(makeRequest(), makeResponse(), 'https://api.openheaders.io/');
+    journal.clear();
+    expect(journal.getEntries()).toEqual([]);
+  });
+});
@@ -1,6 +1,6 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 import { ProxyRuleStore } from '@/services/proxy/ProxyRuleStore';
-import type { ProxyRule } from '@/types/proxy';
+import type { ProxyFaultRule, ProxyMockRule, ProxyRule } from '@/types/proxy';
 
 // Mock atomicWriter to avoid filesystem I/O
 vi.mock('@/utils/atomicFileWriter', () => ({
@@ -28,6 +28,36 @@ function makeProxyRule(overrides: Partial<ProxyRule> = {}): ProxyRule {
   };
 }
 
+function makeMockRule(overrides: Partial<ProxyMockRule> = {}): ProxyMockRule {
+  return {
+    id: 'e5f6a7b8-c9d0-1234-efab-345678901234',
+    name: 'Orders API (not shipped yet)',
+    enabled: true,
+    domains: ['api.openheaders.io/v2/orders'],
+    methods: ['GET'],
+    statusCode: 200,
+    headers: [{ name: 'X-Request-ID', value: '{{REQUEST_ID}}' }],
+    bodySource: 'inline',
+    body: '{"orders":[]}',
+    ...overrides,
+  };
+}
+
+function makeFaultRule(overrides: Partial<ProxyFaultRule> = {}): ProxyFaultRule {
+  return {
+    id: 'f6a7b8c9-d0e1-2345-fabc-456789012345',
+    name: 'Flaky payments API',
+    enabled: true,
+    domains: ['payments.openheaders.io'],
+    latencyMs: 200,
+    latencyMaxMs: 800,
+    errorStatus: 503,
+    errorRate: 10,
+    seed: 42,
+    ...overrides,
+  };
+}
+
 describe('ProxyRuleStore', () => {
   let store: ProxyRuleStore;
 
@@ -319,4 +349,107 @@ describe('ProxyRuleStore', () => {
       expect(writeOptions).toEqual({ pretty: true });
     });
   });
+
+  // ── mock rules ─────────────────────────────────────────────────
+
+  describe('mock rules', () => {
+    it('loads mock rules from a file next to the proxy rules', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+      vi.mocked(atomicWriter.readJson).mockResolvedValueOnce([makeProxyRule()]).mockResolvedValueOnce([makeMockRule()]);
+
+      store.setWorkspace('ws-prod');
+      await store.load();
+
+      expect(store.rules).toHaveLength(1);
+      expect(store.getMockRules()).toEqual([makeMockRule()]);
+      const mockPath = vi.mocked(atomicWriter.readJson).mock.calls[1][0] as string;
+      expect(mockPath).toContain('ws-prod');
+      expect(mockPath).toContain('proxy-mock-rules.json');
+    });
+
+    it('starts with no mock rules when the file is missing or unreadable', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+      vi.mocked(atomicWriter.readJson)
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new SyntaxError('Unexpected end of JSON input'));
+
+      store.mockRules = [makeMockRule()];
+      await store.load();
+      expect(store.mockRules).toEqual([]);
+    });
+
+    it('adds, updates and deletes mock rules, persisting each change', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+
+      await store.saveMockRule(makeMockRule({ id: '' }));
+      const [created] = store.getMockRules();
+      expect(created.id).toBeTruthy();
+
+      await store.saveMockRule({ ...created, statusCode: 503 });
+      expect(store.getMockRules()).toHaveLength(1);
+      expect(store.getMockRules()[0].statusCode).toBe(503);
+
+      await store.deleteMockRule(created.id);
+      expect(store.getMockRules()).toEqual([]);
+
+      expect(atomicWriter.writeJson).toHaveBeenCalledTimes(3);
+      const writePath = vi.mocked(atomicWriter.writeJson).mock.calls[0][0] as string;
+      expect(writePath).toContain('proxy-mock-rules.json');
+      expect(store.rules).toEqual([]);
+    });
+  });
+
+  // ── fault rules ────────────────────────────────────────────────
+
+  describe('fault rules', () => {
+    it('loads fault rules from their own file next to the proxy rules', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+      vi.mocked(atomicWriter.readJson)
+        .mockResolvedValueOnce([makeProxyRule()])
+        .mockResolvedValueOnce([makeMockRule()])
+        .mockResolvedValueOnce([makeFaultRule()]);
+
+      store.setWorkspace('ws-prod');
+      await store.load();
+
+      expect(store.getMockRules()).toEqual([makeMockRule()]);
+      expect(store.getFaultRules()).toEqual([makeFaultRule()]);
+      const faultPath = vi.mocked(atomicWriter.readJson).mock.calls[2][0] as string;
+      expect(faultPath).toContain('ws-prod');
+      expect(faultPath).toContain('proxy-fault-rules.json');
+    });
+
+    it('starts with no fault rules when the file is unreadable', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+      vi.mocked(atomicWriter.readJson)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new SyntaxError('Unexpected end of JSON input'));
+
+      store.faultRules = [makeFaultRule()];
+      await store.load();
+      expect(store.faultRules).toEqual([]);
+    });
+
+    it('adds, updates and deletes fault rules without touching mock rules', async () => {
+      const { default: atomicWriter } = await import('../../../src/utils/atomicFileWriter');
+      store.mockRules = [makeMockRule()];
+
+      await store.saveFaultRule(makeFaultRule({ id: '' }));
+      const [created] = store.getFaultRules();
+      expect(created.id).toBeTruthy();
+
+      await store.saveFaultRule({ ...created, errorRate: 50 });
+      expect(store.getFaultRules()).toHaveLength(1);
+      expect(store.getFaultRules()[0].errorRate).toBe(50);
+
+      await store.deleteFaultRule(created.id);
+      expect(store.getFaultRules()).toEqual([]);
+
+      expect(atomicWriter.writeJson).toHaveBeenCalledTimes(3);
+      const writePath = vi.mocked(atomicWriter.writeJson).mock.calls[0][0] as string;
+      expect(writePath).toContain('proxy-fault-rules.json');
+      expect(store.getMockRules()).toEqual([makeMockRule()]);
+    });
+  });
 });
@@ -1,4 +1,5 @@
-import type { HeaderRule, Source } from '@openheaders/core';
+import crypto from 'node:crypto';
+import type { HeaderRule, PayloadRule, Source } from '@openheaders/core';
 import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
 import type { ProxyService, ProxyStatus } from '@/services/proxy/ProxyService';
 import type { ProxyRule } from '@/types/proxy';
@@ -24,6 +25,7 @@ interface MockResponse {
   headersSent: boolean;
   writeHead(code: number, headers?: Record<string, string>): void;
   end(data?: string): void;
+  once(event: string, listener: () => void): void;
 }
 
 function createMockResponse(): MockResponse {
@@ -40,6 +42,7 @@ function createMockResponse(): MockResponse {
     end(data?: string) {
       res.body = data || '';
     },
+    once: vi.fn(),
   };
   return res;
 }
@@ -70,6 +73,27 @@ function makeHeaderRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
   };
 }
 
+/** Create a response PayloadRule flipping a feature flag */
+function makePayloadRule(overrides: Partial<PayloadRule> = {}): PayloadRule {
+  return {
+    id: 'c3d4e5f6-a7b8-9012-cdef-123456789012',
+    type: 'payload',
+    name: 'Enable checkout v2',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    matchPattern: '"checkoutV2":false',
+    matchType: 'contains',
+    replaceWith: '"checkoutV2":true',
+    isRequest: false,
+    isResponse: true,
+    contentType: 'json',
+    ...overrides,
+  };
+}
+
 /** Create a realistic ProxyRule */
 function makeProxyRule(overrides: Partial<ProxyRule> = {}): ProxyRule {
   return {
@@ -104,8 +128,16 @@ describe('ProxyService', () => {
     proxyService.strictSSL = false;
     proxyService.trustedCertificates = new Set();
     proxyService.certificateExceptions = new Map();
+    proxyService.httpsInterception = false;
     proxyService.cacheEnabled = true;
-    proxyService.stats = { requestsProcessed: 0, cacheHits: 0, cacheMisses: 0, errors: 0 };
+    proxyService.stats = {
+      requestsProcessed: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      errors: 0,
+      webSocketConnections: 0,
+      activeWebSockets: 0,
+    };
     proxyService.ruleStore.rules = [];
   });
 
@@ -155,9 +187,17 @@ describe('ProxyService', () => {
       expect(proxyService.resolveEnvironmentVariables('no variables here')).toBe('no variables here');
     });
 
-    it('resolves empty string variable to empty string', () => {
+    it('treats an empty variable as unset, like the browser extension does', () => {
       proxyService.environmentVariables = { EMPTY: '' };
-      expect(proxyService.resolveEnvironmentVariables('prefix-{{EMPTY}}-suffix')).toBe('prefix--suffix');
+      expect(proxyService.resolveEnvironmentVariables('prefix-{{EMPTY}}-suffix')).toBe('prefix-{{EMPTY}}-suffix');
+      expect(proxyService.resolveEnvironmentVariables("prefix-{{EMPTY | ''}}-suffix")).toBe('prefix--suffix');
+    });
+
+    it('evaluates template functions', () => {
+      proxyService.environmentVariables = { USER: 'aladdin', PASS: 'opensesame' };
+      expect(proxyService.resolveEnvironmentVariables("Basic {{base64(USER + ':' + PASS)}}")).toBe(
+        'Basic YWxhZGRpbjpvcGVuc2VzYW1l',
+      );
     });
 
     it('handles variable names with underscores and numbers', () => {
@@ -353,6 +393,21 @@ describe('ProxyService', () => {
       expect(proxyService.getApplicableRules('https://api.openheaders.io')).toEqual([]);
     });
 
+    it('skips signing rules until their secret variable is set', () => {
+      proxyService.ruleStore.rules = [
+        makeProxyRule({
+          enabled: true,
+          headerName: 'X-Signature',
+          domains: [],
+          generator: { type: 'hmac', secret: '{{SIGNING_KEY}}' },
+        }),
+      ];
+      expect(proxyService.getApplicableRules('https://api.openheaders.io')).toEqual([]);
+
+      proxyService.environmentVariables = { SIGNING_KEY: 'partner-secret' };
+      expect(proxyService.getApplicableRules('https://api.openheaders.io')).toHaveLength(1);
+    });
+
     it('skips disabled header rules', () => {
       proxyService.headerRules = [makeHeaderRule({ id: 'hr-1', isEnabled: false, domains: [] })];
       proxyService.ruleStore.rules = [makeProxyRule({ enabled: true, headerRuleId: 'hr-1' })];
@@ -461,11 +516,73 @@ describe('ProxyService', () => {
       expect(result.map((r) => r.id)).toEqual(['hr-auth', 'hr-custom']);
     });
 
+    it('honours header rule request conditions', () => {
+      proxyService.headerRules = [
+        makeHeaderRule({
+          id: 'hr-api',
+          domains: ['api.openheaders.io'],
+          methods: ['GET', 'POST'],
+          resourceTypes: ['xmlhttprequest'],
+          initiatorDomains: ['app.openheaders.io'],
+          excludedDomains: ['api.openheaders.io/health'],
+        }),
+      ];
+      proxyService.ruleStore.rules = [makeProxyRule({ enabled: true, headerRuleId: 'hr-api' })];
+      const xhr = { method: 'POST', resourceType: 'xmlhttprequest' as const, initiator: 'app.openheaders.io' };
+
+      expect(proxyService.getApplicableRules('https://api.openheaders.io/v2/users', xhr)).toHaveLength(1);
+      expect(proxyService.getApplicableRules('https://api.openheaders.io/health', xhr)).toHaveLength(0);
+      expect(
+        proxyService.getApplicableRules('https://api.openheaders.io/logo.png', { ...xhr, resourceType: 'image' }),
+      ).toHaveLength(0);
+      expect(
+        proxyService.getApplicableRules('https://api.openheaders.io/v2', { ...xhr, method: 'DELETE' }),
+      ).toHaveLength(0);
+      expect(
+        proxyService.getApplicableRules('https://api.openheaders.io/v2', { ...xhr, initiator: null }),
+      ).toHaveLength(0);
+    });
+
     it('skips proxy rule referencing non-existent header rule', () => {
       proxyService.headerRules = [];
       proxyService.ruleStore.rules = [makeProxyRule({ enabled: true, headerRuleId: 'non-existent' })];
       expect(proxyService.getApplicableRules('https://api.openheaders.io')).toEqual([]);
     });
+
+    it('orders rules by ascending priority so the highest applies last', () => {
+      proxyService.headerRules = [
+        makeHeaderRule({ id: 'hr-high', isEnabled: true, domains: [], headerValue: 'Bearer high', priority: 20 }),
+        makeHeaderRule({ id: 'hr-default', isEnabled: true, domains: [], headerValue: 'Bearer default' }),
+        makeHeaderRule({ id: 'hr-low', isEnabled: true, domains: [], headerValue: 'Bearer low', priority: 5 }),
+      ];
+      proxyService.ruleStore.rules = [
+        makeProxyRule({ id: 'pr-1', enabled: true, headerRuleId: 'hr-high' }),
+        makeProxyRule({ id: 'pr-2', enabled: true, headerRuleId: 'hr-default' }),
+        makeProxyRule({ id: 'pr-3', enabled: true, headerRuleId: 'hr-low' }),
+      ];
+
+      const rules = proxyService.getApplicableRules('https://api.openheaders.io/v2');
+      expect(rules.map((rule) => rule.id)).toEqual(['hr-default', 'hr-low', 'hr-high']);
+
+      const headers: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(headers, rules);
+      expect(headers.authorization).toBe('Bearer high');
+    });
+
+    it('orders rules whose exclusions the extension needs allow rules for first, like the extension', () => {
+      const domains = ['*.openheaders.io'];
+      proxyService.headerRules = [
+        makeHeaderRule({ id: 'hr-regex', domains, excludedDomains: ['/\\/health$/'], priority: 20 }),
+        makeHeaderRule({ id: 'hr-negated', domains: [...domains, '!www.openheaders.io'], priority: 10 }),
+        makeHeaderRule({ id: 'hr-default', domains }),
+      ];
+      proxyService.ruleStore.rules = ['hr-regex', 'hr-negated', 'hr-default'].map((id) =>
+        makeProxyRule({ id: `pr-${id}`, enabled: true, headerRuleId: id }),
+      );
+
+      const rules = proxyService.getApplicableRules('https://api.openheaders.io/v2');
+      expect(rules.map((rule) => rule.id)).toEqual(['hr-regex', 'hr-default', 'hr-negated']);
+    });
   });
 
   // ── clearRules ──────────────────────────────────────────────────
@@ -480,14 +597,148 @@ describe('ProxyService', () => {
         AUTH_HOST: 'auth.openheaders.io',
       };
 
+      proxyService.payloadRules = [makePayloadRule()];
+
       proxyService.clearRules();
 
       expect(proxyService.headerRules).toEqual([]);
+      expect(proxyService.payloadRules).toEqual([]);
       expect(proxyService.sources.size).toBe(0);
       expect(proxyService.environmentVariables).toEqual({});
     });
   });
 
+  // ── applyHeaderRules ────────────────────────────────────────────
+
+  describe('applyHeaderRules()', () => {
+    it('sets headers by default, replacing any existing value', () => {
+      const headers: Record<string, string | string[] | undefined> = { authorization: 'Bearer stale' };
+      proxyService.applyHeaderRules(headers, [makeHeaderRule({ headerValue: 'Bearer fresh' })]);
+      expect(headers).toEqual({ authorization: 'Bearer fresh' });
+    });
+
+    it('removes headers regardless of value', () => {
+      const headers: Record<string, string | string[] | undefined> = { referer: 'https://a.io/', accept: '*/*' };
+      proxyService.applyHeaderRules(headers, [
+        makeHeaderRule({ headerName: 'Referer', headerValue: '', operation: 'remove' }),
+      ]);
+      expect(headers).toEqual({ accept: '*/*' });
+    });
+
+    it('appends to existing values with the header-specific separator', () => {
+      const headers: Record<string, string | string[] | undefined> = {
+        cookie: 'session=abc',
+        'x-forwarded-for': '203.0.113.7',
+      };
+      proxyService.applyHeaderRules(headers, [
+        makeHeaderRule({ headerName: 'Cookie', headerValue: 'beta=1', operation: 'append' }),
+        makeHeaderRule({ headerName: 'X-Forwarded-For', headerValue: '10.0.0.1', operation: 'append' }),
+      ]);
+      expect(headers).toEqual({ cookie: 'session=abc; beta=1', 'x-forwarded-for': '203.0.113.7, 10.0.0.1' });
+    });
+
+    it('adds another Set-Cookie line when appending', () => {
+      const headers: Record<string, string | string[] | undefined> = { 'set-cookie': ['a=1; Path=/'] };
+      proxyService.applyHeaderRules(headers, [
+        makeHeaderRule({ headerName: 'Set-Cookie', headerValue: 'b=2; Path=/', operation: 'append' }),
+      ]);
+      expect(headers['set-cookie']).toEqual(['a=1; Path=/', 'b=2; Path=/']);
+    });
+
+    it('appends to a missing header by setting it', () => {
+      const headers: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(headers, [
+        makeHeaderRule({ headerName: 'X-Forwarded-For', headerValue: '10.0.0.1', operation: 'append' }),
+      ]);
+      expect(headers).toEqual({ 'x-forwarded-for': '10.0.0.1' });
+    });
+
+    it('generates values per request and wraps them in prefix and suffix', () => {
+      const rules = [makeHeaderRule({ headerName: 'X-Request-Id', prefix: 'req-', generator: { type: 'uuid' } })];
+      const request = { method: 'GET', path: '/v1/users', body: Buffer.alloc(0) };
+      const first: Record<string, string | string[] | undefined> = {};
+      const second: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(first, rules, request);
+      proxyService.applyHeaderRules(second, rules, request);
+
+      expect(first['x-request-id']).toMatch(/^req-[0-9a-f-]{36}$/);
+      expect(second['x-request-id']).not.toBe(first['x-request-id']);
+    });
+
+    it('signs with the resolved secret once the body is known', () => {
+      proxyService.environmentVariables = { SIGNING_KEY: 'partner-secret' };
+      const rules = [
+        makeHeaderRule({ headerName: 'X-Signature', generator: { type: 'hmac', secret: '{{SIGNING_KEY}}' } }),
+      ];
+      const unsigned: Record<string, string | string[] | undefined> = {};
+      const signed: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(unsigned, rules, { method: 'POST', path: '/orders' });
+      proxyService.applyHeaderRules(signed, rules, { method: 'POST', path: '/orders', body: Buffer.from('{}') });
+
+      expect(unsigned).toEqual({});
+      expect(signed['x-signature']).toBe(
+        crypto.createHmac('sha256', 'partner-secret').update('POST\n/orders\n{}').digest('hex'),
+      );
+    });
+
+    it('skips generator rules when there is no request to generate for', () => {
+      const headers: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(headers, [makeHeaderRule({ generator: { type: 'timestamp' } })]);
+      expect(headers).toEqual({});
+    });
+
+    it('skips dynamic rules whose source has no value yet', () => {
+      const headers: Record<string, string | string[] | undefined> = {};
+      proxyService.applyHeaderRules(headers, [
+        makeHeaderRule({ headerValue: '', isDynamic: true, sourceId: 'missing', operation: 'append' }),
+      ]);
+      expect(headers).toEqual({});
+    });
+  });
+
+  // ── rewriteBody ─────────────────────────────────────────────────
+
+  describe('rewriteBody()', () => {
+    const flags = Buffer.from('{"checkoutV2":false}');
+
+    it('rewrites a matching response body and fixes content-length', () => {
+      proxyService.payloadRules = [makePayloadRule()];
+      const headers: Record<string, string | string[] | undefined> = {
+        'content-type': 'application/json; charset=utf-8',
+        'content-length': String(flags.length),
+      };
+
+      const body = proxyService.rewriteBody('https://api.openheaders.io/flags', 'response', headers, flags);
+
+      expect(body?.toString()).toBe('{"checkoutV2":true}');
+      expect(headers['content-length']).toBe(String(body?.length));
+    });
+
+    it('returns null when no rule changes the body', () => {
+      proxyService.payloadRules = [makePayloadRule({ matchPattern: '"other":false' })];
+      const headers = { 'content-type': 'application/json' };
+      expect(proxyService.rewriteBody('https://api.openheaders.io/flags', 'response', headers, flags)).toBeNull();
+    });
+
+    it('ignores rules for the other direction', () => {
+      proxyService.payloadRules = [makePayloadRule()];
+      const headers = { 'content-type': 'application/json' };
+      expect(proxyService.rewriteBody('https://api.openheaders.io/flags', 'request', headers, flags)).toBeNull();
+    });
+
+    it('leaves compressed bodies untouched', () => {
+      proxyService.payloadRules = [makePayloadRule()];
+      const headers = { 'content-type': 'application/json', 'content-encoding': 'gzip' };
+      expect(proxyService.rewriteBody('https://api.openheaders.io/flags', 'response', headers, flags)).toBeNull();
+    });
+
+    it('leaves binary content untouched', () => {
+      proxyService.payloadRules = [makePayloadRule({ contentType: 'any' })];
+      const headers = { 'content-type': 'image/png' };
+      expect(proxyService.rewriteBody('https://api.openheaders.io/flags', 'response', headers, flags)).toBeNull();
+    });
+  });
+
   // ── getStatus ───────────────────────────────────────────────────
 
   describe('getStatus()', () => {
@@ -503,7 +754,14 @@ describe('ProxyService', () => {
       proxyService.strictSSL = false;
       proxyService.trustedCertificates = new Set(['fp-1']);
       proxyService.certificateExceptions = new Map([['proxy.openheaders.io', new Set(['fp-2'])]]);
-      proxyService.stats = { requestsProcessed: 42, cacheHits: 10, cacheMisses: 32, errors: 3 };
+      proxyService.stats = {
+        requestsProcessed: 42,
+        cacheHits: 10,
+        cacheMisses: 32,
+        errors: 3,
+        webSocketConnections: 0,
+        activeWebSockets: 0,
+      };
 
       const status: ProxyStatus = proxyService.getStatus();
 
@@ -514,10 +772,19 @@ describe('ProxyService', () => {
         sourcesCount: 2,
         cacheEnabled: true,
         cacheSize: 0,
-        stats: { requestsProcessed: 42, cacheHits: 10, cacheMisses: 32, errors: 3 },
+        stats: {
+          requestsProcessed: 42,
+          cacheHits: 10,
+          cacheMisses: 32,
+          errors: 3,
+          webSocketConnections: 0,
+          activeWebSockets: 0,
+        },
         strictSSL: false,
         trustedCertificates: 1,
         certificateExceptions: 1,
+        httpsInterception: false,
+        faultStats: {},
       });
     });
 
@@ -714,6 +981,24 @@ describe('ProxyService', () => {
       expect(proxyService.stats.requestsProcessed).toBe(0);
     });
 
+    it('forwards OPTIONS from forward-proxy clients to the origin', async () => {
+      proxyService.cacheEnabled = false;
+      const originalDoProxy = proxyService.doProxy;
+      proxyService.doProxy = vi.fn() as typeof proxyService.doProxy;
+
+      const res = createMockResponse();
+      await proxyService.handleRequest(
+        { method: 'OPTIONS', url: 'https://api.openheaders.io/v2', headers: {}, on: vi.fn() } as unknown as Parameters<
+          typeof proxyService.handleRequest
+        >[0],
+        res as unknown as Parameters<typeof proxyService.handleRequest>[1],
+      );
+      expect(proxyService.doProxy).toHaveBeenCalledTimes(1);
+      expect(res.statusCode).toBeNull();
+
+      proxyService.doProxy = originalDoProxy;
+    });
+
     it('does NOT increment requestsProcessed on 400 rejection', async () => {
       const res = createMockResponse();
       await proxyService.handleRequest(
@@ -724,6 +1009,46 @@ describe('ProxyService', () => {
     });
   });
 
+  // ── getTargetUrl ───────────────────────────────────────────────
+
+  describe('getTargetUrl()', () => {
+    const request = (url: string) =>
+      ({ url, headers: {} }) as unknown as Parameters<typeof proxyService.getTargetUrl>[0];
+
+    it('accepts URL-prefixed requests', () => {
+      expect(proxyService.getTargetUrl(request('/https://api.openheaders.io/v2?x=1'))).toBe(
+        'https://api.openheaders.io/v2?x=1',
+      );
+    });
+
+    it('accepts absolute-form requests from forward-proxy clients', () => {
+      expect(proxyService.getTargetUrl(request('http://api.openheaders.io/v2'))).toBe('http://api.openheaders.io/v2');
+    });
+
+    it('returns null for origin-form requests outside a tunnel', () => {
+      expect(proxyService.getTargetUrl(request('/v2/users'))).toBeNull();
+    });
+  });
+
+  // ── handleConnect ──────────────────────────────────────────────
+
+  describe('handleConnect()', () => {
+    it.each([
+      'api.openheaders.io',
+      'api.openheaders.io:0',
+      'api.openheaders.io:70000',
+      ':443',
+    ])('rejects malformed CONNECT target %s with 400', (authority) => {
+      const socket = { on: vi.fn(), end: vi.fn() };
+      proxyService.handleConnect(
+        { url: authority } as Parameters<typeof proxyService.handleConnect>[0],
+        socket as unknown as Parameters<typeof proxyService.handleConnect>[1],
+        Buffer.alloc(0),
+      );
+      expect(socket.end).toHaveBeenCalledWith('HTTP/1.1 400 Bad Request\r\n\r\n');
+    });
+  });
+
   // ── updateHeaderRules ──────────────────────────────────────────
 
   describe('updateHeaderRules()', () => {
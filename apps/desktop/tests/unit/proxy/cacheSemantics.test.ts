@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import {
+  conditionalHeaders,
+  freshnessLifetime,
+  freshUntil,
+  getHeader,
+  hasValidators,
+  isStorable,
+  parseCacheControl,
+  requestForbidsStorage,
+  requestsRevalidation,
+  stripIgnoredParams,
+  varyMatches,
+  varySnapshot,
+} from '@/services/proxy/cacheSemantics';
+
+const NOW = Date.parse('Sat, 15 Nov 2025 09:30:00 GMT');
+
+describe('getHeader()', () => {
+  it('matches names case-insensitively and joins list values', () => {
+    expect(getHeader({ ETag: '"v1"' }, 'etag')).toBe('"v1"');
+    expect(getHeader({ vary: ['Accept', 'Accept-Language'] }, 'Vary')).toBe('Accept, Accept-Language');
+    expect(getHeader({ etag: undefined }, 'etag')).toBeUndefined();
+  });
+});
+
+describe('parseCacheControl()', () => {
+  it('lowercases directive names and unquotes values', () => {
+    const directives = parseCacheControl('Public, MAX-AGE=600, no-cache="Set-Cookie"');
+    expect(directives.get('public')).toBe(true);
+    expect(directives.get('max-age')).toBe('600');
+    expect(directives.get('no-cache')).toBe('Set-Cookie');
+  });
+
+  it('returns no directives for a missing header', () => {
+    expect(parseCacheControl(undefined).size).toBe(0);
+  });
+});
+
+describe('freshnessLifetime()', () => {
+  it('uses max-age before Expires', () => {
+    expect(freshnessLifetime({ 'cache-control': 'max-age=60', expires: 'Sat, 15 Nov 2026 09:30:00 GMT' }, NOW)).toBe(
+      60_000,
+    );
+  });
+
+  it('uses Expires relative to Date', () => {
+    const headers = { date: 'Sat, 15 Nov 2025 09:30:00 GMT', expires: 'Sat, 15 Nov 2025 09:35:00 GMT' };
+    expect(freshnessLifetime(headers, NOW + 10_000)).toBe(300_000);
+  });
+
+  it('treats an invalid Expires as already expired', () => {
+    expect(freshnessLifetime({ expires: '0', 'last-modified': 'Sat, 01 Nov 2025 09:30:00 GMT' }, NOW)).toBe(0);
+  });
+
+  it('is zero for no-cache responses, however long their max-age', () => {
+    expect(freshnessLifetime({ 'cache-control': 'no-cache, max-age=3600' }, NOW)).toBe(0);
+  });
+
+  it('falls back to a tenth of the time since Last-Modified, capped at a day', () => {
+    expect(freshnessLifetime({ 'last-modified': new Date(NOW - 10 * 60_000).toUTCString() }, NOW)).toBe(60_000);
+    expect(freshnessLifetime({ 'last-modified': 'Sat, 01 Nov 2025 09:30:00 GMT' }, NOW)).toBe(24 * 60 * 60 * 1000);
+    expect(
+      freshnessLifetime({ 'last-modified': 'Sat, 01 Nov 2025 09:30:00 GMT', 'cache-control': 'must-revalidate' }, NOW),
+    ).toBe(0);
+  });
+
+  it('is zero without any freshness information', () => {
+    expect(freshnessLifetime({ 'content-type': 'application/json' }, NOW)).toBe(0);
+  });
+});
+
+describe('freshUntil()', () => {
+  it('counts the Age the response arrived with against its lifetime', () => {
+    expect(freshUntil({ 'cache-control': 'max-age=60', age: '20' }, NOW)).toBe(NOW + 40_000);
+  });
+});
+
+describe('validators', () => {
+  it('builds conditional headers from the stored ETag and Last-Modified', () => {
+    const stored = { etag: '"v1"', 'last-modified': 'Sat, 15 Nov 2025 09:30:00 GMT' };
+    expect(hasValidators(stored)).toBe(true);
+    expect(conditionalHeaders(stored)).toEqual({
+      'if-none-match': '"v1"',
+      'if-modified-since': 'Sat, 15 Nov 2025 09:30:00 GMT',
+    });
+    expect(hasValidators({ 'cache-control': 'max-age=60' })).toBe(false);
+    expect(conditionalHeaders({})).toEqual({});
+  });
+});
+
+describe('request directives', () => {
+  it('recognises hard refreshes as a request to revalidate', () => {
+    expect(requestsRevalidation({ 'cache-control': 'no-cache' })).toBe(true);
+    expect(requestsRevalidation({ 'cache-control': 'max-age=0' })).toBe(true);
+    expect(requestsRevalidation({ pragma: 'no-cache' })).toBe(true);
+    expect(requestsRevalidation({ 'cache-control': 'max-age=60', pragma: 'no-cache' })).toBe(false);
+    expect(requestsRevalidation({})).toBe(false);
+  });
+
+  it('recognises no-store', () => {
+    expect(requestForbidsStorage({ 'cache-control': 'no-store' })).toBe(true);
+    expect(requestForbidsStorage({ 'cache-control': 'no-cache' })).toBe(false);
+  });
+});
+
+describe('isStorable()', () => {
+  it('follows the origin under respect-origin', () => {
+    expect(isStorable('respect-origin', {}, { 'cache-control': 'max-age=60' })).toBe(true);
+    expect(isStorable('respect-origin', {}, { 'cache-control': 'no-cache', etag: '"v1"' })).toBe(true);
+    expect(isStorable('respect-origin', {}, { 'cache-control': 'no-store, max-age=60' })).toBe(false);
+    expect(isStorable('respect-origin', { 'cache-control': 'no-store' }, { 'cache-control': 'max-age=60' })).toBe(
+      false,
+    );
+    expect(isStorable('respect-origin', {}, { 'content-type': 'text/css' })).toBe(false);
+  });
+
+  it('stores everything under always and offline-first, and nothing under never', () => {
+    const noStore = { 'cache-control': 'no-store' };
+    expect(isStorable('always', {}, noStore)).toBe(true);
+    expect(isStorable('offline-first', {}, noStore)).toBe(true);
+    expect(isStorable('never', {}, { 'cache-control': 'max-age=60' })).toBe(false);
+  });
+
+  it('never stores Vary: * responses', () => {
+    expect(isStorable('always', {}, { vary: '*' })).toBe(false);
+  });
+});
+
+describe('Vary', () => {
+  it('snapshots the request values a response varies on, and matches later requests against them', () => {
+    const snapshot = varySnapshot(
+      { 'accept-language': 'de', accept: 'application/json' },
+      { vary: 'Accept-Language, X-Tenant' },
+    );
+    expect(snapshot).toEqual({ 'accept-language': 'de', 'x-tenant': '' });
+
+    expect(varyMatches(snapshot, { 'Accept-Language': 'de' })).toBe(true);
+    expect(varyMatches(snapshot, { 'accept-language': 'en' })).toBe(false);
+    expect(varyMatches(snapshot, { 'accept-language': 'de', 'x-tenant': 'acme' })).toBe(false);
+    expect(varyMatches(undefined, { 'accept-language': 'en' })).toBe(true);
+  });
+});
+
+describe('stripIgnoredParams()', () => {
+  it('drops exact and prefixed parameters and keeps the rest in order', () => {
+    expect(
+      stripIgnoredParams('https://cdn.openheaders.io/app.js?v=123&lang=de&utm_source=mail&utm_medium=x', [
+        'v',
+        'utm_*',
+      ]),
+    ).toBe('https://cdn.openheaders.io/app.js?lang=de');
+  });
+
+  it('leaves URLs without ignored parameters untouched', () => {
+    const url = 'https://api.openheaders.io/v2/orders?page=2';
+    expect(stripIgnoredParams(url, [])).toBe(url);
+    expect(stripIgnoredParams(url, undefined)).toBe(url);
+    expect(stripIgnoredParams('https://api.openheaders.io/v2/orders?_t=1', ['_t'])).toBe(
+      'https://api.openheaders.io/v2/orders',
+    );
+  });
+});
@@ -56,14 +56,23 @@ describe('DomainMatcher', () => {
         expect(DomainMatcher.matches('https://API.OPENHEADERS.IO/path', '*.openheaders.io')).toBe(true);
       });
 
-      it('matches wildcard with enterprise internal domain', () => {
+      it('matches wildcard with enterprise internal domain and port', () => {
         expect(
           DomainMatcher.matches(
             'https://gitlab.internal.openheaders.io:8443/api/v4/projects',
-            '*.internal.openheaders.io',
+            '*.internal.openheaders.io:8443',
           ),
         ).toBe(true);
       });
+
+      it('does not match a non-default port the wildcard does not name', () => {
+        expect(
+          DomainMatcher.matches(
+            'https://gitlab.internal.openheaders.io:8443/api/v4/projects',
+            '*.internal.openheaders.io',
+          ),
+        ).toBe(false);
+      });
     });
 
     describe('localhost', () => {
@@ -79,6 +88,10 @@ describe('DomainMatcher', () => {
         expect(DomainMatcher.matches('http://localhost:3000/api', 'localhost:8080')).toBe(false);
       });
 
+      it('does not match localhost without port against a non-default port', () => {
+        expect(DomainMatcher.matches('http://localhost:3000/api', 'localhost')).toBe(false);
+      });
+
       it('does not match localhost pattern against non-localhost URL', () => {
         expect(DomainMatcher.matches('https://api.openheaders.io/api', 'localhost')).toBe(false);
       });
@@ -144,6 +157,32 @@ describe('DomainMatcher', () => {
       });
     });
 
+    describe('host and path patterns', () => {
+      it('matches the path as a prefix', () => {
+        expect(DomainMatcher.matches('https://api.openheaders.io/health', 'api.openheaders.io/health')).toBe(true);
+        expect(DomainMatcher.matches('https://api.openheaders.io/healthz?probe=1', 'api.openheaders.io/health')).toBe(
+          true,
+        );
+      });
+
+      it('does not match other paths or hosts', () => {
+        expect(DomainMatcher.matches('https://api.openheaders.io/v2/health', 'api.openheaders.io/health')).toBe(false);
+        expect(DomainMatcher.matches('https://web.openheaders.io/health', 'api.openheaders.io/health')).toBe(false);
+      });
+    });
+
+    describe('regular expressions', () => {
+      it('tests the whole URL case-insensitively', () => {
+        expect(DomainMatcher.matches('https://qa.openheaders.io/app', '/^https:\\/\\/(dev|qa)\\./')).toBe(true);
+        expect(DomainMatcher.matches('https://www.openheaders.io/app', '/^https:\\/\\/(dev|qa)\\./')).toBe(false);
+        expect(DomainMatcher.matches('https://api.openheaders.io/GraphQL', '/\\/graphql$/')).toBe(true);
+      });
+
+      it('never matches an invalid expression', () => {
+        expect(DomainMatcher.matches('https://api.openheaders.io/', '/[invalid/')).toBe(false);
+      });
+    });
+
     describe('edge cases', () => {
       it('returns false for null URL', () => {
         expect(DomainMatcher.matches(null, 'openheaders.io')).toBe(false);
@@ -230,6 +269,16 @@ describe('DomainMatcher', () => {
       expect(DomainMatcher.matchesAny('https://service-100.openheaders.io/api', domains)).toBe(false);
     });
 
+    it('excludes URLs matching a negated pattern', () => {
+      const domains = ['*.openheaders.io', '!admin.openheaders.io'];
+      expect(DomainMatcher.matchesAny('https://api.openheaders.io/v1', domains)).toBe(true);
+      expect(DomainMatcher.matchesAny('https://admin.openheaders.io/users', domains)).toBe(false);
+    });
+
+    it('matches nothing when every pattern is negated', () => {
+      expect(DomainMatcher.matchesAny('https://api.openheaders.io/v1', ['!admin.openheaders.io'])).toBe(false);
+    });
+
     it('matches with mixed domain pattern types', () => {
       const domains = ['*.openheaders.io', 'localhost:3000', '192.168.1.1:8080', '*://partners.openheaders.io/*'];
       expect(DomainMatcher.matchesAny('https://api.openheaders.io/v1', domains)).toBe(true);
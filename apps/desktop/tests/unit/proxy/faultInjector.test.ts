@@ -0,0 +1,162 @@
+import type http from 'node:http';
+import { Readable, Writable } from 'node:stream';
+import { describe, expect, it } from 'vitest';
+import {
+  createSeededRandom,
+  type FaultPlan,
+  planFault,
+  relayWithFaults,
+  shapesResponse,
+} from '@/services/proxy/faultInjector';
+import type { ProxyFaultRule } from '@/types/proxy';
+
+function makeFaultRule(overrides: Partial<ProxyFaultRule> = {}): ProxyFaultRule {
+  return {
+    id: 'f6a7b8c9-d0e1-2345-fabc-456789012345',
+    name: 'Flaky payments API',
+    enabled: true,
+    domains: ['payments.openheaders.io'],
+    ...overrides,
+  };
+}
+
+function makePlan(overrides: Partial<FaultPlan> = {}): FaultPlan {
+  return { delayMs: 0, reset: false, errorStatus: null, bytesPerSecond: null, truncateAfter: null, ...overrides };
+}
+
+/** Random source returning the given values in turn */
+function sequence(...values: number[]): () => number {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+/** A writable standing in for the client response, collecting what reaches it */
+function collectResponse(): { res: http.ServerResponse; received: () => string; done: Promise<'end' | 'destroyed'> } {
+  const chunks: Buffer[] = [];
+  const sink = new Writable({
+    write(chunk: Buffer, _encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  const done = new Promise<'end' | 'destroyed'>((resolve) => {
+    sink.once('finish', () => resolve('end'));
+    sink.once('close', () => resolve(sink.writableFinished ? 'end' : 'destroyed'));
+  });
+  return {
+    res: sink as unknown as http.ServerResponse,
+    received: () => Buffer.concat(chunks).toString(),
+    done,
+  };
+}
+
+describe('createSeededRandom()', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, createSeededRandom(43))).not.toEqual(first);
+  });
+
+  it('stays within [0, 1)', () => {
+    const random = createSeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('planFault()', () => {
+  it('does nothing for a rule without faults', () => {
+    expect(planFault(makeFaultRule(), sequence(0))).toEqual(makePlan());
+  });
+
+  it('picks a fixed or random latency within the configured range', () => {
+    expect(planFault(makeFaultRule({ latencyMs: 300 }), sequence(0.9)).delayMs).toBe(300);
+    expect(planFault(makeFaultRule({ latencyMs: 100, latencyMaxMs: 500 }), sequence(0.5)).delayMs).toBe(300);
+    expect(planFault(makeFaultRule({ latencyMs: 100, latencyMaxMs: 50 }), sequence(0.5)).delayMs).toBe(100);
+  });
+
+  it('converts the bandwidth cap to bytes per second', () => {
+    expect(planFault(makeFaultRule({ bandwidthKBps: 4 }), sequence(0)).bytesPerSecond).toBe(4096);
+  });
+
+  it('answers with the error status at the configured rate, defaulting to always', () => {
+    expect(planFault(makeFaultRule({ errorStatus: 503 }), sequence(0.99)).errorStatus).toBe(503);
+    // rolls: latency, reset, error, truncate
+    expect(planFault(makeFaultRule({ errorStatus: 503, errorRate: 25 }), sequence(0, 0, 0.2, 0)).errorStatus).toBe(503);
+    expect(planFault(makeFaultRule({ errorStatus: 503, errorRate: 25 }), sequence(0, 0, 0.3, 0)).errorStatus).toBe(
+      null,
+    );
+  });
+
+  it('lets a reset win over an error, and an error over truncation', () => {
+    const rule = makeFaultRule({ errorStatus: 500, resetRate: 100, truncateAfterBytes: 10 });
+    expect(planFault(rule, sequence(0))).toMatchObject({ reset: true, errorStatus: null, truncateAfter: null });
+
+    const noReset = { ...rule, resetRate: 0 };
+    expect(planFault(noReset, sequence(0))).toMatchObject({ reset: false, errorStatus: 500, truncateAfter: null });
+
+    const truncateOnly = { ...noReset, errorStatus: undefined };
+    expect(planFault(truncateOnly, sequence(0)).truncateAfter).toBe(10);
+  });
+
+  it('rolls the same number of values whatever the outcome', () => {
+    let calls = 0;
+    const counting = () => {
+      calls++;
+      return 0;
+    };
+    planFault(makeFaultRule(), counting);
+    planFault(makeFaultRule({ resetRate: 100, errorStatus: 500, truncateAfterBytes: 0 }), counting);
+    expect(calls).toBe(8);
+  });
+
+  it('repeats outcomes for a seeded sequence of requests', () => {
+    const rule = makeFaultRule({ latencyMs: 0, latencyMaxMs: 1000, errorStatus: 503, errorRate: 50, resetRate: 20 });
+    const run = () => {
+      const random = createSeededRandom(1234);
+      return Array.from({ length: 20 }, () => planFault(rule, random));
+    };
+    expect(run()).toEqual(run());
+  });
+});
+
+describe('shapesResponse()', () => {
+  it('is true only for throttled or truncated responses', () => {
+    expect(shapesResponse(makePlan({ delayMs: 500, errorStatus: 503 }))).toBe(false);
+    expect(shapesResponse(makePlan({ bytesPerSecond: 1024 }))).toBe(true);
+    expect(shapesResponse(makePlan({ truncateAfter: 0 }))).toBe(true);
+  });
+});
+
+describe('relayWithFaults()', () => {
+  it('relays the whole body and ends the response when nothing cuts it short', async () => {
+    const { res, received, done } = collectResponse();
+    relayWithFaults(Readable.from([Buffer.from('hello '), Buffer.from('world')]), res, makePlan());
+    expect(await done).toBe('end');
+    expect(received()).toBe('hello world');
+  });
+
+  it('drops both sides once the truncation point is reached', async () => {
+    const { res, received, done } = collectResponse();
+    const source = Readable.from([Buffer.from('0123456789'), Buffer.from('abcdefghij')]);
+    relayWithFaults(source, res, makePlan({ truncateAfter: 14 }));
+    expect(await done).toBe('destroyed');
+    expect(received()).toBe('0123456789abcd');
+    expect(source.destroyed).toBe(true);
+  });
+
+  it('paces the body to the bandwidth cap', async () => {
+    const { res, received, done } = collectResponse();
+    const started = Date.now();
+    // 300 bytes at 1000 B/s is three 100-byte slices, each followed by a 100 ms pause
+    relayWithFaults(Readable.from([Buffer.alloc(300, 'x')]), res, makePlan({ bytesPerSecond: 1000 }));
+    expect(await done).toBe('end');
+    expect(received()).toHaveLength(300);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(250);
+  });
+});
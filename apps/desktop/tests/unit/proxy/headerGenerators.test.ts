@@ -0,0 +1,58 @@
+import { createHmac } from 'node:crypto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { generateHeaderValue, getSigningPayload, needsRequestBody } from '@/services/proxy/headerGenerators';
+
+const request = { method: 'post', path: '/v1/orders?dry_run=1', body: Buffer.from('{"sku":"A-100"}') };
+
+describe('generateHeaderValue()', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('generates a new UUID each time', () => {
+    const first = generateHeaderValue({ type: 'uuid' }, request);
+    expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(generateHeaderValue({ type: 'uuid' }, request)).not.toBe(first);
+  });
+
+  it('formats timestamps like the now() template function', () => {
+    vi.useFakeTimers({ now: new Date('2025-01-20T10:00:00.000Z') });
+
+    expect(generateHeaderValue({ type: 'timestamp' }, request)).toBe('2025-01-20T10:00:00.000Z');
+    expect(generateHeaderValue({ type: 'timestamp', format: 'unix' }, request)).toBe('1737367200');
+    expect(generateHeaderValue({ type: 'timestamp', format: 'unix_ms' }, request)).toBe('1737367200000');
+    expect(generateHeaderValue({ type: 'timestamp', format: 'http' }, request)).toBe('Mon, 20 Jan 2025 10:00:00 GMT');
+  });
+
+  it('generates hex nonces of the requested size, clamped to a sane range', () => {
+    expect(generateHeaderValue({ type: 'nonce' }, request)).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateHeaderValue({ type: 'nonce', bytes: 8 }, request)).toMatch(/^[0-9a-f]{16}$/);
+    expect(generateHeaderValue({ type: 'nonce', bytes: 0 }, request)).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateHeaderValue({ type: 'nonce', bytes: 10_000 }, request)).toHaveLength(512);
+  });
+
+  it('signs method, path and body with HMAC-SHA256', () => {
+    const payload = 'POST\n/v1/orders?dry_run=1\n{"sku":"A-100"}';
+
+    expect(generateHeaderValue({ type: 'hmac' }, request, 'partner-secret')).toBe(
+      createHmac('sha256', 'partner-secret').update(payload).digest('hex'),
+    );
+    expect(generateHeaderValue({ type: 'hmac', encoding: 'base64' }, request, 'partner-secret')).toBe(
+      createHmac('sha256', 'partner-secret').update(payload).digest('base64'),
+    );
+  });
+});
+
+describe('getSigningPayload()', () => {
+  it('treats a missing body as empty', () => {
+    expect(getSigningPayload({ method: 'GET', path: '/health' }).toString()).toBe('GET\n/health\n');
+  });
+});
+
+describe('needsRequestBody()', () => {
+  it('is only true for signatures', () => {
+    expect(needsRequestBody({ type: 'hmac' })).toBe(true);
+    expect(needsRequestBody({ type: 'uuid' })).toBe(false);
+    expect(needsRequestBody(null)).toBe(false);
+  });
+});
@@ -0,0 +1,171 @@
+import type { PayloadRule } from '@openheaders/core';
+import { describe, expect, it } from 'vitest';
+import { detectPayloadKind, getApplicablePayloadRules, rewritePayload } from '@/services/proxy/payloadRewriter';
+
+function makePayloadRule(overrides: Partial<PayloadRule> = {}): PayloadRule {
+  return {
+    id: 'payload-rule-1',
+    type: 'payload',
+    name: 'Rewrite payload',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    matchPattern: 'staging',
+    matchType: 'contains',
+    replaceWith: 'production',
+    isRequest: true,
+    isResponse: true,
+    contentType: 'any',
+    ...overrides,
+  };
+}
+
+describe('detectPayloadKind()', () => {
+  it.each([
+    ['application/json; charset=utf-8', 'json'],
+    ['application/problem+json', 'json'],
+    ['application/xml', 'xml'],
+    ['text/xml', 'xml'],
+    ['application/atom+xml', 'xml'],
+    ['application/x-www-form-urlencoded', 'form'],
+    ['text/html', 'text'],
+    ['application/javascript', 'text'],
+  ])('maps %s to %s', (contentType, kind) => {
+    expect(detectPayloadKind(contentType)).toBe(kind);
+  });
+
+  it.each([
+    'image/png',
+    'application/octet-stream',
+    'multipart/form-data; boundary=x',
+    undefined,
+  ])('refuses to rewrite %s', (contentType) => {
+    expect(detectPayloadKind(contentType)).toBeNull();
+  });
+});
+
+describe('getApplicablePayloadRules()', () => {
+  it('filters by direction and enabled state', () => {
+    const rules = [
+      makePayloadRule({ id: 'req', isResponse: false }),
+      makePayloadRule({ id: 'res', isRequest: false }),
+      makePayloadRule({ id: 'off', isEnabled: false }),
+    ];
+    expect(getApplicablePayloadRules(rules, 'https://api.openheaders.io/v2', 'request').map((r) => r.id)).toEqual([
+      'req',
+    ]);
+    expect(getApplicablePayloadRules(rules, 'https://api.openheaders.io/v2', 'response').map((r) => r.id)).toEqual([
+      'res',
+    ]);
+  });
+
+  it('applies rules without domains everywhere and restricts the rest', () => {
+    const rules = [makePayloadRule({ id: 'any' }), makePayloadRule({ id: 'scoped', domains: ['*.openheaders.io'] })];
+    expect(getApplicablePayloadRules(rules, 'https://partner.io/v1', 'response').map((r) => r.id)).toEqual(['any']);
+    expect(getApplicablePayloadRules(rules, 'https://api.openheaders.io/v1', 'response')).toHaveLength(2);
+  });
+
+  it('skips rules without a pattern', () => {
+    expect(getApplicablePayloadRules([makePayloadRule({ matchPattern: '' })], 'https://a.io', 'request')).toEqual([]);
+  });
+});
+
+describe('rewritePayload()', () => {
+  describe('contains', () => {
+    it('replaces every occurrence', () => {
+      const result = rewritePayload('staging and staging', [makePayloadRule()], 'text');
+      expect(result).toEqual({ body: 'production and production', appliedRuleIds: ['payload-rule-1'] });
+    });
+
+    it('reports no applied rules when nothing matches', () => {
+      expect(rewritePayload('nothing here', [makePayloadRule()], 'text').appliedRuleIds).toEqual([]);
+    });
+  });
+
+  describe('regex', () => {
+    it('supports capture group references', () => {
+      const rule = makePayloadRule({ matchType: 'regex', matchPattern: '"price":\\s*(\\d+)', replaceWith: '"was":$1' });
+      expect(rewritePayload('{"price": 42}', [rule], 'json').body).toBe('{"was":42}');
+    });
+
+    it('skips rules with an invalid regex', () => {
+      const rule = makePayloadRule({ matchType: 'regex', matchPattern: '(unclosed' });
+      expect(rewritePayload('staging', [rule], 'text')).toEqual({ body: 'staging', appliedRuleIds: [] });
+    });
+  });
+
+  describe('json', () => {
+    it('replaces whole leaf values on exact match, inserting typed JSON', () => {
+      const rule = makePayloadRule({ matchType: 'exact', matchPattern: 'false', replaceWith: 'true' });
+      const body = '{"flags":{"checkoutV2":false,"label":"false"},"items":[false]}';
+      expect(JSON.parse(rewritePayload(body, [rule], 'json').body)).toEqual({
+        flags: { checkoutV2: true, label: true },
+        items: [true],
+      });
+    });
+
+    it('inserts a plain string when the replacement is not JSON', () => {
+      const rule = makePayloadRule({ matchType: 'exact', matchPattern: 'staging', replaceWith: 'prod-eu' });
+      expect(rewritePayload('{"env":"staging"}', [rule], 'json').body).toBe('{"env":"prod-eu"}');
+    });
+
+    it('keeps pretty-printed bodies pretty', () => {
+      const rule = makePayloadRule({ matchType: 'exact' });
+      expect(rewritePayload('{\n  "env": "staging"\n}', [rule], 'json').body).toBe('{\n  "env": "production"\n}');
+    });
+
+    it('discards a text replacement that would corrupt the document', () => {
+      const rule = makePayloadRule({ matchPattern: '"env":', replaceWith: '' });
+      expect(rewritePayload('{"env":"staging"}', [rule], 'json')).toEqual({
+        body: '{"env":"staging"}',
+        appliedRuleIds: [],
+      });
+    });
+  });
+
+  describe('xml', () => {
+    it('replaces element text on exact match only', () => {
+      const rule = makePayloadRule({ matchType: 'exact' });
+      expect(rewritePayload('<env>staging</env><note>staging box</note>', [rule], 'xml').body).toBe(
+        '<env>production</env><note>staging box</note>',
+      );
+    });
+  });
+
+  describe('form', () => {
+    it('replaces field values on exact match', () => {
+      const rule = makePayloadRule({ matchType: 'exact' });
+      expect(rewritePayload('env=staging&note=staging+box', [rule], 'form').body).toBe(
+        'env=production&note=staging+box',
+      );
+    });
+
+    it('matches contains patterns against decoded key=value pairs', () => {
+      const rule = makePayloadRule({ matchPattern: 'debug=false', replaceWith: 'debug=true' });
+      expect(rewritePayload('user=a%40b.io&debug=false', [rule], 'form').body).toBe('user=a%40b.io&debug=true');
+    });
+  });
+
+  describe('text', () => {
+    it('matches the whole trimmed body on exact match', () => {
+      const rule = makePayloadRule({ matchType: 'exact', matchPattern: 'OK', replaceWith: 'FAIL' });
+      expect(rewritePayload('OK\n', [rule], 'text').body).toBe('FAIL');
+      expect(rewritePayload('OK then', [rule], 'text').appliedRuleIds).toEqual([]);
+    });
+  });
+
+  it('skips rules restricted to another content type', () => {
+    const rule = makePayloadRule({ contentType: 'xml' });
+    expect(rewritePayload('staging', [rule], 'text').appliedRuleIds).toEqual([]);
+  });
+
+  it('applies rules in order, each seeing the previous result', () => {
+    const rules = [
+      makePayloadRule({ id: 'a', matchPattern: 'staging', replaceWith: 'qa' }),
+      makePayloadRule({ id: 'b', matchPattern: 'qa', replaceWith: 'production' }),
+    ];
+    expect(rewritePayload('staging', rules, 'text')).toEqual({ body: 'production', appliedRuleIds: ['a', 'b'] });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { getRequestInfo, isExcluded, matchesRequestConditions } from '@/services/proxy/requestConditions';
+
+describe('getRequestInfo()', () => {
+  it('maps Sec-Fetch-Dest onto resource types', () => {
+    expect(getRequestInfo('GET', { 'sec-fetch-dest': 'document' }).resourceType).toBe('main_frame');
+    expect(getRequestInfo('GET', { 'sec-fetch-dest': 'empty' }).resourceType).toBe('xmlhttprequest');
+    expect(getRequestInfo('GET', { 'sec-fetch-dest': 'font' }).resourceType).toBe('font');
+    expect(getRequestInfo('GET', { 'sec-fetch-dest': 'video' }).resourceType).toBe('media');
+  });
+
+  it('treats requests without Sec-Fetch-Dest as other', () => {
+    expect(getRequestInfo('GET', {}).resourceType).toBe('other');
+  });
+
+  it('takes the initiator from Origin, falling back to Referer', () => {
+    expect(getRequestInfo('POST', { origin: 'https://app.openheaders.io' }).initiator).toBe('app.openheaders.io');
+    expect(getRequestInfo('GET', { referer: 'https://docs.openheaders.io/guide' }).initiator).toBe(
+      'docs.openheaders.io',
+    );
+    expect(getRequestInfo('GET', { origin: 'null' }).initiator).toBeNull();
+  });
+
+  it('normalizes the method', () => {
+    expect(getRequestInfo('post', {}).method).toBe('POST');
+    expect(getRequestInfo(undefined, {}).method).toBe('GET');
+  });
+});
+
+describe('isExcluded()', () => {
+  it('excludes bare domains together with their subdomains', () => {
+    expect(isExcluded('https://cdn.openheaders.io/logo.png', ['openheaders.io'])).toBe(true);
+    expect(isExcluded('https://openheaders.io/', ['*.openheaders.io'])).toBe(true);
+    expect(isExcluded('https://openheaders.dev/', ['openheaders.io'])).toBe(false);
+  });
+
+  it('excludes URL patterns by path', () => {
+    expect(isExcluded('https://api.openheaders.io/health', ['api.openheaders.io/health'])).toBe(true);
+    expect(isExcluded('https://api.openheaders.io/v2/health', ['*://*/v2/health*'])).toBe(true);
+    expect(isExcluded('https://api.openheaders.io/v2/users', ['api.openheaders.io/health'])).toBe(false);
+  });
+
+  it('ignores empty patterns', () => {
+    expect(isExcluded('https://api.openheaders.io/', ['', '  '])).toBe(false);
+    expect(isExcluded('https://api.openheaders.io/', undefined)).toBe(false);
+  });
+});
+
+describe('matchesRequestConditions()', () => {
+  const url = 'https://api.openheaders.io/v2/users';
+  const request = { method: 'GET', resourceType: 'xmlhttprequest' as const, initiator: 'app.openheaders.io' };
+
+  it('matches when no conditions are set', () => {
+    expect(matchesRequestConditions({}, url, request)).toBe(true);
+    expect(matchesRequestConditions({ methods: [], resourceTypes: [] }, url, request)).toBe(true);
+  });
+
+  it('filters by method and resource type', () => {
+    expect(matchesRequestConditions({ methods: ['GET'] }, url, request)).toBe(true);
+    expect(matchesRequestConditions({ methods: ['POST'] }, url, request)).toBe(false);
+    expect(matchesRequestConditions({ resourceTypes: ['image', 'font'] }, url, request)).toBe(false);
+  });
+
+  it('filters by initiator domain, including subdomains', () => {
+    expect(matchesRequestConditions({ initiatorDomains: ['openheaders.io'] }, url, request)).toBe(true);
+    expect(matchesRequestConditions({ initiatorDomains: ['partner.io'] }, url, request)).toBe(false);
+    expect(
+      matchesRequestConditions({ initiatorDomains: ['openheaders.io'] }, url, { ...request, initiator: null }),
+    ).toBe(false);
+  });
+
+  it('checks only exclusions without request details', () => {
+    expect(matchesRequestConditions({ methods: ['POST'] }, url)).toBe(true);
+    expect(matchesRequestConditions({ excludedDomains: ['api.openheaders.io/v2'] }, url)).toBe(false);
+  });
+});
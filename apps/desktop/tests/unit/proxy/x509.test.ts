@@ -0,0 +1,86 @@
+import crypto from 'node:crypto';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { createCertificate } from '@/services/proxy/x509';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let caKeys: crypto.KeyPairKeyObjectResult;
+let leafKeys: crypto.KeyPairKeyObjectResult;
+let caPem: string;
+
+beforeAll(() => {
+  caKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  leafKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  caPem = createCertificate({
+    subject: { commonName: 'OpenHeaders Proxy CA', organization: 'OpenHeaders' },
+    publicKey: caKeys.publicKey,
+    signingKey: caKeys.privateKey,
+    notBefore: new Date(Date.now() - DAY),
+    notAfter: new Date(Date.now() + 3650 * DAY),
+    isCA: true,
+  });
+});
+
+describe('createCertificate()', () => {
+  it('issues a self-signed CA certificate', () => {
+    const cert = new crypto.X509Certificate(caPem);
+    expect(cert.ca).toBe(true);
+    expect(cert.subject).toContain('CN=OpenHeaders Proxy CA');
+    expect(cert.subject).toContain('O=OpenHeaders');
+    expect(cert.issuer).toBe(cert.subject);
+    expect(cert.verify(caKeys.publicKey)).toBe(true);
+    expect(cert.checkIssued(cert)).toBe(true);
+  });
+
+  it('encodes validity dates after 2049 as GeneralizedTime', () => {
+    const cert = new crypto.X509Certificate(
+      createCertificate({
+        subject: { commonName: 'Long lived' },
+        publicKey: caKeys.publicKey,
+        signingKey: caKeys.privateKey,
+        notBefore: new Date('2026-01-01T00:00:00Z'),
+        notAfter: new Date('2060-06-30T12:00:00Z'),
+      }),
+    );
+    expect(new Date(cert.validTo).toISOString()).toBe('2060-06-30T12:00:00.000Z');
+  });
+
+  it('issues a server certificate for DNS names and IP addresses signed by the CA', () => {
+    const ca = new crypto.X509Certificate(caPem);
+    const cert = new crypto.X509Certificate(
+      createCertificate({
+        subject: { commonName: 'api.openheaders.io' },
+        issuer: { commonName: 'OpenHeaders Proxy CA', organization: 'OpenHeaders' },
+        publicKey: leafKeys.publicKey,
+        signingKey: caKeys.privateKey,
+        issuerPublicKey: caKeys.publicKey,
+        notBefore: new Date(Date.now() - DAY),
+        notAfter: new Date(Date.now() + 397 * DAY),
+        altNames: ['api.openheaders.io', '*.openheaders.io', '127.0.0.1', '::1'],
+      }),
+    );
+
+    expect(cert.ca).toBe(false);
+    expect(cert.checkIssued(ca)).toBe(true);
+    expect(cert.verify(caKeys.publicKey)).toBe(true);
+    expect(cert.checkHost('api.openheaders.io')).toBe('api.openheaders.io');
+    expect(cert.checkHost('cdn.openheaders.io')).toBe('*.openheaders.io');
+    expect(cert.checkIP('127.0.0.1')).toBe('127.0.0.1');
+    expect(cert.checkIP('::1')).toBe('::1');
+    expect(cert.checkHost('example.com')).toBeUndefined();
+    expect(cert.keyUsage).toEqual(['1.3.6.1.5.5.7.3.1']);
+  });
+
+  it('gives every certificate a fresh positive serial number', () => {
+    const options = {
+      subject: { commonName: 'serial' },
+      publicKey: caKeys.publicKey,
+      signingKey: caKeys.privateKey,
+      notBefore: new Date(),
+      notAfter: new Date(Date.now() + DAY),
+    };
+    const first = new crypto.X509Certificate(createCertificate(options));
+    const second = new crypto.X509Certificate(createCertificate(options));
+    expect(first.serialNumber).not.toBe(second.serialNumber);
+  });
+});
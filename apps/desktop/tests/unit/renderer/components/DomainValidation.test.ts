@@ -163,6 +163,20 @@ describe('validateDomain', () => {
     const result = validateDomain('openheaders.io');
     expect(result.sanitized).toBe('openheaders.io');
   });
+
+  it('validates negated patterns by the pattern after "!"', () => {
+    expect(validateDomain('!admin.openheaders.io')).toEqual({ valid: true, sanitized: '!admin.openheaders.io' });
+    expect(validateDomain('!invalid..domain')).toEqual({ valid: false, message: 'Invalid domain pattern' });
+  });
+
+  it('validates regular expressions', () => {
+    expect(validateDomain('/\\/graphql$/')).toEqual({ valid: true, sanitized: '/\\/graphql$/' });
+    expect(validateDomain('/[invalid/').valid).toBe(false);
+    expect(validateDomain('/^(?!admin)/')).toEqual({
+      valid: false,
+      message: 'Lookarounds and backreferences are not supported by browsers',
+    });
+  });
 });
 
 // ======================================================================
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { buildCurlCommand, shellQuote } from '@/renderer/components/proxy/utils/curlUtils';
+import type { ProxyTrafficEntry } from '@/types/proxy';
+
+function makeEntry(overrides: Partial<ProxyTrafficEntry> = {}): ProxyTrafficEntry {
+  return {
+    id: 'e1f2a3b4-c5d6-7890-abcd-ef1234567890',
+    timestamp: 1737380712345,
+    method: 'GET',
+    url: 'https://api.openheaders.io/v1/orders?page=2',
+    requestHeaders: { host: 'api.openheaders.io', accept: 'application/json' },
+    appliedRules: [],
+    ...overrides,
+  };
+}
+
+// ======================================================================
+// shellQuote
+// ======================================================================
+describe('shellQuote', () => {
+  it('wraps values in single quotes', () => {
+    expect(shellQuote('a b')).toBe("'a b'");
+  });
+
+  it('escapes embedded single quotes', () => {
+    expect(shellQuote("it's")).toBe("'it'\\''s'");
+  });
+});
+
+// ======================================================================
+// buildCurlCommand
+// ======================================================================
+describe('buildCurlCommand', () => {
+  it('builds a GET command without the host header', () => {
+    expect(buildCurlCommand(makeEntry())).toBe(
+      "curl 'https://api.openheaders.io/v1/orders?page=2' \\\n  -H 'accept: application/json'",
+    );
+  });
+
+  it('prefers the headers sent to the origin', () => {
+    const command = buildCurlCommand(
+      makeEntry({
+        proxiedHeaders: { accept: 'application/json', Authorization: 'Bearer token' },
+      }),
+    );
+    expect(command).toContain("-H 'Authorization: Bearer token'");
+  });
+
+  it('skips hop-by-hop and proxy headers', () => {
+    const command = buildCurlCommand(
+      makeEntry({
+        requestHeaders: {
+          connection: 'keep-alive',
+          'content-length': '7',
+          'proxy-authorization': 'Basic abc',
+          'x-tenant': 'acme',
+        },
+      }),
+    );
+    expect(command).toBe("curl 'https://api.openheaders.io/v1/orders?page=2' \\\n  -H 'x-tenant: acme'");
+  });
+
+  it('includes the method and captured body', () => {
+    const command = buildCurlCommand(
+      makeEntry({
+        method: 'POST',
+        requestHeaders: { 'content-type': 'application/json' },
+        requestBody: `{"note":"it's"}`,
+      }),
+    );
+    expect(command).toContain('-X POST');
+    expect(command).toContain(`--data-raw '{"note":"it'\\''s"}'`);
+  });
+
+  it('asks curl to decompress when the request accepted encodings', () => {
+    const command = buildCurlCommand(makeEntry({ requestHeaders: { 'accept-encoding': 'gzip' } }));
+    expect(command).toContain('--compressed');
+  });
+});
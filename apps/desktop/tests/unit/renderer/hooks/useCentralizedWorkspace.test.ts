@@ -39,6 +39,9 @@ const defaultState = {
   sources: [],
   rules: { header: [], request: [], response: [] },
   proxyRules: [],
+  profiles: [],
+  activeProfileId: null,
+  history: { entries: [], canUndo: false, canRedo: false },
   syncStatus: {},
   lastSaved: {},
   isWorkspaceSwitching: false,
@@ -20,6 +20,8 @@ vi.mock('@/renderer/utils/ui/messageUtil', () => ({
 const mockAddHeaderRule = vi.fn();
 const mockUpdateHeaderRule = vi.fn();
 const mockRemoveHeaderRule = vi.fn();
+const mockUpdateHeaderRulesBatch = vi.fn();
+const mockRemoveHeaderRulesBatch = vi.fn();
 
 const mockRules = [
   {
@@ -43,6 +45,8 @@ vi.mock('@/renderer/hooks/useCentralizedWorkspace', () => ({
       addHeaderRule: mockAddHeaderRule,
       updateHeaderRule: mockUpdateHeaderRule,
       removeHeaderRule: mockRemoveHeaderRule,
+      updateHeaderRulesBatch: mockUpdateHeaderRulesBatch,
+      removeHeaderRulesBatch: mockRemoveHeaderRulesBatch,
     },
   }),
 }));
@@ -56,6 +60,8 @@ describe('useHeaderRules', () => {
     mockAddHeaderRule.mockReset().mockResolvedValue(undefined);
     mockUpdateHeaderRule.mockReset().mockResolvedValue(undefined);
     mockRemoveHeaderRule.mockReset().mockResolvedValue(undefined);
+    mockUpdateHeaderRulesBatch.mockReset().mockResolvedValue(undefined);
+    mockRemoveHeaderRulesBatch.mockReset().mockResolvedValue(undefined);
   });
 
   it('returns header rules from centralized workspace', () => {
@@ -169,4 +175,47 @@ describe('useHeaderRules', () => {
       expect(mockShowMessage).toHaveBeenCalledWith('error', 'Not found');
     });
   });
+
+  describe('updateRulesBatch', () => {
+    it('sends all updates in one call', async () => {
+      const { result } = renderHook(() => useHeaderRules());
+      const updates = mockRules.map((rule) => ({ ruleId: rule.id, changes: { tag: 'staging' } }));
+
+      let updated = false;
+      await act(async () => {
+        updated = await result.current.updateRulesBatch(updates);
+      });
+
+      expect(updated).toBe(true);
+      expect(mockUpdateHeaderRulesBatch).toHaveBeenCalledWith(updates);
+    });
+
+    it('returns false on error', async () => {
+      mockUpdateHeaderRulesBatch.mockRejectedValue(new Error('Save failed'));
+
+      const { result } = renderHook(() => useHeaderRules());
+
+      let updated = true;
+      await act(async () => {
+        updated = await result.current.updateRulesBatch([{ ruleId: 'bad-id', changes: {} }]);
+      });
+
+      expect(updated).toBe(false);
+      expect(mockShowMessage).toHaveBeenCalledWith('error', 'Save failed');
+    });
+  });
+
+  describe('removeRulesBatch', () => {
+    it('removes rules and reports the count', async () => {
+      const { result } = renderHook(() => useHeaderRules());
+      const ruleIds = mockRules.map((rule) => rule.id);
+
+      await act(async () => {
+        await result.current.removeRulesBatch(ruleIds);
+      });
+
+      expect(mockRemoveHeaderRulesBatch).toHaveBeenCalledWith(ruleIds);
+      expect(mockShowMessage).toHaveBeenCalledWith('success', '2 rules removed');
+    });
+  });
 });
@@ -27,7 +27,16 @@ function makeProxyStatus(overrides: Partial<ProxyStatus> = {}): ProxyStatus {
     strictSSL: true,
     trustedCertificates: 0,
     certificateExceptions: 0,
-    stats: { requestsProcessed: 0, cacheHits: 0, cacheMisses: 0, errors: 0 },
+    httpsInterception: false,
+    faultStats: {},
+    stats: {
+      requestsProcessed: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      errors: 0,
+      webSocketConnections: 0,
+      activeWebSockets: 0,
+    },
     ...overrides,
   };
 }
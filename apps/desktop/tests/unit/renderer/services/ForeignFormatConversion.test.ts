@@ -0,0 +1,286 @@
+import type { HeaderRule, UrlRule } from '@openheaders/core';
+import { describe, expect, it } from 'vitest';
+import {
+  convertForeignImport,
+  detectForeignFormat,
+} from '@/renderer/services/export-import/utilities/ForeignFormatConversion';
+
+function headerRules(data: unknown): HeaderRule[] {
+  return (convertForeignImport(data)?.data.rules?.header ?? []) as HeaderRule[];
+}
+
+function urlRules(data: unknown): UrlRule[] {
+  return (convertForeignImport(data)?.data.rules?.url ?? []) as UrlRule[];
+}
+
+const modHeaderProfile = {
+  title: 'Staging',
+  headers: [
+    { enabled: true, name: 'Authorization', value: 'Bearer abc', comment: 'Auth' },
+    { enabled: false, name: 'X-Debug', value: '1' },
+    { enabled: true, name: 'Cookie', value: '' },
+  ],
+  respHeaders: [{ enabled: true, name: 'Access-Control-Allow-Origin', value: '*', appendMode: true }],
+  urlFilters: [{ enabled: true, urlRegex: '.*://api\\.staging\\.corp/.*' }],
+  excludeUrlFilters: [{ enabled: true, urlRegex: '.*/health' }],
+  requestMethodFilters: [{ enabled: true, requestMethods: ['get', 'POST', 'TRACE'] }],
+  resourceFilters: [{ enabled: true, resourceType: ['xmlhttprequest'] }],
+  initiatorDomainFilters: [{ enabled: true, domain: 'app.staging.corp' }],
+};
+
+// ======================================================================
+// detectForeignFormat
+// ======================================================================
+describe('detectForeignFormat', () => {
+  it('recognizes ModHeader profile arrays and single profiles', () => {
+    expect(detectForeignFormat([modHeaderProfile])).toBe('modheader');
+    expect(detectForeignFormat(modHeaderProfile)).toBe('modheader');
+  });
+
+  it('recognizes Requestly rule arrays and { rules, groups } exports', () => {
+    const rule = { objectType: 'rule', ruleType: 'Headers', pairs: [] };
+    expect(detectForeignFormat([rule])).toBe('requestly');
+    expect(detectForeignFormat({ rules: [rule], groups: [] })).toBe('requestly');
+  });
+
+  it('returns null for Open Headers exports', () => {
+    const data = { version: '3.0.0', rules: { header: [{ id: 'r1', headerName: 'X' }] } };
+    expect(detectForeignFormat(data)).toBeNull();
+    expect(convertForeignImport(data)).toBeNull();
+  });
+});
+
+// ======================================================================
+// ModHeader
+// ======================================================================
+describe('convertForeignImport — ModHeader', () => {
+  it('maps headers and filters onto header rules', () => {
+    const rules = headerRules([modHeaderProfile]);
+    expect(rules).toHaveLength(4);
+
+    expect(rules[0]).toMatchObject({
+      name: 'Auth',
+      tag: 'Staging',
+      headerName: 'Authorization',
+      headerValue: 'Bearer abc',
+      operation: 'set',
+      isEnabled: true,
+      isResponse: false,
+      domains: ['/.*://api\\.staging\\.corp/.*/'],
+      excludedDomains: ['/.*/health/'],
+      initiatorDomains: ['app.staging.corp'],
+      methods: ['GET', 'POST'],
+      resourceTypes: ['xmlhttprequest'],
+    });
+    expect(rules[1]).toMatchObject({ headerName: 'X-Debug', isEnabled: false });
+    expect(rules[2]).toMatchObject({ headerName: 'Cookie', operation: 'remove' });
+    expect(rules[3]).toMatchObject({
+      headerName: 'Access-Control-Allow-Origin',
+      operation: 'append',
+      isResponse: true,
+    });
+  });
+
+  it('gives every rule a unique id', () => {
+    const ids = headerRules([modHeaderProfile, { ...modHeaderProfile, title: 'Other' }]).map((rule) => rule.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('matches every URL when the profile has no URL filters', () => {
+    const rules = headerRules([{ title: 'All', headers: [{ enabled: true, name: 'X-A', value: '1' }] }]);
+    expect(rules[0]).toMatchObject({ domains: ['*'], isEnabled: true });
+  });
+
+  it('imports rules disabled when no URL filter could be converted', () => {
+    const result = convertForeignImport([
+      {
+        title: 'Broken',
+        headers: [{ enabled: true, name: 'X-A', value: '1' }],
+        urlFilters: [{ enabled: true, urlRegex: 'a,b' }],
+      },
+    ]);
+    expect(result?.data.rules?.header?.[0]).toMatchObject({ domains: ['*'], isEnabled: false });
+    expect(result?.issues.map((issue) => issue.reason)).toEqual([
+      expect.stringContaining('URL filter /a,b/ was skipped'),
+      expect.stringContaining('imported disabled'),
+    ]);
+  });
+
+  it('reports filters and modifications it cannot convert', () => {
+    const result = convertForeignImport([
+      {
+        title: 'Extras',
+        headers: [],
+        tabFilters: [{ enabled: true, tabId: 1 }],
+        cookieHeaders: [{ enabled: true, name: 'session', value: 'x' }],
+      },
+    ]);
+    expect(result?.issues).toEqual([
+      { item: 'Profile "Extras"', reason: 'Tab filters are not supported; its rules apply regardless' },
+      { item: 'Profile "Extras"', reason: 'Request cookies (1) were not imported' },
+    ]);
+  });
+
+  it('turns URL replacements into redirect URL rules', () => {
+    const [rule] = urlRules([
+      { title: 'Swap', headers: [], urlReplacements: [{ enabled: true, name: 'prod.corp', value: 'staging.corp' }] },
+    ]);
+    expect(rule).toMatchObject({
+      action: 'redirect',
+      matchType: 'regex',
+      matchPattern: '^(.*?)prod\\.corp(.*)$',
+      redirectTo: '\\1staging.corp\\2',
+    });
+    expect(new RegExp(rule.matchPattern).test('https://api.prod.corp/v1')).toBe(true);
+  });
+});
+
+// ======================================================================
+// Requestly
+// ======================================================================
+describe('convertForeignImport — Requestly', () => {
+  it('maps v2 header modifications and group settings', () => {
+    const rules = headerRules({
+      groups: [{ objectType: 'group', id: 'g1', name: 'Backend', status: 'Inactive' }],
+      rules: [
+        {
+          objectType: 'rule',
+          ruleType: 'Headers',
+          name: 'Auth',
+          status: 'Active',
+          groupId: 'g1',
+          pairs: [
+            {
+              source: {
+                key: 'Host',
+                operator: 'Equals',
+                value: 'api.corp',
+                filters: [{ requestMethod: ['GET'], pageDomains: ['app.corp'] }],
+              },
+              modifications: {
+                Request: [{ header: 'Authorization', value: 'Bearer x', type: 'Add' }],
+                Response: [{ header: 'Server', value: '', type: 'Remove' }],
+              },
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(rules).toHaveLength(2);
+    expect(rules[0]).toMatchObject({
+      name: 'Auth',
+      tag: 'Backend',
+      isEnabled: false,
+      headerName: 'Authorization',
+      operation: 'set',
+      domains: ['api.corp'],
+      methods: ['GET'],
+      initiatorDomains: ['app.corp'],
+    });
+    expect(rules[1]).toMatchObject({ headerName: 'Server', operation: 'remove', isResponse: true });
+  });
+
+  it('maps v1 header pairs and user agent rules', () => {
+    const rules = headerRules([
+      {
+        ruleType: 'Headers',
+        name: 'Legacy',
+        status: 'Active',
+        pairs: [{ header: 'X-Env', value: 'dev', type: 'Add', target: 'Request', source: { value: '' } }],
+      },
+      {
+        ruleType: 'UserAgent',
+        name: 'Mobile',
+        status: 'Active',
+        pairs: [{ userAgent: 'Mobile Safari', source: { key: 'Url', operator: 'Contains', value: 'm.corp' } }],
+      },
+    ]);
+    expect(rules[0]).toMatchObject({ headerName: 'X-Env', headerValue: 'dev', domains: ['*'] });
+    expect(rules[1]).toMatchObject({ headerName: 'User-Agent', headerValue: 'Mobile Safari', domains: ['/m\\.corp/'] });
+  });
+
+  it('converts redirects, cancels and query param rules into URL rules', () => {
+    const rules = urlRules([
+      {
+        ruleType: 'Redirect',
+        name: 'To staging',
+        status: 'Active',
+        pairs: [
+          {
+            source: { key: 'Url', operator: 'Matches', value: '/^https://prod\\.corp/(.*)$/' },
+            destination: 'https://staging.corp/$1',
+          },
+        ],
+      },
+      {
+        ruleType: 'Cancel',
+        name: 'No tracking',
+        status: 'Active',
+        pairs: [{ source: { key: 'Url', operator: 'Contains', value: 'tracker.js' } }],
+      },
+      {
+        ruleType: 'QueryParam',
+        name: 'Debug',
+        status: 'Inactive',
+        pairs: [
+          {
+            source: { key: 'Url', operator: 'Equals', value: 'https://app.corp/' },
+            modifications: [
+              { type: 'Add', param: 'debug', value: '1' },
+              { type: 'Remove', param: 'utm_source' },
+            ],
+          },
+        ],
+      },
+    ]);
+
+    expect(rules[0]).toMatchObject({
+      action: 'redirect',
+      matchType: 'regex',
+      matchPattern: '^https://prod\\.corp/(.*)$',
+      redirectTo: 'https://staging.corp/\\1',
+    });
+    expect(rules[1]).toMatchObject({ action: 'block', matchType: 'contains', matchPattern: 'tracker.js' });
+    expect(rules[2]).toMatchObject({
+      action: 'modify',
+      matchType: 'exact',
+      isEnabled: false,
+      modifyParams: [
+        { key: 'debug', action: 'set', value: '1' },
+        { key: 'utm_source', action: 'remove' },
+      ],
+    });
+  });
+
+  it('reports rule types and conditions without an equivalent', () => {
+    const result = convertForeignImport([
+      { ruleType: 'Script', name: 'Inject', status: 'Active', pairs: [] },
+      {
+        ruleType: 'Redirect',
+        name: 'Local',
+        status: 'Active',
+        pairs: [{ source: { value: 'a' }, destination: 'file.json', destinationType: 'map_local' }],
+      },
+      {
+        ruleType: 'Headers',
+        name: 'Path regex',
+        status: 'Active',
+        pairs: [
+          {
+            source: { key: 'Path', operator: 'Matches', value: '/api/' },
+            modifications: { Request: [{ header: 'X', value: '1', type: 'Add' }] },
+          },
+        ],
+      },
+    ]);
+
+    expect(result?.headerRuleCount).toBe(0);
+    expect(result?.urlRuleCount).toBe(0);
+    expect(result?.issues).toEqual([
+      { item: 'Rule "Inject"', reason: 'Requestly Script rules have no Open Headers equivalent' },
+      { item: 'Rule "Local"', reason: 'Redirects to local files or mocks are not supported' },
+      { item: 'Rule "Path regex"', reason: 'Source condition Path Matches "/api/" is not supported' },
+    ]);
+  });
+});
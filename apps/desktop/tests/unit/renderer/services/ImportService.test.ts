@@ -1,3 +1,4 @@
+import type { HeaderRule, RuleProfile } from '@openheaders/core';
 import { describe, expect, it, vi } from 'vitest';
 
 // Mock CentralizedEnvironmentService (transitively imported via EnvironmentsHandler)
@@ -8,6 +9,7 @@ vi.mock('@/renderer/services/CentralizedEnvironmentService', () => ({
 }));
 
 import { IMPORT_MODES } from '@/renderer/services/export-import/core/ExportImportConfig';
+import { ExportService } from '@/renderer/services/export-import/core/ExportService';
 import { ImportService } from '@/renderer/services/export-import/core/ImportService';
 import type { ExportImportDependencies, ImportOptions } from '@/renderer/services/export-import/core/types';
 
@@ -49,6 +51,8 @@ function makeStats(overrides: Record<string, unknown> = {}) {
     proxyRulesSkipped: 0,
     rulesImported: { total: 0 },
     rulesSkipped: { total: 0 },
+    profilesImported: 0,
+    profilesSkipped: 0,
     environmentsImported: 0,
     variablesCreated: 0,
     errors: [] as Array<{ error: string }>,
@@ -175,6 +179,11 @@ describe('ImportService._hasImportedData', () => {
     expect(service._hasImportedData(makeStats({ rulesImported: { total: 5 } }))).toBe(true);
   });
 
+  it('returns true when profiles were imported', () => {
+    const service = new ImportService(makeDeps());
+    expect(service._hasImportedData(makeStats({ profilesImported: 1 }))).toBe(true);
+  });
+
   it('returns true when environments were imported', () => {
     const service = new ImportService(makeDeps());
     expect(service._hasImportedData(makeStats({ environmentsImported: 2 }))).toBe(true);
@@ -380,6 +389,17 @@ describe('ImportService._parseImportFiles', () => {
     expect(result.importData.environmentSchema).toBeUndefined();
     expect(result.importData.environments).toBeDefined();
   });
+
+  it('converts ModHeader exports into import data', async () => {
+    const service = new ImportService(makeDeps());
+    const result = await service._parseImportFiles({
+      fileContent: JSON.stringify([{ title: 'Dev', headers: [{ enabled: true, name: 'X-Env', value: 'dev' }] }]),
+    } as ImportOptions);
+    expect(result.envData).toBeNull();
+    expect(result.importData.rules?.header).toEqual([
+      expect.objectContaining({ headerName: 'X-Env', headerValue: 'dev', tag: 'Dev' }),
+    ]);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -414,3 +434,111 @@ describe('ImportService._handleWorkspaceImport', () => {
     expect(importSpy).toHaveBeenCalledWith({ name: 'WS2', type: 'git' }, expect.any(Object));
   });
 });
+
+// ---------------------------------------------------------------------------
+// Profiles — export → import round trip
+// ---------------------------------------------------------------------------
+describe('ImportService profile import', () => {
+  const exportedRules = [
+    { id: 'rule-auth', type: 'header', headerName: 'Authorization', domains: ['api.example.com'], isEnabled: true },
+    { id: 'rule-debug', type: 'header', headerName: 'X-Debug', domains: ['api.example.com'], isEnabled: false },
+  ] as HeaderRule[];
+
+  function makeProfile(overrides: Partial<RuleProfile> & { id: string; name: string }): RuleProfile {
+    return {
+      rules: { header: { 'rule-auth': true, 'rule-debug': false } },
+      disabledTagGroups: ['legacy'],
+      environment: 'Staging',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      ...overrides,
+    };
+  }
+
+  async function exportThenImport(target: Partial<ExportImportDependencies>, importMode = IMPORT_MODES.MERGE) {
+    const source = makeDeps({
+      rules: { header: exportedRules, request: [], response: [] },
+      profiles: [
+        makeProfile({ id: 'p-admin', name: 'Admin' }),
+        makeProfile({ id: 'p-guest', name: 'Guest', rules: { header: { 'rule-auth': false }, url: { u1: true } } }),
+      ],
+    });
+    const exportData = await new ExportService(source)._gatherExportData({ selectedItems: { rules: true } });
+    const importData = JSON.parse(JSON.stringify(exportData));
+
+    const service = new ImportService(makeDeps(target));
+    return service._importAllDataTypes(importData, null, {
+      fileContent: JSON.stringify(importData),
+      selectedItems: { rules: true },
+      importMode,
+    });
+  }
+
+  it('imports exported profiles pointing at the imported rules', async () => {
+    const addHeaderRule = vi.fn(async (_rule: Partial<HeaderRule>) => true);
+    const importProfiles = vi.fn(async (profiles: RuleProfile[]) => ({ imported: profiles.length, skipped: 0 }));
+
+    const stats = await exportThenImport({ addHeaderRule, importProfiles });
+
+    const addedIds = addHeaderRule.mock.calls.map(([rule]) => rule.id);
+    expect(addedIds).toEqual(['rule-auth', 'rule-debug']);
+    expect(stats.profilesImported).toBe(2);
+    expect(importProfiles).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({
+          name: 'Admin',
+          rules: { header: { 'rule-auth': true, 'rule-debug': false } },
+          disabledTagGroups: ['legacy'],
+          environment: 'Staging',
+        }),
+        // Only header rules are imported, so the URL rule state is dropped
+        expect.objectContaining({ name: 'Guest', rules: { header: { 'rule-auth': false } } }),
+      ],
+      false,
+    );
+  });
+
+  it('skips profiles whose name is taken and drops states of rules that were not added', async () => {
+    const addHeaderRule = vi.fn(async (rule: Partial<HeaderRule>) => rule.id !== 'rule-debug');
+    const importProfiles = vi.fn(async (profiles: RuleProfile[]) => ({ imported: profiles.length, skipped: 0 }));
+
+    const stats = await exportThenImport({
+      addHeaderRule,
+      importProfiles,
+      profiles: [makeProfile({ id: 'mine', name: 'guest' })],
+    });
+
+    expect(stats.profilesImported).toBe(1);
+    expect(stats.profilesSkipped).toBe(1);
+    expect(importProfiles).toHaveBeenCalledWith(
+      [expect.objectContaining({ name: 'Admin', rules: { header: { 'rule-auth': true } } })],
+      false,
+    );
+  });
+
+  it('keeps profile states for duplicate rules skipped in merge mode', async () => {
+    const addHeaderRule = vi.fn(async () => true);
+    const importProfiles = vi.fn(async (profiles: RuleProfile[]) => ({ imported: profiles.length, skipped: 0 }));
+
+    await exportThenImport({
+      addHeaderRule,
+      importProfiles,
+      rules: { header: [exportedRules[0]], request: [], response: [] },
+    });
+
+    expect(addHeaderRule).toHaveBeenCalledTimes(1);
+    expect(importProfiles.mock.calls[0][0][0].rules).toEqual({ header: { 'rule-auth': true, 'rule-debug': false } });
+  });
+
+  it('replaces existing profiles in replace mode', async () => {
+    const importProfiles = vi.fn(async (profiles: RuleProfile[]) => ({ imported: profiles.length, skipped: 0 }));
+
+    const stats = await exportThenImport(
+      { importProfiles, profiles: [makeProfile({ id: 'mine', name: 'Admin' })] },
+      IMPORT_MODES.REPLACE,
+    );
+
+    expect(stats.profilesImported).toBe(2);
+    expect(importProfiles).toHaveBeenCalledWith(expect.any(Array), true);
+  });
+});
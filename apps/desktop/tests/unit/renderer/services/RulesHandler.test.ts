@@ -1,4 +1,4 @@
-import type { HeaderRule } from '@openheaders/core';
+import type { HeaderRule, UrlRule } from '@openheaders/core';
 import { describe, expect, it, vi } from 'vitest';
 import { IMPORT_MODES } from '@/renderer/services/export-import/core/ExportImportConfig';
 import type { ExportImportDependencies, RuleEntry } from '@/renderer/services/export-import/core/types';
@@ -376,4 +376,52 @@ describe('RulesHandler.importRules', () => {
     expect(stats.errors).toHaveLength(1);
     expect(stats.errors[0].error).toContain('save failed');
   });
+
+  it('imports URL rules via addUrlRule', async () => {
+    const addUrlRule = vi.fn(async () => true);
+    const handler = new RulesHandler(makeDeps({ addUrlRule }));
+
+    const stats = await handler.importRules(
+      { rules: { url: [{ id: 'u1', name: 'Redirect' }] } },
+      { importMode: IMPORT_MODES.MERGE, selectedItems: {} },
+    );
+
+    expect(addUrlRule).toHaveBeenCalledWith({ id: 'u1', name: 'Redirect' });
+    expect(stats.imported.url).toBe(1);
+    expect(stats.imported.total).toBe(1);
+  });
+
+  it('skips URL rules when addUrlRule is unavailable', async () => {
+    const handler = new RulesHandler(makeDeps());
+
+    const stats = await handler.importRules(
+      { rules: { url: [{ id: 'u1' }, { id: 'u2' }] } },
+      { importMode: IMPORT_MODES.MERGE, selectedItems: {} },
+    );
+
+    expect(stats.imported.total).toBe(0);
+    expect(stats.skipped.url).toBe(2);
+  });
+
+  it('clears existing URL rules in replace mode only when importing URL rules', async () => {
+    const removeUrlRule = vi.fn(async () => true);
+    const deps = makeDeps({
+      addUrlRule: vi.fn(async () => true),
+      removeUrlRule,
+      rules: { header: [], request: [], response: [], url: [{ id: 'old-url' } as UrlRule] },
+    });
+    const handler = new RulesHandler(deps);
+
+    await handler.importRules(
+      { rules: { header: [{ id: 'h1' }] } },
+      { importMode: IMPORT_MODES.REPLACE, selectedItems: {} },
+    );
+    expect(removeUrlRule).not.toHaveBeenCalled();
+
+    await handler.importRules(
+      { rules: { url: [{ id: 'u1' }] } },
+      { importMode: IMPORT_MODES.REPLACE, selectedItems: {} },
+    );
+    expect(removeUrlRule).toHaveBeenCalledWith('old-url');
+  });
 });
@@ -131,6 +131,31 @@ describe('TemplateResolver', () => {
       const result = asResult(resolver.resolveTemplate('{notavar}', { notavar: 'val' }));
       expect(result.resolved).toBe('{notavar}');
     });
+
+    it('evaluates template functions and defaults', () => {
+      const result = asResult(
+        resolver.resolveTemplate("Basic {{base64(USER + ':' + PASS)}} {{REGION | 'us-east-1'}}", {
+          USER: 'aladdin',
+          PASS: 'opensesame',
+        }),
+      );
+      expect(result).toEqual({
+        resolved: 'Basic YWxhZGRpbjpvcGVuc2VzYW1l us-east-1',
+        missingVars: [],
+        hasAllVars: true,
+      });
+    });
+
+    it('reports the variables a function is missing', () => {
+      const result = asResult(resolver.resolveTemplate("{{base64(USER + ':' + PASS)}}", { USER: 'aladdin' }));
+      expect(result).toEqual({ resolved: '', missingVars: ['PASS'], hasAllVars: false });
+    });
+
+    it('leaves invalid expressions in place', () => {
+      const result = asResult(resolver.resolveTemplate('{{md5(API_KEY)}}', ENTERPRISE_VARS));
+      expect(result.resolved).toBe('{{md5(API_KEY)}}');
+      expect(result.missingVars).toEqual([]);
+    });
   });
 
   // ------------------------------------------------------------------
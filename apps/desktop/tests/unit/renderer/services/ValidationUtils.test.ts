@@ -4,6 +4,7 @@ import {
   validateAndParseFileContent,
   validateEnvironmentSchema,
   validateEnvironmentVariable,
+  validateHeaderRules,
   validateImportData,
   validateImportPayload,
   validateProxyRule,
@@ -262,6 +263,28 @@ describe('validateProxyRule', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// validateHeaderRules
+// ---------------------------------------------------------------------------
+describe('validateHeaderRules', () => {
+  it('reports lint problems as warnings naming the rule', () => {
+    const r = validateHeaderRules([
+      { id: 'r1', name: 'Length', headerName: 'Content-Length', headerValue: '1', domains: ['*'] },
+      { id: 'r2', headerName: 'X-Env', headerValue: 'dev', domains: [] },
+      { id: 'r3', headerName: 'X-Ok', headerValue: 'ok', domains: ['example.com'] },
+    ]);
+    expect(r.success).toBe(true);
+    expect(r.warnings).toEqual([
+      expect.stringMatching(/^Header rule "Length": .*Content-Length/),
+      'Header rule "X-Env": The rule has no domains, so it is never applied',
+    ]);
+  });
+
+  it('skips entries that are not header rules', () => {
+    expect(validateHeaderRules([null, 'rule', { id: 1 }])).toEqual({ success: true, warnings: [] });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // validateSource
 // ---------------------------------------------------------------------------
@@ -451,6 +474,14 @@ describe('validateImportPayload', () => {
     expect(r.warnings![0]).toContain('99.0.0');
   });
 
+  it('includes header rule warnings without failing', () => {
+    const r = validateImportPayload({
+      rules: { header: [{ id: 'r1', headerName: 'Host', headerValue: 'x', domains: ['*'] }] },
+    });
+    expect(r.success).toBe(true);
+    expect(r.warnings).toEqual([expect.stringContaining('Host')]);
+  });
+
   it('collects workspace errors', () => {
     const r = validateImportPayload({ workspace: { type: 'git' } });
     expect(r.success).toBe(false);
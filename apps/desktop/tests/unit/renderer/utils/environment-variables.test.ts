@@ -143,6 +143,16 @@ describe('extractVariablesFromRule', () => {
     ).toEqual(['OAUTH2_CLIENT_ID', 'API_SUFFIX']);
   });
 
+  it('extracts from prefix, suffix and signing secret for generated values', () => {
+    expect(
+      extractVariablesFromRule({
+        headerValue: '{{IGNORED}}',
+        generator: { secret: '{{PARTNER_SIGNING_KEY}}' },
+        prefix: 'v1={{KEY_ID}}:',
+      }),
+    ).toEqual(['KEY_ID', 'PARTNER_SIGNING_KEY']);
+  });
+
   it('extracts from enterprise domain patterns', () => {
     expect(
       extractVariablesFromRule({
@@ -0,0 +1,149 @@
+import type { HeaderRule } from '@openheaders/core';
+import { describe, expect, it } from 'vitest';
+import { buildBulkEdit, findReplaceInRules } from '@/renderer/utils/data-structures/headerRuleBulkEdit';
+import { createRule, RULE_TYPES } from '@/renderer/utils/data-structures/rulesStructure';
+
+function createHeaderRule(overrides: Record<string, unknown> = {}): HeaderRule {
+  return createRule(RULE_TYPES.HEADER, {
+    headerName: 'Authorization',
+    headerValue: 'Bearer token-a',
+    domains: ['api.staging.corp'],
+    ...overrides,
+  }) as HeaderRule;
+}
+
+// ======================================================================
+// buildBulkEdit
+// ======================================================================
+describe('buildBulkEdit', () => {
+  it('only updates rules the edit actually changes', () => {
+    const enabled = createHeaderRule({ id: 'r1', isEnabled: true });
+    const disabled = createHeaderRule({ id: 'r2', isEnabled: false });
+
+    const { updates } = buildBulkEdit([enabled, disabled], { kind: 'enable', enabled: true });
+    expect(updates).toEqual([{ ruleId: 'r2', changes: { isEnabled: true } }]);
+  });
+
+  it('trims the new tag', () => {
+    const { updates } = buildBulkEdit([createHeaderRule({ id: 'r1' })], { kind: 'tag', tag: ' staging ' });
+    expect(updates[0].changes).toEqual({ tag: 'staging' });
+  });
+
+  it('adds a domain once, ignoring case', () => {
+    const rules = [
+      createHeaderRule({ id: 'r1' }),
+      createHeaderRule({ id: 'r2', domains: ['api.staging.corp', 'API.STG.CORP'] }),
+    ];
+
+    const { updates } = buildBulkEdit(rules, { kind: 'addDomain', domain: 'api.stg.corp' });
+    expect(updates).toHaveLength(1);
+    expect(updates[0].changes.domains).toEqual(['api.staging.corp', 'api.stg.corp']);
+  });
+
+  it('tracks env vars in added domains', () => {
+    const { updates } = buildBulkEdit([createHeaderRule({ id: 'r1' })], { kind: 'addDomain', domain: '{{API_HOST}}' });
+    expect(updates[0].changes).toMatchObject({ hasEnvVars: true, envVars: ['API_HOST'] });
+  });
+
+  it('skips rules whose only domain would be removed', () => {
+    const single = createHeaderRule({ id: 'r1' });
+    const multi = createHeaderRule({ id: 'r2', domains: ['api.staging.corp', 'web.staging.corp'] });
+
+    const { updates, skipped } = buildBulkEdit([single, multi], { kind: 'removeDomain', domain: 'api.staging.corp' });
+    expect(updates).toEqual([{ ruleId: 'r2', changes: expect.objectContaining({ domains: ['web.staging.corp'] }) }]);
+    expect(skipped.map((r) => r.id)).toEqual(['r1']);
+  });
+
+  it('changes the source of source-backed rules only', () => {
+    const dynamic = createHeaderRule({ id: 'r1', isDynamic: true, sourceId: '1' });
+    const fixed = createHeaderRule({ id: 'r2' });
+
+    const { updates, skipped } = buildBulkEdit([dynamic, fixed], { kind: 'source', sourceId: '2' });
+    expect(updates).toEqual([{ ruleId: 'r1', changes: { sourceId: '2' } }]);
+    expect(skipped.map((r) => r.id)).toEqual(['r2']);
+  });
+});
+
+// ======================================================================
+// findReplaceInRules
+// ======================================================================
+describe('findReplaceInRules', () => {
+  const allFields = ['headerName', 'headerValue', 'domains'] as const;
+
+  it('replaces in domains and previews the before/after text', () => {
+    const rules = [
+      createHeaderRule({ id: 'r1', domains: ['api.staging.corp', '*.openheaders.io'] }),
+      createHeaderRule({ id: 'r2', domains: ['openheaders.io'] }),
+    ];
+
+    const matches = findReplaceInRules(rules, {
+      find: 'api.staging.corp',
+      replace: 'api.stg.corp',
+      fields: [...allFields],
+      matchCase: false,
+    });
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].fields).toEqual([
+      { field: 'domains', before: 'api.staging.corp, *.openheaders.io', after: 'api.stg.corp, *.openheaders.io' },
+    ]);
+    expect(matches[0].changes.domains).toEqual(['api.stg.corp', '*.openheaders.io']);
+  });
+
+  it('only searches the chosen fields and respects match case', () => {
+    const rule = createHeaderRule({ id: 'r1', headerName: 'X-Staging', headerValue: 'staging' });
+
+    expect(
+      findReplaceInRules([rule], { find: 'staging', replace: 'stg', fields: ['headerName'], matchCase: true }),
+    ).toEqual([]);
+
+    const [match] = findReplaceInRules([rule], {
+      find: 'staging',
+      replace: 'stg',
+      fields: ['headerName'],
+      matchCase: false,
+    });
+    expect(match.changes.headerName).toBe('X-stg');
+    expect(match.changes).not.toHaveProperty('headerValue');
+  });
+
+  it('replaces in prefix/suffix for source-backed rules', () => {
+    const rule = createHeaderRule({ id: 'r1', isDynamic: true, sourceId: '1', prefix: 'Bearer ', suffix: '' });
+
+    const [match] = findReplaceInRules([rule], {
+      find: 'Bearer',
+      replace: 'Token',
+      fields: ['headerValue'],
+      matchCase: true,
+    });
+    expect(match.changes).toMatchObject({ prefix: 'Token ' });
+    expect(match.changes).not.toHaveProperty('headerValue');
+  });
+
+  it('keeps replacement text literal and merges duplicate domains', () => {
+    const rule = createHeaderRule({ id: 'r1', domains: ['a.corp', 'b.corp'] });
+
+    const [match] = findReplaceInRules([rule], {
+      find: 'b.corp',
+      replace: 'a.corp',
+      fields: ['domains'],
+      matchCase: false,
+    });
+    expect(match.changes.domains).toEqual(['a.corp']);
+
+    const [literal] = findReplaceInRules([rule], {
+      find: 'a',
+      replace: '$&$&',
+      fields: ['domains'],
+      matchCase: false,
+    });
+    expect(literal.changes.domains?.[0]).toBe('$&$&.corp');
+  });
+
+  it('does not blank out every domain of a rule', () => {
+    const rule = createHeaderRule({ id: 'r1' });
+    expect(
+      findReplaceInRules([rule], { find: 'api.staging.corp', replace: '', fields: ['domains'], matchCase: false }),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,144 @@
+import type { HeaderRule } from '@openheaders/core';
+import { describe, expect, it } from 'vitest';
+import { createRule, RULE_TYPES } from '@/renderer/utils/data-structures/rulesStructure';
+import { domainPatternsOverlap, findHeaderRuleConflicts } from '@/renderer/utils/validation/ruleConflicts';
+
+function createHeaderRule(overrides: Record<string, unknown> = {}): HeaderRule {
+  return createRule(RULE_TYPES.HEADER, {
+    headerName: 'Authorization',
+    headerValue: 'Bearer token-a',
+    domains: ['api.openheaders.io'],
+    ...overrides,
+  }) as HeaderRule;
+}
+
+// ======================================================================
+// domainPatternsOverlap
+// ======================================================================
+describe('domainPatternsOverlap', () => {
+  it('treats identical patterns and the catch-all as overlapping', () => {
+    expect(domainPatternsOverlap('api.openheaders.io', 'api.openheaders.io')).toBe(true);
+    expect(domainPatternsOverlap('*', 'api.openheaders.io')).toBe(true);
+  });
+
+  it('matches wildcard subdomains against concrete hosts', () => {
+    expect(domainPatternsOverlap('*.openheaders.io', 'api.openheaders.io')).toBe(true);
+    expect(domainPatternsOverlap('api.openheaders.io', '*.openheaders.io')).toBe(true);
+    expect(domainPatternsOverlap('*.openheaders.io', 'openheaders.dev')).toBe(false);
+  });
+
+  it('ignores protocols and treats bare hosts as covering every path', () => {
+    expect(domainPatternsOverlap('https://api.openheaders.io/*', 'api.openheaders.io')).toBe(true);
+    expect(domainPatternsOverlap('api.openheaders.io/v2', 'api.openheaders.io')).toBe(true);
+    expect(domainPatternsOverlap('api.openheaders.io/v2', 'api.openheaders.io/v1')).toBe(false);
+  });
+
+  it('distinguishes ports', () => {
+    expect(domainPatternsOverlap('localhost:3000', 'localhost:3000')).toBe(true);
+    expect(domainPatternsOverlap('localhost:3000', 'localhost:4000')).toBe(false);
+  });
+});
+
+// ======================================================================
+// findHeaderRuleConflicts
+// ======================================================================
+describe('findHeaderRuleConflicts', () => {
+  it('flags both rules when they set the same header on overlapping domains', () => {
+    const a = createHeaderRule({ id: 'a', domains: ['*.openheaders.io'] });
+    const b = createHeaderRule({ id: 'b', headerName: 'authorization', headerValue: 'Bearer token-b' });
+
+    const conflicts = findHeaderRuleConflicts([a, b]);
+
+    expect(conflicts.get('a')).toEqual([
+      { otherRuleId: 'b', headerName: 'Authorization', domains: ['*.openheaders.io'], winnerId: null },
+    ]);
+    expect(conflicts.get('b')).toEqual([
+      { otherRuleId: 'a', headerName: 'authorization', domains: ['api.openheaders.io'], winnerId: null },
+    ]);
+  });
+
+  it('names the higher priority rule as the winner', () => {
+    const a = createHeaderRule({ id: 'a' });
+    const b = createHeaderRule({ id: 'b', headerValue: 'Bearer token-b', priority: 10 });
+
+    const conflicts = findHeaderRuleConflicts([a, b]);
+
+    expect(conflicts.get('a')?.[0].winnerId).toBe('b');
+    expect(conflicts.get('b')?.[0].winnerId).toBe('b');
+  });
+
+  it('ranks rules the extension can only exclude URLs from with allow rules last', () => {
+    const plain = createHeaderRule({ id: 'plain' });
+    const negated = createHeaderRule({
+      id: 'negated',
+      headerValue: 'Bearer token-b',
+      domains: ['*.openheaders.io', '!www.openheaders.io'],
+      priority: 10,
+    });
+    const regex = createHeaderRule({
+      id: 'regex',
+      headerValue: 'Bearer token-c',
+      excludedDomains: ['/\\/health$/'],
+      priority: 20,
+    });
+
+    const conflicts = findHeaderRuleConflicts([plain, negated, regex]);
+
+    expect(conflicts.get('plain')?.map((conflict) => [conflict.otherRuleId, conflict.winnerId])).toEqual([
+      ['negated', 'negated'],
+      ['regex', 'plain'],
+    ]);
+  });
+
+  it('ignores disabled rules, other headers and the other direction', () => {
+    const rules = [
+      createHeaderRule({ id: 'a' }),
+      createHeaderRule({ id: 'disabled', headerValue: 'Bearer x', isEnabled: false }),
+      createHeaderRule({ id: 'other-header', headerName: 'X-Api-Key' }),
+      createHeaderRule({ id: 'response', headerValue: 'Bearer y', isResponse: true }),
+    ];
+
+    expect(findHeaderRuleConflicts(rules).size).toBe(0);
+  });
+
+  it('ignores rules on unrelated domains', () => {
+    const rules = [
+      createHeaderRule({ id: 'a' }),
+      createHeaderRule({ id: 'b', headerValue: 'Bearer token-b', domains: ['staging.openheaders.io'] }),
+    ];
+
+    expect(findHeaderRuleConflicts(rules).size).toBe(0);
+  });
+
+  it('does not flag appends or identical static values', () => {
+    const rules = [
+      createHeaderRule({ id: 'append-a', headerName: 'X-Forwarded-For', headerValue: '10.0.0.1', operation: 'append' }),
+      createHeaderRule({ id: 'append-b', headerName: 'X-Forwarded-For', headerValue: '10.0.0.2', operation: 'append' }),
+      createHeaderRule({ id: 'same-a' }),
+      createHeaderRule({ id: 'same-b' }),
+    ];
+
+    expect(findHeaderRuleConflicts(rules).size).toBe(0);
+  });
+
+  it('flags a set and a remove of the same header', () => {
+    const rules = [createHeaderRule({ id: 'a' }), createHeaderRule({ id: 'b', headerValue: '', operation: 'remove' })];
+
+    expect(findHeaderRuleConflicts(rules).get('a')).toHaveLength(1);
+  });
+
+  it('does not flag rules whose methods or resource types never coincide', () => {
+    const rules = [
+      createHeaderRule({ id: 'get', methods: ['GET'] }),
+      createHeaderRule({ id: 'post', headerValue: 'Bearer token-b', methods: ['POST'] }),
+      createHeaderRule({ id: 'images', headerValue: 'Bearer token-c', resourceTypes: ['image'], methods: ['GET'] }),
+      createHeaderRule({ id: 'xhr', headerValue: 'Bearer token-d', resourceTypes: ['xmlhttprequest'] }),
+    ];
+
+    const conflicts = findHeaderRuleConflicts(rules);
+
+    expect(conflicts.get('get')?.map((c) => c.otherRuleId)).toEqual(['images', 'xhr']);
+    expect(conflicts.get('post')?.map((c) => c.otherRuleId)).toEqual(['xhr']);
+    expect(conflicts.get('images')?.map((c) => c.otherRuleId)).toEqual(['get']);
+  });
+});
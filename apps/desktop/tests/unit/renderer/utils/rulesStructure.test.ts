@@ -1,4 +1,4 @@
-import type { HeaderRule, PayloadRule, UrlRule } from '@openheaders/core';
+import type { HeaderRule, PayloadRule, ScriptRule, UrlRule } from '@openheaders/core';
 import { describe, expect, it } from 'vitest';
 import {
   createRule,
@@ -21,14 +21,19 @@ function createUrlRule(overrides: Record<string, unknown> = {}): UrlRule {
   return createRule(RULE_TYPES.URL, overrides) as UrlRule;
 }
 
+function createScriptRule(overrides: Record<string, unknown> = {}): ScriptRule {
+  return createRule(RULE_TYPES.SCRIPT, overrides) as ScriptRule;
+}
+
 // ======================================================================
 // RULE_TYPES
 // ======================================================================
 describe('RULE_TYPES', () => {
-  it('defines HEADER, PAYLOAD, URL', () => {
+  it('defines HEADER, PAYLOAD, URL, SCRIPT', () => {
     expect(RULE_TYPES.HEADER).toBe('header');
     expect(RULE_TYPES.PAYLOAD).toBe('payload');
     expect(RULE_TYPES.URL).toBe('url');
+    expect(RULE_TYPES.SCRIPT).toBe('script');
   });
 });
 
@@ -92,6 +97,8 @@ describe('createRule', () => {
       const rule = createHeaderRule();
       expect(rule.headerName).toBe('');
       expect(rule.headerValue).toBe('');
+      expect(rule.operation).toBe('set');
+      expect(rule.priority).toBe(0);
       expect(rule.isResponse).toBe(false);
       expect(rule.isDynamic).toBe(false);
       expect(rule.sourceId).toBeNull();
@@ -100,6 +107,27 @@ describe('createRule', () => {
       expect(rule.hasEnvVars).toBe(false);
       expect(rule.envVars).toEqual([]);
     });
+
+    it('defaults request conditions to match every request', () => {
+      const rule = createHeaderRule();
+      expect(rule.methods).toEqual([]);
+      expect(rule.resourceTypes).toEqual([]);
+      expect(rule.initiatorDomains).toEqual([]);
+      expect(rule.excludedDomains).toEqual([]);
+    });
+
+    it('keeps request conditions', () => {
+      const rule = createHeaderRule({
+        methods: ['GET'],
+        resourceTypes: ['xmlhttprequest'],
+        initiatorDomains: ['app.openheaders.io'],
+        excludedDomains: ['api.openheaders.io/health'],
+      });
+      expect(rule.methods).toEqual(['GET']);
+      expect(rule.resourceTypes).toEqual(['xmlhttprequest']);
+      expect(rule.initiatorDomains).toEqual(['app.openheaders.io']);
+      expect(rule.excludedDomains).toEqual(['api.openheaders.io/health']);
+    });
   });
 
   describe('PAYLOAD type', () => {
@@ -144,6 +172,22 @@ describe('createRule', () => {
     });
   });
 
+  describe('SCRIPT type', () => {
+    it('defaults to inline JavaScript in the page world once the page is idle', () => {
+      const rule = createScriptRule();
+      expect(rule.type).toBe('script');
+      expect(rule.language).toBe('js');
+      expect(rule.code).toBe('');
+      expect(rule.sourceId).toBeNull();
+      expect(rule.runAt).toBe('document_idle');
+      expect(rule.world).toBe('MAIN');
+    });
+
+    it('stores numeric source ids as strings', () => {
+      expect(createScriptRule({ sourceId: 7 }).sourceId).toBe('7');
+    });
+  });
+
   it('throws for unknown rule type', () => {
     expect(() => createRule('unknown')).toThrow('Unknown rule type');
   });
@@ -280,6 +324,28 @@ describe('validateRule', () => {
       });
       expect(result.valid).toBe(true);
     });
+
+    it('validates remove operation without a value', () => {
+      const result = validateRule({
+        type: 'header',
+        domains: ['example.com'],
+        headerName: 'Referer',
+        operation: 'remove',
+        isDynamic: false,
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('rejects append operation without a value', () => {
+      const result = validateRule({
+        type: 'header',
+        domains: ['example.com'],
+        headerName: 'X-Forwarded-For',
+        operation: 'append',
+        isDynamic: false,
+      });
+      expect(result.valid).toBe(false);
+    });
   });
 
   describe('payload validation', () => {
@@ -356,4 +422,16 @@ describe('validateRule', () => {
       expect(result.valid).toBe(true);
     });
   });
+
+  describe('script validation', () => {
+    it('rejects a rule with neither code nor source', () => {
+      const result = validateRule({ type: 'script', domains: ['example.com'], code: '  ' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('source');
+    });
+
+    it('accepts a source-backed rule without inline code', () => {
+      expect(validateRule({ type: 'script', domains: ['example.com'], sourceId: '3' }).valid).toBe(true);
+    });
+  });
 });
@@ -25,6 +25,7 @@ function createMockService(): ConstructorParameters<typeof WSClientHandler>[0] {
     stateReady: Promise.resolve(),
     sourceHandler: { sendSourcesToClient: vi.fn().mockResolvedValue(undefined) },
     ruleHandler: { sendRulesToClient: vi.fn().mockResolvedValue(undefined) },
+    profileHandler: { sendProfilesToClient: vi.fn().mockResolvedValue(undefined) },
     recordingHandler: { sendVideoRecordingState: vi.fn().mockResolvedValue(undefined) },
     networkStateHandler: null,
     _sendToRenderers: vi.fn(),
@@ -249,7 +250,7 @@ describe('WSClientHandler', () => {
       expect(mockService.sourceHandler.sendSourcesToClient).toHaveBeenCalled();
     });
 
-    it('initializes client with sources, rules, and recording state', async () => {
+    it('initializes client with sources, rules, profiles, and recording state', async () => {
       const mockWs = { isInitialized: false } as Parameters<typeof handler.initializeClient>[0];
       const clientId = 'WS-1709123456789-a1b2c3d4e';
 
@@ -258,6 +259,7 @@ describe('WSClientHandler', () => {
       expect(mockWs.isInitialized).toBe(true);
       expect(mockService.sourceHandler.sendSourcesToClient).toHaveBeenCalledWith(mockWs);
       expect(mockService.ruleHandler.sendRulesToClient).toHaveBeenCalledWith(mockWs);
+      expect(mockService.profileHandler.sendProfilesToClient).toHaveBeenCalledWith(mockWs);
       expect(mockService.recordingHandler.sendVideoRecordingState).toHaveBeenCalledWith(mockWs);
     });
 
@@ -0,0 +1,65 @@
+import type { RuleProfile } from '@openheaders/core';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { WSProfileHandler } from '@/services/websocket/ws-profile-handler';
+
+function makeProfile(overrides: Partial<RuleProfile> & { id: string; name: string }): RuleProfile {
+  return {
+    rules: { header: { 'rule-admin-token': true } },
+    disabledTagGroups: [],
+    environment: null,
+    createdAt: '2026-01-10T08:00:00.000Z',
+    updatedAt: '2026-01-10T08:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function createMockService(): ConstructorParameters<typeof WSProfileHandler>[0] {
+  return { _broadcastToAll: vi.fn().mockReturnValue(1) };
+}
+
+describe('WSProfileHandler', () => {
+  let handler: WSProfileHandler;
+  let mockService: ReturnType<typeof createMockService>;
+
+  beforeEach(() => {
+    mockService = createMockService();
+    handler = new WSProfileHandler(mockService);
+  });
+
+  it('broadcasts profile summaries without rule states', () => {
+    handler.updateProfiles(
+      [makeProfile({ id: 'p-admin', name: 'Admin user', description: 'Full access', environment: 'Staging' })],
+      'p-admin',
+    );
+
+    const message = JSON.parse(vi.mocked(mockService._broadcastToAll).mock.calls[0][0]);
+    expect(message).toEqual({
+      type: 'profiles-update',
+      data: {
+        profiles: [{ id: 'p-admin', name: 'Admin user', description: 'Full access' }],
+        activeProfileId: 'p-admin',
+      },
+    });
+  });
+
+  it('pushes the applied profile tag groups and remembers them', () => {
+    handler.broadcastProfileApplied(makeProfile({ id: 'p-guest', name: 'Guest', disabledTagGroups: ['admin'] }));
+
+    const message = JSON.parse(vi.mocked(mockService._broadcastToAll).mock.calls[0][0]);
+    expect(message).toEqual({ type: 'profile-applied', data: { profileId: 'p-guest', disabledTagGroups: ['admin'] } });
+    expect(handler.disabledTagGroups).toEqual(['admin']);
+  });
+
+  it('delegates apply requests and tolerates a missing callback', async () => {
+    await expect(handler.handleApplyProfile('p-guest')).resolves.toBeUndefined();
+
+    handler.onApplyProfile = vi.fn().mockRejectedValue(new Error('Profile p-guest not found'));
+    await expect(handler.handleApplyProfile('p-guest')).resolves.toBeUndefined();
+    expect(handler.onApplyProfile).toHaveBeenCalledWith('p-guest');
+  });
+
+  it('tracks tag groups reported by the extension', () => {
+    handler.handleTagGroupsChanged(['beta', '__no_tag__']);
+    expect(handler.disabledTagGroups).toEqual(['beta', '__no_tag__']);
+  });
+});
@@ -1,4 +1,5 @@
-import type { HeaderRule, RulesCollection, Source } from '@openheaders/core';
+import type { HeaderRule, RulesCollection, ScriptRule, Source, UrlRule } from '@openheaders/core';
+import { resolveTemplate } from '@openheaders/core';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 import { WSRuleHandler } from '@/services/websocket/ws-rule-handler';
 
@@ -39,6 +40,25 @@ function makeSource(overrides: Partial<Source> & { sourceId: string }): Source {
   };
 }
 
+function makeScriptRule(overrides: Partial<ScriptRule> = {}): ScriptRule {
+  return {
+    id: 'script-rule-1',
+    type: 'script',
+    name: 'Hide cookie banner',
+    description: '',
+    isEnabled: true,
+    domains: ['*.openheaders.io'],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    language: 'css',
+    code: '#cookie-banner { display: none !important; }',
+    sourceId: null,
+    runAt: 'document_start',
+    world: 'MAIN',
+    ...overrides,
+  };
+}
+
 function createMockService(rules: RulesCollection = emptyRules, sources: Source[] = []) {
   return {
     rules,
@@ -46,12 +66,7 @@ function createMockService(rules: RulesCollection = emptyRules, sources: Source[
     appDataPath: null,
     environmentHandler: {
       loadEnvironmentVariables: () => ({}) as Record<string, string>,
-      resolveTemplate: (template: string, vars: Record<string, string>) => {
-        return template.replace(/\{\{([^}]+)\}\}/g, (match: string, varName: string) => {
-          const v = vars[varName.trim()];
-          return v !== undefined && v !== null && v !== '' ? v : match;
-        });
-      },
+      resolveTemplate,
     },
     _broadcastToAll: vi.fn().mockReturnValue(0),
   };
@@ -69,7 +84,51 @@ describe('WSRuleHandler', () => {
   describe('_populateDynamicHeaderValues', () => {
     it('returns empty rules unchanged', () => {
       const result = handler._populateDynamicHeaderValues(emptyRules);
-      expect(result).toEqual({ header: [], request: [], response: [] });
+      expect(result).toEqual({ header: [], request: [], response: [], url: [], script: [] });
+    });
+
+    it('passes URL rules through to the extension unchanged', () => {
+      const urlRule: UrlRule = {
+        id: 'url-rule-1',
+        type: 'url',
+        name: 'Point checkout at local build',
+        description: '',
+        isEnabled: true,
+        domains: [],
+        createdAt: '2025-11-15T09:30:00.000Z',
+        updatedAt: '2025-11-15T09:30:00.000Z',
+        matchPattern: '^https://app\\.openheaders\\.io/static/(.*)$',
+        matchType: 'regex',
+        replacePattern: '',
+        redirectTo: 'http://localhost:3000/static/\\1',
+        modifyParams: [],
+        action: 'redirect',
+      };
+      const result = handler._populateDynamicHeaderValues({ ...emptyRules, url: [urlRule] });
+      expect(result.url).toEqual([urlRule]);
+    });
+
+    it('passes inline script rules through unchanged', () => {
+      const result = handler._populateDynamicHeaderValues({ ...emptyRules, script: [makeScriptRule()] });
+      expect(result.script).toEqual([makeScriptRule()]);
+    });
+
+    it('replaces the code of source-backed script rules with the source content', () => {
+      mockService.sources = [makeSource({ sourceId: '4', sourceContent: 'window.__DEBUG__ = true;' })];
+      const result = handler._populateDynamicHeaderValues({
+        ...emptyRules,
+        script: [makeScriptRule({ language: 'js', code: '', sourceId: '4' })],
+      });
+      expect(result.script[0].code).toBe('window.__DEBUG__ = true;');
+    });
+
+    it('withholds source-backed script rules until the source has content', () => {
+      mockService.sources = [makeSource({ sourceId: '4', sourceContent: null })];
+      const result = handler._populateDynamicHeaderValues({
+        ...emptyRules,
+        script: [makeScriptRule({ sourceId: '4' }), makeScriptRule({ id: 'orphan', sourceId: '99' })],
+      });
+      expect(result.script).toEqual([]);
     });
 
     it('passes through static rules without modification', () => {
@@ -271,6 +330,47 @@ describe('WSRuleHandler', () => {
       expect(result.header[0].headerName).toBe('X-Custom-Enterprise-Token');
     });
 
+    it('keeps rules whose unset variables have a default', () => {
+      mockService.environmentHandler.loadEnvironmentVariables = () => ({ USER: 'aladdin', PASS: 'opensesame' });
+      const rules: RulesCollection = {
+        ...emptyRules,
+        header: [
+          makeHeaderRule({
+            id: 'rule-basic-auth',
+            headerName: 'Authorization',
+            headerValue: "Basic {{base64(USER + ':' + PASS)}}{{REALM | ''}}",
+            hasEnvVars: true,
+            envVars: ['USER', 'PASS', 'REALM'],
+          }),
+        ],
+      };
+      const result = handler._populateDynamicHeaderValues(rules);
+      expect(result.header[0].headerValue).toBe('Basic YWxhZGRpbjpvcGVuc2VzYW1l');
+      expect(result.header[0].activationState).toBe('active');
+    });
+
+    it('resolves templates that use no variables', () => {
+      mockService.environmentHandler.loadEnvironmentVariables = () => ({});
+      const rules: RulesCollection = {
+        ...emptyRules,
+        header: [makeHeaderRule({ id: 'rule-uuid', headerName: 'X-Request-Id', headerValue: '{{uuid()}}' })],
+      };
+      const result = handler._populateDynamicHeaderValues(rules);
+      expect(result.header[0].headerValue).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('withholds rules whose value the proxy generates per request', () => {
+      const rules: RulesCollection = {
+        ...emptyRules,
+        header: [
+          makeHeaderRule({ id: 'rule-static' }),
+          makeHeaderRule({ id: 'rule-request-id', headerName: 'X-Request-Id', generator: { type: 'uuid' } }),
+        ],
+      };
+      const result = handler._populateDynamicHeaderValues(rules);
+      expect(result.header.map((rule) => rule.id)).toEqual(['rule-static']);
+    });
+
     it('filters out rules with missing env var dependencies', () => {
       mockService.environmentHandler.loadEnvironmentVariables = () => ({});
       const rules: RulesCollection = {
@@ -0,0 +1,116 @@
+import type { RuleHitStatsMap } from '@openheaders/core';
+import { afterEach, beforeEach, describe, expect, it, type Mock, vi } from 'vitest';
+import { WSRuleHitsHandler } from '@/services/websocket/ws-rule-hits-handler';
+import atomicWriter from '@/utils/atomicFileWriter';
+
+vi.mock('@/utils/atomicFileWriter', () => ({
+  default: {
+    readJson: vi.fn().mockResolvedValue(null),
+    writeJson: vi.fn().mockResolvedValue(undefined),
+  },
+}));
+
+const APP_DATA = '/Users/jane.doe/Library/Application Support/OpenHeaders';
+const STATS_PATH = `${APP_DATA}/rule-hits.json`;
+
+interface MockWSService {
+  appDataPath: string | null;
+  _sendToRenderers: Mock<(channel: string, data: unknown) => void>;
+}
+
+function hit(count: number, lastHitAt: number, lastUrl = 'https://api.openheaders.io/v2') {
+  return { count, lastHitAt, lastUrl };
+}
+
+describe('WSRuleHitsHandler', () => {
+  let handler: WSRuleHitsHandler;
+  let mockService: MockWSService;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.mocked(atomicWriter.readJson).mockClear().mockResolvedValue(null);
+    vi.mocked(atomicWriter.writeJson).mockClear();
+    mockService = { appDataPath: APP_DATA, _sendToRenderers: vi.fn() };
+    handler = new WSRuleHitsHandler(mockService);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('adds reports to the saved totals and pushes them to renderers', async () => {
+    vi.mocked(atomicWriter.readJson).mockResolvedValue({ 'rule-1': hit(10, 1000, 'https://old.example.com/') });
+
+    await handler.handleRuleHits({ 'rule-1': hit(2, 2000), 'rule-2': hit(1, 1500) });
+    await handler.handleRuleHits({ 'rule-1': hit(1, 3000, 'https://api.openheaders.io/v3') });
+
+    const expected: RuleHitStatsMap = {
+      'rule-1': hit(13, 3000, 'https://api.openheaders.io/v3'),
+      'rule-2': hit(1, 1500),
+    };
+    expect(await handler.getStats()).toEqual(expected);
+    expect(atomicWriter.readJson).toHaveBeenCalledTimes(1);
+    expect(mockService._sendToRenderers).toHaveBeenLastCalledWith('rule-hits-updated', expected);
+  });
+
+  it('drops malformed entries and reserved rule ids from reports', async () => {
+    await handler.handleRuleHits(
+      JSON.parse(
+        '{"__proto__":{"count":1,"lastHitAt":1,"lastUrl":""},"rule-1":{"count":"1","lastHitAt":1,"lastUrl":""},"rule-2":{"count":1,"lastHitAt":1000,"lastUrl":"https://api.openheaders.io/v2"}}',
+      ),
+    );
+    await handler.handleRuleHits('not hits');
+
+    expect(await handler.getStats()).toEqual({ 'rule-2': hit(1, 1000) });
+    expect(({} as { count?: number }).count).toBeUndefined();
+  });
+
+  it('saves once a few seconds after the last report', async () => {
+    await handler.handleRuleHits({ 'rule-1': hit(1, 1000) });
+    await handler.handleRuleHits({ 'rule-1': hit(1, 2000) });
+    expect(atomicWriter.writeJson).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(atomicWriter.writeJson).toHaveBeenCalledTimes(1);
+    expect(atomicWriter.writeJson).toHaveBeenCalledWith(STATS_PATH, { 'rule-1': hit(2, 2000) }, { pretty: false });
+  });
+
+  it('writes pending totals on flush and skips the write when nothing changed', async () => {
+    await handler.flush();
+    expect(atomicWriter.writeJson).not.toHaveBeenCalled();
+
+    await handler.handleRuleHits({ 'rule-1': hit(1, 1000) });
+    await handler.flush();
+    expect(atomicWriter.writeJson).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(atomicWriter.writeJson).toHaveBeenCalledTimes(1);
+  });
+
+  it('clears selected rules or everything', async () => {
+    await handler.handleRuleHits({ 'rule-1': hit(1, 1000), 'rule-2': hit(1, 1000) });
+
+    await handler.clearStats(['rule-1']);
+    expect(await handler.getStats()).toEqual({ 'rule-2': hit(1, 1000) });
+    expect(atomicWriter.writeJson).toHaveBeenLastCalledWith(STATS_PATH, { 'rule-2': hit(1, 1000) }, { pretty: false });
+
+    await handler.clearStats();
+    expect(await handler.getStats()).toEqual({});
+    expect(mockService._sendToRenderers).toHaveBeenLastCalledWith('rule-hits-updated', {});
+  });
+
+  it('ignores malformed reports', async () => {
+    await handler.handleRuleHits(null as unknown as RuleHitStatsMap);
+    await handler.handleRuleHits({ 'rule-1': { count: 'x' } as unknown as RuleHitStatsMap[string] });
+    expect(await handler.getStats()).toEqual({});
+  });
+
+  it('keeps totals in memory when there is no app data path', async () => {
+    mockService.appDataPath = null;
+    await handler.handleRuleHits({ 'rule-1': hit(1, 1000) });
+    await handler.flush();
+    expect(atomicWriter.readJson).not.toHaveBeenCalled();
+    expect(atomicWriter.writeJson).not.toHaveBeenCalled();
+    expect(await handler.getStats()).toEqual({ 'rule-1': hit(1, 1000) });
+  });
+});
@@ -279,6 +279,14 @@ describe('WebSocketService', () => {
       expect(spy).toHaveBeenCalledWith(ruleIds, true);
     });
 
+    it('dispatches ruleHits to ruleHitsHandler', () => {
+      const mockWs = {} as Parameters<typeof service._dispatchMessage>[0];
+      const spy = vi.spyOn(service.ruleHitsHandler, 'handleRuleHits').mockResolvedValue();
+      const hits = { 'rule-1': { count: 4, lastHitAt: 1709123456789, lastUrl: 'https://api.openheaders.io/v2' } };
+      service._dispatchMessage(mockWs, { type: 'ruleHits', hits });
+      expect(spy).toHaveBeenCalledWith(hits);
+    });
+
     it('dispatches toggleVideoRecording to _handleToggleVideoRecording', () => {
       const mockWs = {} as Parameters<typeof service._dispatchMessage>[0];
       const spy = vi.spyOn(service, '_handleToggleVideoRecording').mockResolvedValue();
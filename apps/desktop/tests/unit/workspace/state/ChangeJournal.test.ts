@@ -0,0 +1,219 @@
+import type { HeaderRule, Source } from '@openheaders/core';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { StateContext } from '@/services/workspace/state/types';
+
+// Mock electron
+vi.mock('electron', () => ({
+  default: { app: { getPath: () => '/tmp/test' }, BrowserWindow: { getAllWindows: () => [] } },
+}));
+
+// Mock mainLogger
+vi.mock('@/utils/mainLogger.js', () => ({
+  default: { createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }) },
+}));
+
+import {
+  MAX_HISTORY_ENTRIES,
+  recordChanges,
+  redo,
+  restoreItem,
+  summarizeJournal,
+  undo,
+} from '@/services/workspace/state/ChangeJournal';
+import { addSource, removeHeaderRule, removeSource, updateHeaderRule } from '@/services/workspace/state/SourceCrud';
+
+function header(id: string, name: string): HeaderRule {
+  return {
+    id,
+    type: 'header',
+    name,
+    headerName: 'Authorization',
+    headerValue: 'Bearer token',
+    isEnabled: true,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  } as HeaderRule;
+}
+
+function source(sourceId: string, sourcePath: string): Source {
+  return { sourceId, sourceType: 'file', sourcePath, sourceContent: 'token', activationState: 'active' };
+}
+
+function createCtx(overrides: Partial<StateContext> = {}): StateContext {
+  return {
+    state: {
+      initialized: true,
+      loading: false,
+      error: null,
+      workspaces: [],
+      activeWorkspaceId: 'default-personal',
+      isWorkspaceSwitching: false,
+      syncStatus: {},
+      sources: [source('1', '/tmp/a.txt')],
+      rules: { header: [header('rule-1', 'Admin'), header('rule-2', 'Guest')], request: [], response: [] },
+      proxyRules: [],
+      environments: { Default: {} },
+      activeEnvironment: 'Default',
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
+    },
+    dirty: {
+      sources: false,
+      rules: false,
+      proxyRules: false,
+      workspaces: false,
+      environments: false,
+      profiles: false,
+      history: false,
+    },
+    appDataPath: '/tmp/test',
+    webSocketService: null,
+    proxyService: null,
+    envResolver: null,
+    sourceRefreshService: null,
+    syncScheduler: null,
+    journal: { entries: [], cursor: 0 },
+    scheduleDebouncedSave: vi.fn(),
+    saveAll: vi.fn().mockResolvedValue(undefined),
+    saveSources: vi.fn().mockResolvedValue(undefined),
+    saveEnvironments: vi.fn().mockResolvedValue(undefined),
+    saveProfiles: vi.fn().mockResolvedValue(undefined),
+    saveWorkspacesConfig: vi.fn().mockResolvedValue(undefined),
+    switchEnvironment: vi.fn().mockResolvedValue(undefined),
+    refreshEnvironmentVariables: vi.fn().mockResolvedValue(undefined),
+    broadcastProfiles: vi.fn(),
+    loadWorkspaceData: vi.fn().mockResolvedValue(undefined),
+    updateWorkspaceMetadataInMemory: vi.fn(),
+    ...overrides,
+  };
+}
+
+let ctx: StateContext;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  ctx = createCtx();
+});
+
+describe('recordChanges', () => {
+  it('journals the items a mutation changed with before/after snapshots', async () => {
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-1'));
+
+    expect(ctx.journal.cursor).toBe(1);
+    expect(ctx.journal.entries[0].changes).toEqual([
+      expect.objectContaining({
+        collection: 'headerRules',
+        operation: 'delete',
+        itemId: 'rule-1',
+        label: 'Admin',
+        after: null,
+      }),
+    ]);
+    expect(ctx.state.history.canUndo).toBe(true);
+    expect(ctx.dirty.history).toBe(true);
+  });
+
+  it('skips mutations that change nothing', async () => {
+    await recordChanges(ctx, 'Edit header rule', ['headerRules'], () => updateHeaderRule(ctx, 'rule-1', {}));
+    expect(ctx.journal.entries).toHaveLength(0);
+  });
+
+  it('ignores source fields written by fetches and dependency checks', async () => {
+    await recordChanges(ctx, 'Edit source', ['sources'], async () => {
+      ctx.state.sources = ctx.state.sources.map((s) => ({ ...s, activationState: 'waiting_for_deps' as const }));
+    });
+    expect(ctx.journal.entries).toHaveLength(0);
+  });
+
+  it('drops the redo tail and caps the journal length', async () => {
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-1'));
+    await undo(ctx);
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-2'));
+    expect(ctx.journal.entries.map((e) => e.changes[0].itemId)).toEqual(['rule-2']);
+
+    for (let i = 0; i < MAX_HISTORY_ENTRIES + 5; i++) {
+      await recordChanges(ctx, 'Edit header rule', ['headerRules'], () =>
+        updateHeaderRule(ctx, 'rule-1', { headerValue: `v${i}` }),
+      );
+    }
+    expect(ctx.journal.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(ctx.journal.cursor).toBe(MAX_HISTORY_ENTRIES);
+  });
+});
+
+describe('undo / redo', () => {
+  it('restores a deleted rule and deletes it again on redo', async () => {
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-1'));
+
+    const undone = await undo(ctx);
+    expect(undone?.description).toBe('Delete header rule');
+    expect(ctx.state.rules.header.map((r) => r.id)).toEqual(['rule-2', 'rule-1']);
+    expect(ctx.state.history).toMatchObject({ canUndo: false, canRedo: true });
+
+    await redo(ctx);
+    expect(ctx.state.rules.header.map((r) => r.id)).toEqual(['rule-2']);
+    expect(ctx.dirty.rules).toBe(true);
+  });
+
+  it('returns null when there is nothing to undo or redo', async () => {
+    expect(await undo(ctx)).toBeNull();
+    expect(await redo(ctx)).toBeNull();
+  });
+
+  it('falls back to Default when the active environment is undone away', async () => {
+    await recordChanges(ctx, 'Create environment Staging', ['environments'], async () => {
+      ctx.state.environments = { ...ctx.state.environments, Staging: {} };
+      ctx.state.activeEnvironment = 'Staging';
+    });
+
+    await undo(ctx);
+    expect(Object.keys(ctx.state.environments)).toEqual(['Default']);
+    expect(ctx.state.activeEnvironment).toBe('Default');
+    expect(ctx.refreshEnvironmentVariables).toHaveBeenCalled();
+  });
+});
+
+describe('restoreItem', () => {
+  it('brings back one deleted item as a new undoable entry', async () => {
+    await recordChanges(ctx, 'Delete source', ['sources'], () => removeSource(ctx, '1'));
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-1'));
+
+    await restoreItem(ctx, ctx.journal.entries[0].id, 0);
+
+    expect(ctx.state.sources.map((s) => s.sourcePath)).toEqual(['/tmp/a.txt']);
+    expect(ctx.state.rules.header.map((r) => r.id)).toEqual(['rule-2']);
+    expect(ctx.journal.entries.at(-1)?.description).toBe('Restore /tmp/a.txt');
+  });
+
+  it('gives the restored item a fresh id when its old one was reused', async () => {
+    await recordChanges(ctx, 'Delete source', ['sources'], () => removeSource(ctx, '1'));
+    await addSource(ctx, source('', '/tmp/b.txt'));
+    expect(ctx.state.sources[0].sourceId).toBe('1');
+
+    await restoreItem(ctx, ctx.journal.entries[0].id, 0);
+    expect(ctx.state.sources.map((s) => [s.sourceId, s.sourcePath])).toEqual([
+      ['1', '/tmp/b.txt'],
+      ['2', '/tmp/a.txt'],
+    ]);
+  });
+
+  it('throws for an unknown entry', async () => {
+    await expect(restoreItem(ctx, 'missing', 0)).rejects.toThrow('not found');
+  });
+});
+
+describe('summarizeJournal', () => {
+  it('lists entries newest first without snapshots and flags undone ones', async () => {
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-1'));
+    await recordChanges(ctx, 'Delete header rule', ['headerRules'], () => removeHeaderRule(ctx, 'rule-2'));
+    ctx.journal.cursor = 1;
+
+    const summary = summarizeJournal(ctx.journal);
+    expect(summary.entries.map((e) => [e.changes[0].itemId, e.undone])).toEqual([
+      ['rule-2', true],
+      ['rule-1', false],
+    ]);
+    expect(summary.entries[0].changes[0]).not.toHaveProperty('before');
+    expect(summary).toMatchObject({ canUndo: true, canRedo: true });
+  });
+});
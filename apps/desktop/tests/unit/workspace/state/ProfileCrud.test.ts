@@ -0,0 +1,254 @@
+import type { HeaderRule, RuleProfile } from '@openheaders/core';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { StateContext, WebSocketServiceLike } from '@/services/workspace/state/types';
+
+// Mock electron
+vi.mock('electron', () => ({
+  default: { app: { getPath: () => '/tmp/test' }, BrowserWindow: { getAllWindows: () => [] } },
+}));
+
+// Mock mainLogger
+vi.mock('@/utils/mainLogger.js', () => ({
+  default: { createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }) },
+}));
+
+import {
+  applyProfile,
+  createProfile,
+  deleteProfile,
+  importProfiles,
+  recaptureProfile,
+  updateProfile,
+} from '@/services/workspace/state/ProfileCrud';
+
+function header(id: string, isEnabled: boolean): HeaderRule {
+  return {
+    id,
+    type: 'header',
+    headerName: 'Authorization',
+    isEnabled,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  } as HeaderRule;
+}
+
+function profile(overrides: Partial<RuleProfile> & { id: string; name: string }): RuleProfile {
+  return {
+    rules: {},
+    disabledTagGroups: [],
+    environment: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+  };
+}
+
+function createWebSocketService(disabledTagGroups: string[] = []): WebSocketServiceLike {
+  return {
+    sources: [],
+    rules: { header: [], request: [], response: [] },
+    sourceHandler: { broadcastSources: vi.fn() },
+    ruleHandler: { broadcastRules: vi.fn() },
+    profileHandler: { disabledTagGroups, updateProfiles: vi.fn(), broadcastProfileApplied: vi.fn() },
+    environmentHandler: {
+      loadEnvironmentVariables: () => ({}),
+      resolveTemplate: vi.fn(),
+      setVariables: vi.fn(),
+      clearVariableCache: vi.fn(),
+    },
+  };
+}
+
+function createCtx(overrides: Partial<StateContext> = {}): StateContext {
+  return {
+    state: {
+      initialized: true,
+      loading: false,
+      error: null,
+      workspaces: [],
+      activeWorkspaceId: 'default-personal',
+      isWorkspaceSwitching: false,
+      syncStatus: {},
+      sources: [],
+      rules: { header: [header('rule-admin', true), header('rule-guest', false)], request: [], response: [] },
+      proxyRules: [],
+      environments: { Default: {}, Staging: {} },
+      activeEnvironment: 'Default',
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
+    },
+    dirty: {
+      sources: false,
+      rules: false,
+      proxyRules: false,
+      workspaces: false,
+      environments: false,
+      profiles: false,
+      history: false,
+    },
+    appDataPath: '/tmp/test',
+    webSocketService: null,
+    proxyService: null,
+    envResolver: null,
+    sourceRefreshService: null,
+    syncScheduler: null,
+    journal: { entries: [], cursor: 0 },
+    scheduleDebouncedSave: vi.fn(),
+    saveAll: vi.fn().mockResolvedValue(undefined),
+    saveSources: vi.fn().mockResolvedValue(undefined),
+    saveEnvironments: vi.fn().mockResolvedValue(undefined),
+    saveProfiles: vi.fn().mockResolvedValue(undefined),
+    saveWorkspacesConfig: vi.fn().mockResolvedValue(undefined),
+    switchEnvironment: vi.fn().mockResolvedValue(undefined),
+    refreshEnvironmentVariables: vi.fn().mockResolvedValue(undefined),
+    broadcastProfiles: vi.fn(),
+    loadWorkspaceData: vi.fn().mockResolvedValue(undefined),
+    updateWorkspaceMetadataInMemory: vi.fn(),
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('createProfile', () => {
+  it('captures enabled rules, extension tag groups and environment', async () => {
+    const ctx = createCtx({ webSocketService: createWebSocketService(['beta']) });
+
+    const created = await createProfile(ctx, { name: '  Admin user ' });
+
+    expect(created).toMatchObject({
+      name: 'Admin user',
+      rules: { header: { 'rule-admin': true, 'rule-guest': false } },
+      disabledTagGroups: ['beta'],
+      environment: 'Default',
+    });
+    expect(ctx.state.activeProfileId).toBe(created.id);
+    expect(ctx.saveProfiles).toHaveBeenCalled();
+    expect(ctx.broadcastProfiles).toHaveBeenCalled();
+  });
+
+  it('rejects duplicate and empty names', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest' })];
+
+    await expect(createProfile(ctx, { name: 'guest' })).rejects.toThrow('Profile "guest" already exists');
+    await expect(createProfile(ctx, { name: '   ' })).rejects.toThrow('Profile name is required');
+    expect(ctx.saveProfiles).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateProfile / recaptureProfile', () => {
+  it('renames a profile without touching its captured state', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest', rules: { header: { 'rule-guest': true } } })];
+
+    const updated = await updateProfile(ctx, 'p1', { name: 'Anonymous' });
+
+    expect(updated.name).toBe('Anonymous');
+    expect(updated.rules).toEqual({ header: { 'rule-guest': true } });
+  });
+
+  it('overwrites the captured state with the current one', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest', rules: { header: { 'rule-guest': true } } })];
+
+    const updated = await recaptureProfile(ctx, 'p1');
+
+    expect(updated.rules).toEqual({ header: { 'rule-admin': true, 'rule-guest': false } });
+    expect(ctx.state.activeProfileId).toBe('p1');
+  });
+});
+
+describe('applyProfile', () => {
+  it('flips rules, switches environment and pushes tag groups to extensions', async () => {
+    const ws = createWebSocketService();
+    const ctx = createCtx({ webSocketService: ws });
+    const guest = profile({
+      id: 'p-guest',
+      name: 'Guest',
+      rules: { header: { 'rule-admin': false, 'rule-guest': true } },
+      disabledTagGroups: ['admin'],
+      environment: 'Staging',
+    });
+    ctx.state.profiles = [guest];
+
+    await applyProfile(ctx, 'p-guest');
+
+    expect(ctx.state.rules.header.map((r) => [r.id, r.isEnabled])).toEqual([
+      ['rule-admin', false],
+      ['rule-guest', true],
+    ]);
+    expect(ctx.dirty.rules).toBe(true);
+    expect(ctx.scheduleDebouncedSave).toHaveBeenCalled();
+    expect(ws.ruleHandler.broadcastRules).toHaveBeenCalled();
+    expect(ctx.switchEnvironment).toHaveBeenCalledWith('Staging');
+    expect(ws.profileHandler.broadcastProfileApplied).toHaveBeenCalledWith(guest);
+    expect(ctx.state.activeProfileId).toBe('p-guest');
+  });
+
+  it('keeps the current environment when the profile refers to a missing one', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Old', environment: 'Removed' })];
+
+    await applyProfile(ctx, 'p1');
+
+    expect(ctx.switchEnvironment).not.toHaveBeenCalled();
+    expect(ctx.dirty.rules).toBe(false);
+  });
+
+  it('throws for an unknown profile', async () => {
+    await expect(applyProfile(createCtx(), 'missing')).rejects.toThrow('Profile missing not found');
+  });
+});
+
+describe('deleteProfile', () => {
+  it('clears the active profile when it is deleted', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest' }), profile({ id: 'p2', name: 'Admin' })];
+    ctx.state.activeProfileId = 'p1';
+
+    await deleteProfile(ctx, 'p1');
+
+    expect(ctx.state.profiles.map((p) => p.id)).toEqual(['p2']);
+    expect(ctx.state.activeProfileId).toBeNull();
+  });
+});
+
+describe('importProfiles', () => {
+  it('adds profiles with new ids and skips names that are taken', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest' })];
+    ctx.state.activeProfileId = 'p1';
+
+    const result = await importProfiles(
+      ctx,
+      [
+        profile({ id: 'p1', name: ' guest ' }),
+        profile({ id: 'p9', name: 'Admin', rules: { header: { 'rule-admin': true } } }),
+      ],
+      false,
+    );
+
+    expect(result).toEqual({ imported: 1, skipped: 1 });
+    expect(ctx.state.profiles.map((p) => p.name)).toEqual(['Guest', 'Admin']);
+    expect(ctx.state.profiles[1].id).not.toBe('p9');
+    expect(ctx.state.profiles[1].rules).toEqual({ header: { 'rule-admin': true } });
+    expect(ctx.state.activeProfileId).toBe('p1');
+    expect(ctx.saveProfiles).toHaveBeenCalled();
+  });
+
+  it('replaces the existing profiles and clears the active one', async () => {
+    const ctx = createCtx();
+    ctx.state.profiles = [profile({ id: 'p1', name: 'Guest' })];
+    ctx.state.activeProfileId = 'p1';
+
+    const result = await importProfiles(ctx, [profile({ id: 'p1', name: 'Guest' })], true);
+
+    expect(result).toEqual({ imported: 1, skipped: 0 });
+    expect(ctx.state.profiles).toHaveLength(1);
+    expect(ctx.state.profiles[0].id).not.toBe('p1');
+    expect(ctx.state.activeProfileId).toBeNull();
+  });
+});
@@ -1,4 +1,4 @@
-import type { HeaderRule, Source } from '@openheaders/core';
+import type { HeaderRule, PayloadRule, ScriptRule, Source, UrlRule } from '@openheaders/core';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 import type { StateContext } from '@/services/workspace/state/types';
 import type { ProxyRule } from '@/types/proxy';
@@ -22,15 +22,25 @@ vi.mock('@/config/version', () => ({ DATA_FORMAT_VERSION: '3.0.0' }));
 
 import {
   addHeaderRule,
+  addPayloadRule,
   addProxyRule,
+  addScriptRule,
   addSource,
+  addUrlRule,
   importSources,
   removeHeaderRule,
+  removeHeaderRulesBatch,
+  removePayloadRule,
   removeProxyRule,
+  removeScriptRule,
   removeSource,
+  removeUrlRule,
   updateHeaderRule,
+  updatePayloadRule,
+  updateScriptRule,
   updateSource,
   updateSourceFetchResult,
+  updateUrlRule,
 } from '@/services/workspace/state/SourceCrud';
 
 function createCtx(overrides: Partial<StateContext> = {}): StateContext {
@@ -48,19 +58,35 @@ function createCtx(overrides: Partial<StateContext> = {}): StateContext {
       proxyRules: [],
       environments: { Default: {} },
       activeEnvironment: 'Default',
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
+    },
+    dirty: {
+      sources: false,
+      rules: false,
+      proxyRules: false,
+      workspaces: false,
+      environments: false,
+      profiles: false,
+      history: false,
     },
-    dirty: { sources: false, rules: false, proxyRules: false, workspaces: false, environments: false },
     appDataPath: '/tmp/test',
     webSocketService: null,
     proxyService: null,
     envResolver: null,
     sourceRefreshService: null,
     syncScheduler: null,
+    journal: { entries: [], cursor: 0 },
     scheduleDebouncedSave: vi.fn(),
     saveAll: vi.fn().mockResolvedValue(undefined),
     saveSources: vi.fn().mockResolvedValue(undefined),
     saveEnvironments: vi.fn().mockResolvedValue(undefined),
+    saveProfiles: vi.fn().mockResolvedValue(undefined),
     saveWorkspacesConfig: vi.fn().mockResolvedValue(undefined),
+    switchEnvironment: vi.fn().mockResolvedValue(undefined),
+    refreshEnvironmentVariables: vi.fn().mockResolvedValue(undefined),
+    broadcastProfiles: vi.fn(),
     loadWorkspaceData: vi.fn().mockResolvedValue(undefined),
     updateWorkspaceMetadataInMemory: vi.fn(),
     ...overrides,
@@ -213,6 +239,15 @@ describe('addHeaderRule', () => {
     expect(ctx.state.rules.header[0].name).toBe('Test Rule');
     expect(ctx.dirty.rules).toBe(true);
   });
+
+  it('keeps a supplied id unless a rule already uses it', async () => {
+    const ctx = createCtx();
+    await addHeaderRule(ctx, { id: 'imported-1', name: 'Imported' } as Partial<HeaderRule>);
+    await addHeaderRule(ctx, { id: 'imported-1', name: 'Copy' } as Partial<HeaderRule>);
+
+    expect(ctx.state.rules.header[0].id).toBe('imported-1');
+    expect(ctx.state.rules.header[1].id).not.toBe('imported-1');
+  });
 });
 
 describe('updateHeaderRule', () => {
@@ -234,6 +269,122 @@ describe('removeHeaderRule', () => {
   });
 });
 
+describe('removeHeaderRulesBatch', () => {
+  it('removes every listed rule with a single broadcast', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = {
+      header: [{ id: 'r1' } as HeaderRule, { id: 'r2' } as HeaderRule, { id: 'r3' } as HeaderRule],
+      request: [],
+      response: [],
+    };
+    await removeHeaderRulesBatch(ctx, ['r1', 'r3']);
+    expect(ctx.state.rules.header.map((r) => r.id)).toEqual(['r2']);
+    expect(ctx.scheduleDebouncedSave).toHaveBeenCalledOnce();
+  });
+});
+
+describe('addPayloadRule', () => {
+  it('stores the rule in the request collection', async () => {
+    const ctx = createCtx();
+    await addPayloadRule(ctx, { name: 'Flip flag', matchPattern: 'false', replaceWith: 'true', isResponse: true });
+    expect(ctx.state.rules.request).toHaveLength(1);
+    expect(ctx.state.rules.request[0].type).toBe('payload');
+    expect(ctx.dirty.rules).toBe(true);
+  });
+});
+
+describe('updatePayloadRule', () => {
+  it('updates matching rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = { header: [], request: [{ id: 'p1', isEnabled: true } as PayloadRule], response: [] };
+    await updatePayloadRule(ctx, 'p1', { isEnabled: false });
+    expect(ctx.state.rules.request[0].isEnabled).toBe(false);
+    expect(ctx.state.rules.request[0].updatedAt).toBeDefined();
+  });
+});
+
+describe('removePayloadRule', () => {
+  it('removes the rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = {
+      header: [],
+      request: [{ id: 'p1' } as PayloadRule, { id: 'p2' } as PayloadRule],
+      response: [],
+    };
+    await removePayloadRule(ctx, 'p1');
+    expect(ctx.state.rules.request.map((r) => r.id)).toEqual(['p2']);
+  });
+});
+
+describe('addUrlRule', () => {
+  it('adds a URL rule to a collection written before URL rules existed', async () => {
+    const ctx = createCtx();
+    await addUrlRule(ctx, { name: 'Block telemetry', action: 'block', matchPattern: 'telemetry.openheaders.io' });
+    expect(ctx.state.rules.url).toHaveLength(1);
+    expect(ctx.state.rules.url![0].type).toBe('url');
+    expect(ctx.state.rules.url![0].action).toBe('block');
+    expect(ctx.dirty.rules).toBe(true);
+  });
+});
+
+describe('updateUrlRule', () => {
+  it('updates matching rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = { header: [], request: [], response: [], url: [{ id: 'u1', isEnabled: true } as UrlRule] };
+    await updateUrlRule(ctx, 'u1', { isEnabled: false });
+    expect(ctx.state.rules.url![0].isEnabled).toBe(false);
+    expect(ctx.state.rules.url![0].updatedAt).toBeDefined();
+  });
+});
+
+describe('removeUrlRule', () => {
+  it('removes the rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = {
+      header: [],
+      request: [],
+      response: [],
+      url: [{ id: 'u1' } as UrlRule, { id: 'u2' } as UrlRule],
+    };
+    await removeUrlRule(ctx, 'u1');
+    expect(ctx.state.rules.url!.map((r) => r.id)).toEqual(['u2']);
+  });
+});
+
+describe('addScriptRule', () => {
+  it('adds a script rule to a collection written before script rules existed', async () => {
+    const ctx = createCtx();
+    await addScriptRule(ctx, { name: 'Hide banner', language: 'css', code: '#banner { display: none; }' });
+    expect(ctx.state.rules.script).toHaveLength(1);
+    expect(ctx.state.rules.script![0].type).toBe('script');
+    expect(ctx.dirty.rules).toBe(true);
+  });
+});
+
+describe('updateScriptRule', () => {
+  it('updates matching rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = { header: [], request: [], response: [], script: [{ id: 's1', isEnabled: true } as ScriptRule] };
+    await updateScriptRule(ctx, 's1', { isEnabled: false });
+    expect(ctx.state.rules.script![0].isEnabled).toBe(false);
+    expect(ctx.state.rules.script![0].updatedAt).toBeDefined();
+  });
+});
+
+describe('removeScriptRule', () => {
+  it('removes the rule', async () => {
+    const ctx = createCtx();
+    ctx.state.rules = {
+      header: [],
+      request: [],
+      response: [],
+      script: [{ id: 's1' } as ScriptRule, { id: 's2' } as ScriptRule],
+    };
+    await removeScriptRule(ctx, 's1');
+    expect(ctx.state.rules.script!.map((r) => r.id)).toEqual(['s2']);
+  });
+});
+
 describe('addProxyRule', () => {
   it('adds rule and marks dirty', async () => {
     const ctx = createCtx();
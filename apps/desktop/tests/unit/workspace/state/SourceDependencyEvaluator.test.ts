@@ -119,6 +119,15 @@ describe('evaluateSourceDependencies', () => {
     expect(evaluateSourceDependencies(source, resolver).ready).toBe(false);
   });
 
+  it('does not require variables that have a default', () => {
+    const source = httpSource({
+      sourcePath: "https://{{HOST | 'api.openheaders.io'}}/api",
+      requestOptions: { headers: [{ key: 'Authorization', value: "Basic {{base64(USER + ':' + PASS)}}" }] },
+    });
+    const result = evaluateSourceDependencies(source, envResolver({ USER: 'svc' }));
+    expect(result).toEqual({ ready: false, missing: ['PASS'] });
+  });
+
   it('returns all missing when envResolver is null', () => {
     const source = httpSource({ sourcePath: 'https://{{HOST}}/api' });
     const result = evaluateSourceDependencies(source, null);
@@ -18,6 +18,7 @@ vi.mock('@/utils/mainLogger.js', () => ({
 }));
 
 import {
+  broadcastProfiles,
   broadcastToServices,
   sendPatchToRenderers,
   sendProgressToRenderers,
@@ -44,6 +45,9 @@ function makeState(overrides: Partial<WorkspaceState> = {}): WorkspaceState {
     proxyRules: [],
     environments: { Default: {} },
     activeEnvironment: 'Default',
+    profiles: [],
+    activeProfileId: null,
+    history: { entries: [], canUndo: false, canRedo: false },
     ...overrides,
   };
 }
@@ -65,6 +69,7 @@ describe('broadcastToServices', () => {
       rules: { header: [], request: [], response: [] },
       sourceHandler: { broadcastSources: wsSources },
       ruleHandler: { broadcastRules: wsRules },
+      profileHandler: { disabledTagGroups: [], updateProfiles: vi.fn(), broadcastProfileApplied: vi.fn() },
       environmentHandler: {
         loadEnvironmentVariables: () => ({}),
         resolveTemplate: vi.fn(),
@@ -76,6 +81,7 @@ describe('broadcastToServices', () => {
       switchWorkspace: vi.fn(),
       updateSources: vi.fn(),
       updateHeaderRules: vi.fn(),
+      updatePayloadRules: vi.fn(),
       updateProxyRules: vi.fn(),
       updateEnvironmentVariables: vi.fn(),
       clearRules: vi.fn(),
@@ -90,6 +96,7 @@ describe('broadcastToServices', () => {
     expect(wsSources).toHaveBeenCalledOnce();
     expect(wsRules).toHaveBeenCalledOnce();
     expect(proxy.updateSources).toHaveBeenCalledWith(sources);
+    expect(proxy.updatePayloadRules).toHaveBeenCalledWith(state.rules.request);
   });
 
   it('handles null services gracefully', () => {
@@ -98,6 +105,25 @@ describe('broadcastToServices', () => {
   });
 });
 
+describe('broadcastProfiles', () => {
+  it('sends profiles to extensions and renderer windows', () => {
+    mockGetAllWindows.mockReturnValue([mockWindow()]);
+    const updateProfiles = vi.fn();
+    const ws = {
+      profileHandler: { disabledTagGroups: [], updateProfiles, broadcastProfileApplied: vi.fn() },
+    } as unknown as WebSocketServiceLike;
+    const profiles = [
+      { id: 'p1', name: 'Guest', rules: {}, disabledTagGroups: [], environment: null, createdAt: '', updatedAt: '' },
+    ];
+    const state = makeState({ profiles, activeProfileId: 'p1' });
+
+    broadcastProfiles(state, ws);
+
+    expect(updateProfiles).toHaveBeenCalledWith(profiles, 'p1');
+    expect(mockSend).toHaveBeenCalledWith('workspace:state-patch', { profiles, activeProfileId: 'p1' });
+  });
+});
+
 describe('syncToRefreshService', () => {
   it('registers HTTP sources and cleans up stale ones', () => {
     const updateSource = vi.fn().mockResolvedValue(undefined);
@@ -64,19 +64,35 @@ function createCtx(overrides: Partial<StateContext> = {}): StateContext {
       proxyRules: [],
       environments: { Default: {} },
       activeEnvironment: 'Default',
+      profiles: [],
+      activeProfileId: null,
+      history: { entries: [], canUndo: false, canRedo: false },
+    },
+    dirty: {
+      sources: false,
+      rules: false,
+      proxyRules: false,
+      workspaces: false,
+      environments: false,
+      profiles: false,
+      history: false,
     },
-    dirty: { sources: false, rules: false, proxyRules: false, workspaces: false, environments: false },
     appDataPath: '/tmp/test',
     webSocketService: null,
     proxyService: null,
     envResolver: null,
     sourceRefreshService: null,
     syncScheduler: null,
+    journal: { entries: [], cursor: 0 },
     scheduleDebouncedSave: vi.fn(),
     saveAll: vi.fn().mockResolvedValue(undefined),
     saveSources: vi.fn().mockResolvedValue(undefined),
     saveEnvironments: vi.fn().mockResolvedValue(undefined),
+    saveProfiles: vi.fn().mockResolvedValue(undefined),
     saveWorkspacesConfig: vi.fn().mockResolvedValue(undefined),
+    switchEnvironment: vi.fn().mockResolvedValue(undefined),
+    refreshEnvironmentVariables: vi.fn().mockResolvedValue(undefined),
+    broadcastProfiles: vi.fn(),
     loadWorkspaceData: vi.fn().mockResolvedValue(undefined),
     updateWorkspaceMetadataInMemory: vi.fn(),
     ...overrides,
@@ -89,6 +89,7 @@ function createProxyService(): ProxyServiceLike {
     switchWorkspace: vi.fn().mockResolvedValue(undefined),
     updateSources: vi.fn(),
     updateHeaderRules: vi.fn(),
+    updatePayloadRules: vi.fn(),
     updateProxyRules: vi.fn(),
     updateEnvironmentVariables: vi.fn(),
     clearRules: vi.fn(),
@@ -101,6 +102,7 @@ function createWebSocketService(envResolver: EnvironmentResolverLike): WebSocket
     rules: { header: [], request: [], response: [] },
     sourceHandler: { broadcastSources: vi.fn() },
     ruleHandler: { broadcastRules: vi.fn() },
+    profileHandler: { disabledTagGroups: [], updateProfiles: vi.fn(), broadcastProfileApplied: vi.fn() },
     environmentHandler: envResolver,
   };
 }
@@ -0,0 +1,126 @@
+/**
+ * Tests for WorkspaceStateService.simulateHeaderRules
+ *
+ * The simulation pauses the tag groups the connected extension reported as
+ * disabled unless the caller passes its own list.
+ */
+
+import type { HeaderRule } from '@openheaders/core';
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('electron', () => ({
+  default: {
+    app: { getPath: () => '/tmp/test' },
+    BrowserWindow: { getAllWindows: () => [] },
+  },
+}));
+
+vi.mock('@/utils/mainLogger.js', () => ({
+  default: { createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() }) },
+}));
+
+vi.mock('@/utils/atomicFileWriter.js', () => ({
+  default: { writeJson: vi.fn().mockResolvedValue(undefined), readJson: vi.fn().mockResolvedValue(null) },
+}));
+
+vi.mock('@/config/version', () => ({ DATA_FORMAT_VERSION: '3.0.0' }));
+
+import type { WebSocketServiceLike } from '@/services/workspace/state/types';
+import { WorkspaceStateService } from '@/services/workspace/WorkspaceStateService';
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+function headerRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
+  return {
+    id: 'rule-1',
+    type: 'header',
+    name: 'Staging token',
+    description: '',
+    isEnabled: true,
+    domains: ['*.openheaders.io'],
+    createdAt: '2025-01-20T10:00:00.000Z',
+    updatedAt: '2025-01-20T10:00:00.000Z',
+    headerName: 'Authorization',
+    headerValue: 'Bearer staging',
+    tag: 'staging',
+    isResponse: false,
+    isDynamic: false,
+    sourceId: null,
+    prefix: '',
+    suffix: '',
+    hasEnvVars: false,
+    envVars: [],
+    ...overrides,
+  };
+}
+
+function createService(disabledTagGroups: string[]): WorkspaceStateService {
+  const webSocketService: WebSocketServiceLike = {
+    sources: [],
+    rules: { header: [], request: [], response: [] },
+    sourceHandler: { broadcastSources: vi.fn() },
+    ruleHandler: { broadcastRules: vi.fn() },
+    profileHandler: { disabledTagGroups, updateProfiles: vi.fn(), broadcastProfileApplied: vi.fn() },
+    environmentHandler: {
+      loadEnvironmentVariables: () => ({}),
+      resolveTemplate: vi.fn(),
+      setVariables: vi.fn(),
+      clearVariableCache: vi.fn(),
+    },
+  };
+
+  const service = new WorkspaceStateService();
+  service.configure({
+    webSocketService,
+    proxyService: {
+      switchWorkspace: vi.fn().mockResolvedValue(undefined),
+      updateSources: vi.fn(),
+      updateHeaderRules: vi.fn(),
+      updatePayloadRules: vi.fn(),
+      updateProxyRules: vi.fn(),
+      updateEnvironmentVariables: vi.fn(),
+      clearRules: vi.fn(),
+    },
+    sourceRefreshService: {
+      activeWorkspaceId: 'default-personal',
+      manualRefresh: vi.fn().mockResolvedValue({ success: true }),
+      resetCircuitBreaker: vi.fn(),
+      updateSource: vi.fn().mockResolvedValue(undefined),
+      clearAllSources: vi.fn().mockResolvedValue(undefined),
+      removeSourcesNotIn: vi.fn().mockResolvedValue(undefined),
+    },
+    syncScheduler: {
+      activateWorkspace: vi.fn().mockResolvedValue(undefined),
+      onWorkspaceSwitch: vi.fn().mockResolvedValue(undefined),
+      onWorkspaceUpdated: vi.fn().mockResolvedValue(undefined),
+      importSyncedData: vi.fn().mockResolvedValue(undefined),
+    },
+  });
+
+  // Inject pre-loaded rules (bypass disk-based initialize)
+  const state = (service as unknown as { state: { rules: { header: HeaderRule[] } } }).state;
+  state.rules.header = [headerRule(), headerRule({ id: 'rule-2', tag: 'production' })];
+  return service;
+}
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('WorkspaceStateService.simulateHeaderRules', () => {
+  const request = { url: 'https://api.openheaders.io/v2/users' };
+
+  it('pauses the tag groups the extension reported as disabled', () => {
+    const results = createService(['staging']).simulateHeaderRules(request);
+
+    expect(results.map((result) => [result.ruleId, result.applied ? 'applied' : result.skipReason])).toEqual([
+      ['rule-1', 'tag_group_disabled'],
+      ['rule-2', 'applied'],
+    ]);
+  });
+
+  it('uses the tag groups the caller passes instead', () => {
+    const results = createService(['staging']).simulateHeaderRules(request, ['production']);
+
+    expect(results.find((result) => result.ruleId === 'rule-2')?.skipReason).toBe('tag_group_disabled');
+    expect(results.find((result) => result.ruleId === 'rule-1')?.applied).toBe(true);
+  });
+});
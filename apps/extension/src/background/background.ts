@@ -12,6 +12,7 @@ import { RecordingService } from '@assets/recording/background/recording-service
 import type { SavedDataMap } from '@openheaders/core';
 import { alarms, isChrome, isEdge, isFirefox, isSafari, runtime, storage, tabs } from '@utils/browser-api.js';
 import { logger } from '@utils/logger';
+import { isScopeActiveInTab } from '@utils/rule-scope';
 import { getChunkedData } from '@utils/storage-chunking.js';
 import type { HotkeyCommand } from '@/types/browser';
 import type { IRecordingService } from '@/types/recording';
@@ -36,6 +37,15 @@ import {
   setLastSourcesHash,
   updateSavedDataHash,
 } from './modules/rule-engine';
+import { setupRuleHitTracking } from './modules/rule-hits';
+import {
+  getNextExpiry,
+  getRuleScope,
+  hydrateRuleScopes,
+  RULE_SCOPE_ALARM,
+  scheduleExpiryAlarm,
+} from './modules/rule-scopes';
+import { setupScriptInjection } from './modules/script-injection';
 import { getCurrentSources, hydrateFromStorage } from './modules/sources-store';
 import { setupPeriodicCleanup, setupTabListeners } from './modules/tab-listeners';
 import { generateSavedDataHash, generateSourcesHash } from './modules/utils';
@@ -72,9 +82,16 @@ async function updateBadgeForCurrentTab(): Promise<void> {
       const { activeRules: allMatchingRules } = await getActiveRulesForTab(currentTab?.id, currentUrl);
       const disabledGroups = new Set(getDisabledTagGroups());
       const activeRules = allMatchingRules.filter(
-        (r) => r.isEnabled !== false && !disabledGroups.has((r.tag as string) || '__no_tag__'),
+        (r) =>
+          r.isEnabled !== false &&
+          !disabledGroups.has((r.tag as string) || '__no_tag__') &&
+          isScopeActiveInTab(getRuleScope(r.id), currentTab?.id),
       );
-      await updateExtensionBadge(isConnected, activeRules, isPaused, recordingService, reconnectAttempts);
+      const scopeInfo = {
+        tabScopedCount: activeRules.filter((r) => getRuleScope(r.id)?.tabId !== undefined).length,
+        nextExpiry: getNextExpiry(activeRules.map((r) => r.id)),
+      };
+      await updateExtensionBadge(isConnected, activeRules, isPaused, recordingService, reconnectAttempts, scopeInfo);
     });
   });
 }
@@ -99,12 +116,17 @@ async function initializeExtension(): Promise<void> {
   extensionInitialized = true;
 
   await updateExtensionBadge(false, [], false, recordingService, 0);
+  setupRuleHitTracking((message) => sendViaWebSocket({ ...message }));
   setupRequestMonitoring(debouncedUpdateBadge);
   setupTabListeners(debouncedUpdateBadge, recordingService);
+  setupScriptInjection();
   setupPeriodicCleanup();
 
   setTimeout(() => restoreTrackingState(debouncedUpdateBadge), 1000);
 
+  // Tab and time limits must be known before the first rule update
+  await hydrateRuleScopes();
+
   // Hydrate sources from storage (offline start before WebSocket connects)
   const restoredSources = await hydrateFromStorage();
   if (restoredSources.length > 0) {
@@ -150,6 +172,11 @@ alarms!.onAlarm.addListener(async (alarm: chrome.alarms.Alarm) => {
     }
   } else if (alarm.name === 'updateBadge') {
     void updateBadgeForCurrentTab();
+  } else if (alarm.name === RULE_SCOPE_ALARM) {
+    logger.info('Background', 'Temporary rule expired, updating rules');
+    scheduleExpiryAlarm();
+    scheduleUpdate('ruleScopes', { immediate: true });
+    debouncedUpdateBadge();
   }
 });
 
@@ -171,6 +198,7 @@ storage.onChanged.addListener((changes: { [key: string]: chrome.storage.StorageC
     setDisabledTagGroups(groups);
     scheduleUpdate('tagGroups', { immediate: true });
     debouncedUpdateBadge();
+    sendViaWebSocket({ type: 'tagGroupsChanged', disabledTagGroups: groups });
   }
 
   // Log level
@@ -8,23 +8,77 @@
  */
 declare const browser: typeof chrome | undefined;
 
-import type { HeaderEntry, SavedDataMap, Source } from '@openheaders/core';
+import type {
+  DnrScopedUrlCondition,
+  HeaderEntry,
+  RequestConditions,
+  SavedDataMap,
+  Source,
+  UrlRule,
+} from '@openheaders/core';
 import { declarativeNetRequest } from '@utils/browser-api.js';
-import { validateHeaderName } from '@utils/header-validator.js';
+import { canAppendHeader, normalizeHeaderRulePriority, validateHeaderName } from '@utils/header-validator.js';
 import { logger } from '@utils/logger';
 import { sendMessageWithCallback } from '@utils/messaging';
+import { isScopeActive } from '@utils/rule-scope';
 import { getChunkedData } from '@utils/storage-chunking.js';
 import { normalizeHeaderName } from '@utils/utils.js';
-import type { EntryResult, HeaderDnrRule, PlaceholderInfo, ResolvedEntry } from '@/types/header';
-import { formatUrlPattern } from './modules/url-utils';
+import type { EntryResult, HeaderDnrRule, HeaderModification, PlaceholderInfo, ResolvedEntry } from '@/types/header';
+import type { UrlDnrRule } from '@/types/url-rule';
+import { getRuleScope } from './modules/rule-scopes';
+import { createUrlDnrRules } from './modules/url-rules';
+import { isNegatedUrlPattern, toExcludingUrlConditions, toUrlCondition } from './modules/url-utils';
 import { isValidHeaderValue, sanitizeHeaderValue } from './rule-validator';
 
+// DNR priority bands. A rule's own priority (0-MAX_HEADER_RULE_PRIORITY) is added to its band,
+// so the higher priority wins when two rules modify the same header, without leaving the band.
+// Excluded URLs are cut out of each rule's own conditions. Header rules with exclusions no
+// condition can express need allow rules instead, so they sit below every other band, out of
+// reach of those allow rules (URL rules use 200). Within this band an allow rule still stops
+// the band's other rules of equal or lower priority on its URLs; lint and the rule simulator
+// report that (findExclusionSuppressor).
+const EXCLUSION_RULE_PRIORITY = 1;
+const REQUEST_RULE_PRIORITY = 100;
+const SUB_RESOURCE_RESPONSE_RULE_PRIORITY = 950;
+const MAIN_FRAME_RESPONSE_RULE_PRIORITY = 1000;
+
+const ALL_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'websocket',
+  'other',
+] as chrome.declarativeNetRequest.ResourceType[];
+
+const SUB_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'xmlhttprequest',
+  'websocket',
+  'other',
+] as chrome.declarativeNetRequest.ResourceType[];
+
 // Cached pause state — updated by setRulesPaused() from storage.onChanged listener
 let isPaused = false;
 
 // Cached disabled tag groups — updated by setDisabledTagGroups() from storage.onChanged listener
 let disabledTagGroups: Set<string> = new Set();
 
+// Cached URL rules — updated by setUrlRules() when a rules-update arrives from the desktop app
+let urlRules: UrlRule[] = [];
+
+// Header rule that owns each installed DNR rule, rebuilt on every update. Allow rules
+// for URL exclusions are left out: a match on one means the header was not changed.
+let dnrRuleOwners: Map<number, string> = new Map();
+
 /**
  * Set the paused state. Called from background.ts when isRulesExecutionPaused changes.
  */
@@ -32,6 +86,13 @@ export function setRulesPaused(paused: boolean): void {
   isPaused = paused;
 }
 
+/**
+ * Get the cached paused state.
+ */
+export function isRulesPaused(): boolean {
+  return isPaused;
+}
+
 /**
  * Set disabled tag groups. Called from background.ts when disabledTagGroups changes.
  */
@@ -47,18 +108,37 @@ export function getDisabledTagGroups(): string[] {
 }
 
 /**
- * Initialize pause state and tag group states from storage. Called once at startup.
+ * Set URL rules. Called from websocket.ts when a rules-update message arrives.
+ */
+export function setUrlRules(rules: UrlRule[]): void {
+  urlRules = rules;
+}
+
+/**
+ * The saved header rule id behind a DNR rule id, or undefined for URL rules,
+ * exclusion rules and ids from a previous update.
+ */
+export function getHeaderRuleIdForDnrRule(dnrRuleId: number): string | undefined {
+  return dnrRuleOwners.get(dnrRuleId);
+}
+
+/**
+ * Initialize pause state, tag group states and URL rules from storage. Called once at startup.
  */
 export function initPauseState(): void {
   const browserAPI = (typeof browser !== 'undefined' ? browser : chrome) as typeof chrome;
   browserAPI.storage.sync.get(['isRulesExecutionPaused'], (result: Record<string, unknown>) => {
     isPaused = (result.isRulesExecutionPaused as boolean) || false;
   });
-  browserAPI.storage.local.get(['disabledTagGroups'], (result: Record<string, unknown>) => {
+  browserAPI.storage.local.get(['disabledTagGroups', 'urlRules'], (result: Record<string, unknown>) => {
     const groups = result.disabledTagGroups as string[] | undefined;
     if (Array.isArray(groups)) {
       disabledTagGroups = new Set(groups);
     }
+    const storedUrlRules = result.urlRules as UrlRule[] | undefined;
+    if (Array.isArray(storedUrlRules)) {
+      urlRules = storedUrlRules;
+    }
   });
 }
 
@@ -77,7 +157,9 @@ export function updateNetworkRules(dynamicSources: Source[]): void {
           addRules: [],
         });
       })
+      .then(() => replaceSessionRules([]))
       .then(() => {
+        dnrRuleOwners = new Map();
         logger.debug('HeaderManager', 'All rules cleared while paused');
       });
     return;
@@ -86,11 +168,13 @@ export function updateNetworkRules(dynamicSources: Source[]): void {
   getChunkedData('savedData', (savedData: SavedDataMap | null) => {
     savedData = savedData || {};
 
-    const rules: HeaderDnrRule[] = [];
+    const rules: Array<HeaderDnrRule | UrlDnrRule> = [];
     let ruleId = 1;
+    const owners = new Map<number, string>();
 
-    const requestEntries: ResolvedEntry[] = [];
-    const responseEntries: ResolvedEntry[] = [];
+    const requestEntries: Array<{ id: string; entry: ResolvedEntry }> = [];
+    const responseEntries: Array<{ id: string; entry: ResolvedEntry }> = [];
+    const tabScopedEntries: Array<{ id: string; entry: ResolvedEntry; tabId: number }> = [];
     const placeholders: PlaceholderInfo[] = [];
 
     for (const id in savedData) {
@@ -107,32 +191,62 @@ export function updateNetworkRules(dynamicSources: Source[]): void {
         continue;
       }
 
+      const scope = getRuleScope(id);
+      if (scope && !isScopeActive(scope)) {
+        logger.debug('HeaderManager', `Skipping rule for ${entry.headerName} — its tab or time limit has ended`);
+        continue;
+      }
+
       const result = processEntry(entry, dynamicSources);
       if (!result) continue;
 
       if (result.resolved) {
-        if (result.entry.isResponse) {
-          responseEntries.push(result.entry);
+        if (scope?.tabId !== undefined) {
+          tabScopedEntries.push({ id, entry: result.entry, tabId: scope.tabId });
+        } else if (result.entry.isResponse) {
+          responseEntries.push({ id, entry: result.entry });
         } else {
-          requestEntries.push(result.entry);
+          requestEntries.push({ id, entry: result.entry });
         }
       } else {
         placeholders.push(result.placeholder);
       }
     }
 
-    requestEntries.forEach((entry) => {
+    requestEntries.forEach(({ id, entry }) => {
       const requestRules = createRequestHeaderDnrRules(entry, ruleId);
+      recordOwners(owners, requestRules, id);
       rules.push(...requestRules);
       ruleId += requestRules.length;
     });
 
-    responseEntries.forEach((entry) => {
+    responseEntries.forEach(({ id, entry }) => {
       const responseRules = createResponseHeaderDnrRules(entry, ruleId);
+      recordOwners(owners, responseRules, id);
       rules.push(...responseRules);
       ruleId += responseRules.length;
     });
 
+    const urlDnrRules = createUrlDnrRules(urlRules, ruleId);
+    rules.push(...urlDnrRules);
+    ruleId += urlDnrRules.length;
+
+    // tabIds is only allowed on session rules. Ids continue from the dynamic rules so
+    // the two sets never collide. At equal priority Chrome applies session rules before
+    // dynamic ones, so a tab-scoped rule wins over a global rule setting the same header.
+    const sessionRules: HeaderDnrRule[] = [];
+    tabScopedEntries.forEach(({ id, entry, tabId }) => {
+      const scopedRules = entry.isResponse
+        ? createResponseHeaderDnrRules(entry, ruleId)
+        : createRequestHeaderDnrRules(entry, ruleId);
+      scopedRules.forEach((rule) => {
+        rule.condition.tabIds = [tabId];
+      });
+      recordOwners(owners, scopedRules, id);
+      sessionRules.push(...scopedRules);
+      ruleId += scopedRules.length;
+    });
+
     if (placeholders.length > 0) {
       logger.warn('HeaderManager', `${placeholders.length} headers not injected (unresolved):`, placeholders);
     }
@@ -149,8 +263,13 @@ export function updateNetworkRules(dynamicSources: Source[]): void {
           addRules: rules,
         });
       })
+      .then(() => replaceSessionRules(sessionRules))
       .then(() => {
-        logger.info('HeaderManager', `Successfully updated ${rules.length} network rules`);
+        dnrRuleOwners = owners;
+        logger.info(
+          'HeaderManager',
+          `Successfully updated ${rules.length} network rules and ${sessionRules.length} tab-scoped rules`,
+        );
       })
       .catch((e: Error) => {
         logger.error('HeaderManager', 'Error updating rules:', e.message || 'Unknown error');
@@ -165,8 +284,34 @@ export function updateNetworkRules(dynamicSources: Source[]): void {
   });
 }
 
+function recordOwners(owners: Map<number, string>, dnrRules: HeaderDnrRule[], id: string): void {
+  for (const rule of dnrRules) {
+    if (rule.action.type === 'modifyHeaders') owners.set(rule.id, id);
+  }
+}
+
+/**
+ * Replace all session rules — only tab-scoped header rules live there.
+ */
+function replaceSessionRules(sessionRules: HeaderDnrRule[]): Promise<void> {
+  if (!declarativeNetRequest?.supportsSessionRules) {
+    if (sessionRules.length > 0) {
+      logger.warn('HeaderManager', `${sessionRules.length} tab-scoped rules not applied — browser lacks session rules`);
+    }
+    return Promise.resolve();
+  }
+
+  return declarativeNetRequest.getSessionRules().then((existingRules) =>
+    declarativeNetRequest!.updateSessionRules({
+      removeRuleIds: existingRules.map((r) => r.id),
+      addRules: sessionRules,
+    }),
+  );
+}
+
 function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult | null {
-  const headerNameValidation = validateHeaderName(entry.headerName, entry.isResponse);
+  const operation = entry.operation || 'set';
+  const headerNameValidation = validateHeaderName(entry.headerName, entry.isResponse, operation);
   if (!headerNameValidation.valid) {
     logger.debug('HeaderManager', `Skipping rule for ${entry.headerName} - ${headerNameValidation.message}`);
     return null;
@@ -180,6 +325,26 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
   }
 
   const headerName = headerNameValidation.sanitized || normalizeHeaderName(entry.headerName);
+  const isResponse = entry.isResponse === true;
+  const priority = normalizeHeaderRulePriority(entry.priority);
+  const conditions: RequestConditions = {
+    methods: entry.methods,
+    resourceTypes: entry.resourceTypes,
+    initiatorDomains: entry.initiatorDomains,
+    excludedDomains: entry.excludedDomains,
+  };
+
+  if (operation === 'remove') {
+    return {
+      resolved: true,
+      entry: { headerName, headerValue: '', domains, isResponse, operation, priority, conditions },
+    };
+  }
+
+  if (operation === 'append' && !canAppendHeader(headerName, isResponse)) {
+    logger.warn('HeaderManager', `Header "${entry.headerName}" not injected — browsers cannot append to it`);
+    return null;
+  }
 
   if (entry.isDynamic && entry.sourceId) {
     const source = dynamicSources.find((s) => s.sourceId?.toString() === entry.sourceId?.toString());
@@ -211,10 +376,10 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
       }
       return {
         resolved: true,
-        entry: { headerName, headerValue: sanitized, domains, isResponse: entry.isResponse === true },
+        entry: { headerName, headerValue: sanitized, domains, isResponse, operation, priority, conditions },
       };
     }
-    return { resolved: true, entry: { headerName, headerValue, domains, isResponse: entry.isResponse === true } };
+    return { resolved: true, entry: { headerName, headerValue, domains, isResponse, operation, priority, conditions } };
   }
 
   if (!entry.headerValue?.trim()) {
@@ -231,49 +396,48 @@ function processEntry(entry: HeaderEntry, dynamicSources: Source[]): EntryResult
     }
   }
 
-  return { resolved: true, entry: { headerName, headerValue, domains, isResponse: entry.isResponse === true } };
+  return { resolved: true, entry: { headerName, headerValue, domains, isResponse, operation, priority, conditions } };
+}
+
+function toHeaderModification(entry: ResolvedEntry): HeaderModification {
+  if (entry.operation === 'remove') {
+    return { header: entry.headerName, operation: 'remove' };
+  }
+  return { header: entry.headerName, operation: entry.operation, value: entry.headerValue };
 }
 
 function createRequestHeaderDnrRules(entry: ResolvedEntry, startId: number): HeaderDnrRule[] {
   const rules: HeaderDnrRule[] = [];
   let ruleId = startId;
 
-  const ALL_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
-    'main_frame',
-    'sub_frame',
-    'stylesheet',
-    'script',
-    'image',
-    'font',
-    'object',
-    'xmlhttprequest',
-    'websocket',
-    'other',
-  ] as chrome.declarativeNetRequest.ResourceType[];
-
-  entry.domains.forEach((domain) => {
-    if (!domain || domain.trim() === '') return;
-
-    const urlFilter = formatUrlPattern(domain);
+  const { resourceTypes } = entry.conditions;
+  const filters = getConditionFilters(entry.conditions);
+  const { conditions, unscoped } = getUrlConditions(entry);
+  const priority = (unscoped.length > 0 ? EXCLUSION_RULE_PRIORITY : REQUEST_RULE_PRIORITY) + entry.priority;
+  const types = resourceTypes?.length
+    ? (resourceTypes as chrome.declarativeNetRequest.ResourceType[])
+    : ALL_RESOURCE_TYPES;
 
+  conditions.forEach((urlCondition) => {
     rules.push({
       id: ruleId++,
-      priority: 100,
+      priority,
       action: {
         type: 'modifyHeaders',
         requestHeaders: [
-          { header: entry.headerName, operation: 'set', value: entry.headerValue },
+          toHeaderModification(entry),
           { header: 'Cache-Control', operation: 'set', value: 'no-cache, no-store, must-revalidate' },
           { header: 'Pragma', operation: 'set', value: 'no-cache' },
         ],
       },
-      condition: {
-        urlFilter: urlFilter,
-        resourceTypes: ALL_RESOURCE_TYPES,
-      },
+      condition: withConditionFilters(urlCondition, types, filters),
     });
   });
 
+  if (rules.length > 0) {
+    rules.push(...createExclusionDnrRules(unscoped, priority, types, filters, ruleId));
+  }
+
   return rules;
 }
 
@@ -281,48 +445,175 @@ function createResponseHeaderDnrRules(entry: ResolvedEntry, startId: number): He
   const rules: HeaderDnrRule[] = [];
   let ruleId = startId;
 
-  const SUB_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
-    'sub_frame',
-    'stylesheet',
-    'script',
-    'image',
-    'font',
-    'xmlhttprequest',
-    'websocket',
-    'other',
-  ] as chrome.declarativeNetRequest.ResourceType[];
+  const { resourceTypes } = entry.conditions;
+  const filters = getConditionFilters(entry.conditions);
+  const { conditions, unscoped } = getUrlConditions(entry);
+  const hasExclusions = unscoped.length > 0;
+
+  // Without a resource type condition, main_frame gets its own higher-priority rule
+  const includesMainFrame = !resourceTypes?.length || resourceTypes.includes('main_frame');
+  const subResourceTypes = resourceTypes?.length
+    ? SUB_RESOURCE_TYPES.filter((type) => resourceTypes.includes(type as (typeof resourceTypes)[number]))
+    : SUB_RESOURCE_TYPES;
+
+  conditions.forEach((urlCondition) => {
+    if (includesMainFrame) {
+      rules.push({
+        id: ruleId++,
+        priority: (hasExclusions ? EXCLUSION_RULE_PRIORITY : MAIN_FRAME_RESPONSE_RULE_PRIORITY) + entry.priority,
+        action: {
+          type: 'modifyHeaders',
+          responseHeaders: [toHeaderModification(entry)],
+        },
+        condition: withConditionFilters(
+          urlCondition,
+          ['main_frame' as chrome.declarativeNetRequest.ResourceType],
+          filters,
+        ),
+      });
+    }
+
+    if (subResourceTypes.length > 0) {
+      rules.push({
+        id: ruleId++,
+        priority: (hasExclusions ? EXCLUSION_RULE_PRIORITY : SUB_RESOURCE_RESPONSE_RULE_PRIORITY) + entry.priority,
+        action: {
+          type: 'modifyHeaders',
+          responseHeaders: [toHeaderModification(entry)],
+        },
+        condition: withConditionFilters(urlCondition, subResourceTypes, filters),
+      });
+    }
+  });
+
+  if (rules.length > 0) {
+    const excludedTypes = includesMainFrame
+      ? (['main_frame', ...subResourceTypes] as chrome.declarativeNetRequest.ResourceType[])
+      : subResourceTypes;
+    rules.push(
+      ...createExclusionDnrRules(unscoped, EXCLUSION_RULE_PRIORITY + entry.priority, excludedTypes, filters, ruleId),
+    );
+  }
 
-  entry.domains.forEach((domain) => {
-    if (!domain || domain.trim() === '') return;
+  return rules;
+}
 
-    const urlFilter = formatUrlPattern(domain);
+/**
+ * Map request conditions that declarativeNetRequest supports natively.
+ * Bare excluded domains become excludedRequestDomains, which also covers their subdomains.
+ */
+function getConditionFilters(conditions: RequestConditions): Partial<HeaderDnrRule['condition']> {
+  const filters: Partial<HeaderDnrRule['condition']> = {};
 
-    rules.push({
-      id: ruleId++,
-      priority: 1000,
-      action: {
-        type: 'modifyHeaders',
-        responseHeaders: [{ header: entry.headerName, operation: 'set', value: entry.headerValue }],
-      },
-      condition: {
-        urlFilter: urlFilter,
-        resourceTypes: ['main_frame' as chrome.declarativeNetRequest.ResourceType],
-      },
-    });
+  if (conditions.methods?.length) {
+    filters.requestMethods = conditions.methods.map(
+      (method) => method.toLowerCase() as chrome.declarativeNetRequest.RequestMethod,
+    );
+  }
 
-    rules.push({
-      id: ruleId++,
-      priority: 950,
-      action: {
-        type: 'modifyHeaders',
-        responseHeaders: [{ header: entry.headerName, operation: 'set', value: entry.headerValue }],
-      },
-      condition: {
-        urlFilter: urlFilter,
-        resourceTypes: SUB_RESOURCE_TYPES,
+  const initiatorDomains = toDnrDomains(conditions.initiatorDomains || []);
+  if (initiatorDomains.length > 0) {
+    filters.initiatorDomains = initiatorDomains;
+  }
+
+  const excludedDomains = toDnrDomains((conditions.excludedDomains || []).filter((pattern) => !pattern.includes('/')));
+  if (excludedDomains.length > 0) {
+    filters.excludedRequestDomains = excludedDomains;
+  }
+
+  return filters;
+}
+
+/** A rule condition from a URL condition, its resource types and the native request filters */
+function withConditionFilters(
+  urlCondition: DnrScopedUrlCondition,
+  resourceTypes: chrome.declarativeNetRequest.ResourceType[],
+  filters: Partial<HeaderDnrRule['condition']>,
+): HeaderDnrRule['condition'] {
+  const excludedRequestDomains = [
+    ...(filters.excludedRequestDomains || []),
+    ...(urlCondition.excludedRequestDomains || []),
+  ];
+  return {
+    ...urlCondition,
+    resourceTypes,
+    ...filters,
+    ...(excludedRequestDomains.length > 0 && { excludedRequestDomains }),
+  };
+}
+
+/** declarativeNetRequest domain lists take bare hostnames — subdomains are matched implicitly */
+function toDnrDomains(domains: string[]): string[] {
+  return domains
+    .map((domain) => domain.trim().toLowerCase().replace(/^\*\./, '').replace(/:\d+$/, ''))
+    .filter((domain) => domain !== '' && domain !== '*');
+}
+
+/** Domains the rule applies to — negated (`!pattern`) domains exclude instead */
+function getIncludedDomains(entry: ResolvedEntry): string[] {
+  return entry.domains.filter((domain) => domain?.trim() && !isNegatedUrlPattern(domain));
+}
+
+/**
+ * Conditions for the rule's domains with its URL exclusions cut out, and the
+ * exclusions no condition can express, which still need allow rules.
+ */
+function getUrlConditions(entry: ResolvedEntry): { conditions: DnrScopedUrlCondition[]; unscoped: string[] } {
+  const urlExclusions = getUrlExclusions(entry);
+  const conditions: DnrScopedUrlCondition[] = [];
+  const unscoped = new Set<string>();
+
+  for (const domain of getIncludedDomains(entry)) {
+    const scoped = toExcludingUrlConditions(domain, urlExclusions);
+    conditions.push(...scoped.conditions);
+    for (const pattern of scoped.unscoped) unscoped.add(pattern);
+  }
+  return { conditions, unscoped: [...unscoped] };
+}
+
+/**
+ * Patterns with no native request filter: excluded URL patterns (anything with a
+ * path, including regular expressions) and negated domains.
+ */
+function getUrlExclusions(entry: ResolvedEntry): string[] {
+  const excludedUrls = (entry.conditions.excludedDomains || []).filter(
+    (pattern) => pattern.includes('/') && pattern.trim() !== '',
+  );
+  const negatedDomains = entry.domains.filter((domain) => domain?.trim() && isNegatedUrlPattern(domain));
+  return [...excludedUrls, ...negatedDomains];
+}
+
+/**
+ * Exclusions no condition can express (regular expressions, wildcards inside a
+ * path) become allow rules. An allow rule suppresses every matching rule of equal
+ * or lower priority, which is why rules needing them live in their own lowest band:
+ * the exclusion never reaches rules without one. It does reach the band's other
+ * rules of equal or lower priority, whatever their header.
+ */
+function createExclusionDnrRules(
+  urlExclusions: string[],
+  priority: number,
+  resourceTypes: chrome.declarativeNetRequest.ResourceType[],
+  filters: Partial<HeaderDnrRule['condition']>,
+  startId: number,
+): HeaderDnrRule[] {
+  let ruleId = startId;
+
+  return urlExclusions.flatMap((pattern): HeaderDnrRule[] => {
+    const urlCondition = toUrlCondition(pattern);
+    if (!urlCondition) return [];
+    return [
+      {
+        id: ruleId++,
+        priority,
+        action: { type: 'allow' },
+        condition: {
+          ...urlCondition,
+          resourceTypes,
+          ...(filters.requestMethods && { requestMethods: filters.requestMethods }),
+          ...(filters.initiatorDomains && { initiatorDomains: filters.initiatorDomains }),
+        },
       },
-    });
+    ];
   });
-
-  return rules;
 }
@@ -3,7 +3,8 @@
  */
 
 import { logger } from '@utils/logger';
-import type { BadgeState } from '@/types/browser';
+import { formatTimeRemaining } from '@utils/rule-scope';
+import type { BadgeScopeInfo, BadgeState } from '@/types/browser';
 import { getBrowserAPI } from '@/types/browser';
 import type { IRecordingService } from '@/types/recording';
 
@@ -24,6 +25,7 @@ export async function updateExtensionBadge(
   isPaused: boolean,
   recordingService: IRecordingService | null,
   reconnectAttempts: number = 0,
+  scopeInfo: BadgeScopeInfo | null = null,
 ): Promise<void> {
   // Get the appropriate API (chrome.action for MV3, chrome.browserAction for MV2/Firefox)
   const actionAPI =
@@ -64,8 +66,20 @@ export async function updateExtensionBadge(
     badgeState = 'active';
   }
 
+  // Tab-scoped and temporary rules only show up in the tooltip
+  const scopeLines: string[] = [];
+  if (badgeState === 'active' && scopeInfo) {
+    if (scopeInfo.tabScopedCount > 0) {
+      const ruleText = scopeInfo.tabScopedCount === 1 ? 'rule' : 'rules';
+      scopeLines.push(`${scopeInfo.tabScopedCount} ${ruleText} limited to this tab`);
+    }
+    if (scopeInfo.nextExpiry !== null) {
+      scopeLines.push(`Temporary rule expires in ${formatTimeRemaining(scopeInfo.nextExpiry)}`);
+    }
+  }
+
   // Create a unique state key that includes the count
-  const currentStateKey = `${badgeState}-${activeRulesCount}-${isPaused}`;
+  const currentStateKey = `${badgeState}-${activeRulesCount}-${isPaused}-${scopeLines.join('|')}`;
 
   // Only update if state or count changed
   if (currentStateKey === lastBadgeState) {
@@ -130,7 +144,9 @@ export async function updateExtensionBadge(
     if (actionAPI.setTitle) {
       const ruleText = activeRulesCount === 1 ? 'rule' : 'rules';
       actionAPI.setTitle({
-        title: `Open Headers - Active\n${activeRulesCount} ${ruleText} active for this site`,
+        title: [`Open Headers - Active`, `${activeRulesCount} ${ruleText} active for this site`, ...scopeLines].join(
+          '\n',
+        ),
       });
     }
   } else {
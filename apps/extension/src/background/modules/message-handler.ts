@@ -7,7 +7,9 @@ import { runtime as browserRuntime, tabs } from '@utils/browser-api.js';
 import { logger } from '@utils/logger';
 import { getChunkedData, setChunkedData } from '@utils/storage-chunking.js';
 import type { MessageHandlerContext, SendResponse } from '@/types/browser';
+import type { RuleScopeRequest } from '@/types/rule-scope';
 import { clearAllTracking, getActiveRulesForTab } from './request-tracker';
+import { clearRuleScope, setRuleScope } from './rule-scopes';
 import { setSourcesFromApp } from './sources-store';
 import { generateSavedDataHash, generateSourcesHash } from './utils';
 
@@ -322,6 +324,19 @@ export function handleGeneralMessage(
         safeResponse({ success: false, error: 'Not connected to desktop app' });
       }
       return true;
+    } else if (message.type === 'applyProfile') {
+      // Desktop app applies the profile and syncs rules and tag groups back
+      const wsConnected = isWebSocketConnected();
+      if (wsConnected) {
+        const sent = sendViaWebSocket({
+          type: 'applyProfile',
+          profileId: message.profileId as string,
+        });
+        safeResponse({ success: sent });
+      } else {
+        safeResponse({ success: false, error: 'Not connected to desktop app' });
+      }
+      return true;
     } else if (message.type === 'deleteRule') {
       // Handle delete rule directly via WebSocket without focusing app
       const wsConnected = isWebSocketConnected();
@@ -349,6 +364,19 @@ export function handleGeneralMessage(
           safeResponse({ activeRules: [] });
         });
       return true;
+    } else if (message.type === 'setRuleScope') {
+      // Limit a rule to one tab and/or a duration — extension-local, the app is not involved
+      const scope = setRuleScope(message.ruleId as string, (message.scope as RuleScopeRequest) || {});
+      scheduleUpdate('ruleScopes', { immediate: true });
+      updateBadgeCallback();
+      safeResponse({ success: true, scope });
+      return true;
+    } else if (message.type === 'clearRuleScope') {
+      clearRuleScope(message.ruleId as string);
+      scheduleUpdate('ruleScopes', { immediate: true });
+      updateBadgeCallback();
+      safeResponse({ success: true });
+      return true;
     } else if (message.type === 'setRulesExecutionPaused') {
       // Handle pause/resume of rules execution
       logger.info('MessageHandler', 'Setting rules execution paused state:', message.paused);
@@ -2,13 +2,44 @@
  * Request Monitor - Sets up webRequest monitoring for tracking requests
  */
 
+import type { RequestResourceType } from '@openheaders/core';
 import { tabs } from '@utils/browser-api.js';
 import { logger } from '@utils/logger';
 import type { PendingRequest } from '@/types/browser';
 import { getBrowserAPI } from '@/types/browser';
-import { addTrackedUrl, checkIfUrlMatchesAnyRule, tabsWithActiveRules } from './request-tracker';
+import {
+  addTrackedUrl,
+  checkIfUrlMatchesAnyRule,
+  findAppliedHeaderRuleIds,
+  tabsWithActiveRules,
+} from './request-tracker';
+import { recordHeaderRuleHits, usesRuleMatchFeedback } from './rule-hits';
 import { isTrackableUrl, normalizeUrlForTracking } from './url-utils';
 
+/** Hostname of the page that made the request (Chrome reports an origin, Firefox a URL) */
+function getInitiatorHost(details: chrome.webRequest.WebRequestDetails & { originUrl?: string }): string | null {
+  const initiator = details.initiator || details.originUrl;
+  if (!initiator) return null;
+  try {
+    return new URL(initiator).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Count hits for the header rules that apply to a request — only needed when
+ * declarativeNetRequest match feedback is unavailable.
+ */
+function countRuleHits(details: chrome.webRequest.WebRequestDetails): void {
+  if (usesRuleMatchFeedback()) return;
+  findAppliedHeaderRuleIds(details.url, details.tabId, {
+    method: details.method,
+    resourceType: details.type as RequestResourceType,
+    initiator: getInitiatorHost(details),
+  }).then((ruleIds) => recordHeaderRuleHits(ruleIds, details.url));
+}
+
 /**
  * Set up request monitoring to track which domains tabs are making requests to
  */
@@ -39,6 +70,7 @@ export function setupRequestMonitoring(updateBadgeCallback: () => void): void {
       }
 
       const normalizedUrl = normalizeUrlForTracking(details.url);
+      countRuleHits(details);
 
       // Check if this request URL matches any of our rules
       checkIfUrlMatchesAnyRule(normalizedUrl).then((matchesRule) => {
@@ -2,14 +2,18 @@
  * Request Tracker - Tracks which tabs are making requests to domains with rules
  */
 
-import type { HeaderEntry, SavedDataMap } from '@openheaders/core';
+import type { HeaderEntry, RequestDetails, SavedDataMap } from '@openheaders/core';
+import { matchesRequestConditions } from '@openheaders/core/utils';
 import { storage, tabs } from '@utils/browser-api.js';
 import { sendMessageWithCallback } from '@utils/messaging';
+import { isScopeActiveInTab } from '@utils/rule-scope';
 import { getChunkedData } from '@utils/storage-chunking.js';
 import type { ActiveRule, MatchedRequest } from '@/types/browser';
+import { getDisabledTagGroups, isRulesPaused } from '../header-manager';
+import { getRuleScope } from './rule-scopes';
 import {
   clearPatternCache,
-  doesUrlMatchPattern,
+  findMatchingPattern,
   isTrackableUrl,
   normalizeUrlForTracking,
   precompileAllPatterns,
@@ -89,12 +93,9 @@ export async function checkIfUrlMatchesAnyRule(url: string): Promise<boolean> {
       for (const id in savedData) {
         const entry: HeaderEntry = savedData[id];
 
-        const domains: string[] = entry.domains || [];
-        for (const domain of domains) {
-          if (doesUrlMatchPattern(normalizedUrl, domain)) {
-            resolve(true);
-            return;
-          }
+        if (findMatchingPattern(normalizedUrl, entry.domains || [])) {
+          resolve(true);
+          return;
         }
       }
 
@@ -103,6 +104,30 @@ export async function checkIfUrlMatchesAnyRule(url: string): Promise<boolean> {
   });
 }
 
+/**
+ * Ids of the header rules the browser applies to a request, for hit counting
+ * where declarativeNetRequest match feedback is unavailable. Applies the same
+ * filters as the header manager: enabled, tag group on, scope active in the tab.
+ */
+export async function findAppliedHeaderRuleIds(url: string, tabId: number, request: RequestDetails): Promise<string[]> {
+  if (isRulesPaused()) return [];
+  const disabledTagGroups = new Set(getDisabledTagGroups());
+
+  return new Promise<string[]>((resolve) => {
+    ensureCache((savedData: SavedDataMap) => {
+      const ids: string[] = [];
+      for (const id in savedData) {
+        const entry: HeaderEntry = savedData[id];
+        if (entry.isEnabled === false || disabledTagGroups.has(entry.tag || '__no_tag__')) continue;
+        if (!isScopeActiveInTab(getRuleScope(id), tabId)) continue;
+        if (!findMatchingPattern(url, entry.domains || [])) continue;
+        if (matchesRequestConditions(entry, url, request)) ids.push(id);
+      }
+      resolve(ids);
+    });
+  });
+}
+
 /**
  * Get all matching rules for a specific tab (direct and indirect matches).
  * Returns both enabled and disabled rules so the Active tab can show
@@ -150,23 +175,19 @@ export async function getActiveRulesForTab(tabId: number | undefined, tabUrl: st
           }
         } else {
           // Check for direct match (main page domain)
-          for (const domain of domains) {
-            if (doesUrlMatchPattern(tabUrl, domain)) {
-              matchType = 'direct';
-              matchedUrls.push({ url: tabUrl, pattern: domain, timestamp: now });
-              break;
-            }
+          const tabPattern = findMatchingPattern(tabUrl, domains);
+          if (tabPattern) {
+            matchType = 'direct';
+            matchedUrls.push({ url: tabUrl, pattern: tabPattern, timestamp: now });
           }
 
           // Check resource URLs — collect ALL matching ones regardless of direct match
           if (trackedResources.size > 0) {
             for (const [resourceUrl, ts] of trackedResources) {
-              for (const domain of domains) {
-                if (doesUrlMatchPattern(resourceUrl, domain)) {
-                  matchedUrls.push({ url: resourceUrl, pattern: domain, timestamp: ts });
-                  if (!matchType) matchType = 'indirect';
-                  break;
-                }
+              const resourcePattern = findMatchingPattern(resourceUrl, domains);
+              if (resourcePattern) {
+                matchedUrls.push({ url: resourceUrl, pattern: resourcePattern, timestamp: ts });
+                if (!matchType) matchType = 'indirect';
               }
             }
           }
@@ -179,6 +200,7 @@ export async function getActiveRulesForTab(tabId: number | undefined, tabUrl: st
             key: id,
             matchType,
             matchedUrls,
+            scope: getRuleScope(id),
           });
         }
       }
@@ -231,14 +253,10 @@ export async function revalidateTrackedRequests(): Promise<void> {
             let stillMatches = false;
 
             for (const [_id, entry] of allRules) {
-              const domains: string[] = entry.domains || [];
-              for (const domain of domains) {
-                if (doesUrlMatchPattern(url, domain)) {
-                  stillMatches = true;
-                  break;
-                }
+              if (findMatchingPattern(url, entry.domains || [])) {
+                stillMatches = true;
+                break;
               }
-              if (stillMatches) break;
             }
 
             if (stillMatches) {
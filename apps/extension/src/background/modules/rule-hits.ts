@@ -0,0 +1,98 @@
+/**
+ * Rule Hits - Counts header rule matches and reports them to the desktop app
+ *
+ * Matches come from declarativeNetRequest.onRuleMatchedDebug where the browser
+ * exposes it (builds with the declarativeNetRequestFeedback permission). Elsewhere
+ * the request monitor matches webRequest traffic against the saved rules instead.
+ * Hits are batched and sent every few seconds; the desktop app keeps the totals.
+ */
+
+import type { RuleHitStatsMap } from '@openheaders/core';
+import type { RuleHitsMessage } from '@openheaders/core/protocol';
+import { createRuleHitStats, recordRuleHit } from '@openheaders/core/utils';
+import { logger } from '@utils/logger';
+import { getBrowserAPI } from '@/types/browser';
+import { getHeaderRuleIdForDnrRule } from '../header-manager';
+import { normalizeUrlForTracking } from './url-utils';
+
+const REPORT_INTERVAL_MS = 5000;
+
+type RuleHitsSender = (message: RuleHitsMessage) => boolean;
+
+// Hits counted since the last successful report
+let pendingHits: RuleHitStatsMap = createRuleHitStats();
+let reportTimer: ReturnType<typeof setTimeout> | null = null;
+let sendReport: RuleHitsSender | null = null;
+let matchFeedbackEnabled = false;
+
+/**
+ * Start counting hits. Returns true when declarativeNetRequest match feedback
+ * is used, false when the caller should report webRequest matches.
+ */
+export function setupRuleHitTracking(sender: RuleHitsSender): boolean {
+  sendReport = sender;
+
+  const onRuleMatchedDebug = getBrowserAPI().declarativeNetRequest?.onRuleMatchedDebug;
+  if (!onRuleMatchedDebug || matchFeedbackEnabled) {
+    if (!onRuleMatchedDebug) logger.info('RuleHits', 'Rule match feedback unavailable, counting hits from webRequest');
+    return matchFeedbackEnabled;
+  }
+
+  onRuleMatchedDebug.addListener((info: chrome.declarativeNetRequest.MatchedRuleInfoDebug) => {
+    const ruleId = getHeaderRuleIdForDnrRule(info.rule.ruleId);
+    if (ruleId) recordHeaderRuleHits([ruleId], info.request.url);
+  });
+  matchFeedbackEnabled = true;
+  logger.info('RuleHits', 'Counting hits from rule match feedback');
+  return true;
+}
+
+/** Whether hits come from declarativeNetRequest match feedback */
+export function usesRuleMatchFeedback(): boolean {
+  return matchFeedbackEnabled;
+}
+
+/**
+ * Count a match for each rule and schedule a report.
+ */
+export function recordHeaderRuleHits(ruleIds: string[], url: string, at: number = Date.now()): void {
+  if (ruleIds.length === 0) return;
+  const normalizedUrl = normalizeUrlForTracking(url);
+  for (const ruleId of ruleIds) {
+    recordRuleHit(pendingHits, ruleId, normalizedUrl, at);
+  }
+  scheduleReport();
+}
+
+function scheduleReport(): void {
+  if (reportTimer) return;
+  reportTimer = setTimeout(() => {
+    reportTimer = null;
+    flushRuleHits();
+  }, REPORT_INTERVAL_MS);
+}
+
+/**
+ * Send pending hits to the desktop app. When it is not connected they are kept
+ * and go out with the next report (the next hit, or reconnecting).
+ */
+export function flushRuleHits(): boolean {
+  if (Object.keys(pendingHits).length === 0) return true;
+  if (!sendReport?.({ type: 'ruleHits', hits: pendingHits })) return false;
+
+  logger.debug('RuleHits', `Reported hits for ${Object.keys(pendingHits).length} rules`);
+  pendingHits = createRuleHitStats();
+  return true;
+}
+
+/** Hits not yet reported (for tests and diagnostics) */
+export function getPendingRuleHits(): RuleHitStatsMap {
+  return pendingHits;
+}
+
+/** Drop unreported hits and stop the report timer */
+export function resetRuleHits(): void {
+  pendingHits = createRuleHitStats();
+  if (reportTimer) clearTimeout(reportTimer);
+  reportTimer = null;
+}
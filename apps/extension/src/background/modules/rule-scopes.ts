@@ -0,0 +1,177 @@
+/**
+ * RuleScopes — single owner of tab-scoped and temporary header rules.
+ *
+ * Scopes are set from the popup ("This page" tab) and never leave the extension:
+ *   - tab scope  → the rule is injected as a DNR session rule limited to that tab
+ *   - time limit → the rule stops being injected once `expiresAt` passes
+ *
+ * An ended scope is kept rather than deleted so the rule does not silently
+ * fall back to applying everywhere — the user re-activates it or removes the
+ * limit from the popup. Tab scopes end when their tab closes.
+ *
+ * A single alarm fires at the next expiry so rules are rebuilt on time even
+ * if the service worker was suspended in between.
+ */
+
+import { alarms, storage, tabs } from '@utils/browser-api.js';
+import { logger } from '@utils/logger';
+import { isScopeActive } from '@utils/rule-scope';
+import type { RuleScope, RuleScopeMap, RuleScopeRequest } from '@/types/rule-scope';
+
+export const RULE_SCOPE_ALARM = 'ruleScopeExpiry';
+
+// ── In-memory cache ──────────────────────────────────────────────────
+
+let scopes: RuleScopeMap = {};
+
+// ── Public API ───────────────────────────────────────────────────────
+
+/** Return the scope of a rule, if it has one. */
+export function getRuleScope(ruleId: string): RuleScope | undefined {
+  return scopes[ruleId];
+}
+
+/** Return all scopes (in-memory cache). */
+export function getRuleScopes(): RuleScopeMap {
+  return scopes;
+}
+
+/**
+ * Scope a rule to a tab and/or a duration, replacing any previous scope.
+ * A request with neither removes the scope, making the rule global again.
+ */
+export function setRuleScope(ruleId: string, request: RuleScopeRequest, now: number = Date.now()): RuleScope | null {
+  const scope: RuleScope = {};
+  if (typeof request.tabId === 'number') scope.tabId = request.tabId;
+  if (typeof request.durationMs === 'number' && request.durationMs > 0) scope.expiresAt = now + request.durationMs;
+
+  if (scope.tabId === undefined && scope.expiresAt === undefined) {
+    clearRuleScope(ruleId);
+    return null;
+  }
+
+  scopes = { ...scopes, [ruleId]: scope };
+  logger.info('RuleScopes', `Scoped rule ${ruleId}:`, scope);
+  persist();
+  return scope;
+}
+
+/** Remove a rule's scope so it applies everywhere again. */
+export function clearRuleScope(ruleId: string): void {
+  if (!(ruleId in scopes)) return;
+  const { [ruleId]: _removed, ...rest } = scopes;
+  scopes = rest;
+  logger.info('RuleScopes', `Removed scope of rule ${ruleId}`);
+  persist();
+}
+
+/**
+ * End the scopes of rules limited to a closed tab.
+ * Returns true when any rule was affected, so the caller can rebuild rules.
+ */
+export function endScopesForTab(tabId: number, now: number = Date.now()): boolean {
+  let changed = false;
+  const next: RuleScopeMap = { ...scopes };
+
+  for (const [ruleId, scope] of Object.entries(scopes)) {
+    if (scope.tabId === tabId && isScopeActive(scope, now)) {
+      next[ruleId] = { ...scope, expiresAt: now };
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    scopes = next;
+    logger.info('RuleScopes', `Tab ${tabId} closed, ended its tab-scoped rules`);
+    persist();
+  }
+  return changed;
+}
+
+/**
+ * Carry tab scopes over when Chrome swaps a tab for another (e.g. prerendered pages).
+ * Returns true when any rule was affected.
+ */
+export function moveScopesToTab(fromTabId: number, toTabId: number): boolean {
+  let changed = false;
+  const next: RuleScopeMap = { ...scopes };
+
+  for (const [ruleId, scope] of Object.entries(scopes)) {
+    if (scope.tabId === fromTabId) {
+      next[ruleId] = { ...scope, tabId: toTabId };
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    scopes = next;
+    persist();
+  }
+  return changed;
+}
+
+/** Earliest future expiry among the given rules (all rules when omitted), or null. */
+export function getNextExpiry(ruleIds?: string[], now: number = Date.now()): number | null {
+  let next: number | null = null;
+  for (const ruleId of ruleIds ?? Object.keys(scopes)) {
+    const expiresAt = scopes[ruleId]?.expiresAt;
+    if (expiresAt !== undefined && expiresAt > now && (next === null || expiresAt < next)) {
+      next = expiresAt;
+    }
+  }
+  return next;
+}
+
+/**
+ * Hydrate scopes from storage.local. Called once at startup.
+ * Tab scopes whose tab is gone (e.g. after a browser restart) are ended.
+ */
+export function hydrateRuleScopes(): Promise<RuleScopeMap> {
+  return new Promise((resolve) => {
+    storage.local.get(['ruleScopes'], (result: Record<string, unknown>) => {
+      const stored = result.ruleScopes as RuleScopeMap | undefined;
+      if (stored && typeof stored === 'object') {
+        scopes = stored;
+      }
+
+      const tabScoped = Object.values(scopes).filter((scope) => scope.tabId !== undefined && isScopeActive(scope));
+      if (tabScoped.length === 0) {
+        scheduleExpiryAlarm();
+        resolve(scopes);
+        return;
+      }
+
+      tabs.query({}, (openTabs: chrome.tabs.Tab[]) => {
+        const openTabIds = new Set((openTabs || []).map((tab) => tab.id));
+        for (const scope of tabScoped) {
+          if (!openTabIds.has(scope.tabId)) endScopesForTab(scope.tabId!);
+        }
+        scheduleExpiryAlarm();
+        resolve(scopes);
+      });
+    });
+  });
+}
+
+/**
+ * Point the expiry alarm at the next scope to expire, or clear it.
+ * Called after every change and again whenever the alarm fires.
+ */
+export function scheduleExpiryAlarm(): void {
+  if (!alarms) return;
+  const next = getNextExpiry();
+  if (next === null) {
+    alarms.clear(RULE_SCOPE_ALARM);
+  } else {
+    alarms.create(RULE_SCOPE_ALARM, { when: next });
+  }
+}
+
+// ── Internal ─────────────────────────────────────────────────────────
+
+function persist(): void {
+  storage.local.set({ ruleScopes: scopes }, () => {
+    logger.debug('RuleScopes', 'Persisted', Object.keys(scopes).length, 'rule scopes to storage');
+  });
+  scheduleExpiryAlarm();
+}
@@ -0,0 +1,140 @@
+/**
+ * Script Injection — applies desktop Scripts/CSS rules to matching pages.
+ *
+ * Each rule is injected on the webNavigation event matching its run-at timing:
+ * - 'document_start' → onCommitted (before the page's own scripts run)
+ * - 'document_end'   → onDOMContentLoaded
+ * - 'document_idle'  → onCompleted
+ *
+ * CSS goes through scripting.insertCSS. JavaScript runs in the rule's world:
+ * - 'MAIN'     → scripting.executeScript in the page world, adding the code as an
+ *                inline <script> so it shares globals with the page (subject to page CSP)
+ * - 'ISOLATED' → userScripts.execute in the user-script world, which shares only the
+ *                DOM and is exempt from page CSP. MV3 forbids evaluating strings in the
+ *                extension's own isolated world, so these rules are skipped when the
+ *                browser does not expose userScripts (e.g. "Allow User Scripts" is off).
+ *
+ * Only top-level frames are injected, and nothing is injected while rules are paused.
+ * Rules without domains never match — injecting code on every site must be opted into with '*'.
+ */
+declare const browser: typeof chrome | undefined;
+
+import type { ScriptRule, ScriptRunAt } from '@openheaders/core';
+import { storage } from '@utils/browser-api.js';
+import { logger } from '@utils/logger';
+import { isRulesPaused } from '../header-manager';
+import { findMatchingPattern, isTrackableUrl } from './url-utils';
+
+const browserAPI = (typeof browser !== 'undefined' ? browser : chrome) as typeof chrome;
+
+// Cached script rules — updated by setScriptRules() when a rules-update arrives from the desktop app
+let scriptRules: ScriptRule[] = [];
+
+// Rules already reported as skipped, so a missing userScripts API is logged once per rule
+const reportedSkips = new Set<string>();
+
+/**
+ * Set script rules. Called from websocket.ts when a rules-update message arrives.
+ */
+export function setScriptRules(rules: ScriptRule[]): void {
+  scriptRules = rules;
+  reportedSkips.clear();
+}
+
+/**
+ * Select the enabled rules that apply to a URL at the given timing.
+ */
+export function getMatchingScriptRules(rules: ScriptRule[], url: string, runAt: ScriptRunAt): ScriptRule[] {
+  if (!isTrackableUrl(url)) return [];
+
+  return rules.filter((rule) => {
+    if (rule.isEnabled === false || rule.runAt !== runAt || !rule.code?.trim()) return false;
+    const domains = Array.isArray(rule.domains) ? rule.domains.filter((d) => d?.trim()) : [];
+    return findMatchingPattern(url, domains) !== null;
+  });
+}
+
+/**
+ * Inject a single rule into a frame. Failures (closed tab, restricted page,
+ * CSP rejection) are logged and never propagate — one rule must not block the rest.
+ */
+export async function injectScriptRule(rule: ScriptRule, tabId: number, frameId: number): Promise<void> {
+  const injectImmediately = rule.runAt === 'document_start';
+
+  try {
+    if (rule.language === 'css') {
+      await browserAPI.scripting.insertCSS({ target: { tabId, frameIds: [frameId] }, css: rule.code, origin: 'USER' });
+      return;
+    }
+
+    if (rule.world === 'ISOLATED') {
+      if (typeof browserAPI.userScripts?.execute !== 'function') {
+        if (!reportedSkips.has(rule.id)) {
+          reportedSkips.add(rule.id);
+          logger.warn('ScriptInjection', `Skipping "${rule.name}" — isolated scripts need the userScripts API`);
+        }
+        return;
+      }
+      await browserAPI.userScripts.execute({
+        target: { tabId, frameIds: [frameId] },
+        js: [{ code: rule.code }],
+        world: 'USER_SCRIPT',
+        injectImmediately,
+      });
+      return;
+    }
+
+    await browserAPI.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      world: 'MAIN',
+      injectImmediately,
+      func: appendInlineScript,
+      args: [rule.code],
+    });
+  } catch (error) {
+    logger.debug('ScriptInjection', `Failed to inject "${rule.name}" into tab ${tabId}:`, (error as Error).message);
+  }
+}
+
+/**
+ * Runs in the page. Executes the code as a page script so it sees page globals.
+ */
+function appendInlineScript(code: string): void {
+  const script = document.createElement('script');
+  script.textContent = code;
+  (document.head || document.documentElement).appendChild(script);
+  script.remove();
+}
+
+function handleNavigation(runAt: ScriptRunAt) {
+  return (details: { tabId: number; frameId: number; url: string }): void => {
+    if (details.frameId !== 0 || isRulesPaused()) return;
+
+    for (const rule of getMatchingScriptRules(scriptRules, details.url, runAt)) {
+      void injectScriptRule(rule, details.tabId, details.frameId);
+    }
+  };
+}
+
+/**
+ * Register navigation listeners and restore cached rules. Called once at startup.
+ */
+export function setupScriptInjection(): void {
+  const navigation = browserAPI.webNavigation;
+  if (!navigation || !browserAPI.scripting) {
+    logger.info('ScriptInjection', 'webNavigation or scripting API unavailable, script rules disabled');
+    return;
+  }
+
+  navigation.onCommitted.addListener(handleNavigation('document_start'));
+  navigation.onDOMContentLoaded.addListener(handleNavigation('document_end'));
+  navigation.onCompleted.addListener(handleNavigation('document_idle'));
+
+  storage.local.get(['scriptRules'], (result: Record<string, unknown>) => {
+    const stored = result.scriptRules as ScriptRule[] | undefined;
+    // A rules-update may already have arrived — don't overwrite it with the cached copy
+    if (Array.isArray(stored) && scriptRules.length === 0) {
+      scriptRules = stored;
+    }
+  });
+}
@@ -6,6 +6,8 @@ import { runtime, tabs, webNavigation, windows } from '@utils/browser-api.js';
 import { logger } from '@utils/logger';
 import type { IRecordingService } from '@/types/recording';
 import { checkIfUrlMatchesAnyRule, tabsWithActiveRules } from './request-tracker';
+import { scheduleUpdate } from './rule-engine';
+import { endScopesForTab, moveScopesToTab } from './rule-scopes';
 import { isTrackableUrl, normalizeUrlForTracking } from './url-utils';
 
 /**
@@ -112,6 +114,10 @@ export function setupTabListeners(updateBadgeCallback: () => void, recordingServ
     if (recordingService) {
       recordingService.cleanupTab(tabId);
     }
+    // Rules limited to this tab must not outlive it as session rules
+    if (endScopesForTab(tabId)) {
+      scheduleUpdate('ruleScopes', { immediate: true });
+    }
     logger.info('TabListeners', `Cleaned up tracking for closed tab ${tabId}`);
   });
 
@@ -119,6 +125,10 @@ export function setupTabListeners(updateBadgeCallback: () => void, recordingServ
   tabs.onReplaced?.addListener((addedTabId: number, removedTabId: number) => {
     logger.info('TabListeners', `Tab ${removedTabId} replaced by ${addedTabId}, transferring tracking`);
 
+    if (moveScopesToTab(removedTabId, addedTabId)) {
+      scheduleUpdate('ruleScopes', { immediate: true });
+    }
+
     // Transfer tracking from old tab to new tab if any exists
     if (tabsWithActiveRules.has(removedTabId)) {
       const trackedUrls = tabsWithActiveRules.get(removedTabId)!;
@@ -0,0 +1,161 @@
+/**
+ * URL Rules — translates desktop URL rules into declarativeNetRequest rules.
+ *
+ * Each enabled UrlRule becomes a single DNR rule:
+ * - action 'block'    → { type: 'block' }
+ * - action 'redirect' → redirect.url, or redirect.regexSubstitution for regex rules
+ * - action 'modify'   → redirect.transform.queryTransform built from modifyParams
+ *
+ * Match types map onto DNR conditions:
+ * - 'contains' → urlFilter (substring)
+ * - 'exact'    → urlFilter anchored on both ends ("|url|")
+ * - 'regex'    → regexFilter
+ *
+ * Rule domains narrow the match via condition.requestDomains, which already
+ * covers subdomains, so "*.example.com" and "example.com" are equivalent there.
+ */
+
+import type { UrlRule } from '@openheaders/core';
+import { logger } from '@utils/logger';
+import type { QueryParamReplacement, UrlDnrRule, UrlRedirect } from '@/types/url-rule';
+
+/** Above request header rules (100) so a redirect/block wins over header injection on the same request. */
+const URL_RULE_PRIORITY = 200;
+
+const ALL_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
+  'main_frame',
+  'sub_frame',
+  'stylesheet',
+  'script',
+  'image',
+  'font',
+  'object',
+  'xmlhttprequest',
+  'ping',
+  'media',
+  'websocket',
+  'other',
+] as chrome.declarativeNetRequest.ResourceType[];
+
+/**
+ * Build DNR rules for all enabled URL rules, assigning IDs from startId.
+ * Invalid rules are skipped with a debug log rather than failing the batch —
+ * a single bad rule must not prevent header rules from being applied.
+ */
+export function createUrlDnrRules(rules: UrlRule[], startId: number): UrlDnrRule[] {
+  const dnrRules: UrlDnrRule[] = [];
+  let ruleId = startId;
+
+  for (const rule of rules) {
+    if (rule.isEnabled === false) {
+      logger.debug('UrlRules', `Skipping disabled URL rule "${rule.name}"`);
+      continue;
+    }
+
+    const dnrRule = createUrlDnrRule(rule, ruleId);
+    if (dnrRule) {
+      dnrRules.push(dnrRule);
+      ruleId++;
+    }
+  }
+
+  return dnrRules;
+}
+
+function createUrlDnrRule(rule: UrlRule, id: number): UrlDnrRule | null {
+  const pattern = rule.matchPattern?.trim();
+  if (!pattern) {
+    logger.debug('UrlRules', `Skipping URL rule "${rule.name}" — no match pattern`);
+    return null;
+  }
+
+  const condition: UrlDnrRule['condition'] = { resourceTypes: ALL_RESOURCE_TYPES };
+  if (rule.matchType === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch (_e) {
+      logger.debug('UrlRules', `Skipping URL rule "${rule.name}" — invalid regex`);
+      return null;
+    }
+    condition.regexFilter = pattern;
+  } else {
+    condition.urlFilter = rule.matchType === 'exact' ? `|${pattern}|` : pattern;
+  }
+
+  const domains = Array.isArray(rule.domains) ? rule.domains.filter((d) => d?.trim()) : [];
+  if (domains.length > 0 && !domains.some((d) => d.trim() === '*')) {
+    const requestDomains = domains.map(toRequestDomain).filter((d): d is string => d !== null);
+    if (requestDomains.length === 0) {
+      // Dropping the restriction would widen the rule to every site — skip instead
+      logger.debug('UrlRules', `Skipping URL rule "${rule.name}" — no usable domains`);
+      return null;
+    }
+    condition.requestDomains = [...new Set(requestDomains)];
+  }
+
+  if (rule.action === 'block') {
+    return { id, priority: URL_RULE_PRIORITY, action: { type: 'block' }, condition };
+  }
+
+  const redirect = rule.action === 'modify' ? createQueryTransform(rule) : createRedirect(rule);
+  if (!redirect) return null;
+
+  return { id, priority: URL_RULE_PRIORITY, action: { type: 'redirect', redirect }, condition };
+}
+
+function createRedirect(rule: UrlRule): UrlRedirect | null {
+  const target = rule.redirectTo?.trim();
+  if (!target) {
+    logger.debug('UrlRules', `Skipping URL rule "${rule.name}" — no redirect target`);
+    return null;
+  }
+  return rule.matchType === 'regex' ? { regexSubstitution: target } : { url: target };
+}
+
+function createQueryTransform(rule: UrlRule): UrlRedirect | null {
+  const addOrReplaceParams: QueryParamReplacement[] = [];
+  const removeParams: string[] = [];
+
+  for (const param of rule.modifyParams || []) {
+    const key = param.key?.trim();
+    if (!key) continue;
+    if (param.action === 'remove') {
+      removeParams.push(key);
+    } else {
+      addOrReplaceParams.push({ key, value: param.value ?? '' });
+    }
+  }
+
+  if (addOrReplaceParams.length === 0 && removeParams.length === 0) {
+    logger.debug('UrlRules', `Skipping URL rule "${rule.name}" — no query parameters to modify`);
+    return null;
+  }
+
+  return {
+    transform: {
+      queryTransform: {
+        ...(addOrReplaceParams.length > 0 ? { addOrReplaceParams } : {}),
+        ...(removeParams.length > 0 ? { removeParams } : {}),
+      },
+    },
+  };
+}
+
+/**
+ * Reduce a user-entered domain pattern to the bare hostname DNR expects in
+ * requestDomains. Returns null for patterns that cannot be expressed there
+ * (inner wildcards, unresolved env var templates).
+ */
+export function toRequestDomain(domain: string): string | null {
+  let host = domain.trim().toLowerCase();
+
+  const protocolEnd = host.indexOf('://');
+  if (protocolEnd !== -1) host = host.substring(protocolEnd + 3);
+
+  host = host.split('/')[0];
+  if (!host.startsWith('[')) host = host.split(':')[0];
+  if (host.startsWith('*.')) host = host.substring(2);
+
+  if (!host || host.includes('*') || host.includes('{{')) return null;
+  return host;
+}
@@ -1,19 +1,30 @@
 /**
- * URL Utilities — single owner of all URL pattern logic.
+ * URL Utilities — single owner of all URL pattern logic in the extension.
  *
- * Two responsibilities:
- * 1. formatUrlPattern() — converts a domain pattern into the canonical MV3
- *    declarativeNetRequest urlFilter string. Used by header-manager.ts.
- * 2. doesUrlMatchPattern() — replicates urlFilter matching semantics in-memory
- *    via compiled RegExp. Used by request-tracker.ts (badge, Active tab).
- *
- * Both functions share the same normalization path so they always agree
- * on whether a URL matches a pattern.
+ * Patterns are parsed and matched by the URL pattern engine in
+ * @openheaders/core, which the desktop proxy uses too:
+ * 1. toUrlCondition() / toExcludingUrlConditions() — convert a pattern into
+ *    declarativeNetRequest urlFilter or regexFilter conditions, the latter with
+ *    excluded URLs cut out. Used by header-manager.ts.
+ * 2. doesUrlMatchPattern() / findMatchingPattern() — match URLs in-memory with
+ *    the same semantics. Used by request-tracker.ts (badge, Active tab) and
+ *    script-injection.ts.
  */
 
+import type { DnrScopedUrlCondition, DnrUrlCondition, ParsedUrlPattern } from '@openheaders/core/utils';
+import {
+  findMatchingUrlPattern,
+  parseUrlPattern,
+  testUrlPattern,
+  toDnrExcludingConditions,
+  toDnrUrlCondition,
+} from '@openheaders/core/utils';
+
+export { isNegatedUrlPattern } from '@openheaders/core/utils';
+
 // ── Pre-compiled pattern cache ─────────────────────────────────────
-// Key: raw pattern string → Value: compiled RegExp (or null for '*')
-const compiledPatternCache = new Map<string, RegExp | null>();
+// Key: raw pattern string → Value: parsed pattern (or null if it can never match)
+const compiledPatternCache = new Map<string, ParsedUrlPattern | null>();
 
 /**
  * Clear pattern caches — call when rules change
@@ -27,8 +38,7 @@ export function clearPatternCache(): void {
  * Call this when rules are loaded to avoid regex compilation in hot paths.
  */
 export function precompilePattern(pattern: string): void {
-  if (compiledPatternCache.has(pattern)) return;
-  compileAndCachePattern(pattern);
+  getCompiledPattern(pattern);
 }
 
 /**
@@ -36,99 +46,48 @@ export function precompilePattern(pattern: string): void {
  */
 export function precompileAllPatterns(domains: string[]): void {
   for (const domain of domains) {
-    if (!compiledPatternCache.has(domain)) {
-      compileAndCachePattern(domain);
-    }
+    getCompiledPattern(domain);
+  }
+}
+
+function getCompiledPattern(pattern: string): ParsedUrlPattern | null {
+  let compiled = compiledPatternCache.get(pattern);
+  if (compiled === undefined) {
+    compiled = parseUrlPattern(pattern);
+    compiledPatternCache.set(pattern, compiled);
   }
+  return compiled;
 }
 
 /**
- * Convert a user-entered domain pattern into a MV3 declarativeNetRequest
- * urlFilter string. This is the single normalization function — both
- * declarativeNetRequest rules and the in-memory regex matcher use it.
+ * Convert a user-entered pattern into the declarativeNetRequest condition
+ * matching the same URLs, anchored at the start of the URL. Negation is ignored — negated patterns are turned
+ * into allow rules by the caller. Returns null for patterns that never match.
  *
- * Supported inputs:
- *   "example.com"                → "*://example.com/*"
- *   "*.example.com"              → "*://*.example.com/*"
- *   "example.com/api"            → "*://example.com/api"
- *   "example.com/api/*"          → "*://example.com/api/*"
- *   "localhost:3000"             → "*://localhost:3000/*"
- *   "192.168.1.1:8080"          → "*://192.168.1.1:8080/*"
- *   "https://example.com/*"     → "https://example.com/*"
- *   "*"                         → "*"
+ *   "example.com"                → { regexFilter: "^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\.com/" }
+ *   "*.example.com"              → { urlFilter: "||example.com/*" }
+ *   "example.com/api"            → { regexFilter: "^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\.com\/api" }
+ *   "https://example.com"        → { urlFilter: "|https://example.com/*" }
+ *   "/\.dev\//"                  → { regexFilter: "\.dev\/" }
+ *   "*"                          → { urlFilter: "*" }
  */
-export function formatUrlPattern(domain: string): string {
-  let urlFilter = domain.trim();
-
-  if (urlFilter === '*') return '*';
-
-  // If pattern already has a protocol, just ensure it has a path
-  if (urlFilter.includes('://')) {
-    const protocolEnd = urlFilter.indexOf('://') + 3;
-    const afterProtocol = urlFilter.substring(protocolEnd);
-    if (!afterProtocol.includes('/')) {
-      urlFilter = `${urlFilter}/*`;
-    }
-    return urlFilter;
-  }
-
-  // Add wildcard protocol
-  urlFilter = `*://${urlFilter}`;
-
-  // Ensure pattern has a path — bare hostnames get /*
-  const protocolEnd = urlFilter.indexOf('://') + 3;
-  const afterProtocol = urlFilter.substring(protocolEnd);
-  if (!afterProtocol.includes('/')) {
-    urlFilter = `${urlFilter}/*`;
-  }
-
-  return urlFilter;
+export function toUrlCondition(pattern: string): DnrUrlCondition | null {
+  return toDnrUrlCondition(pattern);
 }
 
 /**
- * Internal: compile a pattern into a RegExp that replicates MV3 urlFilter
- * matching semantics.
+ * Conditions for the URLs a pattern matches minus the excluded patterns, with
+ * the exclusions no condition can express returned as `unscoped`.
  *
- * Key difference from exact regex: urlFilter does NOT anchor at the end.
- * "*://example.com/api" matches "https://example.com/api/v2/users"
- * because Chrome treats urlFilter as a prefix/substring match.
+ *   "*.example.com" without "!admin.example.com"
+ *     → [{ urlFilter: "||example.com/*", excludedRequestDomains: ["admin.example.com"] },
+ *        { regexFilter: "...[^/?#@]*\.admin\.example\.com\/" }]   (its subdomains)
  */
-function compileAndCachePattern(pattern: string): void {
-  const trimmed = pattern.trim().toLowerCase();
-
-  // Wildcard matches everything
-  if (trimmed === '*') {
-    compiledPatternCache.set(pattern, null); // null = match-all sentinel
-    return;
-  }
-
-  // Normalize through the same function used for declarativeNetRequest
-  let urlFilter = formatUrlPattern(trimmed);
-
-  // Handle IDN in patterns
-  try {
-    // biome-ignore lint/suspicious/noControlCharactersInRegex: intentional — detecting non-ASCII for IDN normalization
-    if (/[^\x00-\x7F]/.test(urlFilter)) {
-      const patternUrl = new URL(urlFilter.replace('*://', 'http://'));
-      urlFilter = formatUrlPattern(patternUrl.hostname.toLowerCase());
-    }
-  } catch (_e) {
-    // Pattern is not a valid URL, continue with original
-  }
-
-  // Normalize default ports
-  urlFilter = urlFilter.replace(/:80\//, '/').replace(/:443\//, '/');
-
-  // Convert urlFilter to regex:
-  // 1. Escape special regex chars (except *)
-  // 2. Replace * with .*
-  // 3. Anchor at start only (^) — no end anchor ($)
-  //    This replicates urlFilter semantics where the pattern
-  //    matches if the URL starts with the expanded pattern.
-  const regexPattern = urlFilter.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
-
-  const regex = new RegExp(`^${regexPattern}`, 'i');
-  compiledPatternCache.set(pattern, regex);
+export function toExcludingUrlConditions(
+  pattern: string,
+  exclusions: string[],
+): { conditions: DnrScopedUrlCondition[]; unscoped: string[] } {
+  return toDnrExcludingConditions(pattern, exclusions);
 }
 
 /**
@@ -205,50 +164,16 @@ export function isTrackableUrl(url: string): boolean {
 }
 
 /**
- * URL pattern matching using pre-compiled regex cache.
- * Replicates MV3 declarativeNetRequest urlFilter semantics.
+ * Whether a URL matches a single pattern, using the pre-compiled cache.
  */
 export function doesUrlMatchPattern(url: string, pattern: string): boolean {
-  try {
-    const normalizedUrl = normalizeUrlForTracking(url);
-
-    let cached = compiledPatternCache.get(pattern);
-
-    if (cached === undefined) {
-      // Pattern not pre-compiled — compile now and cache
-      compileAndCachePattern(pattern);
-      cached = compiledPatternCache.get(pattern);
-      // If compilation still didn't produce a result, bail out
-      if (cached === undefined) return false;
-    }
-
-    // null sentinel means match-all ('*')
-    if (cached === null) return true;
-
-    // Fast path: if the pattern is a simple exact domain (no wildcards, no path,
-    // no protocol), try direct hostname:port comparison.
-    const trimmedPattern = pattern.trim().toLowerCase();
-    if (!trimmedPattern.includes('*') && !trimmedPattern.includes('/') && !trimmedPattern.includes('://')) {
-      try {
-        const urlObj = new URL(normalizedUrl);
-        const portSuffix = urlObj.port ? `:${urlObj.port}` : '';
-        const hostWithPort = urlObj.hostname + portSuffix;
-        // Strict match: "localhost:3000" must match "localhost:3000",
-        // bare "localhost" must match "localhost" (no port in URL).
-        // This prevents bare "localhost" from matching "localhost:3000".
-        if (hostWithPort === trimmedPattern) {
-          return true;
-        }
-        // Fall through to regex — don't short-circuit with hostname-only
-        // comparison, because pattern "localhost" compiled to
-        // *://localhost/* which does NOT match http://localhost:3000/...
-      } catch (_e) {
-        // fall through to regex
-      }
-    }
+  return testUrlPattern(getCompiledPattern(pattern), url);
+}
 
-    return cached.test(normalizedUrl);
-  } catch (_e) {
-    return false;
-  }
+/**
+ * Match a URL against a rule's domains: one plain pattern must match and no
+ * negated (`!pattern`) one. Returns the pattern that matched, or null.
+ */
+export function findMatchingPattern(url: string, patterns: string[]): string | null {
+  return findMatchingUrlPattern(url, patterns, getCompiledPattern);
 }
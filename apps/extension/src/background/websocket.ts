@@ -9,7 +9,10 @@ import { logger } from '@utils/logger';
 import { sendMessageWithCallback } from '@utils/messaging';
 import { getChunkedData, setChunkedData } from '@utils/storage-chunking.js';
 import type { OnSourcesReceivedCallback } from '@/types/websocket';
+import { setUrlRules } from './header-manager';
 import { scheduleUpdate } from './modules/rule-engine';
+import { flushRuleHits } from './modules/rule-hits';
+import { setScriptRules } from './modules/script-injection';
 import { getCurrentSources, setSourcesFromApp } from './modules/sources-store';
 import { generateSourcesHash } from './modules/utils';
 import { adaptWebSocketUrl, safariPreCheck } from './safari-websocket-adapter';
@@ -297,18 +300,36 @@ function handleRulesUpdateMessage(parsed: { data: { rules: RulesData } }): void
     savedData[rule.id] = {
       headerName: rule.headerName,
       headerValue: rule.headerValue || '',
+      operation: rule.operation || 'set',
+      priority: rule.priority || 0,
       domains: rule.domains || [],
       isDynamic: rule.isDynamic || false,
       sourceId: rule.sourceId || '',
       prefix: rule.prefix || '',
       suffix: rule.suffix || '',
       isResponse: rule.isResponse || false,
+      methods: rule.methods || [],
+      resourceTypes: rule.resourceTypes || [],
+      initiatorDomains: rule.initiatorDomains || [],
+      excludedDomains: rule.excludedDomains || [],
       isEnabled: rule.isEnabled !== false,
       tag: rule.tag || '',
       createdAt: rule.createdAt || new Date().toISOString(),
     };
   });
 
+  const urlRules = rules.url || [];
+  setUrlRules(urlRules);
+  storage.local.set({ urlRules }, () => {
+    logger.debug('WebSocket', `${urlRules.length} URL rules saved to local storage`);
+  });
+
+  const scriptRules = rules.script || [];
+  setScriptRules(scriptRules);
+  storage.local.set({ scriptRules }, () => {
+    logger.debug('WebSocket', `${scriptRules.length} script rules saved to local storage`);
+  });
+
   setChunkedData('savedData', savedData, () => {
     if (runtime.lastError) {
       logger.error('WebSocket', 'Error saving header rules:', runtime.lastError);
@@ -371,6 +392,15 @@ function handleOtherMessages(parsed: Record<string, unknown>): void {
       },
       (_response, _error) => {},
     );
+  } else if (parsed.type === 'profiles-update' && parsed.data) {
+    storage.local.set({ ruleProfiles: parsed.data }, () => {
+      logger.debug('WebSocket', 'Rule profiles saved to local storage');
+    });
+  } else if (parsed.type === 'profile-applied' && parsed.data) {
+    // Rules and environment arrive via rules-update; tag groups live in the extension
+    const data = parsed.data as { profileId: string; disabledTagGroups?: string[] };
+    logger.info('WebSocket', 'Profile applied by desktop app:', data.profileId);
+    storage.local.set({ disabledTagGroups: data.disabledTagGroups ?? [] });
   } else if (parsed.type === 'recordingHotkeyPressed') {
     logger.info('WebSocket', 'WebSocket received recording hotkey press');
     storage.local.set(
@@ -425,6 +455,18 @@ function sendBrowserInfo(): void {
   }
 }
 
+/**
+ * Report the disabled tag groups so the desktop app can capture them in profiles
+ */
+function sendTagGroups(): void {
+  storage.local.get(['disabledTagGroups'], (result: Record<string, unknown>) => {
+    sendViaWebSocket({
+      type: 'tagGroupsChanged',
+      disabledTagGroups: (result.disabledTagGroups as string[] | undefined) ?? [],
+    });
+  });
+}
+
 /**
  * Standard WebSocket connection implementation
  */
@@ -461,6 +503,9 @@ function connectStandardWebSocket(url: string, onSourcesReceived: OnSourcesRecei
         reconnectAttempts = 0;
         broadcastConnectionStatus();
         sendBrowserInfo();
+        sendTagGroups();
+        // Hits counted while the app was away
+        flushRuleHits();
       };
 
       socket.onmessage = createMessageHandler(onSourcesReceived);
@@ -1,4 +1,4 @@
-import type { HeaderEntry } from '@openheaders/core';
+import type { HeaderEntry, RuleProfileSummary } from '@openheaders/core';
 
 export type { HeaderEntry } from '@openheaders/core';
 
@@ -35,6 +35,12 @@ export interface UiState {
   [key: string]: unknown;
 }
 
+/** Profile list pushed by the desktop app, stored as `ruleProfiles` in storage.local */
+interface RuleProfilesData {
+  profiles: RuleProfileSummary[];
+  activeProfileId: string | null;
+}
+
 export interface HeaderContextValue {
   headerEntries: Record<string, HeaderEntry>;
   dynamicSources: DynamicSource[];
@@ -44,6 +50,9 @@ export interface HeaderContextValue {
   uiState: UiState;
   disabledTagGroups: Set<string>;
   toggleTagGroup: (tagGroup: string) => void;
+  profiles: RuleProfileSummary[];
+  activeProfileId: string | null;
+  applyProfile: (profileId: string) => void;
   loadHeaderEntries: (forceRefresh?: boolean) => void;
   loadDynamicSources: () => void;
   refreshHeaderEntries: () => void;
@@ -76,6 +85,9 @@ const defaultContextValue: HeaderContextValue = {
   },
   disabledTagGroups: new Set(),
   toggleTagGroup: () => {},
+  profiles: [],
+  activeProfileId: null,
+  applyProfile: () => {},
   loadHeaderEntries: () => {},
   loadDynamicSources: () => {},
   refreshHeaderEntries: () => {},
@@ -105,6 +117,7 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     },
   });
   const [disabledTagGroups, setDisabledTagGroups] = useState<Set<string>>(new Set());
+  const [ruleProfiles, setRuleProfiles] = useState<RuleProfilesData>({ profiles: [], activeProfileId: null });
 
   const isLoadingRef = useRef(false);
   const loadTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
@@ -165,11 +178,15 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     loadDynamicSources();
 
     // Load disabled tag groups
-    storage.local.get(['disabledTagGroups'], (result: Record<string, unknown>) => {
+    storage.local.get(['disabledTagGroups', 'ruleProfiles'], (result: Record<string, unknown>) => {
       const groups = result.disabledTagGroups as string[] | undefined;
       if (Array.isArray(groups)) {
         setDisabledTagGroups(new Set(groups));
       }
+      const profilesData = result.ruleProfiles as RuleProfilesData | undefined;
+      if (profilesData && Array.isArray(profilesData.profiles)) {
+        setRuleProfiles(profilesData);
+      }
     });
 
     const handleStorageChange = (changes: { [key: string]: chrome.storage.StorageChange }, areaName: string) => {
@@ -196,6 +213,10 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
         const groups = (changes.disabledTagGroups.newValue as string[]) || [];
         setDisabledTagGroups(new Set(groups));
       }
+      if (areaName === 'local' && changes.ruleProfiles) {
+        const profilesData = changes.ruleProfiles.newValue as RuleProfilesData | undefined;
+        setRuleProfiles(profilesData ?? { profiles: [], activeProfileId: null });
+      }
     };
 
     storage.onChanged.addListener(handleStorageChange);
@@ -317,6 +338,11 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     });
   }, []);
 
+  const applyProfile = useCallback((profileId: string) => {
+    // The desktop app applies the profile and pushes rules and tag groups back
+    sendContextMessage({ type: 'applyProfile', profileId });
+  }, []);
+
   const contextValue: HeaderContextValue = {
     headerEntries,
     dynamicSources,
@@ -326,6 +352,9 @@ export const HeaderProvider: React.FC<HeaderProviderProps> = ({ children }) => {
     uiState,
     disabledTagGroups,
     toggleTagGroup,
+    profiles: ruleProfiles.profiles,
+    activeProfileId: ruleProfiles.activeProfileId,
+    applyProfile,
     loadHeaderEntries,
     loadDynamicSources,
     refreshHeaderEntries,
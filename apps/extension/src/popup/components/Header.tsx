@@ -7,6 +7,7 @@ import {
   InfoCircleOutlined,
   KeyOutlined,
   MenuOutlined,
+  ProfileOutlined,
   QuestionCircleOutlined,
   RocketOutlined,
   StarOutlined,
@@ -75,7 +76,7 @@ const LOG_LEVEL_OPTIONS: Array<{ value: LogLevel; label: React.ReactNode }> = [
 ];
 
 const Header: React.FC<HeaderProps> = ({ onShowShortcuts, onShowTour }) => {
-  const { isConnected, isStatusLoaded } = useHeader();
+  const { isConnected, isStatusLoaded, profiles, activeProfileId, applyProfile } = useHeader();
   const { themeMode, setThemeMode, isCompactMode, toggleCompactMode } = useTheme();
   const [logLevel, setLogLevel] = useState<LogLevel>(logger.getLevel());
 
@@ -283,6 +284,23 @@ const Header: React.FC<HeaderProps> = ({ onShowShortcuts, onShowTour }) => {
             />
           </Space>
         </div>
+        {isConnected && profiles.length > 0 && (
+          <Select
+            size="small"
+            variant="borderless"
+            placeholder={
+              <Space size={4}>
+                <ProfileOutlined />
+                <span>Profile</span>
+              </Space>
+            }
+            value={profiles.some((p) => p.id === activeProfileId) ? activeProfileId : undefined}
+            onChange={applyProfile}
+            options={profiles.map((p) => ({ value: p.id, label: p.name }))}
+            style={{ width: 130, fontSize: 12 }}
+            popupMatchSelectWidth={false}
+          />
+        )}
         <Dropdown menu={{ items: themeMenuItems }} placement="bottomRight" trigger={['click']}>
           <Button
             type="text"
@@ -12,11 +12,13 @@ import {
   SendOutlined,
   StopOutlined,
   SwapOutlined,
+  WarningOutlined,
 } from '@ant-design/icons';
 import type { DynamicSource, HeaderEntry } from '@context/HeaderContext';
 import { useKeyboardNav } from '@context/KeyboardNavContext';
 import { useHeader } from '@hooks/useHeader';
 import { getAppLauncher } from '@utils/app-launcher';
+import { lintHeaderRules } from '@utils/header-validator';
 import { App, Button, Dropdown, Empty, Input, Popconfirm, Space, Switch, Table, Tooltip, Typography } from 'antd';
 import type { ColumnsType } from 'antd/es/table';
 import type { FilterValue, SorterResult } from 'antd/es/table/interface';
@@ -57,6 +59,8 @@ interface TableRecord {
   actualValue: string;
   tag: string;
   isCachedValue: boolean;
+  /** Problems that keep the rule from working as written */
+  lintMessages: string[];
 }
 
 interface DynamicValueInfo {
@@ -104,6 +108,10 @@ const HeaderTable: React.FC<HeaderTableProps> = ({
   }, [uiState?.tableState]);
 
   function getDynamicValueInfo(entry: HeaderEntry, sources: DynamicSource[], connected: boolean): DynamicValueInfo {
+    if (entry.operation === 'remove') {
+      return { sourceInfo: '', sourceTag: '', placeholderType: null, actualValue: '(removed)', isCachedValue: false };
+    }
+
     if (!entry.isDynamic || !entry.sourceId) {
       if (!entry.headerValue?.trim()) {
         return { sourceInfo: '', sourceTag: '', placeholderType: 'empty_value', actualValue: '', isCachedValue: false };
@@ -147,6 +155,16 @@ const HeaderTable: React.FC<HeaderTableProps> = ({
     return { sourceInfo, sourceTag, placeholderType: null, actualValue, isCachedValue: !connected };
   }
 
+  const lintMessages = new Map<string, string[]>();
+  const lintSources = dynamicSources.map((source) => ({
+    sourceId: source.sourceId ?? source.locationId,
+    sourceContent: source.sourceContent ?? source.locationContent,
+  }));
+  const lintableEntries = Object.entries(headerEntries).map(([id, entry]) => ({ ...entry, id }));
+  for (const warning of lintHeaderRules(lintableEntries, { sources: lintSources })) {
+    lintMessages.set(warning.ruleId, [...(lintMessages.get(warning.ruleId) || []), warning.message]);
+  }
+
   const dataSource: TableRecord[] = Object.entries(headerEntries).map(([id, entry]) => {
     const dynamicInfo = getDynamicValueInfo(entry, dynamicSources, isConnected);
     return {
@@ -167,6 +185,7 @@ const HeaderTable: React.FC<HeaderTableProps> = ({
       actualValue: dynamicInfo.actualValue,
       isCachedValue: dynamicInfo.isCachedValue,
       tag: entry.tag || '',
+      lintMessages: lintMessages.get(id) || [],
     };
   });
 
@@ -342,6 +361,19 @@ const HeaderTable: React.FC<HeaderTableProps> = ({
                 <ExclamationCircleOutlined style={{ color: '#ff4d4f', fontSize: '12px' }} />
               </Tooltip>
             )}
+            {record.lintMessages.length > 0 && (
+              <Tooltip
+                title={
+                  <div>
+                    {record.lintMessages.map((lintMessage, index) => (
+                      <div key={index}>{lintMessage}</div>
+                    ))}
+                  </div>
+                }
+              >
+                <WarningOutlined style={{ color: '#fa541c', fontSize: '12px' }} />
+              </Tooltip>
+            )}
           </Space>
         );
       },
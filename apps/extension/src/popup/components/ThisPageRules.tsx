@@ -4,15 +4,18 @@ import {
   DeleteOutlined,
   EditOutlined,
   ExclamationCircleOutlined,
+  FieldTimeOutlined,
   FileTextOutlined,
 } from '@ant-design/icons';
 import { useKeyboardNav } from '@context/KeyboardNavContext';
 import { useHeader } from '@hooks/useHeader';
 import { getAppLauncher } from '@utils/app-launcher';
+import { formatTimeRemaining, isScopeActive } from '@utils/rule-scope';
 import {
   App,
   Badge,
   Button,
+  Dropdown,
   Empty,
   Input,
   Popconfirm,
@@ -30,6 +33,7 @@ import type React from 'react';
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { useRowActionRegistration } from '@/hooks/useRowActionRegistration';
 import { useTablePagination } from '@/hooks/useTablePagination';
+import type { RuleScope, RuleScopeRequest } from '@/types/rule-scope';
 import { getTagColor, type PageInfo, type RowActions } from '../utils/table-shared';
 import {
   renderDomainTags,
@@ -110,9 +114,41 @@ interface ActiveRule {
   tag?: string;
   matchType?: string;
   matchedUrls?: MatchedRequest[];
+  scope?: RuleScope;
   [key: string]: unknown;
 }
 
+const SCOPE_DURATIONS: { key: string; label: string; durationMs: number }[] = [
+  { key: '15m', label: 'For 15 minutes', durationMs: 15 * 60_000 },
+  { key: '1h', label: 'For 1 hour', durationMs: 60 * 60_000 },
+  { key: '8h', label: 'For 8 hours', durationMs: 8 * 60 * 60_000 },
+];
+
+/**
+ * Status tag for a rule limited to a tab or a duration, or null when unscoped.
+ * Labels stay fixed so they can be used as filter values; the time left goes in the tooltip.
+ */
+function getScopeTag(scope: RuleScope | undefined, tabId: number | undefined, now: number): TagDescriptor | null {
+  if (!scope) return null;
+  if (!isScopeActive(scope, now)) {
+    return { label: 'Expired', color: 'default', tooltip: 'Limit ran out — rule not injected until re-activated' };
+  }
+  const timeLeft = scope.expiresAt !== undefined ? ` — expires in ${formatTimeRemaining(scope.expiresAt, now)}` : '';
+  if (scope.tabId !== undefined && scope.tabId !== tabId) {
+    return { label: 'Other tab', color: 'default', tooltip: 'Limited to another tab — not injected here' };
+  }
+  if (scope.tabId !== undefined) {
+    return { label: 'Tab', color: 'processing', tooltip: `Only injected in this tab${timeLeft}` };
+  }
+  return { label: 'Temporary', color: 'processing', tooltip: `Temporary rule${timeLeft}` };
+}
+
+/** Whether a scoped rule is currently not injected in this tab */
+function isScopeSuspended(scope: RuleScope | undefined, tabId: number | undefined, now: number): boolean {
+  const label = getScopeTag(scope, tabId, now)?.label;
+  return label === 'Expired' || label === 'Other tab';
+}
+
 interface CurrentTabInfo {
   id: number;
   url: string;
@@ -193,6 +229,15 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
   const [searchText, setSearchText] = useState('');
   const [filteredInfo, setFilteredInfo] = useState<Record<string, FilterValue | null>>({});
   const [sortedInfo, setSortedInfo] = useState<SorterResult<TableRecord>>({});
+  const [now, setNow] = useState(() => Date.now());
+
+  // Keep "expires in" tooltips and Expired tags current while temporary rules are listed
+  const hasTemporaryRules = activeRules.some((r) => r.scope?.expiresAt !== undefined);
+  useEffect(() => {
+    if (!hasTemporaryRules) return;
+    const interval = setInterval(() => setNow(Date.now()), 15_000);
+    return () => clearInterval(interval);
+  }, [hasTemporaryRules]);
 
   useEffect(() => {
     const fetchActiveRules = async () => {
@@ -356,6 +401,27 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
     [message],
   );
 
+  // Scopes are extension-local, so they work without the app connected
+  const handleSetScope = useCallback(
+    (record: TableRecord, request: RuleScopeRequest | null) => {
+      const bApi = typeof browser !== 'undefined' ? browser : chrome;
+      const msg = request
+        ? { type: 'setRuleScope', ruleId: record.id, scope: request }
+        : { type: 'clearRuleScope', ruleId: record.id };
+      bApi.runtime.sendMessage(msg, (response: unknown) => {
+        const resp = response as { success?: boolean; scope?: RuleScope | null } | undefined;
+        if (!resp?.success) {
+          void message.error('Failed to update rule limit');
+          return;
+        }
+        setNow(Date.now());
+        setActiveRules((prev) => prev.map((r) => (r.id === record.id ? { ...r, scope: resp.scope ?? undefined } : r)));
+        void message.success(request ? 'Rule limit updated' : 'Rule limit removed');
+      });
+    },
+    [message],
+  );
+
   useRowActionRegistration(onRowActionsChange, {
     onToggleRow: handleToggleRow,
     onEditRow: handleEditRow,
@@ -442,6 +508,7 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
           ...dataSource.map((item) => (item.isResponse ? 'Response' : 'Request')),
           ...dataSource.filter((item) => item.tag).map((item) => item.tag as string),
           ...dataSource.filter((item) => disabledTagGroups.has(item.tag || '__no_tag__')).map(() => 'Paused'),
+          ...dataSource.flatMap((item) => getScopeTag(item.scope, currentTab?.id, now)?.label ?? []),
         ]),
       ].map((tag) => ({ text: tag, value: tag })),
       filteredValue: filteredInfo.tags || null,
@@ -456,6 +523,7 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
           record.isResponse ? 'Response' : 'Request',
           ...(record.tag ? [record.tag] : []),
           ...(disabledTagGroups.has(record.tag || '__no_tag__') ? ['Paused'] : []),
+          ...(getScopeTag(record.scope, currentTab?.id, now)?.label ?? []),
         ];
         return tags.includes(value as string);
       },
@@ -469,6 +537,10 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
             tooltip: `Tag group "${record.tag || 'Untagged'}" is paused — rule not injected`,
           });
         }
+        const scopeTag = getScopeTag(record.scope, currentTab?.id, now);
+        if (scopeTag) {
+          allTags.push(scopeTag);
+        }
         // Derive Page/Resource from actual matched URLs, not just matchType
         const urls = record.matchedUrls || [];
         const hasDirectMatch = urls.some((m) => m.url === currentTab?.url) || record.matchType === 'direct';
@@ -484,7 +556,10 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
         }
         allTags.push({ label: record.isResponse ? 'Res' : 'Req', tooltip: record.isResponse ? 'Response' : 'Request' });
         const hasStatusTag =
-          allTags[0]?.label === 'Paused' || allTags[0]?.label === 'Page' || allTags[0]?.label === 'Resource';
+          allTags[0]?.label === 'Paused' ||
+          allTags[0]?.label === scopeTag?.label ||
+          allTags[0]?.label === 'Page' ||
+          allTags[0]?.label === 'Resource';
         return renderTagOverflow(allTags, hasStatusTag ? 1 : 2);
       },
     },
@@ -535,51 +610,84 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
     {
       title: 'Actions',
       key: 'actions',
-      width: 70,
+      width: 96,
       align: 'center',
       fixed: 'right',
       render: (_: unknown, record: TableRecord) => (
-        <Tooltip title={!isConnected ? 'App not connected' : 'Edit or delete rule'}>
-          <Space size={2}>
-            <Button
-              type="text"
-              icon={<EditOutlined />}
-              size="small"
-              disabled={!isConnected}
-              onClick={async () => {
-                await appLauncher.launchOrFocus({
-                  tab: 'rules',
-                  subTab: 'headers',
-                  action: 'edit',
-                  itemId: record.id,
-                });
-                void message.info('Opening edit dialog in OpenHeaders app');
-              }}
-            />
-            <Popconfirm
-              title="Delete rule"
-              description={`Delete "${record.headerName}"?`}
-              onConfirm={() => {
-                setActiveRules((prev) => prev.filter((r) => r.id !== record.id));
-                const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
-                browserAPI.runtime.sendMessage({ type: 'deleteRule', ruleId: record.id }, (response: unknown) => {
-                  const resp = response as { success?: boolean } | undefined;
-                  if (resp?.success) {
-                    void message.success('Rule deleted');
-                  } else {
-                    void message.error('Failed to delete rule');
-                  }
-                });
-              }}
-              okText="Delete"
-              okType="danger"
-              cancelText="Cancel"
-              disabled={!isConnected}
-            >
-              <Button type="text" danger icon={<DeleteOutlined />} size="small" disabled={!isConnected} />
-            </Popconfirm>
-          </Space>
-        </Tooltip>
+        <Space size={2}>
+          <Dropdown
+            trigger={['click']}
+            placement="bottomRight"
+            menu={{
+              items: [
+                { key: 'tab', label: 'Only this tab' },
+                ...SCOPE_DURATIONS.map(({ key, label }) => ({ key, label })),
+                { type: 'divider' as const },
+                { key: 'clear', label: 'Remove limit', disabled: !record.scope },
+              ],
+              onClick: ({ key }) => {
+                if (key === 'clear') {
+                  handleSetScope(record, null);
+                } else if (key === 'tab') {
+                  handleSetScope(record, { tabId: currentTab?.id });
+                } else {
+                  const duration = SCOPE_DURATIONS.find((d) => d.key === key);
+                  if (duration) handleSetScope(record, { durationMs: duration.durationMs });
+                }
+              },
+            }}
+          >
+            <Tooltip title="Limit to this tab or a duration">
+              <Button
+                type="text"
+                icon={<FieldTimeOutlined />}
+                size="small"
+                style={record.scope ? { color: 'var(--ant-color-primary)' } : undefined}
+              />
+            </Tooltip>
+          </Dropdown>
+          <Tooltip title={!isConnected ? 'App not connected' : 'Edit or delete rule'}>
+            <Space size={2}>
+              <Button
+                type="text"
+                icon={<EditOutlined />}
+                size="small"
+                disabled={!isConnected}
+                onClick={async () => {
+                  await appLauncher.launchOrFocus({
+                    tab: 'rules',
+                    subTab: 'headers',
+                    action: 'edit',
+                    itemId: record.id,
+                  });
+                  void message.info('Opening edit dialog in OpenHeaders app');
+                }}
+              />
+              <Popconfirm
+                title="Delete rule"
+                description={`Delete "${record.headerName}"?`}
+                onConfirm={() => {
+                  setActiveRules((prev) => prev.filter((r) => r.id !== record.id));
+                  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+                  browserAPI.runtime.sendMessage({ type: 'deleteRule', ruleId: record.id }, (response: unknown) => {
+                    const resp = response as { success?: boolean } | undefined;
+                    if (resp?.success) {
+                      void message.success('Rule deleted');
+                    } else {
+                      void message.error('Failed to delete rule');
+                    }
+                  });
+                }}
+                okText="Delete"
+                okType="danger"
+                cancelText="Cancel"
+                disabled={!isConnected}
+              >
+                <Button type="text" danger icon={<DeleteOutlined />} size="small" disabled={!isConnected} />
+              </Popconfirm>
+            </Space>
+          </Tooltip>
+        </Space>
       ),
     },
   ];
@@ -753,7 +861,12 @@ const ThisPageRules: React.FC<ThisPageRulesProps> = ({
           })}
           rowClassName={(record: TableRecord, index: number) => {
             const classes: string[] = [];
-            if (disabledTagGroups.has(record.tag || '__no_tag__')) classes.push('row-group-paused');
+            if (
+              disabledTagGroups.has(record.tag || '__no_tag__') ||
+              isScopeSuspended(record.scope, currentTab?.id, now)
+            ) {
+              classes.push('row-group-paused');
+            }
             if (index === focusedRowIndex) classes.push('keyboard-focused-row');
             if (index === pendingDeleteIndex) classes.push('keyboard-pending-delete-row');
             return classes.join(' ');
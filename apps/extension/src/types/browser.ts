@@ -3,6 +3,7 @@
  */
 
 import type { Source } from '@openheaders/core';
+import type { RuleScope } from './rule-scope';
 
 declare const browser: typeof chrome | undefined;
 
@@ -43,9 +44,18 @@ export interface ActiveRule {
   key: string;
   matchType: 'direct' | 'indirect';
   matchedUrls: MatchedRequest[];
+  /** Tab or time limit set from the popup, if any */
+  scope?: RuleScope;
   [key: string]: unknown;
 }
 
+/** Tab-scoped and temporary rules among those active on the current tab */
+export interface BadgeScopeInfo {
+  tabScopedCount: number;
+  /** Epoch ms of the next time limit to run out, or null */
+  nextExpiry: number | null;
+}
+
 /** Context object passed to handleGeneralMessage */
 export interface MessageHandlerContext {
   getCurrentSources: () => Source[];
@@ -6,12 +6,18 @@
  * directly from '@openheaders/core'.
  */
 
+import type { HeaderOperation, RequestConditions } from '@openheaders/core';
+
 /** A fully resolved entry — safe to create a DNR rule */
 export interface ResolvedEntry {
   headerName: string;
   headerValue: string;
   domains: string[];
   isResponse: boolean;
+  operation: HeaderOperation;
+  /** Normalized rule priority, added to the DNR priority band */
+  priority: number;
+  conditions: RequestConditions;
 }
 
 /** Reasons a header may use a placeholder value */
@@ -32,20 +38,28 @@ export type EntryResult = { resolved: true; entry: ResolvedEntry } | { resolved:
 export interface HeaderDnrRule {
   id: number;
   priority: number;
-  action: {
-    type: 'modifyHeaders';
-    requestHeaders?: HeaderModification[];
-    responseHeaders?: HeaderModification[];
-  };
+  action:
+    | {
+        type: 'modifyHeaders';
+        requestHeaders?: HeaderModification[];
+        responseHeaders?: HeaderModification[];
+      }
+    | { type: 'allow' };
   condition: {
-    urlFilter: string;
+    urlFilter?: string;
+    regexFilter?: string;
     resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+    requestMethods?: chrome.declarativeNetRequest.RequestMethod[];
+    initiatorDomains?: string[];
+    excludedRequestDomains?: string[];
+    /** Only allowed on session rules */
+    tabIds?: number[];
   };
 }
 
-/** A single header modification operation */
+/** A single header modification operation — `value` is omitted for 'remove' */
 export interface HeaderModification {
   header: string;
-  operation: 'set' | 'remove' | 'append';
-  value: string;
+  operation: HeaderOperation;
+  value?: string;
 }
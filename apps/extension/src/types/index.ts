@@ -5,4 +5,6 @@
 export * from './browser';
 export * from './header';
 export * from './recording';
+export * from './rule-scope';
+export * from './url-rule';
 export * from './websocket';
@@ -0,0 +1,22 @@
+/**
+ * Rule scope type definitions.
+ *
+ * Scopes narrow a header rule to one browser tab and/or a limited time.
+ * They are extension-local (the desktop app never sees them) and are
+ * kept in storage.local under `ruleScopes`, keyed by rule id.
+ */
+
+export interface RuleScope {
+  /** Only inject the rule into this tab — becomes a DNR session rule with `tabIds` */
+  tabId?: number;
+  /** Epoch ms after which the rule stops being injected */
+  expiresAt?: number;
+}
+
+export type RuleScopeMap = Record<string, RuleScope>;
+
+/** Scope change requested from the popup — the duration is turned into `expiresAt` in the background */
+export interface RuleScopeRequest {
+  tabId?: number;
+  durationMs?: number;
+}
@@ -0,0 +1,38 @@
+/**
+ * URL rule type definitions.
+ *
+ * Extension-specific declarativeNetRequest shapes for URL rules
+ * (redirect, block, query transform). The rule model itself
+ * (UrlRule) is imported directly from '@openheaders/core'.
+ */
+
+/** A single query-string edit inside a DNR queryTransform */
+export interface QueryParamReplacement {
+  key: string;
+  value: string;
+}
+
+/** Redirect target of a URL rule — exactly one of the fields is set */
+export interface UrlRedirect {
+  url?: string;
+  regexSubstitution?: string;
+  transform?: {
+    queryTransform: {
+      addOrReplaceParams?: QueryParamReplacement[];
+      removeParams?: string[];
+    };
+  };
+}
+
+/** A URL rule suitable for chrome.declarativeNetRequest */
+export interface UrlDnrRule {
+  id: number;
+  priority: number;
+  action: { type: 'block' } | { type: 'redirect'; redirect: UrlRedirect };
+  condition: {
+    urlFilter?: string;
+    regexFilter?: string;
+    requestDomains?: string[];
+    resourceTypes: chrome.declarativeNetRequest.ResourceType[];
+  };
+}
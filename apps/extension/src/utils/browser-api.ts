@@ -245,6 +245,9 @@ export const alarms = browserAPI.alarms
       create: (name: string, alarmInfo: chrome.alarms.AlarmCreateInfo): void => {
         browserAPI.alarms.create(name, alarmInfo);
       },
+      clear: (name: string): void => {
+        void browserAPI.alarms.clear(name);
+      },
       onAlarm: {
         addListener: (listener: (alarm: chrome.alarms.Alarm) => void): void =>
           browserAPI.alarms.onAlarm.addListener(listener),
@@ -295,6 +298,46 @@ export const declarativeNetRequest = browserAPI.declarativeNetRequest
           });
         }
       },
+      // Session rules (tab-scoped) are missing from older Firefox and Safari builds
+      supportsSessionRules: typeof browserAPI.declarativeNetRequest.updateSessionRules === 'function',
+      updateSessionRules: (options: chrome.declarativeNetRequest.UpdateRuleOptions): Promise<void> => {
+        if (isFirefox) {
+          return browserAPI.declarativeNetRequest.updateSessionRules(options);
+        } else {
+          return new Promise<void>((resolve, reject) => {
+            try {
+              browserAPI.declarativeNetRequest.updateSessionRules(options, () => {
+                if (browserAPI.runtime.lastError) {
+                  reject(browserAPI.runtime.lastError);
+                } else {
+                  resolve();
+                }
+              });
+            } catch (e) {
+              reject(e);
+            }
+          });
+        }
+      },
+      getSessionRules: (): Promise<chrome.declarativeNetRequest.Rule[]> => {
+        if (isFirefox) {
+          return browserAPI.declarativeNetRequest.getSessionRules();
+        } else {
+          return new Promise<chrome.declarativeNetRequest.Rule[]>((resolve, reject) => {
+            try {
+              browserAPI.declarativeNetRequest.getSessionRules((rules) => {
+                if (browserAPI.runtime.lastError) {
+                  reject(browserAPI.runtime.lastError);
+                } else {
+                  resolve(rules);
+                }
+              });
+            } catch (e) {
+              reject(e);
+            }
+          });
+        }
+      },
     }
   : null;
 
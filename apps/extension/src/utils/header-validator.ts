@@ -5,6 +5,10 @@
  */
 
 export {
+  canAppendHeader,
+  lintHeaderRules,
+  MAX_HEADER_RULE_PRIORITY,
+  normalizeHeaderRulePriority,
   sanitizeHeaderValue,
   validateHeaderName,
   validateHeaderValue,
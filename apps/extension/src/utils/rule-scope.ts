@@ -0,0 +1,39 @@
+/**
+ * Rule scope helpers shared by the background and the popup.
+ */
+
+import type { RuleScope } from '@/types/rule-scope';
+
+/**
+ * Whether a scoped rule should still be injected.
+ * A scope ends when its time runs out; tab scopes also end when the tab closes
+ * (the background marks them expired then).
+ */
+export function isScopeActive(scope: RuleScope, now: number = Date.now()): boolean {
+  return scope.expiresAt === undefined || scope.expiresAt > now;
+}
+
+/**
+ * Whether a rule with this scope applies in the given tab.
+ * Unscoped rules apply everywhere; tab-scoped rules only in their own tab.
+ */
+export function isScopeActiveInTab(scope: RuleScope | undefined, tabId: number | undefined, now?: number): boolean {
+  if (!scope) return true;
+  if (!isScopeActive(scope, now)) return false;
+  return scope.tabId === undefined || scope.tabId === tabId;
+}
+
+/**
+ * Short human-readable time left, e.g. "45s", "12 min", "1h 30m".
+ */
+export function formatTimeRemaining(expiresAt: number, now: number = Date.now()): string {
+  const remaining = Math.max(0, expiresAt - now);
+  if (remaining < 60_000) return `${Math.ceil(remaining / 1000)}s`;
+
+  const minutes = Math.ceil(remaining / 60_000);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
@@ -269,6 +269,41 @@ describe('updateExtensionBadge', () => {
     });
   });
 
+  // ── Tab-scoped and temporary rules ──
+
+  describe('rule scopes', () => {
+    it('lists tab-scoped rules and the next expiry in the tooltip', async () => {
+      const action = getActionMock();
+      const scopeInfo = { tabScopedCount: 1, nextExpiry: Date.now() + 12 * 60_000 };
+
+      await updateExtensionBadge(true, makeActiveRules(2), false, null, 0, scopeInfo);
+
+      expect(action.setBadgeText).toHaveBeenCalledWith({ text: '2' }, expect.any(Function));
+      expect(action.setTitle).toHaveBeenCalledWith({
+        title:
+          'Open Headers - Active\n2 rules active for this site\n1 rule limited to this tab\nTemporary rule expires in 12 min',
+      });
+    });
+
+    it('updates the tooltip as the time left changes', async () => {
+      const action = getActionMock();
+
+      await updateExtensionBadge(true, makeActiveRules(1), false, null, 0, {
+        tabScopedCount: 0,
+        nextExpiry: Date.now() + 30 * 60_000,
+      });
+      await updateExtensionBadge(true, makeActiveRules(1), false, null, 0, {
+        tabScopedCount: 0,
+        nextExpiry: Date.now() + 20 * 60_000,
+      });
+
+      expect(action.setTitle).toHaveBeenCalledTimes(2);
+      expect(action.setTitle).toHaveBeenLastCalledWith({
+        title: 'Open Headers - Active\n1 rule active for this site\nTemporary rule expires in 20 min',
+      });
+    });
+  });
+
   // ── resetBadgeState ──
 
   describe('resetBadgeState', () => {
@@ -1,5 +1,7 @@
-import type { SavedDataMap, Source } from '@openheaders/core';
+import type { HeaderRule, SavedDataMap, Source, UrlRule } from '@openheaders/core';
+import { simulateHeaderRules } from '@openheaders/core';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { RuleScopeMap } from '@/types/rule-scope';
 
 // ── Mocks ────────────────────────────────────────────────────────────
 
@@ -16,10 +18,18 @@ vi.mock('@/utils/browser-api', () => ({
   declarativeNetRequest: {
     getDynamicRules: vi.fn(() => Promise.resolve([])),
     updateDynamicRules: vi.fn(() => Promise.resolve()),
+    supportsSessionRules: true,
+    getSessionRules: vi.fn(() => Promise.resolve([])),
+    updateSessionRules: vi.fn(() => Promise.resolve()),
   },
   storage: { sync: { get: vi.fn((_k: string[], cb: (r: Record<string, unknown>) => void) => cb({})) } },
 }));
 
+let mockRuleScopes: RuleScopeMap = {};
+vi.mock('@/background/modules/rule-scopes', () => ({
+  getRuleScope: (ruleId: string) => mockRuleScopes[ruleId],
+}));
+
 vi.mock('@/utils/messaging', () => ({
   sendMessageWithCallback: vi.fn(),
 }));
@@ -34,11 +44,17 @@ vi.mock('@/utils/logger', () => ({
 }));
 
 import { declarativeNetRequest } from '@utils/browser-api';
-import { setDisabledTagGroups, setRulesPaused, updateNetworkRules } from '@/background/header-manager';
-import { formatUrlPattern } from '@/background/modules/url-utils';
+import {
+  getHeaderRuleIdForDnrRule,
+  setDisabledTagGroups,
+  setRulesPaused,
+  setUrlRules,
+  updateNetworkRules,
+} from '@/background/header-manager';
 
 const mockGetDynamicRules = declarativeNetRequest!.getDynamicRules as ReturnType<typeof vi.fn>;
 const mockUpdateDynamicRules = declarativeNetRequest!.updateDynamicRules as ReturnType<typeof vi.fn>;
+const mockUpdateSessionRules = declarativeNetRequest!.updateSessionRules as ReturnType<typeof vi.fn>;
 
 /** Flush the getDynamicRules().then(...) promise chain */
 const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -71,14 +87,21 @@ function getRulesFromLastCall(): unknown[] {
   return lastCall?.[0]?.addRules ?? [];
 }
 
+function getSessionRulesFromLastCall(): unknown[] {
+  const lastCall = mockUpdateSessionRules.mock.calls.at(-1);
+  return lastCall?.[0]?.addRules ?? [];
+}
+
 // ── Tests ────────────────────────────────────────────────────────────
 
 describe('header-manager', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     mockSavedData = {};
+    mockRuleScopes = {};
     setRulesPaused(false);
     setDisabledTagGroups([]);
+    setUrlRules([]);
     mockGetDynamicRules.mockResolvedValue([]);
     mockUpdateDynamicRules.mockResolvedValue(undefined);
   });
@@ -370,8 +393,555 @@ describe('header-manager', () => {
     });
   });
 
+  // ── Header operations ──
+
+  describe('header operations', () => {
+    type ModifyRule = { action: { requestHeaders?: unknown[]; responseHeaders?: unknown[] } };
+
+    it('defaults to set for entries saved without an operation', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({ isDynamic: false, sourceId: undefined, headerName: 'X-Env', headerValue: 'qa' }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rule = getRulesFromLastCall()[0] as ModifyRule;
+      expect(rule.action.requestHeaders?.[0]).toEqual({ header: 'X-Env', operation: 'set', value: 'qa' });
+    });
+
+    it('removes a response header without sending a value', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({
+          isDynamic: false,
+          sourceId: undefined,
+          headerName: 'Content-Security-Policy',
+          headerValue: '',
+          operation: 'remove',
+          isResponse: true,
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rule = getRulesFromLastCall()[0] as ModifyRule;
+      expect(rule.action.responseHeaders?.[0]).toEqual({ header: 'Content-Security-Policy', operation: 'remove' });
+    });
+
+    it('removes a dynamic header without waiting for its source', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({ headerName: 'Referer', sourceId: 'src-missing', operation: 'remove' }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getRulesFromLastCall()).toHaveLength(1);
+    });
+
+    it('strips Origin, which cannot be set', async () => {
+      mockSavedData = {
+        'set-origin': makeSavedEntry({ isDynamic: false, headerName: 'Origin', headerValue: 'https://a.io' }),
+        'remove-origin': makeSavedEntry({ isDynamic: false, headerName: 'Origin', operation: 'remove' }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ModifyRule[];
+      expect(rules).toHaveLength(1);
+      expect(rules[0].action.requestHeaders?.[0]).toEqual({ header: 'Origin', operation: 'remove' });
+    });
+
+    it('appends to request headers browsers allow appending to', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({
+          isDynamic: false,
+          sourceId: undefined,
+          headerName: 'X-Forwarded-For',
+          headerValue: '10.0.0.1',
+          operation: 'append',
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rule = getRulesFromLastCall()[0] as ModifyRule;
+      expect(rule.action.requestHeaders?.[0]).toEqual({
+        header: 'X-Forwarded-For',
+        operation: 'append',
+        value: '10.0.0.1',
+      });
+    });
+
+    it('skips appends to request headers browsers reject', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({
+          isDynamic: false,
+          sourceId: undefined,
+          headerName: 'Authorization',
+          headerValue: 'extra',
+          operation: 'append',
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getRulesFromLastCall()).toHaveLength(0);
+    });
+  });
+
+  // ── Request conditions ──
+
+  describe('request conditions', () => {
+    type ConditionRule = {
+      priority: number;
+      action: { type: string };
+      condition: {
+        urlFilter?: string;
+        regexFilter?: string;
+        resourceTypes: string[];
+        requestMethods?: string[];
+        initiatorDomains?: string[];
+        excludedRequestDomains?: string[];
+      };
+    };
+
+    function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+      return makeSavedEntry({
+        isDynamic: false,
+        sourceId: undefined,
+        headerName: 'X-Api-Key',
+        headerValue: 'key-123',
+        domains: ['api.openheaders.io'],
+        ...overrides,
+      });
+    }
+
+    it('leaves the condition untouched when no conditions are set', async () => {
+      mockSavedData = { 'rule-1': makeStaticEntry({ methods: [], resourceTypes: [], excludedDomains: [] }) };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rule = getRulesFromLastCall()[0] as ConditionRule;
+      expect(rule.priority).toBe(100);
+      expect(rule.condition.resourceTypes).toContain('image');
+      expect(rule.condition.requestMethods).toBeUndefined();
+      expect(rule.condition.initiatorDomains).toBeUndefined();
+      expect(rule.condition.excludedRequestDomains).toBeUndefined();
+    });
+
+    it('maps methods, resource types and initiator domains', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({
+          methods: ['GET', 'POST'],
+          resourceTypes: ['xmlhttprequest'],
+          initiatorDomains: ['*.openheaders.io', 'localhost:3000'],
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rule = getRulesFromLastCall()[0] as ConditionRule;
+      expect(rule.condition.requestMethods).toEqual(['get', 'post']);
+      expect(rule.condition.resourceTypes).toEqual(['xmlhttprequest']);
+      expect(rule.condition.initiatorDomains).toEqual(['openheaders.io', 'localhost']);
+    });
+
+    it('maps excluded domains onto excludedRequestDomains', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ domains: ['*'], excludedDomains: ['*.cdn.openheaders.io', 'fonts.gstatic.com'] }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules).toHaveLength(1);
+      expect(rules[0].condition.excludedRequestDomains).toEqual(['cdn.openheaders.io', 'fonts.gstatic.com']);
+    });
+
+    /**
+     * The modifyHeaders rules declarativeNetRequest applies to a GET request: those
+     * matching the URL, above the highest matching allow rule.
+     */
+    function appliedRules<T extends ConditionRule>(rules: T[], targetUrl: string): T[] {
+      const { hostname, href, pathname } = new URL(targetUrl);
+      const matching = rules.filter(({ condition }) => {
+        if (condition.requestMethods && !condition.requestMethods.includes('get')) return false;
+        if (condition.excludedRequestDomains?.some((d) => hostname === d || hostname.endsWith(`.${d}`))) return false;
+        if (condition.regexFilter) return new RegExp(condition.regexFilter, 'i').test(href);
+        const filter = condition.urlFilter!;
+        if (filter === '*') return true;
+        const [, domain, path] = filter.match(/^\|\|([^/]+)(\/.*)$/)!;
+        const pathRegex = new RegExp(`^${path.replace(/[.?]/g, '\\$&').replace(/\*/g, '.*')}`);
+        return (hostname === domain || hostname.endsWith(`.${domain}`)) && pathRegex.test(pathname);
+      });
+      const allowed = Math.max(0, ...matching.filter((r) => r.action.type === 'allow').map((r) => r.priority));
+      return matching.filter((rule) => rule.action.type === 'modifyHeaders' && rule.priority > allowed);
+    }
+
+    it('cuts excluded URL patterns out of the rule itself, leaving other rules alone', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ methods: ['GET'], excludedDomains: ['api.openheaders.io/health'] }),
+        'rule-2': makeStaticEntry({ headerName: 'X-Env', headerValue: 'qa' }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules.map((rule) => [rule.action.type, rule.priority])).toEqual([
+        ['modifyHeaders', 100],
+        ['modifyHeaders', 100],
+      ]);
+      expect(rules[0].condition.requestMethods).toEqual(['get']);
+      expect(appliedRules(rules, 'https://api.openheaders.io/health')).toEqual([rules[1]]);
+      expect(appliedRules(rules, 'https://api.openheaders.io/v2/users')).toEqual(rules);
+    });
+
+    it('cuts negated domains out with excludedRequestDomains, keeping their subdomains', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ domains: ['*.openheaders.io', '!admin.openheaders.io'] }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules).toHaveLength(2);
+      expect(rules[0]).toMatchObject({
+        priority: 100,
+        condition: { urlFilter: '||openheaders.io/*', excludedRequestDomains: ['admin.openheaders.io'] },
+      });
+      expect(rules[1]).toMatchObject({
+        priority: 100,
+        action: { type: 'modifyHeaders' },
+        condition: { regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?[^/?#@]*\\.admin\\.openheaders\\.io\\/' },
+      });
+      expect(appliedRules(rules, 'https://admin.openheaders.io/')).toEqual([]);
+      expect(appliedRules(rules, 'https://eu.admin.openheaders.io/')).toEqual([rules[1]]);
+    });
+
+    it('keeps each exclusion to its own rule when excluded rules overlap', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ domains: ['*.openheaders.io', '!admin.openheaders.io'] }),
+        'rule-2': makeStaticEntry({
+          headerName: 'X-Env',
+          headerValue: 'qa',
+          domains: ['*.openheaders.io'],
+          excludedDomains: ['api.openheaders.io/health'],
+        }),
+        'rule-3': makeStaticEntry({
+          headerName: 'X-Frame-Options',
+          headerValue: 'DENY',
+          isResponse: true,
+          domains: ['*.openheaders.io', '!api.openheaders.io'],
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      const headersAt = (url: string) =>
+        appliedRules(rules, url).map((rule) => {
+          const action = rule.action as {
+            requestHeaders?: { header: string }[];
+            responseHeaders?: { header: string }[];
+          };
+          return (action.requestHeaders ?? action.responseHeaders)![0].header;
+        });
+
+      expect(rules.every((rule) => rule.action.type === 'modifyHeaders')).toBe(true);
+      expect(new Set(headersAt('https://admin.openheaders.io/'))).toEqual(new Set(['X-Env', 'X-Frame-Options']));
+      expect(new Set(headersAt('https://api.openheaders.io/health'))).toEqual(new Set(['X-Api-Key']));
+      expect(new Set(headersAt('https://api.openheaders.io/v2'))).toEqual(new Set(['X-Api-Key', 'X-Env']));
+      expect(new Set(headersAt('https://www.openheaders.io/'))).toEqual(
+        new Set(['X-Api-Key', 'X-Env', 'X-Frame-Options']),
+      );
+    });
+
+    it('falls back to allow rules in the lowest band for exclusions no condition can express', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ methods: ['GET'], excludedDomains: ['/\\/health$/'] }),
+        'rule-2': makeStaticEntry({ headerName: 'X-Env', headerValue: 'qa' }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules).toHaveLength(3);
+
+      const [conditional, allow, unconditional] = rules;
+      expect(conditional.priority).toBe(1);
+      expect(allow).toMatchObject({
+        priority: 1,
+        action: { type: 'allow' },
+        condition: { regexFilter: '\\/health$', requestMethods: ['get'] },
+      });
+      expect(unconditional.priority).toBe(100);
+      expect(appliedRules(rules, 'https://api.openheaders.io/health')).toEqual([unconditional]);
+    });
+
+    it("stops lower-priority rules of the exclusion band with another rule's allow rules, like the simulator", async () => {
+      const entries = {
+        health: makeStaticEntry({
+          domains: ['*.openheaders.io'],
+          priority: 10,
+          excludedDomains: ['api.openheaders.io/*/health'],
+        }),
+        tracing: makeStaticEntry({
+          headerName: 'X-Trace',
+          headerValue: 'on',
+          domains: ['*.openheaders.io'],
+          priority: 5,
+          excludedDomains: ['/\\/debug$/'],
+        }),
+      };
+      mockSavedData = entries;
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as (ConditionRule & { id: number })[];
+      const appliedAt = (url: string) => [
+        ...new Set(appliedRules(rules, url).map((rule) => getHeaderRuleIdForDnrRule(rule.id))),
+      ];
+      const simulatedAt = (url: string) =>
+        simulateHeaderRules(
+          Object.entries(entries).map(([id, entry]) => ({ id, ...entry }) as HeaderRule),
+          { url },
+        )
+          .filter((evaluation) => evaluation.applied)
+          .map((evaluation) => evaluation.ruleId);
+
+      expect(rules.filter((rule) => rule.action.type === 'allow').map((rule) => rule.priority)).toEqual([11, 6]);
+      expect(appliedAt('https://api.openheaders.io/v2/users')).toEqual(['health', 'tracing']);
+      expect(appliedAt('https://api.openheaders.io/v2/health')).toEqual([]);
+      expect(appliedAt('https://api.openheaders.io/v2/debug')).toEqual(['health']);
+      for (const url of [
+        'https://api.openheaders.io/v2/users',
+        'https://api.openheaders.io/v2/health',
+        'https://api.openheaders.io/v2/debug',
+      ]) {
+        expect(new Set(simulatedAt(url))).toEqual(new Set(appliedAt(url)));
+      }
+    });
+
+    it('emits regexFilter conditions for regular expression domains', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ domains: ['/^https:\\/\\/(dev|qa)\\.openheaders\\.io\\//', '/[invalid/'] }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules).toHaveLength(1);
+      expect(rules[0].condition.regexFilter).toBe('^https:\\/\\/(dev|qa)\\.openheaders\\.io\\/');
+      expect(rules[0].condition.urlFilter).toBeUndefined();
+    });
+
+    it('only emits response rules for the selected resource types', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({
+          headerName: 'Access-Control-Allow-Origin',
+          headerValue: '*',
+          isResponse: true,
+          resourceTypes: ['xmlhttprequest', 'font'],
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as ConditionRule[];
+      expect(rules).toHaveLength(1);
+      expect(rules[0].priority).toBe(950);
+      expect(rules[0].condition.resourceTypes).toEqual(['font', 'xmlhttprequest']);
+    });
+  });
+
+  // ── Rule priority ──
+
+  describe('rule priority', () => {
+    type PriorityRule = { priority: number; action: { type: string } };
+
+    function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+      return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'Bearer a', ...overrides });
+    }
+
+    it('offsets request rules within their band', async () => {
+      mockSavedData = {
+        low: makeStaticEntry(),
+        high: makeStaticEntry({ headerValue: 'Bearer b', priority: 10 }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const priorities = (getRulesFromLastCall() as PriorityRule[]).map((rule) => rule.priority);
+      expect(priorities).toEqual([100, 110]);
+    });
+
+    it('offsets both response rules', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({
+          headerName: 'X-Frame-Options',
+          headerValue: 'DENY',
+          isResponse: true,
+          priority: 5,
+        }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const priorities = (getRulesFromLastCall() as PriorityRule[]).map((rule) => rule.priority);
+      expect(priorities).toEqual([1005, 955]);
+    });
+
+    it('clamps out-of-range priorities so bands never overlap', async () => {
+      mockSavedData = {
+        huge: makeStaticEntry({ priority: 500 }),
+        negative: makeStaticEntry({ priority: -3 }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const priorities = (getRulesFromLastCall() as PriorityRule[]).map((rule) => rule.priority);
+      expect(priorities).toEqual([150, 100]);
+    });
+
+    it('gives exclusion allow rules the priority of the rule they belong to', async () => {
+      mockSavedData = {
+        'rule-1': makeStaticEntry({ priority: 7, excludedDomains: ['openheaders.io/*/health'] }),
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const rules = getRulesFromLastCall() as PriorityRule[];
+      expect(rules.map((rule) => [rule.action.type, rule.priority])).toEqual([
+        ['modifyHeaders', 8],
+        ['allow', 8],
+      ]);
+    });
+
+    it('ranks competing rules the way the rule simulator does', async () => {
+      const rules: Record<string, Partial<HeaderRule>> = {
+        regex: { priority: 20, excludedDomains: ['/\\/health$/'] },
+        negated: { priority: 10, domains: ['*.openheaders.io', '!www.openheaders.io'] },
+        plain: { priority: 5 },
+        excluded: { priority: 15, excludedDomains: ['api.openheaders.io/health'] },
+      };
+      mockSavedData = Object.fromEntries(
+        Object.entries(rules).map(([id, rule]) => [id, makeStaticEntry(rule as Partial<SavedDataMap[string]>)]),
+      );
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const dnrOrder = (getRulesFromLastCall() as (PriorityRule & { id: number })[])
+        .filter((rule) => rule.action.type === 'modifyHeaders')
+        .sort((a, b) => a.priority - b.priority)
+        .map((rule) => getHeaderRuleIdForDnrRule(rule.id));
+      const simulated = simulateHeaderRules(
+        Object.entries(rules).map(
+          ([id, rule]) =>
+            ({
+              id,
+              isEnabled: true,
+              headerName: 'Authorization',
+              headerValue: 'Bearer a',
+              domains: ['*.openheaders.io'],
+              ...rule,
+            }) as HeaderRule,
+        ),
+        { url: 'https://api.openheaders.io/v2' },
+      );
+
+      expect(simulated.map((evaluation) => evaluation.ruleId)).toEqual(['regex', 'plain', 'negated', 'excluded']);
+      expect([...new Set(dnrOrder)]).toEqual(simulated.map((evaluation) => evaluation.ruleId));
+    });
+  });
+
   // ── Multiple domains ──
 
+  describe('rule scopes', () => {
+    type ScopedRule = { id: number; condition: { tabIds?: number[] } };
+
+    function makeStaticEntry(overrides: Partial<SavedDataMap[string]> = {}): SavedDataMap[string] {
+      return makeSavedEntry({ isDynamic: false, sourceId: undefined, headerValue: 'Bearer a', ...overrides });
+    }
+
+    it('moves tab-scoped rules to session rules limited to their tab', async () => {
+      mockSavedData = {
+        global: makeStaticEntry(),
+        scoped: makeStaticEntry({ headerName: 'X-Debug', headerValue: '1' }),
+      };
+      mockRuleScopes = { scoped: { tabId: 42 } };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const dynamicRules = getRulesFromLastCall() as ScopedRule[];
+      const sessionRules = getSessionRulesFromLastCall() as ScopedRule[];
+      expect(dynamicRules).toHaveLength(1);
+      expect(dynamicRules[0].condition.tabIds).toBeUndefined();
+      expect(sessionRules).toHaveLength(1);
+      expect(sessionRules[0].condition.tabIds).toEqual([42]);
+      expect(sessionRules[0].id).toBeGreaterThan(dynamicRules[0].id);
+    });
+
+    it('keeps temporary rules as dynamic rules until they expire', async () => {
+      mockSavedData = { 'rule-1': makeStaticEntry() };
+      mockRuleScopes = { 'rule-1': { expiresAt: Date.now() + 60_000 } };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getRulesFromLastCall()).toHaveLength(1);
+      expect(getSessionRulesFromLastCall()).toHaveLength(0);
+    });
+
+    it('skips rules whose scope has ended', async () => {
+      mockSavedData = {
+        expired: makeStaticEntry(),
+        closedTab: makeStaticEntry({ headerName: 'X-Debug', headerValue: '1' }),
+      };
+      mockRuleScopes = {
+        expired: { expiresAt: Date.now() - 1000 },
+        closedTab: { tabId: 7, expiresAt: Date.now() - 1000 },
+      };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getRulesFromLastCall()).toHaveLength(0);
+      expect(getSessionRulesFromLastCall()).toHaveLength(0);
+    });
+
+    it('clears session rules while paused', async () => {
+      mockSavedData = { 'rule-1': makeStaticEntry() };
+      mockRuleScopes = { 'rule-1': { tabId: 42 } };
+      setRulesPaused(true);
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(mockUpdateSessionRules).toHaveBeenCalledWith({ removeRuleIds: [], addRules: [] });
+    });
+  });
+
   describe('multiple domains', () => {
     it('creates one rule per domain', async () => {
       mockSavedData = {
@@ -431,39 +1001,104 @@ describe('header-manager', () => {
     });
   });
 
-  // ── formatUrlPattern ──
+  // ── URL rules ──
+
+  describe('URL rules', () => {
+    const blockRule: UrlRule = {
+      id: 'url-1',
+      type: 'url',
+      name: 'Block telemetry',
+      description: '',
+      isEnabled: true,
+      domains: [],
+      createdAt: '2025-11-15T09:30:00.000Z',
+      updatedAt: '2025-11-15T09:30:00.000Z',
+      matchPattern: 'telemetry.openheaders.io',
+      matchType: 'contains',
+      replacePattern: '',
+      redirectTo: '',
+      modifyParams: [],
+      action: 'block',
+    };
+
+    it('appends URL rules after header rules with non-colliding IDs', async () => {
+      mockSavedData = {
+        'rule-1': makeSavedEntry({
+          isDynamic: false,
+          sourceId: undefined,
+          headerName: 'X-Test',
+          headerValue: 'value',
+          domains: ['example.com', 'other.com'],
+        }),
+      };
+      setUrlRules([blockRule]);
 
-  describe('formatUrlPattern', () => {
-    it('wraps plain domain with protocol wildcard and path', () => {
-      expect(formatUrlPattern('example.com')).toBe('*://example.com/*');
-    });
+      updateNetworkRules([]);
+      await flushPromises();
 
-    it('preserves explicit protocol', () => {
-      expect(formatUrlPattern('https://example.com')).toBe('https://example.com/*');
+      const rules = getRulesFromLastCall() as { id: number; action: { type: string } }[];
+      expect(rules.map((r) => r.id)).toEqual([1, 2, 3]);
+      expect(rules[2].action.type).toBe('block');
     });
 
-    it('preserves explicit protocol with path', () => {
-      expect(formatUrlPattern('https://example.com/api')).toBe('https://example.com/api');
-    });
+    it('applies URL rules even when no header rules exist', async () => {
+      setUrlRules([blockRule]);
 
-    it('handles wildcard subdomain', () => {
-      expect(formatUrlPattern('*.example.com')).toBe('*://*.example.com/*');
-    });
+      updateNetworkRules([]);
+      await flushPromises();
 
-    it('handles IP address', () => {
-      expect(formatUrlPattern('192.168.1.1')).toBe('*://192.168.1.1/*');
+      expect(getRulesFromLastCall()).toHaveLength(1);
     });
 
-    it('handles IP address with port', () => {
-      expect(formatUrlPattern('192.168.1.1:8080')).toBe('*://192.168.1.1:8080/*');
+    it('does not apply URL rules while paused', async () => {
+      setUrlRules([blockRule]);
+      setRulesPaused(true);
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getRulesFromLastCall()).toHaveLength(0);
     });
+  });
+
+  describe('rule hit attribution', () => {
+    type DnrRule = { id: number; action: { type: string } };
 
-    it('handles localhost', () => {
-      expect(formatUrlPattern('localhost')).toBe('*://localhost/*');
+    it('maps installed header rules back to their saved rule, skipping exclusions', async () => {
+      mockSavedData = {
+        auth: makeSavedEntry({
+          isDynamic: false,
+          headerValue: 'Bearer a',
+          domains: ['a.com', 'b.com'],
+          excludedDomains: ['a.com/*/health'],
+        }),
+        scoped: makeSavedEntry({ isDynamic: false, headerName: 'X-Debug', headerValue: '1' }),
+      };
+      mockRuleScopes = { scoped: { tabId: 42 } };
+
+      updateNetworkRules([]);
+      await flushPromises();
+
+      const [first, second, exclusion] = getRulesFromLastCall() as DnrRule[];
+      const [sessionRule] = getSessionRulesFromLastCall() as DnrRule[];
+      expect(exclusion.action.type).toBe('allow');
+      expect(getHeaderRuleIdForDnrRule(first.id)).toBe('auth');
+      expect(getHeaderRuleIdForDnrRule(second.id)).toBe('auth');
+      expect(getHeaderRuleIdForDnrRule(exclusion.id)).toBeUndefined();
+      expect(getHeaderRuleIdForDnrRule(sessionRule.id)).toBe('scoped');
     });
 
-    it('handles localhost with port', () => {
-      expect(formatUrlPattern('localhost:3000')).toBe('*://localhost:3000/*');
+    it('forgets the mapping once rules are cleared while paused', async () => {
+      mockSavedData = { auth: makeSavedEntry({ isDynamic: false, headerValue: 'Bearer a' }) };
+      updateNetworkRules([]);
+      await flushPromises();
+      const [rule] = getRulesFromLastCall() as DnrRule[];
+
+      setRulesPaused(true);
+      updateNetworkRules([]);
+      await flushPromises();
+
+      expect(getHeaderRuleIdForDnrRule(rule.id)).toBeUndefined();
     });
   });
 });
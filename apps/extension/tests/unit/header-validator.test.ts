@@ -1,4 +1,4 @@
-import { sanitizeHeaderValue, validateHeaderName, validateHeaderValue } from '@utils/header-validator';
+import { canAppendHeader, sanitizeHeaderValue, validateHeaderName, validateHeaderValue } from '@utils/header-validator';
 import { describe, expect, it } from 'vitest';
 
 // ---------------------------------------------------------------------------
@@ -65,6 +65,39 @@ describe('validateHeaderName', () => {
     expect(validateHeaderName('Traceparent').valid).toBe(true);
     expect(validateHeaderName('X-Amz-Security-Token').valid).toBe(true);
   });
+
+  it('allows stripping Origin but not setting it', () => {
+    expect(validateHeaderName('Origin', false, 'set').valid).toBe(false);
+    expect(validateHeaderName('Origin', false, 'append').valid).toBe(false);
+    expect(validateHeaderName('Origin', false, 'remove').valid).toBe(true);
+  });
+
+  it('keeps other protected headers protected from removal', () => {
+    expect(validateHeaderName('Host', false, 'remove').valid).toBe(false);
+    expect(validateHeaderName('Content-Length', true, 'remove').valid).toBe(false);
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  canAppendHeader
+// ---------------------------------------------------------------------------
+
+describe('canAppendHeader', () => {
+  it('allows appending to the request headers browsers support', () => {
+    expect(canAppendHeader('Cookie')).toBe(true);
+    expect(canAppendHeader('X-Forwarded-For')).toBe(true);
+    expect(canAppendHeader(' accept-language ')).toBe(true);
+  });
+
+  it('refuses appending to other request headers', () => {
+    expect(canAppendHeader('Authorization')).toBe(false);
+    expect(canAppendHeader('X-Custom-Header')).toBe(false);
+  });
+
+  it('allows appending to any response header', () => {
+    expect(canAppendHeader('Content-Security-Policy', true)).toBe(true);
+    expect(canAppendHeader('X-Custom-Header', true)).toBe(true);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -17,6 +17,13 @@ vi.mock('@utils/messaging', () => ({
   sendMessageWithCallback: (...args: unknown[]) => mockSendMessage(...args),
 }));
 
+let mockPaused = false;
+let mockDisabledTagGroups: string[] = [];
+vi.mock('@/background/header-manager', () => ({
+  isRulesPaused: () => mockPaused,
+  getDisabledTagGroups: () => mockDisabledTagGroups,
+}));
+
 vi.mock('@utils/logger', () => ({
   logger: {
     info: vi.fn(),
@@ -30,6 +37,7 @@ import type { SavedDataMap } from '@openheaders/core';
 import {
   addTrackedUrl,
   checkIfUrlMatchesAnyRule,
+  findAppliedHeaderRuleIds,
   getActiveRulesForTab,
   refreshSavedDataCache,
   tabsWithActiveRules,
@@ -228,6 +236,45 @@ describe('checkIfUrlMatchesAnyRule', () => {
   });
 });
 
+describe('findAppliedHeaderRuleIds', () => {
+  const request = { method: 'GET', resourceType: 'xmlhttprequest' as const, initiator: 'app.openheaders.io' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockPaused = false;
+    mockDisabledTagGroups = [];
+  });
+
+  it('returns the enabled rules whose domains and conditions match', async () => {
+    const data = makeSavedData({
+      match: { headerName: 'X-A', domains: ['*.openheaders.io'] },
+      disabled: { headerName: 'X-B', domains: ['*.openheaders.io'], isEnabled: false },
+      otherDomain: { headerName: 'X-C', domains: ['*.example.com'] },
+      postOnly: { headerName: 'X-D', domains: ['*.openheaders.io'] },
+    });
+    data.postOnly.methods = ['POST'];
+    seedCache(data);
+
+    const ids = await findAppliedHeaderRuleIds('https://api.openheaders.io/v2', 1, request);
+    expect(ids).toEqual(['match']);
+  });
+
+  it('skips rules in disabled tag groups and everything while paused', async () => {
+    seedCache(
+      makeSavedData({
+        tagged: { headerName: 'X-A', domains: ['*.openheaders.io'], tag: 'staging' },
+        untagged: { headerName: 'X-B', domains: ['*.openheaders.io'] },
+      }),
+    );
+
+    mockDisabledTagGroups = ['staging'];
+    expect(await findAppliedHeaderRuleIds('https://api.openheaders.io/', 1, request)).toEqual(['untagged']);
+
+    mockPaused = true;
+    expect(await findAppliedHeaderRuleIds('https://api.openheaders.io/', 1, request)).toEqual([]);
+  });
+});
+
 describe('addTrackedUrl', () => {
   beforeEach(() => {
     vi.clearAllMocks();
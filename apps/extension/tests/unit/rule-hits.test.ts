@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('@utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const mockOwners = new Map<number, string>();
+vi.mock('@/background/header-manager', () => ({
+  getHeaderRuleIdForDnrRule: (id: number) => mockOwners.get(id),
+}));
+
+import {
+  flushRuleHits,
+  getPendingRuleHits,
+  recordHeaderRuleHits,
+  resetRuleHits,
+  setupRuleHitTracking,
+  usesRuleMatchFeedback,
+} from '@/background/modules/rule-hits';
+
+describe('rule-hits', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    resetRuleHits();
+    mockOwners.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('batches hits and reports them after the interval', () => {
+    const send = vi.fn(() => true);
+    setupRuleHitTracking(send);
+
+    recordHeaderRuleHits(['r1', 'r2'], 'https://api.example.com/a#frag', 100);
+    recordHeaderRuleHits(['r1'], 'https://api.example.com/b', 200);
+    expect(send).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(5000);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith({
+      type: 'ruleHits',
+      hits: {
+        r1: { count: 2, lastHitAt: 200, lastUrl: 'https://api.example.com/b' },
+        r2: { count: 1, lastHitAt: 100, lastUrl: 'https://api.example.com/a' },
+      },
+    });
+    expect(getPendingRuleHits()).toEqual({});
+  });
+
+  it('keeps hits until the desktop app is reachable', () => {
+    const send = vi.fn(() => false);
+    setupRuleHitTracking(send);
+
+    recordHeaderRuleHits(['r1'], 'https://api.example.com/', 100);
+    vi.advanceTimersByTime(5000);
+    expect(getPendingRuleHits()).toHaveProperty('r1');
+
+    send.mockReturnValue(true);
+    expect(flushRuleHits()).toBe(true);
+    expect(send).toHaveBeenLastCalledWith({
+      type: 'ruleHits',
+      hits: { r1: { count: 1, lastHitAt: 100, lastUrl: 'https://api.example.com/' } },
+    });
+    expect(getPendingRuleHits()).toEqual({});
+  });
+
+  it('ignores requests no rule applied to', () => {
+    const send = vi.fn(() => true);
+    setupRuleHitTracking(send);
+
+    recordHeaderRuleHits([], 'https://api.example.com/');
+    vi.advanceTimersByTime(5000);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('counts declarativeNetRequest matches for header rules when feedback is available', () => {
+    let listener: ((info: chrome.declarativeNetRequest.MatchedRuleInfoDebug) => void) | undefined;
+    const dnr = chrome.declarativeNetRequest as unknown as Record<string, unknown>;
+    dnr.onRuleMatchedDebug = { addListener: vi.fn((fn) => (listener = fn)) };
+    mockOwners.set(3, 'r1');
+
+    try {
+      expect(setupRuleHitTracking(vi.fn(() => true))).toBe(true);
+      expect(usesRuleMatchFeedback()).toBe(true);
+
+      const match = (ruleId: number) =>
+        listener?.({
+          rule: { ruleId, rulesetId: '_dynamic' },
+          request: { url: 'https://api.example.com/', tabId: 1 },
+        } as unknown as chrome.declarativeNetRequest.MatchedRuleInfoDebug);
+      match(3);
+      match(9); // URL rule or exclusion
+      expect(Object.keys(getPendingRuleHits())).toEqual(['r1']);
+    } finally {
+      delete dnr.onRuleMatchedDebug;
+    }
+  });
+});
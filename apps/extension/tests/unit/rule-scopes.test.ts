@@ -0,0 +1,180 @@
+import { formatTimeRemaining, isScopeActive, isScopeActiveInTab } from '@utils/rule-scope';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { RuleScopeMap } from '@/types/rule-scope';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+let storedScopes: RuleScopeMap | undefined;
+let openTabs: chrome.tabs.Tab[] = [];
+const mockStorageLocalSet = vi.fn((items: Record<string, unknown>, cb?: () => void) => {
+  storedScopes = items.ruleScopes as RuleScopeMap;
+  if (cb) cb();
+});
+const mockAlarmsCreate = vi.fn();
+const mockAlarmsClear = vi.fn();
+
+vi.mock('@/utils/browser-api', () => ({
+  storage: {
+    local: {
+      get: (_keys: string[], cb: (result: Record<string, unknown>) => void) => cb({ ruleScopes: storedScopes }),
+      set: (...args: unknown[]) => mockStorageLocalSet(...(args as [Record<string, unknown>, (() => void)?])),
+    },
+  },
+  alarms: {
+    create: (...args: unknown[]) => mockAlarmsCreate(...args),
+    clear: (...args: unknown[]) => mockAlarmsClear(...args),
+  },
+  tabs: {
+    query: (_query: chrome.tabs.QueryInfo, cb: (tabs: chrome.tabs.Tab[]) => void) => cb(openTabs),
+  },
+}));
+
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+import {
+  clearRuleScope,
+  endScopesForTab,
+  getNextExpiry,
+  getRuleScope,
+  getRuleScopes,
+  hydrateRuleScopes,
+  moveScopesToTab,
+  RULE_SCOPE_ALARM,
+  setRuleScope,
+} from '@/background/modules/rule-scopes';
+
+// Real time so scheduled alarms land in the future
+const NOW = Date.now();
+
+// ── Tests ────────────────────────────────────────────────────────────
+
+describe('rule-scopes', () => {
+  beforeEach(async () => {
+    storedScopes = {};
+    openTabs = [];
+    await hydrateRuleScopes();
+    vi.clearAllMocks();
+  });
+
+  describe('setRuleScope', () => {
+    it('limits a rule to a tab and persists it', () => {
+      const scope = setRuleScope('rule-1', { tabId: 42 }, NOW);
+
+      expect(scope).toEqual({ tabId: 42 });
+      expect(getRuleScope('rule-1')).toEqual({ tabId: 42 });
+      expect(storedScopes).toEqual({ 'rule-1': { tabId: 42 } });
+    });
+
+    it('turns a duration into an expiry and schedules the alarm for it', () => {
+      const scope = setRuleScope('rule-1', { durationMs: 60_000 }, NOW);
+
+      expect(scope).toEqual({ expiresAt: NOW + 60_000 });
+      expect(mockAlarmsCreate).toHaveBeenCalledWith(RULE_SCOPE_ALARM, { when: NOW + 60_000 });
+    });
+
+    it('removes the scope when neither a tab nor a duration is given', () => {
+      setRuleScope('rule-1', { tabId: 42 }, NOW);
+
+      expect(setRuleScope('rule-1', { durationMs: 0 }, NOW)).toBeNull();
+      expect(getRuleScope('rule-1')).toBeUndefined();
+    });
+  });
+
+  describe('clearRuleScope', () => {
+    it('removes the scope and clears the alarm when nothing is left to expire', () => {
+      setRuleScope('rule-1', { durationMs: 60_000 }, NOW);
+      clearRuleScope('rule-1');
+
+      expect(getRuleScopes()).toEqual({});
+      expect(mockAlarmsClear).toHaveBeenCalledWith(RULE_SCOPE_ALARM);
+    });
+
+    it('does not persist when the rule had no scope', () => {
+      clearRuleScope('unknown');
+
+      expect(mockStorageLocalSet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endScopesForTab', () => {
+    it('ends the scopes of rules limited to the closed tab only', () => {
+      setRuleScope('rule-1', { tabId: 42 }, NOW);
+      setRuleScope('rule-2', { tabId: 7 }, NOW);
+
+      expect(endScopesForTab(42, NOW)).toBe(true);
+      expect(getRuleScope('rule-1')).toEqual({ tabId: 42, expiresAt: NOW });
+      expect(getRuleScope('rule-2')).toEqual({ tabId: 7 });
+    });
+
+    it('reports no change for tabs without scoped rules', () => {
+      setRuleScope('rule-1', { tabId: 42 }, NOW);
+
+      expect(endScopesForTab(99, NOW)).toBe(false);
+    });
+  });
+
+  describe('moveScopesToTab', () => {
+    it('carries tab scopes over to the replacement tab', () => {
+      setRuleScope('rule-1', { tabId: 42, durationMs: 60_000 }, NOW);
+
+      expect(moveScopesToTab(42, 43)).toBe(true);
+      expect(getRuleScope('rule-1')).toEqual({ tabId: 43, expiresAt: NOW + 60_000 });
+    });
+  });
+
+  describe('getNextExpiry', () => {
+    it('returns the earliest future expiry among the given rules', () => {
+      setRuleScope('soon', { durationMs: 60_000 }, NOW);
+      setRuleScope('later', { durationMs: 120_000 }, NOW);
+      setRuleScope('tab', { tabId: 42 }, NOW);
+
+      expect(getNextExpiry(undefined, NOW)).toBe(NOW + 60_000);
+      expect(getNextExpiry(['later', 'tab'], NOW)).toBe(NOW + 120_000);
+      expect(getNextExpiry(['tab'], NOW)).toBeNull();
+      expect(getNextExpiry(undefined, NOW + 200_000)).toBeNull();
+    });
+  });
+
+  describe('hydrateRuleScopes', () => {
+    it('restores scopes and ends those of tabs that no longer exist', async () => {
+      storedScopes = { open: { tabId: 1 }, closed: { tabId: 2 }, timed: { expiresAt: Date.now() + 60_000 } };
+      openTabs = [{ id: 1 } as chrome.tabs.Tab];
+
+      const scopes = await hydrateRuleScopes();
+
+      expect(scopes.open).toEqual({ tabId: 1 });
+      expect(isScopeActive(scopes.closed)).toBe(false);
+      expect(isScopeActive(scopes.timed)).toBe(true);
+    });
+  });
+});
+
+describe('rule scope helpers', () => {
+  it('treats scopes without an expiry as active', () => {
+    expect(isScopeActive({ tabId: 42 }, NOW)).toBe(true);
+    expect(isScopeActive({ expiresAt: NOW + 1 }, NOW)).toBe(true);
+    expect(isScopeActive({ expiresAt: NOW }, NOW)).toBe(false);
+  });
+
+  it('applies tab-scoped rules only in their own tab', () => {
+    expect(isScopeActiveInTab(undefined, 1, NOW)).toBe(true);
+    expect(isScopeActiveInTab({ tabId: 1 }, 1, NOW)).toBe(true);
+    expect(isScopeActiveInTab({ tabId: 1 }, 2, NOW)).toBe(false);
+    expect(isScopeActiveInTab({ expiresAt: NOW - 1 }, 1, NOW)).toBe(false);
+  });
+
+  it('formats the time left', () => {
+    expect(formatTimeRemaining(NOW + 45_000, NOW)).toBe('45s');
+    expect(formatTimeRemaining(NOW + 12 * 60_000, NOW)).toBe('12 min');
+    expect(formatTimeRemaining(NOW + 90 * 60_000, NOW)).toBe('1h 30m');
+    expect(formatTimeRemaining(NOW + 8 * 60 * 60_000, NOW)).toBe('8h');
+    expect(formatTimeRemaining(NOW - 1000, NOW)).toBe('0s');
+  });
+});
@@ -0,0 +1,141 @@
+import type { ScriptRule } from '@openheaders/core';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// ── Mocks ────────────────────────────────────────────────────────────
+
+vi.mock('@/utils/browser-api', () => ({
+  storage: { local: { get: vi.fn((_k: string[], cb: (r: Record<string, unknown>) => void) => cb({})) } },
+}));
+
+vi.mock('@/background/header-manager', () => ({
+  isRulesPaused: vi.fn(() => false),
+}));
+
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+import { logger } from '@utils/logger';
+import { getMatchingScriptRules, injectScriptRule, setScriptRules } from '@/background/modules/script-injection';
+
+function makeScriptRule(overrides: Partial<ScriptRule> = {}): ScriptRule {
+  return {
+    id: 'script-rule-1',
+    type: 'script',
+    name: 'Hide banner',
+    description: '',
+    isEnabled: true,
+    domains: ['*.openheaders.io'],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    language: 'js',
+    code: 'window.__flag = true;',
+    sourceId: null,
+    runAt: 'document_idle',
+    world: 'MAIN',
+    ...overrides,
+  };
+}
+
+type ChromeWithScripting = Omit<typeof chrome, 'scripting' | 'userScripts'> & {
+  scripting: { executeScript: ReturnType<typeof vi.fn>; insertCSS: ReturnType<typeof vi.fn> };
+  userScripts?: { execute: ReturnType<typeof vi.fn> };
+};
+
+const chromeMock = chrome as unknown as ChromeWithScripting;
+
+// ── getMatchingScriptRules ───────────────────────────────────────────
+
+describe('getMatchingScriptRules()', () => {
+  const url = 'https://app.openheaders.io/dashboard';
+
+  it('returns enabled rules whose domains match at the given timing', () => {
+    const rules = [
+      makeScriptRule({ id: 'match' }),
+      makeScriptRule({ id: 'other-site', domains: ['example.com'] }),
+      makeScriptRule({ id: 'later', runAt: 'document_start' }),
+      makeScriptRule({ id: 'off', isEnabled: false }),
+    ];
+    expect(getMatchingScriptRules(rules, url, 'document_idle').map((r) => r.id)).toEqual(['match']);
+  });
+
+  it('matches every site only when the rule opts in with *', () => {
+    const rules = [makeScriptRule({ id: 'everywhere', domains: ['*'] }), makeScriptRule({ id: 'none', domains: [] })];
+    expect(getMatchingScriptRules(rules, 'https://partner.io/', 'document_idle').map((r) => r.id)).toEqual([
+      'everywhere',
+    ]);
+  });
+
+  it('skips rules without code (e.g. a source that has not been fetched)', () => {
+    expect(getMatchingScriptRules([makeScriptRule({ code: '  ' })], url, 'document_idle')).toEqual([]);
+  });
+
+  it('never matches browser-internal pages', () => {
+    const rules = [makeScriptRule({ domains: ['*'] })];
+    expect(getMatchingScriptRules(rules, 'chrome://extensions/', 'document_idle')).toEqual([]);
+  });
+});
+
+// ── injectScriptRule ─────────────────────────────────────────────────
+
+describe('injectScriptRule()', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    chromeMock.scripting.insertCSS = vi.fn(() => Promise.resolve());
+    delete chromeMock.userScripts;
+    setScriptRules([]);
+  });
+
+  it('inserts CSS as a user stylesheet', async () => {
+    await injectScriptRule(makeScriptRule({ language: 'css', code: '.promo { display: none; }' }), 7, 0);
+    expect(chromeMock.scripting.insertCSS).toHaveBeenCalledWith({
+      target: { tabId: 7, frameIds: [0] },
+      css: '.promo { display: none; }',
+      origin: 'USER',
+    });
+    expect(chromeMock.scripting.executeScript).not.toHaveBeenCalled();
+  });
+
+  it('runs page-world JavaScript through scripting.executeScript', async () => {
+    await injectScriptRule(makeScriptRule({ runAt: 'document_start' }), 7, 0);
+    expect(chromeMock.scripting.executeScript).toHaveBeenCalledWith(
+      expect.objectContaining({
+        target: { tabId: 7, frameIds: [0] },
+        world: 'MAIN',
+        injectImmediately: true,
+        args: ['window.__flag = true;'],
+      }),
+    );
+  });
+
+  it('runs isolated JavaScript through userScripts when available', async () => {
+    chromeMock.userScripts = { execute: vi.fn(() => Promise.resolve([])) };
+    await injectScriptRule(makeScriptRule({ world: 'ISOLATED' }), 7, 0);
+    expect(chromeMock.userScripts.execute).toHaveBeenCalledWith({
+      target: { tabId: 7, frameIds: [0] },
+      js: [{ code: 'window.__flag = true;' }],
+      world: 'USER_SCRIPT',
+      injectImmediately: false,
+    });
+    expect(chromeMock.scripting.executeScript).not.toHaveBeenCalled();
+  });
+
+  it('skips isolated JavaScript without userScripts and warns once per rule', async () => {
+    const rule = makeScriptRule({ world: 'ISOLATED' });
+    await injectScriptRule(rule, 7, 0);
+    await injectScriptRule(rule, 8, 0);
+    expect(chromeMock.scripting.executeScript).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('swallows injection failures', async () => {
+    chromeMock.scripting.insertCSS = vi.fn(() => Promise.reject(new Error('Cannot access contents of the page')));
+    await expect(injectScriptRule(makeScriptRule({ language: 'css' }), 7, 0)).resolves.toBeUndefined();
+    expect(logger.debug).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,188 @@
+import type { UrlRule } from '@openheaders/core';
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('@/utils/logger', () => ({
+  logger: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+import { createUrlDnrRules, toRequestDomain } from '@/background/modules/url-rules';
+
+function makeUrlRule(overrides: Partial<UrlRule> = {}): UrlRule {
+  return {
+    id: 'url-rule-1',
+    type: 'url',
+    name: 'Serve checkout from local build',
+    description: '',
+    isEnabled: true,
+    domains: [],
+    createdAt: '2025-11-15T09:30:00.000Z',
+    updatedAt: '2025-11-15T09:30:00.000Z',
+    matchPattern: 'https://app.openheaders.io/static/main.js',
+    matchType: 'exact',
+    replacePattern: '',
+    redirectTo: 'http://localhost:3000/static/main.js',
+    modifyParams: [],
+    action: 'redirect',
+    ...overrides,
+  };
+}
+
+describe('createUrlDnrRules', () => {
+  describe('match types', () => {
+    it('anchors exact patterns on both ends', () => {
+      const [rule] = createUrlDnrRules([makeUrlRule()], 1);
+      expect(rule.condition.urlFilter).toBe('|https://app.openheaders.io/static/main.js|');
+      expect(rule.condition.regexFilter).toBeUndefined();
+    });
+
+    it('uses contains patterns as plain urlFilter', () => {
+      const [rule] = createUrlDnrRules([makeUrlRule({ matchType: 'contains', matchPattern: '/static/' })], 1);
+      expect(rule.condition.urlFilter).toBe('/static/');
+    });
+
+    it('uses regex patterns as regexFilter', () => {
+      const [rule] = createUrlDnrRules(
+        [makeUrlRule({ matchType: 'regex', matchPattern: '^https://app\\.openheaders\\.io/static/(.*)$' })],
+        1,
+      );
+      expect(rule.condition.regexFilter).toBe('^https://app\\.openheaders\\.io/static/(.*)$');
+      expect(rule.condition.urlFilter).toBeUndefined();
+    });
+
+    it('skips rules with an invalid regex', () => {
+      expect(createUrlDnrRules([makeUrlRule({ matchType: 'regex', matchPattern: '(unclosed' })], 1)).toEqual([]);
+    });
+
+    it('skips rules with an empty pattern', () => {
+      expect(createUrlDnrRules([makeUrlRule({ matchPattern: '  ' })], 1)).toEqual([]);
+    });
+
+    it('includes main_frame so top-level navigations are affected', () => {
+      const [rule] = createUrlDnrRules([makeUrlRule()], 1);
+      expect(rule.condition.resourceTypes).toContain('main_frame');
+    });
+  });
+
+  describe('redirect', () => {
+    it('redirects to a fixed URL', () => {
+      const [rule] = createUrlDnrRules([makeUrlRule()], 1);
+      expect(rule.action).toEqual({ type: 'redirect', redirect: { url: 'http://localhost:3000/static/main.js' } });
+    });
+
+    it('uses regexSubstitution for regex rules so capture groups work', () => {
+      const [rule] = createUrlDnrRules(
+        [
+          makeUrlRule({
+            matchType: 'regex',
+            matchPattern: '^https://app\\.openheaders\\.io/static/(.*)$',
+            redirectTo: 'http://localhost:3000/static/\\1',
+          }),
+        ],
+        1,
+      );
+      expect(rule.action).toEqual({
+        type: 'redirect',
+        redirect: { regexSubstitution: 'http://localhost:3000/static/\\1' },
+      });
+    });
+
+    it('skips redirect rules without a target', () => {
+      expect(createUrlDnrRules([makeUrlRule({ redirectTo: '' })], 1)).toEqual([]);
+    });
+  });
+
+  describe('block', () => {
+    it('creates a block action', () => {
+      const [rule] = createUrlDnrRules(
+        [makeUrlRule({ action: 'block', matchType: 'contains', matchPattern: 'telemetry.openheaders.io' })],
+        1,
+      );
+      expect(rule.action).toEqual({ type: 'block' });
+    });
+  });
+
+  describe('modify', () => {
+    it('builds a queryTransform from set and remove params', () => {
+      const [rule] = createUrlDnrRules(
+        [
+          makeUrlRule({
+            action: 'modify',
+            matchType: 'contains',
+            matchPattern: 'api.openheaders.io',
+            modifyParams: [
+              { key: 'debug', value: 'true', action: 'set' },
+              { key: 'env', value: 'staging' },
+              { key: 'utm_source', action: 'remove' },
+            ],
+          }),
+        ],
+        1,
+      );
+      expect(rule.action).toEqual({
+        type: 'redirect',
+        redirect: {
+          transform: {
+            queryTransform: {
+              addOrReplaceParams: [
+                { key: 'debug', value: 'true' },
+                { key: 'env', value: 'staging' },
+              ],
+              removeParams: ['utm_source'],
+            },
+          },
+        },
+      });
+    });
+
+    it('skips modify rules without params', () => {
+      expect(createUrlDnrRules([makeUrlRule({ action: 'modify', modifyParams: [{ key: ' ' }] })], 1)).toEqual([]);
+    });
+  });
+
+  describe('domains', () => {
+    it('restricts to requestDomains when domains are set', () => {
+      const [rule] = createUrlDnrRules(
+        [makeUrlRule({ domains: ['*.openheaders.io', 'https://partner.io:8443/api', 'openheaders.io'] })],
+        1,
+      );
+      expect(rule.condition.requestDomains).toEqual(['openheaders.io', 'partner.io']);
+    });
+
+    it('does not restrict when the wildcard domain is present', () => {
+      const [rule] = createUrlDnrRules([makeUrlRule({ domains: ['*'] })], 1);
+      expect(rule.condition.requestDomains).toBeUndefined();
+    });
+
+    it('skips the rule rather than widening it when no domain is usable', () => {
+      expect(createUrlDnrRules([makeUrlRule({ domains: ['{{API_HOST}}'] })], 1)).toEqual([]);
+    });
+  });
+
+  it('skips disabled rules and numbers the rest sequentially', () => {
+    const rules = createUrlDnrRules(
+      [makeUrlRule({ id: 'a' }), makeUrlRule({ id: 'b', isEnabled: false }), makeUrlRule({ id: 'c', action: 'block' })],
+      7,
+    );
+    expect(rules.map((r) => r.id)).toEqual([7, 8]);
+  });
+
+  it('ranks above request header rules', () => {
+    const [rule] = createUrlDnrRules([makeUrlRule()], 1);
+    expect(rule.priority).toBeGreaterThan(100);
+  });
+});
+
+describe('toRequestDomain', () => {
+  it('strips protocol, port, path and leading wildcard', () => {
+    expect(toRequestDomain('https://*.openheaders.io:8443/v2/*')).toBe('openheaders.io');
+  });
+
+  it('rejects inner wildcards', () => {
+    expect(toRequestDomain('api.*.openheaders.io')).toBeNull();
+  });
+});
@@ -2,11 +2,12 @@ import { beforeEach, describe, expect, it } from 'vitest';
 import {
   clearPatternCache,
   doesUrlMatchPattern,
-  formatUrlPattern,
+  findMatchingPattern,
   isTrackableUrl,
   normalizeUrlForTracking,
   precompileAllPatterns,
   precompilePattern,
+  toUrlCondition,
 } from '@/background/modules/url-utils';
 
 // ---------------------------------------------------------------------------
@@ -160,9 +161,10 @@ describe('doesUrlMatchPattern', () => {
     expect(doesUrlMatchPattern('https://dashboard.openheaders.io/settings', '*.openheaders.io')).toBe(true);
   });
 
-  it('does not match bare domain against wildcard subdomain pattern', () => {
-    // *.openheaders.io should NOT match openheaders.io (no subdomain)
-    expect(doesUrlMatchPattern('https://openheaders.io/', '*.openheaders.io')).toBe(false);
+  it('matches the base domain against wildcard subdomain pattern', () => {
+    // *.openheaders.io covers openheaders.io itself, the same as in the desktop proxy
+    expect(doesUrlMatchPattern('https://openheaders.io/', '*.openheaders.io')).toBe(true);
+    expect(doesUrlMatchPattern('https://evil-openheaders.io/', '*.openheaders.io')).toBe(false);
   });
 
   it('matches exact domain pattern', () => {
@@ -263,56 +265,103 @@ describe('doesUrlMatchPattern', () => {
 });
 
 // ---------------------------------------------------------------------------
-//  formatUrlPattern (canonical MV3 urlFilter normalization)
+//  toUrlCondition (canonical MV3 urlFilter / regexFilter conversion)
 // ---------------------------------------------------------------------------
 
-describe('formatUrlPattern', () => {
+describe('toUrlCondition', () => {
   it('adds wildcard protocol and path to bare domain', () => {
-    expect(formatUrlPattern('example.com')).toBe('*://example.com/*');
+    expect(toUrlCondition('example.com')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\\.com/' });
   });
 
   it('adds path to domain with explicit protocol', () => {
-    expect(formatUrlPattern('https://example.com')).toBe('https://example.com/*');
+    expect(toUrlCondition('https://example.com')).toEqual({ urlFilter: '|https://example.com/*' });
   });
 
   it('preserves explicit path with protocol', () => {
-    expect(formatUrlPattern('https://example.com/api')).toBe('https://example.com/api');
+    expect(toUrlCondition('https://example.com/api')).toEqual({ urlFilter: '|https://example.com/api' });
   });
 
-  it('adds wildcard protocol to wildcard subdomain', () => {
-    expect(formatUrlPattern('*.example.com')).toBe('*://*.example.com/*');
+  it('anchors wildcard subdomain at a domain boundary', () => {
+    expect(toUrlCondition('*.example.com')).toEqual({ urlFilter: '||example.com/*' });
   });
 
   it('handles localhost', () => {
-    expect(formatUrlPattern('localhost')).toBe('*://localhost/*');
+    expect(toUrlCondition('localhost')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?localhost/' });
   });
 
   it('handles localhost with port', () => {
-    expect(formatUrlPattern('localhost:3000')).toBe('*://localhost:3000/*');
+    expect(toUrlCondition('localhost:3000')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?localhost:3000/',
+    });
   });
 
   it('handles IP address', () => {
-    expect(formatUrlPattern('192.168.1.1')).toBe('*://192.168.1.1/*');
+    expect(toUrlCondition('192.168.1.1')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?192\\.168\\.1\\.1/',
+    });
   });
 
   it('handles IP address with port', () => {
-    expect(formatUrlPattern('192.168.1.1:8080')).toBe('*://192.168.1.1:8080/*');
+    expect(toUrlCondition('192.168.1.1:8080')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?192\\.168\\.1\\.1:8080/',
+    });
   });
 
   it('handles domain with path (no trailing wildcard)', () => {
-    expect(formatUrlPattern('github.githubassets.com/assets')).toBe('*://github.githubassets.com/assets');
+    expect(toUrlCondition('github.githubassets.com/assets')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?github\\.githubassets\\.com\\/assets',
+    });
   });
 
   it('preserves trailing wildcard', () => {
-    expect(formatUrlPattern('example.com/api/*')).toBe('*://example.com/api/*');
+    expect(toUrlCondition('example.com/api/*')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\\.com\\/api\\/.*',
+    });
   });
 
   it('returns * for wildcard input', () => {
-    expect(formatUrlPattern('*')).toBe('*');
+    expect(toUrlCondition('*')).toEqual({ urlFilter: '*' });
   });
 
   it('trims whitespace', () => {
-    expect(formatUrlPattern('  example.com  ')).toBe('*://example.com/*');
+    expect(toUrlCondition('  example.com  ')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\\.com/',
+    });
+  });
+
+  it('converts regular expressions to regexFilter', () => {
+    expect(toUrlCondition('/^https:\\/\\/(dev|qa)\\.example\\.com\\//')).toEqual({
+      regexFilter: '^https:\\/\\/(dev|qa)\\.example\\.com\\/',
+    });
+  });
+
+  it('returns null for patterns that can never match', () => {
+    expect(toUrlCondition('/[invalid/')).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+//  findMatchingPattern
+// ---------------------------------------------------------------------------
+
+describe('findMatchingPattern', () => {
+  const domains = ['*.openheaders.io', '!admin.openheaders.io', 'localhost:3000'];
+
+  it('returns the plain pattern that matched', () => {
+    expect(findMatchingPattern('https://api.openheaders.io/v2/config', domains)).toBe('*.openheaders.io');
+    expect(findMatchingPattern('http://localhost:3000/api', domains)).toBe('localhost:3000');
+  });
+
+  it('returns null when a negated pattern matches', () => {
+    expect(findMatchingPattern('https://admin.openheaders.io/users', domains)).toBeNull();
+  });
+
+  it('returns null when only negated patterns are given', () => {
+    expect(findMatchingPattern('https://api.openheaders.io/', ['!admin.openheaders.io'])).toBeNull();
+  });
+
+  it('matches regular expressions against the whole URL', () => {
+    expect(findMatchingPattern('https://api.openheaders.io/graphql', ['/\\/graphql$/'])).toBe('/\\/graphql$/');
   });
 });
 
@@ -1,7 +1,7 @@
 import type { SavedDataMap, Source } from '@openheaders/core';
 import { normalizeHeaderName } from '@utils/utils';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
-import { formatUrlPattern } from '@/background/modules/url-utils';
+import { toUrlCondition } from '@/background/modules/url-utils';
 import { debounce, generateSavedDataHash, generateSourcesHash } from '@/background/modules/utils';
 
 // ---------------------------------------------------------------------------
@@ -279,49 +279,61 @@ describe('debounce', () => {
 });
 
 // ---------------------------------------------------------------------------
-//  formatUrlPattern
+//  toUrlCondition
 // ---------------------------------------------------------------------------
 
-describe('formatUrlPattern', () => {
+describe('toUrlCondition', () => {
   it('adds protocol and path to bare domains', () => {
-    expect(formatUrlPattern('example.com')).toBe('*://example.com/*');
+    expect(toUrlCondition('example.com')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\\.com/' });
   });
 
   it('preserves full URL patterns', () => {
-    expect(formatUrlPattern('https://example.com/path')).toBe('https://example.com/path');
+    expect(toUrlCondition('https://example.com/path')).toEqual({ urlFilter: '|https://example.com/path' });
   });
 
   it('adds path to URL patterns without path', () => {
-    expect(formatUrlPattern('https://example.com')).toBe('https://example.com/*');
+    expect(toUrlCondition('https://example.com')).toEqual({ urlFilter: '|https://example.com/*' });
   });
 
   it('handles IP addresses', () => {
-    expect(formatUrlPattern('192.168.1.1')).toBe('*://192.168.1.1/*');
-    expect(formatUrlPattern('192.168.1.1:8080')).toBe('*://192.168.1.1:8080/*');
+    expect(toUrlCondition('192.168.1.1')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?192\\.168\\.1\\.1/',
+    });
+    expect(toUrlCondition('192.168.1.1:8080')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?192\\.168\\.1\\.1:8080/',
+    });
   });
 
   it('handles localhost', () => {
-    expect(formatUrlPattern('localhost')).toBe('*://localhost/*');
-    expect(formatUrlPattern('localhost:3000')).toBe('*://localhost:3000/*');
+    expect(toUrlCondition('localhost')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?localhost/' });
+    expect(toUrlCondition('localhost:3000')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?localhost:3000/',
+    });
   });
 
   it('handles wildcard subdomains', () => {
-    expect(formatUrlPattern('*.example.com')).toBe('*://*.example.com/*');
+    expect(toUrlCondition('*.example.com')).toEqual({ urlFilter: '||example.com/*' });
   });
 
   it('trims whitespace', () => {
-    expect(formatUrlPattern('  example.com  ')).toBe('*://example.com/*');
+    expect(toUrlCondition('  example.com  ')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?example\\.com/',
+    });
   });
 
   it('handles enterprise domain patterns', () => {
-    expect(formatUrlPattern('api.openheaders.io')).toBe('*://api.openheaders.io/*');
-    expect(formatUrlPattern('*.partner-service.io')).toBe('*://*.partner-service.io/*');
+    expect(toUrlCondition('api.openheaders.io')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?api\\.openheaders\\.io/',
+    });
+    expect(toUrlCondition('*.partner-service.io')).toEqual({ urlFilter: '||partner-service.io/*' });
   });
 
   it('handles bare single-label domains from env vars', () => {
     // Real-world: MC2_DOMAIN_LIST includes "medicenter" and "ifap.vos"
-    expect(formatUrlPattern('medicenter')).toBe('*://medicenter/*');
-    expect(formatUrlPattern('ifap.vos')).toBe('*://ifap.vos/*');
-    expect(formatUrlPattern('development.medicenter.cgm.ag')).toBe('*://development.medicenter.cgm.ag/*');
+    expect(toUrlCondition('medicenter')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?medicenter/' });
+    expect(toUrlCondition('ifap.vos')).toEqual({ regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?ifap\\.vos/' });
+    expect(toUrlCondition('development.medicenter.cgm.ag')).toEqual({
+      regexFilter: '^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?development\\.medicenter\\.cgm\\.ag/',
+    });
   });
 });
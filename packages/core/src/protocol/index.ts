@@ -11,6 +11,7 @@ export {
 } from './constants';
 
 export type {
+  ApplyProfileMessage,
   AppNavigationIntent,
   BrowserDisplayInfo,
   BrowserInfoMessage,
@@ -21,9 +22,12 @@ export type {
   GetVideoRecordingStateMessage,
   HeaderRuleFromApp,
   NavigationAction,
+  ProfileAppliedMessage,
+  ProfilesUpdateMessage,
   RecordingHotkeyChangedMessage,
   RecordingHotkeyPressedMessage,
   RecordingHotkeyResponseMessage,
+  RuleHitsMessage,
   RulesData,
   RulesUpdateMessage,
   SaveWorkflowMessage,
@@ -32,6 +36,7 @@ export type {
   SourcesUpdatedMessage,
   StartSyncRecordingMessage,
   StopSyncRecordingMessage,
+  TagGroupsChangedMessage,
   ToggleAllRulesMessage,
   ToggleRecordingHotkeyMessage,
   ToggleRuleMessage,
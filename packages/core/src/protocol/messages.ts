@@ -5,7 +5,19 @@
  * and the browser extension (WS client).
  */
 
-import type { PayloadRule, RecordingEvent, RecordingMetadata, Rule, Source } from '../types';
+import type {
+  HeaderOperation,
+  PayloadRule,
+  RecordingEvent,
+  RecordingMetadata,
+  RequestConditions,
+  Rule,
+  RuleHitStatsMap,
+  RuleProfileSummary,
+  ScriptRule,
+  Source,
+  UrlRule,
+} from '../types';
 
 // ── Shared protocol types ──────────────────────────────────────────
 
@@ -167,6 +179,23 @@ export interface StopSyncRecordingMessage {
   };
 }
 
+export interface ApplyProfileMessage {
+  type: 'applyProfile';
+  profileId: string;
+}
+
+/** Sent on connect and whenever the user toggles a tag group, so profiles can capture them. */
+export interface TagGroupsChangedMessage {
+  type: 'tagGroupsChanged';
+  disabledTagGroups: string[];
+}
+
+/** Header rule matches counted since the previous report, sent every few seconds while rules match. */
+export interface RuleHitsMessage {
+  type: 'ruleHits';
+  hits: RuleHitStatsMap;
+}
+
 // ── Outgoing messages (desktop → extension) ────────────────────────
 
 export interface SourcesInitialMessage {
@@ -186,6 +215,23 @@ export interface RulesUpdateMessage {
   };
 }
 
+export interface ProfilesUpdateMessage {
+  type: 'profiles-update';
+  data: {
+    profiles: RuleProfileSummary[];
+    activeProfileId: string | null;
+  };
+}
+
+/** Rule states arrive separately via rules-update; the extension applies the tag groups itself. */
+export interface ProfileAppliedMessage {
+  type: 'profile-applied';
+  data: {
+    profileId: string;
+    disabledTagGroups: string[];
+  };
+}
+
 export interface VideoRecordingStateChangedMessage {
   type: 'videoRecordingStateChanged';
   enabled: boolean;
@@ -209,13 +255,15 @@ export interface RecordingHotkeyPressedMessage {
 
 // ── Rules data from desktop app ─────────────────────────────────────
 
-export interface HeaderRuleFromApp {
+export interface HeaderRuleFromApp extends RequestConditions {
   id: string;
   type?: 'header';
   name?: string;
   description?: string;
   headerName: string;
   headerValue?: string;
+  operation?: HeaderOperation;
+  priority?: number;
   domains?: string[];
   isDynamic?: boolean;
   sourceId?: string | number | null;
@@ -235,4 +283,6 @@ export interface RulesData {
   header?: HeaderRuleFromApp[];
   request?: PayloadRule[];
   response?: Rule[];
+  url?: UrlRule[];
+  script?: ScriptRule[];
 }
@@ -6,7 +6,7 @@ export type {
   OperationResult,
 } from './common';
 export { errorMessage, toError } from './common';
-
+export type { ProfileRuleKind, ProfileRuleStates, RuleProfile, RuleProfileSummary } from './profile';
 export type {
   ConsoleArg,
   ConsoleArgObject,
@@ -45,18 +45,42 @@ export type {
 export type {
   BaseRule,
   ContentType,
+  DigestEncoding,
   HeaderEntry,
+  HeaderGeneratorType,
   HeaderNameValidation,
+  HeaderOperation,
   HeaderRule,
+  HeaderRuleEvaluation,
+  HeaderRuleLintCode,
+  HeaderRuleLintContext,
+  HeaderRuleLintWarning,
+  HeaderRuleSkipReason,
+  HeaderValueGenerator,
   HeaderValueValidation,
+  HttpMethod,
+  LintableHeaderRule,
   MatchType,
   PayloadRule,
+  RequestConditions,
+  RequestDetails,
+  RequestResourceType,
   Rule,
+  RuleHitStats,
+  RuleHitStatsMap,
+  RuleSimulationContext,
+  RuleSimulationRequest,
   RulesCollection,
   RulesStorage,
   RuleType,
   RuleValidation,
   SavedDataMap,
+  ScriptLanguage,
+  ScriptRule,
+  ScriptRunAt,
+  ScriptWorld,
+  TimestampFormat,
+  UrlParamAction,
   UrlParamModification,
   UrlRule,
   UrlRuleAction,
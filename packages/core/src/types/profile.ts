@@ -0,0 +1,36 @@
+/**
+ * Rule profile types.
+ *
+ * A profile is a named snapshot of which rules, extension tag groups and
+ * environment are active in a workspace ("Admin user", "Guest", "Staging
+ * backend"). Applying it restores that state in one step.
+ */
+
+// ── Profile ─────────────────────────────────────────────────────────
+
+/** Rule collections whose enabled state a profile records. */
+export type ProfileRuleKind = 'header' | 'request' | 'url' | 'script';
+
+/** Enabled state per rule id, grouped by collection. */
+export type ProfileRuleStates = Partial<Record<ProfileRuleKind, Record<string, boolean>>>;
+
+export interface RuleProfile {
+  id: string;
+  name: string;
+  description?: string;
+  /** Rules not listed (e.g. created after the profile was saved) are left as they are. */
+  rules: ProfileRuleStates;
+  /** Tag groups switched off in the browser extension (`__no_tag__` for untagged rules). */
+  disabledTagGroups: string[];
+  /** Environment to activate, or null to keep the current one. */
+  environment: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** What clients that only switch profiles (extension popup, tray) need to know. */
+export interface RuleProfileSummary {
+  id: string;
+  name: string;
+  description?: string;
+}
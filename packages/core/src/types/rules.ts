@@ -2,12 +2,14 @@
  * Rules domain types.
  *
  * Rules define how the proxy/extension modifies HTTP traffic.
- * Three rule types: header, payload, and URL.
+ * Four rule types: header, payload, URL, and script (JS/CSS injection).
  */
 
+import type { Source } from './source';
+
 // ── Enums / literals ────────────────────────────────────────────────
 
-export type RuleType = 'header' | 'payload' | 'url';
+export type RuleType = 'header' | 'payload' | 'url' | 'script';
 
 export type MatchType = 'contains' | 'regex' | 'exact';
 
@@ -15,6 +17,36 @@ export type ContentType = 'any' | 'json' | 'xml' | 'text' | 'form';
 
 export type UrlRuleAction = 'modify' | 'redirect' | 'block';
 
+export type UrlParamAction = 'set' | 'remove';
+
+/** Mirrors the declarativeNetRequest header operations. */
+export type HeaderOperation = 'set' | 'append' | 'remove';
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS' | 'CONNECT';
+
+/** Mirrors the declarativeNetRequest resource types. */
+export type RequestResourceType =
+  | 'main_frame'
+  | 'sub_frame'
+  | 'stylesheet'
+  | 'script'
+  | 'image'
+  | 'font'
+  | 'object'
+  | 'xmlhttprequest'
+  | 'ping'
+  | 'media'
+  | 'websocket'
+  | 'other';
+
+export type ScriptLanguage = 'js' | 'css';
+
+/** Mirrors the content script `run_at` values. */
+export type ScriptRunAt = 'document_start' | 'document_end' | 'document_idle';
+
+/** MAIN shares globals with the page; ISOLATED only shares the DOM. */
+export type ScriptWorld = 'MAIN' | 'ISOLATED';
+
 // ── Base rule ───────────────────────────────────────────────────────
 
 export interface BaseRule {
@@ -28,12 +60,71 @@ export interface BaseRule {
   updatedAt: string;
 }
 
+// ── Request conditions ──────────────────────────────────────────────
+
+/** Narrow a rule beyond its `domains`. Absent or empty lists place no restriction. */
+export interface RequestConditions {
+  methods?: HttpMethod[];
+  resourceTypes?: RequestResourceType[];
+  /** Domains of the page that made the request. Subdomains are included. */
+  initiatorDomains?: string[];
+  /**
+   * Domain or URL patterns (same syntax as `domains`) the rule never applies to.
+   * Bare domains also exclude their subdomains.
+   */
+  excludedDomains?: string[];
+}
+
+/** Request details checked against `RequestConditions`. */
+export interface RequestDetails {
+  method: string;
+  resourceType: RequestResourceType;
+  /** Hostname of the page that made the request, or null when unknown (e.g. typed navigation). */
+  initiator: string | null;
+}
+
+// ── Header value generators ─────────────────────────────────────────
+
+export type HeaderGeneratorType = 'uuid' | 'timestamp' | 'nonce' | 'hmac';
+
+/** Same formats as the `now()` template function. */
+export type TimestampFormat = 'iso' | 'unix' | 'unix_ms' | 'http';
+
+export type DigestEncoding = 'hex' | 'base64';
+
+/**
+ * Computes a fresh header value for every request passing through the proxy.
+ * The browser extension only sends static values, so it never applies these rules.
+ */
+export interface HeaderValueGenerator {
+  type: HeaderGeneratorType;
+  /** timestamp: defaults to 'iso'. */
+  format?: TimestampFormat;
+  /** nonce: random bytes, hex-encoded. Defaults to 16. */
+  bytes?: number;
+  /**
+   * hmac: signing key, usually a {{VARIABLE}}. The signature covers
+   * `METHOD\nPATH\nBODY`, where PATH includes the query string and BODY is the
+   * request body as forwarded (after payload rules).
+   */
+  secret?: string;
+  /** hmac: defaults to 'hex'. */
+  encoding?: DigestEncoding;
+}
+
 // ── Header rule ─────────────────────────────────────────────────────
 
-export interface HeaderRule extends BaseRule {
+export interface HeaderRule extends BaseRule, RequestConditions {
   type: 'header';
   headerName: string;
   headerValue: string;
+  /** Defaults to 'set'. 'remove' ignores the value; 'append' adds to any value already sent. */
+  operation?: HeaderOperation;
+  /**
+   * 0 (default) to MAX_HEADER_RULE_PRIORITY. When rules set the same header on the same
+   * request, the higher priority wins; equal priorities leave the winner undefined.
+   */
+  priority?: number;
   tag: string;
   isResponse: boolean;
   isDynamic: boolean;
@@ -43,6 +134,8 @@ export interface HeaderRule extends BaseRule {
   hasEnvVars: boolean;
   envVars: string[];
   cookieName?: string;
+  /** Proxy only: replaces `headerValue` with a value generated per request, wrapped in prefix/suffix. */
+  generator?: HeaderValueGenerator | null;
 }
 
 // ── Payload rule ────────────────────────────────────────────────────
@@ -62,7 +155,8 @@ export interface PayloadRule extends BaseRule {
 export interface UrlParamModification {
   key: string;
   value?: string;
-  action?: string;
+  /** Defaults to 'set' (add the parameter, or replace it when already present). */
+  action?: UrlParamAction;
 }
 
 export interface UrlRule extends BaseRule {
@@ -75,9 +169,23 @@ export interface UrlRule extends BaseRule {
   action: UrlRuleAction;
 }
 
+// ── Script rule ─────────────────────────────────────────────────────
+
+export interface ScriptRule extends BaseRule {
+  type: 'script';
+  language: ScriptLanguage;
+  /** Inline code. Replaced with the source content when `sourceId` is set. */
+  code: string;
+  /** File or HTTP source providing the code instead of `code`. */
+  sourceId: string | null;
+  runAt: ScriptRunAt;
+  /** Only meaningful for JavaScript; CSS is always applied to the document. */
+  world: ScriptWorld;
+}
+
 // ── Union ───────────────────────────────────────────────────────────
 
-export type Rule = HeaderRule | PayloadRule | UrlRule;
+export type Rule = HeaderRule | PayloadRule | UrlRule | ScriptRule;
 
 // ── Rules collection (in-memory shape) ──────────────────────────────
 
@@ -85,6 +193,10 @@ export interface RulesCollection {
   header: HeaderRule[];
   request: PayloadRule[];
   response: Rule[];
+  /** Absent in rules.json files written before URL rules were supported. */
+  url?: UrlRule[];
+  /** Absent in rules.json files written before script rules were supported. */
+  script?: ScriptRule[];
 }
 
 // ── Persisted file shape (rules.json) ───────────────────────────────
@@ -107,11 +219,13 @@ export interface RuleValidation {
 
 // ── Header entry (extension storage format / WS sync format) ────────
 
-export interface HeaderEntry {
+export interface HeaderEntry extends RequestConditions {
   headerName: string;
   headerValue: string;
   domains: string[];
   domain?: string;
+  operation?: HeaderOperation;
+  priority?: number;
   isDynamic: boolean;
   sourceId?: string | number | null;
   prefix?: string;
@@ -145,3 +259,106 @@ export interface HeaderNameValidation {
   warning?: string;
   message: string;
 }
+
+// ── Rule simulation ─────────────────────────────────────────────────
+
+/** State header rules are evaluated with. */
+export interface RuleSimulationContext {
+  environmentVariables?: Record<string, string>;
+  sources?: Source[];
+  /** Tag groups paused in the extension popup; untagged rules belong to `__no_tag__`. */
+  disabledTagGroups?: string[];
+}
+
+/** Request to evaluate header rules against. Defaults to a GET page load with no initiator. */
+export interface RuleSimulationRequest {
+  url: string;
+  method?: HttpMethod;
+  resourceType?: RequestResourceType;
+  /** Hostname of the page making the request, for rules with initiator domains. */
+  initiator?: string | null;
+}
+
+export type HeaderRuleSkipReason =
+  | 'disabled'
+  | 'tag_group_disabled'
+  | 'condition_mismatch'
+  | 'excluded_by_other_rule'
+  | 'unresolved_variable'
+  | 'invalid_template'
+  | 'invalid_header'
+  | 'source_missing'
+  | 'source_pending'
+  | 'source_empty'
+  | 'empty_value'
+  | 'invalid_value'
+  | 'proxy_only';
+
+/** Outcome of one header rule whose domains match the simulated URL. */
+export interface HeaderRuleEvaluation {
+  ruleId: string;
+  /** With environment variables resolved where possible */
+  headerName: string;
+  isResponse: boolean;
+  operation: HeaderOperation;
+  priority: number;
+  /** Domain pattern that matched the URL, or null when the rule's domains depend on unset variables */
+  matchedPattern: string | null;
+  applied: boolean;
+  /** Value that would be sent, after variables, source content, prefix and suffix. Absent for removals and skips. */
+  value?: string;
+  skipReason?: HeaderRuleSkipReason;
+  /** Why the rule was skipped, e.g. the unset variable names */
+  detail?: string;
+}
+
+// ── Rule linting ────────────────────────────────────────────────────
+
+/** Fields the linter reads. Desktop header rules and extension entries (with their id) both fit. */
+export interface LintableHeaderRule extends HeaderEntry {
+  id: string;
+  name?: string;
+  generator?: HeaderValueGenerator | null;
+}
+
+/** State rules are linted with. Checks that depend on missing state are skipped. */
+export interface HeaderRuleLintContext {
+  environmentVariables?: Record<string, string>;
+  /** Source content for dynamic values, so the substituted value can be checked */
+  sources?: Array<{ sourceId?: string | number; sourceContent?: string | null }>;
+}
+
+export type HeaderRuleLintCode =
+  | 'invalid_header_name'
+  | 'restricted_header'
+  | 'append_not_supported'
+  | 'value_too_long'
+  | 'value_has_line_breaks'
+  | 'invalid_domain'
+  | 'never_matches'
+  | 'shadowed'
+  | 'excluded_by_other_rule';
+
+/** A problem that keeps a header rule from working the way it reads. */
+export interface HeaderRuleLintWarning {
+  ruleId: string;
+  code: HeaderRuleLintCode;
+  message: string;
+  /** shadowed: the higher-priority rule that wins instead */
+  shadowedBy?: string;
+  /** excluded_by_other_rule: the rule whose URL exclusion also stops this one */
+  excludedBy?: string;
+}
+
+// ── Rule hits ───────────────────────────────────────────────────────
+
+/** How often a header rule matched a request, as counted by the browser extension. */
+export interface RuleHitStats {
+  count: number;
+  /** Epoch milliseconds of the most recent match */
+  lastHitAt: number;
+  lastUrl: string;
+}
+
+/** Hit stats keyed by rule id */
+export type RuleHitStatsMap = Record<string, RuleHitStats>;
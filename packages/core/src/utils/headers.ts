@@ -5,7 +5,7 @@
  * headers before they're applied via declarativeNetRequest or proxy.
  */
 
-import type { HeaderNameValidation, HeaderValueValidation } from '../types';
+import type { HeaderNameValidation, HeaderOperation, HeaderValueValidation } from '../types';
 
 // Headers that cannot be modified by extensions
 const FORBIDDEN_REQUEST_HEADERS = new Set([
@@ -59,10 +59,76 @@ const FORBIDDEN_RESPONSE_HEADERS = new Set([
   'vary',
 ]);
 
+// Protected request headers that browsers still let extensions strip
+const REMOVABLE_REQUEST_HEADERS = new Set(['origin']);
+
+// Request headers declarativeNetRequest accepts the 'append' operation for
+const APPENDABLE_REQUEST_HEADERS = new Set([
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'access-control-request-headers',
+  'cache-control',
+  'connection',
+  'content-language',
+  'cookie',
+  'forwarded',
+  'if-match',
+  'if-none-match',
+  'keep-alive',
+  'range',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'user-agent',
+  'via',
+  'want-digest',
+  'x-forwarded-for',
+]);
+
+/** Longest header value browsers accept; longer values are cut off by sanitizeHeaderValue. */
+export const MAX_HEADER_VALUE_LENGTH = 8192;
+
+/**
+ * Whether browsers refuse to let extensions change a header.
+ * Removing is allowed for a few protected request headers.
+ */
+export function isRestrictedHeader(name: string, isResponse = false, operation: HeaderOperation = 'set'): boolean {
+  const lowerName = name.trim().toLowerCase();
+  const forbiddenSet = isResponse ? FORBIDDEN_RESPONSE_HEADERS : FORBIDDEN_REQUEST_HEADERS;
+  const removable = operation === 'remove' && !isResponse && REMOVABLE_REQUEST_HEADERS.has(lowerName);
+  return forbiddenSet.has(lowerName) && !removable;
+}
+
+/**
+ * Whether a header can be appended to rather than set.
+ * Any response header can; request headers are limited to the list browsers allow.
+ */
+export function canAppendHeader(name: string, isResponse = false): boolean {
+  return isResponse || APPENDABLE_REQUEST_HEADERS.has(name.trim().toLowerCase());
+}
+
+/** Highest priority a header rule can take — keeps each DNR priority band clear of the next. */
+export const MAX_HEADER_RULE_PRIORITY = 50;
+
+/**
+ * Clamp a header rule priority to a whole number between 0 and MAX_HEADER_RULE_PRIORITY.
+ * Missing or invalid priorities count as 0.
+ */
+export function normalizeHeaderRulePriority(priority: number | undefined): number {
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) return 0;
+  return Math.min(MAX_HEADER_RULE_PRIORITY, Math.max(0, Math.round(priority)));
+}
+
 /**
  * Validates a header name for browser extension compatibility.
  */
-export function validateHeaderName(name: string, isResponse = false): HeaderNameValidation {
+export function validateHeaderName(
+  name: string,
+  isResponse = false,
+  operation: HeaderOperation = 'set',
+): HeaderNameValidation {
   if (!name) {
     return { valid: false, message: 'Header name cannot be empty' };
   }
@@ -79,8 +145,7 @@ export function validateHeaderName(name: string, isResponse = false): HeaderName
 
   const lowerName = trimmedName.toLowerCase();
 
-  const forbiddenSet = isResponse ? FORBIDDEN_RESPONSE_HEADERS : FORBIDDEN_REQUEST_HEADERS;
-  if (forbiddenSet.has(lowerName)) {
+  if (isRestrictedHeader(lowerName, isResponse, operation)) {
     return { valid: false, message: `"${trimmedName}" is a protected header that cannot be modified by extensions` };
   }
 
@@ -112,8 +177,8 @@ export function validateHeaderValue(value: string, headerName = ''): HeaderValue
     return { valid: false, message: 'Header value cannot be only whitespace' };
   }
 
-  if (value.length > 8192) {
-    return { valid: false, message: 'Header value is too long (max 8192 characters)' };
+  if (value.length > MAX_HEADER_VALUE_LENGTH) {
+    return { valid: false, message: `Header value is too long (max ${MAX_HEADER_VALUE_LENGTH} characters)` };
   }
 
   if (value.includes('\0')) {
@@ -163,8 +228,8 @@ export function sanitizeHeaderValue(value: string): string {
   sanitized = sanitized.replace(/[\r\n]+/g, ' ');
   sanitized = sanitized.trim();
 
-  if (sanitized.length > 8192) {
-    sanitized = `${sanitized.substring(0, 8189)}...`;
+  if (sanitized.length > MAX_HEADER_VALUE_LENGTH) {
+    sanitized = `${sanitized.substring(0, MAX_HEADER_VALUE_LENGTH - 3)}...`;
   }
 
   return sanitized;
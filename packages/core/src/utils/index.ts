@@ -3,8 +3,45 @@ export {
   generateSourcesHash,
 } from './hash';
 export {
+  canAppendHeader,
+  isRestrictedHeader,
+  MAX_HEADER_RULE_PRIORITY,
+  MAX_HEADER_VALUE_LENGTH,
   normalizeHeaderName,
+  normalizeHeaderRulePriority,
   sanitizeHeaderValue,
   validateHeaderName,
   validateHeaderValue,
 } from './headers';
+export { lintHeaderRules } from './lint';
+export {
+  findExclusionSuppressor,
+  getHeaderRuleRank,
+  getUnscopedUrlExclusions,
+  hasUnscopedUrlExclusions,
+  isDomainOrSubdomain,
+  isUrlExcluded,
+  matchesRequestConditions,
+} from './matching';
+export { applyRuleStates, captureRuleStates, toProfileSummary } from './profiles';
+export { createRuleHitStats, isRuleHitStats, mergeRuleHits, recordRuleHit } from './rule-hits';
+export { simulateHeaderRules } from './simulate';
+export type { TemplateExpressionResult } from './templates';
+export {
+  evaluateTemplateExpression,
+  findTemplateVariables,
+  findUnresolvedVariables,
+  resolveTemplate,
+  validateTemplate,
+} from './templates';
+export type { DnrScopedUrlCondition, DnrUrlCondition, ParsedUrlPattern } from './url-patterns';
+export {
+  findMatchingUrlPattern,
+  isNegatedUrlPattern,
+  matchesUrlPattern,
+  parseUrlPattern,
+  testUrlPattern,
+  toDnrExcludingConditions,
+  toDnrUrlCondition,
+  validateUrlPattern,
+} from './url-patterns';
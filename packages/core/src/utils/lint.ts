@@ -0,0 +1,357 @@
+/**
+ * Header rule linter — finds rules that save fine but will not do what they say.
+ *
+ * Covers headers browsers refuse to let extensions change, values that break
+ * declarativeNetRequest limits once variables and source content are filled in,
+ * domain lists that can never match, rules that are always overridden by a
+ * higher-priority rule for the same header, and rules another rule's URL exclusion
+ * stops in the browser. Checks that need variables or source content missing from
+ * the context are skipped rather than guessed.
+ */
+
+import type { HeaderRuleLintCode, HeaderRuleLintContext, HeaderRuleLintWarning, LintableHeaderRule } from '../types';
+import {
+  canAppendHeader,
+  isRestrictedHeader,
+  MAX_HEADER_VALUE_LENGTH,
+  normalizeHeaderRulePriority,
+  validateHeaderName,
+} from './headers';
+import { getHeaderRuleRank, getUnscopedUrlExclusions } from './matching';
+import { findUnresolvedVariables, resolveTemplate } from './templates';
+import { type ParsedUrlPattern, parseUrlPattern, validateUrlPattern } from './url-patterns';
+
+/** Request headers the Fetch standard reserves for the browser by prefix */
+const BROWSER_CONTROLLED_PREFIXES = ['sec-', 'proxy-'];
+
+type Warn = (code: HeaderRuleLintCode, message: string) => void;
+
+interface ResolvedDomains {
+  patterns: string[];
+  /** False when some domains depend on variables the context does not provide */
+  complete: boolean;
+}
+
+/** Resolve a template, or null when it uses variables the context does not provide */
+function resolveField(template: string | undefined, variables: Record<string, string> | undefined): string | null {
+  const text = template || '';
+  if (findUnresolvedVariables(text, variables ?? {}).length > 0) return null;
+  return resolveTemplate(text, variables ?? {});
+}
+
+function resolveDomains(domains: string[], variables: Record<string, string> | undefined): ResolvedDomains {
+  const patterns: string[] = [];
+  let complete = true;
+  for (const domain of domains) {
+    const resolved = resolveField(domain, variables);
+    if (resolved === null) {
+      complete = false;
+      continue;
+    }
+    // A variable may hold a comma-separated list of domains
+    for (const pattern of resolved.split(',')) {
+      if (pattern.trim()) patterns.push(pattern.trim());
+    }
+  }
+  return { patterns, complete };
+}
+
+/** The value that would be sent, or null when it depends on missing state */
+function resolveValue(rule: LintableHeaderRule, context: HeaderRuleLintContext): string | null {
+  const variables = context.environmentVariables;
+  if (rule.isDynamic && rule.sourceId) {
+    const source = context.sources?.find((s) => String(s.sourceId) === String(rule.sourceId));
+    if (typeof source?.sourceContent !== 'string') return null;
+    const prefix = resolveField(rule.prefix, variables);
+    const suffix = resolveField(rule.suffix, variables);
+    return prefix === null || suffix === null ? null : `${prefix}${source.sourceContent}${suffix}`;
+  }
+  return resolveField(rule.headerValue, variables);
+}
+
+function lintHeaderName(rule: LintableHeaderRule, headerName: string, warn: Warn) {
+  const operation = rule.operation || 'set';
+  const isResponse = Boolean(rule.isResponse);
+
+  if (isRestrictedHeader(headerName, isResponse, operation)) {
+    warn('restricted_header', `Browsers do not let extensions change ${headerName}, so this rule is ignored`);
+    return;
+  }
+  const validation = validateHeaderName(headerName, isResponse, operation);
+  if (!validation.valid) {
+    warn('invalid_header_name', validation.message);
+    return;
+  }
+
+  const lowerName = headerName.toLowerCase();
+  if (!isResponse && BROWSER_CONTROLLED_PREFIXES.some((prefix) => lowerName.startsWith(prefix))) {
+    warn('restricted_header', `Browsers set ${headerName} themselves and may ignore changes to it`);
+  }
+  if (operation === 'append' && !canAppendHeader(headerName, isResponse)) {
+    warn('append_not_supported', `Browsers cannot append to ${headerName}; use "set" instead`);
+  }
+}
+
+function lintValue(rule: LintableHeaderRule, context: HeaderRuleLintContext, warn: Warn) {
+  // Removals send nothing, and generated values only exist per proxied request
+  if (rule.operation === 'remove' || rule.generator) return;
+
+  const value = resolveValue(rule, context);
+  if (value === null) return;
+
+  const subject = rule.isDynamic
+    ? 'With the source content filled in, the value'
+    : value !== (rule.headerValue || '')
+      ? 'With variables filled in, the value'
+      : 'The value';
+  if (value.length > MAX_HEADER_VALUE_LENGTH) {
+    warn(
+      'value_too_long',
+      `${subject} is ${value.length} characters; anything over ${MAX_HEADER_VALUE_LENGTH} is cut off`,
+    );
+  }
+  if (/[\r\n]/.test(value)) {
+    warn('value_has_line_breaks', `${subject} contains line breaks, which are stripped before it is sent`);
+  }
+}
+
+function lintDomains(rule: LintableHeaderRule, domains: ResolvedDomains, warn: Warn) {
+  if ((rule.domains || []).length === 0) {
+    warn('never_matches', 'The rule has no domains, so it is never applied');
+    return;
+  }
+
+  const valid: string[] = [];
+  for (const pattern of domains.patterns) {
+    const validation = validateUrlPattern(pattern);
+    if (validation.valid) {
+      valid.push(pattern);
+    } else {
+      warn('invalid_domain', `Domain "${pattern}" can never match: ${validation.message}`);
+    }
+  }
+
+  const plain = valid.filter((pattern) => !pattern.trim().startsWith('!'));
+  if (domains.complete && valid.length > 0 && plain.length === 0) {
+    warn('never_matches', 'All domains are exclusions (!), so the rule matches nothing');
+    return;
+  }
+
+  const excluded = (rule.excludedDomains || []).map((domain) => domain.trim().toLowerCase());
+  if (excluded.includes('*')) {
+    warn('never_matches', 'Excluded domains include *, so every request is excluded');
+  } else if (plain.length > 0 && plain.every((pattern) => excluded.includes(pattern.toLowerCase()))) {
+    warn('never_matches', 'Every domain is also excluded, so the rule matches nothing');
+  }
+}
+
+// ── Shadowing ──────────────────────────────────────────────────────
+
+interface ShadowCandidate {
+  rule: LintableHeaderRule;
+  headerName: string;
+  priority: number;
+  /** See getHeaderRuleRank */
+  rank: number;
+  /** Parsed plain patterns, or null when the domains cannot be compared */
+  patterns: ParsedUrlPattern[] | null;
+}
+
+/** Whether every URL matched by `inner` is also matched by `outer` */
+function patternCovers(outer: ParsedUrlPattern, inner: ParsedUrlPattern): boolean {
+  if (outer.kind === 'all') return true;
+  if (outer.source.toLowerCase() === inner.source.toLowerCase()) return true;
+  if (outer.kind !== 'host' || inner.kind !== 'host' || outer.path !== null || outer.port !== inner.port) {
+    return false;
+  }
+  if (inner.host === outer.host) return outer.includeSubdomains || !inner.includeSubdomains;
+  return outer.includeSubdomains && inner.host.endsWith(`.${outer.host}`);
+}
+
+/** Whether `outer`'s condition list is no narrower than `inner`'s (empty means no restriction) */
+function conditionCovers(outer: string[] | undefined, inner: string[] | undefined): boolean {
+  if (!outer?.length) return true;
+  if (!inner?.length) return false;
+  const allowed = new Set(outer.map((value) => value.toLowerCase()));
+  return inner.every((value) => allowed.has(value.toLowerCase()));
+}
+
+function shadows(winner: ShadowCandidate, loser: ShadowCandidate): boolean {
+  const a = winner.rule;
+  const b = loser.rule;
+  if (winner.rank <= loser.rank || !winner.patterns || !loser.patterns) return false;
+  if (winner.headerName !== loser.headerName || Boolean(a.isResponse) !== Boolean(b.isResponse)) return false;
+  // Appending keeps the lower-priority value; the extension never sends generated values
+  if (a.operation === 'append' || a.generator) return false;
+
+  const domainsCovered = loser.patterns.every((inner) => winner.patterns?.some((outer) => patternCovers(outer, inner)));
+  return (
+    domainsCovered &&
+    conditionCovers(a.methods, b.methods) &&
+    conditionCovers(a.resourceTypes, b.resourceTypes) &&
+    conditionCovers(a.initiatorDomains, b.initiatorDomains) &&
+    // Exclusions on the winner leave gaps for the loser, unless the loser excludes them too
+    (a.excludedDomains || []).every((domain) =>
+      (b.excludedDomains || []).some((excluded) => excluded.toLowerCase() === domain.toLowerCase()),
+    )
+  );
+}
+
+function toShadowCandidate(
+  rule: LintableHeaderRule,
+  headerName: string | null,
+  domains: ResolvedDomains,
+): ShadowCandidate | null {
+  if (rule.isEnabled === false || headerName === null) return null;
+
+  let patterns: ParsedUrlPattern[] | null = null;
+  if (domains.complete && domains.patterns.length > 0) {
+    const parsed = domains.patterns.map((pattern) => parseUrlPattern(pattern));
+    // Negated or unparsable patterns make coverage impossible to judge, so skip them
+    if (parsed.every((p): p is ParsedUrlPattern => p !== null && !p.negated)) {
+      patterns = parsed;
+    }
+  }
+  return {
+    rule,
+    headerName: headerName.toLowerCase(),
+    priority: normalizeHeaderRulePriority(rule.priority),
+    rank: getHeaderRuleRank(rule),
+    patterns,
+  };
+}
+
+// ── Exclusion band ─────────────────────────────────────────────────
+
+/**
+ * A rule whose URL exclusions the extension can only apply with allow rules. Those
+ * allow rules stop every rule of equal or lower priority on the excluded URLs,
+ * which only reaches other rules of this kind (see getHeaderRuleRank).
+ */
+interface ExclusionBandCandidate {
+  rule: LintableHeaderRule;
+  priority: number;
+  /** Exclusions that need allow rules */
+  unscoped: string[];
+  /** Parsed plain domains, or null when they cannot be compared */
+  patterns: ParsedUrlPattern[] | null;
+}
+
+/** Whether some URL is matched by both patterns, when that can be told for sure */
+function patternsOverlap(domain: ParsedUrlPattern, exclusion: ParsedUrlPattern): boolean {
+  if (domain.kind === 'all') return true;
+  if (domain.kind !== 'host' || exclusion.kind !== 'host' || domain.path !== null) return false;
+  if (domain.port !== exclusion.port) return false;
+  return (
+    domain.host === exclusion.host ||
+    (domain.includeSubdomains && exclusion.host.endsWith(`.${domain.host}`)) ||
+    (exclusion.includeSubdomains && domain.host.endsWith(`.${exclusion.host}`))
+  );
+}
+
+/** Whether a request can satisfy both condition lists (empty means no restriction) */
+function conditionsOverlap(a: string[] | undefined, b: string[] | undefined): boolean {
+  if (!a?.length || !b?.length) return true;
+  const values = new Set(a.map((value) => value.toLowerCase()));
+  return b.some((value) => values.has(value.toLowerCase()));
+}
+
+/** The exclusion of `other` that stops `rule` on some of its URLs, if any */
+function findSuppressingExclusion(rule: ExclusionBandCandidate, other: ExclusionBandCandidate): string | null {
+  const a = other.rule;
+  const b = rule.rule;
+  if (a.id === b.id || other.priority < rule.priority || !rule.patterns) return null;
+  if (
+    !conditionsOverlap(a.methods, b.methods) ||
+    !conditionsOverlap(a.resourceTypes, b.resourceTypes) ||
+    !conditionsOverlap(a.initiatorDomains, b.initiatorDomains)
+  ) {
+    return null;
+  }
+
+  const ownExclusions = new Set(rule.unscoped.map((pattern) => pattern.trim().toLowerCase()));
+  for (const pattern of other.unscoped) {
+    if (ownExclusions.has(pattern.trim().toLowerCase())) continue;
+    const exclusion = parseUrlPattern(pattern.trim().replace(/^!\s*/, ''));
+    if (exclusion && rule.patterns.some((domain) => patternsOverlap(domain, exclusion))) return pattern;
+  }
+  return null;
+}
+
+function toExclusionBandCandidate(rule: LintableHeaderRule, domains: ResolvedDomains): ExclusionBandCandidate | null {
+  if (rule.isEnabled === false) return null;
+  const unscoped = getUnscopedUrlExclusions(rule);
+  if (unscoped.length === 0) return null;
+
+  const parsed = domains.patterns.map((pattern) => parseUrlPattern(pattern));
+  const patterns = domains.complete ? parsed.filter((p): p is ParsedUrlPattern => p !== null && !p.negated) : null;
+  return { rule, priority: normalizeHeaderRulePriority(rule.priority), unscoped, patterns };
+}
+
+function describeRule(rule: LintableHeaderRule): string {
+  return rule.name?.trim() ? `"${rule.name.trim()}"` : `another ${rule.headerName} rule`;
+}
+
+// ── Entry point ────────────────────────────────────────────────────
+
+/**
+ * Lint header rules. Returns warnings in rule order; a rule can have several.
+ */
+export function lintHeaderRules(
+  rules: LintableHeaderRule[],
+  context: HeaderRuleLintContext = {},
+): HeaderRuleLintWarning[] {
+  const warnings: HeaderRuleLintWarning[] = [];
+  const candidates: ShadowCandidate[] = [];
+  const bandCandidates: ExclusionBandCandidate[] = [];
+
+  for (const rule of rules) {
+    const warn: Warn = (code, message) => warnings.push({ ruleId: rule.id, code, message });
+
+    const headerName = resolveField(rule.headerName, context.environmentVariables)?.trim() ?? null;
+    const domains = resolveDomains(rule.domains || [], context.environmentVariables);
+
+    if (headerName !== null) lintHeaderName(rule, headerName, warn);
+    lintValue(rule, context, warn);
+    lintDomains(rule, domains, warn);
+
+    const candidate = toShadowCandidate(rule, headerName, domains);
+    if (candidate) candidates.push(candidate);
+    const bandCandidate = toExclusionBandCandidate(rule, domains);
+    if (bandCandidate) bandCandidates.push(bandCandidate);
+  }
+
+  // Report the highest ranked rule that overrides each one
+  const byRank = [...candidates].sort((a, b) => b.rank - a.rank);
+  const shadowWarnings: HeaderRuleLintWarning[] = [];
+  for (const loser of candidates) {
+    const winner = byRank.find((candidate) => shadows(candidate, loser));
+    if (!winner) continue;
+    const verb = winner.rule.operation === 'remove' ? 'removes' : 'sets';
+    const ranking =
+      winner.priority > loser.priority ? '' : ", as this rule's URL exclusions rank it below rules without them";
+    shadowWarnings.push({
+      ruleId: loser.rule.id,
+      code: 'shadowed',
+      message: `Overridden by ${describeRule(winner.rule)} (priority ${winner.priority}), which ${verb} ${loser.rule.headerName} wherever this rule applies${ranking}`,
+      shadowedBy: winner.rule.id,
+    });
+  }
+
+  for (const candidate of bandCandidates) {
+    for (const other of bandCandidates) {
+      const pattern = findSuppressingExclusion(candidate, other);
+      if (!pattern) continue;
+      shadowWarnings.push({
+        ruleId: candidate.rule.id,
+        code: 'excluded_by_other_rule',
+        message: `Stopped on ${pattern} by ${describeRule(other.rule)} (priority ${other.priority}), whose URL exclusion the browser applies to this rule too`,
+        excludedBy: other.rule.id,
+      });
+      break;
+    }
+  }
+
+  const order = new Map(rules.map((rule, index) => [rule.id, index]));
+  return [...warnings, ...shadowWarnings].sort((a, b) => (order.get(a.ruleId) ?? 0) - (order.get(b.ruleId) ?? 0));
+}
@@ -0,0 +1,135 @@
+/**
+ * Request conditions for header rules: excluded URLs, methods, resource types
+ * and initiators. URL patterns themselves are matched by ./url-patterns.
+ */
+
+import type { HttpMethod, RequestConditions, RequestDetails } from '../types';
+import { MAX_HEADER_RULE_PRIORITY, normalizeHeaderRulePriority } from './headers';
+import { isNegatedUrlPattern, matchesUrlPattern, toDnrExcludingConditions } from './url-patterns';
+
+/** A bare domain matches itself and its subdomains; ports and wildcards are ignored. */
+export function isDomainOrSubdomain(hostname: string, domain: string): boolean {
+  const bare = domain.trim().toLowerCase().replace(/^\*\./, '').replace(/:\d+$/, '');
+  return hostname === bare || hostname.endsWith(`.${bare}`);
+}
+
+/** Patterns without a path or protocol are domains; everything else is matched as a URL pattern. */
+function isBareDomain(pattern: string): boolean {
+  return !pattern.includes('/') && pattern.trim() !== '*';
+}
+
+/**
+ * Whether a URL is excluded by any of the patterns.
+ * Bare domains exclude their subdomains too, like declarativeNetRequest's excludedRequestDomains.
+ */
+export function isUrlExcluded(targetUrl: string, excludedDomains: string[] | undefined): boolean {
+  if (!excludedDomains || excludedDomains.length === 0) return false;
+
+  let hostname: string;
+  try {
+    hostname = new URL(targetUrl).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  return excludedDomains.some((pattern) => {
+    if (!pattern?.trim()) return false;
+    return isBareDomain(pattern) ? isDomainOrSubdomain(hostname, pattern) : matchesUrlPattern(targetUrl, pattern);
+  });
+}
+
+/**
+ * Check a rule's conditions against a request.
+ * Without request details only the URL-based exclusions can be checked.
+ */
+export function matchesRequestConditions(
+  conditions: RequestConditions,
+  targetUrl: string,
+  request?: RequestDetails,
+): boolean {
+  if (isUrlExcluded(targetUrl, conditions.excludedDomains)) return false;
+  if (!request) return true;
+
+  const { methods, resourceTypes, initiatorDomains } = conditions;
+
+  if (methods && methods.length > 0 && !methods.includes(request.method as HttpMethod)) return false;
+
+  if (resourceTypes && resourceTypes.length > 0 && !resourceTypes.includes(request.resourceType)) return false;
+
+  if (initiatorDomains && initiatorDomains.length > 0) {
+    const initiator = request.initiator;
+    if (!initiator || !initiatorDomains.some((domain) => isDomainOrSubdomain(initiator, domain))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * The URL exclusions (excluded URL patterns and negated domains) the browser
+ * extension can only apply with allow rules, because no declarativeNetRequest
+ * condition expresses them. See toDnrExcludingConditions.
+ */
+export function getUnscopedUrlExclusions(rule: { domains?: string[]; excludedDomains?: string[] }): string[] {
+  const domains = (rule.domains || []).filter((domain) => domain?.trim());
+  const exclusions = [
+    ...(rule.excludedDomains || []).filter((pattern) => pattern.includes('/') && pattern.trim() !== ''),
+    ...domains.filter(isNegatedUrlPattern),
+  ];
+  if (exclusions.length === 0) return [];
+
+  const unscoped = new Set<string>();
+  for (const domain of domains) {
+    if (isNegatedUrlPattern(domain)) continue;
+    for (const pattern of toDnrExcludingConditions(domain, exclusions).unscoped) unscoped.add(pattern);
+  }
+  return [...unscoped];
+}
+
+/** Whether the browser extension needs allow rules for some of a rule's URL exclusions */
+export function hasUnscopedUrlExclusions(rule: { domains?: string[]; excludedDomains?: string[] }): boolean {
+  return getUnscopedUrlExclusions(rule).length > 0;
+}
+
+/**
+ * Rank of a header rule among rules setting the same header: the highest rank wins.
+ * That is its priority, except that rules needing allow rules for their exclusions
+ * rank below all others — the extension keeps them in a band of their own so the
+ * allow rules never reach rules without them.
+ */
+export function getHeaderRuleRank(rule: { priority?: number; domains?: string[]; excludedDomains?: string[] }): number {
+  const priority = normalizeHeaderRulePriority(rule.priority);
+  return hasUnscopedUrlExclusions(rule) ? priority - MAX_HEADER_RULE_PRIORITY - 1 : priority;
+}
+
+/** A header rule as far as its exclusion allow rules are concerned */
+type ExclusionBandRule = RequestConditions & { id: string; priority?: number; domains?: string[] };
+
+/**
+ * The other rule whose exclusion allow rules stop `rule` for a request, with the
+ * exclusion that matches. An allow rule suppresses every rule of equal or lower
+ * priority, so within the exclusion band one rule's unscoped exclusions also stop
+ * the band's rules of the same or lower priority, whatever their header. The allow
+ * rules carry their rule's methods, resource types and initiators, but not its
+ * domains. `rules` are the rules the extension has active; a rule's own exclusions
+ * are left to matchesRequestConditions.
+ */
+export function findExclusionSuppressor<T extends ExclusionBandRule>(
+  rule: T,
+  rules: T[],
+  targetUrl: string,
+  request?: RequestDetails,
+): { rule: T; pattern: string } | null {
+  if (!hasUnscopedUrlExclusions(rule)) return null;
+  const priority = normalizeHeaderRulePriority(rule.priority);
+
+  for (const other of rules) {
+    if (other.id === rule.id || normalizeHeaderRulePriority(other.priority) < priority) continue;
+    const { methods, resourceTypes, initiatorDomains } = other;
+    if (!matchesRequestConditions({ methods, resourceTypes, initiatorDomains }, targetUrl, request)) continue;
+    const pattern = getUnscopedUrlExclusions(other).find((exclusion) =>
+      matchesUrlPattern(targetUrl, exclusion.trim().replace(/^!\s*/, '')),
+    );
+    if (pattern) return { rule: other, pattern };
+  }
+  return null;
+}
@@ -0,0 +1,62 @@
+/**
+ * Rule profiles — capture and restore which rules are enabled.
+ */
+
+import type { ProfileRuleKind, ProfileRuleStates, RuleProfile, RuleProfileSummary, RulesCollection } from '../types';
+
+const PROFILE_RULE_KINDS: ProfileRuleKind[] = ['header', 'request', 'url', 'script'];
+
+/**
+ * Record the enabled state of every rule in the collection.
+ */
+export function captureRuleStates(rules: RulesCollection): ProfileRuleStates {
+  const states: ProfileRuleStates = {};
+  for (const kind of PROFILE_RULE_KINDS) {
+    const list = rules[kind] ?? [];
+    if (list.length === 0) continue;
+    states[kind] = Object.fromEntries(list.map((rule) => [rule.id, rule.isEnabled]));
+  }
+  return states;
+}
+
+/**
+ * Set each rule's enabled state from a profile. Rules the profile does not list
+ * keep their state; only rules whose state changes get a new `updatedAt`.
+ */
+export function applyRuleStates(
+  rules: RulesCollection,
+  states: ProfileRuleStates,
+  now = new Date().toISOString(),
+): { rules: RulesCollection; changed: number } {
+  let changed = 0;
+  const next: RulesCollection = { ...rules };
+
+  for (const kind of PROFILE_RULE_KINDS) {
+    const kindStates = states[kind];
+    const list = rules[kind];
+    if (!kindStates || !list) continue;
+
+    let kindChanged = false;
+    const updated = list.map((rule) => {
+      const enabled = kindStates[rule.id];
+      if (enabled === undefined || enabled === rule.isEnabled) return rule;
+      kindChanged = true;
+      changed++;
+      return { ...rule, isEnabled: enabled, updatedAt: now };
+    });
+    if (kindChanged) Object.assign(next, { [kind]: updated });
+  }
+
+  return { rules: next, changed };
+}
+
+/**
+ * Strip a profile down to what switching clients display.
+ */
+export function toProfileSummary(profile: RuleProfile): RuleProfileSummary {
+  return {
+    id: profile.id,
+    name: profile.name,
+    ...(profile.description ? { description: profile.description } : {}),
+  };
+}
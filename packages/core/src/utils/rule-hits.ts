@@ -0,0 +1,83 @@
+/**
+ * Rule hit counters — the extension counts header rule matches and reports
+ * them to the desktop app, which keeps the running totals.
+ *
+ * Rule ids arrive over the WebSocket, so they are used as keys only on maps
+ * without a prototype, and names that would reach Object.prototype are rejected.
+ */
+
+import type { RuleHitStats, RuleHitStatsMap } from '../types';
+
+const RESERVED_RULE_IDS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * An empty hit stats map with no prototype
+ */
+export function createRuleHitStats(): RuleHitStatsMap {
+  return Object.create(null) as RuleHitStatsMap;
+}
+
+/**
+ * Whether a value has the shape of one rule's hit stats
+ */
+export function isRuleHitStats(value: unknown): value is RuleHitStats {
+  if (!value || typeof value !== 'object') return false;
+  const { count, lastHitAt, lastUrl } = value as Partial<RuleHitStats>;
+  return (
+    typeof count === 'number' &&
+    Number.isFinite(count) &&
+    count > 0 &&
+    typeof lastHitAt === 'number' &&
+    Number.isFinite(lastHitAt) &&
+    typeof lastUrl === 'string'
+  );
+}
+
+function isUsableRuleId(ruleId: string): boolean {
+  return typeof ruleId === 'string' && ruleId !== '' && !RESERVED_RULE_IDS.has(ruleId);
+}
+
+function getOwnStats(stats: RuleHitStatsMap, ruleId: string): RuleHitStats | undefined {
+  return Object.hasOwn(stats, ruleId) ? stats[ruleId] : undefined;
+}
+
+/**
+ * Count one match of a rule. Mutates and returns `stats`.
+ */
+export function recordRuleHit(stats: RuleHitStatsMap, ruleId: string, url: string, at = Date.now()): RuleHitStatsMap {
+  if (!isUsableRuleId(ruleId)) return stats;
+  const current = getOwnStats(stats, ruleId);
+  if (!current) {
+    stats[ruleId] = { count: 1, lastHitAt: at, lastUrl: url };
+  } else {
+    current.count += 1;
+    if (at >= current.lastHitAt) {
+      current.lastHitAt = at;
+      current.lastUrl = url;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Add reported hits to running totals. Counts add up; the most recent hit wins
+ * the timestamp and URL. Malformed entries and reserved rule ids are ignored.
+ * Mutates and returns `totals`.
+ */
+export function mergeRuleHits(totals: RuleHitStatsMap, hits: RuleHitStatsMap): RuleHitStatsMap {
+  if (!hits || typeof hits !== 'object') return totals;
+  for (const [ruleId, hit] of Object.entries(hits)) {
+    if (!isUsableRuleId(ruleId) || !isRuleHitStats(hit)) continue;
+    const current = getOwnStats(totals, ruleId);
+    if (!current) {
+      totals[ruleId] = { count: hit.count, lastHitAt: hit.lastHitAt, lastUrl: hit.lastUrl };
+      continue;
+    }
+    current.count += hit.count;
+    if (hit.lastHitAt >= current.lastHitAt) {
+      current.lastHitAt = hit.lastHitAt;
+      current.lastUrl = hit.lastUrl;
+    }
+  }
+  return totals;
+}
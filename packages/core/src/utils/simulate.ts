@@ -0,0 +1,241 @@
+/**
+ * Header rule simulator — "what would be sent to this URL?"
+ *
+ * Evaluates header rules against a request the same way the desktop app and the
+ * extension do when injecting them: environment variables are resolved, dynamic
+ * values are read from their source and wrapped in prefix/suffix, and rules that
+ * would not be injected report why. Generated values only exist per proxied
+ * request, so those rules are reported as proxy-only.
+ */
+
+import type {
+  HeaderOperation,
+  HeaderRule,
+  HeaderRuleEvaluation,
+  HeaderRuleSkipReason,
+  RequestDetails,
+  RuleSimulationContext,
+  RuleSimulationRequest,
+  Source,
+} from '../types';
+import {
+  canAppendHeader,
+  normalizeHeaderRulePriority,
+  sanitizeHeaderValue,
+  validateHeaderName,
+  validateHeaderValue,
+} from './headers';
+import { findExclusionSuppressor, getHeaderRuleRank, isUrlExcluded, matchesRequestConditions } from './matching';
+import { findUnresolvedVariables, resolveTemplate, validateTemplate } from './templates';
+import { findMatchingUrlPattern } from './url-patterns';
+
+/** Group the extension popup uses for rules without a tag */
+const UNTAGGED_GROUP = '__no_tag__';
+
+interface DomainMatch {
+  /** First pattern matching the URL, or null */
+  pattern: string | null;
+  /** Variables missing from patterns that could not be resolved */
+  unresolved: string[];
+}
+
+function matchDomains(domains: string[], url: string, variables: Record<string, string>): DomainMatch {
+  const unresolved = new Set<string>();
+  const patterns: string[] = [];
+
+  for (const domain of domains) {
+    const missing = findUnresolvedVariables(domain, variables);
+    if (missing.length > 0) {
+      for (const name of missing) unresolved.add(name);
+      continue;
+    }
+    // A variable may hold a comma-separated list of domains
+    for (const pattern of resolveTemplate(domain, variables).split(',')) {
+      if (pattern.trim()) patterns.push(pattern.trim());
+    }
+  }
+
+  const matched = findMatchingUrlPattern(url, patterns);
+  return matched ? { pattern: matched, unresolved: [] } : { pattern: null, unresolved: [...unresolved] };
+}
+
+function describeConditionMismatch(rule: HeaderRule, url: string, request: RequestDetails): string {
+  const { methods, resourceTypes, initiatorDomains, excludedDomains } = rule;
+  if (isUrlExcluded(url, excludedDomains)) {
+    return `URL is excluded by ${excludedDomains!.join(', ')}`;
+  }
+  if (methods?.length && !methods.some((method) => method === request.method)) {
+    return `Method ${request.method} is not one of ${methods.join(', ')}`;
+  }
+  if (resourceTypes?.length && !resourceTypes.includes(request.resourceType)) {
+    return `Resource type ${request.resourceType} is not one of ${resourceTypes.join(', ')}`;
+  }
+  return request.initiator
+    ? `Initiator ${request.initiator} is not one of ${initiatorDomains?.join(', ')}`
+    : `Only applies to requests made by ${initiatorDomains?.join(', ')}`;
+}
+
+/**
+ * Resolve a rule's value. Returns the value, or the reason it cannot be sent.
+ */
+function resolveValue(
+  rule: HeaderRule,
+  variables: Record<string, string>,
+  sources: Source[],
+): { value: string } | { skipReason: HeaderRuleSkipReason; detail: string } {
+  if (rule.isDynamic && rule.sourceId) {
+    const sourceId = String(rule.sourceId);
+    const source = sources.find((s) => String(s.sourceId) === sourceId);
+    if (!source) {
+      return { skipReason: 'source_missing', detail: `Source #${sourceId} not found` };
+    }
+    if (source.activationState === 'waiting_for_deps') {
+      return { skipReason: 'source_pending', detail: `Source #${sourceId} is waiting for variables` };
+    }
+    if (source.sourceContent === null || source.sourceContent === undefined) {
+      return { skipReason: 'source_pending', detail: `Source #${sourceId} has not been fetched yet` };
+    }
+    if (source.sourceContent === '') {
+      return { skipReason: 'source_empty', detail: `Source #${sourceId} is empty` };
+    }
+    const prefix = resolveTemplate(rule.prefix || '', variables);
+    const suffix = resolveTemplate(rule.suffix || '', variables);
+    return { value: `${prefix}${source.sourceContent}${suffix}` };
+  }
+
+  const value = resolveTemplate(rule.headerValue || '', variables);
+  if (!value.trim()) {
+    return { skipReason: 'empty_value', detail: 'Value is empty' };
+  }
+  return { value };
+}
+
+/**
+ * Evaluate header rules against a request.
+ *
+ * Returns one entry per rule whose domains match the URL (or depend on unset
+ * variables), in the order they are applied: ascending rank (see getHeaderRuleRank),
+ * so for a header set by several rules the last applied entry is the value that is sent.
+ * Rules without domains are never injected and are left out.
+ */
+export function simulateHeaderRules(
+  rules: HeaderRule[],
+  request: RuleSimulationRequest,
+  context: RuleSimulationContext = {},
+): HeaderRuleEvaluation[] {
+  const variables = context.environmentVariables ?? {};
+  const sources = context.sources ?? [];
+  const disabledGroups = new Set(context.disabledTagGroups ?? []);
+  const details: RequestDetails = {
+    method: (request.method || 'GET').toUpperCase(),
+    resourceType: request.resourceType || 'main_frame',
+    initiator: request.initiator?.toLowerCase() || null,
+  };
+
+  const evaluations: HeaderRuleEvaluation[] = [];
+  // Rules the extension turns into declarativeNetRequest rules, allow rules included
+  const activeRules = rules.filter((rule) => rule.isEnabled && !disabledGroups.has(rule.tag || UNTAGGED_GROUP));
+
+  for (const rule of rules) {
+    const domainMatch = matchDomains(rule.domains || [], request.url, variables);
+    if (!domainMatch.pattern && domainMatch.unresolved.length === 0) continue;
+
+    const operation: HeaderOperation = rule.operation || 'set';
+    const base = {
+      ruleId: rule.id,
+      headerName: resolveTemplate(rule.headerName || '', variables),
+      isResponse: Boolean(rule.isResponse),
+      operation,
+      priority: normalizeHeaderRulePriority(rule.priority),
+      matchedPattern: domainMatch.pattern,
+    };
+    const skip = (skipReason: HeaderRuleSkipReason, detail: string) =>
+      evaluations.push({ ...base, applied: false, skipReason, detail });
+
+    if (!rule.isEnabled) {
+      skip('disabled', 'Rule is disabled');
+      continue;
+    }
+
+    if (disabledGroups.has(rule.tag || UNTAGGED_GROUP)) {
+      skip('tag_group_disabled', `Tag group "${rule.tag || 'Untagged'}" is paused`);
+      continue;
+    }
+
+    if (!matchesRequestConditions(rule, request.url, details)) {
+      skip('condition_mismatch', describeConditionMismatch(rule, request.url, details));
+      continue;
+    }
+
+    const suppressor = findExclusionSuppressor(rule, activeRules, request.url, details);
+    if (suppressor) {
+      skip(
+        'excluded_by_other_rule',
+        `"${suppressor.rule.name || suppressor.rule.headerName}" excludes ${suppressor.pattern}, and the browser applies that exclusion to this rule too`,
+      );
+      continue;
+    }
+
+    // Removals ignore the value, so only the name can depend on variables
+    const valueFields = rule.generator
+      ? [rule.prefix, rule.suffix, rule.generator.secret]
+      : rule.isDynamic
+        ? [rule.prefix, rule.suffix]
+        : [rule.headerValue];
+    const fields = operation === 'remove' ? [rule.headerName] : [rule.headerName, ...valueFields];
+    const unresolved = new Set(domainMatch.unresolved);
+    for (const field of fields) {
+      for (const name of findUnresolvedVariables(field, variables)) unresolved.add(name);
+    }
+    if (unresolved.size > 0) {
+      skip('unresolved_variable', `Unset variables: ${[...unresolved].join(', ')}`);
+      continue;
+    }
+    const invalidTemplate = fields.map((field) => validateTemplate(field)).find((validation) => !validation.valid);
+    if (invalidTemplate) {
+      skip('invalid_template', invalidTemplate.message || 'Invalid template');
+      continue;
+    }
+
+    const nameValidation = validateHeaderName(base.headerName, base.isResponse, operation);
+    if (!nameValidation.valid) {
+      skip('invalid_header', nameValidation.message);
+      continue;
+    }
+    if (operation === 'append' && !canAppendHeader(base.headerName, base.isResponse)) {
+      skip('invalid_header', `Browsers cannot append to "${base.headerName}"`);
+      continue;
+    }
+
+    if (operation === 'remove') {
+      evaluations.push({ ...base, applied: true });
+      continue;
+    }
+
+    if (rule.generator) {
+      skip('proxy_only', `Generated per request (${rule.generator.type}) — only the proxy sends it`);
+      continue;
+    }
+
+    const resolved = resolveValue(rule, variables, sources);
+    if ('skipReason' in resolved) {
+      skip(resolved.skipReason, resolved.detail);
+      continue;
+    }
+
+    let value = resolved.value;
+    if (!validateHeaderValue(value, base.headerName).valid) {
+      value = sanitizeHeaderValue(value);
+      const validation = validateHeaderValue(value, base.headerName);
+      if (!validation.valid) {
+        skip('invalid_value', validation.message || 'Value is not a valid header value');
+        continue;
+      }
+    }
+
+    evaluations.push({ ...base, applied: true, value });
+  }
+
+  const ranks = new Map(rules.map((rule) => [rule.id, getHeaderRuleRank(rule)]));
+  return evaluations.sort((a, b) => (ranks.get(a.ruleId) ?? 0) - (ranks.get(b.ruleId) ?? 0));
+}
@@ -0,0 +1,354 @@
+/**
+ * `{{...}}` templates in rule fields and source requests.
+ *
+ * A placeholder holds an expression:
+ * - `{{VAR}}`                        — an environment variable
+ * - `{{VAR | 'fallback'}}`           — a default when the variable is unset or empty
+ * - `{{USER + ':' + PASS}}`          — concatenation of variables and quoted strings
+ * - `{{base64(USER + ':' + PASS)}}`  — a built-in function: base64, urlencode, uuid,
+ *                                      now, sha256, hmac_sha256 (see TEMPLATE_FUNCTIONS)
+ *
+ * Placeholders whose variables are unset or empty are left in place, as the
+ * desktop app does before sending rules to the extension, so callers can tell
+ * they are missing. Invalid expressions are left in place too.
+ *
+ * `now()` and `uuid()` are evaluated each time a template is resolved: per request
+ * in the proxy, but only when rules are sent to the browser extension.
+ */
+
+import { hmacSha256, sha256 } from './sha256';
+
+const PLACEHOLDER_PATTERN = /\{\{([^}]+)}}/g;
+
+type Variables = Record<string, string | null | undefined>;
+
+type Expression =
+  | { type: 'string'; value: string }
+  | { type: 'variable'; name: string }
+  | { type: 'call'; name: string; args: Expression[] }
+  | { type: 'concat'; parts: Expression[] }
+  | { type: 'default'; options: Expression[] };
+
+/** Thrown for expressions that cannot be parsed or evaluated */
+class TemplateError extends Error {}
+
+// ── Built-in functions ──────────────────────────────────────────────
+
+const encoder = new TextEncoder();
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function encodeDigest(digest: Uint8Array, encoding = 'hex'): string {
+  if (encoding === 'hex') return toHex(digest);
+  if (encoding === 'base64') return toBase64(digest);
+  throw new TemplateError(`Unknown encoding '${encoding}', expected 'hex' or 'base64'`);
+}
+
+function formatNow(format = 'iso'): string {
+  const now = new Date();
+  switch (format) {
+    case 'iso':
+      return now.toISOString();
+    case 'unix':
+      return String(Math.floor(now.getTime() / 1000));
+    case 'unix_ms':
+      return String(now.getTime());
+    case 'http':
+      return now.toUTCString();
+    default:
+      throw new TemplateError(`Unknown time format '${format}', expected 'iso', 'unix', 'unix_ms' or 'http'`);
+  }
+}
+
+interface TemplateFunction {
+  minArgs: number;
+  maxArgs: number;
+  call: (...args: string[]) => string;
+}
+
+/** Functions available in templates, by name */
+const TEMPLATE_FUNCTIONS: Record<string, TemplateFunction> = {
+  base64: { minArgs: 1, maxArgs: 1, call: (value) => toBase64(encoder.encode(value)) },
+  urlencode: { minArgs: 1, maxArgs: 1, call: (value) => encodeURIComponent(value) },
+  uuid: { minArgs: 0, maxArgs: 0, call: () => crypto.randomUUID() },
+  now: { minArgs: 0, maxArgs: 1, call: (format) => formatNow(format) },
+  sha256: {
+    minArgs: 1,
+    maxArgs: 2,
+    call: (value, encoding) => encodeDigest(sha256(encoder.encode(value)), encoding),
+  },
+  hmac_sha256: {
+    minArgs: 2,
+    maxArgs: 3,
+    call: (key, value, encoding) => encodeDigest(hmacSha256(encoder.encode(key), encoder.encode(value)), encoding),
+  },
+};
+
+// ── Parsing ─────────────────────────────────────────────────────────
+
+type Token = { type: 'string'; value: string } | { type: 'name'; value: string } | { type: 'punct'; value: string };
+
+const NAME_PATTERN = /[A-Za-z_][\w.-]*/y;
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if ('()+|,'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        // A backslash escapes the next character, including the quote
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new TemplateError('Unterminated string');
+      tokens.push({ type: 'string', value });
+      i++;
+    } else {
+      NAME_PATTERN.lastIndex = i;
+      const match = NAME_PATTERN.exec(source);
+      if (!match) throw new TemplateError(`Unexpected character '${char}'`);
+      tokens.push({ type: 'name', value: match[0] });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent over: default := concat ('|' concat)*
+ *                          concat  := primary ('+' primary)*
+ *                          primary := string | name | name '(' args ')' | '(' default ')'
+ */
+function parseExpression(source: string): Expression {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (value: string) => tokens[position]?.type === 'punct' && tokens[position].value === value;
+
+  const expect = (value: string) => {
+    if (!peek(value)) throw new TemplateError(`Expected '${value}'`);
+    position++;
+  };
+
+  function parseDefault(): Expression {
+    const options = [parseConcat()];
+    while (peek('|')) {
+      position++;
+      options.push(parseConcat());
+    }
+    return options.length === 1 ? options[0] : { type: 'default', options };
+  }
+
+  function parseConcat(): Expression {
+    const parts = [parsePrimary()];
+    while (peek('+')) {
+      position++;
+      parts.push(parsePrimary());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+  }
+
+  function parsePrimary(): Expression {
+    const token = tokens[position++];
+    if (!token) throw new TemplateError('Unexpected end of expression');
+
+    if (token.type === 'string') return { type: 'string', value: token.value };
+
+    if (token.type === 'punct') {
+      if (token.value !== '(') throw new TemplateError(`Unexpected '${token.value}'`);
+      const inner = parseDefault();
+      expect(')');
+      return inner;
+    }
+
+    if (!peek('(')) return { type: 'variable', name: token.value };
+
+    const fn = Object.hasOwn(TEMPLATE_FUNCTIONS, token.value) ? TEMPLATE_FUNCTIONS[token.value] : undefined;
+    if (!fn) throw new TemplateError(`Unknown function '${token.value}'`);
+    position++;
+    const args: Expression[] = [];
+    if (!peek(')')) {
+      args.push(parseDefault());
+      while (peek(',')) {
+        position++;
+        args.push(parseDefault());
+      }
+    }
+    expect(')');
+    if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+      const expected = fn.minArgs === fn.maxArgs ? fn.minArgs : `${fn.minArgs}-${fn.maxArgs}`;
+      throw new TemplateError(`${token.value}() takes ${expected} argument(s), got ${args.length}`);
+    }
+    return { type: 'call', name: token.value, args };
+  }
+
+  const expression = parseDefault();
+  if (position < tokens.length) throw new TemplateError(`Unexpected '${tokens[position].value}'`);
+  return expression;
+}
+
+// ── Evaluation ──────────────────────────────────────────────────────
+
+/** The value of an expression, or the unset variables that kept it from having one */
+type Evaluation = { value: string; missing: [] } | { value: undefined; missing: string[] };
+
+function lookup(variables: Variables, name: string): string | undefined {
+  const value = Object.hasOwn(variables, name) ? variables[name] : undefined;
+  return value === undefined || value === null || value === '' ? undefined : value;
+}
+
+function evaluateAll(expressions: Expression[], variables: Variables): string[] | { missing: string[] } {
+  const values: string[] = [];
+  const missing: string[] = [];
+  for (const expression of expressions) {
+    const result = evaluate(expression, variables);
+    if (result.value === undefined) missing.push(...result.missing);
+    else values.push(result.value);
+  }
+  return missing.length > 0 ? { missing } : values;
+}
+
+function evaluate(expression: Expression, variables: Variables): Evaluation {
+  switch (expression.type) {
+    case 'string':
+      return { value: expression.value, missing: [] };
+    case 'variable': {
+      const value = lookup(variables, expression.name);
+      return value === undefined ? { value, missing: [expression.name] } : { value, missing: [] };
+    }
+    case 'concat': {
+      const values = evaluateAll(expression.parts, variables);
+      return Array.isArray(values) ? { value: values.join(''), missing: [] } : { value: undefined, ...values };
+    }
+    case 'call': {
+      const args = evaluateAll(expression.args, variables);
+      if (!Array.isArray(args)) return { value: undefined, ...args };
+      return { value: TEMPLATE_FUNCTIONS[expression.name].call(...args), missing: [] };
+    }
+    case 'default': {
+      // The first option with a value wins; if none has one, every option's variables are missing
+      const missing: string[] = [];
+      for (const option of expression.options) {
+        const result = evaluate(option, variables);
+        if (result.value !== undefined) return result;
+        missing.push(...result.missing);
+      }
+      return { value: undefined, missing };
+    }
+  }
+}
+
+function collectVariables(expression: Expression, names: Set<string>): void {
+  switch (expression.type) {
+    case 'variable':
+      names.add(expression.name);
+      break;
+    case 'concat':
+      for (const part of expression.parts) collectVariables(part, names);
+      break;
+    case 'call':
+      for (const arg of expression.args) collectVariables(arg, names);
+      break;
+    case 'default':
+      for (const option of expression.options) collectVariables(option, names);
+      break;
+  }
+}
+
+/** Result of evaluating the expression inside one `{{...}}` placeholder */
+export interface TemplateExpressionResult {
+  /** The resolved value, or undefined when a variable is missing or the expression is invalid */
+  value: string | undefined;
+  /** Unset or empty variables the expression needs */
+  missing: string[];
+  /** Why the expression could not be parsed or evaluated */
+  error?: string;
+}
+
+/**
+ * Evaluate the expression inside a `{{...}}` placeholder (without the braces).
+ */
+export function evaluateTemplateExpression(expression: string, variables: Variables): TemplateExpressionResult {
+  try {
+    const result = evaluate(parseExpression(expression), variables);
+    return { value: result.value, missing: [...new Set(result.missing)] };
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    return { value: undefined, missing: [], error: error.message };
+  }
+}
+
+/**
+ * Replace `{{...}}` placeholders with their values, leaving ones with unset
+ * variables or invalid expressions untouched.
+ */
+export function resolveTemplate(template: string, variables: Variables): string {
+  if (!template) return template;
+  return template.replace(
+    PLACEHOLDER_PATTERN,
+    (match, expression: string) => evaluateTemplateExpression(expression, variables).value ?? match,
+  );
+}
+
+/**
+ * Names of the unset or empty variables a template needs. Variables with a
+ * default (`{{VAR | 'fallback'}}`) are only reported when the default is missing too.
+ */
+export function findUnresolvedVariables(template: string | undefined, variables: Variables): string[] {
+  if (!template) return [];
+  const missing = new Set<string>();
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    for (const name of evaluateTemplateExpression(expression, variables).missing) missing.add(name);
+  }
+  return [...missing];
+}
+
+/**
+ * Names of all variables a template references, including ones with a default.
+ */
+export function findTemplateVariables(template: string | null | undefined): string[] {
+  if (!template) return [];
+  const names = new Set<string>();
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    try {
+      collectVariables(parseExpression(expression), names);
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Check that every placeholder in a template holds a valid expression.
+ */
+export function validateTemplate(template: string | null | undefined): { valid: boolean; message?: string } {
+  if (!template) return { valid: true };
+  for (const [match, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    try {
+      parseExpression(expression);
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      return { valid: false, message: `Invalid template ${match}: ${error.message}` };
+    }
+  }
+  return { valid: true };
+}
@@ -0,0 +1,505 @@
+/**
+ * URL pattern engine shared by the desktop proxy, the rule simulator and the
+ * browser extension, so a rule matches the same URLs wherever it runs.
+ *
+ * Pattern formats:
+ * - `*`                    — every URL
+ * - `example.com`          — that host, any path
+ * - `*.example.com`        — the base domain and any subdomain
+ * - `localhost:3000`       — host with port; without a port only the default port matches
+ * - `[::1]:3000`           — IPv6 host with port
+ * - `example.com/api`      — host and path prefix (`*` is a wildcard in the path)
+ * - `*://example.com/*`    — URL glob, matched as a prefix of the whole URL
+ * - `/^https:\/\/.*\.dev\//` — regular expression, tested against the whole URL
+ * - `!pattern`             — negation: excludes URLs matched by `pattern`
+ *
+ * Matching is case-insensitive. URLs are compared with their fragment removed and
+ * default ports dropped, so `example.com:443` is the same as `example.com`.
+ */
+
+/** A pattern split into the parts needed to match it */
+export type ParsedUrlPattern =
+  | { kind: 'all'; negated: boolean; source: string }
+  | {
+      kind: 'host';
+      negated: boolean;
+      source: string;
+      /** Lowercase, punycode hostname; IPv6 addresses keep their brackets */
+      host: string;
+      /** Whether subdomains of `host` match too (`*.example.com`) */
+      includeSubdomains: boolean;
+      /** Empty for the default port */
+      port: string;
+      /** Path prefix, starting with `/`, or null for any path */
+      path: string | null;
+      pathRegex: RegExp | null;
+    }
+  | { kind: 'url'; negated: boolean; source: string; glob: string; regex: RegExp }
+  | { kind: 'regex'; negated: boolean; source: string; regex: RegExp };
+
+/** What a pattern becomes in a declarativeNetRequest rule condition */
+export type DnrUrlCondition = { urlFilter: string } | { regexFilter: string };
+
+/** A declarativeNetRequest URL condition with excluded URLs cut out of it */
+export type DnrScopedUrlCondition = DnrUrlCondition & { excludedRequestDomains?: string[] };
+
+const DEFAULT_PORTS = new Set(['80', '443']);
+
+/** Regex syntax RE2 (and so declarativeNetRequest's regexFilter) does not support */
+const UNSUPPORTED_REGEX_SYNTAX = /\(\?<?[=!]|\\[1-9]|\\k</;
+
+/** Any URL scheme, for a `*` scheme */
+const SCHEME_SOURCE = '[a-z][a-z0-9+.-]*';
+/** Credentials the URL parser ignores when comparing hosts (`user:pass@`) */
+const USERINFO_SOURCE = '(?:[^/?#@]*@)?';
+
+function escapeRegex(text: string): string {
+  return text.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function globToRegexSource(glob: string, wildcard = '.*'): string {
+  return glob.split('*').map(escapeRegex).join(wildcard);
+}
+
+/** URLs are compared without default ports, so globs drop them too */
+function stripDefaultPort(glob: string): string {
+  return glob.replace(/:(80|443)(?=\/|$)/, '');
+}
+
+/**
+ * Split a URL glob into scheme, authority and the rest. A `*` in the scheme or
+ * authority stays within it, so `*://example.com/*` cannot match a URL that only
+ * mentions example.com in its query string.
+ */
+function splitGlob(glob: string): { scheme: string; authority: string; rest: string } {
+  const schemeEnd = glob.indexOf('://');
+  const afterScheme = glob.slice(schemeEnd + 3);
+  const slash = afterScheme.indexOf('/');
+  return {
+    scheme: glob.slice(0, schemeEnd),
+    authority: slash === -1 ? afterScheme : afterScheme.slice(0, slash),
+    rest: slash === -1 ? '' : afterScheme.slice(slash),
+  };
+}
+
+function compileGlob(glob: string): RegExp {
+  const { scheme, authority, rest } = splitGlob(stripDefaultPort(glob));
+  const source = `^${globToRegexSource(scheme, SCHEME_SOURCE)}://${globToRegexSource(authority, '[^/?#]*')}${globToRegexSource(rest)}`;
+  return new RegExp(source, 'i');
+}
+
+function isRegexPattern(body: string): boolean {
+  return body.length > 2 && body.startsWith('/') && body.endsWith('/');
+}
+
+function normalizeUrl(targetUrl: string): URL | null {
+  try {
+    const url = new URL(targetUrl);
+    url.hash = '';
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split `host[:port]` and normalize the host the way the URL parser does
+ * (lowercase, punycode). Returns null when the host is not valid.
+ */
+function parseHostAndPort(hostPart: string): { host: string; port: string } | null {
+  const match = hostPart.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+  if (!match) return null;
+  try {
+    const host = new URL(`http://${match[1]}`).hostname;
+    const port = match[2] && !DEFAULT_PORTS.has(match[2]) ? match[2] : '';
+    return { host, port };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a pattern. Returns null for empty patterns and ones that can never match
+ * (an invalid host or regular expression).
+ */
+export function parseUrlPattern(pattern: string | null | undefined): ParsedUrlPattern | null {
+  const source = pattern?.trim();
+  if (!source) return null;
+
+  const negated = source.startsWith('!');
+  const body = negated ? source.slice(1).trim() : source;
+  if (!body) return null;
+
+  if (body === '*') return { kind: 'all', negated, source };
+
+  if (isRegexPattern(body)) {
+    try {
+      return { kind: 'regex', negated, source, regex: new RegExp(body.slice(1, -1), 'i') };
+    } catch {
+      return null;
+    }
+  }
+
+  if (body.includes('://')) {
+    // A URL glob without a path covers every path, like a bare host
+    const afterScheme = body.slice(body.indexOf('://') + 3);
+    const glob = afterScheme.includes('/') ? body : `${body}/*`;
+    return { kind: 'url', negated, source, glob, regex: compileGlob(glob) };
+  }
+
+  const slash = body.indexOf('/');
+  const hostPart = slash === -1 ? body : body.slice(0, slash);
+  const path = slash === -1 ? null : body.slice(slash);
+  const includeSubdomains = hostPart.startsWith('*.');
+  const hostWithoutWildcard = includeSubdomains ? hostPart.slice(2) : hostPart;
+
+  // Wildcards elsewhere in the host (api-*.example.com) only work as a URL glob
+  if (hostWithoutWildcard.includes('*')) {
+    const glob = `*://${path === null ? `${body}/*` : body}`;
+    return { kind: 'url', negated, source, glob, regex: compileGlob(glob) };
+  }
+
+  const hostAndPort = parseHostAndPort(hostWithoutWildcard);
+  if (!hostAndPort) return null;
+
+  return {
+    kind: 'host',
+    negated,
+    source,
+    host: hostAndPort.host,
+    includeSubdomains,
+    port: hostAndPort.port,
+    path,
+    pathRegex: path === null ? null : new RegExp(`^${globToRegexSource(path)}`, 'i'),
+  };
+}
+
+function testParsed(parsed: ParsedUrlPattern, url: URL): boolean {
+  switch (parsed.kind) {
+    case 'all':
+      return true;
+    case 'regex':
+    case 'url':
+      return parsed.regex.test(url.href);
+    case 'host': {
+      const hostname = url.hostname.toLowerCase();
+      const hostMatches =
+        hostname === parsed.host || (parsed.includeSubdomains && hostname.endsWith(`.${parsed.host}`));
+      if (!hostMatches || url.port !== parsed.port) return false;
+      return parsed.pathRegex === null || parsed.pathRegex.test(`${url.pathname}${url.search}`);
+    }
+  }
+}
+
+/**
+ * Whether a URL matches a parsed pattern. A negated pattern matches the URLs
+ * its inner pattern does not.
+ */
+export function testUrlPattern(parsed: ParsedUrlPattern | null, targetUrl: string | null | undefined): boolean {
+  if (!parsed || !targetUrl) return false;
+  const url = normalizeUrl(targetUrl);
+  if (!url) return false;
+  return testParsed(parsed, url) !== parsed.negated;
+}
+
+/**
+ * Whether a URL matches a pattern.
+ */
+export function matchesUrlPattern(targetUrl: string | null | undefined, pattern: string | null | undefined): boolean {
+  return testUrlPattern(parseUrlPattern(pattern), targetUrl);
+}
+
+/**
+ * Match a URL against a rule's list of patterns: the URL must match one of the
+ * plain patterns and none of the negated ones. A list of only negated patterns
+ * matches nothing, so a rule is never applied everywhere by accident.
+ *
+ * Returns the first plain pattern that matched, or null.
+ */
+export function findMatchingUrlPattern(
+  targetUrl: string | null | undefined,
+  patterns: string[],
+  parse: (pattern: string) => ParsedUrlPattern | null = parseUrlPattern,
+): string | null {
+  if (!targetUrl) return null;
+  const url = normalizeUrl(targetUrl);
+  if (!url) return null;
+
+  let matched: string | null = null;
+  for (const pattern of patterns) {
+    const parsed = parse(pattern);
+    if (!parsed) continue;
+    if (parsed.negated) {
+      if (testParsed(parsed, url)) return null;
+    } else if (matched === null && testParsed(parsed, url)) {
+      matched = pattern;
+    }
+  }
+  return matched;
+}
+
+/** Whether a pattern is a negation (`!pattern`) */
+export function isNegatedUrlPattern(pattern: string): boolean {
+  return pattern.trim().startsWith('!');
+}
+
+/**
+ * The declarativeNetRequest condition that matches the same URLs as a pattern
+ * (ignoring negation — see toDnrExcludingConditions for cutting excluded URLs
+ * out). Returns null for patterns that can never match.
+ *
+ * A `urlFilter` not starting with `|` or `||` matches anywhere in the URL, so every
+ * condition is anchored at the start; where urlFilter syntax cannot express the
+ * pattern, it becomes a `regexFilter` with the same source the matcher here uses.
+ */
+export function toDnrUrlCondition(pattern: string): DnrUrlCondition | null {
+  const parsed = parseUrlPattern(pattern);
+  if (!parsed) return null;
+
+  switch (parsed.kind) {
+    case 'all':
+      return { urlFilter: '*' };
+    case 'regex':
+      return { regexFilter: parsed.regex.source };
+    case 'url': {
+      const glob = stripDefaultPort(parsed.glob);
+      const { scheme, authority } = splitGlob(glob);
+      // In a urlFilter `*` spans the whole URL and `|`/`^` are syntax
+      const literalPrefix = !scheme.includes('*') && !authority.includes('*') && !/[|^]/.test(glob);
+      return literalPrefix ? { urlFilter: `|${glob}` } : { regexFilter: parsed.regex.source };
+    }
+    case 'host': {
+      const authority = parsed.port ? `${parsed.host}:${parsed.port}` : parsed.host;
+      // Ending the authority with `/` keeps other ports out; `||` anchors at a (sub)domain boundary
+      if (parsed.includeSubdomains) return { urlFilter: `||${authority}${parsed.path ?? '/*'}` };
+      // urlFilter has no "any scheme, this exact host" anchor
+      const path = parsed.path === null ? '/' : globToRegexSource(parsed.path);
+      return { regexFilter: `^${SCHEME_SOURCE}://${USERINFO_SOURCE}${escapeRegex(authority)}${path}` };
+    }
+  }
+}
+
+/**
+ * URLs on one host (or any host) that continue with fixed text: the port and a
+ * path prefix. Exclusions of this shape can be cut out of a condition.
+ */
+interface LiteralRegion {
+  /** Regex source for the scheme */
+  scheme: string;
+  /** Lowercase scheme, or null for any scheme */
+  literalScheme: string | null;
+  /** Null for any host */
+  host: string | null;
+  includeSubdomains: boolean;
+  /** Lowercase text following the host (`:port` and path prefix), or null for any */
+  tail: string | null;
+}
+
+/** Strings an exclusion cuts off, stored by character */
+interface ExclusionTrie {
+  excluded: boolean;
+  next: Map<string, ExclusionTrie>;
+}
+
+/** The part of a path glob before its trailing `*`, or null when `*` appears earlier */
+function literalPathPrefix(path: string): string | null {
+  const prefix = path.replace(/\*+$/, '');
+  return prefix.includes('*') ? null : prefix.toLowerCase();
+}
+
+function toLiteralRegion(parsed: ParsedUrlPattern): LiteralRegion | null {
+  switch (parsed.kind) {
+    case 'all':
+      return { scheme: SCHEME_SOURCE, literalScheme: null, host: null, includeSubdomains: true, tail: null };
+    case 'regex':
+      return null;
+    case 'host': {
+      const path = parsed.path === null ? '/' : literalPathPrefix(parsed.path);
+      if (path === null) return null;
+      return {
+        scheme: SCHEME_SOURCE,
+        literalScheme: null,
+        host: parsed.host,
+        includeSubdomains: parsed.includeSubdomains,
+        tail: `${parsed.port ? `:${parsed.port}` : ''}${path}`,
+      };
+    }
+    case 'url': {
+      const { scheme, authority, rest } = splitGlob(stripDefaultPort(parsed.glob));
+      if ((scheme !== '*' && scheme.includes('*')) || authority.includes('*') || authority.includes('@')) return null;
+      const hostAndPort = parseHostAndPort(authority);
+      const path = literalPathPrefix(rest);
+      if (!hostAndPort || path === null) return null;
+      const literalScheme = scheme === '*' ? null : scheme.toLowerCase();
+      return {
+        scheme: literalScheme === null ? SCHEME_SOURCE : escapeRegex(literalScheme),
+        literalScheme,
+        host: hostAndPort.host,
+        includeSubdomains: false,
+        tail: `${hostAndPort.port ? `:${hostAndPort.port}` : ''}${path}`,
+      };
+    }
+  }
+}
+
+function buildExclusionTrie(texts: string[]): ExclusionTrie {
+  const root: ExclusionTrie = { excluded: false, next: new Map() };
+  for (const text of texts) {
+    let node = root;
+    for (const char of text) {
+      if (node.excluded) break;
+      let child = node.next.get(char);
+      if (!child) {
+        child = { excluded: false, next: new Map() };
+        node.next.set(char, child);
+      }
+      node = child;
+    }
+    node.excluded = true;
+  }
+  return root;
+}
+
+/**
+ * Regex source for text that starts with none of the trie's strings, spelled out
+ * character by character since RE2 has no lookaheads. `first` lists the characters
+ * the text may start with (anything when omitted). Returns null when every text is
+ * cut off.
+ */
+function notStartingWith(node: ExclusionTrie, first?: string): string | null {
+  if (node.excluded) return null;
+  const chars = [...node.next.keys()];
+  const alternatives: string[] = [];
+  if (first === undefined) {
+    alternatives.push('$', `[^${chars.map((char) => char.replace(/[\]\\^-]/g, '\\$&')).join('')}]`);
+  } else {
+    const others = [...first].filter((char) => !node.next.has(char));
+    if (others.length > 0) alternatives.push(`[${others.map(escapeRegex).join('')}]`);
+  }
+  for (const [char, child] of node.next) {
+    const rest = notStartingWith(child);
+    if (rest !== null) alternatives.push(`${escapeRegex(char)}${rest}`);
+  }
+  return alternatives.length === 1 ? alternatives[0] : `(?:${alternatives.join('|')})`;
+}
+
+/**
+ * The declarativeNetRequest conditions for the URLs a pattern matches and none of
+ * the exclusions do (negation is ignored on both). declarativeNetRequest has no
+ * "excluded URL" condition, and an allow rule would suppress every other rule on
+ * those URLs too, so exclusions are cut out of the condition itself:
+ * - `*.example.com` becomes an `excludedRequestDomains` entry
+ * - a host with a path prefix leaves `excludedRequestDomains` for that host, plus
+ *   regexFilters for the rest of the host and for its subdomains
+ *
+ * Exclusions that cannot be cut out (regular expressions, wildcards before the end
+ * of a path) are returned as `unscoped` for the caller to handle.
+ */
+export function toDnrExcludingConditions(
+  pattern: string,
+  exclusions: string[],
+): { conditions: DnrScopedUrlCondition[]; unscoped: string[] } {
+  const parsed = parseUrlPattern(pattern);
+  const condition = toDnrUrlCondition(pattern);
+  if (!parsed || !condition) return { conditions: [], unscoped: [] };
+  const region = toLiteralRegion(parsed);
+
+  const excludedDomains: string[] = [];
+  /** Cut hosts, with the text after the region's own tail each exclusion cuts off */
+  const cuts = new Map<string, string[]>();
+  const unscoped: string[] = [];
+
+  for (const exclusion of exclusions) {
+    const excluded = parseUrlPattern(exclusion);
+    if (!excluded) continue;
+    if (excluded.kind === 'all') return { conditions: [], unscoped: [] };
+    if (excluded.kind === 'host' && excluded.includeSubdomains && !excluded.port && excluded.path === null) {
+      excludedDomains.push(excluded.host);
+      continue;
+    }
+
+    const cut = toLiteralRegion(excluded);
+    if (!region || !cut?.host || cut.tail === null || cut.includeSubdomains) {
+      unscoped.push(exclusion);
+      continue;
+    }
+    const host = cut.host;
+    const inRegion =
+      region.host === null || host === region.host || (region.includeSubdomains && host.endsWith(`.${region.host}`));
+    if (!inRegion) continue;
+    if (cut.literalScheme !== null && cut.literalScheme !== region.literalScheme) {
+      // A cut for one scheme only cannot be expressed in a condition for any scheme
+      if (region.literalScheme === null) unscoped.push(exclusion);
+      continue;
+    }
+
+    let rest = cut.tail;
+    if (region.tail !== null) {
+      if (cut.tail.startsWith(region.tail)) rest = cut.tail.slice(region.tail.length);
+      else if (region.tail.startsWith(cut.tail)) rest = '';
+      else continue;
+    }
+    cuts.set(host, [...(cuts.get(host) ?? []), rest]);
+  }
+
+  for (const host of cuts.keys()) {
+    if (excludedDomains.some((domain) => host === domain || host.endsWith(`.${domain}`))) cuts.delete(host);
+  }
+
+  const scoped = (base: DnrUrlCondition, domains: string[]): DnrScopedUrlCondition =>
+    domains.length > 0 ? { ...base, excludedRequestDomains: domains } : base;
+  if (!region || cuts.size === 0) return { conditions: [scoped(condition, excludedDomains)], unscoped };
+
+  const cutHosts = [...cuts.keys()];
+  const conditions: DnrScopedUrlCondition[] = [];
+  // An exact-host region is the cut host itself, so only its pieces remain
+  if (region.host === null || region.includeSubdomains) {
+    conditions.push(scoped(condition, [...excludedDomains, ...cutHosts]));
+  }
+
+  const prefix = `^${region.scheme}://${USERINFO_SOURCE}`;
+  for (const [host, rests] of cuts) {
+    // Without a tail of its own, the region continues after the host with `:port` or the path
+    const trie = buildExclusionTrie(rests);
+    const remaining = region.tail === null ? notStartingWith(trie, ':/') : notStartingWith(trie);
+    if (remaining !== null) {
+      const tail = region.tail === null ? '' : escapeRegex(region.tail);
+      conditions.push({ regexFilter: `${prefix}${escapeRegex(host)}${tail}${remaining}` });
+    }
+
+    if (region.host === null || region.includeSubdomains) {
+      const nested = [...excludedDomains, ...cutHosts].filter((domain) => domain.endsWith(`.${host}`));
+      const tail = region.tail === null ? '[:/]' : escapeRegex(region.tail);
+      conditions.push(scoped({ regexFilter: `${prefix}[^/?#@]*\\.${escapeRegex(host)}${tail}` }, nested));
+    }
+  }
+  return { conditions, unscoped };
+}
+
+/**
+ * Check a pattern before it is saved. Regular expressions must compile and stay
+ * within the syntax declarativeNetRequest supports.
+ */
+export function validateUrlPattern(pattern: string): { valid: boolean; message?: string } {
+  const source = pattern.trim();
+  const body = source.startsWith('!') ? source.slice(1).trim() : source;
+  if (!body) return { valid: false, message: 'Pattern cannot be empty' };
+
+  if (isRegexPattern(body)) {
+    const regexSource = body.slice(1, -1);
+    if (regexSource.includes(',')) {
+      return { valid: false, message: 'Commas separate patterns, so regular expressions cannot contain them' };
+    }
+    try {
+      new RegExp(regexSource);
+    } catch (error) {
+      return { valid: false, message: `Invalid regular expression: ${(error as Error).message}` };
+    }
+    if (UNSUPPORTED_REGEX_SYNTAX.test(regexSource)) {
+      return { valid: false, message: 'Lookarounds and backreferences are not supported by browsers' };
+    }
+    return { valid: true };
+  }
+
+  return parseUrlPattern(source) ? { valid: true } : { valid: false, message: 'Invalid URL pattern' };
+}
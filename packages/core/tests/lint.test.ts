@@ -0,0 +1,239 @@
+import { describe, expect, it } from 'vitest';
+import type { HeaderRule } from '../src/types';
+import { lintHeaderRules } from '../src/utils/lint';
+
+function makeRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
+  return {
+    id: 'rule-1',
+    type: 'header',
+    name: 'Auth',
+    description: '',
+    isEnabled: true,
+    domains: ['*.example.com'],
+    createdAt: '2025-01-20T10:00:00.000Z',
+    updatedAt: '2025-01-20T10:00:00.000Z',
+    headerName: 'Authorization',
+    headerValue: 'Bearer static-token',
+    tag: '',
+    isResponse: false,
+    isDynamic: false,
+    sourceId: null,
+    prefix: '',
+    suffix: '',
+    hasEnvVars: false,
+    envVars: [],
+    ...overrides,
+  };
+}
+
+function codes(rules: HeaderRule[], context = {}) {
+  return lintHeaderRules(rules, context).map((warning) => warning.code);
+}
+
+describe('lintHeaderRules', () => {
+  it('returns nothing for a well-formed rule', () => {
+    expect(lintHeaderRules([makeRule()])).toEqual([]);
+  });
+
+  // ── Header names ─────────────────────────────────────────────────
+
+  describe('header names', () => {
+    it('flags headers browsers refuse to modify', () => {
+      const [warning] = lintHeaderRules([makeRule({ headerName: 'Content-Length' })]);
+      expect(warning).toMatchObject({ ruleId: 'rule-1', code: 'restricted_header' });
+      expect(warning.message).toContain('Content-Length');
+    });
+
+    it('allows removing the protected headers browsers let extensions strip', () => {
+      expect(codes([makeRule({ headerName: 'Origin', operation: 'remove' })])).toEqual([]);
+      expect(codes([makeRule({ headerName: 'Origin' })])).toEqual(['restricted_header']);
+    });
+
+    it('warns about browser-controlled Sec- and Proxy- request headers', () => {
+      expect(codes([makeRule({ headerName: 'Sec-Purpose' })])).toEqual(['restricted_header']);
+      expect(codes([makeRule({ headerName: 'Sec-Purpose', isResponse: true })])).toEqual([]);
+    });
+
+    it('flags malformed names and appends browsers do not support', () => {
+      expect(codes([makeRule({ headerName: 'Bad Header' })])).toEqual(['invalid_header_name']);
+      expect(codes([makeRule({ headerName: 'Authorization', operation: 'append' })])).toEqual(['append_not_supported']);
+    });
+
+    it('skips names that depend on unset variables', () => {
+      expect(codes([makeRule({ headerName: '{{HEADER}}' })])).toEqual([]);
+      expect(codes([makeRule({ headerName: '{{HEADER}}' })], { environmentVariables: { HEADER: 'Host' } })).toEqual([
+        'restricted_header',
+      ]);
+    });
+  });
+
+  // ── Values ───────────────────────────────────────────────────────
+
+  describe('values', () => {
+    it('flags values over the browser limit', () => {
+      const [warning] = lintHeaderRules([makeRule({ headerValue: 'x'.repeat(9000) })]);
+      expect(warning.code).toBe('value_too_long');
+      expect(warning.message).toContain('9000 characters');
+    });
+
+    it('checks dynamic values with the source content substituted', () => {
+      const rule = makeRule({ isDynamic: true, sourceId: '7', prefix: 'Bearer ' });
+      const sources = [{ sourceId: '7', sourceContent: 'token\n' }];
+
+      const [warning] = lintHeaderRules([rule], { sources });
+      expect(warning.code).toBe('value_has_line_breaks');
+      expect(warning.message).toContain('source content');
+
+      // Without the content there is nothing to check
+      expect(codes([rule])).toEqual([]);
+    });
+
+    it('checks values with variables substituted', () => {
+      const rule = makeRule({ headerValue: 'Bearer {{TOKEN}}' });
+      expect(codes([rule], { environmentVariables: { TOKEN: 'a\r\nb' } })).toEqual(['value_has_line_breaks']);
+      expect(codes([rule])).toEqual([]);
+    });
+
+    it('ignores values of removals and generated headers', () => {
+      const long = 'x'.repeat(9000);
+      expect(codes([makeRule({ headerValue: long, operation: 'remove' })])).toEqual([]);
+      expect(codes([makeRule({ headerValue: long, generator: { type: 'uuid' } })])).toEqual([]);
+    });
+  });
+
+  // ── Domains ──────────────────────────────────────────────────────
+
+  describe('domains', () => {
+    it('flags rules without domains', () => {
+      expect(codes([makeRule({ domains: [] })])).toEqual(['never_matches']);
+    });
+
+    it('flags invalid patterns', () => {
+      const [warning] = lintHeaderRules([makeRule({ domains: ['/(?<=a)b/', 'example.com'] })]);
+      expect(warning.code).toBe('invalid_domain');
+      expect(warning.message).toContain('Lookarounds');
+    });
+
+    it('flags domain lists that only exclude', () => {
+      expect(codes([makeRule({ domains: ['!*.example.com'] })])).toEqual(['never_matches']);
+    });
+
+    it('flags rules whose domains are all excluded', () => {
+      expect(codes([makeRule({ domains: ['api.example.com'], excludedDomains: ['API.example.com'] })])).toEqual([
+        'never_matches',
+      ]);
+      expect(codes([makeRule({ excludedDomains: ['*'] })])).toEqual(['never_matches']);
+      expect(codes([makeRule({ domains: ['a.com', 'b.com'], excludedDomains: ['a.com'] })])).toEqual([]);
+    });
+
+    it('checks domains from variables once they are known', () => {
+      const rule = makeRule({ domains: ['{{HOSTS}}'] });
+      expect(codes([rule])).toEqual([]);
+      expect(codes([rule], { environmentVariables: { HOSTS: 'a.com,/a,b/' } })).toEqual(['invalid_domain']);
+    });
+  });
+
+  // ── Shadowing ────────────────────────────────────────────────────
+
+  describe('shadowing', () => {
+    it('flags rules always overridden by a higher-priority rule', () => {
+      const loser = makeRule({ id: 'low', domains: ['api.example.com'] });
+      const winner = makeRule({ id: 'high', name: 'Admin token', domains: ['*.example.com'], priority: 10 });
+
+      const warnings = lintHeaderRules([loser, winner]);
+      expect(warnings).toEqual([
+        {
+          ruleId: 'low',
+          code: 'shadowed',
+          message: expect.stringContaining('"Admin token" (priority 10)'),
+          shadowedBy: 'high',
+        },
+      ]);
+    });
+
+    it('does not flag rules the winner only partly covers', () => {
+      const loser = makeRule({ id: 'low', domains: ['api.example.com', 'api.other.com'] });
+      const narrower = makeRule({ id: 'high', domains: ['*.example.com'], priority: 10 });
+      expect(lintHeaderRules([loser, narrower])).toEqual([]);
+
+      const conditioned = makeRule({ id: 'high', priority: 10, methods: ['POST'] });
+      expect(lintHeaderRules([makeRule({ id: 'low' }), conditioned])).toEqual([]);
+    });
+
+    it('ignores equal priorities, other headers, appends and disabled rules', () => {
+      const loser = makeRule({ id: 'low' });
+      expect(lintHeaderRules([loser, makeRule({ id: 'b' })])).toEqual([]);
+      expect(lintHeaderRules([loser, makeRule({ id: 'b', headerName: 'X-Other', priority: 5 })])).toEqual([]);
+      expect(lintHeaderRules([loser, makeRule({ id: 'b', isResponse: true, priority: 5 })])).toEqual([]);
+      expect(lintHeaderRules([loser, makeRule({ id: 'b', isEnabled: false, priority: 5 })])).toEqual([]);
+      expect(
+        lintHeaderRules([
+          makeRule({ id: 'low', headerName: 'Accept' }),
+          makeRule({ id: 'b', headerName: 'Accept', operation: 'append', priority: 5 }),
+        ]),
+      ).toEqual([]);
+    });
+
+    it('flags higher-priority rules whose exclusions rank them below the winner', () => {
+      const loser = makeRule({ id: 'excluded', priority: 10, excludedDomains: ['api.example.com/*/health'] });
+      const winner = makeRule({ id: 'plain', name: 'Admin token', domains: ['*.example.com'] });
+
+      const [warning] = lintHeaderRules([loser, winner]);
+      expect(warning).toMatchObject({ ruleId: 'excluded', shadowedBy: 'plain' });
+      expect(warning.message).toContain('"Admin token" (priority 0)');
+      expect(warning.message).toContain("this rule's URL exclusions rank it below rules without them");
+    });
+
+    it('treats removals as overriding too', () => {
+      const [warning] = lintHeaderRules([
+        makeRule({ id: 'low' }),
+        makeRule({ id: 'high', operation: 'remove', priority: 3, domains: ['*'] }),
+      ]);
+      expect(warning.message).toContain('removes Authorization');
+    });
+  });
+
+  // ── Exclusion band ───────────────────────────────────────────────
+
+  describe('exclusions applied to other rules', () => {
+    const health = makeRule({
+      id: 'health',
+      name: 'No auth on health',
+      priority: 10,
+      domains: ['*.example.com'],
+      excludedDomains: ['api.example.com/*/health'],
+    });
+
+    it("flags rules another rule's exclusion allow rules stop in the browser", () => {
+      const tracing = makeRule({
+        id: 'tracing',
+        headerName: 'X-Trace',
+        priority: 5,
+        domains: ['api.example.com'],
+        excludedDomains: ['/\\/debug$/'],
+      });
+
+      expect(lintHeaderRules([health, tracing])).toEqual([
+        {
+          ruleId: 'tracing',
+          code: 'excluded_by_other_rule',
+          message:
+            'Stopped on api.example.com/*/health by "No auth on health" (priority 10), whose URL exclusion the browser applies to this rule too',
+          excludedBy: 'health',
+        },
+      ]);
+    });
+
+    it('ignores lower priorities, rules without such exclusions and unrelated hosts', () => {
+      const tracing = { id: 'tracing', headerName: 'X-Trace', excludedDomains: ['/\\/debug$/'] };
+      expect(lintHeaderRules([health, makeRule({ ...tracing, priority: 20 })])).toEqual([]);
+      expect(lintHeaderRules([health, makeRule({ id: 'plain', headerName: 'X-Env', priority: 5 })])).toEqual([]);
+      expect(lintHeaderRules([health, makeRule({ ...tracing, priority: 5, domains: ['other.com'] })])).toEqual([]);
+      expect(
+        lintHeaderRules([{ ...health, methods: ['GET'] }, makeRule({ ...tracing, priority: 5, methods: ['POST'] })]),
+      ).toEqual([]);
+      // Nothing changes for a rule that excludes the same URLs itself
+      expect(lintHeaderRules([health, { ...health, id: 'copy', headerName: 'X-Trace', priority: 5 }])).toEqual([]);
+    });
+  });
+});
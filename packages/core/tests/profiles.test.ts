@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import type { HeaderRule, RulesCollection, UrlRule } from '../src/types';
+import { applyRuleStates, captureRuleStates, toProfileSummary } from '../src/utils/profiles';
+
+const header = (id: string, isEnabled: boolean) =>
+  ({ id, type: 'header', isEnabled, updatedAt: '2025-01-01T00:00:00.000Z' }) as HeaderRule;
+const url = (id: string, isEnabled: boolean) =>
+  ({ id, type: 'url', isEnabled, updatedAt: '2025-01-01T00:00:00.000Z' }) as UrlRule;
+
+const RULES: RulesCollection = {
+  header: [header('h-admin', true), header('h-guest', false)],
+  request: [],
+  response: [],
+  url: [url('u-staging', true)],
+};
+
+describe('captureRuleStates', () => {
+  it('records enabled state per collection and skips empty ones', () => {
+    expect(captureRuleStates(RULES)).toEqual({
+      header: { 'h-admin': true, 'h-guest': false },
+      url: { 'u-staging': true },
+    });
+  });
+});
+
+describe('applyRuleStates', () => {
+  it('flips only the rules whose state differs', () => {
+    const now = '2025-02-01T00:00:00.000Z';
+    const { rules, changed } = applyRuleStates(
+      RULES,
+      { header: { 'h-admin': false, 'h-guest': false }, url: { 'u-staging': true } },
+      now,
+    );
+
+    expect(changed).toBe(1);
+    expect(rules.header.map((r) => [r.id, r.isEnabled, r.updatedAt])).toEqual([
+      ['h-admin', false, now],
+      ['h-guest', false, '2025-01-01T00:00:00.000Z'],
+    ]);
+    expect(rules.url).toBe(RULES.url);
+  });
+
+  it('leaves rules the profile does not know about untouched', () => {
+    const { rules, changed } = applyRuleStates(RULES, { header: { 'deleted-rule': true } });
+    expect(changed).toBe(0);
+    expect(rules.header).toBe(RULES.header);
+  });
+});
+
+describe('toProfileSummary', () => {
+  it('keeps only what switching clients display', () => {
+    expect(
+      toProfileSummary({
+        id: 'p1',
+        name: 'Guest',
+        rules: {},
+        disabledTagGroups: ['admin'],
+        environment: 'Staging',
+        createdAt: '',
+        updatedAt: '',
+      }),
+    ).toEqual({ id: 'p1', name: 'Guest' });
+  });
+});
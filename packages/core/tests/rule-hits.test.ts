@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import type { RuleHitStatsMap } from '../src/types';
+import { createRuleHitStats, mergeRuleHits, recordRuleHit } from '../src/utils/rule-hits';
+
+describe('recordRuleHit', () => {
+  it('starts a counter and keeps the latest URL', () => {
+    const stats: RuleHitStatsMap = {};
+    recordRuleHit(stats, 'r1', 'https://a.com/1', 100);
+    recordRuleHit(stats, 'r1', 'https://a.com/2', 200);
+    expect(stats).toEqual({ r1: { count: 2, lastHitAt: 200, lastUrl: 'https://a.com/2' } });
+  });
+
+  it('does not let an older hit replace the last URL', () => {
+    const stats: RuleHitStatsMap = {};
+    recordRuleHit(stats, 'r1', 'https://a.com/new', 200);
+    recordRuleHit(stats, 'r1', 'https://a.com/old', 100);
+    expect(stats.r1).toEqual({ count: 2, lastHitAt: 200, lastUrl: 'https://a.com/new' });
+  });
+});
+
+describe('mergeRuleHits', () => {
+  it('adds counts and keeps the most recent hit', () => {
+    const totals: RuleHitStatsMap = { r1: { count: 3, lastHitAt: 100, lastUrl: 'https://a.com/' } };
+    mergeRuleHits(totals, {
+      r1: { count: 2, lastHitAt: 300, lastUrl: 'https://a.com/x' },
+      r2: { count: 1, lastHitAt: 50, lastUrl: 'https://b.com/' },
+    });
+    expect(totals).toEqual({
+      r1: { count: 5, lastHitAt: 300, lastUrl: 'https://a.com/x' },
+      r2: { count: 1, lastHitAt: 50, lastUrl: 'https://b.com/' },
+    });
+  });
+
+  it('ignores malformed entries', () => {
+    const totals: RuleHitStatsMap = {};
+    mergeRuleHits(totals, {
+      bad: { count: Number.NaN, lastHitAt: 1, lastUrl: '' },
+      zero: { count: 0, lastHitAt: 1, lastUrl: '' },
+      nul: null as unknown as RuleHitStatsMap[string],
+    });
+    expect(totals).toEqual({});
+  });
+
+  it('ignores entries with the wrong shape', () => {
+    const totals: RuleHitStatsMap = {};
+    mergeRuleHits(totals, {
+      text: { count: '2', lastHitAt: 1, lastUrl: '' },
+      url: { count: 1, lastHitAt: 1, lastUrl: 42 },
+    } as unknown as RuleHitStatsMap);
+    expect(totals).toEqual({});
+  });
+
+  it('does not write rule ids that reach Object.prototype', () => {
+    const hits = JSON.parse(
+      '{"__proto__":{"count":1,"lastHitAt":1,"lastUrl":""},"constructor":{"count":1,"lastHitAt":1,"lastUrl":""},"prototype":{"count":1,"lastHitAt":1,"lastUrl":""}}',
+    );
+    const totals = mergeRuleHits({}, hits);
+    mergeRuleHits(createRuleHitStats(), hits);
+    recordRuleHit(totals, '__proto__', 'https://a.com/');
+
+    expect(Object.keys(totals)).toEqual([]);
+    expect(({} as { count?: number }).count).toBeUndefined();
+    expect(Object.getPrototypeOf(totals)).toBe(Object.prototype);
+  });
+});
+
+describe('createRuleHitStats', () => {
+  it('keeps rule ids that match Object.prototype members as own entries', () => {
+    const stats = createRuleHitStats();
+    recordRuleHit(stats, 'toString', 'https://a.com/', 100);
+    expect(stats.toString).toEqual({ count: 1, lastHitAt: 100, lastUrl: 'https://a.com/' });
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, expect, it } from 'vitest';
+import type { HeaderRule, Source } from '../src/types';
+import { simulateHeaderRules } from '../src/utils/simulate';
+
+function makeRule(overrides: Partial<HeaderRule> = {}): HeaderRule {
+  return {
+    id: 'rule-1',
+    type: 'header',
+    name: 'Auth',
+    description: '',
+    isEnabled: true,
+    domains: ['*.example.com'],
+    createdAt: '2025-01-20T10:00:00.000Z',
+    updatedAt: '2025-01-20T10:00:00.000Z',
+    headerName: 'Authorization',
+    headerValue: 'Bearer static-token',
+    tag: '',
+    isResponse: false,
+    isDynamic: false,
+    sourceId: null,
+    prefix: '',
+    suffix: '',
+    hasEnvVars: false,
+    envVars: [],
+    ...overrides,
+  };
+}
+
+function makeSource(overrides: Partial<Source> = {}): Source {
+  return {
+    sourceId: '7',
+    sourceType: 'http',
+    sourceContent: 'fetched-token',
+    activationState: 'active',
+    ...overrides,
+  };
+}
+
+const URL = 'https://api.example.com/v1/users';
+
+describe('simulateHeaderRules', () => {
+  it('reports the static value sent by a matching rule', () => {
+    expect(simulateHeaderRules([makeRule()], { url: URL })).toEqual([
+      {
+        ruleId: 'rule-1',
+        headerName: 'Authorization',
+        isResponse: false,
+        operation: 'set',
+        priority: 0,
+        matchedPattern: '*.example.com',
+        applied: true,
+        value: 'Bearer static-token',
+      },
+    ]);
+  });
+
+  it('leaves out rules whose domains do not match', () => {
+    expect(simulateHeaderRules([makeRule({ domains: ['other.org'] })], { url: URL })).toEqual([]);
+    expect(simulateHeaderRules([makeRule({ domains: [] })], { url: URL })).toEqual([]);
+  });
+
+  it('resolves environment variables in names, values and domains', () => {
+    const rule = makeRule({
+      domains: ['{{API_HOST}}'],
+      headerName: 'X-{{TEAM}}-Key',
+      headerValue: 'key-{{API_KEY}}',
+      hasEnvVars: true,
+    });
+    const [result] = simulateHeaderRules(
+      [rule],
+      { url: URL },
+      {
+        environmentVariables: { API_HOST: 'other.org, api.example.com', TEAM: 'Core', API_KEY: 'secret' },
+      },
+    );
+
+    expect(result).toMatchObject({
+      headerName: 'X-Core-Key',
+      matchedPattern: 'api.example.com',
+      applied: true,
+      value: 'key-secret',
+    });
+  });
+
+  it('reports unset variables, including ones in unmatched domains', () => {
+    const results = simulateHeaderRules(
+      [
+        makeRule({ id: 'value', headerValue: 'Bearer {{TOKEN}}' }),
+        makeRule({ id: 'domain', domains: ['{{API_HOST}}'] }),
+      ],
+      { url: URL },
+      { environmentVariables: { TOKEN: '' } },
+    );
+
+    expect(results).toEqual([
+      expect.objectContaining({
+        ruleId: 'value',
+        applied: false,
+        skipReason: 'unresolved_variable',
+        detail: 'Unset variables: TOKEN',
+      }),
+      expect.objectContaining({
+        ruleId: 'domain',
+        matchedPattern: null,
+        skipReason: 'unresolved_variable',
+        detail: 'Unset variables: API_HOST',
+      }),
+    ]);
+  });
+
+  it('evaluates template functions and skips invalid templates', () => {
+    const results = simulateHeaderRules(
+      [
+        makeRule({ id: 'basic', headerValue: "Basic {{base64(USER + ':' + PASS)}}", hasEnvVars: true }),
+        makeRule({ id: 'typo', headerValue: '{{basee64(USER)}}', hasEnvVars: true }),
+      ],
+      { url: URL },
+      { environmentVariables: { USER: 'aladdin', PASS: 'opensesame' } },
+    );
+
+    expect(results[0]).toMatchObject({ applied: true, value: 'Basic YWxhZGRpbjpvcGVuc2VzYW1l' });
+    expect(results[1]).toMatchObject({
+      applied: false,
+      skipReason: 'invalid_template',
+      detail: "Invalid template {{basee64(USER)}}: Unknown function 'basee64'",
+    });
+  });
+
+  it('reports generated values as proxy-only once their secret resolves', () => {
+    const signature = makeRule({
+      headerName: 'X-Signature',
+      headerValue: '',
+      generator: { type: 'hmac', secret: '{{SIGNING_KEY}}' },
+    });
+
+    expect(simulateHeaderRules([signature], { url: URL })[0]).toMatchObject({
+      applied: false,
+      skipReason: 'unresolved_variable',
+      detail: 'Unset variables: SIGNING_KEY',
+    });
+    expect(
+      simulateHeaderRules([signature], { url: URL }, { environmentVariables: { SIGNING_KEY: 'k' } })[0],
+    ).toMatchObject({
+      applied: false,
+      skipReason: 'proxy_only',
+      detail: 'Generated per request (hmac) — only the proxy sends it',
+    });
+  });
+
+  it('wraps dynamic source content in the resolved prefix and suffix', () => {
+    const rule = makeRule({ isDynamic: true, sourceId: 7, prefix: 'Bearer ', suffix: ';{{REGION}}' });
+    const [result] = simulateHeaderRules(
+      [rule],
+      { url: URL },
+      {
+        sources: [makeSource()],
+        environmentVariables: { REGION: 'eu' },
+      },
+    );
+
+    expect(result).toMatchObject({ applied: true, value: 'Bearer fetched-token;eu' });
+  });
+
+  it.each([
+    ['source_missing', [] as Source[]],
+    ['source_pending', [makeSource({ activationState: 'waiting_for_deps' })]],
+    ['source_pending', [makeSource({ sourceContent: null })]],
+    ['source_empty', [makeSource({ sourceContent: '' })]],
+  ])('skips dynamic rules with %s', (skipReason, sources) => {
+    const rule = makeRule({ isDynamic: true, sourceId: '7' });
+    const [result] = simulateHeaderRules([rule], { url: URL }, { sources });
+
+    expect(result).toMatchObject({ applied: false, skipReason });
+  });
+
+  it('skips disabled rules and rules in paused tag groups', () => {
+    const results = simulateHeaderRules(
+      [
+        makeRule({ id: 'off', isEnabled: false }),
+        makeRule({ id: 'tagged', tag: 'staging' }),
+        makeRule({ id: 'untagged' }),
+      ],
+      { url: URL },
+      { disabledTagGroups: ['staging', '__no_tag__'] },
+    );
+
+    expect(results.map((r) => [r.ruleId, r.skipReason])).toEqual([
+      ['off', 'disabled'],
+      ['tagged', 'tag_group_disabled'],
+      ['untagged', 'tag_group_disabled'],
+    ]);
+  });
+
+  it('explains which request condition did not match', () => {
+    const rules = [
+      makeRule({ id: 'method', methods: ['POST'] }),
+      makeRule({ id: 'type', resourceTypes: ['xmlhttprequest'] }),
+      makeRule({ id: 'initiator', initiatorDomains: ['app.example.com'] }),
+      makeRule({ id: 'excluded', excludedDomains: ['example.com'] }),
+    ];
+    const results = simulateHeaderRules(rules, { url: URL });
+
+    expect(results.every((r) => r.skipReason === 'condition_mismatch')).toBe(true);
+    expect(results.map((r) => r.detail)).toEqual([
+      'Method GET is not one of POST',
+      'Resource type main_frame is not one of xmlhttprequest',
+      'Only applies to requests made by app.example.com',
+      'URL is excluded by example.com',
+    ]);
+
+    const matching = simulateHeaderRules(rules.slice(0, 3), {
+      url: URL,
+      method: 'POST',
+      resourceType: 'xmlhttprequest',
+      initiator: 'app.example.com',
+    });
+    expect(matching.map((r) => r.applied)).toEqual([true, true, true]);
+  });
+
+  it('applies removals without a value', () => {
+    const [result] = simulateHeaderRules([makeRule({ operation: 'remove', headerValue: '' })], { url: URL });
+
+    expect(result).toMatchObject({ operation: 'remove', applied: true });
+    expect(result.value).toBeUndefined();
+  });
+
+  it('skips static rules with an empty value and headers browsers cannot append to', () => {
+    const results = simulateHeaderRules(
+      [
+        makeRule({ id: 'empty', headerValue: '  ' }),
+        makeRule({ id: 'append', headerName: 'Authorization', operation: 'append' }),
+      ],
+      { url: URL },
+    );
+
+    expect(results.map((r) => [r.ruleId, r.skipReason])).toEqual([
+      ['empty', 'empty_value'],
+      ['append', 'invalid_header'],
+    ]);
+  });
+
+  it('lists results in the order they are applied, lowest priority first', () => {
+    const results = simulateHeaderRules(
+      [makeRule({ id: 'high', priority: 10 }), makeRule({ id: 'default' }), makeRule({ id: 'mid', priority: 5 })],
+      { url: URL },
+    );
+
+    expect(results.map((r) => r.ruleId)).toEqual(['default', 'mid', 'high']);
+  });
+
+  it('applies rules whose exclusions need allow rules first, whatever their priority', () => {
+    const results = simulateHeaderRules(
+      [
+        makeRule({ id: 'regex-exclusion', priority: 10, excludedDomains: ['/\\/health$/'] }),
+        makeRule({ id: 'negated-domain', priority: 5, domains: ['*.example.com', '!www.example.com'] }),
+        makeRule({ id: 'default' }),
+      ],
+      { url: URL },
+    );
+
+    // Like the extension, which keeps only the regex exclusion's rule below every other band
+    expect(results.map((r) => r.ruleId)).toEqual(['regex-exclusion', 'default', 'negated-domain']);
+  });
+
+  it("skips rules of equal or lower priority that another rule's exclusion allow rules stop", () => {
+    const rules = [
+      makeRule({
+        id: 'health',
+        name: 'No auth on health',
+        priority: 10,
+        excludedDomains: ['api.example.com/*/health'],
+      }),
+      makeRule({ id: 'tracing', headerName: 'X-Trace', priority: 5, excludedDomains: ['/\\/debug$/'] }),
+      makeRule({ id: 'plain', headerName: 'X-Env', headerValue: 'qa' }),
+    ];
+
+    const results = simulateHeaderRules(rules, { url: 'https://api.example.com/v1/health' });
+    expect(results.map((r) => [r.ruleId, r.skipReason ?? 'applied'])).toEqual([
+      ['tracing', 'excluded_by_other_rule'],
+      ['health', 'condition_mismatch'],
+      ['plain', 'applied'],
+    ]);
+    expect(results[0].detail).toBe(
+      '"No auth on health" excludes api.example.com/*/health, and the browser applies that exclusion to this rule too',
+    );
+
+    // Not when the excluding rule is paused or ranks lower
+    const tracingApplied = (candidates: HeaderRule[], disabledTagGroups: string[] = []) =>
+      simulateHeaderRules(candidates, { url: 'https://api.example.com/v1/health' }, { disabledTagGroups }).find(
+        (r) => r.ruleId === 'tracing',
+      )?.applied;
+    expect(tracingApplied([{ ...rules[0], tag: 'health' }, rules[1]], ['health'])).toBe(true);
+    expect(tracingApplied([{ ...rules[0], priority: 1 }, rules[1]])).toBe(true);
+  });
+});
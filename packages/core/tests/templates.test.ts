@@ -0,0 +1,160 @@
+import { createHash, createHmac } from 'node:crypto';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { hmacSha256, sha256 } from '../src/utils/sha256';
+import {
+  evaluateTemplateExpression,
+  findTemplateVariables,
+  findUnresolvedVariables,
+  resolveTemplate,
+  validateTemplate,
+} from '../src/utils/templates';
+
+const VARIABLES = {
+  API_USER: 'svc-gateway',
+  API_PASS: 'p@ss:word',
+  SIGNING_KEY: 'Jefe',
+  REGION: 'eu-west-1',
+  EMPTY: '',
+};
+
+const hex = (bytes: Uint8Array) => Buffer.from(bytes).toString('hex');
+
+describe('resolveTemplate', () => {
+  it('substitutes variables and leaves unset ones in place', () => {
+    expect(resolveTemplate('https://{{REGION}}.api.openheaders.io/{{ MISSING }}', VARIABLES)).toBe(
+      'https://eu-west-1.api.openheaders.io/{{ MISSING }}',
+    );
+    expect(resolveTemplate('{{EMPTY}}', VARIABLES)).toBe('{{EMPTY}}');
+  });
+
+  it('builds a Basic auth header from two variables', () => {
+    expect(resolveTemplate("Basic {{base64(API_USER + ':' + API_PASS)}}", VARIABLES)).toBe(
+      `Basic ${Buffer.from('svc-gateway:p@ss:word').toString('base64')}`,
+    );
+  });
+
+  it('falls back to defaults for unset or empty variables', () => {
+    expect(resolveTemplate("{{MISSING | 'us-east-1'}}", VARIABLES)).toBe('us-east-1');
+    expect(resolveTemplate("{{EMPTY | REGION | 'us-east-1'}}", VARIABLES)).toBe('eu-west-1');
+    expect(resolveTemplate("{{REGION | 'us-east-1'}}", VARIABLES)).toBe('eu-west-1');
+    expect(resolveTemplate("x{{MISSING | ''}}y", VARIABLES)).toBe('xy');
+  });
+
+  it('encodes values', () => {
+    expect(resolveTemplate('{{urlencode(API_PASS)}}', VARIABLES)).toBe('p%40ss%3Aword');
+    expect(resolveTemplate("{{base64('héllo')}}", VARIABLES)).toBe(Buffer.from('héllo').toString('base64'));
+    expect(resolveTemplate("{{sha256('abc')}}", VARIABLES)).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    );
+    expect(resolveTemplate("{{hmac_sha256(SIGNING_KEY, 'what do ya want for nothing?')}}", VARIABLES)).toBe(
+      '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+    );
+    expect(resolveTemplate("{{sha256('abc', 'base64')}}", VARIABLES)).toBe(
+      createHash('sha256').update('abc').digest('base64'),
+    );
+  });
+
+  it('supports both quote styles and escapes', () => {
+    expect(resolveTemplate(`{{"it's" + ' \\'quoted\\''}}`, VARIABLES)).toBe("it's 'quoted'");
+  });
+
+  describe('now() and uuid()', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('formats the current time', () => {
+      vi.useFakeTimers({ now: new Date('2025-01-20T10:00:00.000Z') });
+
+      expect(resolveTemplate('{{now()}}', VARIABLES)).toBe('2025-01-20T10:00:00.000Z');
+      expect(resolveTemplate("{{now('unix')}}", VARIABLES)).toBe('1737367200');
+      expect(resolveTemplate("{{now('unix_ms')}}", VARIABLES)).toBe('1737367200000');
+      expect(resolveTemplate("{{now('http')}}", VARIABLES)).toBe('Mon, 20 Jan 2025 10:00:00 GMT');
+    });
+
+    it('generates a fresh UUID on every resolution', () => {
+      const first = resolveTemplate('{{uuid()}}', VARIABLES);
+      expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(resolveTemplate('{{uuid()}}', VARIABLES)).not.toBe(first);
+    });
+  });
+
+  it('leaves invalid expressions in place', () => {
+    expect(resolveTemplate('{{base64(}}', VARIABLES)).toBe('{{base64(}}');
+    expect(resolveTemplate("{{now('yesterday')}}", VARIABLES)).toBe("{{now('yesterday')}}");
+  });
+});
+
+describe('evaluateTemplateExpression', () => {
+  it('reports every missing variable a function needs', () => {
+    expect(evaluateTemplateExpression("base64(USER + ':' + PASS)", {})).toEqual({
+      value: undefined,
+      missing: ['USER', 'PASS'],
+    });
+  });
+
+  it('explains why an expression is invalid', () => {
+    expect(evaluateTemplateExpression('md5(API_USER)', VARIABLES).error).toBe("Unknown function 'md5'");
+    expect(evaluateTemplateExpression('uuid(API_USER)', VARIABLES).error).toBe('uuid() takes 0 argument(s), got 1');
+    expect(evaluateTemplateExpression("sha256('x', 'hex', 'y')", VARIABLES).error).toBe(
+      'sha256() takes 1-2 argument(s), got 3',
+    );
+    expect(evaluateTemplateExpression("'open", VARIABLES).error).toBe('Unterminated string');
+    expect(evaluateTemplateExpression('API_USER API_PASS', VARIABLES).error).toBe("Unexpected 'API_PASS'");
+    expect(evaluateTemplateExpression('toString()', VARIABLES).error).toBe("Unknown function 'toString'");
+  });
+
+  it('does not read inherited properties as variables', () => {
+    expect(evaluateTemplateExpression('constructor', {}).missing).toEqual(['constructor']);
+  });
+});
+
+describe('findUnresolvedVariables', () => {
+  it('skips variables covered by a default', () => {
+    const template = "{{base64(API_USER + ':' + TOKEN)}} {{TENANT | 'default'}} {{EMPTY | FALLBACK}}";
+    expect(findUnresolvedVariables(template, VARIABLES)).toEqual(['TOKEN', 'EMPTY', 'FALLBACK']);
+  });
+});
+
+describe('findTemplateVariables', () => {
+  it('lists variables inside functions and defaults, but not function names', () => {
+    expect(findTemplateVariables("{{base64(API_USER + ':' + API_PASS)}}/{{TENANT | 'x'}}/{{uuid()}}")).toEqual([
+      'API_USER',
+      'API_PASS',
+      'TENANT',
+    ]);
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts valid expressions', () => {
+    expect(validateTemplate("Bearer {{TOKEN}} {{hmac_sha256(KEY, now('unix'), 'base64')}}")).toEqual({ valid: true });
+  });
+
+  it('names the placeholder that is invalid', () => {
+    expect(validateTemplate('{{TOKEN}} {{basee64(TOKEN)}}')).toEqual({
+      valid: false,
+      message: "Invalid template {{basee64(TOKEN)}}: Unknown function 'basee64'",
+    });
+  });
+});
+
+describe('sha256', () => {
+  it.each([
+    '',
+    'abc',
+    'x'.repeat(55),
+    'x'.repeat(56),
+    'x'.repeat(64),
+    'ü'.repeat(300),
+  ])('matches node:crypto for %#', (input) => {
+    const bytes = new TextEncoder().encode(input);
+    expect(hex(sha256(bytes))).toBe(createHash('sha256').update(bytes).digest('hex'));
+  });
+
+  it('matches node:crypto for HMAC keys longer than a block', () => {
+    const key = new TextEncoder().encode('k'.repeat(131));
+    const message = new TextEncoder().encode('payload');
+    expect(hex(hmacSha256(key, message))).toBe(createHmac('sha256', key).update(message).digest('hex'));
+  });
+});